@@ -1,7 +1,10 @@
 const { onRequest } = require("firebase-functions/v2/https");
+const { onDocumentCreated } = require("firebase-functions/v2/firestore");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
 const admin = require("firebase-admin");
 const express = require("express");
 const cors = require("cors");
+const { requireAppActive } = require("./middleware/systemStatus");
 
 // Initialize Firebase Admin
 admin.initializeApp();
@@ -16,6 +19,16 @@ db.settings({
   ignoreUndefinedProperties: true,
 });
 
+// Services for the triggered and scheduled functions below. Some of them
+// use Firestore as soon as they load, so they come after initializeApp()
+const { processExport } = require("./services/dataExport");
+const { promoteStudents } = require("./services/studentGrades");
+const { encryptPlaintextTokens } = require("./services/canvasOAuth");
+const { syncLinkedUsers } = require("./services/canvasSync");
+const { refreshCanvasSchedule } = require("./services/canvasSchedule");
+const { migrateLegacyApiKeys } = require("./services/legacyApiKeys");
+const { rentalService } = require("./services/domainServices");
+
 // Initialize Express app
 const app = express();
 
@@ -23,6 +36,9 @@ const app = express();
 app.use(cors({ origin: true }));
 app.use(express.json());
 
+// Maintenance mode: 503 on user-facing routes while the app is frozen
+app.use(requireAppActive);
+
 // Import routes
 const authRoutes = require("./routes/auth");
 const userRoutes = require("./routes/users");
@@ -30,6 +46,11 @@ const canvasRoutes = require("./routes/canvas");
 const healthRoutes = require("./routes/health");
 const adminAuthRoutes = require("./routes/admin-auth");
 const adminPanelRoutes = require("./routes/admin-panel");
+const tandemRoutes = require("./routes/tandem");
+const carpoolRoutes = require("./routes/carpool");
+const rentalRoutes = require("./routes/rentals");
+const scheduleRoutes = require("./routes/schedule");
+const notificationRoutes = require("./routes/notifications");
 
 // Use routes
 app.use("/auth", authRoutes);
@@ -38,6 +59,11 @@ app.use("/canvas", canvasRoutes);
 app.use("/health", healthRoutes);
 app.use("/admin-auth", adminAuthRoutes);
 app.use("/admin-panel", adminPanelRoutes);
+app.use("/tandem", tandemRoutes);
+app.use("/carpool", carpoolRoutes);
+app.use("/rentals", rentalRoutes);
+app.use("/schedule", scheduleRoutes);
+app.use("/notifications", notificationRoutes);
 
 // Root endpoint
 app.get("/", (req, res) => {
@@ -52,6 +78,11 @@ app.get("/", (req, res) => {
       health: "/health - Platform health checks",
       adminAuth: "/admin-auth - Admin panel authentication",
       adminPanel: "/admin-panel - Admin panel operations",
+      tandem: "/tandem - Tandem parking matching and pairings",
+      carpool: "/carpool - Carpool matching and groups",
+      rentals: "/rentals - Parking spot rentals and penalties",
+      schedule: "/schedule - Schedule PDF upload",
+      notifications: "/notifications - In-app notifications",
     },
     documentation: "See API_ROUTES.md for full endpoint details",
   });
@@ -77,3 +108,67 @@ exports.apiv2 = onRequest(
   },
   app
 );
+
+// Builds queued personal data exports (GET /users/me/export) outside the
+// API's 60s timeout
+exports.processDataExport = onDocumentCreated({
+  document: "dataExports/{exportId}",
+  timeoutSeconds: 540,
+  memory: "1GiB",
+}, (event) => processExport(event.params.exportId));
+
+// Moves every student up a grade when the school year rolls over on July 1
+exports.promoteStudents = onSchedule({
+  schedule: "0 3 1 7 *",
+  timeZone: "America/Los_Angeles",
+  timeoutSeconds: 540,
+}, async () => {
+  const result = await promoteStudents();
+  console.log("Promoted students for the new school year:", result);
+});
+
+// Encrypts Canvas tokens stored in plaintext before credentials were
+// encrypted (accounts in use are encrypted on first use; this catches the rest)
+exports.encryptCanvasTokens = onSchedule({
+  schedule: "0 4 * * *",
+  timeZone: "America/Los_Angeles",
+  timeoutSeconds: 540,
+}, async () => {
+  const result = await encryptPlaintextTokens();
+  if (result.encrypted > 0) console.log("Encrypted plaintext Canvas tokens:", result);
+});
+
+// Hashes API keys stored in plaintext before keys were hashed (keys in use
+// are hashed on first use; this catches the rest)
+exports.migrateApiKeys = onSchedule({
+  schedule: "30 4 * * *",
+  timeZone: "America/Los_Angeles",
+  timeoutSeconds: 540,
+}, async () => {
+  const result = await migrateLegacyApiKeys();
+  if (result.hashed + result.deactivated + result.userCopiesDeleted > 0) {
+    console.log("Migrated legacy API keys:", result);
+  }
+});
+
+// Expires spot rentals left unpaid past their deadline, releasing their
+// spots (a new request for the same spot and date also expires them)
+exports.expireRentals = onSchedule({
+  schedule: "*/15 * * * *",
+  timeZone: "America/Los_Angeles",
+}, async () => {
+  const result = await rentalService.expireOverdueRentals();
+  if (result.expired.length > 0) console.log("Expired unpaid rentals:", result);
+});
+
+// Refreshes the cached Canvas data of linked accounts not synced in the last
+// 12 hours, rebuilding schedules derived from Canvas when courses changed;
+// GET /health/canvas-sync reports how far behind it is
+exports.syncCanvas = onSchedule({
+  schedule: "15 * * * *",
+  timeZone: "America/Los_Angeles",
+  timeoutSeconds: 540,
+}, async () => {
+  const result = await syncLinkedUsers({ onChange: refreshCanvasSchedule });
+  console.log("Canvas sync:", result);
+});
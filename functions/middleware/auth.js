@@ -1,4 +1,9 @@
 const admin = require("firebase-admin");
+const { parseApiKey, secretMatches, scopesAllow } = require("../utils/apiKeys");
+const { hashLegacyKey } = require("../services/legacyApiKeys");
+const { roleAllows } = require("../utils/adminRoles");
+const { isSchoolEmail } = require("../utils/schoolEmail");
+const User = require("../../src/models/User");
 
 /**
  * Middleware to verify Firebase Authentication token
@@ -30,9 +35,44 @@ const verifyFirebaseToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Find the stored key matching an x-api-key value.
+ * Keys are looked up by their visible prefix and checked against the salted
+ * hash. A legacy plaintext key is hashed in place the first time it is used
+ * (see services/legacyApiKeys.js).
+ * @param {Object} db - Firestore instance
+ * @param {string} apiKey - Value of the x-api-key header
+ * @return {Promise<Object|null>} Firestore document snapshot, or null
+ */
+async function findApiKey(db, apiKey) {
+  const parsed = parseApiKey(apiKey);
+  if (!parsed) return null;
+
+  const candidates = await db.collection("apiKeys")
+      .where("prefix", "==", parsed.prefix)
+      .where("active", "==", true)
+      .get();
+
+  const match = candidates.docs.find((doc) =>
+    secretMatches(parsed.secret, doc.data().salt, doc.data().hash));
+  if (match || !parsed.legacy) return match || null;
+
+  const legacySnapshot = await db.collection("apiKeys")
+      .where("key", "==", apiKey)
+      .where("active", "==", true)
+      .limit(1)
+      .get();
+  if (legacySnapshot.empty) return null;
+
+  const legacyDoc = legacySnapshot.docs[0];
+  await hashLegacyKey(legacyDoc);
+  return legacyDoc.ref.get();
+}
+
 /**
  * Middleware to verify API key for mobile app access
- * Checks for API key in x-api-key header
+ * Checks for API key in x-api-key header, and that the key's scopes allow
+ * the request (see utils/apiKeys.js)
  */
 const verifyApiKey = async (req, res, next) => {
   try {
@@ -45,21 +85,14 @@ const verifyApiKey = async (req, res, next) => {
     }
 
     const db = admin.firestore();
+    const apiKeyDoc = await findApiKey(db, apiKey);
 
-    // Query for the API key
-    const apiKeySnapshot = await db.collection("apiKeys")
-        .where("key", "==", apiKey)
-        .where("active", "==", true)
-        .limit(1)
-        .get();
-
-    if (apiKeySnapshot.empty) {
+    if (!apiKeyDoc) {
       return res.status(401).json({
         error: "Unauthorized - Invalid API key",
       });
     }
 
-    const apiKeyDoc = apiKeySnapshot.docs[0];
     const apiKeyData = apiKeyDoc.data();
 
     // Check if key is expired
@@ -69,6 +102,21 @@ const verifyApiKey = async (req, res, next) => {
       });
     }
 
+    // A rotated key keeps working until its grace period ends
+    if (apiKeyData.graceUntil && apiKeyData.graceUntil.toDate() < new Date()) {
+      return res.status(401).json({
+        error: "Unauthorized - API key has been rotated",
+      });
+    }
+
+    const scopes = apiKeyData.scopes || [];
+    if (!scopesAllow(scopes, req.method, req.baseUrl)) {
+      return res.status(403).json({
+        error: "Forbidden - API key scopes do not allow this request",
+        scopes,
+      });
+    }
+
     // Get user data
     const userDoc = await db.collection("users").doc(apiKeyData.userId).get();
 
@@ -81,6 +129,7 @@ const verifyApiKey = async (req, res, next) => {
     req.user = userDoc.data();
     req.userId = apiKeyData.userId;
     req.apiKeyId = apiKeyDoc.id;
+    req.apiKeyScopes = scopes;
 
     // Update last used timestamp
     await apiKeyDoc.ref.update({
@@ -136,9 +185,121 @@ const requireAdmin = async (req, res, next) => {
 };
 
 /**
- * Middleware that accepts either Firebase token or API key
+ * Middleware factory to require an admin panel action (see utils/adminRoles.js)
+ * Use after `requireAdmin`, which sets `req.adminRole`.
+ * @param {string} action - One of ADMIN_ACTIONS
+ * @return {Function} Express middleware
+ */
+const requireAdminAction = (action) => (req, res, next) => {
+  if (!roleAllows(req.adminRole, action)) {
+    return res.status(403).json({
+      error: "Forbidden - Admin role does not allow this action",
+      role: req.adminRole || null,
+      action,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Why the authenticated user's email doesn't let them use the app, if it
+ * doesn't: it must be a verified address in one of the school domains.
+ * Firebase tokens carry the verification state; for API keys it is looked
+ * up in Firebase Auth.
+ * @param {Object} req - Request after `authenticate`
+ * @return {Promise<string|null>} Error message, or null if the email is fine
+ */
+async function emailProblem(req) {
+  let email = req.user.email;
+  let verified = req.user.email_verified;
+  if (req.apiKeyId) {
+    const userRecord = await admin.auth().getUser(req.userId);
+    email = userRecord.email;
+    verified = userRecord.emailVerified;
+  }
+
+  if (!isSchoolEmail(email)) return "Forbidden - A school email address is required";
+  if (!verified) return "Forbidden - Email address not verified";
+  return null;
+}
+
+/**
+ * Middleware to require a verified school email address
+ * `authenticate` already checks it; use this after `verifyFirebaseToken`.
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const problem = await emailProblem(req);
+    if (problem) {
+      return res.status(403).json({
+        error: problem,
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error("Email verification check error:", error);
+    return res.status(500).json({
+      error: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Middleware factory to require permissions from the Permission enum
+ * Use after `authenticate`. A user has their UserType's default permissions
+ * plus any an admin granted, minus any an admin revoked (see User.js).
+ * Freshmen and graduates (a known class year but no UserType) have no
+ * permissions.
+ * @param {...string} permissions - Values from the Permission enum, all required
+ * @return {Function} Express middleware
  */
-const authenticate = async (req, res, next) => {
+const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    const db = admin.firestore();
+    const userDoc = await db.collection("users").doc(req.userId).get();
+
+    if (!userDoc.exists) {
+      return res.status(403).json({
+        error: "Forbidden - User not found",
+      });
+    }
+
+    if (userDoc.data().graduationYear && !userDoc.data().userType) {
+      return res.status(403).json({
+        error: "Forbidden - Only sophomores, juniors and seniors can use iTandem",
+      });
+    }
+
+    const user = User.fromFirestoreDocument(userDoc.data());
+    const missing = permissions.filter((permission) => !user.checkPermissions(permission));
+
+    if (missing.length) {
+      return res.status(403).json({
+        error: "Forbidden - Missing permission",
+        missing,
+      });
+    }
+
+    req.permissions = user.getEffectivePermissions();
+
+    next();
+  } catch (error) {
+    console.error("Permission check error:", error);
+    return res.status(500).json({
+      error: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Middleware that accepts either Firebase token or API key, whatever the
+ * user's email address. Only for the routes a user needs before their
+ * school email is verified (their own profile, export and deletion); use
+ * `authenticate` everywhere else.
+ */
+const authenticateAnyEmail = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   const apiKey = req.headers["x-api-key"];
 
@@ -153,9 +314,21 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware that accepts either Firebase token or API key, from a user
+ * with a verified school email address
+ */
+const authenticate = (req, res, next) =>
+  authenticateAnyEmail(req, res, () => requireVerifiedEmail(req, res, next));
+
 module.exports = {
   verifyFirebaseToken,
   verifyApiKey,
+  findApiKey,
   requireAdmin,
+  requireAdminAction,
+  requirePermission,
+  requireVerifiedEmail,
   authenticate,
+  authenticateAnyEmail,
 };
@@ -0,0 +1,170 @@
+const admin = require("firebase-admin");
+
+const DEFAULT_MESSAGE = "App is temporarily unavailable for maintenance";
+
+// How long a read of `system/status` is reused. Freezing and unfreezing
+// clear the cache on the instance that handled them; other instances pick
+// the change up within this window.
+const STATUS_CACHE_TTL_MS = 15 * 1000;
+
+// Paths that stay reachable while the app is frozen
+const EXEMPT_PATHS = ["/health", "/admin-auth", "/admin-panel"];
+
+let cachedStatus = null;
+let cachedAt = 0;
+let pendingRead = null;
+
+/**
+ * Convert a Firestore Timestamp, Date or date string to a Date
+ * @param {*} value
+ * @return {Date|null}
+ */
+function toDate(value) {
+  if (!value) return null;
+  if (typeof value.toDate === "function") return value.toDate();
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Work out whether the app is frozen at a given time.
+ *
+ * The `system/status` document holds the manual freeze (`appActive: false`,
+ * optionally ending at `frozenUntil`) and a list of `scheduledFreezes`
+ * (`{ freezeId, startsAt, endsAt, message }`). The app is frozen while the
+ * manual freeze is on or any scheduled freeze is in progress.
+ *
+ * @param {Object|null} status - `system/status` document data
+ * @param {Date} [now]
+ * @return {{frozen: boolean, message: ?string, until: ?Date, freezeId: ?string}}
+ */
+function evaluateStatus(status, now = new Date()) {
+  const active = { frozen: false, message: null, until: null, freezeId: null };
+  if (!status) return active;
+
+  const manualUntil = toDate(status.frozenUntil);
+  if (status.appActive === false && (!manualUntil || manualUntil > now)) {
+    return {
+      frozen: true,
+      message: status.message || DEFAULT_MESSAGE,
+      until: manualUntil,
+      freezeId: null,
+    };
+  }
+
+  const current = (status.scheduledFreezes || []).find((freeze) => {
+    const startsAt = toDate(freeze.startsAt);
+    const endsAt = toDate(freeze.endsAt);
+    return startsAt && endsAt && startsAt <= now && now < endsAt;
+  });
+  if (current) {
+    return {
+      frozen: true,
+      message: current.message || DEFAULT_MESSAGE,
+      until: toDate(current.endsAt),
+      freezeId: current.freezeId,
+    };
+  }
+
+  return active;
+}
+
+/**
+ * Read `system/status`, reusing the last read for STATUS_CACHE_TTL_MS.
+ * Concurrent requests share one Firestore read.
+ * @return {Promise<Object|null>} Document data, or null if it doesn't exist
+ */
+async function getSystemStatus() {
+  if (cachedAt && Date.now() - cachedAt < STATUS_CACHE_TTL_MS) {
+    return cachedStatus;
+  }
+
+  if (!pendingRead) {
+    pendingRead = admin.firestore().collection("system").doc("status").get()
+        .then((doc) => {
+          cachedStatus = doc.exists ? doc.data() : null;
+          cachedAt = Date.now();
+          return cachedStatus;
+        })
+        .finally(() => {
+          pendingRead = null;
+        });
+  }
+  return pendingRead;
+}
+
+/**
+ * Forget the cached status so the next request reads it again.
+ * Called after an admin changes `system/status`.
+ */
+function clearStatusCache() {
+  cachedStatus = null;
+  cachedAt = 0;
+}
+
+/**
+ * Whether the request comes from an active admin. The app-wide check runs
+ * before the routes authenticate, so the Firebase token is verified here.
+ * API keys are never admin credentials.
+ * @param {Object} req - Express request
+ * @return {Promise<boolean>}
+ */
+async function isAdminRequest(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith("Bearer ")) return false;
+
+  try {
+    const decodedToken = await admin.auth().verifyIdToken(authHeader.split("Bearer ")[1]);
+    const adminDoc = await admin.firestore().collection("admins").doc(decodedToken.uid).get();
+    return adminDoc.exists && adminDoc.data().active === true;
+  } catch (error) {
+    // Invalid or expired token: treat as a regular user
+    console.warn("Admin check during freeze failed:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Middleware to reject requests while the app is frozen (maintenance mode).
+ * Mounted app-wide in index.js. `/health` and the admin routes stay up, and
+ * active admins can use every route so they can check the app before
+ * unfreezing it.
+ *
+ * If `system/status` can't be read, the last known status is used; with
+ * none, requests are let through rather than taking the whole API down.
+ */
+const requireAppActive = async (req, res, next) => {
+  if (EXEMPT_PATHS.some((path) => req.path === path || req.path.startsWith(`${path}/`))) {
+    return next();
+  }
+
+  let status;
+  try {
+    status = await getSystemStatus();
+  } catch (error) {
+    console.error("System status check error:", error);
+    status = cachedStatus;
+  }
+
+  const { frozen, message, until } = evaluateStatus(status);
+  if (!frozen) return next();
+
+  if (await isAdminRequest(req)) return next();
+
+  if (until) {
+    res.set("Retry-After", String(Math.max(1, Math.ceil((until - Date.now()) / 1000))));
+  }
+  return res.status(503).json({
+    error: "App is frozen",
+    message,
+    frozenUntil: until ? until.toISOString() : null,
+  });
+};
+
+module.exports = {
+  requireAppActive,
+  evaluateStatus,
+  getSystemStatus,
+  clearStatusCache,
+  toDate,
+};
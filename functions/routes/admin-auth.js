@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const admin = require("firebase-admin");
 const { authenticate, requireAdmin } = require("../middleware/auth");
+const { actionsForRole } = require("../utils/adminRoles");
 
 /**
  * Admin Authentication Routes
@@ -86,6 +87,7 @@ router.post("/verify", authenticate, async (req, res) => {
       admin: {
         userId,
         role: adminData.role,
+        actions: actionsForRole(adminData.role),
         permissions: adminData.permissions || [],
         active: adminData.active,
         user: {
@@ -123,6 +125,7 @@ router.get("/session", authenticate, requireAdmin, async (req, res) => {
       admin: {
         userId,
         role: adminData.role,
+        actions: actionsForRole(adminData.role),
         permissions: adminData.permissions || [],
         active: adminData.active,
         user: {
@@ -1,20 +1,56 @@
 const express = require("express");
 const router = express.Router();
+const crypto = require("crypto");
 const admin = require("firebase-admin");
-const { authenticate, requireAdmin } = require("../middleware/auth");
+const { authenticate, requireAdmin, requireAdminAction } = require("../middleware/auth");
+const { calendarService, tandemService, rentalService } = require("../services/domainServices");
+const { SchoolCalendarService } = require("../../src/SchoolCalendar");
+const { deleteAccount } = require("../services/accountDeletion");
+const { importRoster } = require("../services/studentGrades");
+const { sendServiceError } = require("../utils/serviceErrors");
+const { evaluateStatus, clearStatusCache, toDate } = require("../middleware/systemStatus");
+const User = require("../../src/models/User");
+const { ADMIN_ROLES, ADMIN_ACTIONS, ROLE_ACTIONS, normalizeRole, actionsForRole } = require("../utils/adminRoles");
+const {
+  AUDIT_COLLECTION,
+  AUDIT_ACTIONS,
+  updatedDocument,
+  recordAudit,
+  formatAuditEntry,
+} = require("../utils/auditLog");
 
 /**
  * Comprehensive Admin Panel Backend
- * Full CRUD operations for all iTandem entities
+ * Full CRUD operations for all iTandem entities. Each route also requires
+ * an action that the admin's role must allow (see utils/adminRoles.js), and
+ * every mutation is recorded in the audit log (see utils/auditLog.js), in
+ * the same write batch as the change.
  */
 
+const canViewUsers = requireAdminAction(ADMIN_ACTIONS.VIEW_USERS);
+const canEditUsers = requireAdminAction(ADMIN_ACTIONS.EDIT_USERS);
+const canBanUsers = requireAdminAction(ADMIN_ACTIONS.BAN_USERS);
+const canManagePermissions = requireAdminAction(ADMIN_ACTIONS.MANAGE_PERMISSIONS);
+const canDeleteUsers = requireAdminAction(ADMIN_ACTIONS.DELETE_USERS);
+const canViewSpots = requireAdminAction(ADMIN_ACTIONS.VIEW_SPOTS);
+const canEditSpots = requireAdminAction(ADMIN_ACTIONS.EDIT_SPOTS);
+const canDeleteSpots = requireAdminAction(ADMIN_ACTIONS.DELETE_SPOTS);
+const canViewSystem = requireAdminAction(ADMIN_ACTIONS.VIEW_SYSTEM);
+const canFreezeApp = requireAdminAction(ADMIN_ACTIONS.FREEZE_APP);
+const canEditCalendar = requireAdminAction(ADMIN_ACTIONS.EDIT_CALENDAR);
+const canAssign = requireAdminAction(ADMIN_ACTIONS.MANAGE_TANDEM_ASSIGNMENTS);
+const canReviewReports = requireAdminAction(ADMIN_ACTIONS.REVIEW_REPORTS);
+const canViewAnalytics = requireAdminAction(ADMIN_ACTIONS.VIEW_ANALYTICS);
+const canManageAdmins = requireAdminAction(ADMIN_ACTIONS.MANAGE_ADMINS);
+const canViewAudit = requireAdminAction(ADMIN_ACTIONS.VIEW_AUDIT);
+
 // ==================== USER MANAGEMENT ====================
 
 /**
  * GET /admin/users
  * Search and list all users with filters
  */
-router.get("/users", authenticate, requireAdmin, async (req, res) => {
+router.get("/users", authenticate, requireAdmin, canViewUsers, async (req, res) => {
   try {
     const { search, status, userType, limit = 50, offset = 0 } = req.query;
     const db = admin.firestore();
@@ -33,7 +69,7 @@ router.get("/users", authenticate, requireAdmin, async (req, res) => {
     
     let users = snapshot.docs.map(doc => ({
       id: doc.id,
-      ...doc.data()
+      ...User.redactDocument(doc.data())
     }));
     
     // Client-side search if provided
@@ -63,7 +99,7 @@ router.get("/users", authenticate, requireAdmin, async (req, res) => {
  * GET /admin/users/:userId
  * Get complete user details including Canvas data
  */
-router.get("/users/:userId", authenticate, requireAdmin, async (req, res) => {
+router.get("/users/:userId", authenticate, requireAdmin, canViewUsers, async (req, res) => {
   try {
     const { userId } = req.params;
     const db = admin.firestore();
@@ -83,10 +119,17 @@ router.get("/users/:userId", authenticate, requireAdmin, async (req, res) => {
     res.json({
       user: {
         id: userId,
-        ...userDoc.data()
+        ...User.redactDocument(userDoc.data())
       },
       canvasData: canvasData.exists ? canvasData.data() : null,
-      apiKeys: apiKeys.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+      // Leave out key material (hash, salt, and plaintext keys not yet migrated)
+      apiKeys: apiKeys.docs.map((doc) => {
+        const apiKey = { id: doc.id, ...doc.data() };
+        delete apiKey.key;
+        delete apiKey.hash;
+        delete apiKey.salt;
+        return apiKey;
+      }),
       isAdmin: adminStatus.exists,
       adminRole: adminStatus.exists ? adminStatus.data().role : null
     });
@@ -101,7 +144,7 @@ router.get("/users/:userId", authenticate, requireAdmin, async (req, res) => {
  * PUT /admin/users/:userId
  * Update any user field
  */
-router.put("/users/:userId", authenticate, requireAdmin, async (req, res) => {
+router.put("/users/:userId", authenticate, requireAdmin, canEditUsers, async (req, res) => {
   try {
     const { userId } = req.params;
     const updates = req.body;
@@ -110,19 +153,31 @@ router.put("/users/:userId", authenticate, requireAdmin, async (req, res) => {
     // Remove sensitive fields that shouldn't be updated directly
     delete updates.id;
     delete updates.createdAt;
+    User.SENSITIVE_FIELDS.forEach((field) => delete updates[field]);
     
     updates.updatedAt = admin.firestore.FieldValue.serverTimestamp();
     updates.lastModifiedBy = req.user.uid;
     
-    await db.collection("users").doc(userId).update(updates);
-    
-    const updatedDoc = await db.collection("users").doc(userId).get();
+    const userRef = db.collection("users").doc(userId);
+    const beforeDoc = await userRef.get();
+    const batch = db.batch();
+    batch.update(userRef, updates);
+    recordAudit(batch, req, {
+      action: AUDIT_ACTIONS.USER_UPDATE,
+      targetType: "user",
+      targetId: userId,
+      before: beforeDoc.data(),
+      after: updatedDocument(beforeDoc.data(), updates),
+    });
+    await batch.commit();
+
+    const updatedDoc = await userRef.get();
     
     res.json({
       message: "User updated successfully",
       user: {
         id: userId,
-        ...updatedDoc.data()
+        ...User.redactDocument(updatedDoc.data())
       }
     });
     
@@ -136,7 +191,7 @@ router.put("/users/:userId", authenticate, requireAdmin, async (req, res) => {
  * POST /admin/users/:userId/ban
  * Ban or temp ban a user
  */
-router.post("/users/:userId/ban", authenticate, requireAdmin, async (req, res) => {
+router.post("/users/:userId/ban", authenticate, requireAdmin, canBanUsers, async (req, res) => {
   try {
     const { userId } = req.params;
     const { reason, duration, type = "permanent" } = req.body; // type: permanent | temporary
@@ -157,11 +212,23 @@ router.post("/users/:userId/ban", authenticate, requireAdmin, async (req, res) =
       banData.unbanAt = admin.firestore.Timestamp.fromDate(unbanDate);
     }
     
-    await db.collection("users").doc(userId).update(banData);
-    
+    const userRef = db.collection("users").doc(userId);
+    const beforeDoc = await userRef.get();
+    const batch = db.batch();
+    batch.update(userRef, banData);
+    recordAudit(batch, req, {
+      action: AUDIT_ACTIONS.USER_BAN,
+      targetType: "user",
+      targetId: userId,
+      before: beforeDoc.data(),
+      after: updatedDocument(beforeDoc.data(), banData),
+      details: { reason: reason || null, type, duration: duration || null },
+    });
+    await batch.commit();
+
     // Disable Firebase Auth account
     await admin.auth().updateUser(userId, { disabled: true });
-    
+
     res.json({
       message: `User ${type === "temporary" ? "temporarily" : "permanently"} banned`,
       banData
@@ -177,12 +244,12 @@ router.post("/users/:userId/ban", authenticate, requireAdmin, async (req, res) =
  * POST /admin/users/:userId/unban
  * Unban a user
  */
-router.post("/users/:userId/unban", authenticate, requireAdmin, async (req, res) => {
+router.post("/users/:userId/unban", authenticate, requireAdmin, canBanUsers, async (req, res) => {
   try {
     const { userId } = req.params;
     const db = admin.firestore();
     
-    await db.collection("users").doc(userId).update({
+    const unbanData = {
       accountStatus: "active",
       banReason: admin.firestore.FieldValue.delete(),
       banType: admin.firestore.FieldValue.delete(),
@@ -192,11 +259,24 @@ router.post("/users/:userId/unban", authenticate, requireAdmin, async (req, res)
       unbannedAt: admin.firestore.FieldValue.serverTimestamp(),
       unbannedBy: req.user.uid,
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
+    };
     
+    const userRef = db.collection("users").doc(userId);
+    const beforeDoc = await userRef.get();
+    const batch = db.batch();
+    batch.update(userRef, unbanData);
+    recordAudit(batch, req, {
+      action: AUDIT_ACTIONS.USER_UNBAN,
+      targetType: "user",
+      targetId: userId,
+      before: beforeDoc.data(),
+      after: updatedDocument(beforeDoc.data(), unbanData),
+    });
+    await batch.commit();
+
     // Re-enable Firebase Auth account
     await admin.auth().updateUser(userId, { disabled: false });
-    
+
     res.json({ message: "User unbanned successfully" });
     
   } catch (error) {
@@ -205,44 +285,198 @@ router.post("/users/:userId/unban", authenticate, requireAdmin, async (req, res)
   }
 });
 
+/**
+ * Describe a user's permissions: type defaults, admin grants and
+ * revocations, and the resulting effective set
+ * @param {User} user
+ * @return {Object}
+ */
+function describePermissions(user) {
+  return {
+    userType: user.userType,
+    defaults: user.getDefaultPermissions(),
+    granted: user.permissions,
+    revoked: user.revokedPermissions,
+    effective: user.getEffectivePermissions(),
+  };
+}
+
+/**
+ * GET /admin/users/:userId/permissions
+ * Get a user's permissions
+ */
+router.get("/users/:userId/permissions", authenticate, requireAdmin, canViewUsers, async (req, res) => {
+  try {
+    const db = admin.firestore();
+    const userDoc = await db.collection("users").doc(req.params.userId).get();
+
+    if (!userDoc.exists) {
+      return res.status(404).json({ error: "not_found", message: "User not found" });
+    }
+
+    res.json(describePermissions(User.fromFirestoreDocument(userDoc.data())));
+  } catch (error) {
+    console.error("Admin get permissions error:", error);
+    res.status(500).json({ error: "internal_error", message: error.message });
+  }
+});
+
+/**
+ * Build a handler that grants or revokes the permissions in the body
+ * @param {string} action - "grant" or "revoke"
+ * @return {Function} Express handler
+ */
+function changePermissions(action) {
+  return async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { permissions } = req.body;
+      const db = admin.firestore();
+
+      if (!Array.isArray(permissions) || permissions.length === 0) {
+        return res.status(400).json({ error: "invalid_permissions", message: "permissions must be a non-empty array" });
+      }
+
+      const userDoc = await db.collection("users").doc(userId).get();
+      if (!userDoc.exists) {
+        return res.status(404).json({ error: "not_found", message: "User not found" });
+      }
+
+      const user = User.fromFirestoreDocument(userDoc.data());
+      const before = { permissions: [...user.permissions], revokedPermissions: [...user.revokedPermissions] };
+      try {
+        for (const permission of permissions) {
+          if (action === "grant") user.grantPermission(permission);
+          else user.revokePermission(permission);
+        }
+      } catch (error) {
+        return res.status(400).json({ error: "invalid_permissions", message: error.message });
+      }
+
+      const batch = db.batch();
+      batch.update(db.collection("users").doc(userId), {
+        permissions: user.permissions,
+        revokedPermissions: user.revokedPermissions,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastModifiedBy: req.user.uid,
+      });
+      recordAudit(batch, req, {
+        action: action === "grant" ? AUDIT_ACTIONS.USER_GRANT_PERMISSIONS : AUDIT_ACTIONS.USER_REVOKE_PERMISSIONS,
+        targetType: "user",
+        targetId: userId,
+        before,
+        after: { permissions: user.permissions, revokedPermissions: user.revokedPermissions },
+      });
+      await batch.commit();
+
+      res.json({
+        message: action === "grant" ? "Permissions granted" : "Permissions revoked",
+        ...describePermissions(user),
+      });
+    } catch (error) {
+      console.error(`Admin ${action} permissions error:`, error);
+      res.status(500).json({ error: "internal_error", message: error.message });
+    }
+  };
+}
+
+/**
+ * POST /admin/users/:userId/permissions/grant
+ * Give a user permissions (body: { permissions: [...] }), undoing revocations
+ */
+router.post("/users/:userId/permissions/grant", authenticate, requireAdmin, canManagePermissions,
+    changePermissions("grant"));
+
+/**
+ * POST /admin/users/:userId/permissions/revoke
+ * Take permissions away from a user (body: { permissions: [...] }), e.g.
+ * RENT_SPOT for a student banned from renting; the rest of the app still works
+ */
+router.post("/users/:userId/permissions/revoke", authenticate, requireAdmin, canManagePermissions,
+    changePermissions("revoke"));
+
 /**
  * DELETE /admin/users/:userId
- * Permanently delete a user and all related data
+ * Permanently delete a user and all related data: ends their tandem
+ * pairings and carpools, cancels and refunds upcoming rentals and
+ * anonymizes their rental history (see services/accountDeletion.js).
+ * The audit entry is written with the account's own documents; if that
+ * batch fails, the account is still there and deleting it again finishes
+ * the cascade. It holds only IDs and counts: the account's personal data
+ * would otherwise outlive the deletion in the append-only log.
+ * With ?dryRun=true nothing is deleted; the response shows what would be.
  */
-router.delete("/users/:userId", authenticate, requireAdmin, async (req, res) => {
+router.delete("/users/:userId", authenticate, requireAdmin, canDeleteUsers, async (req, res) => {
   try {
     const { userId } = req.params;
-    const db = admin.firestore();
-    
-    // Delete user from Auth
-    await admin.auth().deleteUser(userId);
-    
-    // Delete from Firestore
-    const batch = db.batch();
-    batch.delete(db.collection("users").doc(userId));
-    batch.delete(db.collection("canvasData").doc(userId));
-    
-    // Delete API keys
-    const apiKeys = await db.collection("apiKeys").where("userId", "==", userId).get();
-    apiKeys.docs.forEach(doc => batch.delete(doc.ref));
-    
-    await batch.commit();
-    
-    res.json({ message: "User permanently deleted" });
-    
+    const dryRun = req.query.dryRun === "true";
+
+    const report = await deleteAccount(userId, {
+      dryRun,
+      audit: (batch, { account, tandem, carpool, rentals, notifications }) => recordAudit(batch, req, {
+        action: AUDIT_ACTIONS.USER_DELETE,
+        targetType: "user",
+        targetId: userId,
+        details: {
+          profileDeleted: account.profile,
+          apiKeysDeleted: account.apiKeys,
+          dataExportsDeleted: account.dataExports,
+          pairingsEnded: tandem.pairings.map((p) => p.pairingId),
+          carpoolsDisbanded: carpool.disbandedGroups.map((g) => g.carpoolId),
+          carpoolsLeft: carpool.leftGroups.map((g) => g.carpoolId),
+          rentalsCancelled: rentals.cancelledRentals.map((r) => r.rentalId),
+          notificationsSent: notifications.length,
+        },
+      }),
+    });
+    if (dryRun) {
+      return res.json({ message: "Dry run: nothing was deleted", ...report });
+    }
+
+    res.json({ message: "User permanently deleted", ...report });
   } catch (error) {
     console.error("Admin delete user error:", error);
     res.status(500).json({ error: "internal_error", message: error.message });
   }
 });
 
+/**
+ * POST /admin/users/roster
+ * Import the school roster: { students: [{ email, grade }] } for this school
+ * year. Sets the grade of existing accounts and of students who sign up
+ * later (see services/studentGrades.js). Invalid entries are skipped and
+ * listed in the response.
+ */
+router.post("/users/roster", authenticate, requireAdmin, canEditUsers, async (req, res) => {
+  try {
+    const result = await importRoster(req.body.students, {
+      importedBy: req.user.uid,
+      audit: (batch, details) => recordAudit(batch, req, {
+        action: AUDIT_ACTIONS.USER_ROSTER_IMPORT,
+        targetType: "roster",
+        targetId: null,
+        details,
+      }),
+    });
+
+    res.json({ message: "Roster imported successfully", ...result });
+  } catch (error) {
+    // Plain Errors come from roster validation
+    if (error.constructor === Error) {
+      return res.status(400).json({ error: "invalid_roster", message: error.message });
+    }
+    console.error("Admin roster import error:", error);
+    res.status(500).json({ error: "internal_error", message: error.message });
+  }
+});
+
 // ==================== PARKING SPOT MANAGEMENT ====================
 
 /**
  * GET /admin/spots
  * List all parking spots with filters
  */
-router.get("/spots", authenticate, requireAdmin, async (req, res) => {
+router.get("/spots", authenticate, requireAdmin, canViewSpots, async (req, res) => {
   try {
     const { lot, type, available } = req.query;
     const db = admin.firestore();
@@ -268,7 +502,7 @@ router.get("/spots", authenticate, requireAdmin, async (req, res) => {
  * POST /admin/spots
  * Create new parking spot
  */
-router.post("/spots", authenticate, requireAdmin, async (req, res) => {
+router.post("/spots", authenticate, requireAdmin, canEditSpots, async (req, res) => {
   try {
     const spotData = {
       ...req.body,
@@ -277,7 +511,16 @@ router.post("/spots", authenticate, requireAdmin, async (req, res) => {
     };
     
     const db = admin.firestore();
-    const docRef = await db.collection("parkingSpots").add(spotData);
+    const docRef = db.collection("parkingSpots").doc();
+    const batch = db.batch();
+    batch.set(docRef, spotData);
+    recordAudit(batch, req, {
+      action: AUDIT_ACTIONS.SPOT_CREATE,
+      targetType: "spot",
+      targetId: docRef.id,
+      after: updatedDocument(null, spotData),
+    });
+    await batch.commit();
     const newDoc = await docRef.get();
     
     res.status(201).json({
@@ -295,7 +538,7 @@ router.post("/spots", authenticate, requireAdmin, async (req, res) => {
  * PUT /admin/spots/:spotId
  * Update parking spot
  */
-router.put("/spots/:spotId", authenticate, requireAdmin, async (req, res) => {
+router.put("/spots/:spotId", authenticate, requireAdmin, canEditSpots, async (req, res) => {
   try {
     const { spotId } = req.params;
     const updates = {
@@ -305,9 +548,20 @@ router.put("/spots/:spotId", authenticate, requireAdmin, async (req, res) => {
     };
     
     const db = admin.firestore();
-    await db.collection("parkingSpots").doc(spotId).update(updates);
-    
-    const updatedDoc = await db.collection("parkingSpots").doc(spotId).get();
+    const spotRef = db.collection("parkingSpots").doc(spotId);
+    const beforeDoc = await spotRef.get();
+    const batch = db.batch();
+    batch.update(spotRef, updates);
+    recordAudit(batch, req, {
+      action: AUDIT_ACTIONS.SPOT_UPDATE,
+      targetType: "spot",
+      targetId: spotId,
+      before: beforeDoc.data(),
+      after: updatedDocument(beforeDoc.data(), updates),
+    });
+    await batch.commit();
+
+    const updatedDoc = await spotRef.get();
     
     res.json({
       message: "Spot updated",
@@ -324,12 +578,24 @@ router.put("/spots/:spotId", authenticate, requireAdmin, async (req, res) => {
  * DELETE /admin/spots/:spotId
  * Delete parking spot
  */
-router.delete("/spots/:spotId", authenticate, requireAdmin, async (req, res) => {
+router.delete("/spots/:spotId", authenticate, requireAdmin, canDeleteSpots, async (req, res) => {
   try {
     const { spotId } = req.params;
     const db = admin.firestore();
     
-    await db.collection("parkingSpots").doc(spotId).delete();
+    const spotRef = db.collection("parkingSpots").doc(spotId);
+    const spotDoc = await spotRef.get();
+    const batch = db.batch();
+    batch.delete(spotRef);
+    if (spotDoc.exists) {
+      recordAudit(batch, req, {
+        action: AUDIT_ACTIONS.SPOT_DELETE,
+        targetType: "spot",
+        targetId: spotId,
+        before: spotDoc.data(),
+      });
+    }
+    await batch.commit();
     
     res.json({ message: "Spot deleted" });
     
@@ -341,11 +607,27 @@ router.delete("/spots/:spotId", authenticate, requireAdmin, async (req, res) =>
 
 // ==================== APP CONTROL ====================
 
+/**
+ * Format a scheduled freeze for a response, with ISO date strings
+ * @param {Object} freeze - Entry of `scheduledFreezes`
+ * @return {Object}
+ */
+function formatScheduledFreeze(freeze) {
+  return {
+    freezeId: freeze.freezeId,
+    startsAt: toDate(freeze.startsAt).toISOString(),
+    endsAt: toDate(freeze.endsAt).toISOString(),
+    message: freeze.message || null,
+    scheduledBy: freeze.scheduledBy || null,
+  };
+}
+
 /**
  * GET /admin/system/status
- * Get app system status
+ * Get app system status: the manual freeze, scheduled freezes, and whether
+ * the app is frozen right now (`current`)
  */
-router.get("/system/status", authenticate, requireAdmin, async (req, res) => {
+router.get("/system/status", authenticate, requireAdmin, canViewSystem, async (req, res) => {
   try {
     const db = admin.firestore();
     const statusDoc = await db.collection("system").doc("status").get();
@@ -354,8 +636,23 @@ router.get("/system/status", authenticate, requireAdmin, async (req, res) => {
       appActive: true,
       message: null
     };
+    const current = evaluateStatus(status);
+    const now = new Date();
     
-    res.json(status);
+    res.json({
+      ...status,
+      frozenUntil: toDate(status.frozenUntil),
+      scheduledFreezes: (status.scheduledFreezes || [])
+          .filter((freeze) => toDate(freeze.endsAt) > now)
+          .map(formatScheduledFreeze)
+          .sort((a, b) => a.startsAt.localeCompare(b.startsAt)),
+      current: {
+        frozen: current.frozen,
+        message: current.message,
+        frozenUntil: current.until,
+        freezeId: current.freezeId,
+      },
+    });
     
   } catch (error) {
     console.error("Admin get system status error:", error);
@@ -365,19 +662,42 @@ router.get("/system/status", authenticate, requireAdmin, async (req, res) => {
 
 /**
  * POST /admin/system/freeze
- * Freeze the app (disable user access)
+ * Freeze the app (disable user access). Optional `until` ends the freeze
+ * automatically.
  */
-router.post("/system/freeze", authenticate, requireAdmin, async (req, res) => {
+router.post("/system/freeze", authenticate, requireAdmin, canFreezeApp, async (req, res) => {
   try {
-    const { message } = req.body;
+    const { message, until } = req.body;
+    const frozenUntil = until ? toDate(until) : null;
+
+    if (until && (!frozenUntil || frozenUntil <= new Date())) {
+      return res.status(400).json({ error: "invalid_freeze", message: "until must be a date in the future" });
+    }
+
     const db = admin.firestore();
+    const statusRef = db.collection("system").doc("status");
+    const beforeDoc = await statusRef.get();
     
-    await db.collection("system").doc("status").set({
+    const freezeData = {
       appActive: false,
       frozenAt: admin.firestore.FieldValue.serverTimestamp(),
       frozenBy: req.user.uid,
+      frozenUntil,
       message: message || "App is temporarily unavailable for maintenance"
+    };
+
+    // Merge so scheduled freezes are kept
+    const batch = db.batch();
+    batch.set(statusRef, freezeData, { merge: true });
+    recordAudit(batch, req, {
+      action: AUDIT_ACTIONS.SYSTEM_FREEZE,
+      targetType: "system",
+      targetId: "status",
+      before: beforeDoc.exists ? beforeDoc.data() : {},
+      after: updatedDocument(beforeDoc.data(), freezeData),
     });
+    await batch.commit();
+    clearStatusCache();
     
     res.json({ message: "App frozen successfully" });
     
@@ -389,18 +709,40 @@ router.post("/system/freeze", authenticate, requireAdmin, async (req, res) => {
 
 /**
  * POST /admin/system/unfreeze
- * Unfreeze the app (re-enable user access)
+ * Unfreeze the app (re-enable user access). Also ends a scheduled freeze
+ * that is in progress; later scheduled freezes are kept.
  */
-router.post("/system/unfreeze", authenticate, requireAdmin, async (req, res) => {
+router.post("/system/unfreeze", authenticate, requireAdmin, canFreezeApp, async (req, res) => {
   try {
     const db = admin.firestore();
+    const statusRef = db.collection("system").doc("status");
+    const statusDoc = await statusRef.get();
+    const now = new Date();
+
+    // Drop scheduled freezes that have started (in progress or over)
+    const scheduledFreezes = ((statusDoc.exists && statusDoc.data().scheduledFreezes) || [])
+        .filter((freeze) => toDate(freeze.startsAt) > now);
     
-    await db.collection("system").doc("status").set({
+    const unfreezeData = {
       appActive: true,
       unfrozenAt: admin.firestore.FieldValue.serverTimestamp(),
       unfrozenBy: req.user.uid,
-      message: null
+      frozenUntil: null,
+      message: null,
+      scheduledFreezes,
+    };
+
+    const batch = db.batch();
+    batch.set(statusRef, unfreezeData, { merge: true });
+    recordAudit(batch, req, {
+      action: AUDIT_ACTIONS.SYSTEM_UNFREEZE,
+      targetType: "system",
+      targetId: "status",
+      before: statusDoc.exists ? statusDoc.data() : {},
+      after: updatedDocument(statusDoc.data(), unfreezeData),
     });
+    await batch.commit();
+    clearStatusCache();
     
     res.json({ message: "App unfrozen successfully" });
     
@@ -410,13 +752,621 @@ router.post("/system/unfreeze", authenticate, requireAdmin, async (req, res) =>
   }
 });
 
+/**
+ * POST /admin/system/scheduled-freezes
+ * Schedule a freeze for a maintenance window. Body: startsAt, endsAt and an
+ * optional message shown to users during the window.
+ */
+router.post("/system/scheduled-freezes", authenticate, requireAdmin, canFreezeApp, async (req, res) => {
+  try {
+    const { startsAt, endsAt, message } = req.body;
+    const start = toDate(startsAt);
+    const end = toDate(endsAt);
+
+    if (!start || !end) {
+      return res.status(400).json({ error: "invalid_freeze", message: "startsAt and endsAt must be valid dates" });
+    }
+    if (end <= start) {
+      return res.status(400).json({ error: "invalid_freeze", message: "endsAt must be after startsAt" });
+    }
+    if (end <= new Date()) {
+      return res.status(400).json({ error: "invalid_freeze", message: "endsAt must be in the future" });
+    }
+
+    const freeze = {
+      freezeId: crypto.randomUUID(),
+      startsAt: start,
+      endsAt: end,
+      message: message || "App is temporarily unavailable for maintenance",
+      scheduledBy: req.user.uid,
+    };
+
+    const db = admin.firestore();
+    const batch = db.batch();
+    batch.set(db.collection("system").doc("status"), {
+      scheduledFreezes: admin.firestore.FieldValue.arrayUnion(freeze),
+    }, { merge: true });
+    recordAudit(batch, req, {
+      action: AUDIT_ACTIONS.FREEZE_SCHEDULE,
+      targetType: "scheduledFreeze",
+      targetId: freeze.freezeId,
+      after: freeze,
+    });
+    await batch.commit();
+    clearStatusCache();
+
+    res.status(201).json({ message: "Freeze scheduled successfully", freeze: formatScheduledFreeze(freeze) });
+  } catch (error) {
+    console.error("Admin schedule freeze error:", error);
+    res.status(500).json({ error: "internal_error", message: error.message });
+  }
+});
+
+/**
+ * DELETE /admin/system/scheduled-freezes/:freezeId
+ * Cancel a scheduled freeze (or end one that is in progress)
+ */
+router.delete("/system/scheduled-freezes/:freezeId", authenticate, requireAdmin, canFreezeApp, async (req, res) => {
+  try {
+    const db = admin.firestore();
+    const statusRef = db.collection("system").doc("status");
+    const statusDoc = await statusRef.get();
+
+    const freeze = ((statusDoc.exists && statusDoc.data().scheduledFreezes) || [])
+        .find((f) => f.freezeId === req.params.freezeId);
+
+    if (!freeze) {
+      return res.status(404).json({ error: "not_found", message: "Scheduled freeze not found" });
+    }
+
+    const batch = db.batch();
+    batch.update(statusRef, {
+      scheduledFreezes: admin.firestore.FieldValue.arrayRemove(freeze),
+    });
+    recordAudit(batch, req, {
+      action: AUDIT_ACTIONS.FREEZE_CANCEL,
+      targetType: "scheduledFreeze",
+      targetId: freeze.freezeId,
+      before: freeze,
+    });
+    await batch.commit();
+    clearStatusCache();
+
+    res.json({ message: "Scheduled freeze cancelled successfully" });
+  } catch (error) {
+    console.error("Admin cancel scheduled freeze error:", error);
+    res.status(500).json({ error: "internal_error", message: error.message });
+  }
+});
+
+/**
+ * GET /admin/system/calendar
+ * Get the school-year calendar used to map dates to rotation days
+ */
+router.get("/system/calendar", authenticate, requireAdmin, canViewSystem, async (req, res) => {
+  try {
+    const calendar = await calendarService.getCalendar();
+
+    if (!calendar) {
+      return res.status(404).json({ error: "not_found", message: "No school calendar has been set" });
+    }
+
+    res.json(calendar);
+  } catch (error) {
+    console.error("Admin get calendar error:", error);
+    res.status(500).json({ error: "internal_error", message: error.message });
+  }
+});
+
+/**
+ * PUT /admin/system/calendar
+ * Replace the school-year calendar (start/end date, holidays, no-school
+ * days, special schedules)
+ */
+router.put("/system/calendar", authenticate, requireAdmin, canEditCalendar, async (req, res) => {
+  try {
+    const before = await calendarService.getCalendar();
+    const batch = admin.firestore().batch();
+    const summary = await calendarService.setCalendar(req.body, { updatedBy: req.user.uid, batch });
+    recordAudit(batch, req, {
+      action: AUDIT_ACTIONS.CALENDAR_UPDATE,
+      targetType: "calendar",
+      targetId: "current",
+      before: before || {},
+      after: { config: SchoolCalendarService.normalizeConfig(req.body), updatedBy: req.user.uid, summary },
+    });
+    await batch.commit();
+
+    res.json({ message: "School calendar updated successfully", summary });
+  } catch (error) {
+    // Plain Errors come from calendar validation
+    if (error.constructor === Error) {
+      return res.status(400).json({ error: "invalid_calendar", message: error.message });
+    }
+    console.error("Admin set calendar error:", error);
+    res.status(500).json({ error: "internal_error", message: error.message });
+  }
+});
+
+/**
+ * GET /admin/system/bell-schedules
+ * Get the alternate bell schedules (late start, assembly, finals) and the
+ * dates that use them
+ */
+router.get("/system/bell-schedules", authenticate, requireAdmin, canViewSystem, async (req, res) => {
+  try {
+    const bellSchedules = await calendarService.getBellSchedules();
+
+    if (!bellSchedules) {
+      return res.status(404).json({ error: "not_found", message: "No alternate bell schedules have been set" });
+    }
+
+    res.json(bellSchedules);
+  } catch (error) {
+    console.error("Admin get bell schedules error:", error);
+    res.status(500).json({ error: "internal_error", message: error.message });
+  }
+});
+
+/**
+ * PUT /admin/system/bell-schedules
+ * Replace the alternate bell schedules with the JSON the deans' office
+ * publishes for the school year. Schedules uploaded before this keep
+ * regular bell times until they are uploaded again.
+ */
+router.put("/system/bell-schedules", authenticate, requireAdmin, canEditCalendar, async (req, res) => {
+  try {
+    const before = await calendarService.getBellSchedules();
+    const batch = admin.firestore().batch();
+    const summary = await calendarService.setBellSchedules(req.body, { updatedBy: req.user.uid, batch });
+    recordAudit(batch, req, {
+      action: AUDIT_ACTIONS.BELL_SCHEDULES_UPDATE,
+      targetType: "calendar",
+      targetId: "bellSchedules",
+      before: before || {},
+      after: { schedules: req.body, updatedBy: req.user.uid, summary },
+    });
+    await batch.commit();
+
+    res.json({ message: "Alternate bell schedules updated successfully", summary });
+  } catch (error) {
+    // Plain Errors come from bell schedule validation
+    if (error.constructor === Error) {
+      return res.status(400).json({ error: "invalid_bell_schedules", message: error.message });
+    }
+    console.error("Admin set bell schedules error:", error);
+    res.status(500).json({ error: "internal_error", message: error.message });
+  }
+});
+
+// ==================== TANDEM ASSIGNMENTS ====================
+
+/**
+ * POST /admin/tandem/assignments
+ * Propose the best overall tandem pairing for a grade and/or lot.
+ * Nothing is paired until the proposal is committed.
+ */
+router.post("/tandem/assignments", authenticate, requireAdmin, canAssign, async (req, res) => {
+  try {
+    const { gradeLevel, lot, maximizePairs } = req.body;
+
+    const batch = admin.firestore().batch();
+    const assignment = await tandemService.proposeAssignment({
+      gradeLevel: gradeLevel || null,
+      lot: lot || null,
+      maximizePairs: maximizePairs !== false,
+      createdBy: req.user.uid,
+      batch,
+    });
+    recordAudit(batch, req, {
+      action: AUDIT_ACTIONS.TANDEM_ASSIGNMENT_PROPOSE,
+      targetType: "tandemAssignment",
+      targetId: assignment.assignmentId,
+      after: assignment.toJSON(),
+    });
+    await batch.commit();
+
+    res.status(201).json(assignment.toJSON());
+  } catch (error) {
+    sendServiceError(res, error, "Failed to propose tandem assignment");
+  }
+});
+
+/**
+ * GET /admin/tandem/assignments
+ * List tandem assignment proposals, newest first (optional ?status=)
+ */
+router.get("/tandem/assignments", authenticate, requireAdmin, canAssign, async (req, res) => {
+  try {
+    const assignments = await tandemService.listAssignments({ status: req.query.status || null });
+
+    res.json({ assignments: assignments.map((a) => a.toJSON()) });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to list tandem assignments");
+  }
+});
+
+/**
+ * GET /admin/tandem/assignments/:assignmentId
+ * Get one tandem assignment proposal
+ */
+router.get("/tandem/assignments/:assignmentId", authenticate, requireAdmin, canAssign, async (req, res) => {
+  try {
+    const assignment = await tandemService.getAssignment(req.params.assignmentId);
+
+    res.json(assignment.toJSON());
+  } catch (error) {
+    sendServiceError(res, error, "Failed to get tandem assignment");
+  }
+});
+
+/**
+ * POST /admin/tandem/assignments/:assignmentId/commit
+ * Approve a proposal and create its tandem pairings. Pairs that are no
+ * longer valid are skipped and listed in the response.
+ */
+router.post("/tandem/assignments/:assignmentId/commit", authenticate, requireAdmin, canAssign, async (req, res) => {
+  try {
+    const before = await tandemService.getAssignment(req.params.assignmentId);
+    const batch = admin.firestore().batch();
+    const { assignment, pairings } = await tandemService.commitAssignment(
+        req.params.assignmentId,
+        { reviewedBy: req.user.uid, batch },
+    );
+    recordAudit(batch, req, {
+      action: AUDIT_ACTIONS.TANDEM_ASSIGNMENT_COMMIT,
+      targetType: "tandemAssignment",
+      targetId: assignment.assignmentId,
+      before: before.toJSON(),
+      after: assignment.toJSON(),
+    });
+    await batch.commit();
+
+    res.json({
+      assignment: assignment.toJSON(),
+      pairings: pairings.map((p) => p.toJSON()),
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to commit tandem assignment");
+  }
+});
+
+/**
+ * POST /admin/tandem/assignments/:assignmentId/discard
+ * Reject a proposal
+ */
+router.post("/tandem/assignments/:assignmentId/discard", authenticate, requireAdmin, canAssign, async (req, res) => {
+  try {
+    const before = await tandemService.getAssignment(req.params.assignmentId);
+    const batch = admin.firestore().batch();
+    const assignment = await tandemService.discardAssignment(
+        req.params.assignmentId,
+        { reviewedBy: req.user.uid, batch },
+    );
+    recordAudit(batch, req, {
+      action: AUDIT_ACTIONS.TANDEM_ASSIGNMENT_DISCARD,
+      targetType: "tandemAssignment",
+      targetId: assignment.assignmentId,
+      before: before.toJSON(),
+      after: assignment.toJSON(),
+    });
+    await batch.commit();
+
+    res.json(assignment.toJSON());
+  } catch (error) {
+    sendServiceError(res, error, "Failed to discard tandem assignment");
+  }
+});
+
+// ==================== REPORTS ====================
+
+/**
+ * GET /admin-panel/reports
+ * List blocked-spot reports, newest first (optional ?status=)
+ */
+router.get("/reports", authenticate, requireAdmin, canReviewReports, async (req, res) => {
+  try {
+    const reports = await rentalService.listReports({ status: req.query.status || null });
+
+    res.json({ reports: reports.map((r) => r.toJSON()) });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to list reports");
+  }
+});
+
+/**
+ * POST /admin-panel/reports/:reportId/resolve
+ * Fine the user the admin identified as the blocker and ban the plate
+ * until the fine is paid
+ */
+router.post("/reports/:reportId/resolve", authenticate, requireAdmin, canReviewReports, async (req, res) => {
+  try {
+    const { blockerUserId, licensePlate } = req.body;
+
+    if (!blockerUserId) {
+      return res.status(400).json({ error: "blockerUserId is required" });
+    }
+
+    const blockerDoc = await admin.firestore().collection("users").doc(blockerUserId).get();
+    if (!blockerDoc.exists) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const before = await rentalService.getReport(req.params.reportId);
+    const batch = admin.firestore().batch();
+    const { report, penalty } = await rentalService.resolveReport(req.params.reportId, {
+      reviewedBy: req.user.uid,
+      blockerUserId,
+      licensePlate: licensePlate || null,
+      batch,
+    });
+    recordAudit(batch, req, {
+      action: AUDIT_ACTIONS.REPORT_RESOLVE,
+      targetType: "report",
+      targetId: report.reportId,
+      before: before.toJSON(),
+      after: report.toJSON(),
+      details: { penalty: penalty.toJSON() },
+    });
+    await batch.commit();
+
+    res.json({ report: report.toJSON(), penalty: penalty.toJSON() });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to resolve report");
+  }
+});
+
+/**
+ * POST /admin-panel/reports/:reportId/dismiss
+ * Close a report without fining anyone
+ */
+router.post("/reports/:reportId/dismiss", authenticate, requireAdmin, canReviewReports, async (req, res) => {
+  try {
+    const before = await rentalService.getReport(req.params.reportId);
+    const batch = admin.firestore().batch();
+    const report = await rentalService.dismissReport(req.params.reportId, { reviewedBy: req.user.uid, batch });
+    recordAudit(batch, req, {
+      action: AUDIT_ACTIONS.REPORT_DISMISS,
+      targetType: "report",
+      targetId: report.reportId,
+      before: before.toJSON(),
+      after: report.toJSON(),
+      details: req.body.reason ? { reason: req.body.reason } : null,
+    });
+    await batch.commit();
+
+    res.json(report.toJSON());
+  } catch (error) {
+    sendServiceError(res, error, "Failed to dismiss report");
+  }
+});
+
+// ==================== ADMIN ROLES ====================
+
+/**
+ * Format an admins document for the admin list
+ * @param {Object} doc - Firestore document snapshot
+ * @return {Object}
+ */
+function formatAdmin(doc) {
+  const data = doc.data();
+  return {
+    userId: doc.id,
+    role: data.role || null,
+    // Legacy role names are shown as the role they now map to
+    effectiveRole: normalizeRole(data.role),
+    active: data.active === true,
+    user: data.user || null,
+    createdAt: toDate(data.createdAt)?.toISOString() || null,
+    createdBy: data.createdBy || null,
+    updatedAt: toDate(data.updatedAt)?.toISOString() || null,
+    updatedBy: data.updatedBy || null,
+  };
+}
+
+/**
+ * GET /admin/roles
+ * List the admin roles and the actions each allows, and the caller's own
+ * role and actions (so the panel can hide what they can't do). Any admin.
+ */
+router.get("/roles", authenticate, requireAdmin, (req, res) => {
+  res.json({
+    roles: Object.values(ADMIN_ROLES).map((role) => ({ role, actions: ROLE_ACTIONS[role] })),
+    actions: Object.values(ADMIN_ACTIONS),
+    you: {
+      role: req.adminRole || null,
+      effectiveRole: normalizeRole(req.adminRole),
+      actions: actionsForRole(req.adminRole),
+    },
+  });
+});
+
+/**
+ * GET /admin/admins
+ * List admins and their roles
+ */
+router.get("/admins", authenticate, requireAdmin, canManageAdmins, async (req, res) => {
+  try {
+    const snapshot = await admin.firestore().collection("admins").get();
+
+    res.json({ admins: snapshot.docs.map(formatAdmin) });
+  } catch (error) {
+    console.error("Admin list admins error:", error);
+    res.status(500).json({ error: "internal_error", message: error.message });
+  }
+});
+
+/**
+ * PUT /admin/admins/:userId
+ * Make a user an admin or change an admin's role (body: { role, active }).
+ * The user must already have an account. Admins can't change their own role;
+ * since only super admins manage admins, at least one always remains.
+ */
+router.put("/admins/:userId", authenticate, requireAdmin, canManageAdmins, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role, active } = req.body;
+    const db = admin.firestore();
+
+    if (!Object.values(ADMIN_ROLES).includes(role)) {
+      return res.status(400).json({
+        error: "invalid_role",
+        message: `role must be one of: ${Object.values(ADMIN_ROLES).join(", ")}`,
+      });
+    }
+    if (active !== undefined && typeof active !== "boolean") {
+      return res.status(400).json({ error: "invalid_role", message: "active must be a boolean" });
+    }
+    if (userId === req.user.uid) {
+      return res.status(403).json({ error: "forbidden", message: "You can't change your own admin role" });
+    }
+
+    const [adminDoc, userDoc] = await Promise.all([
+      db.collection("admins").doc(userId).get(),
+      db.collection("users").doc(userId).get(),
+    ]);
+    if (!userDoc.exists) {
+      return res.status(404).json({ error: "not_found", message: "User not found" });
+    }
+
+    const userData = userDoc.data();
+    const update = {
+      role,
+      active: active !== undefined ? active : (!adminDoc.exists || adminDoc.data().active === true),
+      user: { uid: userId, email: userData.email || null, name: userData.name || null },
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedBy: req.user.uid,
+    };
+    if (!adminDoc.exists) {
+      update.permissions = [];
+      update.createdAt = admin.firestore.FieldValue.serverTimestamp();
+      update.createdBy = req.user.uid;
+    }
+    const batch = db.batch();
+    batch.set(db.collection("admins").doc(userId), update, { merge: true });
+    recordAudit(batch, req, {
+      action: AUDIT_ACTIONS.ADMIN_SET_ROLE,
+      targetType: "admin",
+      targetId: userId,
+      before: adminDoc.exists ? adminDoc.data() : null,
+      after: updatedDocument(adminDoc.data(), update),
+    });
+    await batch.commit();
+
+    const updatedDoc = await db.collection("admins").doc(userId).get();
+
+    res.status(adminDoc.exists ? 200 : 201).json({
+      message: adminDoc.exists ? "Admin updated" : "Admin added",
+      admin: formatAdmin(updatedDoc),
+    });
+  } catch (error) {
+    console.error("Admin set role error:", error);
+    res.status(500).json({ error: "internal_error", message: error.message });
+  }
+});
+
+/**
+ * DELETE /admin/admins/:userId
+ * Remove a user's admin access. Their app account is kept.
+ */
+router.delete("/admins/:userId", authenticate, requireAdmin, canManageAdmins, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const db = admin.firestore();
+
+    if (userId === req.user.uid) {
+      return res.status(403).json({ error: "forbidden", message: "You can't remove your own admin access" });
+    }
+
+    const adminDoc = await db.collection("admins").doc(userId).get();
+    if (!adminDoc.exists) {
+      return res.status(404).json({ error: "not_found", message: "Admin not found" });
+    }
+
+    const batch = db.batch();
+    batch.delete(db.collection("admins").doc(userId));
+    recordAudit(batch, req, {
+      action: AUDIT_ACTIONS.ADMIN_REMOVE,
+      targetType: "admin",
+      targetId: userId,
+      before: adminDoc.data(),
+    });
+    await batch.commit();
+
+    res.json({ message: "Admin removed", userId });
+  } catch (error) {
+    console.error("Admin remove admin error:", error);
+    res.status(500).json({ error: "internal_error", message: error.message });
+  }
+});
+
+// ==================== AUDIT LOG ====================
+
+const AUDIT_PAGE_SIZE = 50;
+const AUDIT_MAX_PAGE_SIZE = 200;
+
+/**
+ * GET /admin/audit
+ * List audit log entries, newest first. Filters: actorId, action,
+ * targetType, targetId, from and to (dates). Pages with `limit` and the
+ * `nextCursor` from the previous page as `cursor`.
+ */
+router.get("/audit", authenticate, requireAdmin, canViewAudit, async (req, res) => {
+  try {
+    const { actorId, action, targetType, targetId, from, to, cursor } = req.query;
+    const limit = req.query.limit === undefined ? AUDIT_PAGE_SIZE : parseInt(req.query.limit, 10);
+    const since = from ? toDate(from) : null;
+    const until = to ? toDate(to) : null;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > AUDIT_MAX_PAGE_SIZE) {
+      return res.status(400).json({
+        error: "invalid_query",
+        message: `limit must be between 1 and ${AUDIT_MAX_PAGE_SIZE}`,
+      });
+    }
+    if ((from && !since) || (to && !until)) {
+      return res.status(400).json({ error: "invalid_query", message: "from and to must be valid dates" });
+    }
+
+    const db = admin.firestore();
+    let query = db.collection(AUDIT_COLLECTION);
+
+    if (actorId) query = query.where("actorId", "==", actorId);
+    if (action) query = query.where("action", "==", action);
+    if (targetType) query = query.where("targetType", "==", targetType);
+    if (targetId) query = query.where("targetId", "==", targetId);
+    if (since) query = query.where("createdAt", ">=", admin.firestore.Timestamp.fromDate(since));
+    if (until) query = query.where("createdAt", "<=", admin.firestore.Timestamp.fromDate(until));
+    query = query.orderBy("createdAt", "desc");
+
+    if (cursor) {
+      const cursorDoc = await db.collection(AUDIT_COLLECTION).doc(cursor).get();
+      if (!cursorDoc.exists) {
+        return res.status(400).json({ error: "invalid_query", message: "cursor is not an audit entry" });
+      }
+      query = query.startAfter(cursorDoc);
+    }
+
+    const snapshot = await query.limit(limit).get();
+    const entries = snapshot.docs.map(formatAuditEntry);
+
+    res.json({
+      entries,
+      nextCursor: entries.length === limit ? entries[entries.length - 1].entryId : null,
+    });
+  } catch (error) {
+    console.error("Admin list audit log error:", error);
+    res.status(500).json({ error: "internal_error", message: error.message });
+  }
+});
+
 // ==================== ANALYTICS ====================
 
 /**
  * GET /admin/analytics/overview
  * Get comprehensive analytics overview
  */
-router.get("/analytics/overview", authenticate, requireAdmin, async (req, res) => {
+router.get("/analytics/overview", authenticate, requireAdmin, canViewAnalytics, async (req, res) => {
   try {
     const db = admin.firestore();
     
@@ -1,13 +1,38 @@
 const express = require("express");
 const router = express.Router();
 const admin = require("firebase-admin");
-const crypto = require("crypto");
-const { verifyFirebaseToken } = require("../middleware/auth");
+const { verifyFirebaseToken, requireVerifiedEmail } = require("../middleware/auth");
 const CanvasService = require("../services/canvasService");
+const {
+  AUTH_METHODS,
+  canvasConfig,
+  isOAuthConfigured,
+  credentialFields,
+  startAuthorization,
+  completeAuthorization,
+  revokeCanvasAccess,
+} = require("../services/canvasOAuth");
+const { syncCanvasData } = require("../services/canvasSync");
+const { refreshCanvasSchedule } = require("../services/canvasSchedule");
+const { gradeForNewAccount } = require("../services/studentGrades");
+const User = require("../../src/models/User");
+const { schoolDomains, normalizeEmail, isSchoolEmail } = require("../utils/schoolEmail");
+const {
+  API_KEY_SCOPES,
+  LEGACY_SCOPES,
+  DEFAULT_GRACE_HOURS,
+  MAX_GRACE_HOURS,
+  generateApiKey,
+  normalizeScopes,
+} = require("../utils/apiKeys");
 
 /**
  * POST /auth/signup
- * Create a new user account with email/password
+ * Create a new user account with a school email and password. The app can
+ * only be used once the email is verified: the client signs in with the
+ * returned custom token and sends the verification email with the Firebase
+ * client SDK. The grade comes from the school roster when the email is on
+ * it, otherwise from the student's first schedule upload.
  */
 router.post("/signup", async (req, res) => {
   try {
@@ -20,11 +45,18 @@ router.post("/signup", async (req, res) => {
       });
     }
 
+    if (!isSchoolEmail(email)) {
+      return res.status(400).json({
+        error: `Sign up with your school email address (${schoolDomains().join(", ")})`,
+      });
+    }
+
     // Create Firebase Auth user
     const userRecord = await admin.auth().createUser({
-      email,
+      email: normalizeEmail(email),
       password,
       displayName: name,
+      emailVerified: false,
     });
 
     // Create user document in Firestore
@@ -32,12 +64,12 @@ router.post("/signup", async (req, res) => {
     const userDoc = {
       userID: userRecord.uid,
       name,
-      email,
+      email: normalizeEmail(email),
       licensePlate: licensePlate || null,
       phoneNumber: phoneNumber || null,
-      userType: "STUDENT", // SECURITY: Always default to STUDENT, never accept from request
+      // SECURITY: The grade is never accepted from the request
+      ...await gradeForNewAccount(email),
       permissions: [],
-      canvasAccessToken: null,
       canvasDataLinked: false,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       updatedAt: admin.firestore.FieldValue.serverTimestamp(),
@@ -49,9 +81,10 @@ router.post("/signup", async (req, res) => {
     const customToken = await admin.auth().createCustomToken(userRecord.uid);
 
     res.status(201).json({
-      message: "User created successfully",
+      message: "User created successfully. Verify your email address to start using iTandem.",
       userId: userRecord.uid,
       customToken,
+      emailVerified: false,
       user: userDoc,
     });
   } catch (error) {
@@ -101,7 +134,7 @@ router.post("/login", async (req, res) => {
     res.json({
       message: "User found",
       userId: userRecord.uid,
-      user: userDoc.data(),
+      user: User.redactDocument(userDoc.data()),
     });
   } catch (error) {
     console.error("Login error:", error);
@@ -119,12 +152,118 @@ router.post("/login", async (req, res) => {
   }
 });
 
+/**
+ * Fetch a newly linked Canvas account's data and mark the account linked
+ * @param {string} userId
+ * @param {CanvasService} canvasService
+ * @param {Object} [credentials] - users fields to store with the link
+ * @return {Promise<Object>} Response body
+ */
+async function linkCanvasAccount(userId, canvasService, credentials = {}) {
+  // Stores the Canvas data in the canvasData collection
+  const { canvasData, changes } = await syncCanvasData(userId, canvasService);
+  const canvasProfile = canvasData.profile;
+
+  await admin.firestore().collection("users").doc(userId).update({
+    ...credentials,
+    canvasDataLinked: true,
+    canvasUserId: canvasProfile.id,
+    canvasUserName: canvasProfile.name,
+    canvasEmail: canvasProfile.primary_email || canvasProfile.email,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  // Students without a schedule PDF get one derived from their courses
+  const derived = await refreshCanvasSchedule(userId, changes);
+
+  return {
+    canvasProfile: {
+      id: canvasProfile.id,
+      name: canvasProfile.name,
+      email: canvasProfile.primary_email || canvasProfile.email,
+      avatarUrl: canvasProfile.avatar_url,
+    },
+    dataFetched: {
+      coursesCount: canvasData.courses?.length || 0,
+      upcomingEventsCount: canvasData.calendar?.length || 0,
+      assignmentsCount: canvasData.assignments?.length || 0,
+    },
+    scheduleFromCanvas: derived ? { unconfirmed: derived.parsed.unconfirmed } : null,
+  };
+}
+
+/**
+ * GET /auth/canvas/authorize
+ * Start linking Canvas with OAuth2: returns the Canvas URL to send the
+ * user to. Canvas redirects back to CANVAS_REDIRECT_URI with `code` and
+ * `state` for POST /auth/canvas/callback; the state expires in 10 minutes.
+ */
+router.get("/canvas/authorize", verifyFirebaseToken, requireVerifiedEmail, async (req, res) => {
+  try {
+    if (!isOAuthConfigured()) {
+      return res.status(503).json({
+        error: "Canvas sign-in is not configured",
+      });
+    }
+
+    const authorization = await startAuthorization(req.userId);
+
+    res.json(authorization);
+  } catch (error) {
+    console.error("Canvas authorization start error:", error);
+    res.status(500).json({
+      error: "Failed to start Canvas authorization",
+    });
+  }
+});
+
+/**
+ * POST /auth/canvas/callback
+ * Finish linking Canvas with the `code` and `state` Canvas redirected back
+ * with. The state must have been issued to the same user.
+ */
+router.post("/canvas/callback", verifyFirebaseToken, requireVerifiedEmail, async (req, res) => {
+  const { code, state, error: canvasError } = req.body;
+
+  if (canvasError) {
+    return res.status(400).json({
+      error: canvasError === "access_denied" ?
+        "Canvas access was denied" :
+        `Canvas authorization failed: ${canvasError}`,
+    });
+  }
+
+  let canvasService;
+  try {
+    canvasService = await completeAuthorization(req.userId, { code, state });
+  } catch (error) {
+    return res.status(400).json({
+      error: error.message,
+    });
+  }
+
+  try {
+    const linked = await linkCanvasAccount(req.userId, canvasService);
+
+    res.json({
+      message: "Canvas account linked successfully",
+      ...linked,
+    });
+  } catch (error) {
+    console.error("Canvas link error:", error);
+    res.status(500).json({
+      error: "Failed to link Canvas account",
+      details: error.message,
+    });
+  }
+});
+
 /**
  * POST /auth/canvas-token
- * Store Canvas access token for the authenticated user
- * This allows the system to fetch Canvas data on behalf of the user
+ * Deprecated: link Canvas with a pasted personal access token. Use the
+ * OAuth2 flow (GET /auth/canvas/authorize) instead.
  */
-router.post("/canvas-token", verifyFirebaseToken, async (req, res) => {
+router.post("/canvas-token", verifyFirebaseToken, requireVerifiedEmail, async (req, res) => {
   try {
     const { canvasAccessToken } = req.body;
 
@@ -135,11 +274,11 @@ router.post("/canvas-token", verifyFirebaseToken, async (req, res) => {
     }
 
     // Verify the token works by fetching user profile
-    const canvasService = new CanvasService(canvasAccessToken);
-    let canvasProfile;
+    const config = canvasConfig();
+    const canvasService = new CanvasService(canvasAccessToken, config.apiBaseUrl, { maxPages: config.maxPages });
 
     try {
-      canvasProfile = await canvasService.getUserProfile();
+      await canvasService.getUserProfile();
     } catch (error) {
       return res.status(400).json({
         error: "Invalid Canvas access token",
@@ -147,41 +286,14 @@ router.post("/canvas-token", verifyFirebaseToken, async (req, res) => {
       });
     }
 
-    // Fetch comprehensive Canvas data
-    const canvasData = await canvasService.getComprehensiveUserData();
-
-    const db = admin.firestore();
-
-    // Store Canvas token in user document (encrypted in production)
-    await db.collection("users").doc(req.userId).update({
-      canvasAccessToken,
-      canvasDataLinked: true,
-      canvasUserId: canvasProfile.id,
-      canvasUserName: canvasProfile.name,
-      canvasEmail: canvasProfile.primary_email || canvasProfile.email,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
-
-    // Store comprehensive Canvas data in separate collection
-    await db.collection("canvasData").doc(req.userId).set({
-      userId: req.userId,
-      ...canvasData,
-      tokenLastVerified: admin.firestore.FieldValue.serverTimestamp(),
+    const linked = await linkCanvasAccount(req.userId, canvasService, {
+      ...await credentialFields(req.userId, { accessToken: canvasAccessToken }),
+      canvasAuthMethod: AUTH_METHODS.TOKEN,
     });
 
     res.json({
       message: "Canvas access token stored successfully",
-      canvasProfile: {
-        id: canvasProfile.id,
-        name: canvasProfile.name,
-        email: canvasProfile.primary_email || canvasProfile.email,
-        avatarUrl: canvasProfile.avatar_url,
-      },
-      dataFetched: {
-        coursesCount: canvasData.courses?.length || 0,
-        upcomingEventsCount: canvasData.calendar?.length || 0,
-        assignmentsCount: canvasData.assignments?.length || 0,
-      },
+      ...linked,
     });
   } catch (error) {
     console.error("Canvas token storage error:", error);
@@ -192,6 +304,34 @@ router.post("/canvas-token", verifyFirebaseToken, async (req, res) => {
   }
 });
 
+/**
+ * DELETE /auth/canvas-token
+ * Unlink Canvas: revokes the OAuth token at Canvas and deletes the stored
+ * credentials. Cached Canvas data stays until the account is deleted.
+ */
+router.delete("/canvas-token", verifyFirebaseToken, async (req, res) => {
+  try {
+    const wasLinked = await revokeCanvasAccess(req.userId);
+
+    if (!wasLinked) {
+      return res.status(404).json({
+        error: "Canvas account not linked",
+      });
+    }
+
+    res.json({
+      message: "Canvas access revoked",
+      canvasLinked: false,
+    });
+  } catch (error) {
+    console.error("Canvas revoke error:", error);
+    res.status(500).json({
+      error: "Failed to revoke Canvas access",
+      details: error.message,
+    });
+  }
+});
+
 /**
  * GET /auth/canvas-token
  * Check if user has linked Canvas account
@@ -213,6 +353,7 @@ router.get("/canvas-token", verifyFirebaseToken, async (req, res) => {
       canvasLinked: userData.canvasDataLinked || false,
       canvasUserId: userData.canvasUserId || null,
       canvasUserName: userData.canvasUserName || null,
+      canvasAuthMethod: userData.canvasAuthMethod || null,
     });
   } catch (error) {
     console.error("Canvas token check error:", error);
@@ -222,16 +363,80 @@ router.get("/canvas-token", verifyFirebaseToken, async (req, res) => {
   }
 });
 
+/**
+ * Describe a stored API key for the key list (never the hash or salt)
+ * @param {Object} doc - apiKeys document snapshot
+ * @return {Object}
+ */
+function formatApiKey(doc) {
+  const data = doc.data();
+  const now = new Date();
+
+  let status = "active";
+  if (!data.active) {
+    status = "revoked";
+  } else if (data.expiresAt && data.expiresAt.toDate() < now) {
+    status = "expired";
+  } else if (data.graceUntil) {
+    status = data.graceUntil.toDate() < now ? "rotated" : "rotating";
+  }
+
+  return {
+    id: doc.id,
+    name: data.name,
+    status,
+    active: data.active,
+    scopes: data.scopes || [],
+    createdAt: data.createdAt?.toDate().toISOString(),
+    expiresAt: data.expiresAt?.toDate().toISOString() || null,
+    lastUsedAt: data.lastUsedAt?.toDate().toISOString() || null,
+    graceUntil: data.graceUntil?.toDate().toISOString() || null,
+    replacedBy: data.replacedBy || null,
+    // Only the visible prefix; the key itself is never stored
+    keyPreview: data.prefix ? `itk_${data.prefix}_...` : null,
+  };
+}
+
+/**
+ * Create and store a new API key for a user
+ * @param {Object} db - Firestore instance
+ * @param {Object} fields - userId, name, scopes, expiresAt, rotatedFrom
+ * @return {Promise<{apiKey: string, apiKeyId: string}>}
+ */
+async function createApiKey(db, { userId, name, scopes, expiresAt, rotatedFrom = null }) {
+  const { key, prefix, salt, hash } = generateApiKey();
+
+  const docRef = await db.collection("apiKeys").add({
+    userId,
+    prefix,
+    salt,
+    hash,
+    name,
+    scopes,
+    active: true,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    expiresAt,
+    lastUsedAt: null,
+    rotatedFrom,
+  });
+
+  return { apiKey: key, apiKeyId: docRef.id };
+}
+
 /**
  * POST /auth/generate-api-key
- * Generate API key for mobile app access
+ * Generate API key for mobile app access (verified school email required)
  */
-router.post("/generate-api-key", verifyFirebaseToken, async (req, res) => {
+router.post("/generate-api-key", verifyFirebaseToken, requireVerifiedEmail, async (req, res) => {
   try {
     const { name, expiresInDays } = req.body;
 
-    // Generate secure random API key
-    const apiKey = crypto.randomBytes(32).toString("hex");
+    let scopes;
+    try {
+      scopes = normalizeScopes(req.body.scopes || [API_KEY_SCOPES.READ]);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
     const db = admin.firestore();
 
@@ -243,30 +448,19 @@ router.post("/generate-api-key", verifyFirebaseToken, async (req, res) => {
       expiresAt = admin.firestore.Timestamp.fromDate(expirationDate);
     }
 
-    // Store API key in Firestore
-    const apiKeyDoc = {
+    // Only the prefix and a salted hash of the key are stored
+    const { apiKey, apiKeyId } = await createApiKey(db, {
       userId: req.userId,
-      key: apiKey,
       name: name || "Mobile App Key",
-      active: true,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      scopes,
       expiresAt,
-      lastUsedAt: null,
-    };
-
-    const docRef = await db.collection("apiKeys").add(apiKeyDoc);
-
-    // Also update user document with API key reference
-    await db.collection("users").doc(req.userId).update({
-      apiKey,
-      apiKeyId: docRef.id,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
     });
 
     res.json({
       message: "API key generated successfully",
       apiKey,
-      apiKeyId: docRef.id,
+      apiKeyId,
+      scopes,
       expiresAt: expiresAt ? expiresAt.toDate().toISOString() : null,
       warning: "Store this API key securely. It will not be shown again.",
     });
@@ -291,19 +485,7 @@ router.get("/api-keys", verifyFirebaseToken, async (req, res) => {
         .orderBy("createdAt", "desc")
         .get();
 
-    const apiKeys = apiKeysSnapshot.docs.map((doc) => {
-      const data = doc.data();
-      return {
-        id: doc.id,
-        name: data.name,
-        active: data.active,
-        createdAt: data.createdAt?.toDate().toISOString(),
-        expiresAt: data.expiresAt?.toDate().toISOString() || null,
-        lastUsedAt: data.lastUsedAt?.toDate().toISOString() || null,
-        // Don't return the actual key for security
-        keyPreview: data.key ? `${data.key.substring(0, 8)}...` : null,
-      };
-    });
+    const apiKeys = apiKeysSnapshot.docs.map(formatApiKey);
 
     res.json({
       apiKeys,
@@ -317,6 +499,78 @@ router.get("/api-keys", verifyFirebaseToken, async (req, res) => {
   }
 });
 
+/**
+ * POST /auth/api-keys/:keyId/rotate
+ * Replace an API key with a new one with the same name, scopes and expiry.
+ * The old key keeps working for a grace period (graceHours, default 24)
+ * so installed apps can switch over.
+ */
+router.post("/api-keys/:keyId/rotate", verifyFirebaseToken, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { keyId } = req.params;
+    const graceHours = req.body.graceHours ?? DEFAULT_GRACE_HOURS;
+
+    if (typeof graceHours !== "number" || graceHours < 0 || graceHours > MAX_GRACE_HOURS) {
+      return res.status(400).json({
+        error: `graceHours must be a number from 0 to ${MAX_GRACE_HOURS}`,
+      });
+    }
+
+    const db = admin.firestore();
+    const apiKeyDoc = await db.collection("apiKeys").doc(keyId).get();
+
+    if (!apiKeyDoc.exists) {
+      return res.status(404).json({
+        error: "API key not found",
+      });
+    }
+
+    const apiKeyData = apiKeyDoc.data();
+
+    if (apiKeyData.userId !== req.userId) {
+      return res.status(403).json({
+        error: "Forbidden - This API key belongs to another user",
+      });
+    }
+
+    if (!apiKeyData.active || apiKeyData.graceUntil) {
+      return res.status(409).json({
+        error: "API key has already been revoked or rotated",
+      });
+    }
+
+    const { apiKey, apiKeyId } = await createApiKey(db, {
+      userId: req.userId,
+      name: apiKeyData.name,
+      scopes: apiKeyData.scopes || LEGACY_SCOPES,
+      expiresAt: apiKeyData.expiresAt || null,
+      rotatedFrom: keyId,
+    });
+
+    const graceUntil = new Date(Date.now() + graceHours * 60 * 60 * 1000);
+    await apiKeyDoc.ref.update({
+      rotatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      graceUntil: admin.firestore.Timestamp.fromDate(graceUntil),
+      replacedBy: apiKeyId,
+    });
+
+    res.json({
+      message: "API key rotated successfully",
+      apiKey,
+      apiKeyId,
+      previousKeyId: keyId,
+      previousKeyValidUntil: graceUntil.toISOString(),
+      warning: "Store this API key securely. It will not be shown again.",
+    });
+  } catch (error) {
+    console.error("API key rotation error:", error);
+    res.status(500).json({
+      error: "Failed to rotate API key",
+      details: error.message,
+    });
+  }
+});
+
 /**
  * DELETE /auth/api-keys/:keyId
  * Revoke an API key
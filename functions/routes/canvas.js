@@ -2,7 +2,18 @@ const express = require("express");
 const router = express.Router();
 const admin = require("firebase-admin");
 const { authenticate } = require("../middleware/auth");
-const CanvasService = require("../services/canvasService");
+const { hasCanvasCredentials, canvasServiceFor } = require("../services/canvasOAuth");
+const { syncCanvasData } = require("../services/canvasSync");
+const {
+  SCHEDULE_SOURCES,
+  hasPdfSchedule,
+  validateConfirmations,
+  deriveCanvasSchedule,
+  summarize,
+  applyCanvasSchedule,
+  refreshCanvasSchedule,
+} = require("../services/canvasSchedule");
+const { sendServiceError } = require("../utils/serviceErrors");
 
 /**
  * GET /canvas/profile
@@ -21,14 +32,14 @@ router.get("/profile", authenticate, async (req, res) => {
 
     const userData = userDoc.data();
 
-    if (!userData.canvasAccessToken) {
+    if (!hasCanvasCredentials(userData)) {
       return res.status(400).json({
         error: "Canvas access token not configured",
         message: "Please link your Canvas account first",
       });
     }
 
-    const canvasService = new CanvasService(userData.canvasAccessToken);
+    const canvasService = await canvasServiceFor(req.userId, userData);
     const profile = await canvasService.getUserProfile();
 
     res.json({
@@ -60,13 +71,13 @@ router.get("/courses", authenticate, async (req, res) => {
 
     const userData = userDoc.data();
 
-    if (!userData.canvasAccessToken) {
+    if (!hasCanvasCredentials(userData)) {
       return res.status(400).json({
         error: "Canvas access token not configured",
       });
     }
 
-    const canvasService = new CanvasService(userData.canvasAccessToken);
+    const canvasService = await canvasServiceFor(req.userId, userData);
     const courses = await canvasService.getUserCourses();
 
     res.json({
@@ -99,7 +110,7 @@ router.get("/schedule", authenticate, async (req, res) => {
 
     const userData = userDoc.data();
 
-    if (!userData.canvasAccessToken) {
+    if (!hasCanvasCredentials(userData)) {
       return res.status(400).json({
         error: "Canvas access token not configured",
       });
@@ -110,7 +121,7 @@ router.get("/schedule", authenticate, async (req, res) => {
     const endDate = req.query.endDate ||
       new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
 
-    const canvasService = new CanvasService(userData.canvasAccessToken);
+    const canvasService = await canvasServiceFor(req.userId, userData);
     const calendar = await canvasService.getUserCalendar(startDate, endDate);
 
     res.json({
@@ -147,13 +158,13 @@ router.get("/assignments", authenticate, async (req, res) => {
 
     const userData = userDoc.data();
 
-    if (!userData.canvasAccessToken) {
+    if (!hasCanvasCredentials(userData)) {
       return res.status(400).json({
         error: "Canvas access token not configured",
       });
     }
 
-    const canvasService = new CanvasService(userData.canvasAccessToken);
+    const canvasService = await canvasServiceFor(req.userId, userData);
     const assignments = await canvasService.getUpcomingAssignments();
 
     res.json({
@@ -202,7 +213,8 @@ router.get("/data", authenticate, async (req, res) => {
 
 /**
  * POST /canvas/refresh
- * Refresh Canvas data from API and update cache
+ * Refresh Canvas data from API and update cache (the `syncCanvas`
+ * scheduled function also does this for every linked account)
  */
 router.post("/refresh", authenticate, async (req, res) => {
   try {
@@ -217,33 +229,23 @@ router.post("/refresh", authenticate, async (req, res) => {
 
     const userData = userDoc.data();
 
-    if (!userData.canvasAccessToken) {
+    if (!hasCanvasCredentials(userData)) {
       return res.status(400).json({
         error: "Canvas access token not configured",
       });
     }
 
-    const canvasService = new CanvasService(userData.canvasAccessToken);
-    const canvasData = await canvasService.getComprehensiveUserData();
+    const canvasService = await canvasServiceFor(req.userId, userData);
 
-    // Extract and store schedule information for matching algorithms
-    const scheduleInfo = CanvasService.extractScheduleInfo(canvasData);
-
-    // Update Canvas data in Firestore
-    await db.collection("canvasData").doc(req.userId).set({
-      userId: req.userId,
-      ...canvasData,
-      scheduleInfo,
-      tokenLastVerified: admin.firestore.FieldValue.serverTimestamp(),
-    });
-
-    // Update user document
-    await db.collection("users").doc(req.userId).update({
-      canvasDataLastRefreshed: admin.firestore.FieldValue.serverTimestamp(),
-    });
+    // Stores the sections that changed, including the schedule information
+    // for matching algorithms (services/canvasSync.js)
+    const { canvasData, scheduleInfo, changes } = await syncCanvasData(req.userId, canvasService);
+    // Students without a schedule PDF have theirs rebuilt from the courses
+    const derived = await refreshCanvasSchedule(req.userId);
 
     res.json({
       message: "Canvas data refreshed successfully",
+      changed: Object.keys(changes),
       dataFetched: {
         coursesCount: canvasData.courses?.length || 0,
         calendarEventsCount: canvasData.calendar?.length || 0,
@@ -254,6 +256,7 @@ router.post("/refresh", authenticate, async (req, res) => {
         coursesCount: scheduleInfo.courses?.length || 0,
         upcomingEventsCount: scheduleInfo.upcomingEvents?.length || 0,
       },
+      scheduleFromCanvas: derived ? { unconfirmed: derived.parsed.unconfirmed } : null,
     });
   } catch (error) {
     console.error("Canvas data refresh error:", error);
@@ -264,9 +267,31 @@ router.post("/refresh", authenticate, async (req, res) => {
   }
 });
 
+/**
+ * The rotation schedule derived from a student's Canvas courses, or only
+ * its source when they uploaded a schedule PDF instead
+ * @param {Object} userData - users document
+ * @param {Object} canvasData - canvasData document
+ * @return {Object}
+ */
+function canvasScheduleFor(userData, canvasData) {
+  if (hasPdfSchedule(userData)) {
+    return { source: SCHEDULE_SOURCES.PDF };
+  }
+  const parsed = deriveCanvasSchedule(userData, canvasData);
+  return {
+    source: SCHEDULE_SOURCES.CANVAS,
+    applied: userData.scheduleSource === SCHEDULE_SOURCES.CANVAS,
+    ...summarize(parsed),
+    warnings: parsed.warnings,
+  };
+}
+
 /**
  * GET /canvas/schedule-info
- * Get extracted schedule information for matching algorithms
+ * Get extracted schedule information for matching algorithms, and the
+ * rotation schedule derived from the student's Canvas courses when they
+ * have no schedule PDF, with the courses they need to confirm
  */
 router.get("/schedule-info", authenticate, async (req, res) => {
   try {
@@ -288,8 +313,11 @@ router.get("/schedule-info", authenticate, async (req, res) => {
       });
     }
 
+    const userDoc = await db.collection("users").doc(req.userId).get();
+
     res.json({
       scheduleInfo: canvasData.scheduleInfo,
+      schedule: canvasScheduleFor(userDoc.exists ? userDoc.data() : {}, canvasData),
     });
   } catch (error) {
     console.error("Schedule info fetch error:", error);
@@ -300,4 +328,39 @@ router.get("/schedule-info", authenticate, async (req, res) => {
   }
 });
 
+/**
+ * POST /canvas/schedule/confirm
+ * Confirm or correct the blocks of courses in the schedule derived from
+ * Canvas. Body: { confirmations: { "<Canvas course id>": block } }, where
+ * a block is 1-7, "CC", "DS", "M12", or null for a course that isn't a
+ * class. Answers are kept across syncs and the schedule is rebuilt.
+ */
+router.post("/schedule/confirm", authenticate, async (req, res) => {
+  try {
+    const { confirmations } = req.body;
+    const invalid = validateConfirmations(confirmations);
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid,
+      });
+    }
+
+    const { parsed, schedule, warnings } = await applyCanvasSchedule(req.userId, { confirmations });
+
+    res.json({
+      message: parsed.unconfirmed.length > 0 ?
+        "Schedule updated; some courses still need confirming" :
+        "Schedule confirmed",
+      schedule: {
+        source: SCHEDULE_SOURCES.CANVAS,
+        ...summarize(parsed),
+        days: schedule.days,
+      },
+      warnings,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to confirm Canvas schedule");
+  }
+});
+
 module.exports = router;
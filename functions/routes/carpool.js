@@ -0,0 +1,541 @@
+const express = require("express");
+const router = express.Router();
+const { authenticate, requirePermission } = require("../middleware/auth");
+const { Permission } = require("../../src/enums");
+const { carpoolService } = require("../services/domainServices");
+const { gradeLevelFor } = require("../services/studentGrades");
+const { sendServiceError } = require("../utils/serviceErrors");
+const { ServiceError, ERROR_CODES } = require("../../src/errors");
+
+/**
+ * Carpool Routes
+ * Thin HTTP layer over CarpoolService. The acting user always comes from
+ * `req.userId`, so driver-only operations (accept/decline, activate,
+ * complete, disband) are authorized by the service against the caller.
+ */
+
+// Permissions a user needs (see requirePermission in middleware/auth.js)
+const canJoinCarpool = requirePermission(Permission.JOIN_CARPOOL);
+
+/**
+ * Find the pending join request a user made for a carpool group.
+ * @param {string} carpoolId
+ * @param {string} requesterUserId
+ * @return {Promise<CarpoolRequest>}
+ */
+async function getPendingRequestFrom(carpoolId, requesterUserId) {
+  const pending = await carpoolService.getPendingRequests(carpoolId);
+  const request = pending.find((r) => r.requesterUserId === requesterUserId);
+
+  if (!request) {
+    throw new ServiceError(ERROR_CODES.NOT_FOUND, `Pending join request from user ${requesterUserId} not found`);
+  }
+  return request;
+}
+
+/**
+ * Load a carpool group with its member profiles, making sure the caller is
+ * its driver or one of its passengers. The profiles include home addresses
+ * and coordinates, which only the group's members may see.
+ * @param {string} carpoolId
+ * @param {string} userId
+ * @return {Promise<Object>} `{ group, driver, passengers }`
+ */
+async function getGroupDetailsForMember(carpoolId, userId) {
+  const group = await carpoolService.getGroup(carpoolId);
+  if (!group.isMember(userId)) {
+    throw new ServiceError(ERROR_CODES.FORBIDDEN, "Only the driver and passengers of this group can view it");
+  }
+  return carpoolService.getGroupDetails(carpoolId);
+}
+
+// ==================== PROFILE ====================
+
+/**
+ * POST /carpool/profile
+ * Register the current user's carpool profile (grade from their account)
+ */
+router.post("/profile", authenticate, canJoinCarpool, async (req, res) => {
+  try {
+    const {
+      homeCoordinates,
+      homeAddress,
+      isDriver,
+      vehicleMake,
+      vehicleModel,
+      vehicleYear,
+      vehicleMpgCity,
+      vehicleMpgHighway,
+      vehicleCapacity,
+      musicPreferences,
+      bio,
+    } = req.body;
+
+    const profile = await carpoolService.registerProfile({
+      userId: req.userId,
+      gradeLevel: await gradeLevelFor(req.userId),
+      homeCoordinates,
+      homeAddress,
+      isDriver,
+      vehicleMake,
+      vehicleModel,
+      vehicleYear,
+      vehicleMpgCity,
+      vehicleMpgHighway,
+      vehicleCapacity,
+      musicPreferences,
+      bio,
+    });
+
+    res.status(201).json({
+      message: "Carpool profile created successfully",
+      profile,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to create carpool profile");
+  }
+});
+
+/**
+ * GET /carpool/profile
+ * Get the current user's carpool profile
+ */
+router.get("/profile", authenticate, async (req, res) => {
+  try {
+    const profile = await carpoolService.getProfile(req.userId);
+
+    if (!profile) {
+      return res.status(404).json({
+        error: "Carpool profile not found",
+      });
+    }
+
+    res.json({
+      profile,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to retrieve carpool profile");
+  }
+});
+
+/**
+ * PUT /carpool/profile
+ * Update the current user's carpool profile
+ */
+router.put("/profile", authenticate, async (req, res) => {
+  try {
+    const { homeCoordinates, homeAddress, vehicle, musicPreferences, bio, isDriver } = req.body;
+
+    const profile = await carpoolService.updateProfile(req.userId, {
+      homeCoordinates,
+      homeAddress,
+      vehicle,
+      musicPreferences,
+      bio,
+      isDriver,
+    });
+
+    res.json({
+      message: "Carpool profile updated successfully",
+      profile,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to update carpool profile");
+  }
+});
+
+/**
+ * DELETE /carpool/profile
+ * Deactivate the current user's carpool profile (stop appearing in matches)
+ */
+router.delete("/profile", authenticate, async (req, res) => {
+  try {
+    const profile = await carpoolService.deactivateProfile(req.userId);
+
+    res.json({
+      message: "Carpool profile deactivated",
+      profile,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to deactivate carpool profile");
+  }
+});
+
+/**
+ * PUT /carpool/schedule
+ * Provide the current user's weekly schedule entries for matching
+ */
+router.put("/schedule", authenticate, async (req, res) => {
+  try {
+    const { schedule } = req.body;
+
+    if (!Array.isArray(schedule)) {
+      return res.status(400).json({
+        error: "schedule must be an array of schedule entries",
+      });
+    }
+
+    await carpoolService.setUserSchedule(req.userId, schedule);
+
+    res.json({
+      message: "Schedule updated successfully",
+      entriesCount: schedule.length,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to update schedule");
+  }
+});
+
+// ==================== MATCHES ====================
+
+/**
+ * GET /carpool/matches
+ * Get ranked list of compatible carpool partners
+ */
+router.get("/matches", authenticate, async (req, res) => {
+  try {
+    const { limit = 20, offset = 0, driversOnly } = req.query;
+    const matches = await carpoolService.findMatches(req.userId, {
+      driversOnly: driversOnly === "true",
+    });
+    const start = parseInt(offset);
+
+    res.json({
+      matches: matches.slice(start, start + parseInt(limit)),
+      total: matches.length,
+      limit: parseInt(limit),
+      offset: start,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to find carpool matches");
+  }
+});
+
+/**
+ * GET /carpool/matches/:userId
+ * Get compatibility between the current user and another user
+ */
+router.get("/matches/:userId", authenticate, async (req, res) => {
+  try {
+    const match = await carpoolService.getMatchBetween(req.userId, req.params.userId);
+
+    res.json({
+      match,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to compute carpool match");
+  }
+});
+
+// ==================== GROUPS ====================
+
+/**
+ * GET /carpool/open
+ * Browse open carpool groups that still have seats
+ */
+router.get("/open", authenticate, async (req, res) => {
+  try {
+    const groups = await carpoolService.getOpenGroups();
+
+    res.json({
+      groups,
+      count: groups.length,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to retrieve open carpool groups");
+  }
+});
+
+/**
+ * GET /carpool/current
+ * Get the current user's open carpool groups with member profiles
+ */
+router.get("/current", authenticate, async (req, res) => {
+  try {
+    const activeGroups = await carpoolService.getMyActiveGroups(req.userId);
+    const groups = await Promise.all(
+        activeGroups.map((group) => carpoolService.getGroupDetails(group.carpoolId)),
+    );
+
+    if (groups.length === 0) {
+      return res.status(404).json({
+        error: "No active carpool group",
+      });
+    }
+
+    res.json({
+      groups,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to retrieve current carpool groups");
+  }
+});
+
+/**
+ * GET /carpool/groups
+ * Get all carpool groups the current user belongs to (including past ones)
+ */
+router.get("/groups", authenticate, async (req, res) => {
+  try {
+    const groups = await carpoolService.getMyGroups(req.userId);
+
+    res.json({
+      groups,
+      count: groups.length,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to retrieve carpool groups");
+  }
+});
+
+/**
+ * POST /carpool/create
+ * Create a new carpool group with the current user as driver
+ */
+router.post("/create", authenticate, canJoinCarpool, async (req, res) => {
+  try {
+    const group = await carpoolService.createGroup({
+      driverUserId: req.userId,
+      name: req.body.name,
+    });
+
+    res.status(201).json({
+      message: "Carpool group created",
+      group,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to create carpool group");
+  }
+});
+
+// ==================== JOIN REQUESTS ====================
+
+/**
+ * GET /carpool/requests
+ * Get the current user's pending join requests
+ */
+router.get("/requests", authenticate, async (req, res) => {
+  try {
+    const requests = await carpoolService.getMyPendingRequests(req.userId);
+
+    res.json({
+      requests,
+      count: requests.length,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to retrieve carpool requests");
+  }
+});
+
+/**
+ * DELETE /carpool/requests/:requestId
+ * Withdraw a pending join request (requester only)
+ */
+router.delete("/requests/:requestId", authenticate, async (req, res) => {
+  try {
+    const request = await carpoolService.withdrawRequest(req.params.requestId, req.userId);
+
+    res.json({
+      message: "Join request withdrawn",
+      request,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to withdraw join request");
+  }
+});
+
+/**
+ * POST /carpool/:carpoolId/join
+ * Request to join a carpool group
+ */
+router.post("/:carpoolId/join", authenticate, canJoinCarpool, async (req, res) => {
+  try {
+    const request = await carpoolService.requestToJoin({
+      carpoolId: req.params.carpoolId,
+      requesterUserId: req.userId,
+      message: req.body.message,
+    });
+
+    res.status(201).json({
+      message: "Join request sent",
+      request,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to send join request");
+  }
+});
+
+/**
+ * GET /carpool/:carpoolId/requests
+ * Get pending join requests for a group (driver only)
+ */
+router.get("/:carpoolId/requests", authenticate, async (req, res) => {
+  try {
+    const group = await carpoolService.getGroup(req.params.carpoolId);
+
+    if (group.driverUserId !== req.userId) {
+      throw new ServiceError(ERROR_CODES.FORBIDDEN, "Only the group driver can view join requests");
+    }
+
+    const requests = await carpoolService.getPendingRequests(group.carpoolId);
+
+    res.json({
+      requests,
+      count: requests.length,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to retrieve join requests");
+  }
+});
+
+/**
+ * PUT /carpool/:carpoolId/accept/:userId
+ * Accept a user's join request (driver only)
+ */
+router.put("/:carpoolId/accept/:userId", authenticate, canJoinCarpool, async (req, res) => {
+  try {
+    const pending = await getPendingRequestFrom(req.params.carpoolId, req.params.userId);
+    const { request, group } = await carpoolService.acceptRequest(pending.requestId, req.userId);
+
+    res.json({
+      message: "Join request accepted",
+      request,
+      group,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to accept join request");
+  }
+});
+
+/**
+ * PUT /carpool/:carpoolId/decline/:userId
+ * Decline a user's join request (driver only)
+ */
+router.put("/:carpoolId/decline/:userId", authenticate, async (req, res) => {
+  try {
+    const pending = await getPendingRequestFrom(req.params.carpoolId, req.params.userId);
+    const request = await carpoolService.rejectRequest(pending.requestId, req.userId);
+
+    res.json({
+      message: "Join request declined",
+      request,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to decline join request");
+  }
+});
+
+// ==================== GROUP LIFECYCLE ====================
+
+/**
+ * GET /carpool/:carpoolId
+ * Get a carpool group with driver and passenger profiles (members only;
+ * GET /carpool/open lists groups without profiles for everyone else)
+ */
+router.get("/:carpoolId", authenticate, async (req, res) => {
+  try {
+    res.json(await getGroupDetailsForMember(req.params.carpoolId, req.userId));
+  } catch (error) {
+    sendServiceError(res, error, "Failed to retrieve carpool group");
+  }
+});
+
+/**
+ * PUT /carpool/:carpoolId/activate
+ * Activate a carpool group once it has passengers (driver only)
+ */
+router.put("/:carpoolId/activate", authenticate, async (req, res) => {
+  try {
+    const group = await carpoolService.activateGroup(req.params.carpoolId, req.userId);
+
+    res.json({
+      message: "Carpool group activated",
+      group,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to activate carpool group");
+  }
+});
+
+/**
+ * PUT /carpool/:carpoolId/complete
+ * Mark a carpool group as completed (driver only)
+ */
+router.put("/:carpoolId/complete", authenticate, async (req, res) => {
+  try {
+    const group = await carpoolService.completeGroup(req.params.carpoolId, req.userId);
+
+    res.json({
+      message: "Carpool group completed",
+      group,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to complete carpool group");
+  }
+});
+
+/**
+ * DELETE /carpool/:carpoolId/leave
+ * Leave a carpool group (passengers only; the driver must disband)
+ */
+router.delete("/:carpoolId/leave", authenticate, async (req, res) => {
+  try {
+    const group = await carpoolService.leaveGroup(req.params.carpoolId, req.userId);
+
+    res.json({
+      message: "Left carpool group",
+      group,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to leave carpool group");
+  }
+});
+
+/**
+ * DELETE /carpool/:carpoolId
+ * Disband a carpool group and reject its pending requests (driver only)
+ */
+router.delete("/:carpoolId", authenticate, async (req, res) => {
+  try {
+    const group = await carpoolService.disbandGroup(req.params.carpoolId, req.userId);
+
+    res.json({
+      message: "Carpool group disbanded",
+      group,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to disband carpool group");
+  }
+});
+
+/**
+ * GET /carpool/:carpoolId/gas-estimate
+ * Estimate round-trip gas cost per member for a carpool group
+ */
+router.get("/:carpoolId/gas-estimate", authenticate, async (req, res) => {
+  try {
+    const distanceMiles = parseFloat(req.query.distanceMiles);
+
+    if (isNaN(distanceMiles)) {
+      return res.status(400).json({
+        error: "distanceMiles query parameter is required",
+      });
+    }
+
+    const gasPricePerGallon = req.query.gasPricePerGallon ?
+      parseFloat(req.query.gasPricePerGallon) :
+      undefined;
+
+    const estimate = await carpoolService.estimateGasCost(req.params.carpoolId, distanceMiles, {
+      gasPricePerGallon,
+    });
+
+    res.json({
+      estimate,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to estimate gas cost");
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const admin = require("firebase-admin");
 const axios = require("axios");
+const { canvasSyncLag } = require("../services/canvasSync");
 
 /**
  * GET /health
@@ -90,6 +91,17 @@ router.get("/detailed", async (req, res) => {
     // Don't mark overall as unhealthy for Canvas API issues
   }
 
+  // Check how far behind the background Canvas sync is
+  try {
+    checks.checks.canvasSync = await canvasSyncLag();
+  } catch (error) {
+    checks.checks.canvasSync = {
+      status: "warning",
+      error: error.message,
+    };
+    // A lagging sync doesn't make the API unhealthy either
+  }
+
   checks.status = overallStatus;
 
   const statusCode = overallStatus === "healthy" ? 200 : 503;
@@ -159,6 +171,26 @@ router.get("/stats", async (req, res) => {
   }
 });
 
+/**
+ * GET /health/canvas-sync
+ * Background Canvas sync lag: when the sync last ran, how long ago the
+ * stalest linked account was synced, and how many accounts are failing
+ */
+router.get("/canvas-sync", async (req, res) => {
+  try {
+    res.json({
+      timestamp: new Date().toISOString(),
+      ...await canvasSyncLag(),
+    });
+  } catch (error) {
+    console.error("Canvas sync check error:", error);
+    res.status(500).json({
+      error: "Failed to check Canvas sync",
+      details: error.message,
+    });
+  }
+});
+
 /**
  * GET /health/database
  * Check database collections and their document counts
@@ -0,0 +1,122 @@
+const express = require("express");
+const router = express.Router();
+const { authenticate } = require("../middleware/auth");
+const {
+  listNotifications,
+  countUnread,
+  markRead,
+  markAllRead,
+} = require("../services/notifications");
+
+/**
+ * Notification Routes
+ * The current user's in-app notifications (see services/notifications.js)
+ */
+
+const NOTIFICATIONS_PAGE_SIZE = 20;
+const NOTIFICATIONS_MAX_PAGE_SIZE = 100;
+
+/**
+ * GET /notifications
+ * List the current user's notifications, newest first. `unreadOnly=true`
+ * leaves out read ones. Pages with `limit` and the `nextCursor` from the
+ * previous page as `cursor`.
+ */
+router.get("/", authenticate, async (req, res) => {
+  try {
+    const { cursor } = req.query;
+    const limit = req.query.limit === undefined ? NOTIFICATIONS_PAGE_SIZE : parseInt(req.query.limit, 10);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > NOTIFICATIONS_MAX_PAGE_SIZE) {
+      return res.status(400).json({
+        error: `limit must be between 1 and ${NOTIFICATIONS_MAX_PAGE_SIZE}`,
+      });
+    }
+
+    const [notifications, unreadCount] = await Promise.all([
+      listNotifications(req.userId, { limit, unreadOnly: req.query.unreadOnly === "true", cursor }),
+      countUnread(req.userId),
+    ]);
+
+    if (!notifications) {
+      return res.status(400).json({
+        error: "cursor is not one of your notifications",
+      });
+    }
+
+    res.json({
+      notifications,
+      unreadCount,
+      nextCursor: notifications.length === limit ? notifications[notifications.length - 1].notificationId : null,
+    });
+  } catch (error) {
+    console.error("List notifications error:", error);
+    res.status(500).json({
+      error: "Failed to retrieve notifications",
+    });
+  }
+});
+
+/**
+ * GET /notifications/unread-count
+ * Number of notifications the current user hasn't read
+ */
+router.get("/unread-count", authenticate, async (req, res) => {
+  try {
+    res.json({
+      unreadCount: await countUnread(req.userId),
+    });
+  } catch (error) {
+    console.error("Count notifications error:", error);
+    res.status(500).json({
+      error: "Failed to count notifications",
+    });
+  }
+});
+
+/**
+ * PUT /notifications/read-all
+ * Mark all of the current user's notifications read
+ */
+router.put("/read-all", authenticate, async (req, res) => {
+  try {
+    const marked = await markAllRead(req.userId);
+
+    res.json({
+      message: "Notifications marked as read",
+      marked,
+    });
+  } catch (error) {
+    console.error("Mark all notifications read error:", error);
+    res.status(500).json({
+      error: "Failed to update notifications",
+    });
+  }
+});
+
+/**
+ * PUT /notifications/:notificationId/read
+ * Mark one of the current user's notifications read
+ */
+router.put("/:notificationId/read", authenticate, async (req, res) => {
+  try {
+    const notification = await markRead(req.userId, req.params.notificationId);
+
+    if (!notification) {
+      return res.status(404).json({
+        error: "Notification not found",
+      });
+    }
+
+    res.json({
+      notification,
+    });
+  } catch (error) {
+    console.error("Mark notification read error:", error);
+    res.status(500).json({
+      error: "Failed to update notification",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,327 @@
+const express = require("express");
+const router = express.Router();
+const { authenticate, requirePermission } = require("../middleware/auth");
+const { Permission } = require("../../src/enums");
+const { rentalService } = require("../services/domainServices");
+const { sendServiceError } = require("../utils/serviceErrors");
+const { ServiceError, ERROR_CODES } = require("../../src/errors");
+
+/**
+ * Spot Rental Routes
+ * Thin HTTP layer over RentalService. Like every user-facing route, these
+ * are blocked while an admin has frozen the app (see the app-wide
+ * requireAppActive in middleware/systemStatus.js).
+ */
+
+// Permissions a user needs (see requirePermission in middleware/auth.js)
+const canViewSpots = requirePermission(Permission.VIEW_SPOTS);
+const canListSpots = requirePermission(Permission.LIST_SPOT);
+const canRentSpots = requirePermission(Permission.RENT_SPOT);
+const canFileReports = requirePermission(Permission.FILE_REPORT);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Load a rental and make sure the caller is its renter.
+ * @param {string} rentalId
+ * @param {string} userId
+ * @param {string} action - Used in the error message ("cancel", "confirm"...)
+ * @return {Promise<SpotRental>}
+ */
+async function getRentalForRenter(rentalId, userId, action) {
+  const rental = await rentalService.getRental(rentalId);
+  if (rental.renterUserId !== userId) {
+    throw new ServiceError(ERROR_CODES.FORBIDDEN, `Only the renter can ${action} this rental`);
+  }
+  return rental;
+}
+
+// ==================== BROWSING ====================
+
+/**
+ * GET /rentals/available
+ * Get spots available for rent on a date, cheapest pricing first
+ */
+router.get("/available", authenticate, canViewSpots, async (req, res) => {
+  try {
+    const { date, lot, vehicleSize } = req.query;
+
+    if (!date || !DATE_PATTERN.test(date)) {
+      return res.status(400).json({
+        error: "date query parameter is required (YYYY-MM-DD)",
+      });
+    }
+
+    const spots = await rentalService.getAvailableSpots(date, {
+      lotName: lot,
+      vehicleSize,
+    });
+
+    res.json({
+      date,
+      spots,
+      count: spots.length,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to retrieve available spots");
+  }
+});
+
+// ==================== LISTINGS ====================
+
+/**
+ * GET /rentals/listings
+ * Get the current user's spots listed for rent
+ */
+router.get("/listings", authenticate, async (req, res) => {
+  try {
+    const listings = await rentalService.getMyListings(req.userId);
+
+    res.json({
+      listings,
+      count: listings.length,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to retrieve listings");
+  }
+});
+
+/**
+ * POST /rentals/listings
+ * List the current user's spot for rent on a date (owner only)
+ */
+router.post("/listings", authenticate, canListSpots, async (req, res) => {
+  try {
+    const { spotId, date } = req.body;
+
+    if (!spotId || !date || !DATE_PATTERN.test(date)) {
+      return res.status(400).json({
+        error: "spotId and date (YYYY-MM-DD) are required",
+      });
+    }
+
+    const listing = await rentalService.listSpotForRent(spotId, req.userId, date);
+
+    res.status(201).json({
+      message: "Spot listed for rent",
+      listing,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to list spot for rent");
+  }
+});
+
+/**
+ * DELETE /rentals/listings/:spotId/:date
+ * Remove a spot's availability for a date (owner only)
+ */
+router.delete("/listings/:spotId/:date", authenticate, async (req, res) => {
+  try {
+    const { spotId, date } = req.params;
+    const listings = await rentalService.getMyListings(req.userId);
+    const isOwner = listings.some((listing) => listing.spot.spotId === spotId);
+
+    if (!isOwner) {
+      return res.status(403).json({
+        error: "Only the spot owner can unlist the spot",
+      });
+    }
+
+    await rentalService.unlistSpot(spotId, date);
+
+    res.json({
+      message: "Spot unlisted",
+      listing: { spotId, date },
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to unlist spot");
+  }
+});
+
+// ==================== PENALTIES ====================
+
+/**
+ * GET /rentals/penalties
+ * Get the current user's unpaid penalties
+ */
+router.get("/penalties", authenticate, async (req, res) => {
+  try {
+    const penalties = await rentalService.getUnpaidPenalties(req.userId);
+
+    res.json({
+      penalties,
+      count: penalties.length,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to retrieve penalties");
+  }
+});
+
+/**
+ * POST /rentals/penalties/:penaltyId/pay
+ * Pay one of the current user's penalties (unbans the plate for spot blocking).
+ * The Stripe payment intent must have succeeded, be for this penalty
+ * (metadata.penaltyId) and its amount, and not have paid for anything before.
+ */
+router.post("/penalties/:penaltyId/pay", authenticate, async (req, res) => {
+  try {
+    const { paymentIntentId } = req.body;
+
+    if (!paymentIntentId) {
+      return res.status(400).json({
+        error: "paymentIntentId is required",
+      });
+    }
+
+    const paid = await rentalService.payPenalty(req.params.penaltyId, req.userId, paymentIntentId);
+
+    res.json({
+      message: "Penalty paid",
+      penalty: paid,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to pay penalty");
+  }
+});
+
+// ==================== RENTALS ====================
+
+/**
+ * GET /rentals
+ * Get the current user's active rentals (as renter)
+ */
+router.get("/", authenticate, async (req, res) => {
+  try {
+    const rentals = await rentalService.getMyRentals(req.userId);
+
+    res.json({
+      rentals,
+      count: rentals.length,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to retrieve rentals");
+  }
+});
+
+/**
+ * POST /rentals
+ * Request to rent an available spot on a date (creates a pending rental)
+ */
+router.post("/", authenticate, canRentSpots, async (req, res) => {
+  try {
+    const { spotId, date } = req.body;
+
+    if (!spotId || !date || !DATE_PATTERN.test(date)) {
+      return res.status(400).json({
+        error: "spotId and date (YYYY-MM-DD) are required",
+      });
+    }
+
+    const rental = await rentalService.requestRental(spotId, req.userId, date);
+
+    res.status(201).json({
+      message: "Rental requested",
+      rental,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to request rental");
+  }
+});
+
+/**
+ * GET /rentals/:rentalId
+ * Get a rental and its transactions (renter or owner only)
+ */
+router.get("/:rentalId", authenticate, async (req, res) => {
+  try {
+    const rental = await rentalService.getRental(req.params.rentalId);
+
+    if (rental.renterUserId !== req.userId && rental.ownerUserId !== req.userId) {
+      return res.status(403).json({
+        error: "Only the renter or spot owner can view this rental",
+      });
+    }
+
+    res.json({
+      rental,
+      transactions: await rentalService.getTransactions(rental.rentalId),
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to retrieve rental");
+  }
+});
+
+/**
+ * PUT /rentals/:rentalId/confirm
+ * Confirm a pending rental once it is paid for (renter only). The Stripe
+ * payment intent must have succeeded, be for this rental (metadata.rentalId)
+ * and its price, and not have paid for anything before.
+ */
+router.put("/:rentalId/confirm", authenticate, async (req, res) => {
+  try {
+    const { paymentIntentId } = req.body;
+
+    if (!paymentIntentId) {
+      return res.status(400).json({
+        error: "paymentIntentId is required",
+      });
+    }
+
+    const pending = await getRentalForRenter(req.params.rentalId, req.userId, "confirm");
+    const { rental, transaction } = await rentalService.confirmRental(pending.rentalId, paymentIntentId);
+
+    res.json({
+      message: "Rental confirmed",
+      rental,
+      transaction,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to confirm rental");
+  }
+});
+
+/**
+ * DELETE /rentals/:rentalId
+ * Cancel a rental (renter only). Full refund with at least 24 hours notice,
+ * otherwise a late-cancellation fine is applied.
+ */
+router.delete("/:rentalId", authenticate, async (req, res) => {
+  try {
+    const active = await getRentalForRenter(req.params.rentalId, req.userId, "cancel");
+    const { rental, refundTransaction, penalty } = await rentalService.cancelRental(active.rentalId);
+
+    res.json({
+      message: "Rental cancelled",
+      rental,
+      refundTransaction,
+      penalty,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to cancel rental");
+  }
+});
+
+/**
+ * POST /rentals/:rentalId/report-blocked
+ * Report that the rented spot is blocked. Reassigns the renter to a spot in
+ * the same lot, or refunds them. Nobody is fined until an admin reviews the
+ * report (POST /admin-panel/reports/:reportId/resolve).
+ */
+router.post("/:rentalId/report-blocked", authenticate, canFileReports, async (req, res) => {
+  try {
+    const { blockerPlate, description } = req.body;
+
+    const result = await rentalService.handleBlockedSpot({
+      rentalId: req.params.rentalId,
+      reporterUserId: req.userId,
+      blockerPlate,
+      description,
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    sendServiceError(res, error, "Failed to report blocked spot");
+  }
+});
+
+module.exports = router;
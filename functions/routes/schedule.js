@@ -0,0 +1,147 @@
+const express = require("express");
+const router = express.Router();
+const admin = require("firebase-admin");
+const { authenticate } = require("../middleware/auth");
+const { tandemService, calendarService } = require("../services/domainServices");
+const { setGradeFromSchedule } = require("../services/studentGrades");
+const { SCHEDULE_SOURCES } = require("../services/canvasSchedule");
+const { sendServiceError } = require("../utils/serviceErrors");
+const { readSingleFile } = require("../utils/multipart");
+const { parsePDFBuffer } = require("../../scheduling system/pdfParser");
+const { buildSchedule } = require("../../scheduling system/scheduleBuilder");
+const { toPresenceMap } = require("../../src/TandemService");
+
+/**
+ * Schedule Routes
+ * Students upload the schedule PDF they download from the HW portal. It is
+ * parsed with the scheduling system, stored on their user document as an
+ * HW rotation presence map, and handed to the TandemService for matching.
+ * Dates are resolved to rotation days with the school calendar admins set
+ * at /admin-panel/system/calendar, and schedules are also built for the
+ * alternate bell schedules set at /admin-panel/system/bell-schedules.
+ * The grade in the schedule header sets the student's grade unless the
+ * school roster or an admin already has (see services/studentGrades.js).
+ * An uploaded PDF replaces any schedule derived from Canvas
+ * (services/canvasSchedule.js) for good.
+ */
+
+const PDF_MIME_TYPES = ["application/pdf"];
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse an uploaded PDF, turning errors from the PDF library itself
+ * (corrupt or non-PDF files) into a 400.
+ * @param {Buffer} buffer - Uploaded file contents
+ * @return {Promise<Object>} Parsed student, including `warnings`
+ */
+async function parseUpload(buffer) {
+  try {
+    return await parsePDFBuffer(buffer);
+  } catch (error) {
+    if (error.constructor === Error) throw error;
+    throw new Error("Uploaded file is not a readable PDF");
+  }
+}
+
+/**
+ * POST /schedule/upload
+ * Upload a schedule PDF (multipart field "schedule"). Optional field
+ * "coCurricularEndTime" ("HH:MM") overrides when co-curriculars end.
+ * Returns the parser's warnings, confidence and per-line diagnostics so a
+ * bad upload can be fixed.
+ */
+router.post("/upload", authenticate, async (req, res) => {
+  try {
+    const { file, fields } = await readSingleFile(req, {
+      fieldName: "schedule",
+      mimeTypes: PDF_MIME_TYPES,
+    });
+
+    const { coCurricularEndTime } = fields;
+    if (coCurricularEndTime && !TIME_PATTERN.test(coCurricularEndTime)) {
+      return res.status(400).json({
+        error: "coCurricularEndTime must be in HH:MM format",
+      });
+    }
+
+    const parsed = await parseUpload(file.buffer);
+    const built = buildSchedule(parsed, {
+      coCurricularEndTime,
+      alternateSchedules: await calendarService.getAlternates(),
+    });
+    const schedule = toPresenceMap(built);
+
+    const { userType, warning } = await setGradeFromSchedule(req.userId, parsed.grade);
+    const warnings = warning ? [...parsed.warnings, warning] : parsed.warnings;
+
+    const db = admin.firestore();
+    await db.collection("users").doc(req.userId).update({
+      schedule,
+      scheduleWarnings: warnings,
+      scheduleSource: SCHEDULE_SOURCES.PDF,
+      scheduleFileName: file.filename || null,
+      scheduleUploadedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    await tandemService.setUserSchedule(req.userId, built);
+
+    const message = warnings.length > 0 ?
+      "Schedule uploaded with warnings; please check them" :
+      "Schedule uploaded successfully";
+
+    res.json({
+      message,
+      schedule: {
+        name: parsed.name,
+        grade: parsed.grade,
+        userType,
+        coursesCount: parsed.courses.length,
+        coCurricularsCount: parsed.coCurriculars.length,
+        days: schedule.days,
+      },
+      warnings,
+      confidence: parsed.confidence,
+      diagnostics: parsed.diagnostics,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to upload schedule");
+  }
+});
+
+/**
+ * GET /schedule/day?date=YYYY-MM-DD
+ * Resolve a date to its HW rotation day, or the reason there is no school.
+ * With `next=true`, returns the next school day after the date instead.
+ */
+router.get("/day", authenticate, async (req, res) => {
+  try {
+    const { date, next } = req.query;
+
+    if (!date || !DATE_PATTERN.test(date)) {
+      return res.status(400).json({
+        error: "date query parameter is required (YYYY-MM-DD)",
+      });
+    }
+
+    const day = next === "true" ?
+      await calendarService.nextSchoolDay(date) :
+      await calendarService.resolveDate(date);
+
+    if (!day) {
+      const calendar = await calendarService.getCalendar();
+      return res.status(404).json({
+        error: calendar ? "No school days left this school year" : "No school calendar has been set",
+      });
+    }
+
+    res.json({
+      day,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to resolve date");
+  }
+});
+
+module.exports = router;
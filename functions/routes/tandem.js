@@ -0,0 +1,499 @@
+const express = require("express");
+const router = express.Router();
+const { authenticate, requirePermission } = require("../middleware/auth");
+const { Permission } = require("../../src/enums");
+const { tandemService } = require("../services/domainServices");
+const { gradeLevelFor } = require("../services/studentGrades");
+const { sendServiceError } = require("../utils/serviceErrors");
+const { ServiceError, ERROR_CODES } = require("../../src/errors");
+const { EMOTE_LABELS } = require("../../src/TandemService");
+
+/**
+ * Tandem Parking Routes
+ * Thin HTTP layer over TandemService. The service enforces the business
+ * rules (grade pairing, one active pairing per user, emote spam limits);
+ * these routes only read `req.userId` and map its errors to status codes.
+ */
+
+// Permissions a user needs (see requirePermission in middleware/auth.js)
+const canJoinTandem = requirePermission(Permission.JOIN_TANDEM);
+const canSendMessages = requirePermission(Permission.SEND_MESSAGES);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// The grade comes from the user's account (see services/studentGrades.js)
+const PROFILE_FIELDS = [
+  "spotId",
+  "preferredLot",
+  "licensePlate",
+  "vehicleSize",
+  "bio",
+  "musicPreferences",
+];
+
+/**
+ * Copy only the allowed fields from a request body.
+ * @param {Object} body - Request body
+ * @param {string[]} fields - Allowed field names
+ * @return {Object} Picked fields
+ */
+function pick(body, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (body[field] !== undefined) picked[field] = body[field];
+  }
+  return picked;
+}
+
+/**
+ * Load a pairing and make sure the caller is one of its members.
+ * @param {string} pairingId
+ * @param {string} userId
+ * @return {Promise<TandemPairing>}
+ */
+async function getPairingForMember(pairingId, userId) {
+  const pairing = await tandemService.getPairing(pairingId);
+  if (!pairing.isMember(userId)) {
+    throw new ServiceError(ERROR_CODES.FORBIDDEN, "Only members of this pairing can view it");
+  }
+  return pairing;
+}
+
+// ==================== PROFILE ====================
+
+/**
+ * POST /tandem/profile
+ * Register the current user's tandem profile (grade from their account)
+ */
+router.post("/profile", authenticate, canJoinTandem, async (req, res) => {
+  try {
+    const profile = await tandemService.registerProfile({
+      ...pick(req.body, PROFILE_FIELDS),
+      userId: req.userId,
+      gradeLevel: await gradeLevelFor(req.userId),
+    });
+
+    res.status(201).json({
+      message: "Tandem profile created successfully",
+      profile,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to create tandem profile");
+  }
+});
+
+/**
+ * GET /tandem/profile
+ * Get the current user's tandem profile
+ */
+router.get("/profile", authenticate, async (req, res) => {
+  try {
+    const profile = await tandemService.getProfile(req.userId);
+
+    if (!profile) {
+      return res.status(404).json({
+        error: "Tandem profile not found",
+      });
+    }
+
+    res.json({
+      profile,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to retrieve tandem profile");
+  }
+});
+
+/**
+ * PUT /tandem/profile
+ * Update the current user's tandem profile
+ */
+router.put("/profile", authenticate, async (req, res) => {
+  try {
+    const { spotId, preferredLot, licensePlate, vehicleSize, bio, musicPreferences } = req.body;
+
+    const updates = { spotId, preferredLot, bio, musicPreferences };
+    if (licensePlate !== undefined || vehicleSize !== undefined) {
+      updates.vehicle = { licensePlate, vehicleSize };
+    }
+
+    const profile = await tandemService.updateProfile(req.userId, updates);
+
+    res.json({
+      message: "Tandem profile updated successfully",
+      profile,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to update tandem profile");
+  }
+});
+
+/**
+ * DELETE /tandem/profile
+ * Deactivate the current user's tandem profile (stop appearing in matches)
+ */
+router.delete("/profile", authenticate, async (req, res) => {
+  try {
+    const profile = await tandemService.deactivateProfile(req.userId);
+
+    res.json({
+      message: "Tandem profile deactivated",
+      profile,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to deactivate tandem profile");
+  }
+});
+
+/**
+ * PUT /tandem/schedule
+ * Provide the current user's schedule for matching: either an HW rotation
+ * schedule from the scheduling system's buildSchedule(), or weekday entries
+ */
+router.put("/schedule", authenticate, async (req, res) => {
+  try {
+    const { schedule } = req.body;
+
+    if (!schedule || typeof schedule !== "object") {
+      return res.status(400).json({
+        error: "schedule must be a rotation schedule or an array of schedule entries",
+      });
+    }
+
+    const stored = await tandemService.setUserSchedule(req.userId, schedule);
+
+    res.json({
+      message: "Schedule updated successfully",
+      format: Array.isArray(stored) ? "weekday" : stored.format,
+      entriesCount: Array.isArray(stored) ? stored.length : Object.keys(stored.days).length,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to update schedule");
+  }
+});
+
+// ==================== MATCHES ====================
+
+/**
+ * GET /tandem/matches
+ * Get ranked list of compatible tandem partners, optionally scored for
+ * one term ("S2-T3", "S2", "T1", ...) or the worst one ("worst")
+ */
+router.get("/matches", authenticate, async (req, res) => {
+  try {
+    const { limit = 20, offset = 0, term } = req.query;
+    const matches = await tandemService.findMatches(req.userId, { term });
+    const start = parseInt(offset);
+
+    res.json({
+      matches: matches.slice(start, start + parseInt(limit)),
+      total: matches.length,
+      limit: parseInt(limit),
+      offset: start,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to find tandem matches");
+  }
+});
+
+/**
+ * GET /tandem/matches/:userId
+ * Get compatibility between the current user and another user
+ */
+router.get("/matches/:userId", authenticate, async (req, res) => {
+  try {
+    const match = await tandemService.getMatchBetween(req.userId, req.params.userId);
+
+    res.json({
+      match,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to compute tandem match");
+  }
+});
+
+// ==================== REQUESTS ====================
+
+/**
+ * POST /tandem/requests
+ * Send a tandem pairing request to another user
+ */
+router.post("/requests", authenticate, canJoinTandem, async (req, res) => {
+  try {
+    const { targetUserId, message } = req.body;
+
+    if (!targetUserId) {
+      return res.status(400).json({
+        error: "targetUserId is required",
+      });
+    }
+
+    const request = await tandemService.requestPairing({
+      requesterUserId: req.userId,
+      targetUserId,
+      message,
+    });
+
+    res.status(201).json({
+      message: "Tandem request sent",
+      request,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to send tandem request");
+  }
+});
+
+/**
+ * GET /tandem/requests
+ * Get the current user's pending incoming and outgoing requests
+ */
+router.get("/requests", authenticate, async (req, res) => {
+  try {
+    const incoming = await tandemService.getIncomingRequests(req.userId);
+    const outgoing = await tandemService.getOutgoingRequests(req.userId);
+
+    res.json({
+      incoming,
+      outgoing,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to retrieve tandem requests");
+  }
+});
+
+/**
+ * PUT /tandem/requests/:requestId/accept
+ * Accept a pending request (target user only) and create the pairing
+ */
+router.put("/requests/:requestId/accept", authenticate, canJoinTandem, async (req, res) => {
+  try {
+    const { request, pairing } = await tandemService.acceptRequest(req.params.requestId, req.userId);
+
+    res.json({
+      message: "Tandem request accepted",
+      request,
+      pairing,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to accept tandem request");
+  }
+});
+
+/**
+ * PUT /tandem/requests/:requestId/reject
+ * Reject a pending request (target user only)
+ */
+router.put("/requests/:requestId/reject", authenticate, async (req, res) => {
+  try {
+    const request = await tandemService.rejectRequest(req.params.requestId, req.userId);
+
+    res.json({
+      message: "Tandem request rejected",
+      request,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to reject tandem request");
+  }
+});
+
+/**
+ * DELETE /tandem/requests/:requestId
+ * Withdraw a pending request (requester only)
+ */
+router.delete("/requests/:requestId", authenticate, async (req, res) => {
+  try {
+    const request = await tandemService.withdrawRequest(req.params.requestId, req.userId);
+
+    res.json({
+      message: "Tandem request withdrawn",
+      request,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to withdraw tandem request");
+  }
+});
+
+// ==================== PAIRINGS ====================
+
+/**
+ * GET /tandem/current
+ * Get the current user's active tandem pairing with both member profiles
+ */
+router.get("/current", authenticate, async (req, res) => {
+  try {
+    const pairing = await tandemService.getActivePairing(req.userId);
+
+    if (!pairing) {
+      return res.status(404).json({
+        error: "No active tandem pairing",
+      });
+    }
+
+    res.json(await tandemService.getPairingDetails(pairing.pairingId));
+  } catch (error) {
+    sendServiceError(res, error, "Failed to retrieve current tandem pairing");
+  }
+});
+
+/**
+ * GET /tandem/pairings
+ * Get all of the current user's pairings (including ended ones)
+ */
+router.get("/pairings", authenticate, async (req, res) => {
+  try {
+    const pairings = await tandemService.getMyPairings(req.userId);
+
+    res.json({
+      pairings,
+      count: pairings.length,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to retrieve tandem pairings");
+  }
+});
+
+/**
+ * GET /tandem/pairings/:pairingId
+ * Get a pairing with both member profiles (members only)
+ */
+router.get("/pairings/:pairingId", authenticate, async (req, res) => {
+  try {
+    const pairing = await getPairingForMember(req.params.pairingId, req.userId);
+
+    res.json(await tandemService.getPairingDetails(pairing.pairingId));
+  } catch (error) {
+    sendServiceError(res, error, "Failed to retrieve tandem pairing");
+  }
+});
+
+/**
+ * GET /tandem/pairings/:pairingId/day?date=YYYY-MM-DD
+ * Which members are on campus (and need the spot) on a date (members only)
+ */
+router.get("/pairings/:pairingId/day", authenticate, async (req, res) => {
+  try {
+    const { date } = req.query;
+
+    if (!date || !DATE_PATTERN.test(date)) {
+      return res.status(400).json({
+        error: "date query parameter is required (YYYY-MM-DD)",
+      });
+    }
+
+    const pairing = await getPairingForMember(req.params.pairingId, req.userId);
+
+    res.json({
+      plan: await tandemService.getDayPlan(pairing.pairingId, date),
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to get day plan");
+  }
+});
+
+/**
+ * PUT /tandem/pairings/:pairingId/spot
+ * Assign a tandem spot to the pairing (members only)
+ */
+router.put("/pairings/:pairingId/spot", authenticate, async (req, res) => {
+  try {
+    const { spotId } = req.body;
+
+    if (!spotId) {
+      return res.status(400).json({
+        error: "spotId is required",
+      });
+    }
+
+    const pairing = await tandemService.assignSpotToPairing(req.params.pairingId, spotId, req.userId);
+
+    res.json({
+      message: "Spot assigned to pairing",
+      pairing,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to assign spot to pairing");
+  }
+});
+
+/**
+ * DELETE /tandem/pairings/:pairingId
+ * End a tandem pairing (either member)
+ */
+router.delete("/pairings/:pairingId", authenticate, async (req, res) => {
+  try {
+    const pairing = await tandemService.endPairing(req.params.pairingId, req.userId);
+
+    res.json({
+      message: "Tandem pairing ended",
+      pairing,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to end tandem pairing");
+  }
+});
+
+// ==================== EMOTES ====================
+
+/**
+ * GET /tandem/emotes
+ * List the predefined emotes partners can send each other
+ */
+router.get("/emotes", authenticate, (req, res) => {
+  const emotes = Object.entries(EMOTE_LABELS).map(([emoteType, label]) => ({
+    emoteType,
+    label,
+  }));
+
+  res.json({
+    emotes,
+  });
+});
+
+/**
+ * POST /tandem/pairings/:pairingId/emotes
+ * Send a predefined emote to the tandem partner
+ */
+router.post("/pairings/:pairingId/emotes", authenticate, canSendMessages, async (req, res) => {
+  try {
+    const { emoteType } = req.body;
+
+    if (!emoteType) {
+      return res.status(400).json({
+        error: "emoteType is required",
+      });
+    }
+
+    const emote = await tandemService.sendEmote({
+      pairingId: req.params.pairingId,
+      senderUserId: req.userId,
+      emoteType,
+    });
+
+    res.status(201).json({
+      message: "Emote sent",
+      emote,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to send emote");
+  }
+});
+
+/**
+ * GET /tandem/pairings/:pairingId/emotes
+ * Get emote history for a pairing, most recent first (members only)
+ */
+router.get("/pairings/:pairingId/emotes", authenticate, async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+    const emotes = await tandemService.getEmoteHistory(req.params.pairingId, req.userId, parseInt(limit));
+
+    res.json({
+      emotes,
+      count: emotes.length,
+    });
+  } catch (error) {
+    sendServiceError(res, error, "Failed to retrieve emote history");
+  }
+});
+
+module.exports = router;
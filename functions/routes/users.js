@@ -1,13 +1,35 @@
 const express = require("express");
 const router = express.Router();
 const admin = require("firebase-admin");
-const { authenticate, requireAdmin } = require("../middleware/auth");
+const { authenticate, authenticateAnyEmail, requireAdmin, requireAdminAction } = require("../middleware/auth");
+const { ADMIN_ACTIONS } = require("../utils/adminRoles");
+const { AUDIT_ACTIONS, recordAudit } = require("../utils/auditLog");
+const { deleteAccount } = require("../services/accountDeletion");
+const {
+  EXPORT_SYNC_BUDGET_MS,
+  EXPORT_SYNC_MAX_BYTES,
+  collectUserData,
+  buildArchive,
+  archiveName,
+  requestExport,
+  getExport,
+} = require("../services/dataExport");
+const { setGradeByAdmin } = require("../services/studentGrades");
+const { schoolDomains, normalizeEmail, isSchoolEmail } = require("../utils/schoolEmail");
+const { UserType } = require("../../src/enums");
+const User = require("../../src/models/User");
+
+const canViewUsers = requireAdminAction(ADMIN_ACTIONS.VIEW_USERS);
+const canEditUsers = requireAdminAction(ADMIN_ACTIONS.EDIT_USERS);
+
+// Users reach their own profile, export and account deletion before their
+// school email is verified, so they can fix the address or leave
 
 /**
  * GET /users/me
  * Get current user's profile
  */
-router.get("/me", authenticate, async (req, res) => {
+router.get("/me", authenticateAnyEmail, async (req, res) => {
   try {
     const db = admin.firestore();
     const userDoc = await db.collection("users").doc(req.userId).get();
@@ -18,11 +40,8 @@ router.get("/me", authenticate, async (req, res) => {
       });
     }
 
-    const userData = userDoc.data();
-
     // Don't send sensitive data
-    delete userData.canvasAccessToken;
-    delete userData.apiKey;
+    const userData = User.redactDocument(userDoc.data());
 
     res.json({
       user: userData,
@@ -39,7 +58,7 @@ router.get("/me", authenticate, async (req, res) => {
  * PUT /users/me
  * Update current user's profile
  */
-router.put("/me", authenticate, async (req, res) => {
+router.put("/me", authenticateAnyEmail, async (req, res) => {
   try {
     const { name, phoneNumber, licensePlate, email } = req.body;
 
@@ -48,19 +67,27 @@ router.put("/me", authenticate, async (req, res) => {
       updatedAt: admin.firestore.FieldValue.serverTimestamp(),
     };
 
+    if (email !== undefined && !isSchoolEmail(email)) {
+      return res.status(400).json({
+        error: `Email must be a school email address (${schoolDomains().join(", ")})`,
+      });
+    }
+
     // Only update provided fields
     if (name !== undefined) updateData.name = name;
     if (phoneNumber !== undefined) updateData.phoneNumber = phoneNumber;
     if (licensePlate !== undefined) updateData.licensePlate = licensePlate;
-    if (email !== undefined) updateData.email = email;
+    if (email !== undefined) updateData.email = normalizeEmail(email);
 
     // Update Firestore
     await db.collection("users").doc(req.userId).update(updateData);
 
-    // If email is being updated, also update Firebase Auth
+    // If email is being updated, also update Firebase Auth; the new
+    // address has to be verified before the app can be used again
     if (email) {
       await admin.auth().updateUser(req.userId, {
-        email,
+        email: normalizeEmail(email),
+        emailVerified: false,
       });
     }
 
@@ -73,10 +100,7 @@ router.put("/me", authenticate, async (req, res) => {
 
     // Get updated user data
     const userDoc = await db.collection("users").doc(req.userId).get();
-    const userData = userDoc.data();
-
-    delete userData.canvasAccessToken;
-    delete userData.apiKey;
+    const userData = User.redactDocument(userDoc.data());
 
     res.json({
       message: "Profile updated successfully",
@@ -91,11 +115,68 @@ router.put("/me", authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /users/me/export
+ * Download everything stored about the current user as a ZIP archive
+ * (JSON plus CSV, credentials redacted). Exports too large to build within
+ * the request, or any export with ?async=true, are queued instead: responds
+ * 202 with the job, to be polled at GET /users/me/exports/:exportId.
+ */
+router.get("/me/export", authenticateAnyEmail, async (req, res) => {
+  try {
+    if (req.query.async !== "true") {
+      const data = await collectUserData(req.userId, { deadline: Date.now() + EXPORT_SYNC_BUDGET_MS });
+      const archive = data && buildArchive(data);
+      if (archive && archive.length <= EXPORT_SYNC_MAX_BYTES) {
+        res.attachment(archiveName(data.exportedAt));
+        return res.type("application/zip").send(archive);
+      }
+    }
+
+    const job = await requestExport(req.userId);
+    res.status(202).json({
+      message: "Your export is being prepared",
+      export: job,
+      statusUrl: `/users/me/exports/${job.exportId}`,
+    });
+  } catch (error) {
+    console.error("Export user data error:", error);
+    res.status(500).json({
+      error: "Failed to export user data",
+    });
+  }
+});
+
+/**
+ * GET /users/me/exports/:exportId
+ * Status of a queued export, with a short-lived downloadUrl once it's ready
+ */
+router.get("/me/exports/:exportId", authenticateAnyEmail, async (req, res) => {
+  try {
+    const job = await getExport(req.userId, req.params.exportId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: "Export not found",
+      });
+    }
+
+    res.json({
+      export: job,
+    });
+  } catch (error) {
+    console.error("Get data export error:", error);
+    res.status(500).json({
+      error: "Failed to retrieve export",
+    });
+  }
+});
+
 /**
  * GET /users
- * List all users (admin only)
+ * List all users (admins whose role allows viewing users)
  */
-router.get("/", authenticate, requireAdmin, async (req, res) => {
+router.get("/", authenticate, requireAdmin, canViewUsers, async (req, res) => {
   try {
     const db = admin.firestore();
     const { limit = 50, offset = 0, userType } = req.query;
@@ -112,13 +193,8 @@ router.get("/", authenticate, requireAdmin, async (req, res) => {
         .offset(parseInt(offset))
         .get();
 
-    const users = usersSnapshot.docs.map((doc) => {
-      const data = doc.data();
-      // Remove sensitive fields
-      delete data.canvasAccessToken;
-      delete data.apiKey;
-      return data;
-    });
+    // Remove sensitive fields
+    const users = usersSnapshot.docs.map((doc) => User.redactDocument(doc.data()));
 
     res.json({
       users,
@@ -174,16 +250,17 @@ router.get("/:userId", authenticate, async (req, res) => {
 
 /**
  * PUT /users/:userId/user-type
- * Change a user's type (admin only)
- * Prevents privilege escalation by requiring admin authentication
+ * Change a user's type, i.e. correct their grade (admins whose role allows
+ * editing users). Their class year is set to match, so they are still
+ * promoted at the year rollover. Recorded in the audit log.
  */
-router.put("/:userId/user-type", authenticate, requireAdmin, async (req, res) => {
+router.put("/:userId/user-type", authenticate, requireAdmin, canEditUsers, async (req, res) => {
   try {
     const { userId } = req.params;
     const { userType } = req.body;
 
     // Validate userType
-    const validUserTypes = ["STUDENT", "FACULTY", "STAFF", "ADMIN"];
+    const validUserTypes = Object.values(UserType);
     if (!userType || !validUserTypes.includes(userType)) {
       return res.status(400).json({
         error: `Invalid userType. Must be one of: ${validUserTypes.join(", ")}`,
@@ -200,15 +277,25 @@ router.put("/:userId/user-type", authenticate, requireAdmin, async (req, res) =>
     }
 
     // Update user type
-    await db.collection("users").doc(userId).update({
-      userType,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    const grade = await setGradeByAdmin(userId, userType, {
+      audit: (batch, after) => recordAudit(batch, req, {
+        action: AUDIT_ACTIONS.USER_CHANGE_TYPE,
+        targetType: "user",
+        targetId: userId,
+        before: {
+          userType: userDoc.data().userType || null,
+          graduationYear: userDoc.data().graduationYear || null,
+          gradeSource: userDoc.data().gradeSource || null,
+        },
+        after,
+      }),
     });
 
     res.json({
       message: "User type updated successfully",
       userId,
       userType,
+      graduationYear: grade.graduationYear,
     });
   } catch (error) {
     console.error("Update user type error:", error);
@@ -221,46 +308,31 @@ router.put("/:userId/user-type", authenticate, requireAdmin, async (req, res) =>
 
 /**
  * DELETE /users/:userId
- * Delete a user account (admin only or self)
+ * Delete the caller's own account, ending their tandem pairings, carpools
+ * and upcoming rentals (see services/accountDeletion.js). Admins delete
+ * other accounts with DELETE /admin-panel/users/:userId, which checks their
+ * role and records the deletion in the audit log.
+ * With ?dryRun=true nothing is deleted; the response shows what would be.
  */
-router.delete("/:userId", authenticate, async (req, res) => {
+router.delete("/:userId", authenticateAnyEmail, async (req, res) => {
   try {
     const { userId } = req.params;
-    const db = admin.firestore();
+    const dryRun = req.query.dryRun === "true";
 
-    // Check if user is deleting their own account or is an admin
     if (req.userId !== userId) {
-      const userDoc = await db.collection("users").doc(req.userId).get();
-      if (!userDoc.exists || userDoc.data().userType !== "ADMIN") {
-        return res.status(403).json({
-          error: "Forbidden - You can only delete your own account",
-        });
-      }
+      return res.status(403).json({
+        error: "Forbidden - You can only delete your own account",
+        message: "Admins delete other accounts with DELETE /admin-panel/users/:userId",
+      });
     }
 
-    // Delete user from Firebase Auth
-    await admin.auth().deleteUser(userId);
-
-    // Delete user document from Firestore
-    await db.collection("users").doc(userId).delete();
-
-    // Delete associated Canvas data
-    await db.collection("canvasData").doc(userId).delete();
-
-    // Delete user's API keys
-    const apiKeysSnapshot = await db.collection("apiKeys")
-        .where("userId", "==", userId)
-        .get();
-
-    const batch = db.batch();
-    apiKeysSnapshot.docs.forEach((doc) => {
-      batch.delete(doc.ref);
-    });
-    await batch.commit();
+    const report = await deleteAccount(userId, { dryRun });
 
     res.json({
-      message: "User account deleted successfully",
-      userId,
+      message: dryRun ?
+        "Dry run: nothing was deleted" :
+        "User account deleted successfully",
+      ...report,
     });
   } catch (error) {
     console.error("Delete user error:", error);
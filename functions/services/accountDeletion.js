@@ -0,0 +1,149 @@
+const admin = require("firebase-admin");
+const { tandemService, carpoolService, rentalService } = require("./domainServices");
+const { deleteExports } = require("./dataExport");
+const { revokeCanvasAccess } = require("./canvasOAuth");
+const { NOTIFICATIONS_COLLECTION, NOTIFICATION_TYPES } = require("./notifications");
+
+/**
+ * Account deletion cascade.
+ *
+ * Deleting an account takes the user out of everything other people depend
+ * on before their own data goes: open tandem pairings are ended, carpools
+ * they drive are disbanded (and they leave the ones they ride in), upcoming
+ * rentals on either side are cancelled and refunded, and their tandem and
+ * rental history is anonymized (see each service's `removeUser`). Everyone
+ * affected gets a notification (see notifications.js). Then their Canvas
+ * access is revoked, and their profile, Canvas data, API keys, data
+ * exports, own notifications and Auth user are deleted.
+ *
+ * A dry run goes through the same steps without changing anything and
+ * reports what would happen.
+ */
+
+/**
+ * Notifications for the people a deletion affects
+ * @param {Object} tandem - TandemService.removeUser() result
+ * @param {Object} carpool - CarpoolService.removeUser() result
+ * @param {Object} rentals - RentalService.removeUser() result
+ * @return {Object[]} `{userId, type, message, data}` per recipient
+ */
+function buildNotifications(tandem, carpool, rentals) {
+  const notifications = [];
+
+  for (const { pairingId, partnerUserId } of tandem.pairings) {
+    notifications.push({
+      userId: partnerUserId,
+      type: NOTIFICATION_TYPES.TANDEM_PARTNER_DELETED,
+      message: "Your tandem partner deleted their account, so your pairing has ended.",
+      data: { pairingId },
+    });
+  }
+
+  for (const { carpoolId, passengerUserIds } of carpool.disbandedGroups) {
+    for (const passengerUserId of passengerUserIds) {
+      notifications.push({
+        userId: passengerUserId,
+        type: NOTIFICATION_TYPES.CARPOOL_DRIVER_DELETED,
+        message: "Your carpool driver deleted their account, so the carpool has been disbanded.",
+        data: { carpoolId },
+      });
+    }
+  }
+
+  for (const { carpoolId, driverUserId } of carpool.leftGroups) {
+    notifications.push({
+      userId: driverUserId,
+      type: NOTIFICATION_TYPES.CARPOOL_PASSENGER_DELETED,
+      message: "A passenger deleted their account and has left your carpool.",
+      data: { carpoolId },
+    });
+  }
+
+  for (const { rentalId, spotId, date, role, otherUserId, refundCents } of rentals.cancelledRentals) {
+    notifications.push({
+      userId: otherUserId,
+      type: NOTIFICATION_TYPES.RENTAL_CANCELLED,
+      message: role === "owner" ?
+        `The owner of the spot you rented for ${date} deleted their account, so your rental was cancelled.` :
+        `The renter of your spot for ${date} deleted their account, so the rental was cancelled.`,
+      data: { rentalId, spotId, date, refundCents: role === "owner" ? refundCents : 0 },
+    });
+  }
+
+  return notifications;
+}
+
+/**
+ * Delete a user's account and everything that hangs off it, or with
+ * `dryRun` only report what that would do.
+ *
+ * The domain data goes first and the Auth user last, so a deletion that
+ * fails part-way can be retried: every step skips what's already done.
+ * The profile, its Canvas data, API keys and notifications are deleted in
+ * one batch, to which `audit` can add the admin panel's audit entry.
+ *
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false]
+ * @param {Function} [options.audit] - `(batch, report)`: adds the audit entry to the batch that deletes the account
+ * @return {Promise<Object>} `{userId, dryRun, tandem, carpool, rentals, account, notifications}`
+ */
+async function deleteAccount(userId, { dryRun = false, audit = null } = {}) {
+  const db = admin.firestore();
+
+  const tandem = await tandemService.removeUser(userId, { dryRun });
+  const carpool = await carpoolService.removeUser(userId, { dryRun });
+  const rentals = await rentalService.removeUser(userId, { dryRun });
+  const notifications = buildNotifications(tandem, carpool, rentals);
+
+  const [userDoc, canvasDoc, apiKeys, received] = await Promise.all([
+    db.collection("users").doc(userId).get(),
+    db.collection("canvasData").doc(userId).get(),
+    db.collection("apiKeys").where("userId", "==", userId).get(),
+    db.collection(NOTIFICATIONS_COLLECTION).where("userId", "==", userId).get(),
+  ]);
+  const account = {
+    profile: userDoc.exists,
+    canvasData: canvasDoc.exists,
+    apiKeys: apiKeys.size,
+    notifications: received.size,
+    dataExports: await deleteExports(userId, { dryRun }),
+  };
+  const report = { userId, dryRun, tandem, carpool, rentals, account, notifications };
+
+  if (!dryRun) {
+    // The stored token is deleted with the profile even if Canvas can't be reached
+    try {
+      await revokeCanvasAccess(userId);
+    } catch (error) {
+      console.error("Canvas revoke error during account deletion:", error.message);
+    }
+
+    const batch = db.batch();
+    for (const notification of notifications) {
+      batch.set(db.collection(NOTIFICATIONS_COLLECTION).doc(), {
+        ...notification,
+        read: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+    batch.delete(db.collection("users").doc(userId));
+    batch.delete(db.collection("canvasData").doc(userId));
+    apiKeys.docs.forEach((doc) => batch.delete(doc.ref));
+    received.docs.forEach((doc) => batch.delete(doc.ref));
+    if (audit) audit(batch, report);
+    await batch.commit();
+
+    try {
+      await admin.auth().deleteUser(userId);
+    } catch (error) {
+      if (error.code !== "auth/user-not-found") throw error;
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  deleteAccount,
+};
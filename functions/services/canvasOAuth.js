@@ -0,0 +1,424 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const admin = require("firebase-admin");
+const CanvasService = require("./canvasService");
+const { encryptCredentials } = require("../utils/credentialEncryption");
+
+/**
+ * Canvas OAuth2.
+ *
+ * Students link Canvas with the authorization-code flow instead of pasting
+ * a personal access token:
+ *
+ * 1. `startAuthorization` stores a one-time `state` with a PKCE code
+ *    verifier and returns the Canvas URL to send the student to.
+ * 2. Canvas redirects back to CANVAS_REDIRECT_URI with `code` and `state`,
+ *    which the client posts to POST /auth/canvas/callback, and
+ *    `completeAuthorization` exchanges them for an access and a refresh token.
+ * 3. `canvasServiceFor` builds a CanvasService that refreshes the access
+ *    token whenever Canvas answers 401, and saves the new one.
+ * 4. `revokeCanvasAccess` deletes the token at Canvas and unlinks the account.
+ *
+ * Tokens are stored encrypted, as `canvasCredentials` on the users document
+ * (see utils/credentialEncryption.js). Only CanvasService decrypts them;
+ * accounts linked before that have plaintext `canvasAccessToken` fields,
+ * which `encryptPlaintextTokens` (and any use of the account) encrypts.
+ *
+ * https://canvas.instructure.com/doc/api/file.oauth.html
+ */
+
+const OAUTH_STATES_COLLECTION = "canvasOAuthStates";
+const STATE_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_API_BASE_URL = "https://canvas.instructure.com/api/v1";
+
+const AUTH_METHODS = Object.freeze({
+  OAUTH: "oauth",
+  TOKEN: "token", // Legacy pasted personal access token
+});
+
+// users fields describing the Canvas credentials
+const CREDENTIAL_FIELDS = Object.freeze([
+  "canvasCredentials",
+  "canvasTokenExpiresAt",
+  "canvasAuthMethod",
+]);
+
+// Plaintext token fields from before tokens were encrypted
+const PLAINTEXT_TOKEN_FIELDS = Object.freeze(["canvasAccessToken", "canvasRefreshToken"]);
+
+/**
+ * Canvas settings from the environment
+ * @return {Object} `{apiBaseUrl, baseUrl, clientId, clientSecret, redirectUri, maxPages}`
+ */
+function canvasConfig() {
+  const apiBaseUrl = process.env.CANVAS_API_BASE_URL || DEFAULT_API_BASE_URL;
+  return {
+    apiBaseUrl,
+    baseUrl: new URL(apiBaseUrl).origin,
+    clientId: process.env.CANVAS_CLIENT_ID || null,
+    clientSecret: process.env.CANVAS_CLIENT_SECRET || null,
+    redirectUri: process.env.CANVAS_REDIRECT_URI || null,
+    // Most pages CanvasService fetches of any list (undefined for its default)
+    maxPages: parseInt(process.env.CANVAS_MAX_PAGES, 10) || undefined,
+  };
+}
+
+/**
+ * Whether a Canvas developer key is configured
+ * @param {Object} [config]
+ * @return {boolean}
+ */
+function isOAuthConfigured(config = canvasConfig()) {
+  return Boolean(config.clientId && config.clientSecret && config.redirectUri);
+}
+
+/**
+ * Random URL-safe string
+ * @param {number} [bytes]
+ * @return {string}
+ */
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString("base64url");
+}
+
+/**
+ * A PKCE code verifier and its S256 challenge
+ * @return {{codeVerifier: string, codeChallenge: string}}
+ */
+function createPkcePair() {
+  const codeVerifier = randomToken();
+  const codeChallenge = crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+  return { codeVerifier, codeChallenge };
+}
+
+/**
+ * The Canvas page where the student approves access
+ * @param {Object} params
+ * @param {string} params.state
+ * @param {string} params.codeChallenge
+ * @param {Object} [config]
+ * @return {string}
+ */
+function authorizationUrl({ state, codeChallenge }, config = canvasConfig()) {
+  const url = new URL("/login/oauth2/auth", config.baseUrl);
+  url.search = new URLSearchParams({
+    client_id: config.clientId,
+    response_type: "code",
+    redirect_uri: config.redirectUri,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+  return url.toString();
+}
+
+/**
+ * POST to the Canvas token endpoint
+ * @param {Object} params - Form parameters besides the client credentials
+ * @param {Object} config
+ * @return {Promise<Object>} `{accessToken, refreshToken, expiresAt, canvasUser}`
+ */
+async function requestToken(params, config) {
+  const response = await axios.post(
+      `${config.baseUrl}/login/oauth2/token`,
+      new URLSearchParams({
+        client_id: config.clientId,
+        client_secret: config.clientSecret,
+        ...params,
+      }).toString(),
+      { headers: { "Content-Type": "application/x-www-form-urlencoded" } },
+  );
+
+  const data = response.data;
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || null,
+    expiresAt: data.expires_in ? new Date(Date.now() + data.expires_in * 1000) : null,
+    canvasUser: data.user || null,
+  };
+}
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {string} code
+ * @param {string} codeVerifier - PKCE verifier stored with the state
+ * @param {Object} [config]
+ * @return {Promise<Object>} `{accessToken, refreshToken, expiresAt, canvasUser}`
+ */
+function exchangeCode(code, codeVerifier, config = canvasConfig()) {
+  return requestToken({
+    grant_type: "authorization_code",
+    redirect_uri: config.redirectUri,
+    code,
+    code_verifier: codeVerifier,
+  }, config);
+}
+
+/**
+ * Get a new access token with a refresh token. Canvas keeps the refresh
+ * token the same, so the result has `refreshToken: null`.
+ * @param {string} refreshToken
+ * @param {Object} [config]
+ * @return {Promise<Object>} `{accessToken, refreshToken, expiresAt, canvasUser}`
+ */
+function refreshTokens(refreshToken, config = canvasConfig()) {
+  return requestToken({
+    grant_type: "refresh_token",
+    refresh_token: refreshToken,
+  }, config);
+}
+
+/**
+ * users fields for a set of Canvas credentials, encrypting the tokens and
+ * removing any plaintext ones
+ * @param {string} userId
+ * @param {Object} tokens - `{accessToken, refreshToken, expiresAt}`
+ * @return {Promise<Object>}
+ */
+async function credentialFields(userId, tokens) {
+  const fields = {
+    canvasCredentials: await encryptCredentials({
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken || null,
+    }, userId),
+    canvasTokenExpiresAt: tokens.expiresAt ? admin.firestore.Timestamp.fromDate(tokens.expiresAt) : null,
+  };
+  PLAINTEXT_TOKEN_FIELDS.forEach((field) => {
+    fields[field] = admin.firestore.FieldValue.delete();
+  });
+  return fields;
+}
+
+/**
+ * Whether a users document has Canvas credentials
+ * @param {Object} userData
+ * @return {boolean}
+ */
+function hasCanvasCredentials(userData) {
+  return Boolean(userData.canvasCredentials || userData.canvasAccessToken);
+}
+
+/**
+ * Start linking a user's Canvas account
+ * @param {string} userId
+ * @param {Object} [config]
+ * @return {Promise<Object>} `{authorizationUrl, expiresAt}`
+ */
+async function startAuthorization(userId, config = canvasConfig()) {
+  if (!isOAuthConfigured(config)) {
+    throw new Error("Canvas sign-in is not configured");
+  }
+
+  const state = randomToken();
+  const { codeVerifier, codeChallenge } = createPkcePair();
+  const expiresAt = new Date(Date.now() + STATE_TTL_MS);
+
+  await admin.firestore().collection(OAUTH_STATES_COLLECTION).doc(state).set({
+    userId,
+    codeVerifier,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+  });
+
+  return {
+    authorizationUrl: authorizationUrl({ state, codeChallenge }, config),
+    expiresAt: expiresAt.toISOString(),
+  };
+}
+
+/**
+ * Finish linking: check the state belongs to the user and hasn't been used
+ * or expired, exchange the code and store the tokens
+ * @param {string} userId
+ * @param {Object} params
+ * @param {string} params.state
+ * @param {string} params.code
+ * @param {Object} [config]
+ * @return {Promise<CanvasService>} Service for the newly linked account
+ */
+async function completeAuthorization(userId, { state, code }, config = canvasConfig()) {
+  if (!state || !code) {
+    throw new Error("state and code are required");
+  }
+
+  const db = admin.firestore();
+  const stateRef = db.collection(OAUTH_STATES_COLLECTION).doc(String(state));
+
+  // A state can be used once, even by requests racing each other
+  const pending = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(stateRef);
+    if (!doc.exists) return null;
+    transaction.delete(stateRef);
+    return doc.data();
+  });
+
+  if (!pending || pending.userId !== userId || pending.expiresAt.toDate() < new Date()) {
+    throw new Error("Invalid or expired Canvas authorization; start linking again");
+  }
+
+  let tokens;
+  try {
+    tokens = await exchangeCode(String(code), pending.codeVerifier, config);
+  } catch (error) {
+    console.error("Canvas code exchange error:", error.response?.data || error.message);
+    throw new Error("Canvas rejected the authorization; start linking again");
+  }
+
+  await db.collection("users").doc(userId).update({
+    ...await credentialFields(userId, tokens),
+    canvasAuthMethod: AUTH_METHODS.OAUTH,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return new CanvasService(tokens.accessToken, config.apiBaseUrl, {
+    refreshToken: tokens.refreshToken,
+    refreshAccessToken: (refreshToken) => refreshStoredToken(userId, refreshToken, config),
+    maxPages: config.maxPages,
+  });
+}
+
+/**
+ * Fields that unlink a user's Canvas account
+ * @return {Object}
+ */
+function unlinkedFields() {
+  const fields = { canvasDataLinked: false };
+  CREDENTIAL_FIELDS.forEach((field) => {
+    fields[field] = null;
+  });
+  PLAINTEXT_TOKEN_FIELDS.forEach((field) => {
+    fields[field] = admin.firestore.FieldValue.delete();
+  });
+  return fields;
+}
+
+/**
+ * Get a new access token for a user and store it. If Canvas rejects the
+ * refresh token (the student revoked access in Canvas), the account is
+ * unlinked.
+ * @param {string} userId
+ * @param {string} refreshToken - From the user's CanvasService
+ * @param {Object} [config]
+ * @return {Promise<string>} New access token
+ */
+async function refreshStoredToken(userId, refreshToken, config = canvasConfig()) {
+  const userRef = admin.firestore().collection("users").doc(userId);
+
+  let tokens;
+  try {
+    tokens = await refreshTokens(refreshToken, config);
+  } catch (error) {
+    if (error.response?.data?.error === "invalid_grant") {
+      await userRef.update({
+        ...unlinkedFields(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      throw new Error("Canvas access was revoked; link your Canvas account again");
+    }
+    throw error;
+  }
+
+  await userRef.update({
+    ...await credentialFields(userId, { ...tokens, refreshToken: tokens.refreshToken || refreshToken }),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return tokens.accessToken;
+}
+
+/**
+ * Encrypt a user's plaintext Canvas tokens in place
+ * @param {string} userId
+ * @param {Object} userData - users document
+ * @return {Promise<Object>} The stored envelope
+ */
+async function encryptPlaintextToken(userId, userData) {
+  const fields = await credentialFields(userId, {
+    accessToken: userData.canvasAccessToken,
+    refreshToken: userData.canvasRefreshToken,
+    expiresAt: userData.canvasTokenExpiresAt ? userData.canvasTokenExpiresAt.toDate() : null,
+  });
+  await admin.firestore().collection("users").doc(userId).update({
+    ...fields,
+    canvasAuthMethod: userData.canvasAuthMethod ||
+      (userData.canvasRefreshToken ? AUTH_METHODS.OAUTH : AUTH_METHODS.TOKEN),
+  });
+  return fields.canvasCredentials;
+}
+
+/**
+ * Encrypt every plaintext Canvas token still stored. Safe to run at any
+ * time; accounts already encrypted are skipped.
+ * @return {Promise<Object>} `{encrypted}`
+ */
+async function encryptPlaintextTokens() {
+  const snapshot = await admin.firestore().collection("users").where("canvasAccessToken", "!=", null).get();
+  for (const doc of snapshot.docs) {
+    await encryptPlaintextToken(doc.id, doc.data());
+  }
+  return { encrypted: snapshot.size };
+}
+
+/**
+ * CanvasService for a user, refreshing their access token when it expires
+ * (OAuth-linked accounts only; pasted tokens can't be refreshed). Plaintext
+ * tokens are encrypted first.
+ * @param {string} userId
+ * @param {Object} userData - users document
+ * @param {Object} [config]
+ * @return {Promise<CanvasService>}
+ */
+async function canvasServiceFor(userId, userData, config = canvasConfig()) {
+  const credentials = userData.canvasCredentials || await encryptPlaintextToken(userId, userData);
+  return CanvasService.fromCredentials(credentials, {
+    context: userId,
+    baseUrl: config.apiBaseUrl,
+    refreshAccessToken: (refreshToken) => refreshStoredToken(userId, refreshToken, config),
+    maxPages: config.maxPages,
+  });
+}
+
+/**
+ * Revoke a user's Canvas access and unlink their account. The cached
+ * canvasData document is kept.
+ * @param {string} userId
+ * @param {Object} [config]
+ * @return {Promise<boolean>} Whether an account was linked
+ */
+async function revokeCanvasAccess(userId, config = canvasConfig()) {
+  const userRef = admin.firestore().collection("users").doc(userId);
+  const userDoc = await userRef.get();
+  if (!userDoc.exists || !hasCanvasCredentials(userDoc.data())) return false;
+
+  // Pasted personal tokens belong to the student; they delete those in Canvas
+  if (userDoc.data().canvasAuthMethod === AUTH_METHODS.OAUTH) {
+    const canvasService = await canvasServiceFor(userId, userDoc.data(), config);
+    await canvasService.revokeAccess();
+  }
+
+  await userRef.update({
+    ...unlinkedFields(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return true;
+}
+
+module.exports = {
+  OAUTH_STATES_COLLECTION,
+  AUTH_METHODS,
+  CREDENTIAL_FIELDS,
+  PLAINTEXT_TOKEN_FIELDS,
+  canvasConfig,
+  isOAuthConfigured,
+  createPkcePair,
+  authorizationUrl,
+  exchangeCode,
+  refreshTokens,
+  credentialFields,
+  hasCanvasCredentials,
+  startAuthorization,
+  completeAuthorization,
+  refreshStoredToken,
+  encryptPlaintextTokens,
+  canvasServiceFor,
+  revokeCanvasAccess,
+};
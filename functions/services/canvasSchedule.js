@@ -0,0 +1,190 @@
+const admin = require("firebase-admin");
+const { tandemService, calendarService } = require("./domainServices");
+const { gradeForGraduationYear } = require("./studentGrades");
+const { convertCanvasSchedule, SPECIAL_BLOCKS } = require("../../scheduling system/canvasConverter");
+const { buildSchedule } = require("../../scheduling system/scheduleBuilder");
+const { toPresenceMap } = require("../../src/TandemService");
+
+/**
+ * Schedules derived from Canvas.
+ *
+ * Students who linked Canvas but never uploaded a schedule PDF get a
+ * schedule derived from their Canvas enrollments (scheduling system
+ * canvasConverter.js). It is stored like an uploaded one, on the users
+ * document and in the TandemService, with `scheduleSource: "canvas"`, and
+ * rebuilt whenever a Canvas sync finds their courses or enrollments
+ * changed. An uploaded PDF always takes precedence.
+ *
+ * The converter guesses some blocks with low confidence and can't place
+ * some courses at all. Those are listed for the student to confirm:
+ *
+ *   canvasSchedule: { courses, unconfirmed, confirmations, updatedAt }
+ *
+ * and their answers (POST /canvas/schedule/confirm) are kept in
+ * `confirmations`, so later syncs don't undo them.
+ */
+
+const SCHEDULE_SOURCES = Object.freeze({
+  PDF: "pdf",
+  CANVAS: "canvas",
+});
+
+// A Canvas-derived schedule is rebuilt when one of these changes
+const SCHEDULE_SECTIONS = Object.freeze(["courses", "enrollments"]);
+
+/**
+ * Build an Error carrying the HTTP status to respond with.
+ * @param {number} status
+ * @param {string} message
+ * @return {Error}
+ */
+function scheduleError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Whether a user's schedule came from an uploaded PDF. Schedules uploaded
+ * before schedules had a source only have `scheduleUploadedAt`.
+ * @param {Object} userData - users document
+ * @return {boolean}
+ */
+function hasPdfSchedule(userData) {
+  if (userData.scheduleSource) return userData.scheduleSource === SCHEDULE_SOURCES.PDF;
+  return Boolean(userData.scheduleUploadedAt);
+}
+
+/**
+ * Check a student's confirmations: Canvas course ids mapped to a block
+ * 1-7, "CC", "DS", "M12", or null for a course that isn't a class
+ * @param {*} confirmations
+ * @return {string|null} What is wrong, or null if they are valid
+ */
+function validateConfirmations(confirmations) {
+  if (!confirmations || typeof confirmations !== "object" || Array.isArray(confirmations)) {
+    return "confirmations must be an object of Canvas course ids to blocks";
+  }
+  for (const [courseId, block] of Object.entries(confirmations)) {
+    const valid = block === null || SPECIAL_BLOCKS.includes(block) ||
+      (Number.isInteger(block) && block >= 1 && block <= 7);
+    if (!valid) {
+      return `Block for course ${courseId} must be 1-7, "CC", "DS", "M12" or null`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Derive a user's schedule from their cached Canvas data
+ * @param {Object} userData - users document
+ * @param {Object} canvasData - canvasData document
+ * @param {Object} [confirmations] - Defaults to the stored ones
+ * @return {Object} Parsed student, as canvasConverter returns it
+ */
+function deriveCanvasSchedule(userData, canvasData, confirmations = userData.canvasSchedule?.confirmations) {
+  const grade = userData.graduationYear ? gradeForGraduationYear(userData.graduationYear) : null;
+  return convertCanvasSchedule(canvasData, { grade, confirmations: confirmations || {} });
+}
+
+/**
+ * What the student sees of a derived schedule
+ * @param {Object} parsed - Parsed student from deriveCanvasSchedule
+ * @return {Object} `{courses, unconfirmed}`
+ */
+function summarize(parsed) {
+  return {
+    courses: parsed.allCourses.map((course) => ({
+      canvasCourseId: course.canvasCourseId,
+      code: course.code,
+      title: course.title,
+      block: course.block,
+      confidence: course.confidence,
+    })),
+    unconfirmed: parsed.unconfirmed,
+  };
+}
+
+/**
+ * Derive a user's schedule from Canvas and store it as their schedule.
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {Object} [options.confirmations] - New answers from the student,
+ *   merged over the stored ones
+ * @return {Promise<Object>} `{parsed, schedule, warnings}`
+ */
+async function applyCanvasSchedule(userId, { confirmations = {} } = {}) {
+  const db = admin.firestore();
+  const userRef = db.collection("users").doc(userId);
+  const [userDoc, canvasDataDoc] = await Promise.all([
+    userRef.get(),
+    db.collection("canvasData").doc(userId).get(),
+  ]);
+
+  if (!userDoc.exists) throw scheduleError(404, "User not found");
+  if (!canvasDataDoc.exists) throw scheduleError(404, "Canvas data not found; link your Canvas account first");
+
+  const userData = userDoc.data();
+  if (hasPdfSchedule(userData)) {
+    throw scheduleError(409, "Your uploaded schedule PDF is used instead of Canvas; upload a new PDF to change it");
+  }
+
+  const merged = { ...(userData.canvasSchedule?.confirmations || {}), ...confirmations };
+  const parsed = deriveCanvasSchedule(userData, canvasDataDoc.data(), merged);
+  const built = buildSchedule(parsed, { alternateSchedules: await calendarService.getAlternates() });
+  const schedule = toPresenceMap(built);
+
+  await userRef.update({
+    schedule,
+    scheduleWarnings: parsed.warnings,
+    scheduleSource: SCHEDULE_SOURCES.CANVAS,
+    canvasSchedule: {
+      ...summarize(parsed),
+      confirmations: merged,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    },
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  await tandemService.setUserSchedule(userId, built);
+
+  return { parsed, schedule, warnings: parsed.warnings };
+}
+
+/**
+ * Rebuild a Canvas-derived schedule after a sync: when the sync changed
+ * the courses or enrollments, or the student has no schedule yet. Does
+ * nothing for students with a PDF schedule, and only logs failures so
+ * they never fail the sync itself.
+ * @param {string} userId
+ * @param {Object} [changes] - What the sync changed (canvasSync changes);
+ *   without them the schedule is always rebuilt
+ * @return {Promise<Object|null>} See applyCanvasSchedule, or null if not rebuilt
+ */
+async function refreshCanvasSchedule(userId, changes) {
+  try {
+    const userDoc = await admin.firestore().collection("users").doc(userId).get();
+    if (!userDoc.exists) return null;
+
+    const userData = userDoc.data();
+    if (hasPdfSchedule(userData)) return null;
+    const stale = !changes || userData.scheduleSource !== SCHEDULE_SOURCES.CANVAS ||
+      SCHEDULE_SECTIONS.some((section) => changes[section]);
+    if (!stale) return null;
+
+    return await applyCanvasSchedule(userId);
+  } catch (error) {
+    console.error(`Failed to rebuild the Canvas schedule for ${userId}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  SCHEDULE_SOURCES,
+  hasPdfSchedule,
+  validateConfirmations,
+  deriveCanvasSchedule,
+  summarize,
+  applyCanvasSchedule,
+  refreshCanvasSchedule,
+};
@@ -1,20 +1,128 @@
 const axios = require("axios");
+const { decryptCredentials } = require("../utils/credentialEncryption");
+const { DEFAULT_MAX_PAGES, paginate, collectPages } = require("../utils/canvasPagination");
 
 /**
  * Service for interacting with Canvas LMS API
  * https://canvas.instructure.com/doc/api/
  */
 class CanvasService {
-  constructor(accessToken, baseUrl = "https://canvas.instructure.com/api/v1") {
-    this.accessToken = accessToken;
+  // Tokens are private so they never end up in logs or responses
+  #accessToken;
+  #refreshToken;
+
+  /**
+   * @param {string} accessToken - Canvas access token
+   * @param {string} [baseUrl] - Canvas API base URL
+   * @param {Object} [options]
+   * @param {string} [options.refreshToken] - OAuth2 refresh token
+   * @param {Function} [options.refreshAccessToken] - Called with the refresh
+   *   token when Canvas answers 401 and returns a new access token (see
+   *   services/canvasOAuth.js); the request is then retried once with it
+   * @param {number} [options.maxPages] - Most pages to fetch of any list
+   */
+  constructor(accessToken, baseUrl = "https://canvas.instructure.com/api/v1", options = {}) {
+    this.#accessToken = accessToken;
+    this.#refreshToken = options.refreshToken || null;
     this.baseUrl = baseUrl;
+    this.refreshAccessToken = options.refreshAccessToken || null;
+    this.refreshing = null;
+    this.maxPages = options.maxPages || DEFAULT_MAX_PAGES;
     this.client = axios.create({
       baseURL: this.baseUrl,
       headers: {
-        "Authorization": `Bearer ${this.accessToken}`,
+        "Authorization": `Bearer ${this.#accessToken}`,
         "Content-Type": "application/json",
       },
     });
+    this.client.interceptors.response.use(null, (error) => this.retryUnauthorized(error));
+  }
+
+  /**
+   * Service for stored credentials: the only place they are decrypted
+   * @param {Object} credentials - Envelope from utils/credentialEncryption.js
+   *   holding `{accessToken, refreshToken}`
+   * @param {Object} options
+   * @param {string} options.context - The owner's UID
+   * @param {string} [options.baseUrl] - Canvas API base URL
+   * @param {Function} [options.refreshAccessToken] - See the constructor
+   * @param {number} [options.maxPages] - See the constructor
+   * @return {Promise<CanvasService>}
+   */
+  static async fromCredentials(credentials, { context, baseUrl, refreshAccessToken, maxPages } = {}) {
+    const { accessToken, refreshToken } = await decryptCredentials(credentials, context);
+    return new CanvasService(accessToken, baseUrl, { refreshToken, refreshAccessToken, maxPages });
+  }
+
+  /**
+   * Delete the access token (and its refresh token) at Canvas. Tokens
+   * Canvas no longer accepts count as revoked.
+   * https://canvas.instructure.com/doc/api/file.oauth_endpoints.html
+   */
+  async revokeAccess() {
+    try {
+      await axios.delete(`${new URL(this.baseUrl).origin}/login/oauth2/token`, {
+        headers: { Authorization: `Bearer ${this.#accessToken}` },
+      });
+    } catch (error) {
+      if (error.response?.status !== 401) throw error;
+    }
+  }
+
+  /**
+   * Retry a request Canvas rejected with 401 using a fresh access token.
+   * Requests that failed with a token that has since been replaced (e.g.
+   * parallel requests in getComprehensiveUserData) reuse the new one.
+   * @param {Error} error - axios error
+   * @return {Promise<Object>} The retried response
+   */
+  async retryUnauthorized(error) {
+    const request = error.config;
+    if (!this.refreshAccessToken || !this.#refreshToken || error.response?.status !== 401 || !request ||
+        request.retriedAfterRefresh) {
+      throw error;
+    }
+
+    if (request.headers.Authorization === `Bearer ${this.#accessToken}`) {
+      if (!this.refreshing) {
+        this.refreshing = Promise.resolve(this.refreshAccessToken(this.#refreshToken))
+            .then((accessToken) => {
+              this.#accessToken = accessToken;
+              this.client.defaults.headers.Authorization = `Bearer ${accessToken}`;
+            })
+            .finally(() => {
+              this.refreshing = null;
+            });
+      }
+      await this.refreshing;
+    }
+
+    request.retriedAfterRefresh = true;
+    request.headers.Authorization = `Bearer ${this.#accessToken}`;
+    return this.client.request(request);
+  }
+
+  /**
+   * Stream a paginated Canvas list, following its Link headers (see
+   * utils/canvasPagination.js)
+   * @param {string} path - API path, e.g. "/courses"
+   * @param {Object} [options]
+   * @param {Object} [options.params] - Query parameters
+   * @param {number} [options.maxPages] - Defaults to the service's cap
+   * @return {AsyncGenerator<Object>}
+   */
+  paginate(path, options = {}) {
+    return paginate(this.client, path, { maxPages: this.maxPages, ...options });
+  }
+
+  /**
+   * Every page of a paginated Canvas list
+   * @param {string} path
+   * @param {Object} [options] - See paginate
+   * @return {Promise<Array>}
+   */
+  getAllPages(path, options = {}) {
+    return collectPages(this.client, path, { maxPages: this.maxPages, ...options });
   }
 
   /**
@@ -27,27 +135,27 @@ class CanvasService {
       return response.data;
     } catch (error) {
       console.error("Error fetching Canvas user profile:", error.response?.data || error.message);
-      throw new Error("Failed to fetch Canvas user profile");
+      throw new Error("Failed to fetch Canvas user profile", { cause: error });
     }
   }
 
   /**
    * Fetch the user's courses
-   * @returns {Promise<Array>} List of courses
+   * @returns {Promise<Array>} List of courses, from every page
    */
   async getUserCourses() {
     try {
-      const response = await this.client.get("/courses", {
+      return await this.getAllPages("/courses", {
         params: {
           enrollment_state: "active",
-          include: ["term", "total_scores", "course_image"],
+          // Section names often carry the block (services/canvasSchedule.js)
+          include: ["term", "total_scores", "course_image", "sections"],
           per_page: 100,
         },
       });
-      return response.data;
     } catch (error) {
       console.error("Error fetching Canvas courses:", error.response?.data || error.message);
-      throw new Error("Failed to fetch Canvas courses");
+      throw new Error("Failed to fetch Canvas courses", { cause: error });
     }
   }
 
@@ -55,11 +163,11 @@ class CanvasService {
    * Fetch the user's schedule/calendar events
    * @param {string} startDate - ISO date string
    * @param {string} endDate - ISO date string
-   * @returns {Promise<Array>} List of calendar events
+   * @returns {Promise<Array>} List of calendar events, from every page
    */
   async getUserCalendar(startDate, endDate) {
     try {
-      const response = await this.client.get("/calendar_events", {
+      return await this.getAllPages("/calendar_events", {
         params: {
           type: "event",
           start_date: startDate,
@@ -68,47 +176,44 @@ class CanvasService {
           per_page: 100,
         },
       });
-      return response.data;
     } catch (error) {
       console.error("Error fetching Canvas calendar:", error.response?.data || error.message);
-      throw new Error("Failed to fetch Canvas calendar");
+      throw new Error("Failed to fetch Canvas calendar", { cause: error });
     }
   }
 
   /**
    * Fetch upcoming assignments for the user
-   * @returns {Promise<Array>} List of assignments
+   * @returns {Promise<Array>} List of assignments, from every page
    */
   async getUpcomingAssignments() {
     try {
-      const response = await this.client.get("/users/self/upcoming_events", {
+      return await this.getAllPages("/users/self/upcoming_events", {
         params: {
           per_page: 50,
         },
       });
-      return response.data;
     } catch (error) {
       console.error("Error fetching Canvas assignments:", error.response?.data || error.message);
-      throw new Error("Failed to fetch Canvas assignments");
+      throw new Error("Failed to fetch Canvas assignments", { cause: error });
     }
   }
 
   /**
    * Fetch user's enrollments across all courses
-   * @returns {Promise<Array>} List of enrollments
+   * @returns {Promise<Array>} List of enrollments, from every page
    */
   async getUserEnrollments() {
     try {
-      const response = await this.client.get("/users/self/enrollments", {
+      return await this.getAllPages("/users/self/enrollments", {
         params: {
           state: ["active", "invited", "completed"],
           per_page: 100,
         },
       });
-      return response.data;
     } catch (error) {
       console.error("Error fetching Canvas enrollments:", error.response?.data || error.message);
-      throw new Error("Failed to fetch Canvas enrollments");
+      throw new Error("Failed to fetch Canvas enrollments", { cause: error });
     }
   }
 
@@ -201,6 +306,47 @@ class CanvasService {
 
     return schedule;
   }
+
+  /**
+   * The axios response behind an error, following `cause` through the
+   * errors the fetch methods rethrow
+   * @param {Error} error
+   * @return {Object|null}
+   */
+  static responseOf(error) {
+    for (let current = error; current; current = current.cause) {
+      if (current.response) return current.response;
+    }
+    return null;
+  }
+
+  /**
+   * Whether Canvas throttled a request. Canvas answers 403 "Rate Limit
+   * Exceeded" with an empty X-Rate-Limit-Remaining quota (some deployments
+   * use 429).
+   * https://canvas.instructure.com/doc/api/file.throttling.html
+   * @param {Error} error
+   * @return {boolean}
+   */
+  static isRateLimited(error) {
+    const response = CanvasService.responseOf(error);
+    if (!response) return false;
+    if (response.status === 429) return true;
+    if (response.status !== 403) return false;
+
+    const remaining = parseFloat(response.headers?.["x-rate-limit-remaining"]);
+    return remaining <= 0 || /rate limit exceeded/i.test(JSON.stringify(response.data || ""));
+  }
+
+  /**
+   * How long Canvas asked us to wait (Retry-After), if it did
+   * @param {Error} error
+   * @return {number} Milliseconds, 0 if not given
+   */
+  static retryAfterMs(error) {
+    const seconds = parseFloat(CanvasService.responseOf(error)?.headers?.["retry-after"]);
+    return seconds > 0 ? seconds * 1000 : 0;
+  }
 }
 
 module.exports = CanvasService;
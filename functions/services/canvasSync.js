@@ -0,0 +1,383 @@
+const admin = require("firebase-admin");
+const CanvasService = require("./canvasService");
+const { hasCanvasCredentials, canvasServiceFor } = require("./canvasOAuth");
+const { toDate } = require("../middleware/systemStatus");
+
+/**
+ * Canvas sync.
+ *
+ * The cached Canvas data in `canvasData/{userId}` is refreshed through
+ * `syncCanvasData` when a student links Canvas, when they call
+ * POST /canvas/refresh, and by `syncLinkedUsers` (the `syncCanvas`
+ * scheduled function in functions/index.js), which walks every linked
+ * account in batches and syncs the ones not synced within SYNC_INTERVAL_MS.
+ *
+ * Only the sections that changed are written: profile, courses, calendar,
+ * assignments and enrollments, plus scheduleInfo when courses or calendar
+ * changed. A sync that changes nothing doesn't touch `canvasData` at all.
+ *
+ * Each account's last sync is recorded on its users document:
+ *
+ *   canvasSync: { status, lastAttemptAt, lastSuccessAt, changes, error, failures }
+ *
+ * When Canvas throttles us, a sync is retried with exponential backoff. If
+ * Canvas keeps throttling, the run stops syncing and the remaining accounts
+ * wait for the next run. Each run's totals and the oldest successful sync
+ * go to `system/canvasSync`, which GET /health/canvas-sync reports as lag.
+ */
+
+const SYNC_SECTIONS = Object.freeze(["profile", "courses", "calendar", "assignments", "enrollments"]);
+
+// scheduleInfo is derived from these (CanvasService.extractScheduleInfo)
+const SCHEDULE_SECTIONS = Object.freeze(["courses", "calendar"]);
+
+const SYNC_STATUS = Object.freeze({
+  SYNCED: "synced",
+  FAILED: "failed",
+  RATE_LIMITED: "rate_limited",
+});
+
+const SYNC_STATE_COLLECTION = "system";
+const SYNC_STATE_DOC = "canvasSync";
+
+const SYNC_INTERVAL_MS = 12 * 60 * 60 * 1000;
+const LAG_WARNING_MS = 2 * SYNC_INTERVAL_MS;
+const BATCH_SIZE = 50;
+// The scheduled function times out after 540s; stop syncing before that
+const RUN_BUDGET_MS = 7 * 60 * 1000;
+const MAX_RATE_LIMIT_RETRIES = 3;
+const BACKOFF_BASE_MS = 2000;
+
+/**
+ * JSON with object keys sorted, so equal data compares equal however
+ * Firestore ordered the keys
+ * @param {*} value
+ * @return {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value).sort()
+        .filter((key) => value[key] !== undefined)
+        .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Compare two lists of Canvas objects by `id`
+ * @param {Array} [previous]
+ * @param {Array} [current]
+ * @return {{added: number, removed: number, updated: number}}
+ */
+function diffItems(previous = [], current = []) {
+  const key = (item) => (item && item.id !== undefined ? String(item.id) : stableStringify(item));
+  const before = new Map(previous.map((item) => [key(item), stableStringify(item)]));
+  const after = new Map(current.map((item) => [key(item), stableStringify(item)]));
+
+  const diff = { added: 0, removed: 0, updated: 0 };
+  for (const [id, item] of after) {
+    if (!before.has(id)) diff.added++;
+    else if (before.get(id) !== item) diff.updated++;
+  }
+  for (const id of before.keys()) {
+    if (!after.has(id)) diff.removed++;
+  }
+  return diff;
+}
+
+/**
+ * A section as a list (the profile is a single object)
+ * @param {*} value
+ * @return {Array}
+ */
+function asList(value) {
+  if (Array.isArray(value)) return value;
+  return value === undefined || value === null ? [] : [value];
+}
+
+/**
+ * What changed between the cached Canvas data and a fresh fetch
+ * @param {Object|null} previous - canvasData document, null if none yet
+ * @param {Object} current - From CanvasService.getComprehensiveUserData
+ * @return {{fields: Object, changes: Object}} `fields` to write (changed
+ *   sections only) and `changes` per section (`{added, removed, updated}`)
+ */
+function diffCanvasData(previous, current) {
+  const fields = {};
+  const changes = {};
+
+  for (const section of SYNC_SECTIONS) {
+    const before = previous ? previous[section] : undefined;
+    const after = current[section] === undefined ? null : current[section];
+    if (before !== undefined && stableStringify(before) === stableStringify(after)) continue;
+
+    fields[section] = after;
+    changes[section] = diffItems(asList(before), asList(after));
+  }
+
+  if (SCHEDULE_SECTIONS.some((section) => section in fields) || (previous && !previous.scheduleInfo)) {
+    fields.scheduleInfo = CanvasService.extractScheduleInfo(current);
+  }
+
+  return { fields, changes };
+}
+
+/**
+ * Fetch a user's Canvas data and store what changed
+ * @param {string} userId
+ * @param {CanvasService} canvasService
+ * @return {Promise<Object>} `{canvasData, scheduleInfo, changes}`, with the
+ *   freshly fetched canvasData
+ */
+async function syncCanvasData(userId, canvasService) {
+  const db = admin.firestore();
+  const canvasData = await canvasService.getComprehensiveUserData();
+
+  const canvasRef = db.collection("canvasData").doc(userId);
+  const previousDoc = await canvasRef.get();
+  const previous = previousDoc.exists ? previousDoc.data() : null;
+  const { fields, changes } = diffCanvasData(previous, canvasData);
+
+  if (!previous) {
+    await canvasRef.set({ userId, ...fields, lastUpdated: canvasData.lastUpdated });
+  } else if (Object.keys(fields).length > 0) {
+    await canvasRef.update({ ...fields, lastUpdated: canvasData.lastUpdated });
+  }
+
+  const now = admin.firestore.Timestamp.now();
+  await db.collection("users").doc(userId).update({
+    canvasSync: {
+      status: SYNC_STATUS.SYNCED,
+      lastAttemptAt: now,
+      lastSuccessAt: now,
+      changes,
+      error: null,
+      failures: 0,
+    },
+  });
+
+  return {
+    canvasData,
+    scheduleInfo: fields.scheduleInfo || previous?.scheduleInfo || null,
+    changes,
+  };
+}
+
+/**
+ * Record a failed sync, keeping the last successful one
+ * @param {string} userId
+ * @param {Object} [previousSync] - The user's canvasSync field
+ * @param {string} status - SYNC_STATUS.FAILED or SYNC_STATUS.RATE_LIMITED
+ * @param {Error} error
+ */
+async function recordSyncFailure(userId, previousSync = {}, status, error) {
+  try {
+    await admin.firestore().collection("users").doc(userId).update({
+      canvasSync: {
+        status,
+        lastAttemptAt: admin.firestore.Timestamp.now(),
+        lastSuccessAt: previousSync.lastSuccessAt || null,
+        changes: {},
+        error: error.message,
+        failures: (previousSync.failures || 0) + 1,
+      },
+    });
+  } catch (updateError) {
+    // The account was deleted while it was syncing
+    console.error(`Failed to record Canvas sync status for ${userId}:`, updateError.message);
+  }
+}
+
+/**
+ * Wait
+ * @param {number} ms
+ * @return {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Run a Canvas call, retrying with exponential backoff (or as long as
+ * Canvas's Retry-After asks) while Canvas throttles it
+ * @param {Function} fn - Async function to run
+ * @param {Object} [options]
+ * @param {number} [options.retries]
+ * @param {number} [options.baseDelayMs]
+ * @param {Function} [options.sleep] - Waits the given milliseconds
+ * @return {Promise<*>} What fn returns
+ */
+async function withBackoff(fn, {
+  retries = MAX_RATE_LIMIT_RETRIES,
+  baseDelayMs = BACKOFF_BASE_MS,
+  sleep = wait,
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !CanvasService.isRateLimited(error)) throw error;
+      await sleep(Math.max(CanvasService.retryAfterMs(error), baseDelayMs * 2 ** attempt));
+    }
+  }
+}
+
+/**
+ * Sync one account for a sync run, recording how it went
+ * @param {string} userId
+ * @param {Object} userData - users document
+ * @param {Object} backoff - Options for withBackoff
+ * @param {Function} [onChange] - Called with (userId, changes) after a
+ *   sync that changed something
+ * @return {Promise<Object>} `{status, changed}`
+ */
+async function syncUser(userId, userData, backoff, onChange) {
+  try {
+    if (!hasCanvasCredentials(userData)) {
+      throw new Error("Canvas account has no stored credentials");
+    }
+    const canvasService = await canvasServiceFor(userId, userData);
+    const { changes } = await withBackoff(() => syncCanvasData(userId, canvasService), backoff);
+    const changed = Object.keys(changes).length > 0;
+    if (changed && onChange) await onChange(userId, changes);
+    return { status: SYNC_STATUS.SYNCED, changed };
+  } catch (error) {
+    const status = CanvasService.isRateLimited(error) ? SYNC_STATUS.RATE_LIMITED : SYNC_STATUS.FAILED;
+    console.error(`Canvas sync failed for ${userId}:`, error.message);
+    await recordSyncFailure(userId, userData.canvasSync, status, error);
+    return { status, changed: false };
+  }
+}
+
+/**
+ * Sync every linked account not synced within the interval, in batches.
+ * Accounts that can't be synced this run (out of time, or Canvas is
+ * throttling) are still counted, so the totals cover every linked account.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {number} [options.batchSize]
+ * @param {number} [options.intervalMs] - Skip accounts synced more recently
+ * @param {number} [options.budgetMs] - Stop starting syncs after this long
+ * @param {Object} [options.backoff] - Options for withBackoff
+ * @param {Function} [options.onChange] - Called with (userId, changes)
+ *   after each sync that changed something
+ * @return {Promise<Object>} Totals: `{linked, synced, changed, fresh,
+ *   failed, rateLimited, pending, neverSynced, oldestSuccessAt, stoppedBy}`
+ */
+async function syncLinkedUsers({
+  now = new Date(),
+  batchSize = BATCH_SIZE,
+  intervalMs = SYNC_INTERVAL_MS,
+  budgetMs = RUN_BUDGET_MS,
+  backoff = {},
+  onChange = null,
+} = {}) {
+  const db = admin.firestore();
+  const startedAt = Date.now();
+  const totals = {
+    linked: 0,
+    synced: 0,
+    changed: 0,
+    fresh: 0,
+    failed: 0,
+    rateLimited: 0,
+    pending: 0,
+    neverSynced: 0,
+    oldestSuccessAt: null,
+    stoppedBy: null,
+  };
+
+  let last = null;
+  for (;;) {
+    let query = db.collection("users").where("canvasDataLinked", "==", true).limit(batchSize);
+    if (last) query = query.startAfter(last);
+    const snapshot = await query.get();
+
+    for (const doc of snapshot.docs) {
+      const userData = doc.data();
+      let lastSuccessAt = toDate(userData.canvasSync?.lastSuccessAt);
+      totals.linked++;
+
+      if (lastSuccessAt && now - lastSuccessAt < intervalMs) {
+        totals.fresh++;
+      } else if (totals.stoppedBy || Date.now() - startedAt > budgetMs) {
+        totals.stoppedBy = totals.stoppedBy || "time_budget";
+        totals.pending++;
+      } else {
+        const result = await syncUser(doc.id, userData, backoff, onChange);
+        if (result.status === SYNC_STATUS.SYNCED) {
+          totals.synced++;
+          if (result.changed) totals.changed++;
+          lastSuccessAt = new Date();
+        } else if (result.status === SYNC_STATUS.RATE_LIMITED) {
+          totals.rateLimited++;
+          totals.stoppedBy = "rate_limited";
+        } else {
+          totals.failed++;
+        }
+      }
+
+      if (!lastSuccessAt) {
+        totals.neverSynced++;
+      } else if (!totals.oldestSuccessAt || lastSuccessAt < totals.oldestSuccessAt) {
+        totals.oldestSuccessAt = lastSuccessAt;
+      }
+    }
+
+    if (snapshot.size < batchSize) break;
+    last = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  await db.collection(SYNC_STATE_COLLECTION).doc(SYNC_STATE_DOC).set({
+    ...totals,
+    oldestSuccessAt: totals.oldestSuccessAt ? admin.firestore.Timestamp.fromDate(totals.oldestSuccessAt) : null,
+    lastRunStartedAt: admin.firestore.Timestamp.fromDate(new Date(startedAt)),
+    lastRunFinishedAt: admin.firestore.Timestamp.now(),
+  });
+
+  return totals;
+}
+
+/**
+ * Sync lag for the health check, from the last run's totals
+ * @param {Date} [now]
+ * @return {Promise<Object>} `{status, lastRunAt, lagSeconds, ...}`;
+ *   `status` is "healthy", "warning" (lagging, or accounts failing) or
+ *   "unknown" (no run yet)
+ */
+async function canvasSyncLag(now = new Date()) {
+  const doc = await admin.firestore().collection(SYNC_STATE_COLLECTION).doc(SYNC_STATE_DOC).get();
+  if (!doc.exists) {
+    return { status: "unknown", message: "Canvas sync has not run yet" };
+  }
+
+  const state = doc.data();
+  const oldestSuccessAt = toDate(state.oldestSuccessAt);
+  const lagMs = oldestSuccessAt ? now - oldestSuccessAt : 0;
+  const lagging = lagMs > LAG_WARNING_MS || state.neverSynced > 0 || state.failed > 0 || state.rateLimited > 0;
+
+  return {
+    status: lagging ? "warning" : "healthy",
+    lastRunAt: toDate(state.lastRunFinishedAt)?.toISOString() || null,
+    oldestSuccessAt: oldestSuccessAt ? oldestSuccessAt.toISOString() : null,
+    lagSeconds: Math.round(lagMs / 1000),
+    linked: state.linked,
+    neverSynced: state.neverSynced,
+    failed: state.failed,
+    rateLimited: state.rateLimited,
+    pending: state.pending,
+    stoppedBy: state.stoppedBy,
+  };
+}
+
+module.exports = {
+  SYNC_STATUS,
+  SYNC_INTERVAL_MS,
+  diffCanvasData,
+  syncCanvasData,
+  withBackoff,
+  syncLinkedUsers,
+  canvasSyncLag,
+};
@@ -0,0 +1,350 @@
+const admin = require("firebase-admin");
+const { tandemService, carpoolService, rentalService } = require("./domainServices");
+const { plainValue } = require("../utils/auditLog");
+const { createZip } = require("../utils/zip");
+
+/**
+ * Personal data export.
+ *
+ * Gathers everything stored about a user (their `users` document, cached
+ * Canvas data, API keys and their tandem, carpool and rental records) into
+ * a ZIP archive with the full data as JSON and one CSV file per kind of
+ * record. Credentials are left out: API keys are exported as the fields in
+ * API_KEY_EXPORT_FIELDS only, and Canvas tokens and anything else named like
+ * a secret are redacted.
+ *
+ * Small exports are built while the request waits. Anything that can't be
+ * gathered within EXPORT_SYNC_BUDGET_MS, or comes out larger than
+ * EXPORT_SYNC_MAX_BYTES, becomes a `dataExports` job instead: the
+ * `processDataExport` trigger (functions/index.js) builds it without the
+ * API's 60 second timeout and stores it in Cloud Storage, where the user
+ * downloads it through a short-lived signed URL.
+ */
+
+const EXPORTS_COLLECTION = "dataExports";
+
+const EXPORT_STATUS = Object.freeze({
+  PENDING: "pending",
+  PROCESSING: "processing",
+  READY: "ready",
+  FAILED: "failed",
+  EXPIRED: "expired",
+});
+
+// Leaves an inline export most of the API function's 60s timeout
+const EXPORT_SYNC_BUDGET_MS = 20 * 1000;
+const EXPORT_SYNC_MAX_BYTES = 8 * 1024 * 1024;
+const EXPORT_TTL_DAYS = 7;
+const DOWNLOAD_URL_TTL_MS = 60 * 60 * 1000;
+
+const REDACTED = "[REDACTED]";
+// The only apiKeys fields exported, so fields added later (or legacy ones
+// such as a plaintext `key`) stay out of exports until listed here
+const API_KEY_EXPORT_FIELDS = ["name", "prefix", "scopes", "createdAt", "expiresAt", "lastUsedAt"];
+const SECRET_FIELD = /(token|secret|password|hash|salt|apiKey|credentials)$/i;
+
+// One CSV file per kind of record; schedules are only in data.json
+const CSV_TABLES = [
+  ["user", (data) => data.user],
+  ["canvas", (data) => data.canvasData],
+  ["api_keys", (data) => data.apiKeys],
+  ["tandem_profile", (data) => data.tandem.profile],
+  ["tandem_pairings", (data) => data.tandem.pairings],
+  ["tandem_requests", (data) => data.tandem.requests],
+  ["tandem_emotes", (data) => data.tandem.emotes],
+  ["carpool_profile", (data) => data.carpool.profile],
+  ["carpool_groups", (data) => data.carpool.groups],
+  ["carpool_requests", (data) => data.carpool.requests],
+  ["spot_ownerships", (data) => data.rentals.ownerships],
+  ["rentals", (data) => data.rentals.rentals],
+  ["transactions", (data) => data.rentals.transactions],
+  ["penalties", (data) => data.rentals.penalties],
+  ["reports", (data) => data.rentals.reports],
+];
+
+const README = `iTandem personal data export
+
+data.json holds everything iTandem stores about your account. The csv
+folder has the same records as spreadsheets, one file per kind of record.
+
+Passwords, Canvas access tokens and API keys are never included: fields
+holding them show ${REDACTED}. Reports filed about you don't say who
+filed them.
+`;
+
+/**
+ * Replace the values of secret-looking fields, recursively
+ * @param {*} value - Plain data (see plainValue)
+ * @return {*}
+ */
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => (
+      [key, SECRET_FIELD.test(key) && v !== null ? REDACTED : redact(v)]
+    )));
+  }
+  return value;
+}
+
+/**
+ * Gather everything stored about a user.
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - Give up (return null) if this time (ms) passes first
+ * @return {Promise<Object|null>} `{userId, exportedAt, user, canvasData, apiKeys, tandem, carpool, rentals}`
+ */
+async function collectUserData(userId, { deadline = Infinity } = {}) {
+  const db = admin.firestore();
+  const sections = [
+    ["user", async () => {
+      const doc = await db.collection("users").doc(userId).get();
+      return doc.exists ? doc.data() : null;
+    }],
+    ["canvasData", async () => {
+      const doc = await db.collection("canvasData").doc(userId).get();
+      return doc.exists ? doc.data() : null;
+    }],
+    ["apiKeys", async () => {
+      const snapshot = await db.collection("apiKeys").where("userId", "==", userId).get();
+      return snapshot.docs.map((doc) => {
+        const data = doc.data();
+        return Object.fromEntries([
+          ["id", doc.id],
+          ...API_KEY_EXPORT_FIELDS.map((field) => [field, data[field] ?? null]),
+        ]);
+      });
+    }],
+    ["tandem", () => tandemService.exportUserData(userId)],
+    ["carpool", () => carpoolService.exportUserData(userId)],
+    ["rentals", () => rentalService.exportUserData(userId)],
+  ];
+
+  const data = { userId, exportedAt: new Date().toISOString() };
+  for (const [name, load] of sections) {
+    if (Date.now() > deadline) return null;
+    data[name] = redact(plainValue(await load()));
+  }
+  return data;
+}
+
+/**
+ * One CSV cell. Nested values are written as JSON, and text that a
+ * spreadsheet would run as a formula is prefixed with a quote.
+ * @param {*} value
+ * @return {string}
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Write records as CSV, with a column for every field any of them has
+ * @param {Object[]} rows
+ * @return {string}
+ */
+function toCsv(rows) {
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const lines = [columns, ...rows.map((row) => columns.map((column) => row[column]))];
+  return lines.map((cells) => cells.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * The CSV tables for a section: one row per record, or a single row for a
+ * document, whose lists of records (e.g. Canvas courses) get tables of their own
+ * @param {string} name
+ * @param {Object|Object[]|null} value
+ * @return {Array<{name: string, rows: Object[]}>}
+ */
+function csvTables(name, value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.length ? [{ name, rows: value }] : [];
+
+  const row = {};
+  const nested = [];
+  for (const [key, field] of Object.entries(value)) {
+    const isRecordList = Array.isArray(field) &&
+      field.some((item) => item && typeof item === "object" && !Array.isArray(item));
+    if (isRecordList) {
+      nested.push(...csvTables(`${name}_${key}`, field));
+    } else {
+      row[key] = field;
+    }
+  }
+  return [{ name, rows: [row] }, ...nested];
+}
+
+/**
+ * Package gathered data as a ZIP archive
+ * @param {Object} data - collectUserData() result
+ * @return {Buffer}
+ */
+function buildArchive(data) {
+  const files = [
+    { name: "README.txt", content: README },
+    { name: "data.json", content: JSON.stringify(data, null, 2) },
+  ];
+  for (const [name, pick] of CSV_TABLES) {
+    for (const table of csvTables(name, pick(data))) {
+      files.push({ name: `csv/${table.name}.csv`, content: toCsv(table.rows) });
+    }
+  }
+  return createZip(files, new Date(data.exportedAt));
+}
+
+/**
+ * Download file name for an archive
+ * @param {string} exportedAt - ISO timestamp
+ * @return {string}
+ */
+function archiveName(exportedAt) {
+  return `itandem-data-${exportedAt.slice(0, 10)}.zip`;
+}
+
+/**
+ * Cloud Storage path of a stored archive
+ * @param {string} userId
+ * @param {string} exportId
+ * @return {string}
+ */
+function storagePath(userId, exportId) {
+  return `${EXPORTS_COLLECTION}/${userId}/${exportId}.zip`;
+}
+
+/**
+ * Describe an export job for a response
+ * @param {Object} doc - dataExports document snapshot
+ * @return {Object}
+ */
+function formatExport(doc) {
+  const data = plainValue(doc.data());
+  const expired = data.status === EXPORT_STATUS.READY && data.expiresAt && new Date(data.expiresAt) < new Date();
+  return {
+    exportId: doc.id,
+    status: expired ? EXPORT_STATUS.EXPIRED : data.status,
+    createdAt: data.createdAt,
+    completedAt: data.completedAt || null,
+    expiresAt: data.expiresAt || null,
+    size: data.size || null,
+    error: data.error || null,
+  };
+}
+
+/**
+ * Queue an export to be built in the background. A user's export that is
+ * still pending or being built is returned instead of queueing another.
+ * @param {string} userId
+ * @return {Promise<Object>} The job (see formatExport)
+ */
+async function requestExport(userId) {
+  const db = admin.firestore();
+  const open = await db.collection(EXPORTS_COLLECTION)
+      .where("userId", "==", userId)
+      .where("status", "in", [EXPORT_STATUS.PENDING, EXPORT_STATUS.PROCESSING])
+      .get();
+  if (!open.empty) return formatExport(open.docs[0]);
+
+  const ref = db.collection(EXPORTS_COLLECTION).doc();
+  await ref.set({
+    userId,
+    status: EXPORT_STATUS.PENDING,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return formatExport(await ref.get());
+}
+
+/**
+ * Build a queued export and store it in Cloud Storage. Runs from the
+ * `processDataExport` Firestore trigger; jobs that aren't pending (e.g. a
+ * retried event) are skipped.
+ * @param {string} exportId
+ */
+async function processExport(exportId) {
+  const ref = admin.firestore().collection(EXPORTS_COLLECTION).doc(exportId);
+  const doc = await ref.get();
+  if (!doc.exists || doc.data().status !== EXPORT_STATUS.PENDING) return;
+
+  const { userId } = doc.data();
+  await ref.update({ status: EXPORT_STATUS.PROCESSING });
+
+  try {
+    const data = await collectUserData(userId);
+    const archive = buildArchive(data);
+    await admin.storage().bucket().file(storagePath(userId, exportId)).save(archive, {
+      contentType: "application/zip",
+      resumable: false,
+    });
+
+    const expiresAt = new Date(Date.now() + EXPORT_TTL_DAYS * 24 * 60 * 60 * 1000);
+    await ref.update({
+      status: EXPORT_STATUS.READY,
+      size: archive.length,
+      fileName: archiveName(data.exportedAt),
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+    });
+  } catch (error) {
+    console.error(`Data export ${exportId} failed:`, error);
+    await ref.update({
+      status: EXPORT_STATUS.FAILED,
+      error: "Export could not be built, please request a new one",
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+}
+
+/**
+ * A user's export job, with a signed `downloadUrl` once it's ready
+ * @param {string} userId
+ * @param {string} exportId
+ * @return {Promise<Object|null>} null if the user has no such export
+ */
+async function getExport(userId, exportId) {
+  const doc = await admin.firestore().collection(EXPORTS_COLLECTION).doc(exportId).get();
+  if (!doc.exists || doc.data().userId !== userId) return null;
+
+  const job = formatExport(doc);
+  if (job.status === EXPORT_STATUS.READY) {
+    const [downloadUrl] = await admin.storage().bucket().file(storagePath(userId, exportId)).getSignedUrl({
+      action: "read",
+      expires: Date.now() + DOWNLOAD_URL_TTL_MS,
+      responseDisposition: `attachment; filename="${doc.data().fileName}"`,
+    });
+    job.downloadUrl = downloadUrl;
+  }
+  return job;
+}
+
+/**
+ * Delete all of a user's export jobs and stored archives (account deletion)
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only count them
+ * @return {Promise<number>} Number of exports
+ */
+async function deleteExports(userId, { dryRun = false } = {}) {
+  const snapshot = await admin.firestore().collection(EXPORTS_COLLECTION).where("userId", "==", userId).get();
+  if (dryRun) return snapshot.size;
+  for (const doc of snapshot.docs) {
+    await admin.storage().bucket().file(storagePath(userId, doc.id)).delete({ ignoreNotFound: true });
+    await doc.ref.delete();
+  }
+  return snapshot.size;
+}
+
+module.exports = {
+  EXPORTS_COLLECTION,
+  EXPORT_STATUS,
+  EXPORT_SYNC_BUDGET_MS,
+  EXPORT_SYNC_MAX_BYTES,
+  collectUserData,
+  buildArchive,
+  archiveName,
+  requestExport,
+  processExport,
+  getExport,
+  deleteExports,
+};
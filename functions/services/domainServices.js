@@ -0,0 +1,30 @@
+const admin = require("firebase-admin");
+const { TandemService } = require("../../src/TandemService");
+const { CarpoolService } = require("../../src/CarpoolService");
+const { RentalService } = require("../../src/RentalService");
+const { SchoolCalendarService } = require("../../src/SchoolCalendar");
+const { FirestoreRepository } = require("../../src/repositories");
+const { StripePaymentProvider } = require("./stripePayments");
+
+/**
+ * Shared instances of the domain services in `src/`.
+ * Every router imports from here so that they all see the same state,
+ * the matching services can cross-check active spot rentals, and rentals
+ * and tandem pairings resolve dates against the same school calendar.
+ * Rental payments are checked with Stripe (services/stripePayments.js).
+ * State is kept in Firestore, in the same collections the admin panel reads.
+ */
+const repository = new FirestoreRepository(admin.firestore());
+
+const calendarService = new SchoolCalendarService({ repository });
+const paymentProvider = new StripePaymentProvider();
+const rentalService = new RentalService({ repository, calendarService, paymentProvider });
+const tandemService = new TandemService({ repository, rentalService, calendarService });
+const carpoolService = new CarpoolService({ repository, rentalService });
+
+module.exports = {
+  tandemService,
+  carpoolService,
+  rentalService,
+  calendarService,
+};
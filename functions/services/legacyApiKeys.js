@@ -0,0 +1,75 @@
+const admin = require("firebase-admin");
+const { LEGACY_SCOPES, parseApiKey, saltAndHash } = require("../utils/apiKeys");
+
+/**
+ * API keys stored in plaintext before keys were hashed.
+ *
+ * Old keys are kept in `apiKeys.key`, and copied to `users.apiKey`. A key is
+ * hashed in place the first time it is used (`hashLegacyKey`, called from
+ * findApiKey in middleware/auth.js); the daily `migrateApiKeys` function
+ * (functions/index.js) hashes the rest with `migrateLegacyApiKeys`, so no
+ * plaintext key stays in Firestore just because it isn't used.
+ */
+
+/**
+ * Hash a legacy key document in place and drop the user's plaintext copy
+ * @param {Object} doc - apiKeys document snapshot with a plaintext `key`
+ * @return {Promise<boolean>} Whether the key was hashed; malformed keys
+ *   can't be used, so they are deactivated instead
+ */
+async function hashLegacyKey(doc) {
+  const data = doc.data();
+  const parsed = parseApiKey(data.key);
+
+  if (parsed && parsed.legacy) {
+    await doc.ref.update({
+      key: admin.firestore.FieldValue.delete(),
+      prefix: parsed.prefix,
+      ...saltAndHash(parsed.secret),
+      scopes: data.scopes || LEGACY_SCOPES,
+    });
+  } else {
+    await doc.ref.update({
+      key: admin.firestore.FieldValue.delete(),
+      active: false,
+      revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  if (data.userId) {
+    await admin.firestore().collection("users").doc(data.userId).update({
+      apiKey: admin.firestore.FieldValue.delete(),
+    }).catch((error) => console.error("Legacy API key cleanup error:", error));
+  }
+  return !!(parsed && parsed.legacy);
+}
+
+/**
+ * Hash every plaintext API key still stored, and delete plaintext copies on
+ * users documents. Safe to run at any time; hashed keys are skipped.
+ * @return {Promise<Object>} `{hashed, deactivated, userCopiesDeleted}`
+ */
+async function migrateLegacyApiKeys() {
+  const db = admin.firestore();
+  const result = { hashed: 0, deactivated: 0, userCopiesDeleted: 0 };
+
+  const keys = await db.collection("apiKeys").where("key", "!=", null).get();
+  for (const doc of keys.docs) {
+    if (await hashLegacyKey(doc)) result.hashed++;
+    else result.deactivated++;
+  }
+
+  // Copies whose apiKeys document is already hashed (or gone)
+  const users = await db.collection("users").where("apiKey", "!=", null).get();
+  for (const doc of users.docs) {
+    await doc.ref.update({ apiKey: admin.firestore.FieldValue.delete() });
+    result.userCopiesDeleted++;
+  }
+
+  return result;
+}
+
+module.exports = {
+  hashLegacyKey,
+  migrateLegacyApiKeys,
+};
@@ -0,0 +1,123 @@
+const admin = require("firebase-admin");
+const { plainValue } = require("../utils/auditLog");
+
+/**
+ * In-app notifications.
+ *
+ * The backend writes a `notifications` document when something happens to
+ * a user that they didn't do themselves (so far: someone they share a
+ * pairing, carpool or rental with deleted their account, see
+ * accountDeletion.js). Users read them with the /notifications routes;
+ * firestore.rules also lets them read their own directly.
+ */
+
+const NOTIFICATIONS_COLLECTION = "notifications";
+
+const NOTIFICATION_TYPES = Object.freeze({
+  TANDEM_PARTNER_DELETED: "tandem.partnerDeleted",
+  CARPOOL_DRIVER_DELETED: "carpool.driverDeleted",
+  CARPOOL_PASSENGER_DELETED: "carpool.passengerDeleted",
+  RENTAL_CANCELLED: "rental.cancelled",
+});
+
+// Firestore allows at most 500 writes in a batch
+const BATCH_SIZE = 500;
+
+/**
+ * Format a notification document for a response
+ * @param {Object} doc - Firestore document snapshot
+ * @return {Object}
+ */
+function formatNotification(doc) {
+  return { notificationId: doc.id, ...plainValue(doc.data()) };
+}
+
+/**
+ * A user's notifications, newest first
+ * @param {string} userId
+ * @param {Object} options
+ * @param {number} options.limit
+ * @param {boolean} [options.unreadOnly=false]
+ * @param {string} [options.cursor] - ID of the last notification of the previous page
+ * @return {Promise<Object[]|null>} Formatted notifications, or null if the
+ *   cursor isn't one of the user's notifications
+ */
+async function listNotifications(userId, { limit, unreadOnly = false, cursor = null }) {
+  const db = admin.firestore();
+  let query = db.collection(NOTIFICATIONS_COLLECTION).where("userId", "==", userId);
+  if (unreadOnly) query = query.where("read", "==", false);
+  query = query.orderBy("createdAt", "desc");
+
+  if (cursor) {
+    const cursorDoc = await db.collection(NOTIFICATIONS_COLLECTION).doc(cursor).get();
+    if (!cursorDoc.exists || cursorDoc.data().userId !== userId) return null;
+    query = query.startAfter(cursorDoc);
+  }
+
+  const snapshot = await query.limit(limit).get();
+  return snapshot.docs.map(formatNotification);
+}
+
+/**
+ * Number of notifications a user hasn't read
+ * @param {string} userId
+ * @return {Promise<number>}
+ */
+async function countUnread(userId) {
+  const snapshot = await admin.firestore().collection(NOTIFICATIONS_COLLECTION)
+      .where("userId", "==", userId)
+      .where("read", "==", false)
+      .count()
+      .get();
+  return snapshot.data().count;
+}
+
+/**
+ * Mark one of a user's notifications read
+ * @param {string} userId
+ * @param {string} notificationId
+ * @return {Promise<Object|null>} The formatted notification, or null if the
+ *   user has no such notification
+ */
+async function markRead(userId, notificationId) {
+  const ref = admin.firestore().collection(NOTIFICATIONS_COLLECTION).doc(notificationId);
+  const doc = await ref.get();
+  if (!doc.exists || doc.data().userId !== userId) return null;
+
+  if (!doc.data().read) {
+    await ref.update({ read: true, readAt: admin.firestore.FieldValue.serverTimestamp() });
+  }
+  return formatNotification(await ref.get());
+}
+
+/**
+ * Mark all of a user's notifications read
+ * @param {string} userId
+ * @return {Promise<number>} How many were unread
+ */
+async function markAllRead(userId) {
+  const db = admin.firestore();
+  const snapshot = await db.collection(NOTIFICATIONS_COLLECTION)
+      .where("userId", "==", userId)
+      .where("read", "==", false)
+      .get();
+
+  for (let i = 0; i < snapshot.docs.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    for (const doc of snapshot.docs.slice(i, i + BATCH_SIZE)) {
+      batch.update(doc.ref, { read: true, readAt: admin.firestore.FieldValue.serverTimestamp() });
+    }
+    await batch.commit();
+  }
+  return snapshot.size;
+}
+
+module.exports = {
+  NOTIFICATIONS_COLLECTION,
+  NOTIFICATION_TYPES,
+  formatNotification,
+  listNotifications,
+  countUnread,
+  markRead,
+  markAllRead,
+};
@@ -0,0 +1,96 @@
+const axios = require("axios");
+const { ServiceError, ERROR_CODES } = require("../../src/errors");
+
+const DEFAULT_STRIPE_API_BASE_URL = "https://api.stripe.com/v1";
+
+/**
+ * Payment provider for RentalService backed by Stripe
+ * https://docs.stripe.com/api/payment_intents/retrieve
+ * https://docs.stripe.com/api/refunds/create
+ *
+ * Clients pay with Stripe directly and send us the payment intent ID; the
+ * rental service looks it up here before accepting it (see "Payments" in
+ * src/RentalService/services/RentalService.js). Payment intents for rentals
+ * must carry `metadata.rentalId`, and for penalties `metadata.penaltyId`.
+ * Refunds for cancelled or blocked rentals are issued here too.
+ */
+class StripePaymentProvider {
+  // The secret key is private so it never ends up in logs or responses
+  #secretKey;
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.secretKey] - Defaults to STRIPE_SECRET_KEY
+   * @param {string} [options.baseUrl] - Defaults to STRIPE_API_BASE_URL, then Stripe's API
+   */
+  constructor({ secretKey, baseUrl } = {}) {
+    this.#secretKey = secretKey || process.env.STRIPE_SECRET_KEY || null;
+    this.baseUrl = baseUrl || process.env.STRIPE_API_BASE_URL || DEFAULT_STRIPE_API_BASE_URL;
+  }
+
+  /**
+   * Look up a payment intent
+   * @param {string} paymentIntentId
+   * @return {Promise<Object|null>} `{ id, status, amountCents, currency,
+   *   metadata }`, or null if Stripe has no such payment intent
+   */
+  async getPaymentIntent(paymentIntentId) {
+    this.#assertConfigured();
+
+    try {
+      const { data } = await axios.get(
+          `${this.baseUrl}/payment_intents/${encodeURIComponent(paymentIntentId)}`,
+          { headers: { Authorization: `Bearer ${this.#secretKey}` } },
+      );
+      return {
+        id: data.id,
+        status: data.status,
+        amountCents: data.amount,
+        currency: data.currency,
+        metadata: data.metadata || {},
+      };
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Refund part or all of a payment. The idempotency key is the payment
+   * intent, so retrying after a failure can't refund it twice.
+   * @param {string} paymentIntentId
+   * @param {number} amountCents
+   * @param {Object} [metadata] - What the refund is for, e.g. `{ rentalId }`
+   * @return {Promise<Object>} `{ id, status, amountCents, paymentIntentId }`
+   */
+  async refundPayment(paymentIntentId, amountCents, metadata = {}) {
+    this.#assertConfigured();
+
+    const form = new URLSearchParams({ payment_intent: paymentIntentId, amount: String(amountCents) });
+    for (const [key, value] of Object.entries(metadata)) form.append(`metadata[${key}]`, value);
+
+    const { data } = await axios.post(`${this.baseUrl}/refunds`, form.toString(), {
+      headers: {
+        "Authorization": `Bearer ${this.#secretKey}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+        "Idempotency-Key": `refund-${paymentIntentId}`,
+      },
+    });
+    return {
+      id: data.id,
+      status: data.status,
+      amountCents: data.amount,
+      paymentIntentId: data.payment_intent,
+    };
+  }
+
+  #assertConfigured() {
+    if (!this.#secretKey) {
+      throw new ServiceError(ERROR_CODES.UNAVAILABLE, "Payments are not configured");
+    }
+  }
+}
+
+module.exports = {
+  StripePaymentProvider,
+};
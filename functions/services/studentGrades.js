@@ -0,0 +1,346 @@
+const admin = require("firebase-admin");
+const { UserType } = require("../../src/enums");
+const { tandemService, carpoolService } = require("./domainServices");
+const { normalizeEmail, isSchoolEmail } = require("../utils/schoolEmail");
+
+/**
+ * Student grades.
+ *
+ * A student's grade is their UserType (SOPHOMORE, JUNIOR or SENIOR), which
+ * decides who they can pair with (TANDEM_GRADE_COMPATIBILITY). Students
+ * never set it themselves. It comes from the school roster admins import,
+ * or failing that from the header of the schedule PDF they upload, and
+ * admins can correct it (PUT /users/:userId/user-type).
+ *
+ * The `users` document stores the class year (`graduationYear`), which never
+ * changes, and the `userType` it means this school year. School years roll
+ * over on July 1, when `promoteStudents` (the `promoteStudents` scheduled
+ * function in functions/index.js) moves everyone up a grade. Freshmen and
+ * graduates have no UserType, and can't use the app.
+ */
+
+const ROSTER_COLLECTION = "roster";
+
+const GRADE_SOURCES = Object.freeze({
+  ROSTER: "roster",
+  SCHEDULE: "schedule",
+  ADMIN: "admin",
+});
+
+// A schedule upload doesn't override a grade from these
+const TRUSTED_GRADE_SOURCES = [GRADE_SOURCES.ROSTER, GRADE_SOURCES.ADMIN];
+
+const GRADE_USER_TYPES = Object.freeze({
+  10: UserType.SOPHOMORE,
+  11: UserType.JUNIOR,
+  12: UserType.SENIOR,
+});
+
+const MIN_GRADE = 9;
+const MAX_GRADE = 12;
+const ROLLOVER_MONTH = 6; // July (0-based): a school year runs July to June
+const MAX_ROSTER_SIZE = 5000;
+const QUERY_IN_LIMIT = 30;
+const BATCH_LIMIT = 400;
+
+/**
+ * The calendar year a school year ends in, e.g. 2026 for 2025-2026
+ * @param {Date} [date]
+ * @return {number}
+ */
+function schoolYearEnd(date = new Date()) {
+  return date.getUTCMonth() >= ROLLOVER_MONTH ? date.getUTCFullYear() + 1 : date.getUTCFullYear();
+}
+
+/**
+ * Class year of a student in a grade
+ * @param {number} grade - 9-12
+ * @param {Date} [date] - When they are in that grade
+ * @return {number}
+ */
+function graduationYearForGrade(grade, date = new Date()) {
+  return schoolYearEnd(date) + MAX_GRADE - grade;
+}
+
+/**
+ * Grade a class is in (above 12 once it has graduated)
+ * @param {number} graduationYear
+ * @param {Date} [date]
+ * @return {number}
+ */
+function gradeForGraduationYear(graduationYear, date = new Date()) {
+  return MAX_GRADE - (graduationYear - schoolYearEnd(date));
+}
+
+/**
+ * UserType of a class
+ * @param {number} graduationYear
+ * @param {Date} [date]
+ * @return {string|null} null for freshmen and graduates
+ */
+function userTypeFor(graduationYear, date = new Date()) {
+  return GRADE_USER_TYPES[gradeForGraduationYear(graduationYear, date)] || null;
+}
+
+/**
+ * Grade of a UserType
+ * @param {string} userType
+ * @return {number|null}
+ */
+function gradeForUserType(userType) {
+  const entry = Object.entries(GRADE_USER_TYPES).find(([, type]) => type === userType);
+  return entry ? Number(entry[0]) : null;
+}
+
+/**
+ * Whether a grade is one the app knows about (9-12)
+ * @param {*} grade
+ * @return {boolean}
+ */
+function isValidGrade(grade) {
+  return Number.isInteger(grade) && grade >= MIN_GRADE && grade <= MAX_GRADE;
+}
+
+/**
+ * Update the grade on a user's tandem and carpool profiles
+ * @param {string} userId
+ * @param {string} userType
+ */
+async function syncProfiles(userId, userType) {
+  const gradeLevel = userType.toLowerCase();
+  await tandemService.setGradeLevel(userId, gradeLevel);
+  await carpoolService.setGradeLevel(userId, gradeLevel);
+}
+
+/**
+ * The `users` fields for a class year and where it came from
+ * @param {number} graduationYear
+ * @param {string} gradeSource - One of GRADE_SOURCES
+ * @param {Date} [date]
+ * @return {Object} `{graduationYear, userType, gradeSource}`
+ */
+function gradeFields(graduationYear, gradeSource, date = new Date()) {
+  return { graduationYear, userType: userTypeFor(graduationYear, date), gradeSource };
+}
+
+/**
+ * Record a user's class year and where it came from
+ * @param {string} userId
+ * @param {number} graduationYear
+ * @param {string} gradeSource - One of GRADE_SOURCES
+ * @param {Object} [options]
+ * @param {Date} [options.date]
+ * @param {Function} [options.audit] - `(batch, grade)`: adds the audit entry to the batch that writes the grade
+ * @return {Promise<Object>} `{graduationYear, userType, gradeSource}`
+ */
+async function applyGrade(userId, graduationYear, gradeSource, { date = new Date(), audit = null } = {}) {
+  const grade = gradeFields(graduationYear, gradeSource, date);
+  const batch = admin.firestore().batch();
+  batch.update(admin.firestore().collection("users").doc(userId), {
+    ...grade,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  if (audit) audit(batch, grade);
+  await batch.commit();
+
+  if (grade.userType) await syncProfiles(userId, grade.userType);
+  return grade;
+}
+
+/**
+ * The grade fields for a new account: from the school roster if the email
+ * is on it, otherwise unknown until the student uploads their schedule
+ * @param {string} email
+ * @param {Date} [date]
+ * @return {Promise<Object>} `{graduationYear, userType, gradeSource}`
+ */
+async function gradeForNewAccount(email, date = new Date()) {
+  const entry = await admin.firestore().collection(ROSTER_COLLECTION).doc(normalizeEmail(email)).get();
+  if (!entry.exists) {
+    return { graduationYear: null, userType: null, gradeSource: null };
+  }
+
+  const { graduationYear } = entry.data();
+  return { graduationYear, userType: userTypeFor(graduationYear, date), gradeSource: GRADE_SOURCES.ROSTER };
+}
+
+/**
+ * Set a user's grade from the header of their uploaded schedule, unless the
+ * roster or an admin already gave them one
+ * @param {string} userId
+ * @param {number} grade - Parsed from the schedule
+ * @param {Date} [date]
+ * @return {Promise<{userType: string|null, warning: string|null}>}
+ */
+async function setGradeFromSchedule(userId, grade, date = new Date()) {
+  const userDoc = await admin.firestore().collection("users").doc(userId).get();
+  const user = userDoc.data() || {};
+  // The parser already warns about grades outside high school
+  if (!isValidGrade(grade)) return { userType: user.userType || null, warning: null };
+
+  const graduationYear = graduationYearForGrade(grade, date);
+  if (TRUSTED_GRADE_SOURCES.includes(user.gradeSource)) {
+    const warning = user.graduationYear === graduationYear ? null :
+      `Your schedule says grade ${grade}, but the school has you in a different grade; ` +
+      "ask an admin if that's wrong";
+    return { userType: user.userType || null, warning };
+  }
+
+  const { userType } = await applyGrade(userId, graduationYear, GRADE_SOURCES.SCHEDULE, { date });
+  return { userType, warning: null };
+}
+
+/**
+ * Set a user's grade as an admin
+ * @param {string} userId
+ * @param {string} userType - A UserType
+ * @param {Object} [options]
+ * @param {Date} [options.date]
+ * @param {Function} [options.audit] - `(batch, grade)`: adds the audit entry to the batch that writes the grade
+ * @return {Promise<Object>} `{graduationYear, userType, gradeSource}`
+ */
+async function setGradeByAdmin(userId, userType, { date = new Date(), audit = null } = {}) {
+  const graduationYear = graduationYearForGrade(gradeForUserType(userType), date);
+  return applyGrade(userId, graduationYear, GRADE_SOURCES.ADMIN, { date, audit });
+}
+
+/**
+ * Import the school roster: each student's email and grade this school
+ * year. Students who sign up later get their grade from it, and existing
+ * accounts with those emails are updated now. Entries with an email
+ * outside the school domains or an unknown grade are skipped and reported.
+ *
+ * The writes go in batches of BATCH_LIMIT, and `audit` adds its entry to
+ * the first, so no part of an import is written without it. If a later
+ * batch fails, importing the roster again finishes the job.
+ * @param {Array<{email: string, grade: number}>} students
+ * @param {Object} [options]
+ * @param {string} [options.importedBy] - Admin's UID
+ * @param {Date} [options.date]
+ * @param {Function} [options.audit] - `(batch, result)`: adds the audit entry to the first batch
+ * @return {Promise<Object>} `{imported, usersUpdated, invalid}`
+ */
+async function importRoster(students, { importedBy = null, date = new Date(), audit = null } = {}) {
+  if (!Array.isArray(students) || students.length === 0) {
+    throw new Error("students must be a non-empty array of { email, grade }");
+  }
+  if (students.length > MAX_ROSTER_SIZE) {
+    throw new Error(`A roster import can have at most ${MAX_ROSTER_SIZE} students`);
+  }
+
+  const graduationYears = new Map();
+  const invalid = [];
+  students.forEach((student, index) => {
+    const email = normalizeEmail(student && student.email);
+    const grade = Number(student && student.grade);
+    if (!isSchoolEmail(email)) {
+      invalid.push({ index, email: email || null, error: "Not a school email address" });
+    } else if (!isValidGrade(grade)) {
+      invalid.push({ index, email, error: `grade must be from ${MIN_GRADE} to ${MAX_GRADE}` });
+    } else {
+      graduationYears.set(email, graduationYearForGrade(grade, date));
+    }
+  });
+
+  const db = admin.firestore();
+  const emails = [...graduationYears.keys()];
+
+  // Existing accounts are looked up first, so the result is known before anything is written
+  const updates = [];
+  for (let i = 0; i < emails.length; i += QUERY_IN_LIMIT) {
+    const snapshot = await db.collection("users").where("email", "in", emails.slice(i, i + QUERY_IN_LIMIT)).get();
+    for (const doc of snapshot.docs) {
+      const graduationYear = graduationYears.get(doc.data().email);
+      if (doc.data().graduationYear === graduationYear && doc.data().gradeSource === GRADE_SOURCES.ROSTER) continue;
+      updates.push({ userId: doc.id, grade: gradeFields(graduationYear, GRADE_SOURCES.ROSTER, date) });
+    }
+  }
+  const result = { imported: emails.length, usersUpdated: updates.length, invalid };
+
+  const writes = [
+    ...emails.map((email) => (batch) => batch.set(db.collection(ROSTER_COLLECTION).doc(email), {
+      email,
+      graduationYear: graduationYears.get(email),
+      importedBy,
+      importedAt: admin.firestore.FieldValue.serverTimestamp(),
+    })),
+    ...updates.map(({ userId, grade }) => (batch) => batch.update(db.collection("users").doc(userId), {
+      ...grade,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    })),
+  ];
+  for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    writes.slice(i, i + BATCH_LIMIT).forEach((write) => write(batch));
+    if (i === 0 && audit) audit(batch, result);
+    await batch.commit();
+  }
+
+  for (const { userId, grade } of updates) {
+    if (grade.userType) await syncProfiles(userId, grade.userType);
+  }
+
+  return result;
+}
+
+/**
+ * Bring every student's UserType up to date for the school year: at the
+ * July 1 rollover sophomores become juniors, juniors seniors, and seniors
+ * graduate. Safe to run at any time; users already up to date are skipped.
+ * @param {Date} [date]
+ * @return {Promise<Object>} `{checked, promoted, graduated}`
+ */
+async function promoteStudents(date = new Date()) {
+  const snapshot = await admin.firestore().collection("users").where("graduationYear", "!=", null).get();
+
+  let promoted = 0;
+  let graduated = 0;
+  for (const doc of snapshot.docs) {
+    const { graduationYear, userType } = doc.data();
+    const newUserType = userTypeFor(graduationYear, date);
+    if (newUserType === (userType || null)) continue;
+
+    await doc.ref.update({
+      userType: newUserType,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    if (newUserType) {
+      await syncProfiles(doc.id, newUserType);
+      promoted++;
+    } else if (gradeForGraduationYear(graduationYear, date) > MAX_GRADE) {
+      graduated++;
+    }
+  }
+
+  return { checked: snapshot.size, promoted, graduated };
+}
+
+/**
+ * The grade level for a user's tandem or carpool profile, from their account
+ * @param {string} userId
+ * @return {Promise<string>} 'sophomore' | 'junior' | 'senior'
+ */
+async function gradeLevelFor(userId) {
+  const userDoc = await admin.firestore().collection("users").doc(userId).get();
+  const userType = userDoc.exists ? userDoc.data().userType : null;
+  if (!gradeForUserType(userType)) {
+    throw new Error("Your grade isn't known yet: upload your schedule, or ask an admin to set it");
+  }
+  return userType.toLowerCase();
+}
+
+module.exports = {
+  ROSTER_COLLECTION,
+  GRADE_SOURCES,
+  GRADE_USER_TYPES,
+  schoolYearEnd,
+  graduationYearForGrade,
+  gradeForGraduationYear,
+  userTypeFor,
+  gradeForNewAccount,
+  setGradeFromSchedule,
+  setGradeByAdmin,
+  importRoster,
+  promoteStudents,
+  gradeLevelFor,
+};
@@ -0,0 +1,96 @@
+/**
+ * Admin roles and the admin panel actions each one may perform.
+ *
+ * `requireAdmin` attaches the role from the `admins` collection as
+ * `req.adminRole`; `requireAdminAction(action)` then checks it against
+ * ROLE_ACTIONS. Roles not listed here (or missing) can't perform any action.
+ */
+
+const ADMIN_ROLES = Object.freeze({
+  SUPER_ADMIN: "SUPER_ADMIN", // Developers / IT: everything, including managing admins
+  MODERATOR: "MODERATOR", // Deans: users, bans, spots, calendar, tandem assignments, reports
+  ATTENDANT: "ATTENDANT", // Parking attendants: look up users and spots, update spots
+});
+
+// Role names from before roles were enforced
+const LEGACY_ROLES = Object.freeze({
+  OPERATIONS_ADMIN: ADMIN_ROLES.MODERATOR,
+  CONTENT_ADMIN: ADMIN_ROLES.ATTENDANT,
+});
+
+const ADMIN_ACTIONS = Object.freeze({
+  VIEW_USERS: "users:view",
+  EDIT_USERS: "users:edit",
+  BAN_USERS: "users:ban",
+  MANAGE_PERMISSIONS: "users:permissions",
+  DELETE_USERS: "users:delete",
+  VIEW_SPOTS: "spots:view",
+  EDIT_SPOTS: "spots:edit",
+  DELETE_SPOTS: "spots:delete",
+  VIEW_SYSTEM: "system:view",
+  FREEZE_APP: "system:freeze",
+  EDIT_CALENDAR: "system:calendar",
+  MANAGE_TANDEM_ASSIGNMENTS: "tandem:assignments",
+  REVIEW_REPORTS: "reports:review",
+  VIEW_ANALYTICS: "analytics:view",
+  MANAGE_ADMINS: "admins:manage",
+  VIEW_AUDIT: "audit:view",
+});
+
+const A = ADMIN_ACTIONS;
+
+const ROLE_ACTIONS = Object.freeze({
+  [ADMIN_ROLES.SUPER_ADMIN]: Object.freeze(Object.values(ADMIN_ACTIONS)),
+  [ADMIN_ROLES.MODERATOR]: Object.freeze([
+    A.VIEW_USERS, A.EDIT_USERS, A.BAN_USERS, A.MANAGE_PERMISSIONS,
+    A.VIEW_SPOTS, A.EDIT_SPOTS, A.DELETE_SPOTS,
+    A.VIEW_SYSTEM, A.EDIT_CALENDAR,
+    A.MANAGE_TANDEM_ASSIGNMENTS,
+    A.REVIEW_REPORTS,
+    A.VIEW_ANALYTICS, A.VIEW_AUDIT,
+  ]),
+  [ADMIN_ROLES.ATTENDANT]: Object.freeze([
+    A.VIEW_USERS,
+    A.VIEW_SPOTS, A.EDIT_SPOTS,
+    A.VIEW_SYSTEM,
+    A.VIEW_ANALYTICS,
+  ]),
+});
+
+/**
+ * Map a stored role (possibly a legacy name) to one of ADMIN_ROLES.
+ * @param {string} role
+ * @return {string|null} null for unknown roles
+ */
+function normalizeRole(role) {
+  if (ROLE_ACTIONS[role]) return role;
+  return LEGACY_ROLES[role] || null;
+}
+
+/**
+ * The admin panel actions a role may perform.
+ * @param {string} role - Stored role
+ * @return {string[]}
+ */
+function actionsForRole(role) {
+  return ROLE_ACTIONS[normalizeRole(role)] || [];
+}
+
+/**
+ * Whether a role may perform an action.
+ * @param {string} role - Stored role
+ * @param {string} action - One of ADMIN_ACTIONS
+ * @return {boolean}
+ */
+function roleAllows(role, action) {
+  return actionsForRole(role).includes(action);
+}
+
+module.exports = {
+  ADMIN_ROLES,
+  ADMIN_ACTIONS,
+  ROLE_ACTIONS,
+  normalizeRole,
+  actionsForRole,
+  roleAllows,
+};
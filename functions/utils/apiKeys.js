@@ -0,0 +1,156 @@
+const crypto = require("crypto");
+
+/**
+ * Helpers for mobile app API keys.
+ *
+ * A key looks like `itk_<prefix>_<secret>`. The prefix is stored in the
+ * clear so keys can be looked up and recognised (in logs, in the key list);
+ * the secret is only stored as a salted SHA-256 hash. The secret is 32
+ * random bytes, so a fast hash is enough: a slow password hash would only
+ * add latency to every API key request.
+ *
+ * Keys created before hashing are 64 hex characters with no prefix. They
+ * are hashed in place the first time they are used (see verifyApiKey), with
+ * their first 8 characters as the prefix.
+ */
+
+const KEY_PREFIX = "itk";
+const PREFIX_BYTES = 4; // 8 hex characters
+const SECRET_BYTES = 32;
+const SALT_BYTES = 16;
+
+const KEY_PATTERN = /^itk_([0-9a-f]{8})_([A-Za-z0-9_-]{43})$/;
+const LEGACY_KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+// What a key may do. Reads (GET) are allowed anywhere API keys are
+// accepted with `read`; `tandem` and `rentals` allow reads and writes on
+// their own routes. Other writes need a Firebase token.
+const API_KEY_SCOPES = Object.freeze({
+  READ: "read",
+  TANDEM: "tandem",
+  RENTALS: "rentals",
+});
+
+const SCOPE_ROUTES = Object.freeze({
+  [API_KEY_SCOPES.TANDEM]: "/tandem",
+  [API_KEY_SCOPES.RENTALS]: "/rentals",
+});
+
+// Scopes given to keys created before scopes existed (they had full access)
+const LEGACY_SCOPES = Object.freeze(Object.values(API_KEY_SCOPES));
+
+const DEFAULT_GRACE_HOURS = 24;
+const MAX_GRACE_HOURS = 7 * 24;
+
+/**
+ * Hash a key secret with its salt.
+ * @param {string} secret
+ * @param {string} salt - Hex salt stored with the key
+ * @return {string} Hex digest
+ */
+function hashSecret(secret, salt) {
+  return crypto.createHash("sha256").update(salt).update(secret).digest("hex");
+}
+
+/**
+ * Hash a secret with a new random salt.
+ * @param {string} secret
+ * @return {{salt: string, hash: string}}
+ */
+function saltAndHash(secret) {
+  const salt = crypto.randomBytes(SALT_BYTES).toString("hex");
+  return { salt, hash: hashSecret(secret, salt) };
+}
+
+/**
+ * Create a new key. Only `key` is shown to the user; the rest is stored.
+ * @return {{key: string, prefix: string, salt: string, hash: string}}
+ */
+function generateApiKey() {
+  const prefix = crypto.randomBytes(PREFIX_BYTES).toString("hex");
+  const secret = crypto.randomBytes(SECRET_BYTES).toString("base64url");
+
+  return {
+    key: `${KEY_PREFIX}_${prefix}_${secret}`,
+    prefix,
+    ...saltAndHash(secret),
+  };
+}
+
+/**
+ * Split a key into its lookup prefix and secret.
+ * @param {string} key - Value of the x-api-key header
+ * @return {{prefix: string, secret: string, legacy: boolean}|null}
+ *   null if the key is malformed
+ */
+function parseApiKey(key) {
+  if (typeof key !== "string") return null;
+
+  const match = KEY_PATTERN.exec(key);
+  if (match) return { prefix: match[1], secret: match[2], legacy: false };
+
+  if (LEGACY_KEY_PATTERN.test(key)) {
+    return { prefix: key.substring(0, 8), secret: key, legacy: true };
+  }
+  return null;
+}
+
+/**
+ * Check a secret against a stored salt and hash in constant time.
+ * @param {string} secret
+ * @param {string} salt
+ * @param {string} hash
+ * @return {boolean}
+ */
+function secretMatches(secret, salt, hash) {
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = Buffer.from(hashSecret(secret, salt), "hex");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Validate requested scopes.
+ * @param {*} scopes - Request body value
+ * @return {string[]} The scopes, de-duplicated
+ * @throws {Error} If scopes is not a non-empty array of known scopes
+ */
+function normalizeScopes(scopes) {
+  const known = Object.values(API_KEY_SCOPES);
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new Error(`scopes must be a non-empty array of: ${known.join(", ")}`);
+  }
+  const unknown = scopes.filter((scope) => !known.includes(scope));
+  if (unknown.length) {
+    throw new Error(`Unknown API key scope: ${unknown.join(", ")}. Must be one of: ${known.join(", ")}`);
+  }
+  return [...new Set(scopes)];
+}
+
+/**
+ * Whether a key with these scopes may make a request.
+ * @param {string[]} scopes
+ * @param {string} method - HTTP method
+ * @param {string} baseUrl - Router mount path, e.g. "/tandem"
+ * @return {boolean}
+ */
+function scopesAllow(scopes, method, baseUrl) {
+  const isRead = method === "GET" || method === "HEAD";
+  if (isRead && scopes.includes(API_KEY_SCOPES.READ)) return true;
+
+  return scopes.some((scope) => SCOPE_ROUTES[scope] &&
+    (baseUrl === SCOPE_ROUTES[scope] || baseUrl.startsWith(`${SCOPE_ROUTES[scope]}/`)));
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  LEGACY_SCOPES,
+  DEFAULT_GRACE_HOURS,
+  MAX_GRACE_HOURS,
+  generateApiKey,
+  parseApiKey,
+  secretMatches,
+  saltAndHash,
+  normalizeScopes,
+  scopesAllow,
+};
@@ -0,0 +1,190 @@
+const admin = require("firebase-admin");
+const User = require("../../src/models/User");
+
+/**
+ * Append-only audit trail for admin and moderation actions.
+ *
+ * Every `/admin-panel` mutation and `PUT /users/:userId/user-type` records
+ * who did what to which document, the fields it changed (before and after),
+ * the caller's IP and when. The entry is written in the same batch as the
+ * change, so neither is made without the other. Entries are only ever
+ * added: nothing in the backend updates or deletes them, and
+ * firestore.rules denies all client access to the collection.
+ */
+
+const AUDIT_COLLECTION = "auditLog";
+
+const AUDIT_ACTIONS = Object.freeze({
+  USER_UPDATE: "user.update",
+  USER_BAN: "user.ban",
+  USER_UNBAN: "user.unban",
+  USER_GRANT_PERMISSIONS: "user.permissions.grant",
+  USER_REVOKE_PERMISSIONS: "user.permissions.revoke",
+  USER_CHANGE_TYPE: "user.userType",
+  USER_DELETE: "user.delete",
+  USER_ROSTER_IMPORT: "user.roster.import",
+  SPOT_CREATE: "spot.create",
+  SPOT_UPDATE: "spot.update",
+  SPOT_DELETE: "spot.delete",
+  SYSTEM_FREEZE: "system.freeze",
+  SYSTEM_UNFREEZE: "system.unfreeze",
+  FREEZE_SCHEDULE: "system.scheduledFreeze.create",
+  FREEZE_CANCEL: "system.scheduledFreeze.cancel",
+  CALENDAR_UPDATE: "system.calendar.update",
+  BELL_SCHEDULES_UPDATE: "system.bellSchedules.update",
+  TANDEM_ASSIGNMENT_PROPOSE: "tandem.assignment.propose",
+  TANDEM_ASSIGNMENT_COMMIT: "tandem.assignment.commit",
+  TANDEM_ASSIGNMENT_DISCARD: "tandem.assignment.discard",
+  REPORT_RESOLVE: "report.resolve",
+  REPORT_DISMISS: "report.dismiss",
+  ADMIN_SET_ROLE: "admin.role.set",
+  ADMIN_REMOVE: "admin.remove",
+});
+
+// Bookkeeping fields every write touches; they would show up in every diff
+const IGNORED_FIELDS = ["updatedAt"];
+
+/**
+ * Convert Firestore Timestamps and Dates to ISO strings, recursively, and
+ * undefined to null (Firestore rejects undefined)
+ * @param {*} value
+ * @return {*}
+ */
+function plainValue(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value.toDate === "function") return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(plainValue);
+  if (typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, plainValue(v)]));
+  }
+  return value;
+}
+
+/**
+ * The fields that differ between two versions of a document.
+ * Creations and deletions (one side null) keep the whole document.
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @return {{before: Object|null, after: Object|null}}
+ */
+function diffFields(before, after) {
+  const plainBefore = before ? plainValue(before) : null;
+  const plainAfter = after ? plainValue(after) : null;
+  if (!plainBefore || !plainAfter) return { before: plainBefore, after: plainAfter };
+
+  const changed = { before: {}, after: {} };
+  const keys = new Set([...Object.keys(plainBefore), ...Object.keys(plainAfter)]);
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+    const was = key in plainBefore ? plainBefore[key] : null;
+    const now = key in plainAfter ? plainAfter[key] : null;
+    if (JSON.stringify(was) !== JSON.stringify(now)) {
+      changed.before[key] = was;
+      changed.after[key] = now;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Whether a field value is the given FieldValue sentinel
+ * @param {*} value
+ * @param {Object} sentinel - e.g. FieldValue.delete()
+ * @return {boolean}
+ */
+function isFieldValue(value, sentinel) {
+  return value === sentinel || (typeof value?.isEqual === "function" && value.isEqual(sentinel));
+}
+
+/**
+ * A document as it will be once an update (or merged set) is written to it,
+ * for the `after` of an entry written in the same batch: deleted fields are
+ * left out and server timestamps are the current time. Other transforms
+ * (increment, arrayUnion) aren't resolved, so record those changes some
+ * other way.
+ * @param {Object|null} before - The document, or null if it doesn't exist yet
+ * @param {Object} update - Fields being written
+ * @return {Object}
+ */
+function updatedDocument(before, update) {
+  const { FieldValue } = admin.firestore;
+  const after = { ...(before || {}) };
+  for (const [field, value] of Object.entries(update)) {
+    if (isFieldValue(value, FieldValue.delete())) delete after[field];
+    else if (isFieldValue(value, FieldValue.serverTimestamp())) after[field] = new Date();
+    else after[field] = value;
+  }
+  return after;
+}
+
+/**
+ * Caller's IP address. Cloud Functions sit behind Google's front end, which
+ * puts the client address first in X-Forwarded-For.
+ * @param {Object} req - Express request
+ * @return {string|null}
+ */
+function requestIp(req) {
+  const forwarded = req.headers["x-forwarded-for"];
+  if (forwarded) return forwarded.split(",")[0].trim();
+  return req.ip || null;
+}
+
+/**
+ * Add an audit entry to the write batch (or transaction) that makes the
+ * change it records. Committing the batch writes both or, if it fails,
+ * neither, so the request fails without having changed anything.
+ *
+ * @param {Object} batch - Firestore WriteBatch or Transaction
+ * @param {Object} req - Express request (after authenticate/requireAdmin)
+ * @param {Object} entry
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {string} entry.targetType - e.g. "user", "spot", "system"
+ * @param {string} entry.targetId
+ * @param {Object|null} [entry.before] - Target before the change
+ * @param {Object|null} [entry.after] - Target after the change
+ * @param {Object} [entry.details] - Request details not visible in the diff (ban reason, etc.)
+ * @return {string} Entry ID
+ */
+function recordAudit(batch, req, { action, targetType, targetId, before = null, after = null, details = null }) {
+  // Credentials stay out of the log, even encrypted
+  const changes = targetType === "user" ?
+    diffFields(before && User.redactDocument(before), after && User.redactDocument(after)) :
+    diffFields(before, after);
+
+  const ref = admin.firestore().collection(AUDIT_COLLECTION).doc();
+  batch.set(ref, {
+    actorId: req.user?.uid || req.userId || null,
+    actorEmail: req.user?.email || null,
+    actorRole: req.adminRole || null,
+    action,
+    targetType,
+    targetId: targetId || null,
+    before: changes.before,
+    after: changes.after,
+    details: details ? plainValue(details) : null,
+    ip: requestIp(req),
+    userAgent: req.headers["user-agent"] || null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return ref.id;
+}
+
+/**
+ * Format an audit entry document for a response
+ * @param {Object} doc - Firestore document snapshot
+ * @return {Object}
+ */
+function formatAuditEntry(doc) {
+  return { entryId: doc.id, ...plainValue(doc.data()) };
+}
+
+module.exports = {
+  AUDIT_COLLECTION,
+  AUDIT_ACTIONS,
+  plainValue,
+  diffFields,
+  updatedDocument,
+  recordAudit,
+  formatAuditEntry,
+};
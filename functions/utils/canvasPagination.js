@@ -0,0 +1,91 @@
+/**
+ * Canvas pagination.
+ *
+ * Canvas returns lists a page at a time and links the following page in
+ * the `Link` response header:
+ *
+ *   Link: <https://hw.instructure.com/api/v1/courses?page=2&per_page=100>; rel="next", <...>; rel="last"
+ *
+ * `paginate` follows the `next` links and yields items as each page
+ * arrives, so callers can stop early without fetching the rest, and
+ * `collectPages` gathers them into an array. Both stop after `maxPages`
+ * pages, logging a warning if Canvas had more.
+ *
+ * https://canvas.instructure.com/doc/api/file.pagination.html
+ */
+
+const DEFAULT_MAX_PAGES = 50;
+
+/**
+ * Parse a Link header into URLs by relation
+ * @param {string} [header]
+ * @return {Object<string, string>} e.g. `{next, current, first, last}`
+ */
+function parseLinkHeader(header) {
+  const links = {};
+  if (!header) return links;
+
+  for (const [, url, params] of header.matchAll(/<([^>]*)>([^<]*)/g)) {
+    const rel = /rel="?([^";]+)"?/.exec(params);
+    if (rel) {
+      rel[1].trim().split(/\s+/).forEach((name) => {
+        links[name] = url;
+      });
+    }
+  }
+  return links;
+}
+
+/**
+ * Yield every item of a paginated Canvas list
+ * @param {Object} client - axios instance with the Canvas API baseURL and
+ *   Authorization header
+ * @param {string} path - API path, e.g. "/courses"
+ * @param {Object} [options]
+ * @param {Object} [options.params] - Query parameters for the first page
+ *   (Canvas repeats them in the next links)
+ * @param {number} [options.maxPages] - Stop after this many pages
+ * @return {AsyncGenerator<Object>}
+ */
+async function* paginate(client, path, { params = {}, maxPages = DEFAULT_MAX_PAGES } = {}) {
+  // The access token goes with every request, so only follow links to Canvas
+  const origin = new URL(client.defaults.baseURL).origin;
+  let response = await client.get(path, { params });
+
+  for (let page = 1; ; page++) {
+    yield* Array.isArray(response.data) ? response.data : [response.data];
+
+    const next = parseLinkHeader(response.headers.link).next;
+    if (!next) return;
+    if (page >= maxPages) {
+      console.warn(`Canvas ${path}: stopped after ${maxPages} pages; the rest was not fetched`);
+      return;
+    }
+    if (new URL(next, origin).origin !== origin) {
+      throw new Error(`Canvas ${path}: next page link points outside ${origin}`);
+    }
+    response = await client.get(new URL(next, origin).toString());
+  }
+}
+
+/**
+ * Every item of a paginated Canvas list, as an array
+ * @param {Object} client - See paginate
+ * @param {string} path
+ * @param {Object} [options] - See paginate
+ * @return {Promise<Array>}
+ */
+async function collectPages(client, path, options) {
+  const items = [];
+  for await (const item of paginate(client, path, options)) {
+    items.push(item);
+  }
+  return items;
+}
+
+module.exports = {
+  DEFAULT_MAX_PAGES,
+  parseLinkHeader,
+  paginate,
+  collectPages,
+};
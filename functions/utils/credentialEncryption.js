@@ -0,0 +1,111 @@
+const crypto = require("crypto");
+const LocalFileKeyProvider = require("./localFileKeyProvider");
+
+/**
+ * Envelope encryption for stored third-party credentials (Canvas tokens).
+ *
+ * Each set of credentials is encrypted with its own random data key
+ * (AES-256-GCM), and the data key is stored wrapped by a key provider's
+ * key-encryption key. The ciphertext is bound to a context, the owner's
+ * UID, so it can't be copied onto another account.
+ *
+ * ── Key Provider Contract ──────────────────────────────────────────────────
+ * A provider exposes two async methods:
+ *
+ *   wrapKey(dataKey)               → { keyId, wrappedKey }
+ *   unwrapKey({ keyId, wrappedKey }) → dataKey (Buffer)
+ *
+ * The default is LocalFileKeyProvider (CREDENTIAL_KEY_FILE); a KMS-backed
+ * provider can be plugged in with setKeyProvider().
+ *
+ * Only CanvasService decrypts (CanvasService.fromCredentials); everything
+ * else passes the envelope around unopened.
+ */
+
+const ENVELOPE_VERSION = 1;
+const ALGORITHM = "aes-256-gcm";
+const DATA_KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+let provider = null;
+
+/**
+ * Use a different key provider
+ * @param {Object|null} keyProvider - null to go back to the default
+ */
+function setKeyProvider(keyProvider) {
+  provider = keyProvider;
+}
+
+/**
+ * The key provider in use
+ * @return {Object}
+ */
+function keyProvider() {
+  if (!provider) provider = LocalFileKeyProvider.fromEnv();
+  return provider;
+}
+
+/**
+ * Whether a stored value is an encrypted envelope
+ * @param {*} value
+ * @return {boolean}
+ */
+function isEnvelope(value) {
+  return Boolean(value && value.version === ENVELOPE_VERSION && value.ciphertext && value.wrappedKey);
+}
+
+/**
+ * Encrypt credentials
+ * @param {Object} secrets - e.g. `{accessToken, refreshToken}`
+ * @param {string} context - The owner's UID
+ * @return {Promise<Object>} Envelope to store
+ */
+async function encryptCredentials(secrets, context) {
+  const dataKey = crypto.randomBytes(DATA_KEY_BYTES);
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, dataKey, iv);
+  cipher.setAAD(Buffer.from(String(context)));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(secrets), "utf8"), cipher.final()]);
+  const { keyId, wrappedKey } = await keyProvider().wrapKey(dataKey);
+
+  return {
+    version: ENVELOPE_VERSION,
+    algorithm: ALGORITHM,
+    keyId,
+    wrappedKey,
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    ciphertext: ciphertext.toString("base64"),
+  };
+}
+
+/**
+ * Decrypt credentials
+ * @param {Object} envelope - From encryptCredentials
+ * @param {string} context - The owner's UID it was encrypted for
+ * @return {Promise<Object>}
+ */
+async function decryptCredentials(envelope, context) {
+  if (!isEnvelope(envelope)) {
+    throw new Error("Stored credentials are not encrypted");
+  }
+
+  const dataKey = await keyProvider().unwrapKey({ keyId: envelope.keyId, wrappedKey: envelope.wrappedKey });
+  const decipher = crypto.createDecipheriv(ALGORITHM, dataKey, Buffer.from(envelope.iv, "base64"));
+  decipher.setAAD(Buffer.from(String(context)));
+  decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+  const plaintext = Buffer.concat([
+    decipher.update(Buffer.from(envelope.ciphertext, "base64")),
+    decipher.final(),
+  ]);
+  return JSON.parse(plaintext.toString("utf8"));
+}
+
+module.exports = {
+  setKeyProvider,
+  keyProvider,
+  isEnvelope,
+  encryptCredentials,
+  decryptCredentials,
+};
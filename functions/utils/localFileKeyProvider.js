@@ -0,0 +1,128 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Key provider that keeps the key-encryption keys in a local JSON file
+ * (CREDENTIAL_KEY_FILE), for development and single-server deployments.
+ * See utils/credentialEncryption.js for the provider contract.
+ *
+ * The file is a keyring:
+ *
+ *   { "currentKeyId": "k2", "keys": { "k1": "<base64>", "k2": "<base64>" } }
+ *
+ * New data keys are wrapped with the current key; older keys stay so
+ * credentials wrapped with them can still be read. Generate or rotate with
+ * `npm run keys:rotate -- <file>` in functions/, which adds a key and makes
+ * it current. Never commit the file.
+ */
+
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const ALGORITHM = "aes-256-gcm";
+
+class LocalFileKeyProvider {
+  /**
+   * @param {string} filePath - Keyring JSON file
+   */
+  constructor(filePath) {
+    if (!filePath) {
+      throw new Error("CREDENTIAL_KEY_FILE is not set");
+    }
+    this.filePath = filePath;
+    this.keyring = null;
+  }
+
+  /**
+   * Provider for CREDENTIAL_KEY_FILE
+   * @return {LocalFileKeyProvider}
+   */
+  static fromEnv() {
+    return new LocalFileKeyProvider(process.env.CREDENTIAL_KEY_FILE);
+  }
+
+  /**
+   * The keyring, read once
+   * @return {{currentKeyId: string, keys: Object<string, Buffer>}}
+   */
+  load() {
+    if (!this.keyring) {
+      const stored = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      const keys = {};
+      for (const [keyId, encoded] of Object.entries(stored.keys || {})) {
+        keys[keyId] = Buffer.from(encoded, "base64");
+        if (keys[keyId].length !== KEY_BYTES) {
+          throw new Error(`Credential key ${keyId} in ${this.filePath} is not ${KEY_BYTES} bytes`);
+        }
+      }
+      if (!keys[stored.currentKeyId]) {
+        throw new Error(`Current credential key ${stored.currentKeyId} is missing from ${this.filePath}`);
+      }
+      this.keyring = { currentKeyId: stored.currentKeyId, keys };
+    }
+    return this.keyring;
+  }
+
+  /**
+   * Encrypt a data key with the current key-encryption key
+   * @param {Buffer} dataKey
+   * @return {Promise<{keyId: string, wrappedKey: string}>}
+   */
+  async wrapKey(dataKey) {
+    const { currentKeyId, keys } = this.load();
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, keys[currentKeyId], iv);
+    const encrypted = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+    return {
+      keyId: currentKeyId,
+      wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString("base64"),
+    };
+  }
+
+  /**
+   * Decrypt a data key wrapped by wrapKey
+   * @param {{keyId: string, wrappedKey: string}} wrapped
+   * @return {Promise<Buffer>}
+   */
+  async unwrapKey({ keyId, wrappedKey }) {
+    const key = this.load().keys[keyId];
+    if (!key) {
+      throw new Error(`Unknown credential key: ${keyId}`);
+    }
+    const data = Buffer.from(wrappedKey, "base64");
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_BYTES));
+    decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + 16));
+    return Buffer.concat([decipher.update(data.subarray(IV_BYTES + 16)), decipher.final()]);
+  }
+
+  /**
+   * Add a new key to a keyring file (creating it if needed) and make it
+   * the current one
+   * @param {string} filePath
+   * @return {string} The new key's ID
+   */
+  static rotate(filePath) {
+    const stored = fs.existsSync(filePath) ?
+      JSON.parse(fs.readFileSync(filePath, "utf8")) :
+      { currentKeyId: null, keys: {} };
+
+    const keyId = `k${Date.now().toString(36)}`;
+    stored.keys[keyId] = crypto.randomBytes(KEY_BYTES).toString("base64");
+    stored.currentKeyId = keyId;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(stored, null, 2), { mode: 0o600 });
+    return keyId;
+  }
+}
+
+if (require.main === module) {
+  const filePath = process.argv[2] || process.env.CREDENTIAL_KEY_FILE;
+  if (!filePath) {
+    console.error("Usage: node utils/localFileKeyProvider.js <keyring.json> (or set CREDENTIAL_KEY_FILE)");
+    process.exit(1);
+  }
+  console.log(`Added credential key ${LocalFileKeyProvider.rotate(filePath)} to ${filePath}`);
+}
+
+module.exports = LocalFileKeyProvider;
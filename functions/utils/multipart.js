@@ -0,0 +1,99 @@
+const Busboy = require("busboy");
+
+/**
+ * Helpers for reading multipart/form-data uploads.
+ *
+ * Cloud Functions consumes the request stream before Express sees it and
+ * leaves the bytes on `req.rawBody`, so multer-style middleware that reads
+ * the stream doesn't work there. This feeds whichever one is available to
+ * busboy instead.
+ */
+
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024; // 5 MB
+
+/**
+ * Build an Error carrying the HTTP status to respond with.
+ * @param {number} status
+ * @param {string} message
+ * @return {Error}
+ */
+function uploadError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Read a single file (plus any text fields) from a multipart request.
+ * @param {Object} req - Express request
+ * @param {Object} options
+ * @param {string} options.fieldName - Form field holding the file
+ * @param {string[]} [options.mimeTypes] - Accepted MIME types
+ * @param {number} [options.maxBytes] - Largest accepted file
+ * @return {Promise<{file: Object, fields: Object}>} `file` has
+ *   `buffer`, `filename` and `mimeType`; `fields` maps names to values
+ */
+function readSingleFile(req, { fieldName, mimeTypes, maxBytes = DEFAULT_MAX_BYTES }) {
+  return new Promise((resolve, reject) => {
+    if (!/^multipart\/form-data/i.test(req.headers["content-type"] || "")) {
+      reject(uploadError(400, "Request must be multipart/form-data"));
+      return;
+    }
+
+    let busboy;
+    try {
+      busboy = Busboy({
+        headers: req.headers,
+        limits: { files: 1, fileSize: maxBytes },
+      });
+    } catch (error) {
+      reject(uploadError(400, error.message));
+      return;
+    }
+
+    const fields = {};
+    const chunks = [];
+    let file = null;
+    let failure = null;
+
+    busboy.on("field", (name, value) => {
+      fields[name] = value;
+    });
+
+    busboy.on("file", (name, stream, info) => {
+      if (name !== fieldName || file) {
+        stream.resume();
+        return;
+      }
+      if (mimeTypes && !mimeTypes.includes(info.mimeType)) {
+        failure = uploadError(415, `${fieldName} must be one of: ${mimeTypes.join(", ")}`);
+        stream.resume();
+        return;
+      }
+
+      file = { filename: info.filename, mimeType: info.mimeType };
+      stream.on("data", (chunk) => chunks.push(chunk));
+      stream.on("limit", () => {
+        failure = uploadError(413, `${fieldName} must be ${maxBytes / (1024 * 1024)} MB or smaller`);
+      });
+    });
+
+    busboy.on("error", () => reject(uploadError(400, "Malformed multipart upload")));
+
+    busboy.on("close", () => {
+      if (failure) return reject(failure);
+      if (!file) return reject(uploadError(400, `${fieldName} file is required`));
+      resolve({ file: { ...file, buffer: Buffer.concat(chunks) }, fields });
+    });
+
+    if (req.rawBody) {
+      busboy.end(req.rawBody);
+    } else {
+      req.pipe(busboy);
+    }
+  });
+}
+
+module.exports = {
+  readSingleFile,
+};
@@ -0,0 +1,49 @@
+/**
+ * School email addresses.
+ *
+ * Only students with a school email address can sign up. The allowed
+ * domains come from SCHOOL_EMAIL_DOMAINS (comma-separated, e.g.
+ * "hw.com,students.hw.com"); subdomains of an allowed domain are allowed too.
+ */
+
+const DEFAULT_SCHOOL_DOMAINS = "hw.com";
+
+/**
+ * The configured school email domains
+ * @return {string[]} Lowercase domains
+ */
+function schoolDomains() {
+  return (process.env.SCHOOL_EMAIL_DOMAINS || DEFAULT_SCHOOL_DOMAINS)
+      .split(",")
+      .map((domain) => domain.trim().toLowerCase())
+      .filter(Boolean);
+}
+
+/**
+ * Lowercase and trim an email address, for comparing and as a document ID
+ * @param {string} email
+ * @return {string}
+ */
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+/**
+ * Whether an email address belongs to one of the school domains
+ * @param {string} email
+ * @return {boolean}
+ */
+function isSchoolEmail(email) {
+  const normalized = normalizeEmail(email);
+  const at = normalized.lastIndexOf("@");
+  if (at < 1) return false;
+
+  const domain = normalized.slice(at + 1);
+  return schoolDomains().some((allowed) => domain === allowed || domain.endsWith(`.${allowed}`));
+}
+
+module.exports = {
+  schoolDomains,
+  normalizeEmail,
+  isSchoolEmail,
+};
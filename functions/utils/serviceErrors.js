@@ -0,0 +1,64 @@
+/**
+ * Helpers for turning errors thrown by the domain services in `src/`
+ * (TandemService, CarpoolService, RentalService) into HTTP responses.
+ *
+ * The services throw a `ServiceError` (src/errors) whose `code` says which
+ * kind of business rule was broken, and the status code is derived from
+ * that. Errors thrown here in functions/ may carry an HTTP `status` instead.
+ */
+
+const { ERROR_CODES } = require("../../src/errors");
+const { ALREADY_EXISTS } = require("../../src/repositories/errors");
+
+const STATUS_BY_CODE = {
+  [ERROR_CODES.INVALID]: 400,
+  [ERROR_CODES.FORBIDDEN]: 403,
+  [ERROR_CODES.NOT_FOUND]: 404,
+  [ERROR_CODES.CONFLICT]: 409,
+  [ERROR_CODES.RATE_LIMITED]: 429,
+  [ERROR_CODES.PAYMENT_REQUIRED]: 402,
+  [ERROR_CODES.UNAVAILABLE]: 503,
+  [ALREADY_EXISTS]: 409,
+};
+
+/**
+ * Map a service error to an HTTP status code.
+ * Plain `Error`s without a code are the models rejecting invalid input
+ * (400). Anything else (TypeError, Firestore errors...) is a server error.
+ * @param {Error} error
+ * @return {number} HTTP status code
+ */
+function statusForServiceError(error) {
+  if (!error) return 500;
+  if (error.status) return error.status;
+  if (STATUS_BY_CODE[error.code]) return STATUS_BY_CODE[error.code];
+  return error.constructor === Error ? 400 : 500;
+}
+
+/**
+ * Send a JSON error response for an error thrown by a domain service.
+ * @param {Object} res - Express response
+ * @param {Error} error - The thrown error
+ * @param {string} fallbackMessage - Message used for unexpected (500) errors
+ * @return {Object} Express response
+ */
+function sendServiceError(res, error, fallbackMessage) {
+  const status = statusForServiceError(error);
+
+  if (status === 500) {
+    console.error(`${fallbackMessage}:`, error);
+    return res.status(500).json({
+      error: fallbackMessage,
+      details: error.message,
+    });
+  }
+
+  return res.status(status).json({
+    error: error.message,
+  });
+}
+
+module.exports = {
+  statusForServiceError,
+  sendServiceError,
+};
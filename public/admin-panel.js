@@ -63,10 +63,20 @@ function showAdminPanel() {
     document.getElementById('adminName').textContent = currentAdmin.user.name || currentAdmin.user.email;
     document.getElementById('adminRole').textContent = currentAdmin.role;
     
+    // Hide tabs and buttons the admin's role doesn't allow
+    document.querySelectorAll('[data-admin-action]').forEach(el => {
+        el.classList.toggle('hidden', !can(el.dataset.adminAction));
+    });
+    
     // Load initial data
     loadDashboard();
 }
 
+// Whether the signed-in admin's role allows an admin panel action
+function can(action) {
+    return (currentAdmin.actions || []).includes(action);
+}
+
 async function logout() {
     await auth.signOut();
     location.reload();
@@ -103,6 +113,8 @@ function switchTab(tabName) {
         case 'rentals': loadRentals(); break;
         case 'reports': loadReports(); break;
         case 'system': loadSystemStatus(); break;
+        case 'admins': loadAdmins(); break;
+        case 'audit': loadAuditLog(); break;
     }
 }
 
@@ -205,14 +217,16 @@ function displayUsers(users) {
                 </span>
             </td>
             <td class="px-6 py-4 whitespace-nowrap text-sm space-x-2">
-                <button onclick='editUser("${user.id}")' 
-                        class="text-blue-600 hover:text-blue-800">Edit</button>
-                ${user.accountStatus !== 'banned' ? 
+                ${can('users:edit') ? `<button onclick='editUser("${user.id}")' 
+                        class="text-blue-600 hover:text-blue-800">Edit</button>` : ''}
+                ${!can('users:ban') ? '' : user.accountStatus !== 'banned' ? 
                     `<button onclick='banUser("${user.id}")' 
                              class="text-red-600 hover:text-red-800">Ban</button>` :
                     `<button onclick='unbanUser("${user.id}")' 
                              class="text-green-600 hover:text-green-800">Unban</button>`
                 }
+                ${can('users:delete') ? `<button onclick='deleteUser("${user.id}")' 
+                        class="text-red-800 hover:text-red-900">Delete</button>` : ''}
             </td>
         </tr>
     `).join('');
@@ -236,6 +250,7 @@ async function editUser(userId) {
             document.getElementById('editUserType').value = user.userType || 'JUNIOR';
             document.getElementById('editUserStatus').value = user.accountStatus || 'active';
             
+            await loadUserPermissions(userId);
             document.getElementById('editUserModal').classList.add('active');
         }
         
@@ -283,6 +298,66 @@ document.getElementById('editUserForm').addEventListener('submit', async (e) =>
     }
 });
 
+const USER_PERMISSIONS = [
+    'VIEW_SPOTS', 'RENT_SPOT', 'LIST_SPOT', 'JOIN_CARPOOL', 'JOIN_TANDEM', 'SEND_MESSAGES', 'FILE_REPORT'
+];
+
+async function loadUserPermissions(userId) {
+    const container = document.getElementById('editUserPermissions');
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/admin-panel/users/${userId}/permissions`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        
+        const data = await response.json();
+        
+        if (response.ok) {
+            container.innerHTML = USER_PERMISSIONS.map(permission => `
+                <label class="flex items-center space-x-2">
+                    <input type="checkbox" ${data.effective.includes(permission) ? 'checked' : ''}
+                           ${can('users:permissions') ? '' : 'disabled'}
+                           onchange='togglePermission("${userId}", "${permission}", this)'>
+                    <span>${permission}</span>
+                    ${data.revoked.includes(permission) ? '<span class="text-xs text-red-600">revoked</span>' : ''}
+                </label>
+            `).join('');
+        }
+        
+    } catch (error) {
+        console.error('Load permissions error:', error);
+        container.innerHTML = '<p class="text-red-600">Failed to load permissions</p>';
+    }
+}
+
+async function togglePermission(userId, permission, checkbox) {
+    const action = checkbox.checked ? 'grant' : 'revoke';
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/admin-panel/users/${userId}/permissions/${action}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ permissions: [permission] })
+        });
+        
+        if (response.ok) {
+            loadUserPermissions(userId);
+        } else {
+            const data = await response.json();
+            checkbox.checked = !checkbox.checked;
+            alert('Error: ' + data.message);
+        }
+        
+    } catch (error) {
+        console.error('Change permission error:', error);
+        checkbox.checked = !checkbox.checked;
+        alert('Failed to change permission');
+    }
+}
+
 function closeEditUserModal() {
     document.getElementById('editUserModal').classList.remove('active');
 }
@@ -347,6 +422,46 @@ async function unbanUser(userId) {
     }
 }
 
+async function deleteUser(userId) {
+    const url = `${API_BASE_URL}/admin-panel/users/${userId}`;
+    const headers = { 'Authorization': `Bearer ${authToken}` };
+
+    try {
+        // Dry run first, so the admin sees what the deletion will touch
+        const preview = await fetch(`${url}?dryRun=true`, { method: 'DELETE', headers });
+        const plan = await preview.json();
+        if (!preview.ok) {
+            alert('Error: ' + plan.message);
+            return;
+        }
+
+        const summary = [
+            `Tandem pairings ended: ${plan.tandem.pairings.length}`,
+            `Carpools disbanded: ${plan.carpool.disbandedGroups.length}`,
+            `Carpools left: ${plan.carpool.leftGroups.length}`,
+            `Upcoming rentals cancelled and refunded: ${plan.rentals.cancelledRentals.length}`,
+            `Past rentals anonymized: ${plan.rentals.anonymized.rentals}`,
+            `Penalties anonymized: ${plan.rentals.anonymized.penalties}`,
+            `API keys deleted: ${plan.account.apiKeys}`,
+            `People notified: ${plan.notifications.length}`
+        ].join('\n');
+        if (!confirm(`Permanently delete this user?\n\n${summary}`)) return;
+
+        const response = await fetch(url, { method: 'DELETE', headers });
+        if (response.ok) {
+            alert('User deleted successfully');
+            loadAllUsers();
+        } else {
+            const data = await response.json();
+            alert('Error: ' + data.message);
+        }
+
+    } catch (error) {
+        console.error('Delete user error:', error);
+        alert('Failed to delete user');
+    }
+}
+
 // ==================== PARKING SPOTS ====================
 
 async function loadAllSpots() {
@@ -393,14 +508,14 @@ function displaySpots(spots) {
                 ${spot.ownerId ? `<p><strong>Owner:</strong> ${spot.ownerId.substring(0, 8)}...</p>` : ''}
             </div>
             <div class="flex space-x-2">
-                <button onclick='editSpot("${spot.id}")' 
+                ${can('spots:edit') ? `<button onclick='editSpot("${spot.id}")' 
                         class="flex-1 bg-blue-600 text-white px-4 py-2 rounded text-sm hover:bg-blue-700">
                     Edit
-                </button>
-                <button onclick='deleteSpot("${spot.id}")' 
+                </button>` : ''}
+                ${can('spots:delete') ? `<button onclick='deleteSpot("${spot.id}")' 
                         class="flex-1 bg-red-600 text-white px-4 py-2 rounded text-sm hover:bg-red-700">
                     Delete
-                </button>
+                </button>` : ''}
             </div>
         </div>
     `).join('');
@@ -470,12 +585,16 @@ async function loadSystemStatus() {
         const data = await response.json();
         
         if (response.ok) {
-            const statusHtml = data.appActive ?
+            const { current } = data;
+            const until = current.frozenUntil ?
+                `<p class="text-sm mt-1">Until ${new Date(current.frozenUntil).toLocaleString()}</p>` : '';
+            const statusHtml = !current.frozen ?
                 '<div class="p-4 bg-green-100 text-green-800 rounded-md"><strong>✅ App is Active</strong><p class="text-sm mt-1">Users can access the app normally</p></div>' :
-                `<div class="p-4 bg-red-100 text-red-800 rounded-md"><strong>🔒 App is Frozen</strong><p class="text-sm mt-1">${data.message || 'App is temporarily unavailable'}</p></div>`;
+                `<div class="p-4 bg-red-100 text-red-800 rounded-md"><strong>🔒 App is Frozen</strong><p class="text-sm mt-1">${current.message || 'App is temporarily unavailable'}</p>${until}</div>`;
             
             document.getElementById('appStatusDisplay').innerHTML = statusHtml;
             document.getElementById('systemStatus').innerHTML = statusHtml;
+            renderScheduledFreezes(data.scheduledFreezes);
         }
         
     } catch (error) {
@@ -513,6 +632,82 @@ async function freezeApp() {
     }
 }
 
+function renderScheduledFreezes(freezes) {
+    const container = document.getElementById('scheduledFreezes');
+    
+    if (!freezes.length) {
+        container.innerHTML = '<p class="text-gray-500 text-sm">No freezes scheduled</p>';
+        return;
+    }
+    
+    container.innerHTML = freezes.map(freeze => `
+        <div class="flex justify-between items-center p-3 border rounded-md">
+            <div class="text-sm">
+                <p><strong>${new Date(freeze.startsAt).toLocaleString()}</strong> – ${new Date(freeze.endsAt).toLocaleString()}</p>
+                <p class="text-gray-600">${freeze.message || ''}</p>
+            </div>
+            ${can('system:freeze') ? `<button onclick="cancelScheduledFreeze('${freeze.freezeId}')" class="text-red-600 hover:text-red-800 text-sm">Cancel</button>` : ''}
+        </div>
+    `).join('');
+}
+
+async function scheduleFreeze() {
+    const startsAt = prompt('Freeze starts at (YYYY-MM-DD HH:MM, local time):');
+    if (!startsAt) return;
+    const endsAt = prompt('Freeze ends at (YYYY-MM-DD HH:MM, local time):');
+    if (!endsAt) return;
+    const message = prompt('Enter maintenance message for users:');
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/admin-panel/system/scheduled-freezes`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                startsAt: new Date(startsAt.replace(' ', 'T')).toISOString(),
+                endsAt: new Date(endsAt.replace(' ', 'T')).toISOString(),
+                message
+            })
+        });
+        
+        if (response.ok) {
+            alert('Freeze scheduled successfully');
+            loadSystemStatus();
+        } else {
+            const data = await response.json();
+            alert('Error: ' + data.message);
+        }
+        
+    } catch (error) {
+        console.error('Schedule freeze error:', error);
+        alert('Failed to schedule freeze. Check the dates.');
+    }
+}
+
+async function cancelScheduledFreeze(freezeId) {
+    if (!confirm('Cancel this scheduled freeze?')) return;
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/admin-panel/system/scheduled-freezes/${freezeId}`, {
+            method: 'DELETE',
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        
+        if (response.ok) {
+            loadSystemStatus();
+        } else {
+            const data = await response.json();
+            alert('Error: ' + data.message);
+        }
+        
+    } catch (error) {
+        console.error('Cancel scheduled freeze error:', error);
+        alert('Failed to cancel scheduled freeze');
+    }
+}
+
 async function unfreezeApp() {
     if (!confirm('Re-enable app access for all users?')) return;
     
@@ -538,3 +733,221 @@ async function unfreezeApp() {
         alert('Failed to unfreeze app');
     }
 }
+
+// ==================== ADMINS ====================
+
+const ADMIN_ROLE_NAMES = ['SUPER_ADMIN', 'MODERATOR', 'ATTENDANT'];
+
+async function loadAdmins() {
+    const tbody = document.getElementById('adminsTableBody');
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/admin-panel/admins`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            tbody.innerHTML = `<tr><td colspan="4" class="px-6 py-4 text-center text-red-600">${data.message || data.error}</td></tr>`;
+            return;
+        }
+        
+        if (data.admins.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4" class="px-6 py-4 text-center text-gray-500">No admins found</td></tr>';
+            return;
+        }
+        
+        tbody.innerHTML = data.admins.map(entry => {
+            const isYou = entry.userId === currentAdmin.userId;
+            return `
+            <tr class="hover:bg-gray-50">
+                <td class="px-6 py-4 whitespace-nowrap">
+                    <div class="font-medium">${entry.user?.name || 'N/A'}${isYou ? ' (you)' : ''}</div>
+                    <div class="text-sm text-gray-500">${entry.user?.email || entry.userId}</div>
+                </td>
+                <td class="px-6 py-4 whitespace-nowrap">
+                    <select onchange='setAdminRole("${entry.userId}", this.value)' ${isYou ? 'disabled' : ''}
+                            class="border rounded px-2 py-1 text-sm">
+                        ${ADMIN_ROLE_NAMES.map(role => `
+                            <option value="${role}" ${entry.effectiveRole === role ? 'selected' : ''}>${role}</option>
+                        `).join('')}
+                    </select>
+                    ${entry.role !== entry.effectiveRole ? `<span class="text-xs text-gray-500">stored as ${entry.role}</span>` : ''}
+                </td>
+                <td class="px-6 py-4 whitespace-nowrap">
+                    <span class="px-2 py-1 text-xs rounded-full ${entry.active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}">
+                        ${entry.active ? 'active' : 'inactive'}
+                    </span>
+                </td>
+                <td class="px-6 py-4 whitespace-nowrap text-sm">
+                    ${isYou ? '' : `<button onclick='removeAdmin("${entry.userId}")' 
+                            class="text-red-600 hover:text-red-800">Remove</button>`}
+                </td>
+            </tr>
+        `;
+        }).join('');
+        
+    } catch (error) {
+        console.error('Load admins error:', error);
+        tbody.innerHTML = '<tr><td colspan="4" class="px-6 py-4 text-center text-red-600">Failed to load admins</td></tr>';
+    }
+}
+
+async function setAdminRole(userId, role) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/admin-panel/admins/${userId}`, {
+            method: 'PUT',
+            headers: {
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ role, active: true })
+        });
+        
+        if (!response.ok) {
+            const data = await response.json();
+            alert('Error: ' + (data.message || data.error));
+        }
+        
+    } catch (error) {
+        console.error('Set admin role error:', error);
+        alert('Failed to change admin role');
+    }
+    
+    loadAdmins();
+}
+
+async function addAdmin() {
+    const userId = document.getElementById('newAdminUserId').value.trim();
+    const role = document.getElementById('newAdminRole').value;
+    if (!userId) return;
+    
+    await setAdminRole(userId, role);
+    document.getElementById('newAdminUserId').value = '';
+}
+
+async function removeAdmin(userId) {
+    if (!confirm('Remove this admin? Their app account is kept.')) return;
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/admin-panel/admins/${userId}`, {
+            method: 'DELETE',
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        
+        if (response.ok) {
+            loadAdmins();
+        } else {
+            const data = await response.json();
+            alert('Error: ' + (data.message || data.error));
+        }
+        
+    } catch (error) {
+        console.error('Remove admin error:', error);
+        alert('Failed to remove admin');
+    }
+}
+
+// ==================== AUDIT LOG ====================
+
+let auditCursor = null;
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function auditQuery() {
+    const params = new URLSearchParams();
+    const filters = {
+        actorId: document.getElementById('auditActorId').value.trim(),
+        action: document.getElementById('auditAction').value.trim(),
+        targetType: document.getElementById('auditTargetType').value,
+        targetId: document.getElementById('auditTargetId').value.trim()
+    };
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+    
+    const from = document.getElementById('auditFrom').value;
+    const to = document.getElementById('auditTo').value;
+    if (from) params.set('from', new Date(from).toISOString());
+    if (to) params.set('to', new Date(to).toISOString());
+    
+    return params;
+}
+
+// "field: before → after" for each changed field; whole documents for creations and deletions
+function describeAuditChanges(entry) {
+    const keys = new Set([...Object.keys(entry.before || {}), ...Object.keys(entry.after || {})]);
+    const show = (value) => value === null || value === undefined ? '–' : escapeHtml(JSON.stringify(value));
+    
+    if (keys.size === 0) return '<span class="text-gray-400">No field changes</span>';
+    return [...keys].map(key => `
+        <div><strong>${escapeHtml(key)}:</strong>
+            ${entry.before ? show(entry.before[key]) : ''} ${entry.before && entry.after ? '→' : ''} ${entry.after ? show(entry.after[key]) : ''}
+        </div>
+    `).join('');
+}
+
+async function loadAuditLog(more = false) {
+    const tbody = document.getElementById('auditTableBody');
+    const params = auditQuery();
+    if (more && auditCursor) params.set('cursor', auditCursor);
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/admin-panel/audit?${params}`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            tbody.innerHTML = `<tr><td colspan="6" class="px-6 py-4 text-center text-red-600">${escapeHtml(data.message || data.error)}</td></tr>`;
+            return;
+        }
+        
+        const rows = data.entries.map(entry => `
+            <tr class="hover:bg-gray-50 align-top">
+                <td class="px-6 py-4 whitespace-nowrap text-sm">${entry.createdAt ? new Date(entry.createdAt).toLocaleString() : '-'}</td>
+                <td class="px-6 py-4 whitespace-nowrap text-sm">
+                    <div>${escapeHtml(entry.actorEmail || entry.actorId || '-')}</div>
+                    <div class="text-xs text-gray-500">${escapeHtml(entry.actorRole || '')}</div>
+                </td>
+                <td class="px-6 py-4 whitespace-nowrap text-sm">
+                    <span class="px-2 py-1 text-xs rounded-full bg-purple-100 text-purple-800">${escapeHtml(entry.action)}</span>
+                </td>
+                <td class="px-6 py-4 whitespace-nowrap text-sm">${escapeHtml(entry.targetType)} ${escapeHtml(entry.targetId || '')}</td>
+                <td class="px-6 py-4 text-xs space-y-1 max-w-md break-all">
+                    ${describeAuditChanges(entry)}
+                    ${entry.details ? `<div class="text-gray-500">${escapeHtml(JSON.stringify(entry.details))}</div>` : ''}
+                </td>
+                <td class="px-6 py-4 whitespace-nowrap text-sm">${escapeHtml(entry.ip || '-')}</td>
+            </tr>
+        `).join('');
+        
+        if (more) {
+            tbody.insertAdjacentHTML('beforeend', rows);
+        } else {
+            tbody.innerHTML = rows || '<tr><td colspan="6" class="px-6 py-4 text-center text-gray-500">No audit entries found</td></tr>';
+        }
+        
+        auditCursor = data.nextCursor;
+        document.getElementById('auditLoadMore').classList.toggle('hidden', !auditCursor);
+        
+    } catch (error) {
+        console.error('Load audit log error:', error);
+        tbody.innerHTML = '<tr><td colspan="6" class="px-6 py-4 text-center text-red-600">Failed to load audit log</td></tr>';
+    }
+}
+
+function clearAuditFilters() {
+    ['auditActorId', 'auditAction', 'auditTargetType', 'auditTargetId', 'auditFrom', 'auditTo'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    loadAuditLog();
+}
@@ -29,6 +29,7 @@ document.addEventListener('DOMContentLoaded', () => {
             authToken = await user.getIdToken();
             showAuthenticatedView();
             loadUserProfile();
+            await completeCanvasLink();
             checkCanvasStatus();
         } else {
             currentUser = null;
@@ -40,7 +41,6 @@ document.addEventListener('DOMContentLoaded', () => {
     // Setup form listeners
     document.getElementById('signupForm').addEventListener('submit', handleSignup);
     document.getElementById('loginForm').addEventListener('submit', handleLogin);
-    document.getElementById('canvasForm').addEventListener('submit', handleCanvasLink);
 });
 
 // View management
@@ -79,8 +79,7 @@ async function handleSignup(e) {
                 email,
                 password,
                 phoneNumber,
-                licensePlate,
-                userType: 'STUDENT'
+                licensePlate
             })
         });
         
@@ -90,10 +89,11 @@ async function handleSignup(e) {
             throw new Error(data.error || 'Signup failed');
         }
         
-        // Sign in with the custom token
+        // Sign in with the custom token, then send the verification email
         await auth.signInWithCustomToken(data.customToken);
+        await auth.currentUser.sendEmailVerification();
         
-        statusDiv.innerHTML = `<div class="status success">Account created successfully! Welcome, ${name}!</div>`;
+        statusDiv.innerHTML = `<div class="status success">Account created successfully! Welcome, ${name}! Check ${email} for a link to verify your email address.</div>`;
         
         // Clear form
         document.getElementById('signupForm').reset();
@@ -201,39 +201,72 @@ async function checkCanvasStatus() {
                     </p>
                 </div>
             `;
-            document.getElementById('canvasForm').classList.add('hidden');
+            document.getElementById('canvasLinkBtn').classList.add('hidden');
             document.getElementById('refreshCanvasBtn').classList.remove('hidden');
+            document.getElementById('unlinkCanvasBtn').classList.remove('hidden');
         } else {
             statusDiv.innerHTML = `
                 <div class="status info">
                     Canvas account not linked. Link your account to enable schedule-based matching.
                 </div>
             `;
-            document.getElementById('canvasForm').classList.remove('hidden');
+            document.getElementById('canvasLinkBtn').classList.remove('hidden');
             document.getElementById('refreshCanvasBtn').classList.add('hidden');
+            document.getElementById('unlinkCanvasBtn').classList.add('hidden');
         }
     } catch (error) {
         console.error('Canvas status check error:', error);
     }
 }
 
-async function handleCanvasLink(e) {
-    e.preventDefault();
-    
-    const canvasToken = document.getElementById('canvasToken').value;
+// Send the user to Canvas to approve access; Canvas redirects back here
+// with ?code=...&state=... for completeCanvasLink
+async function linkCanvas() {
     const statusDiv = document.getElementById('canvasLinkStatus');
     
+    try {
+        const response = await fetch(`${API_BASE_URL}/auth/canvas/authorize`, {
+            headers: {
+                'Authorization': `Bearer ${authToken}`
+            }
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to start Canvas sign-in');
+        }
+        
+        window.location.assign(data.authorizationUrl);
+    } catch (error) {
+        console.error('Canvas link error:', error);
+        statusDiv.innerHTML = `<div class="status error">Error: ${error.message}</div>`;
+    }
+}
+
+async function completeCanvasLink() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has('state')) {
+        return;
+    }
+    
+    // Don't resubmit the one-time code on reload
+    window.history.replaceState(null, '', window.location.pathname);
+    
+    const statusDiv = document.getElementById('canvasLinkStatus');
     statusDiv.innerHTML = '<div class="status info">Linking Canvas account and fetching data...</div>';
     
     try {
-        const response = await fetch(`${API_BASE_URL}/auth/canvas-token`, {
+        const response = await fetch(`${API_BASE_URL}/auth/canvas/callback`, {
             method: 'POST',
             headers: {
                 'Authorization': `Bearer ${authToken}`,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                canvasAccessToken: canvasToken
+                code: params.get('code'),
+                state: params.get('state'),
+                error: params.get('error')
             })
         });
         
@@ -254,11 +287,37 @@ async function handleCanvasLink(e) {
                 </p>
             </div>
         `;
+    } catch (error) {
+        console.error('Canvas link error:', error);
+        statusDiv.innerHTML = `<div class="status error">Error: ${error.message}</div>`;
+    }
+}
+
+async function unlinkCanvas() {
+    if (!confirm('Unlink your Canvas account? iTandem will no longer be able to read your Canvas data.')) {
+        return;
+    }
+    
+    const statusDiv = document.getElementById('canvasLinkStatus');
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/auth/canvas-token`, {
+            method: 'DELETE',
+            headers: {
+                'Authorization': `Bearer ${authToken}`
+            }
+        });
         
-        document.getElementById('canvasForm').reset();
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to unlink Canvas account');
+        }
+        
+        statusDiv.innerHTML = '<div class="status success">Canvas account unlinked</div>';
         checkCanvasStatus();
     } catch (error) {
-        console.error('Canvas link error:', error);
+        console.error('Canvas unlink error:', error);
         statusDiv.innerHTML = `<div class="status error">Error: ${error.message}</div>`;
     }
 }
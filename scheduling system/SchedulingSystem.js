@@ -10,7 +10,7 @@
  *   4. Rank potential tandem partners
  * 
  * Usage:
- *   node SchedulingSystem.js <pdf1> <pdf2> [--co-curricular1 HH:MM] [--co-curricular2 HH:MM]
+ *   node SchedulingSystem.js <pdf1> <pdf2> [--co-curricular1 HH:MM] [--co-curricular2 HH:MM] [--term TERM]
  * 
  *   Or from code:
  *     const { compareStudents, compareMultiple } = require("./SchedulingSystem");
@@ -30,16 +30,17 @@ const { minutesToTime } = require("./bellSchedule");
  * @param {string} pdfPathB - path to student B's schedule PDF
  * @param {Object} [optionsA] - options for student A (e.g. { coCurricularEndTime: "17:30" })
  * @param {Object} [optionsB] - options for student B
+ * @param {Object} [compareOptions] - passed to computeCompatibility() (e.g. { term: "S2" })
  * @returns {Promise<Object>} compatibility result
  */
-async function compareStudents(pdfPathA, pdfPathB, optionsA = {}, optionsB = {}) {
+async function compareStudents(pdfPathA, pdfPathB, optionsA = {}, optionsB = {}, compareOptions = {}) {
   const parsedA = await parsePDF(pdfPathA);
   const parsedB = await parsePDF(pdfPathB);
 
   const scheduleA = buildSchedule(parsedA, optionsA);
   const scheduleB = buildSchedule(parsedB, optionsB);
 
-  const result = computeCompatibility(scheduleA, scheduleB);
+  const result = computeCompatibility(scheduleA, scheduleB, compareOptions);
 
   return {
     result,
@@ -84,7 +85,7 @@ async function compareMultiple(students) {
  * Parse command-line arguments.
  * 
  * Usage:
- *   node SchedulingSystem.js <pdf1> <pdf2> [--co-curricular1 HH:MM] [--co-curricular2 HH:MM] [--verbose]
+ *   node SchedulingSystem.js <pdf1> <pdf2> [--co-curricular1 HH:MM] [--co-curricular2 HH:MM] [--term TERM] [--verbose]
  */
 function parseCLIArgs() {
   const args = process.argv.slice(2);
@@ -95,6 +96,7 @@ function parseCLIArgs() {
     console.log("Options:");
     console.log("  --co-curricular1 HH:MM   Co-curricular end time for student 1");
     console.log("  --co-curricular2 HH:MM   Co-curricular end time for student 2");
+    console.log("  --term TERM               Score one term (S2-T3, S2, T1, ...) or the worst one (worst)");
     console.log("  --verbose                 Show detailed per-day breakdown");
     console.log("  --schedules               Show full schedule for each student");
     console.log("");
@@ -105,6 +107,7 @@ function parseCLIArgs() {
 
   const pdfPaths = [args[0], args[1]];
   const options = [{}, {}];
+  const compareOptions = {};
   let verbose = false;
   let showSchedules = false;
 
@@ -113,6 +116,8 @@ function parseCLIArgs() {
       options[0].coCurricularEndTime = args[++i];
     } else if (args[i] === "--co-curricular2" && args[i + 1]) {
       options[1].coCurricularEndTime = args[++i];
+    } else if (args[i] === "--term" && args[i + 1]) {
+      compareOptions.term = args[++i];
     } else if (args[i] === "--verbose") {
       verbose = true;
     } else if (args[i] === "--schedules") {
@@ -120,14 +125,14 @@ function parseCLIArgs() {
     }
   }
 
-  return { pdfPaths, options, verbose, showSchedules };
+  return { pdfPaths, options, compareOptions, verbose, showSchedules };
 }
 
 /**
  * Run the CLI.
  */
 async function main() {
-  const { pdfPaths, options, verbose, showSchedules } = parseCLIArgs();
+  const { pdfPaths, options, compareOptions, verbose, showSchedules } = parseCLIArgs();
 
   console.log("iTandem Scheduling Compatibility System");
   console.log("─".repeat(40));
@@ -140,7 +145,8 @@ async function main() {
       pdfPaths[0],
       pdfPaths[1],
       options[0],
-      options[1]
+      options[1],
+      compareOptions
     );
 
     if (showSchedules) {
@@ -161,6 +167,7 @@ async function main() {
         console.log(`Score: 0/100`);
       } else {
         console.log(`Compatibility Score: ${result.finalScore}/100`);
+        if (result.term) console.log(`Term: ${result.term}`);
         console.log();
         console.log("Per-Day Breakdown:");
         for (let day = 1; day <= 6; day++) {
@@ -0,0 +1,231 @@
+/**
+ * alternateBellSchedules.js
+ *
+ * Named alternate bell schedules (late start, assembly, finals...) and the
+ * dates they apply to.
+ *
+ * BELL_SCHEDULE in bellSchedule.js is the regular schedule for each rotation
+ * day. On a late-start, assembly or exam day the slot times are different,
+ * so arrival and departure times built from BELL_SCHEDULE would be wrong.
+ * The deans' office publishes the alternates once a year as JSON:
+ *
+ *   {
+ *     "schoolYear": "2025-2026",
+ *     "schedules": [
+ *       {
+ *         "id": "late-start",
+ *         "name": "Late Start",
+ *         "days": {                      // per rotation day (any subset of 1-6)
+ *           "1": [{ "slot": "Block 1", "block": 1, "type": "block", "start": "9:00", "end": "10:05" }, ...]
+ *         }
+ *       },
+ *       {
+ *         "id": "finals",
+ *         "name": "Finals",
+ *         "slots": [...]                 // same slots whatever the rotation day
+ *       }
+ *     ],
+ *     "dates": [
+ *       { "date": "2025-10-15", "schedule": "late-start" },
+ *       { "date": "2026-06-01", "schedule": "finals" }
+ *     ]
+ *   }
+ *
+ * Slots use the same fields and types as BELL_SCHEDULE. In a per-day
+ * ("days") schedule, a student is in a block slot if they have that block
+ * on that rotation day, as usual. In a rotation-independent ("slots")
+ * schedule such as finals, they are in it if they take a course in that
+ * block on any day.
+ */
+
+const { BELL_SCHEDULE, timeToMinutes } = require("./bellSchedule");
+
+// ── Constants ───────────────────────────────────────────────────────────────
+
+const SLOT_TYPES = ["block", "seminar", "lunch", "break", "ds", "collab", "office_hours", "community"];
+const TIME_REGEX = /^\d{1,2}:\d{2}$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const ID_REGEX = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Key used for a rotation-independent schedule's single day
+const ANY_DAY = "any";
+
+// ── Loading ─────────────────────────────────────────────────────────────────
+
+/**
+ * Validate one slot and add its minute values.
+ * @param {Object} slot
+ * @param {string} where - location for error messages
+ * @returns {Object} slot with startMin / endMin
+ */
+function loadSlot(slot, where) {
+  if (!slot || typeof slot.slot !== "string" || !slot.slot) {
+    throw new Error(`${where}: slot needs a name`);
+  }
+  if (!SLOT_TYPES.includes(slot.type)) {
+    throw new Error(`${where} (${slot.slot}): type must be one of ${SLOT_TYPES.join(", ")}`);
+  }
+  if (!TIME_REGEX.test(slot.start) || !TIME_REGEX.test(slot.end)) {
+    throw new Error(`${where} (${slot.slot}): start and end must be H:MM times`);
+  }
+
+  const block = slot.block ?? null;
+  if (slot.type === "block" && !(Number.isInteger(block) && block >= 1 && block <= 7)) {
+    throw new Error(`${where} (${slot.slot}): block slots need a block number 1-7`);
+  }
+
+  const startMin = timeToMinutes(slot.start);
+  const endMin = timeToMinutes(slot.end);
+  if (endMin <= startMin) {
+    throw new Error(`${where} (${slot.slot}): ends before it starts`);
+  }
+
+  return { slot: slot.slot, block, type: slot.type, start: slot.start, end: slot.end, startMin, endMin };
+}
+
+/**
+ * Validate a list of slots, returning them in time order.
+ * @param {Array<Object>} slots
+ * @param {string} where - location for error messages
+ * @returns {Array<Object>}
+ */
+function loadSlots(slots, where) {
+  if (!Array.isArray(slots) || slots.length === 0) {
+    throw new Error(`${where}: needs at least one slot`);
+  }
+  const loaded = slots.map((slot) => loadSlot(slot, where)).sort((a, b) => a.startMin - b.startMin);
+  for (let i = 1; i < loaded.length; i++) {
+    if (loaded[i].startMin < loaded[i - 1].endMin) {
+      throw new Error(`${where}: ${loaded[i - 1].slot} and ${loaded[i].slot} overlap`);
+    }
+  }
+  return loaded;
+}
+
+/**
+ * Validate the published JSON and index it for lookups.
+ *
+ * @param {Object|string} json - the published document (object or JSON text)
+ * @returns {Object} { schoolYear, schedules: { id: { id, name, days } }, dates: { "YYYY-MM-DD": id } }
+ *   where `days` is keyed by rotation day, or by ANY_DAY for a
+ *   rotation-independent schedule
+ */
+function loadAlternateSchedules(json) {
+  const doc = typeof json === "string" ? JSON.parse(json) : json;
+  if (!doc || !Array.isArray(doc.schedules)) {
+    throw new Error("Alternate bell schedules need a schedules array");
+  }
+
+  const schedules = {};
+  for (const schedule of doc.schedules) {
+    const id = schedule && schedule.id;
+    if (typeof id !== "string" || !ID_REGEX.test(id)) {
+      throw new Error(`Schedule id must be lowercase letters, digits, - or _ (got ${id})`);
+    }
+    if (schedules[id]) {
+      throw new Error(`Schedule ${id} is defined twice`);
+    }
+    if (!schedule.name) {
+      throw new Error(`Schedule ${id} needs a name`);
+    }
+    if (!!schedule.days === !!schedule.slots) {
+      throw new Error(`Schedule ${id} needs either days or slots`);
+    }
+
+    const days = {};
+    if (schedule.slots) {
+      days[ANY_DAY] = loadSlots(schedule.slots, `Schedule ${id}`);
+    } else {
+      for (const [day, slots] of Object.entries(schedule.days)) {
+        if (!BELL_SCHEDULE[day]) {
+          throw new Error(`Schedule ${id}: ${day} is not a rotation day`);
+        }
+        days[day] = loadSlots(slots, `Schedule ${id} day ${day}`);
+      }
+    }
+
+    schedules[id] = { id, name: schedule.name, days };
+  }
+
+  const dates = {};
+  for (const entry of doc.dates || []) {
+    if (!entry || !DATE_REGEX.test(entry.date)) {
+      throw new Error(`Alternate schedule dates must be YYYY-MM-DD (got ${entry && entry.date})`);
+    }
+    if (!schedules[entry.schedule]) {
+      throw new Error(`${entry.date} uses unknown schedule ${entry.schedule}`);
+    }
+    if (dates[entry.date]) {
+      throw new Error(`${entry.date} has more than one schedule`);
+    }
+    dates[entry.date] = entry.schedule;
+  }
+
+  return { schoolYear: doc.schoolYear || null, schedules, dates };
+}
+
+// ── Lookups ─────────────────────────────────────────────────────────────────
+
+/**
+ * Bell slots for a rotation day under an alternate schedule.
+ *
+ * @param {Object} schedule - one entry of loadAlternateSchedules().schedules
+ * @param {number|null} rotationDay - 1-6, or null for an off-rotation day
+ * @returns {Array<Object>|null} slots, or null if the schedule doesn't
+ *   cover that day (use the regular BELL_SCHEDULE instead)
+ */
+function alternateSlotsFor(schedule, rotationDay) {
+  if (schedule.days[ANY_DAY]) return schedule.days[ANY_DAY];
+  return rotationDay !== null ? schedule.days[rotationDay] || null : null;
+}
+
+/**
+ * Which kinds of day make up a school year, and how often each occurs.
+ * The compatibility scorer uses this to weight regular and alternate days
+ * by how often they really happen.
+ *
+ * @param {Object} calendar - output of rotationCalendar.buildCalendar()
+ * @param {Object|null} alternates - output of loadAlternateSchedules()
+ * @returns {Array<{ rotationDay: number|null, bellSchedule: string|null, count: number }>}
+ *   Off-rotation days are only counted if a rotation-independent
+ *   schedule (e.g. finals) covers them.
+ */
+function buildDayMix(calendar, alternates) {
+  const counts = new Map();
+
+  for (const day of Object.values(calendar.days)) {
+    if (!day.schoolDay) continue;
+
+    let bellSchedule = alternates ? alternates.dates[day.date] || null : null;
+    let rotationDay = day.rotationDay;
+
+    if (bellSchedule) {
+      const schedule = alternates.schedules[bellSchedule];
+      if (schedule.days[ANY_DAY]) {
+        rotationDay = null;
+      } else if (!alternateSlotsFor(schedule, rotationDay)) {
+        bellSchedule = null;
+      }
+    }
+    if (rotationDay === null && !bellSchedule) continue;
+
+    const key = `${rotationDay}:${bellSchedule}`;
+    const entry = counts.get(key) || { rotationDay, bellSchedule, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  }
+
+  return [...counts.values()].sort((a, b) =>
+    (a.rotationDay ?? 7) - (b.rotationDay ?? 7) ||
+    String(a.bellSchedule).localeCompare(String(b.bellSchedule))
+  );
+}
+
+// ── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  ANY_DAY,
+  loadAlternateSchedules,
+  alternateSlotsFor,
+  buildDayMix,
+};
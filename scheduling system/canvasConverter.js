@@ -0,0 +1,279 @@
+/**
+ * canvasConverter.js
+ *
+ * Derives a student's rotation schedule from their Canvas enrollments, for
+ * students who linked Canvas but have no schedule PDF. The result has the
+ * same shape as pdfParser.parsePDF(), so scheduleBuilder.buildSchedule()
+ * and the compatibility algorithm work on it unchanged.
+ *
+ * Canvas has no notion of HW blocks, so each course's block is inferred
+ * from the names of its sections (and the course itself):
+ *   - a schedule pattern ("x.6.x.6.x.6") or "Block 6" / "Period 6" in a
+ *     section name                                      → high confidence
+ *   - "Block 6" in the course name, or a directed study, senior seminar
+ *     or varsity/JV team recognised by name             → medium confidence
+ *   - a bare number that is probably the block ("English IV (6)") or the
+ *     last digit of the SIS section id                  → low confidence
+ *
+ * Low-confidence courses are still placed in their guessed block, but are
+ * listed in `unconfirmed` along with the courses no block could be found
+ * for, so the student can confirm or correct them. Their answers are
+ * passed back in as `options.confirmations`.
+ */
+
+const { BELL_SCHEDULE } = require("./bellSchedule");
+const { parseSchedulePattern, CONFIDENCE: PARSER_CONFIDENCE } = require("./pdfParser");
+const { termsOverlap } = require("./terms");
+
+// ── Constants ───────────────────────────────────────────────────────────────
+
+// The parser's levels, plus courses the student confirmed
+const CONFIDENCE = {
+  CONFIRMED: "confirmed",
+  ...PARSER_CONFIDENCE,
+};
+
+// Values a student can confirm a course as: a block, a special slot, or
+// null for a Canvas course that isn't a class (advising, clubs, ...)
+const SPECIAL_BLOCKS = ["CC", "DS", "M12"];
+
+const PATTERN_REGEX = /\b(?:(?:x|[1-7]|CC|DS|M12)\.){5}(?:x|[1-7]|CC|DS|M12)\b/i;
+const NAMED_BLOCK_REGEX = /\b(?:block|blk|period|per)\.?\s*#?\s*([1-7])\b/i;
+const BARE_BLOCK_REGEX = /(?:\(([1-7])\)|[-–]\s*([1-7]))\s*$/;
+const SIS_BLOCK_REGEX = /[-_.]([1-7])$/;
+
+const DIRECTED_STUDY_REGEX = /\bdirected stud(?:y|ies)\b/i;
+const SENIOR_SEMINAR_REGEX = /\bsenior seminar\b/i;
+const CO_CURRICULAR_REGEX = /\b(?:varsity|jv|co-?curricular)\b/i;
+
+// Course codes look like "2745-FY-B"; Canvas may have them as the course
+// code or the SIS course id
+const COURSE_CODE_REGEX = /^\d{4}-[A-Z0-9]+-[A-Z]/;
+
+// ── Patterns ────────────────────────────────────────────────────────────────
+
+/**
+ * Build the schedule pattern for a block from the bell schedule.
+ *
+ * @param {number|string} block - 1-7, "CC", "DS" or "M12"
+ * @returns {string} e.g. "x.6.x.6.x.6" for block 6
+ */
+function patternForBlock(block) {
+  const parts = [];
+  for (let day = 1; day <= 6; day++) {
+    const slots = BELL_SCHEDULE[day];
+    let meets;
+    if (block === "CC") meets = true;
+    else if (block === "DS") meets = slots.some((s) => s.type === "ds");
+    else if (block === "M12") meets = slots.some((s) => s.slot.startsWith("Senior Seminar"));
+    else meets = slots.some((s) => s.block === block);
+    parts.push(meets ? String(block) : "x");
+  }
+  return parts.join(".");
+}
+
+// ── Block Inference ─────────────────────────────────────────────────────────
+
+/**
+ * Infer which block a Canvas course meets in.
+ *
+ * @param {Object} course - Canvas course (with `sections` when requested
+ *   with include[]=sections)
+ * @param {Array<Object>} [enrollments] - the student's enrollments in it
+ * @returns {{ block: number|string|null, pattern: string|null,
+ *   confidence: string|null, reason: string }}
+ */
+function inferBlock(course, enrollments = []) {
+  const sectionIds = new Set(enrollments.map((e) => e.course_section_id).filter(Boolean));
+  const allSections = course.sections || [];
+  const ownSections = allSections.filter((s) => sectionIds.has(s.id));
+  const sections = ownSections.length > 0 ? ownSections : allSections;
+  const sectionNames = sections.map((s) => s.name).filter(Boolean);
+  const courseName = course.name || "";
+
+  for (const name of sectionNames) {
+    const pattern = name.match(PATTERN_REGEX);
+    if (pattern) {
+      return found(pattern[0], CONFIDENCE.HIGH, `section "${name}" has the schedule pattern`);
+    }
+  }
+  for (const name of sectionNames) {
+    const named = name.match(NAMED_BLOCK_REGEX);
+    if (named) {
+      return found(parseInt(named[1], 10), CONFIDENCE.HIGH, `section "${name}"`);
+    }
+  }
+
+  const namedCourse = courseName.match(NAMED_BLOCK_REGEX);
+  if (namedCourse) {
+    return found(parseInt(namedCourse[1], 10), CONFIDENCE.MEDIUM, `course name "${courseName}"`);
+  }
+  if (DIRECTED_STUDY_REGEX.test(courseName)) {
+    return found("DS", CONFIDENCE.MEDIUM, "named as a directed study");
+  }
+  if (SENIOR_SEMINAR_REGEX.test(courseName)) {
+    return found("M12", CONFIDENCE.MEDIUM, "named as the senior seminar");
+  }
+  if (CO_CURRICULAR_REGEX.test(courseName)) {
+    return found("CC", CONFIDENCE.MEDIUM, "named as a team");
+  }
+
+  for (const name of [...sectionNames, courseName]) {
+    const bare = name.match(BARE_BLOCK_REGEX);
+    if (bare) {
+      return found(parseInt(bare[1] || bare[2], 10), CONFIDENCE.LOW, `number at the end of "${name}"`);
+    }
+  }
+  for (const enrollment of enrollments) {
+    const sis = (enrollment.sis_section_id || "").match(SIS_BLOCK_REGEX);
+    if (sis) {
+      return found(parseInt(sis[1], 10), CONFIDENCE.LOW, `SIS section "${enrollment.sis_section_id}"`);
+    }
+  }
+
+  return { block: null, pattern: null, confidence: null, reason: "no block in the course or section names" };
+}
+
+function found(blockOrPattern, confidence, reason) {
+  const pattern = typeof blockOrPattern === "string" && blockOrPattern.includes(".")
+    ? blockOrPattern
+    : patternForBlock(blockOrPattern);
+  const block = pattern.split(".").find((part) => part.toLowerCase() !== "x") || null;
+  return {
+    block: /^\d+$/.test(block) ? parseInt(block, 10) : block && block.toUpperCase(),
+    pattern,
+    confidence,
+    reason,
+  };
+}
+
+/**
+ * The course code for a Canvas course: its course code or SIS course id
+ * when either looks like an HW code, otherwise whatever Canvas has.
+ */
+function courseCodeOf(course) {
+  const candidates = [course.course_code, course.sis_course_id].filter(Boolean);
+  return candidates.find((c) => COURSE_CODE_REGEX.test(c)) || candidates[0] || null;
+}
+
+// ── Main Convert Function ───────────────────────────────────────────────────
+
+/**
+ * Convert a student's Canvas data into a parsed student schedule.
+ *
+ * @param {Object} canvasData - cached Canvas data: `profile`, `courses`
+ *   (with `sections`) and `enrollments`
+ * @param {Object} [options]
+ * @param {number|null} [options.grade] - the student's grade; Canvas doesn't know it
+ * @param {Object<string, number|string|null>} [options.confirmations] - the
+ *   student's answers by Canvas course id: a block 1-7, "CC", "DS", "M12",
+ *   or null for a course that isn't a class
+ * @returns {Object} same shape as pdfParser.parsePDF(), plus `unconfirmed`
+ *   (courses for the student to confirm) and `source: "canvas"`. Each
+ *   course also has `canvasCourseId`, `confidence` and `reason`.
+ */
+function convertCanvasSchedule(canvasData, options = {}) {
+  const { grade = null, confirmations = {} } = options;
+  const profile = canvasData.profile || {};
+  const enrollments = canvasData.enrollments || [];
+  const warnings = [];
+  const unconfirmed = [];
+  const allCourses = [];
+
+  for (const canvasCourse of canvasData.courses || []) {
+    const id = String(canvasCourse.id);
+    const code = courseCodeOf(canvasCourse);
+    const title = canvasCourse.name || code || `Canvas course ${id}`;
+
+    let inferred;
+    if (Object.prototype.hasOwnProperty.call(confirmations, id)) {
+      if (confirmations[id] === null) continue; // not a class
+      inferred = found(confirmations[id], CONFIDENCE.CONFIRMED, "confirmed by the student");
+    } else {
+      inferred = inferBlock(canvasCourse, enrollments.filter((e) => String(e.course_id) === id));
+    }
+
+    if (!inferred.block) {
+      unconfirmed.push({ canvasCourseId: id, code, title, block: null, confidence: null, reason: inferred.reason });
+      continue;
+    }
+
+    const { dayAssignments, type } = parseSchedulePattern(inferred.pattern);
+    allCourses.push({
+      code,
+      title,
+      room: null,
+      pattern: inferred.pattern,
+      block: inferred.block,
+      type,
+      dayAssignments,
+      teacher: null,
+      canvasCourseId: id,
+      confidence: inferred.confidence,
+      reason: inferred.reason,
+    });
+  }
+
+  // Two academic classes can't share a block in the same term, so at
+  // least one of them was guessed wrong
+  const academic = allCourses.filter((c) => c.type === "academic");
+  for (const course of academic) {
+    if (course.confidence === CONFIDENCE.CONFIRMED) continue;
+    const clash = academic.find((other) => other !== course && other.block === course.block &&
+      termsOverlap(other.code, course.code));
+    if (clash) {
+      course.confidence = CONFIDENCE.LOW;
+      course.reason = `${course.reason}; shares block ${course.block} with ${clash.title}`;
+    }
+  }
+
+  for (const course of allCourses) {
+    if (course.confidence === CONFIDENCE.LOW) {
+      unconfirmed.push({
+        canvasCourseId: course.canvasCourseId,
+        code: course.code,
+        title: course.title,
+        block: course.block,
+        confidence: course.confidence,
+        reason: course.reason,
+      });
+    }
+  }
+
+  const guessed = unconfirmed.filter((c) => c.block !== null).length;
+  const unmapped = unconfirmed.length - guessed;
+  if (guessed > 0) {
+    warnings.push(`${guessed} Canvas course(s) were placed in a guessed block; please confirm them`);
+  }
+  if (unmapped > 0) {
+    warnings.push(`${unmapped} Canvas course(s) have no block and were left out; please confirm them`);
+  }
+
+  const courses = allCourses.filter((c) => c.type === "academic");
+  if (courses.length === 0) {
+    warnings.push("No academic courses were found; every day will look free");
+  }
+
+  return {
+    name: profile.name || null,
+    grade,
+    courses,
+    coCurriculars: allCourses.filter((c) => c.type === "co-curricular"),
+    directedStudies: allCourses.filter((c) => c.type === "directed_study"),
+    seminars: allCourses.filter((c) => c.type === "seminar"),
+    allCourses,
+    warnings,
+    unconfirmed,
+    source: "canvas",
+  };
+}
+
+// ── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  CONFIDENCE,
+  SPECIAL_BLOCKS,
+  convertCanvasSchedule,
+  inferBlock,
+  patternForBlock,
+};
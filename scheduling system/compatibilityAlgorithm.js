@@ -16,9 +16,23 @@
  *   - Average the per-day scores across all 6 days (out of 90)
  *   - Add the grade level score (out of 10) once
  *   - Final score: 0 - 100
+ *
+ * Alternate bell schedules:
+ *   - By default each rotation day counts once, on its regular bell schedule
+ *   - With `options.dayMix` (alternateBellSchedules.buildDayMix()), each kind
+ *     of day is weighted by how often it occurs in the school year, and
+ *     late-start / assembly / finals days are scored on their own times
+ *
+ * Terms:
+ *   - By default the schedules are scored with all of each student's courses
+ *   - With `options.term`, they are scored as they are during that period
+ *     of the school year (terms.js), or during each period of a semester,
+ *     trimester or the whole year ("worst"), reporting the worst of them
  */
 
 const { overlapMinutes } = require("./bellSchedule");
+const { ANY_DAY } = require("./alternateBellSchedules");
+const { periodsFor, scheduleForTerm } = require("./terms");
 
 // ── Weight Configuration ────────────────────────────────────────────────────
 
@@ -276,6 +290,65 @@ function scoreExtracurriculars(dayA, dayB) {
   };
 }
 
+// ── Day Selection ───────────────────────────────────────────────────────────
+
+/**
+ * List the days to score for a pair of students.
+ *
+ * Without a day mix, that's rotation days 1-6 once each. With one, each
+ * entry is scored on its alternate bell schedule when both students'
+ * schedules were built with it; otherwise it falls back to the regular
+ * day (or is skipped, for an off-rotation day).
+ *
+ * @param {Object} scheduleA - built schedule for student A
+ * @param {Object} scheduleB - built schedule for student B
+ * @param {Array|undefined} dayMix - output of buildDayMix()
+ * @returns {Array<{ key: string, dayA: Object, dayB: Object, count: number }>}
+ */
+function daysToScore(scheduleA, scheduleB, dayMix) {
+  if (!dayMix || dayMix.length === 0) {
+    const days = [];
+    for (let day = 1; day <= 6; day++) {
+      days.push({ key: String(day), dayA: scheduleA.days[day], dayB: scheduleB.days[day], count: 1 });
+    }
+    return days;
+  }
+
+  const byKey = new Map();
+  for (const { rotationDay, bellSchedule, count } of dayMix) {
+    let key = rotationDay === null ? null : String(rotationDay);
+    let dayA = rotationDay === null ? null : scheduleA.days[rotationDay];
+    let dayB = rotationDay === null ? null : scheduleB.days[rotationDay];
+
+    const altA = bellSchedule && alternateDay(scheduleA, bellSchedule, rotationDay);
+    const altB = bellSchedule && alternateDay(scheduleB, bellSchedule, rotationDay);
+    if (altA && altB) {
+      key = `${rotationDay ?? ANY_DAY}:${bellSchedule}`;
+      dayA = altA;
+      dayB = altB;
+    }
+    if (!dayA || !dayB) continue;
+
+    const entry = byKey.get(key) || { key, dayA, dayB, count: 0 };
+    entry.count += count;
+    byKey.set(key, entry);
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * A student's presence on a day under an alternate bell schedule.
+ * @param {Object} schedule - built schedule
+ * @param {string} bellSchedule - alternate schedule id
+ * @param {number|null} rotationDay
+ * @returns {Object|null} day presence, or null if the schedule wasn't built with it
+ */
+function alternateDay(schedule, bellSchedule, rotationDay) {
+  const alternate = schedule.alternates && schedule.alternates[bellSchedule];
+  if (!alternate) return null;
+  return alternate.days[ANY_DAY] || (rotationDay !== null && alternate.days[rotationDay]) || null;
+}
+
 // ── Main Compatibility Function ─────────────────────────────────────────────
 
 /**
@@ -290,9 +363,46 @@ function scoreExtracurriculars(dayA, dayB) {
  * 
  * @param {Object} scheduleA - built schedule for student A (from scheduleBuilder)
  * @param {Object} scheduleB - built schedule for student B
+ * @param {Object} [options]
+ * @param {Array} [options.dayMix] - weight days by how often they occur
+ *   (alternateBellSchedules.buildDayMix()). dayScores are then keyed by
+ *   rotation day, or "day:scheduleId" ("any:scheduleId") for alternate
+ *   days, and each carries its `count`.
+ * @param {string} [options.term] - score one period of the year ("S2-T3"),
+ *   or the worst period of a semester or trimester ("S2", "T1") or of the
+ *   whole year ("worst"). The result is that period's, plus `term` (the
+ *   period scored) and `termScores` (final score of each period tried).
+ * @returns {Object} compatibility result with scores and breakdown
+ */
+function computeCompatibility(scheduleA, scheduleB, options = {}) {
+  if (!options.term) return scoreSchedules(scheduleA, scheduleB, options);
+
+  let worst = null;
+  const termScores = {};
+  for (const period of periodsFor(options.term)) {
+    const result = scoreSchedules(
+      scheduleForTerm(scheduleA, period.id),
+      scheduleForTerm(scheduleB, period.id),
+      options
+    );
+    termScores[period.id] = result.finalScore;
+    if (!worst || result.finalScore < worst.finalScore) {
+      worst = { ...result, term: period.id };
+    }
+  }
+
+  return { ...worst, termScores };
+}
+
+/**
+ * Score two schedules as they are (see computeCompatibility()).
+ * 
+ * @param {Object} scheduleA - built schedule for student A
+ * @param {Object} scheduleB - built schedule for student B
+ * @param {Object} options - see computeCompatibility()
  * @returns {Object} compatibility result with scores and breakdown
  */
-function computeCompatibility(scheduleA, scheduleB) {
+function scoreSchedules(scheduleA, scheduleB, options) {
   // Step 1: Grade level check
   const gradeResult = scoreGradeLevel(scheduleA.grade, scheduleB.grade);
 
@@ -312,11 +422,9 @@ function computeCompatibility(scheduleA, scheduleB) {
   // Step 2: Compute per-day scores
   const dayScores = {};
   let dayTotal = 0;
+  let dayCount = 0;
 
-  for (let day = 1; day <= 6; day++) {
-    const dayA = scheduleA.days[day];
-    const dayB = scheduleB.days[day];
-
+  for (const { key, dayA, dayB, count } of daysToScore(scheduleA, scheduleB, options.dayMix)) {
     const overlap = scoreScheduleOverlap(dayA, dayB);
     const arrivalDept = scoreArrivalDeparture(dayA, dayB);
     const lunch = scoreLunchSchedule(dayA, dayB);
@@ -324,19 +432,21 @@ function computeCompatibility(scheduleA, scheduleB) {
 
     const dayScore = overlap.score + arrivalDept.score + lunch.score + extracurricular.score;
 
-    dayScores[day] = {
+    dayScores[key] = {
       total: Math.round(dayScore * 100) / 100,
       overlap,
       arrivalDeparture: arrivalDept,
       lunch,
       extracurricular,
     };
+    if (options.dayMix) dayScores[key].count = count;
 
-    dayTotal += dayScore;
+    dayTotal += dayScore * count;
+    dayCount += count;
   }
 
   // Step 3: Average per-day scores (out of 90)
-  const dayAverage = dayTotal / 6;
+  const dayAverage = dayCount > 0 ? dayTotal / dayCount : 0;
 
   // Step 4: Final score = day average + grade level (out of 100)
   const finalScore = dayAverage + gradeResult.score;
@@ -357,16 +467,17 @@ function computeCompatibility(scheduleA, scheduleB) {
  * 
  * @param {Object} targetSchedule - built schedule for the target student
  * @param {Object[]} allSchedules - array of built schedules for all other students
+ * @param {Object} [options] - passed to computeCompatibility() (e.g. dayMix)
  * @returns {Object[]} ranked list of partners with scores, highest first
  */
-function rankPartners(targetSchedule, allSchedules) {
+function rankPartners(targetSchedule, allSchedules, options = {}) {
   const results = [];
 
   for (const otherSchedule of allSchedules) {
     // Skip self-comparison
     if (otherSchedule.name === targetSchedule.name) continue;
 
-    const result = computeCompatibility(targetSchedule, otherSchedule);
+    const result = computeCompatibility(targetSchedule, otherSchedule, options);
     results.push(result);
   }
 
@@ -395,13 +506,17 @@ function printCompatibility(result) {
   }
 
   console.log(`  Final Score: ${result.finalScore}/100`);
+  if (result.term) {
+    const others = Object.entries(result.termScores).map(([term, score]) => `${term} ${score}`);
+    console.log(`  Term: ${result.term} (worst of ${others.join(", ")})`);
+  }
   console.log(`  Grade Level: ${result.gradeScore.score}/${WEIGHTS.gradeLevel}`);
   console.log(`  Day Average (4 factors): ${result.dayAverage}/90`);
   console.log();
 
-  for (let day = 1; day <= 6; day++) {
-    const d = result.dayScores[day];
-    console.log(`  Day ${day}: ${d.total}/90`);
+  for (const [day, d] of Object.entries(result.dayScores)) {
+    const times = d.count ? ` (x${d.count})` : "";
+    console.log(`  Day ${day}${times}: ${d.total}/90`);
     console.log(`    Schedule Overlap:   ${d.overlap.score}/${WEIGHTS.scheduleOverlap} - ${d.overlap.detail}`);
     console.log(`    Arrival/Departure:  ${d.arrivalDeparture.score}/${WEIGHTS.arrivalDeparture} - ${d.arrivalDeparture.detail}`);
     console.log(`    Lunch:              ${d.lunch.score}/${WEIGHTS.lunchSchedule} - ${d.lunch.detail}`);
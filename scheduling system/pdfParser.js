@@ -7,6 +7,18 @@
  * Uses the course table at the top of the PDF (the structured rows with
  * course codes, rooms, and schedule patterns like "x.6.x.6.x.6"),
  * NOT the rendered grid below it.
+ * 
+ * The parser is tolerant of small format variations (new room codes,
+ * titles wrapped over several lines, tabs, spaced-out patterns, labeled
+ * headers, page breaks inside the table) and says how sure it is:
+ *   - every course has a `confidence` ("high", "medium" or "low") and the
+ *     number of the line it starts on
+ *   - the result has an overall `confidence` and `diagnostics`, one entry
+ *     per thing it noticed, each tied to a line of the extracted text
+ * 
+ * Anything that could make the schedule wrong is also reported in
+ * `warnings`, so a student can check (and re-upload) a schedule that
+ * didn't parse cleanly.
  */
 
 const fs = require("fs");
@@ -15,23 +27,147 @@ const { PDFParse } = require("pdf-parse");
 // ── Pattern Constants ───────────────────────────────────────────────────────
 
 // Matches HW course codes like "2745-FY-B", "8720-T1-A", "9012-FY-I"
-const COURSE_CODE_REGEX = /^\d{4}-[A-Z0-9]+-[A-Z]/;
+// (also with spaces around the hyphens, which are normalized away)
+const COURSE_CODE_REGEX = /^(\d{4})\s*-\s*([A-Z0-9]{1,3})\s*-\s*([A-Z0-9]{1,2})(?=\s|$)/;
 
 // Matches schedule patterns like "x.6.x.6.x.6", "CC.CC.CC.CC.CC.CC", "DS.x.x.x.DS.x", "x.x.x.M12.x.x"
-const SCHEDULE_PATTERN_REGEX = /(?:[x\dA-Z]+\.){5}[x\dA-Z]+/i;
+// (also with spaces around the dots)
+const SCHEDULE_PATTERN_REGEX = /(?:^|\s)((?:[x\dA-Z]+\s*\.\s*){5}[x\dA-Z]+)(?=\s|$)/i;
+
+// Matches room codes like "RG211", "CH306", "SV112", "MG100", "FH202", "ML100", "BH-104"
+const ROOM_REGEX = /^[A-Z]{1,5}-?\d{1,4}[A-Z]?$/;
+
+// Rooms without a number
+const NAMED_ROOMS = ["TPSC", "CFP", "TPGYM"];
+
+// Any other all-caps word right before the pattern is probably a room we
+// don't know yet ("POOL", "STUDIO"), unless it's a Roman numeral ending the title
+const ROOM_LIKE_REGEX = /^[A-Z][A-Z0-9-]{2,7}$/;
+const ROMAN_NUMERAL_REGEX = /^(?=[IVX])X{0,3}(?:IX|IV|V?I{0,3})$/;
+
+// Student header, e.g. "211-563 2/6/2026	12	YOU, NATHAN Grade:	Student:"
+// (the values come before their labels in the extracted text)
+const HEADER_REGEX = /\d{3}-\d{3}\s+\d{1,2}\/\d{1,2}\/\d{2,4}\s+(\d{1,2})\s+([A-Z][A-Z .,'-]*?)\s*Grade:/;
+
+// Headers with each label before its value, in either order
+const LABELED_HEADER_REGEXES = [
+  /Student:\s*(?<name>[A-Z][A-Za-z .,'-]*?)\s+Grade:\s*(?<grade>\d{1,2})\b/,
+  /Grade:\s*(?<grade>\d{1,2})\s+Student:\s*(?<name>[A-Z][A-Za-z .,'-]*[A-Za-z.])/,
+];
+
+// Last resort: a grade and an all-caps name before "Grade:"
+const LOOSE_HEADER_REGEX = /(\d{1,2})\s+([A-Z][A-Z, '-]+?)\s*Grade:/;
+
+// The header is near the top of the first page
+const HEADER_SEARCH_LINES = 10;
+
+// Course table boundaries
+const TABLE_HEADER = "Course Title Room Schedule Teacher";
+const TABLE_HEADER_REGEX = /^course\s+title\s+room\s+schedule(?:\s+teacher)?$/i;
+const TABLE_END_REGEX = /^(?:(?:1st|2nd|first|second|fall|spring)\s+semester\b|day\s*1\s+day\s*2\b)/i;
+
+// Page footers that can land in the middle of the table
+const PAGE_MARKER_REGEX = /^page\s+\d+(?:\s+of\s+\d+)?$/i;
+
+// Schedule values the builder understands besides block numbers
+const SPECIAL_VALUES = ["CC", "DS", "M12"];
+
+// ── Confidence & Diagnostics ────────────────────────────────────────────────
+
+const CONFIDENCE = {
+  HIGH: "high",
+  MEDIUM: "medium",
+  LOW: "low",
+};
+
+const CONFIDENCE_ORDER = [CONFIDENCE.LOW, CONFIDENCE.MEDIUM, CONFIDENCE.HIGH];
+
+// "warning" diagnostics are also added to `warnings`; "info" ones only
+// note a format variation the parser handled
+const SEVERITY = {
+  INFO: "info",
+  WARNING: "warning",
+};
+
+const DIAGNOSTIC_CODES = {
+  HEADER_LABELED: "header_labeled",
+  HEADER_LOOSE: "header_loose",
+  GRADE_OUT_OF_RANGE: "grade_out_of_range",
+  TABLE_HEADER_VARIANT: "table_header_variant",
+  TABLE_END_MISSING: "table_end_missing",
+  LINE_IGNORED: "line_ignored",
+  COURSE_SKIPPED: "course_skipped",
+  COURSE_CODE_NORMALIZED: "course_code_normalized",
+  PATTERN_NORMALIZED: "pattern_normalized",
+  PATTERN_UNKNOWN_VALUE: "pattern_unknown_value",
+  ROOM_GUESSED: "room_guessed",
+  ROOM_MISSING: "room_missing",
+  TEACHER_MISSING: "teacher_missing",
+  NO_ACADEMIC_COURSES: "no_academic_courses",
+};
+
+// How far each course-level finding lowers that course's confidence
+const COURSE_CONFIDENCE = {
+  [DIAGNOSTIC_CODES.PATTERN_UNKNOWN_VALUE]: CONFIDENCE.LOW,
+  [DIAGNOSTIC_CODES.COURSE_CODE_NORMALIZED]: CONFIDENCE.MEDIUM,
+  [DIAGNOSTIC_CODES.PATTERN_NORMALIZED]: CONFIDENCE.MEDIUM,
+  [DIAGNOSTIC_CODES.ROOM_GUESSED]: CONFIDENCE.MEDIUM,
+  [DIAGNOSTIC_CODES.ROOM_MISSING]: CONFIDENCE.MEDIUM,
+  [DIAGNOSTIC_CODES.TEACHER_MISSING]: CONFIDENCE.MEDIUM,
+};
+
+// How far each document-level finding lowers the overall confidence
+const DOCUMENT_CONFIDENCE = {
+  [DIAGNOSTIC_CODES.GRADE_OUT_OF_RANGE]: CONFIDENCE.LOW,
+  [DIAGNOSTIC_CODES.COURSE_SKIPPED]: CONFIDENCE.LOW,
+  [DIAGNOSTIC_CODES.NO_ACADEMIC_COURSES]: CONFIDENCE.LOW,
+  [DIAGNOSTIC_CODES.TABLE_END_MISSING]: CONFIDENCE.MEDIUM,
+};
+
+/**
+ * The lower of the given confidence levels.
+ * @param {...string} levels - CONFIDENCE values
+ * @returns {string}
+ */
+function lowestConfidence(...levels) {
+  return levels.reduce(
+    (lowest, level) => CONFIDENCE_ORDER.indexOf(level) < CONFIDENCE_ORDER.indexOf(lowest) ? level : lowest,
+    CONFIDENCE.HIGH
+  );
+}
 
-// Matches room codes like "RG211", "CH306", "SV112", "MG100", "TPSC", "CFP", "TPGYM", "FH202", "ML100"
-const ROOM_REGEX = /\b([A-Z]{2,4}\d{2,3}|TPSC|CFP|TPGYM)\b/;
+/**
+ * Record a diagnostic. Warnings also go to the `warnings` list shown to
+ * the student.
+ * 
+ * @param {string[]} warnings
+ * @param {Object[]} diagnostics
+ * @param {Object} diagnostic - { line, text, severity, code, message };
+ *   `line` is the 1-based line number in the extracted text, or null
+ */
+function report(warnings, diagnostics, { line = null, text = null, severity, code, message }) {
+  diagnostics.push({ line, text, severity, code, message });
+  if (severity === SEVERITY.WARNING) warnings.push(message);
+}
+
+/**
+ * Normalize a line of extracted text: no carriage returns, non-breaking
+ * spaces or trailing whitespace.
+ * @param {string} line
+ * @returns {string}
+ */
+function normalizeLine(line) {
+  return line.replace(/\r/g, "").replace(/\u00a0/g, " ").trimEnd();
+}
 
 // ── PDF Text Extraction ─────────────────────────────────────────────────────
 
 /**
- * Extract raw text from a PDF file.
- * @param {string} filePath - absolute path to the PDF
+ * Extract raw text from PDF bytes.
+ * @param {Buffer|Uint8Array} buffer - PDF file contents
  * @returns {Promise<string>} raw text content
  */
-async function extractTextFromPDF(filePath) {
-  const buffer = fs.readFileSync(filePath);
+async function extractTextFromBuffer(buffer) {
   const uint8 = new Uint8Array(buffer);
   const parser = new PDFParse(uint8);
   await parser.load();
@@ -39,39 +175,82 @@ async function extractTextFromPDF(filePath) {
   return result.text;
 }
 
+/**
+ * Extract raw text from a PDF file.
+ * @param {string} filePath - absolute path to the PDF
+ * @returns {Promise<string>} raw text content
+ */
+async function extractTextFromPDF(filePath) {
+  return extractTextFromBuffer(fs.readFileSync(filePath));
+}
+
 // ── Header Parsing ──────────────────────────────────────────────────────────
 
 /**
  * Parse student name and grade from the PDF header.
  * 
- * Example header line:
- *   "211-563 2/6/2026	12	YOU, NATHAN Grade:	Student:"
+ * Example header lines:
+ *   "211-563 2/6/2026	12	YOU, NATHAN Grade:	Student:"   (high confidence)
+ *   "Student: O'NEILL-PARK, MARY-KATE   Grade: 11"      (medium)
+ *   "Schedule for 11 SMITH, JANE Grade:"                (low, with a warning)
  * 
  * @param {string[]} lines - array of text lines from the PDF
- * @returns {{ name: string, grade: number }}
+ * @param {string[]} [warnings] - collects anything worth showing the student
+ * @param {Object[]} [diagnostics] - collects per-line diagnostics
+ * @returns {{ name: string, grade: number, confidence: string, line: number }}
  */
-function parseHeader(lines) {
-  // The header is typically on line 3 (index 2), containing the student ID,
-  // date, grade number, and name in format "LAST, FIRST"
-  for (const line of lines.slice(0, 10)) {
-    // Match pattern: ID DATE GRADE NAME Grade: Student:
-    const headerMatch = line.match(
-      /\d{3}-\d{3}\s+\d+\/\d+\/\d+\s+(\d+)\s+([A-Z,\s]+?)\s*Grade:/
-    );
+function parseHeader(lines, warnings = [], diagnostics = []) {
+  const top = lines.slice(0, HEADER_SEARCH_LINES);
+
+  for (let i = 0; i < top.length; i++) {
+    const headerMatch = top[i].match(HEADER_REGEX);
     if (headerMatch) {
-      const grade = parseInt(headerMatch[1], 10);
-      const name = headerMatch[2].trim();
-      return { name, grade };
+      return {
+        name: headerMatch[2].trim(),
+        grade: parseInt(headerMatch[1], 10),
+        confidence: CONFIDENCE.HIGH,
+        line: i + 1,
+      };
+    }
+  }
+
+  for (let i = 0; i < top.length; i++) {
+    for (const regex of LABELED_HEADER_REGEXES) {
+      const labeled = top[i].match(regex);
+      if (labeled) {
+        report(warnings, diagnostics, {
+          line: i + 1,
+          text: top[i],
+          severity: SEVERITY.INFO,
+          code: DIAGNOSTIC_CODES.HEADER_LABELED,
+          message: "Student header is in a different layout than usual",
+        });
+        return {
+          name: labeled.groups.name.trim().toUpperCase(),
+          grade: parseInt(labeled.groups.grade, 10),
+          confidence: CONFIDENCE.MEDIUM,
+          line: i + 1,
+        };
+      }
     }
   }
 
   // Fallback: try a looser match
-  for (const line of lines.slice(0, 10)) {
-    const looseMatch = line.match(/(\d{1,2})\s+([A-Z][A-Z, ]+?)\s*Grade:/);
+  for (let i = 0; i < top.length; i++) {
+    const looseMatch = top[i].match(LOOSE_HEADER_REGEX);
     if (looseMatch) {
+      report(warnings, diagnostics, {
+        line: i + 1,
+        text: top[i],
+        severity: SEVERITY.WARNING,
+        code: DIAGNOSTIC_CODES.HEADER_LOOSE,
+        message: "Student header was only partly recognized; check your name and grade",
+      });
       return {
         name: looseMatch[2].trim(),
         grade: parseInt(looseMatch[1], 10),
+        confidence: CONFIDENCE.LOW,
+        line: i + 1,
       };
     }
   }
@@ -154,61 +333,148 @@ function extractBlockFromPattern(pattern) {
  * Parse the course table from extracted PDF text lines.
  * 
  * The course table starts after "Course Title Room Schedule Teacher"
- * and ends at "1st Semester" or "2nd Semester".
+ * and ends at "1st Semester" / "2nd Semester" (or the day grid, when the
+ * semester label is missing).
  * 
- * Handles multi-line course titles (where the title wraps to the next line).
+ * Handles multi-line course titles (where the title wraps to the next line),
+ * page footers and a repeated table header when the table spans two pages.
  * 
  * @param {string[]} lines - array of text lines from PDF
- * @returns {Array<Object>} parsed course objects
+ * @param {string[]} [warnings] - collects skipped lines and unrecognized values
+ * @param {Object[]} [diagnostics] - collects per-line diagnostics
+ * @returns {Array<Object>} parsed course objects, each with its `confidence`
+ *   and `line` (1-based line number it starts on)
  */
-function parseCourseTable(lines) {
-  // Find the start and end of the course table
-  let startIdx = -1;
-  let endIdx = lines.length;
+function parseCourseTable(lines, warnings = [], diagnostics = []) {
+  const collapsed = lines.map((l) => l.replace(/\s+/g, " ").trim());
 
-  for (let i = 0; i < lines.length; i++) {
-    const trimmed = lines[i].trim();
-    if (trimmed === "Course Title Room Schedule Teacher") {
-      startIdx = i + 1;
-    }
-    if (startIdx > 0 && (trimmed === "1st Semester" || trimmed === "2nd Semester")) {
-      endIdx = i;
-      break;
-    }
+  // Find the start and end of the course table
+  const headerIdx = collapsed.findIndex((line) => TABLE_HEADER_REGEX.test(line));
+  if (headerIdx === -1) {
+    throw new Error("Could not find course table in PDF");
+  }
+  if (collapsed[headerIdx] !== TABLE_HEADER) {
+    report(warnings, diagnostics, {
+      line: headerIdx + 1,
+      text: lines[headerIdx],
+      severity: SEVERITY.INFO,
+      code: DIAGNOSTIC_CODES.TABLE_HEADER_VARIANT,
+      message: "Course table header is written differently than usual",
+    });
   }
 
-  if (startIdx === -1) {
-    throw new Error("Could not find course table in PDF");
+  let endIdx = collapsed.findIndex((line, i) => i > headerIdx && TABLE_END_REGEX.test(line));
+  if (endIdx === -1) {
+    endIdx = lines.length;
+    report(warnings, diagnostics, {
+      severity: SEVERITY.WARNING,
+      code: DIAGNOSTIC_CODES.TABLE_END_MISSING,
+      message: "Could not find the end of the course table; the schedule may be incomplete",
+    });
   }
 
   // First pass: join continuation lines back onto their parent course line.
   // A continuation line is one that does NOT start with a course code.
+  // Between a page footer and the next course line (or repeated table
+  // header) is the next page's letterhead, which is not part of any course.
   const rawCourseLines = [];
-  for (let i = startIdx; i < endIdx; i++) {
-    const line = lines[i].trim();
+  let betweenPages = false;
+  for (let i = headerIdx + 1; i < endIdx; i++) {
+    const line = collapsed[i];
     if (!line) continue;
 
     if (COURSE_CODE_REGEX.test(line)) {
-      rawCourseLines.push(line);
+      rawCourseLines.push({ text: line, line: i + 1 });
+      betweenPages = false;
+    } else if (betweenPages || TABLE_HEADER_REGEX.test(line) || PAGE_MARKER_REGEX.test(line)) {
+      // The table continues on the next page
+      report(warnings, diagnostics, {
+        line: i + 1,
+        text: lines[i],
+        severity: SEVERITY.INFO,
+        code: DIAGNOSTIC_CODES.LINE_IGNORED,
+        message: "Ignored a page break inside the course table",
+      });
+      betweenPages = PAGE_MARKER_REGEX.test(line) || (betweenPages && !TABLE_HEADER_REGEX.test(line));
     } else if (rawCourseLines.length > 0) {
-      // Continuation of previous course line
-      rawCourseLines[rawCourseLines.length - 1] += " " + line;
+      // Continuation of previous course line; a hyphenated name may wrap
+      // at the hyphen ("Fernandez-" / "Castro, Joaquin")
+      const previous = rawCourseLines[rawCourseLines.length - 1];
+      previous.text += (/[A-Za-z]-$/.test(previous.text) ? "" : " ") + line;
+    } else {
+      report(warnings, diagnostics, {
+        line: i + 1,
+        text: lines[i],
+        severity: SEVERITY.INFO,
+        code: DIAGNOSTIC_CODES.LINE_IGNORED,
+        message: "Ignored a line before the first course",
+      });
     }
   }
 
   // Second pass: extract structured data from each joined course line
   const courses = [];
 
-  for (const line of rawCourseLines) {
-    const course = parseSingleCourseLine(line);
-    if (course) {
-      courses.push(course);
+  for (const { text, line } of rawCourseLines) {
+    const notes = [];
+    const course = parseSingleCourseLine(text, notes);
+    if (!course) {
+      report(warnings, diagnostics, {
+        line,
+        text,
+        severity: SEVERITY.WARNING,
+        code: DIAGNOSTIC_CODES.COURSE_SKIPPED,
+        message: `Skipped a course with no schedule pattern: "${text}"`,
+      });
+      continue;
+    }
+
+    for (const note of notes) {
+      report(warnings, diagnostics, { line, text, ...note });
     }
+    courses.push({ ...course, line });
   }
 
   return courses;
 }
 
+/**
+ * Write a schedule pattern the way the builder expects it: no spaces,
+ * lowercase "x" and uppercase everything else.
+ * 
+ * @param {string} pattern - e.g. "X . 6 . X . 6 . X . 6"
+ * @returns {string} e.g. "x.6.x.6.x.6"
+ */
+function normalizePattern(pattern) {
+  return pattern
+    .replace(/\s+/g, "")
+    .split(".")
+    .map((part) => part.toUpperCase() === "X" ? "x" : part.toUpperCase())
+    .join(".");
+}
+
+/**
+ * Split the text before the schedule pattern into title and room. The room
+ * is the last word: a known room code, or a room-like word we haven't seen
+ * before (a guess).
+ * 
+ * @param {string} text - title and room, e.g. "English IV: Criminal Minds RG211"
+ * @returns {{ title: string, room: string|null, guessed: boolean }}
+ */
+function splitTitleAndRoom(text) {
+  const words = text.split(" ");
+  const last = words[words.length - 1];
+  const title = words.slice(0, -1).join(" ");
+
+  if (words.length > 1 && (ROOM_REGEX.test(last) || NAMED_ROOMS.includes(last))) {
+    return { title, room: last, guessed: false };
+  }
+  if (words.length > 1 && ROOM_LIKE_REGEX.test(last) && !ROMAN_NUMERAL_REGEX.test(last)) {
+    return { title, room: last, guessed: true };
+  }
+  return { title: text, room: null, guessed: false };
+}
+
 /**
  * Parse a single (possibly joined) course line into a structured object.
  * 
@@ -218,42 +484,62 @@ function parseCourseTable(lines) {
  *   "8720-T1-A Water Polo - Varsity Boys CFP CC.CC.CC.CC.CC.CC Grover, John D."
  * 
  * @param {string} line - joined course line
- * @returns {Object|null} parsed course object
+ * @param {Object[]} [notes] - collects what was unusual about the line, as
+ *   `{ severity, code, message }`
+ * @returns {Object|null} parsed course object, with its `confidence`
  */
-function parseSingleCourseLine(line) {
+function parseSingleCourseLine(line, notes = []) {
+  line = line.replace(/\s+/g, " ").trim();
+
   // Extract course code (at the start)
-  const codeMatch = line.match(/^(\d{4}-[A-Z0-9]+-[A-Z])\s+/);
+  const codeMatch = line.match(COURSE_CODE_REGEX);
   if (!codeMatch) return null;
 
-  const code = codeMatch[1];
-  let remainder = line.slice(codeMatch[0].length);
+  const code = `${codeMatch[1]}-${codeMatch[2]}-${codeMatch[3]}`;
+  const remainder = line.slice(codeMatch[0].length).trim();
 
   // Extract schedule pattern (the "x.6.x.6.x.6" part)
   const patternMatch = remainder.match(SCHEDULE_PATTERN_REGEX);
   if (!patternMatch) return null;
 
-  const pattern = patternMatch[0];
-  const patternIdx = remainder.indexOf(pattern);
+  const written = patternMatch[1];
+  const pattern = normalizePattern(written);
+  const patternIdx = patternMatch.index + patternMatch[0].indexOf(written);
 
   // Everything before the pattern contains the title and room
   const beforePattern = remainder.slice(0, patternIdx).trim();
   // Everything after the pattern is the teacher name
-  const teacher = remainder.slice(patternIdx + pattern.length).trim();
+  const teacher = remainder.slice(patternIdx + written.length).trim().replace(/,\s*$/, "");
 
-  // Extract room code from the end of the before-pattern section
-  const roomMatch = beforePattern.match(/\s+([A-Z]{2,4}\d{2,3}|TPSC|CFP|TPGYM|FH\d+|ML\d+)\s*$/);
-  let room = null;
-  let title = beforePattern;
-
-  if (roomMatch) {
-    room = roomMatch[1];
-    title = beforePattern.slice(0, roomMatch.index).trim();
-  }
+  const { title, room, guessed } = splitTitleAndRoom(beforePattern);
 
   // Parse the schedule pattern
   const { dayAssignments, type } = parseSchedulePattern(pattern);
   const block = extractBlockFromPattern(pattern);
 
+  const note = (severity, diagnosticCode, message) => notes.push({ severity, code: diagnosticCode, message });
+  if (codeMatch[0] !== code) {
+    note(SEVERITY.INFO, DIAGNOSTIC_CODES.COURSE_CODE_NORMALIZED, `Read course code "${codeMatch[0]}" as ${code}`);
+  }
+  if (written !== pattern) {
+    note(SEVERITY.INFO, DIAGNOSTIC_CODES.PATTERN_NORMALIZED, `Read schedule "${written}" as ${pattern}`);
+  }
+  const unknown = Object.values(dayAssignments).filter(
+    (val) => typeof val === "string" && !SPECIAL_VALUES.includes(val)
+  );
+  if (unknown.length > 0) {
+    note(SEVERITY.WARNING, DIAGNOSTIC_CODES.PATTERN_UNKNOWN_VALUE,
+      `Unrecognized schedule value "${unknown[0]}" for ${code} ${title}`);
+  }
+  if (!room) {
+    note(SEVERITY.WARNING, DIAGNOSTIC_CODES.ROOM_MISSING, `No room found for ${code} ${title}`);
+  } else if (guessed) {
+    note(SEVERITY.INFO, DIAGNOSTIC_CODES.ROOM_GUESSED, `Took "${room}" to be the room for ${code} ${title}`);
+  }
+  if (!teacher) {
+    note(SEVERITY.INFO, DIAGNOSTIC_CODES.TEACHER_MISSING, `No teacher listed for ${code} ${title}`);
+  }
+
   return {
     code,
     title,
@@ -262,7 +548,8 @@ function parseSingleCourseLine(line) {
     block,
     type,
     dayAssignments,
-    teacher: teacher.replace(/,\s*$/, ""), // remove trailing comma if any
+    teacher,
+    confidence: lowestConfidence(...notes.map((n) => COURSE_CONFIDENCE[n.code])),
   };
 }
 
@@ -275,14 +562,50 @@ function parseSingleCourseLine(line) {
  * @returns {Promise<Object>} structured student schedule
  */
 async function parsePDF(filePath) {
-  const rawText = await extractTextFromPDF(filePath);
-  const lines = rawText.split("\n").map((l) => l.trimEnd());
+  return parsePDFBuffer(fs.readFileSync(filePath));
+}
+
+/**
+ * Parse a schedule PDF already in memory (e.g. an upload).
+ * 
+ * @param {Buffer|Uint8Array} buffer - PDF file contents
+ * @returns {Promise<Object>} structured student schedule; see parseScheduleText
+ */
+async function parsePDFBuffer(buffer) {
+  return parseScheduleText(await extractTextFromBuffer(buffer));
+}
+
+/**
+ * Parse the text extracted from a schedule PDF.
+ * 
+ * Throws if the header or course table can't be found at all; anything
+ * less serious is reported in the returned `warnings` array.
+ * 
+ * @param {string} rawText - text content of the PDF
+ * @returns {Object} structured student schedule, plus `warnings`,
+ *   `diagnostics` and `confidence`: `{ level, header, courses }`, where
+ *   `courses` counts the courses at each level
+ */
+function parseScheduleText(rawText) {
+  const lines = rawText.split("\n").map(normalizeLine);
+  const warnings = [];
+  const diagnostics = [];
 
   // Parse header
-  const { name, grade } = parseHeader(lines);
+  const header = parseHeader(lines, warnings, diagnostics);
+  const { name, grade } = header;
+  if (grade < 9 || grade > 12) {
+    report(warnings, diagnostics, {
+      line: header.line,
+      text: lines[header.line - 1],
+      severity: SEVERITY.WARNING,
+      code: DIAGNOSTIC_CODES.GRADE_OUT_OF_RANGE,
+      message: `Grade ${grade} is not a high school grade`,
+    });
+  }
 
   // Parse courses
-  const allCourses = parseCourseTable(lines);
+  const allCourses = parseCourseTable(lines, warnings, diagnostics);
 
   // Separate course types
   const academicCourses = [];
@@ -307,6 +630,17 @@ async function parsePDF(filePath) {
     }
   }
 
+  if (academicCourses.length === 0) {
+    report(warnings, diagnostics, {
+      severity: SEVERITY.WARNING,
+      code: DIAGNOSTIC_CODES.NO_ACADEMIC_COURSES,
+      message: "No academic courses were found; every day will look free",
+    });
+  }
+
+  const courseCounts = { high: 0, medium: 0, low: 0 };
+  for (const course of allCourses) courseCounts[course.confidence]++;
+
   return {
     name,
     grade,
@@ -315,13 +649,28 @@ async function parsePDF(filePath) {
     directedStudies,
     seminars,
     allCourses,
+    warnings,
+    diagnostics,
+    confidence: {
+      level: lowestConfidence(
+        header.confidence,
+        ...allCourses.map((c) => c.confidence),
+        ...diagnostics.map((d) => DOCUMENT_CONFIDENCE[d.code]).filter(Boolean)
+      ),
+      header: header.confidence,
+      courses: courseCounts,
+    },
   };
 }
 
 // ── Exports ─────────────────────────────────────────────────────────────────
 
 module.exports = {
+  CONFIDENCE,
+  DIAGNOSTIC_CODES,
   parsePDF,
+  parsePDFBuffer,
+  parseScheduleText,
   parseHeader,
   parseCourseTable,
   parseSchedulePattern,
@@ -0,0 +1,252 @@
+/**
+ * rotationCalendar.js
+ *
+ * Maps real calendar dates onto the HW 6-day rotation used by bellSchedule.js.
+ *
+ * BELL_SCHEDULE is keyed by rotation day (1-6), and the rotation only
+ * advances on days school is in session, so "what day is Tuesday?" depends
+ * on every weekend, holiday and closure since the first day of school.
+ * This module takes a school-year calendar and resolves any date to either
+ * a rotation day or "no school".
+ *
+ * Calendar config (all dates "YYYY-MM-DD"):
+ *   {
+ *     startDate: "2025-08-20",        // first day of school (rotation day 1)
+ *     endDate: "2026-06-05",          // last day of school
+ *     firstRotationDay: 1,            // optional, rotation day of startDate
+ *     holidays: [                     // named breaks, single days or ranges
+ *       { date: "2025-09-01", name: "Labor Day" },
+ *       { start: "2025-12-20", end: "2026-01-04", name: "Winter Break" },
+ *     ],
+ *     noSchoolDays: [                 // other closures (in-service, emergencies)
+ *       { date: "2025-10-10", name: "Faculty In-Service" },
+ *     ],
+ *     specialSchedules: [             // school days that don't follow the rotation
+ *       { date: "2025-11-14", name: "Assembly", rotationDay: 3 },
+ *       { date: "2026-06-01", name: "Finals", rotationDay: null },
+ *     ],
+ *   }
+ *
+ * Holidays and no-school days don't use up a rotation day; the next school
+ * day continues where the rotation left off. A special schedule with a
+ * `rotationDay` forces that day and the rotation continues from it; with
+ * `rotationDay: null` the day is a school day outside the rotation. Without
+ * a `rotationDay` it only labels the day.
+ */
+
+// ── Constants ───────────────────────────────────────────────────────────────
+
+const ROTATION_LENGTH = 6;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Why a date has no school
+const NO_SCHOOL_REASONS = Object.freeze({
+  WEEKEND: "weekend",
+  HOLIDAY: "holiday",
+  NO_SCHOOL: "no_school",
+  OUTSIDE_SCHOOL_YEAR: "outside_school_year",
+});
+
+// ── Date Helpers ────────────────────────────────────────────────────────────
+
+/**
+ * Parse "YYYY-MM-DD" as a UTC midnight timestamp.
+ * @param {string} dateStr
+ * @param {string} label - used in the error message
+ * @returns {number} milliseconds since epoch
+ */
+function parseDate(dateStr, label) {
+  if (typeof dateStr !== "string" || !DATE_REGEX.test(dateStr)) {
+    throw new Error(`${label} must be a YYYY-MM-DD date (got ${dateStr})`);
+  }
+  const time = Date.parse(`${dateStr}T00:00:00Z`);
+  if (Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== dateStr) {
+    throw new Error(`${label} is not a real date (got ${dateStr})`);
+  }
+  return time;
+}
+
+/**
+ * Format a UTC timestamp as "YYYY-MM-DD".
+ * @param {number} time - milliseconds since epoch
+ * @returns {string}
+ */
+function formatDate(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Expand holiday / no-school entries into a date → name map.
+ * Each entry is `{ date, name }` or `{ start, end, name }`.
+ * @param {Array<Object>} entries
+ * @param {string} label - config key, used in error messages
+ * @returns {Map<string, string|null>}
+ */
+function expandClosures(entries = [], label) {
+  const closed = new Map();
+
+  for (const entry of entries) {
+    const name = entry.name || null;
+    if (entry.date) {
+      closed.set(formatDate(parseDate(entry.date, `${label} date`)), name);
+      continue;
+    }
+
+    const start = parseDate(entry.start, `${label} start`);
+    const end = parseDate(entry.end, `${label} end`);
+    if (end < start) {
+      throw new Error(`${label} range ${entry.start}..${entry.end} ends before it starts`);
+    }
+    for (let time = start; time <= end; time += DAY_MS) {
+      closed.set(formatDate(time), name);
+    }
+  }
+
+  return closed;
+}
+
+// ── Calendar Building ───────────────────────────────────────────────────────
+
+/**
+ * Validate a school-year calendar config and resolve every date in it.
+ *
+ * @param {Object} config - see the module header for the shape
+ * @returns {Object} built calendar:
+ *   { startDate, endDate, days: { "YYYY-MM-DD": resolution } }
+ */
+function buildCalendar(config) {
+  if (!config || typeof config !== "object") {
+    throw new Error("Calendar config is required");
+  }
+
+  const start = parseDate(config.startDate, "startDate");
+  const end = parseDate(config.endDate, "endDate");
+  if (end < start) {
+    throw new Error("endDate must be on or after startDate");
+  }
+
+  const firstRotationDay = config.firstRotationDay ?? 1;
+  if (!Number.isInteger(firstRotationDay) || firstRotationDay < 1 || firstRotationDay > ROTATION_LENGTH) {
+    throw new Error(`firstRotationDay must be between 1 and ${ROTATION_LENGTH}`);
+  }
+
+  const holidays = expandClosures(config.holidays, "holidays");
+  const noSchoolDays = expandClosures(config.noSchoolDays, "noSchoolDays");
+
+  const specials = new Map();
+  for (const special of config.specialSchedules || []) {
+    const date = formatDate(parseDate(special.date, "specialSchedules date"));
+    if (!special.name) {
+      throw new Error(`Special schedule on ${date} needs a name`);
+    }
+    const { rotationDay } = special;
+    if (rotationDay !== undefined && rotationDay !== null &&
+        (!Number.isInteger(rotationDay) || rotationDay < 1 || rotationDay > ROTATION_LENGTH)) {
+      throw new Error(`Special schedule on ${date} has an invalid rotationDay`);
+    }
+    specials.set(date, special);
+  }
+
+  // Walk the school year, advancing the rotation on each school day
+  const days = {};
+  let nextRotationDay = firstRotationDay;
+
+  for (let time = start; time <= end; time += DAY_MS) {
+    const date = formatDate(time);
+    const weekday = new Date(time).getUTCDay();
+
+    if (holidays.has(date)) {
+      days[date] = noSchool(date, NO_SCHOOL_REASONS.HOLIDAY, holidays.get(date));
+      continue;
+    }
+    if (noSchoolDays.has(date)) {
+      days[date] = noSchool(date, NO_SCHOOL_REASONS.NO_SCHOOL, noSchoolDays.get(date));
+      continue;
+    }
+    if ((weekday === 0 || weekday === 6) && !specials.has(date)) {
+      days[date] = noSchool(date, NO_SCHOOL_REASONS.WEEKEND, null);
+      continue;
+    }
+
+    const special = specials.get(date) || null;
+    let rotationDay = nextRotationDay;
+    if (special && special.rotationDay !== undefined) {
+      rotationDay = special.rotationDay;
+    }
+
+    days[date] = {
+      date,
+      schoolDay: true,
+      rotationDay,
+      special: special ? { name: special.name } : null,
+    };
+
+    if (rotationDay !== null) {
+      nextRotationDay = (rotationDay % ROTATION_LENGTH) + 1;
+    }
+  }
+
+  return {
+    startDate: formatDate(start),
+    endDate: formatDate(end),
+    days,
+  };
+}
+
+/**
+ * Resolution for a date without school.
+ * @param {string} date
+ * @param {string} reason - one of NO_SCHOOL_REASONS
+ * @param {string|null} name - holiday / closure name
+ * @returns {Object}
+ */
+function noSchool(date, reason, name) {
+  return { date, schoolDay: false, rotationDay: null, reason, name };
+}
+
+// ── Resolving Dates ─────────────────────────────────────────────────────────
+
+/**
+ * Resolve a date to its rotation day.
+ *
+ * @param {Object} calendar - output of buildCalendar()
+ * @param {string} dateStr - "YYYY-MM-DD"
+ * @returns {Object} either
+ *   { date, schoolDay: true, rotationDay: 1-6 | null, special: { name } | null }
+ *   or
+ *   { date, schoolDay: false, rotationDay: null, reason, name }
+ */
+function resolveDate(calendar, dateStr) {
+  const date = formatDate(parseDate(dateStr, "date"));
+  return calendar.days[date] ||
+    noSchool(date, NO_SCHOOL_REASONS.OUTSIDE_SCHOOL_YEAR, null);
+}
+
+/**
+ * Find the next school day strictly after a date (e.g. "tomorrow" on a Friday).
+ *
+ * @param {Object} calendar - output of buildCalendar()
+ * @param {string} dateStr - "YYYY-MM-DD"
+ * @returns {Object|null} resolution of the next school day, or null if the
+ *   school year is over
+ */
+function nextSchoolDay(calendar, dateStr) {
+  const end = parseDate(calendar.endDate, "endDate");
+  let time = Math.max(parseDate(dateStr, "date") + DAY_MS, parseDate(calendar.startDate, "startDate"));
+
+  for (; time <= end; time += DAY_MS) {
+    const day = calendar.days[formatDate(time)];
+    if (day && day.schoolDay) return day;
+  }
+  return null;
+}
+
+// ── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  NO_SCHOOL_REASONS,
+  buildCalendar,
+  resolveDate,
+  nextSchoolDay,
+};
@@ -10,9 +10,15 @@
  *   - Which slots are occupied (class in session) vs free
  *   - Lunch status (free or in class, and whether they can leave campus)
  *   - Co-curricular end time (if applicable)
+ * 
+ * Semester and trimester courses only count in the terms they meet in
+ * (see terms.js), so the schedule is also built for each period of the
+ * school year.
  */
 
 const { BELL_SCHEDULE, timeToMinutes } = require("./bellSchedule");
+const { ANY_DAY } = require("./alternateBellSchedules");
+const { FULL_YEAR, TERM_PERIODS, termOf, courseMeetsIn } = require("./terms");
 
 // ── Constants ───────────────────────────────────────────────────────────────
 
@@ -34,10 +40,64 @@ const DEFAULT_CO_CURRICULAR_END = "17:00"; // 5:00 PM
  * @param {Object} parsedStudent - output from pdfParser.parsePDF()
  * @param {Object} [options] - optional overrides
  * @param {string} [options.coCurricularEndTime] - "HH:MM" when co-curricular ends (e.g. "17:30")
- * @returns {Object} built schedule with per-day presence data
+ * @param {Object} [options.alternateSchedules] - output of
+ *   alternateBellSchedules.loadAlternateSchedules(); each alternate is built
+ *   too so dated late-start / assembly / finals days use the right times
+ * @returns {Object} built schedule with per-day presence data for all of
+ *   the student's courses, plus
+ *   `alternates: { id: { name, days: { day | "any": presence } } }` and
+ *   `terms: { periodId: { days, alternates, hasCoCurricular, ... } }`, the
+ *   same for each period of the year. `terms` is empty when every course
+ *   is full-year.
  */
 function buildSchedule(parsedStudent, options = {}) {
-  const { name, grade, courses, coCurriculars, directedStudies, seminars } = parsedStudent;
+  const { name, grade } = parsedStudent;
+  const built = buildTermSchedule(parsedStudent, options);
+
+  const terms = {};
+  const allCourses = [
+    ...(parsedStudent.courses || []),
+    ...(parsedStudent.coCurriculars || []),
+    ...(parsedStudent.directedStudies || []),
+    ...(parsedStudent.seminars || []),
+  ];
+  if (allCourses.some((course) => termOf(course.code) !== FULL_YEAR)) {
+    for (const period of TERM_PERIODS) {
+      terms[period.id] = buildTermSchedule(coursesInPeriod(parsedStudent, period), options);
+    }
+  }
+
+  return { name, grade, ...built, terms };
+}
+
+/**
+ * The parsed student with only the courses that meet during a period.
+ * 
+ * @param {Object} parsedStudent - output from pdfParser.parsePDF()
+ * @param {Object} period - entry of terms.TERM_PERIODS
+ * @returns {Object}
+ */
+function coursesInPeriod(parsedStudent, period) {
+  const meets = (list) => (list || []).filter((course) => courseMeetsIn(course, period));
+  return {
+    ...parsedStudent,
+    courses: meets(parsedStudent.courses),
+    coCurriculars: meets(parsedStudent.coCurriculars),
+    directedStudies: meets(parsedStudent.directedStudies),
+    seminars: meets(parsedStudent.seminars),
+  };
+}
+
+/**
+ * Build the presence data for one set of courses (the whole year, or one
+ * period of it).
+ * 
+ * @param {Object} parsedStudent - output from pdfParser.parsePDF()
+ * @param {Object} options - see buildSchedule()
+ * @returns {{ days, alternates, hasCoCurricular, coCurricularEndMin, coCurricularName }}
+ */
+function buildTermSchedule(parsedStudent, options) {
+  const { grade, courses, coCurriculars, directedStudies, seminars } = parsedStudent;
 
   // Determine co-curricular end time in minutes
   const hasCoCurricular = coCurriculars && coCurriculars.length > 0;
@@ -80,10 +140,31 @@ function buildSchedule(parsedStudent, options = {}) {
     );
   }
 
+  // Build each alternate bell schedule the same way
+  const alternates = {};
+  const alternateSchedules = options.alternateSchedules ? options.alternateSchedules.schedules : {};
+
+  for (const [id, alternate] of Object.entries(alternateSchedules)) {
+    const altDays = {};
+    for (const [key, bellDay] of Object.entries(alternate.days)) {
+      const day = key === ANY_DAY ? null : parseInt(key, 10);
+      altDays[key] = buildDaySchedule(
+        day,
+        courses,
+        grade,
+        day !== null && dsDays.has(day),
+        day !== null && seminarDays.has(day),
+        hasCoCurricular,
+        coCurricularEndMin,
+        bellDay
+      );
+    }
+    alternates[id] = { name: alternate.name, days: altDays };
+  }
+
   return {
-    name,
-    grade,
     days,
+    alternates,
     hasCoCurricular,
     coCurricularEndMin,
     coCurricularName: hasCoCurricular ? coCurriculars[0].title : null,
@@ -100,18 +181,25 @@ function buildSchedule(parsedStudent, options = {}) {
  * @param {boolean} hasSeminar - whether student has senior seminar this day (M12)
  * @param {boolean} hasCoCurricular - whether student has co-curricular
  * @param {number|null} coCurricularEndMin - co-curricular end time in minutes
+ * @param {Array} [bellDay] - bell slots to use instead of BELL_SCHEDULE[day]
+ *   (an alternate schedule). With `day` null, a block slot counts as
+ *   occupied if the student takes that block on any rotation day (finals).
  * @returns {Object} day schedule
  */
-function buildDaySchedule(day, courses, grade, hasDS, hasSeminar, hasCoCurricular, coCurricularEndMin) {
-  const bellDay = BELL_SCHEDULE[day];
+function buildDaySchedule(day, courses, grade, hasDS, hasSeminar, hasCoCurricular, coCurricularEndMin, bellDay = BELL_SCHEDULE[day]) {
   if (!bellDay) throw new Error(`Invalid day: ${day}`);
 
   // Determine which blocks the student has class in on this day
+  const meetsInBlock = (course, block) => day === null
+    ? Object.values(course.dayAssignments).includes(block)
+    : course.dayAssignments[day] === block;
   const activeBlocks = new Set();
   for (const course of courses) {
-    const dayVal = course.dayAssignments[day];
-    if (dayVal !== null && typeof dayVal === "number") {
-      activeBlocks.add(dayVal);
+    const dayVals = day === null ? Object.values(course.dayAssignments) : [course.dayAssignments[day]];
+    for (const dayVal of dayVals) {
+      if (dayVal !== null && typeof dayVal === "number") {
+        activeBlocks.add(dayVal);
+      }
     }
   }
 
@@ -129,7 +217,7 @@ function buildDaySchedule(day, courses, grade, hasDS, hasSeminar, hasCoCurricula
       if (activeBlocks.has(bellSlot.block)) {
         slotInfo.status = "occupied";
         // Find the course name
-        const course = courses.find((c) => c.dayAssignments[day] === bellSlot.block);
+        const course = courses.find((c) => meetsInBlock(c, bellSlot.block));
         if (course) slotInfo.courseName = course.title;
       }
     } else if (bellSlot.type === "ds") {
@@ -267,6 +355,7 @@ function printSchedule(schedule) {
 
 module.exports = {
   buildSchedule,
+  coursesInPeriod,
   buildDaySchedule,
   printSchedule,
 };
@@ -0,0 +1,136 @@
+/**
+ * terms.js
+ *
+ * School-year terms, inferred from HW course codes.
+ *
+ * The middle segment of a course code says when the course meets:
+ *   "2745-FY-B" → full year
+ *   "7066-S1-A" → 1st semester         "S2" → 2nd semester
+ *   "8720-T1-A" → 1st trimester        "T2", "T3" → 2nd, 3rd trimester
+ *
+ * Trimester 2 straddles the semester break, so the year splits into four
+ * periods in which the same courses meet:
+ *
+ *   S1-T1   1st semester, 1st trimester
+ *   S1-T2   1st semester, 2nd trimester
+ *   S2-T2   2nd semester, 2nd trimester
+ *   S2-T3   2nd semester, 3rd trimester
+ *
+ * scheduleBuilder.buildSchedule() builds a schedule for each period, and
+ * compatibilityAlgorithm.computeCompatibility() can score one of them, a
+ * semester or trimester (its worst period), or the worst period of the year.
+ */
+
+// ── Constants ───────────────────────────────────────────────────────────────
+
+const FULL_YEAR = "FY";
+
+// The periods of the school year, in order
+const TERM_PERIODS = [
+  { id: "S1-T1", semester: "S1", trimester: "T1" },
+  { id: "S1-T2", semester: "S1", trimester: "T2" },
+  { id: "S2-T2", semester: "S2", trimester: "T2" },
+  { id: "S2-T3", semester: "S2", trimester: "T3" },
+];
+
+const TERM_CODES = [FULL_YEAR, "S1", "S2", "T1", "T2", "T3"];
+
+// Score the worst period of the year
+const WORST_TERM = "worst";
+
+// ── Terms ───────────────────────────────────────────────────────────────────
+
+/**
+ * The term a course meets in, from the middle segment of its code.
+ * Courses without one, or with a term we don't know, are treated as
+ * full-year.
+ *
+ * @param {string|null} code - e.g. "8720-T1-A"
+ * @returns {string} one of TERM_CODES, e.g. "T1"
+ */
+function termOf(code) {
+  const match = code && code.match(/^\d{4}-([A-Z0-9]+)-/);
+  return match && TERM_CODES.includes(match[1]) ? match[1] : FULL_YEAR;
+}
+
+/**
+ * Whether a term code meets during a period.
+ *
+ * @param {string} term - one of TERM_CODES
+ * @param {Object} period - entry of TERM_PERIODS
+ * @returns {boolean}
+ */
+function termIncludes(term, period) {
+  return term === FULL_YEAR || term === period.semester || term === period.trimester;
+}
+
+/**
+ * Whether two courses meet during some of the same period.
+ *
+ * @param {string|null} codeA - course code
+ * @param {string|null} codeB - course code
+ * @returns {boolean}
+ */
+function termsOverlap(codeA, codeB) {
+  const a = termOf(codeA);
+  const b = termOf(codeB);
+  return TERM_PERIODS.some((period) => termIncludes(a, period) && termIncludes(b, period));
+}
+
+/**
+ * Whether a course meets during a period.
+ *
+ * @param {Object} course - parsed course (with `code`)
+ * @param {Object} period - entry of TERM_PERIODS
+ * @returns {boolean}
+ */
+function courseMeetsIn(course, period) {
+  return termIncludes(termOf(course.code), period);
+}
+
+/**
+ * The periods a term option covers: a period id ("S2-T3"), a semester or
+ * trimester ("S2", "T1"), FY or WORST_TERM (the whole year).
+ *
+ * @param {string} term
+ * @returns {Array<Object>} entries of TERM_PERIODS
+ */
+function periodsFor(term) {
+  if (term === WORST_TERM) return TERM_PERIODS;
+  const period = TERM_PERIODS.find((p) => p.id === term);
+  if (period) return [period];
+  if (TERM_CODES.includes(term)) return TERM_PERIODS.filter((p) => termIncludes(term, p));
+  throw new Error(
+    `Unknown term "${term}"; use one of ${[...TERM_PERIODS.map((p) => p.id), ...TERM_CODES, WORST_TERM].join(", ")}`
+  );
+}
+
+/**
+ * A built schedule as it is during one period. Schedules built before
+ * terms were tracked, or of students with only full-year courses, are the
+ * same in every period.
+ *
+ * @param {Object} schedule - output of buildSchedule() (or its presence map)
+ * @param {string} periodId - e.g. "S2-T3"
+ * @returns {Object} the schedule with that period's days and co-curricular
+ */
+function scheduleForTerm(schedule, periodId) {
+  const term = schedule.terms && schedule.terms[periodId];
+  if (!term) return schedule;
+  const { terms, ...rest } = schedule;
+  return { ...rest, ...term };
+}
+
+// ── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  FULL_YEAR,
+  TERM_PERIODS,
+  TERM_CODES,
+  WORST_TERM,
+  termOf,
+  termsOverlap,
+  courseMeetsIn,
+  periodsFor,
+  scheduleForTerm,
+};
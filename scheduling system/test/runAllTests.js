@@ -12,9 +12,14 @@ const path = require("path");
 const testDir = __dirname;
 const testFiles = [
   "testBellSchedule.js",
+  "testRotationCalendar.js",
   "testPdfParser.js",
+  "testParserCorpus.js",
   "testScheduleBuilder.js",
   "testCompatibility.js",
+  "testAlternateBellSchedules.js",
+  "testCanvasConverter.js",
+  "testTerms.js",
   "testSchedules.js",   // integration test with real PDFs
 ];
 
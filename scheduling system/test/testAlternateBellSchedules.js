@@ -0,0 +1,301 @@
+/**
+ * testAlternateBellSchedules.js
+ *
+ * Unit tests for alternateBellSchedules.js
+ * Tests loading the published JSON, building schedules on alternate bell
+ * times, the school-year day mix, and day-mix weighted compatibility.
+ *
+ * Run: node test/testAlternateBellSchedules.js
+ */
+
+const {
+  ANY_DAY,
+  loadAlternateSchedules,
+  alternateSlotsFor,
+  buildDayMix,
+} = require("../alternateBellSchedules");
+const { buildCalendar } = require("../rotationCalendar");
+const { buildSchedule } = require("../scheduleBuilder");
+const { computeCompatibility } = require("../compatibilityAlgorithm");
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  const match = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(match, `${message} (expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)})`);
+}
+
+function assertThrows(fn, pattern, message) {
+  try {
+    fn();
+    assert(false, `${message} (did not throw)`);
+  } catch (e) {
+    assert(pattern.test(e.message), `${message} (${e.message})`);
+  }
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+// ── Fixtures ────────────────────────────────────────────────────────────────
+
+// Day 1 an hour late; finals are two exam slots whatever the rotation day
+const PUBLISHED = {
+  schoolYear: "2025-2026",
+  schedules: [
+    {
+      id: "late-start",
+      name: "Late Start",
+      days: {
+        1: [
+          { slot: "Block 1", block: 1, type: "block", start: "9:00", end: "10:05" },
+          { slot: "Block 2", block: 2, type: "block", start: "10:30", end: "11:45" },
+          { slot: "Lunch", type: "lunch", start: "11:45", end: "12:45" },
+          { slot: "Block 3", block: 3, type: "block", start: "12:45", end: "14:00" },
+        ],
+      },
+    },
+    {
+      id: "finals",
+      name: "Finals",
+      slots: [
+        { slot: "Exam Block 3", block: 3, type: "block", start: "11:00", end: "13:00" },
+        { slot: "Exam Block 1", block: 1, type: "block", start: "8:30", end: "10:30" },
+      ],
+    },
+  ],
+  dates: [
+    { date: "2025-09-02", schedule: "late-start" },  // Day 1
+    { date: "2025-09-03", schedule: "late-start" },  // Day 2: not covered
+    { date: "2025-09-12", schedule: "finals" },      // off-rotation
+  ],
+};
+
+// Tue 2 Sep - Fri 12 Sep 2025: eight rotation days, then a finals day
+const CALENDAR = buildCalendar({
+  startDate: "2025-09-02",
+  endDate: "2025-09-12",
+  specialSchedules: [{ date: "2025-09-12", name: "Finals", rotationDay: null }],
+});
+
+const MORNING_STUDENT = {
+  name: "MORNING, STUDENT", grade: 11,
+  courses: [
+    { code: "C1", title: "Course 1", block: 1, type: "academic", dayAssignments: { 1: 1, 2: null, 3: 1, 4: null, 5: 1, 6: null } },
+    { code: "C4", title: "Course 4", block: 4, type: "academic", dayAssignments: { 1: null, 2: 4, 3: null, 4: 4, 5: null, 6: 4 } },
+  ],
+  coCurriculars: [], directedStudies: [], seminars: [],
+};
+
+const AFTERNOON_STUDENT = {
+  name: "AFTERNOON, STUDENT", grade: 11,
+  courses: [
+    { code: "C3", title: "Course 3", block: 3, type: "academic", dayAssignments: { 1: 3, 2: null, 3: 3, 4: null, 5: 3, 6: null } },
+    { code: "C7", title: "Course 7", block: 7, type: "academic", dayAssignments: { 1: null, 2: 7, 3: null, 4: 7, 5: null, 6: 7 } },
+  ],
+  coCurriculars: [], directedStudies: [], seminars: [],
+};
+
+// ── Loading ─────────────────────────────────────────────────────────────────
+
+function testLoad() {
+  section("loadAlternateSchedules");
+
+  const loaded = loadAlternateSchedules(PUBLISHED);
+  assertEq(loaded.schoolYear, "2025-2026", "Keeps the school year");
+  assertEq(Object.keys(loaded.schedules), ["late-start", "finals"], "Indexes schedules by id");
+  assertEq(loaded.schedules["late-start"].name, "Late Start", "Keeps schedule names");
+  assertEq(Object.keys(loaded.schedules["late-start"].days), ["1"], "Per-day schedule keyed by rotation day");
+  assertEq(Object.keys(loaded.schedules.finals.days), [ANY_DAY], "Slots schedule keyed by ANY_DAY");
+  assertEq(loaded.dates["2025-09-12"], "finals", "Indexes dates");
+
+  const lunch = loaded.schedules["late-start"].days[1][2];
+  assertEq([lunch.startMin, lunch.endMin, lunch.block], [705, 765, null], "Adds minutes; block defaults to null");
+  assertEq(loaded.schedules.finals.days[ANY_DAY].map((s) => s.slot), ["Exam Block 1", "Exam Block 3"], "Sorts slots by start time");
+
+  const fromText = loadAlternateSchedules(JSON.stringify(PUBLISHED));
+  assertEq(fromText.dates, loaded.dates, "Accepts JSON text");
+}
+
+function testValidation() {
+  section("loadAlternateSchedules - validation");
+
+  const withSchedule = (schedule) => ({ schedules: [schedule] });
+  const slot = { slot: "Block 1", block: 1, type: "block", start: "9:00", end: "10:00" };
+
+  assertThrows(() => loadAlternateSchedules({}), /schedules array/, "Requires schedules");
+  assertThrows(() => loadAlternateSchedules(withSchedule({ id: "Late Start", name: "x", slots: [slot] })), /Schedule id/, "Rejects bad ids");
+  assertThrows(() => loadAlternateSchedules(withSchedule({ id: "x", slots: [slot] })), /needs a name/, "Requires a name");
+  assertThrows(
+    () => loadAlternateSchedules(withSchedule({ id: "x", name: "X", slots: [slot], days: { 1: [slot] } })),
+    /either days or slots/,
+    "Rejects days and slots together"
+  );
+  assertThrows(() => loadAlternateSchedules(withSchedule({ id: "x", name: "X", days: { 7: [slot] } })), /not a rotation day/, "Rejects day 7");
+  assertThrows(() => loadAlternateSchedules(withSchedule({ id: "x", name: "X", slots: [] })), /at least one slot/, "Rejects empty slots");
+  assertThrows(
+    () => loadAlternateSchedules(withSchedule({ id: "x", name: "X", slots: [{ ...slot, type: "recess" }] })),
+    /type must be one of/,
+    "Rejects unknown slot types"
+  );
+  assertThrows(
+    () => loadAlternateSchedules(withSchedule({ id: "x", name: "X", slots: [{ ...slot, block: null }] })),
+    /block number/,
+    "Block slots need a block"
+  );
+  assertThrows(
+    () => loadAlternateSchedules(withSchedule({ id: "x", name: "X", slots: [{ ...slot, end: "8:00" }] })),
+    /ends before it starts/,
+    "Rejects backwards slots"
+  );
+  assertThrows(
+    () => loadAlternateSchedules(withSchedule({ id: "x", name: "X", slots: [slot, { ...slot, slot: "Block 2", block: 2, start: "9:30", end: "10:30" }] })),
+    /overlap/,
+    "Rejects overlapping slots"
+  );
+  assertThrows(
+    () => loadAlternateSchedules({ schedules: [{ id: "x", name: "X", slots: [slot] }, { id: "x", name: "Y", slots: [slot] }] }),
+    /defined twice/,
+    "Rejects duplicate ids"
+  );
+  assertThrows(
+    () => loadAlternateSchedules({ ...withSchedule({ id: "x", name: "X", slots: [slot] }), dates: [{ date: "2025-09-02", schedule: "y" }] }),
+    /unknown schedule y/,
+    "Rejects dates using unknown schedules"
+  );
+  assertThrows(
+    () => loadAlternateSchedules({
+      ...withSchedule({ id: "x", name: "X", slots: [slot] }),
+      dates: [{ date: "2025-09-02", schedule: "x" }, { date: "2025-09-02", schedule: "x" }],
+    }),
+    /more than one schedule/,
+    "Rejects a date listed twice"
+  );
+}
+
+// ── Lookups ─────────────────────────────────────────────────────────────────
+
+function testLookups() {
+  section("alternateSlotsFor / buildDayMix");
+
+  const loaded = loadAlternateSchedules(PUBLISHED);
+  assertEq(alternateSlotsFor(loaded.schedules["late-start"], 1).length, 4, "Per-day schedule covers its days");
+  assertEq(alternateSlotsFor(loaded.schedules["late-start"], 2), null, "...and not others");
+  assertEq(alternateSlotsFor(loaded.schedules["late-start"], null), null, "...or off-rotation days");
+  assertEq(alternateSlotsFor(loaded.schedules.finals, 4).length, 2, "Slots schedule covers every day");
+
+  assertEq(
+    buildDayMix(CALENDAR, null),
+    [
+      { rotationDay: 1, bellSchedule: null, count: 2 },
+      { rotationDay: 2, bellSchedule: null, count: 2 },
+      { rotationDay: 3, bellSchedule: null, count: 1 },
+      { rotationDay: 4, bellSchedule: null, count: 1 },
+      { rotationDay: 5, bellSchedule: null, count: 1 },
+      { rotationDay: 6, bellSchedule: null, count: 1 },
+    ],
+    "Without alternates: rotation days only, off-rotation days skipped"
+  );
+  assertEq(
+    buildDayMix(CALENDAR, loaded),
+    [
+      { rotationDay: 1, bellSchedule: "late-start", count: 1 },
+      { rotationDay: 1, bellSchedule: null, count: 1 },
+      { rotationDay: 2, bellSchedule: null, count: 2 },
+      { rotationDay: 3, bellSchedule: null, count: 1 },
+      { rotationDay: 4, bellSchedule: null, count: 1 },
+      { rotationDay: 5, bellSchedule: null, count: 1 },
+      { rotationDay: 6, bellSchedule: null, count: 1 },
+      { rotationDay: null, bellSchedule: "finals", count: 1 },
+    ],
+    "With alternates: uncovered days fall back, finals counted"
+  );
+}
+
+// ── Building ────────────────────────────────────────────────────────────────
+
+function testBuild() {
+  section("buildSchedule - alternates");
+
+  const alternateSchedules = loadAlternateSchedules(PUBLISHED);
+  const regular = buildSchedule(MORNING_STUDENT);
+  const built = buildSchedule(MORNING_STUDENT, { alternateSchedules });
+
+  assertEq(regular.alternates, {}, "No alternates without the option");
+  assertEq(built.days, regular.days, "Regular days unchanged");
+
+  const lateStart = built.alternates["late-start"];
+  assertEq(lateStart.name, "Late Start", "Alternate keeps its name");
+  assertEq(Object.keys(lateStart.days), ["1"], "Only covered days are built");
+  assertEq([lateStart.days[1].arrival, lateStart.days[1].departure], [540, 605], "Late start: arrives 9:00, leaves 10:05");
+  assertEq(lateStart.days[1].occupiedSlots, ["Block 1"], "Late start: occupied slots");
+
+  const finals = built.alternates.finals.days[ANY_DAY];
+  assertEq(finals.occupiedSlots, ["Exam Block 1"], "Finals: block matched on any day");
+  assertEq(finals.freeSlots, ["Exam Block 3"], "Finals: untaken block is free");
+  assertEq(finals.slots[0].courseName, "Course 1", "Finals: course name found");
+  assertEq([finals.arrival, finals.departure], [510, 630], "Finals: exam times");
+}
+
+// ── Compatibility ───────────────────────────────────────────────────────────
+
+function testCompatibility() {
+  section("computeCompatibility - day mix");
+
+  const alternateSchedules = loadAlternateSchedules(PUBLISHED);
+  const schedA = buildSchedule(MORNING_STUDENT, { alternateSchedules });
+  const schedB = buildSchedule(AFTERNOON_STUDENT, { alternateSchedules });
+  const dayMix = buildDayMix(CALENDAR, alternateSchedules);
+
+  const plain = computeCompatibility(buildSchedule(MORNING_STUDENT), buildSchedule(AFTERNOON_STUDENT));
+  assertEq(computeCompatibility(schedA, schedB), plain, "No day mix: alternates ignored");
+  assert(plain.dayScores[1].count === undefined, "No day mix: no counts");
+
+  const mixed = computeCompatibility(schedA, schedB, { dayMix });
+  assertEq(
+    Object.keys(mixed.dayScores),
+    ["1", "2", "3", "4", "5", "6", "1:late-start", "any:finals"],
+    "Day mix: alternate days scored separately"
+  );
+  assertEq(mixed.dayScores["1:late-start"].count, 1, "Alternate day carries its count");
+  assertEq(mixed.dayScores[2].count, 2, "Regular day carries its count");
+
+  const weighted = Object.values(mixed.dayScores).reduce((sum, d) => sum + d.total * d.count, 0) / 9;
+  assert(Math.abs(mixed.dayAverage - weighted) < 0.01, `Day average is weighted by count (${mixed.dayAverage})`);
+
+  // One student uploaded before the alternates were published
+  const stale = computeCompatibility(schedA, buildSchedule(AFTERNOON_STUDENT), { dayMix });
+  assertEq(Object.keys(stale.dayScores), ["1", "2", "3", "4", "5", "6"], "Missing alternates: regular days only");
+  assertEq(stale.dayScores[1].count, 2, "Missing alternates: late start counts as a regular Day 1");
+}
+
+// ── Run All ─────────────────────────────────────────────────────────────────
+
+console.log("╔══════════════════════════════════════╗");
+console.log("║ alternateBellSchedules.js Unit Tests ║");
+console.log("╚══════════════════════════════════════╝");
+
+testLoad();
+testValidation();
+testLookups();
+testBuild();
+testCompatibility();
+
+console.log(`\n${"═".repeat(50)}`);
+console.log(`  alternateBellSchedules.js: ${passed} passed, ${failed} failed`);
+console.log(`${"═".repeat(50)}`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,230 @@
+/**
+ * testCanvasConverter.js
+ *
+ * Unit tests for canvasConverter.js
+ * Tests block patterns, block inference from Canvas course and section
+ * names, flagging low-confidence courses, student confirmations, and that
+ * a schedule derived from Canvas builds the same as the PDF it came from.
+ *
+ * Run: node test/testCanvasConverter.js
+ */
+
+const {
+  CONFIDENCE,
+  convertCanvasSchedule,
+  inferBlock,
+  patternForBlock,
+} = require("../canvasConverter");
+const { parsePDF } = require("../pdfParser");
+const { buildSchedule } = require("../scheduleBuilder");
+const { computeCompatibility } = require("../compatibilityAlgorithm");
+const path = require("path");
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  const match = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(match, `${message} (expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)})`);
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+function canvasCourse(id, name, sectionName, code = `${2000 + id}-FY-A`) {
+  return {
+    id,
+    name,
+    course_code: code,
+    sections: sectionName ? [{ id: id * 10, name: sectionName }] : [],
+  };
+}
+
+function canvasData(courses, enrollments) {
+  return {
+    profile: { id: 4242, name: "Test Student" },
+    courses,
+    enrollments: enrollments || courses.map((c) => ({ course_id: c.id, course_section_id: c.id * 10 })),
+  };
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+function testPatternForBlock() {
+  section("patternForBlock");
+
+  assertEq(patternForBlock(6), "x.6.x.6.x.6", "Block 6 meets on days 2, 4 and 6");
+  assertEq(patternForBlock(2), "2.x.2.x.2.x", "Block 2 meets on days 1, 3 and 5");
+  assertEq(patternForBlock("CC"), "CC.CC.CC.CC.CC.CC", "Co-curriculars are every day");
+  assertEq(patternForBlock("DS"), "DS.x.x.x.DS.x", "Directed study in the DS/OH slots");
+  assertEq(patternForBlock("M12"), "x.x.x.M12.x.x", "Senior seminar on day 4");
+}
+
+function testInferBlock() {
+  section("inferBlock");
+
+  const pattern = inferBlock(canvasCourse(1, "English IV", "English IV x.6.x.6.x.6"));
+  assertEq([pattern.block, pattern.confidence], [6, CONFIDENCE.HIGH], "Schedule pattern in a section name");
+
+  const named = inferBlock(canvasCourse(2, "Chemistry", "Chemistry - Block 3"));
+  assertEq([named.block, named.pattern, named.confidence], [3, "3.x.3.x.3.x", CONFIDENCE.HIGH],
+    "Block in a section name");
+
+  const period = inferBlock(canvasCourse(3, "Calculus", "Per. 5 Calculus"));
+  assertEq([period.block, period.confidence], [5, CONFIDENCE.HIGH], "Period in a section name");
+
+  const courseName = inferBlock(canvasCourse(4, "History Blk 7", "History"));
+  assertEq([courseName.block, courseName.confidence], [7, CONFIDENCE.MEDIUM], "Block in the course name");
+
+  const ds = inferBlock(canvasCourse(5, "Directed Study: Finance", null));
+  assertEq([ds.block, ds.confidence], ["DS", CONFIDENCE.MEDIUM], "Directed study by name");
+  const team = inferBlock(canvasCourse(6, "Water Polo - Varsity Boys", null));
+  assertEq([team.block, team.confidence], ["CC", CONFIDENCE.MEDIUM], "Varsity team by name");
+
+  const bare = inferBlock(canvasCourse(7, "Spanish IV (2)", null));
+  assertEq([bare.block, bare.confidence], [2, CONFIDENCE.LOW], "Bare number in parentheses is low confidence");
+
+  const sis = inferBlock(canvasCourse(8, "Ceramics", null), [{ course_id: 8, sis_section_id: "6100-T2-A-4" }]);
+  assertEq([sis.block, sis.confidence], [4, CONFIDENCE.LOW], "SIS section suffix is low confidence");
+
+  const none = inferBlock(canvasCourse(9, "Class of 2027", null));
+  assertEq([none.block, none.confidence], [null, null], "No block found");
+
+  const other = canvasCourse(10, "Physics", null);
+  other.sections = [{ id: 1, name: "Physics Block 1" }, { id: 2, name: "Physics Block 4" }];
+  const enrolled = inferBlock(other, [{ course_id: 10, course_section_id: 2 }]);
+  assertEq(enrolled.block, 4, "Only the student's own section counts");
+}
+
+function testConvert() {
+  section("convertCanvasSchedule");
+
+  const data = canvasData([
+    canvasCourse(1, "English IV", "English IV - Block 6", "2745-FY-B"),
+    canvasCourse(2, "Chemistry", "Block 3", "3510-FY-A"),
+    canvasCourse(3, "Water Polo - Varsity Boys", null, "8720-T1-A"),
+    canvasCourse(4, "Directed Study: Finance", null, "7066-S1-A"),
+    canvasCourse(5, "Spanish IV (2)", null, "3586-FY-B"),
+    canvasCourse(6, "Class of 2027", null, "CLASS-2027"),
+  ]);
+  const parsed = convertCanvasSchedule(data, { grade: 11 });
+
+  assertEq(parsed.source, "canvas", "Marked as derived from Canvas");
+  assertEq([parsed.name, parsed.grade], ["Test Student", 11], "Name from Canvas, grade from options");
+  assertEq(parsed.courses.map((c) => c.block), [6, 3, 2], "Academic courses in their blocks");
+  assertEq(parsed.coCurriculars.map((c) => c.code), ["8720-T1-A"], "Co-curricular separated");
+  assertEq(parsed.directedStudies.map((c) => c.code), ["7066-S1-A"], "Directed study separated");
+  assertEq(parsed.allCourses.length, 5, "Unmapped courses are left out");
+
+  const english = parsed.courses[0];
+  assertEq([english.code, english.title, english.pattern, english.type],
+    ["2745-FY-B", "English IV", "x.6.x.6.x.6", "academic"], "Same course fields as the PDF parser");
+  assertEq(english.dayAssignments, { 1: null, 2: 6, 3: null, 4: 6, 5: null, 6: 6 }, "Day assignments");
+  assertEq(english.canvasCourseId, "1", "Keeps the Canvas course id");
+
+  assertEq(parsed.unconfirmed.map((c) => [c.canvasCourseId, c.block]), [["6", null], ["5", 2]],
+    "Unmapped and low-confidence courses need confirming");
+  assertEq(parsed.warnings.length, 2, "One warning each for guessed and missing blocks");
+
+  const built = buildSchedule(parsed);
+  assert(built.days[2].slots.some((s) => s.courseName === "English IV"), "buildSchedule places Canvas courses");
+  assert(built.hasCoCurricular, "and the co-curricular");
+}
+
+function testConflicts() {
+  section("Block conflicts");
+
+  const parsed = convertCanvasSchedule(canvasData([
+    canvasCourse(1, "Biology", "Block 4", "3100-FY-A"),
+    canvasCourse(2, "Art History", "Block 4", "6200-FY-A"),
+    canvasCourse(3, "Ceramics", "Block 5", "6100-T1-A"),
+    canvasCourse(4, "Photography", "Block 5", "6300-T2-A"),
+  ]));
+
+  assertEq(parsed.unconfirmed.map((c) => c.canvasCourseId), ["1", "2"],
+    "Two year-long courses in one block are both flagged");
+  assert(/shares block 4/.test(parsed.unconfirmed[0].reason), "with the reason");
+  assert(parsed.courses.filter((c) => c.block === 5).every((c) => c.confidence === CONFIDENCE.HIGH),
+    "Courses in one block in different terms are fine");
+}
+
+function testConfirmations() {
+  section("Confirmations");
+
+  const data = canvasData([
+    canvasCourse(1, "Spanish IV (2)", null),
+    canvasCourse(2, "Class of 2027", null),
+    canvasCourse(3, "Robotics", null),
+  ]);
+  const parsed = convertCanvasSchedule(data, { confirmations: { 1: 7, 2: null, 3: "CC" } });
+
+  assertEq(parsed.courses.map((c) => [c.block, c.confidence]), [[7, CONFIDENCE.CONFIRMED]],
+    "A confirmed block replaces the guess");
+  assertEq(parsed.coCurriculars.map((c) => c.title), ["Robotics"], "A course can be confirmed as a co-curricular");
+  assertEq(parsed.allCourses.length, 2, "A course confirmed as not a class is left out");
+  assertEq(parsed.unconfirmed.length, 0, "Nothing left to confirm");
+  assertEq(parsed.warnings.length, 0, "and no warnings");
+}
+
+async function testMatchesPdf() {
+  section("Same schedule as the PDF");
+
+  const pdf = await parsePDF(path.join(__dirname, "schedule_nathan.pdf"));
+  const courses = pdf.allCourses.map((course, i) => ({
+    id: i + 1,
+    name: course.title,
+    course_code: course.code,
+    sections: [{ id: (i + 1) * 10, name: `${course.title} ${course.pattern}` }],
+  }));
+  const parsed = convertCanvasSchedule(canvasData(courses), { grade: pdf.grade });
+
+  assertEq(parsed.unconfirmed.length, 0, "Every course mapped");
+  assertEq(parsed.allCourses.map((c) => c.dayAssignments), pdf.allCourses.map((c) => c.dayAssignments),
+    "Same day assignments as the PDF");
+  assertEq(buildSchedule(parsed).days, buildSchedule(pdf).days, "Same built schedule as the PDF");
+
+  const fromPdf = buildSchedule(pdf);
+  const fromCanvas = buildSchedule(parsed);
+  assertEq(computeCompatibility(fromCanvas, fromPdf).finalScore, computeCompatibility(fromPdf, fromPdf).finalScore,
+    "Compatibility scores the Canvas schedule like the PDF one");
+}
+
+// ── Run All ─────────────────────────────────────────────────────────────────
+
+async function runAll() {
+  console.log("╔══════════════════════════════════════╗");
+  console.log("║   canvasConverter.js Unit Tests      ║");
+  console.log("╚══════════════════════════════════════╝");
+
+  testPatternForBlock();
+  testInferBlock();
+  testConvert();
+  testConflicts();
+  testConfirmations();
+  await testMatchesPdf();
+
+  console.log(`\n${"═".repeat(50)}`);
+  console.log(`  canvasConverter.js: ${passed} passed, ${failed} failed`);
+  console.log(`${"═".repeat(50)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAll().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
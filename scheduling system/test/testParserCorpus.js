@@ -0,0 +1,136 @@
+/**
+ * testParserCorpus.js
+ *
+ * Runs pdfParser.js over a corpus of synthetic schedule texts (the text
+ * pdf-parse extracts from a schedule PDF) in test/corpus/, covering format
+ * variations: new room codes, wrapped titles, tabs, header layouts, spaced
+ * patterns, missing fields, table ends and page breaks. Each fixture's
+ * expected parse is in test/corpus/expected.json.
+ *
+ * All names in the corpus are made up. To add a case, add a .txt file and
+ * its entry in expected.json.
+ *
+ * Run: node test/testParserCorpus.js
+ */
+
+const { parseScheduleText, CONFIDENCE } = require("../pdfParser");
+const { buildSchedule } = require("../scheduleBuilder");
+const fs = require("fs");
+const path = require("path");
+
+const CORPUS_DIR = path.join(__dirname, "corpus");
+const EXPECTED = JSON.parse(fs.readFileSync(path.join(CORPUS_DIR, "expected.json"), "utf8"));
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  const match = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(match, `${message} (expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)})`);
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+function testCorpusComplete(fixtures) {
+  section("Corpus");
+
+  const missing = fixtures.filter((file) => !EXPECTED[file]);
+  assertEq(missing, [], "Every fixture has an expected parse");
+  const orphaned = Object.keys(EXPECTED).filter((file) => !fixtures.includes(file));
+  assertEq(orphaned, [], "Every expected parse has a fixture");
+}
+
+function testFixture(file) {
+  const expected = EXPECTED[file];
+  if (!expected) return;
+  section(`${file}: ${expected.description}`);
+
+  const text = fs.readFileSync(path.join(CORPUS_DIR, file), "utf8");
+
+  if (expected.error) {
+    try {
+      parseScheduleText(text);
+      assert(false, `Should throw "${expected.error}"`);
+    } catch (e) {
+      assert(e.message.includes(expected.error), `Throws "${expected.error}"`);
+    }
+    return;
+  }
+
+  const parsed = parseScheduleText(text);
+  assertEq([parsed.name, parsed.grade], [expected.name, expected.grade], "Name and grade");
+  assertEq(parsed.confidence.level, expected.confidence, "Overall confidence");
+  assertEq(
+    parsed.allCourses.map((c) => ({
+      code: c.code,
+      title: c.title,
+      room: c.room,
+      block: c.block,
+      teacher: c.teacher,
+      confidence: c.confidence,
+    })),
+    expected.courses,
+    "Courses"
+  );
+  assertEq(parsed.diagnostics.map((d) => d.code), expected.diagnostics, "Diagnostics");
+  assertEq(parsed.warnings.length, expected.warnings, "Warnings");
+
+  const lines = text.split("\n");
+  assert(
+    parsed.diagnostics.every((d) => d.line === null || (d.line >= 1 && d.line <= lines.length)),
+    "Diagnostics point at lines of the text"
+  );
+  assert(
+    parsed.allCourses.every((c) => lines[c.line - 1].replace(/\s+/g, " ").includes(c.code.slice(0, 4))),
+    "Courses point at the line they start on"
+  );
+
+  const counts = parsed.confidence.courses;
+  assertEq(counts.high + counts.medium + counts.low, parsed.allCourses.length, "Confidence counts every course");
+  if (parsed.confidence.level === CONFIDENCE.HIGH) {
+    assertEq(parsed.warnings, [], "A high-confidence parse has no warnings");
+  }
+
+  const built = buildSchedule(parsed);
+  assertEq(Object.keys(built.days).length, 6, "Builds a schedule");
+}
+
+// ── Run All ─────────────────────────────────────────────────────────────────
+
+function runAll() {
+  console.log("╔══════════════════════════════════════╗");
+  console.log("║   pdfParser.js Corpus Tests          ║");
+  console.log("╚══════════════════════════════════════╝");
+
+  const fixtures = fs.readdirSync(CORPUS_DIR).filter((file) => file.endsWith(".txt")).sort();
+  testCorpusComplete(fixtures);
+  fixtures.forEach(testFixture);
+
+  console.log(`\n${"═".repeat(50)}`);
+  console.log(`  pdfParser.js corpus: ${passed} passed, ${failed} failed`);
+  console.log(`${"═".repeat(50)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+try {
+  runAll();
+} catch (e) {
+  console.error("FATAL:", e.message, e.stack);
+  process.exit(1);
+}
@@ -3,7 +3,8 @@
  * 
  * Unit tests for pdfParser.js
  * Tests header parsing, schedule pattern parsing, course line parsing,
- * and full PDF parsing with the three example schedules.
+ * confidence and diagnostics, and full PDF parsing with the example
+ * schedules. Format variations are covered by testParserCorpus.js.
  * 
  * Run: node test/testPdfParser.js
  */
@@ -14,8 +15,13 @@ const {
   extractBlockFromPattern,
   parseSingleCourseLine,
   parseCourseTable,
+  parseScheduleText,
   parsePDF,
+  parsePDFBuffer,
+  CONFIDENCE,
+  DIAGNOSTIC_CODES,
 } = require("../pdfParser");
+const fs = require("fs");
 
 // ── Test Harness ────────────────────────────────────────────────────────────
 
@@ -75,6 +81,26 @@ function testParseHeader() {
   assertEq(h2.name, "BAEK, DANIEL JINWOO", "Daniel header name");
   assertEq(h2.grade, 12, "Daniel header grade");
 
+  // Loose fallback is flagged
+  const headerWarnings = [];
+  const h3 = parseHeader(["Schedule for 11 SMITH, JANE Grade:"], headerWarnings);
+  assertEq(h3.grade, 11, "Loose header grade");
+  assertEq(headerWarnings.length, 1, "Loose header match adds a warning");
+  assertEq(parseHeader(lines1, headerWarnings).grade, 12, "Standard header still parses");
+  assertEq(headerWarnings.length, 1, "Standard header adds no warning");
+  assertEq([h1.confidence, h1.line, h3.confidence], [CONFIDENCE.HIGH, 3, CONFIDENCE.LOW],
+    "Header confidence and line");
+
+  // Labeled headers, in either order
+  const diagnostics = [];
+  const h4 = parseHeader(["Student: O'NEILL-PARK, MARY-KATE   Grade: 10"], [], diagnostics);
+  assertEq([h4.name, h4.grade, h4.confidence], ["O'NEILL-PARK, MARY-KATE", 10, CONFIDENCE.MEDIUM],
+    "Labeled header");
+  assertEq(diagnostics.map((d) => [d.line, d.severity, d.code]), [[1, "info", DIAGNOSTIC_CODES.HEADER_LABELED]],
+    "Labeled header is noted on its line");
+  const h5 = parseHeader(["Grade: 9\tStudent: Chen, Wei"]);
+  assertEq([h5.name, h5.grade], ["CHEN, WEI", 9], "Grade before name");
+
   // Error case: no header
   try {
     parseHeader(["No header here", "Nothing useful"]);
@@ -193,6 +219,26 @@ function testParseSingleCourseLine() {
   // Invalid line
   const c6 = parseSingleCourseLine("This is not a course line");
   assertEq(c6, null, "Returns null for non-course line");
+  assertEq(c1.confidence, CONFIDENCE.HIGH, "Clean line is high confidence");
+
+  // Format variations
+  const notes = [];
+  const c7 = parseSingleCourseLine("2210 - FY - A English II BH-104 x . 6 . x . 6 . x . 6 Whitaker, Jonah", notes);
+  assertEq([c7.code, c7.room, c7.pattern, c7.block], ["2210-FY-A", "BH-104", "x.6.x.6.x.6", 6],
+    "Spaced code and pattern, hyphenated room");
+  assertEq(notes.map((n) => n.code), [DIAGNOSTIC_CODES.COURSE_CODE_NORMALIZED, DIAGNOSTIC_CODES.PATTERN_NORMALIZED],
+    "Normalizing is noted");
+  assertEq(c7.confidence, CONFIDENCE.MEDIUM, "Normalized line is medium confidence");
+
+  const c8 = parseSingleCourseLine("8300-T1-A Water Polo - JV Boys POOL CC.CC.CC.CC.CC.CC Brennan, Kate");
+  assertEq([c8.title, c8.room, c8.confidence], ["Water Polo - JV Boys", "POOL", CONFIDENCE.MEDIUM],
+    "Unknown room-like word is taken as a guessed room");
+
+  const c9 = parseSingleCourseLine("3420-FY-A Latin III 2.x.2.x.2.x");
+  assertEq([c9.title, c9.room, c9.teacher], ["Latin III", null, ""], "Roman numeral is not a room");
+
+  const c10 = parseSingleCourseLine("3120-FY-B Chemistry CH210 1.x.1.x.Z.x Abernathy, Clara");
+  assertEq(c10.confidence, CONFIDENCE.LOW, "Unknown schedule value is low confidence");
 }
 
 function testParseCourseTable() {
@@ -236,6 +282,40 @@ function testParseCourseTable() {
   assert(coursesMulti[0].title.includes("Spanish"), "Multi-line title captured");
   assertEq(coursesMulti[0].block, 2, "Multi-line course block correct");
 
+  // Skipped and suspicious lines are reported
+  const tableWarnings = [];
+  const coursesWarned = parseCourseTable([
+    "Course Title Room Schedule Teacher",
+    "2745-FY-B English IV: Criminal Minds RG211 x.6.x.6.x.6 Medawar, Jocelyn",
+    "4681-FY-A Honors Economics CH311 TBA Nealis, Kent",
+    "5100-FY-C Physics 1.x.1.x.Q.x Newton, Isaac",
+  ], tableWarnings);
+  assertEq(coursesWarned.length, 2, "Line without a pattern is skipped");
+  assert(tableWarnings.some((w) => w.includes("4681-FY-A")), "Skipped line is reported");
+  assert(tableWarnings.some((w) => w.includes("\"Q\"")), "Unknown pattern value is reported");
+  assert(tableWarnings.some((w) => w.includes("No room found for 5100-FY-C")), "Missing room is reported");
+  assert(tableWarnings.some((w) => w.includes("end of the course table")), "Missing table end is reported");
+
+  const cleanWarnings = [];
+  parseCourseTable(lines, cleanWarnings);
+  assertEq(cleanWarnings.length, 0, "Clean course table has no warnings");
+  assertEq(courses.map((c) => c.line), [7, 8, 9, 10], "Courses keep their line numbers");
+  assertEq(coursesMulti.map((c) => c.line), [2, 5], "Wrapped course keeps its first line");
+
+  // Every warning is also a diagnostic pointing at its line
+  const tableDiagnostics = [];
+  parseCourseTable([
+    "Course Title Room Schedule Teacher",
+    "4681-FY-A Honors Economics CH311 TBA Nealis, Kent",
+    "5100-FY-C Physics 1.x.1.x.Q.x Newton, Isaac",
+    "2nd Semester",
+  ], [], tableDiagnostics);
+  assertEq(tableDiagnostics.map((d) => [d.line, d.code]), [
+    [2, DIAGNOSTIC_CODES.COURSE_SKIPPED],
+    [3, DIAGNOSTIC_CODES.PATTERN_UNKNOWN_VALUE],
+    [3, DIAGNOSTIC_CODES.ROOM_MISSING],
+  ], "Diagnostics carry line numbers");
+
   // Error case: no course table header
   try {
     parseCourseTable(["No table here", "Nothing"]);
@@ -289,6 +369,36 @@ async function testFullPDFParsing() {
   assert(danielBlocks.has(4) && danielBlocks.has(5) && danielBlocks.has(6), "Daniel has Blocks 4-6");
 
   // Hannah tests removed — PDF no longer available
+
+  section("Full PDF Parsing - From Buffer");
+
+  const fromBuffer = await parsePDFBuffer(fs.readFileSync(PDF_PATHS.nathan));
+  assertEq(fromBuffer.name, nathan.name, "Buffer parse matches file parse (name)");
+  assertEq(fromBuffer.allCourses, nathan.allCourses, "Buffer parse matches file parse (courses)");
+  assertEq(fromBuffer.warnings, [], "Clean PDF has no warnings");
+  assertEq(daniel.warnings, [], "Daniel's PDF has no warnings");
+  assertEq(nathan.confidence,
+    { level: CONFIDENCE.HIGH, header: CONFIDENCE.HIGH, courses: { high: 11, medium: 0, low: 0 } },
+    "Nathan's PDF parses with high confidence");
+  assertEq([daniel.confidence.level, daniel.diagnostics], [CONFIDENCE.HIGH, []], "Daniel's too, with no diagnostics");
+
+  section("Schedule Text");
+
+  const text = parseScheduleText([
+    "211-563 2/12/2026\t12\tYOU, NATHAN Grade:\tStudent:",
+    "Course Title Room Schedule Teacher",
+    "2745-FY-B English IV: Criminal Minds RG211\u00a0x.6.x.6.x.6 Medawar, Jocelyn",
+    "1st Semester",
+  ].join("\r\n"));
+  assertEq([text.name, text.allCourses[0].room, text.allCourses[0].teacher],
+    ["YOU, NATHAN", "RG211", "Medawar, Jocelyn"],
+    "Parses text with Windows line endings and non-breaking spaces");
+  assertEq(text.confidence.level, CONFIDENCE.HIGH, "with high confidence");
+
+  const lowText = parseScheduleText("Schedule for 8 LEE, SAM Grade:\nCourse Title Room Schedule Teacher\n1st Semester");
+  assertEq(lowText.confidence.level, CONFIDENCE.LOW, "No courses and a loose header is low confidence");
+  assertEq(lowText.diagnostics.filter((d) => d.severity === "warning").length, lowText.warnings.length,
+    "Every warning has a diagnostic");
 }
 
 // ── Run All ─────────────────────────────────────────────────────────────────
@@ -0,0 +1,192 @@
+/**
+ * testRotationCalendar.js
+ * 
+ * Unit tests for rotationCalendar.js
+ * Tests date → rotation day resolution across weekends, holidays,
+ * no-school days and special schedules, plus config validation.
+ * 
+ * Run: node test/testRotationCalendar.js
+ */
+
+const {
+  NO_SCHOOL_REASONS,
+  buildCalendar,
+  resolveDate,
+  nextSchoolDay,
+} = require("../rotationCalendar");
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  const match = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(match, `${message} (expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)})`);
+}
+
+function assertThrows(fn, pattern, message) {
+  try {
+    fn();
+    assert(false, `${message} (did not throw)`);
+  } catch (e) {
+    assert(pattern.test(e.message), `${message} (${e.message})`);
+  }
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+// ── Fixture ─────────────────────────────────────────────────────────────────
+
+// September 2025: the 1st is a Monday
+const CONFIG = {
+  startDate: "2025-09-02",
+  endDate: "2025-09-30",
+  holidays: [
+    { date: "2025-09-05", name: "Spirit Day" },
+    { start: "2025-09-16", end: "2025-09-17", name: "Fall Break" },
+  ],
+  noSchoolDays: [
+    { date: "2025-09-09", name: "Faculty In-Service" },
+  ],
+  specialSchedules: [
+    { date: "2025-09-10", name: "Assembly" },
+    { date: "2025-09-11", name: "Testing", rotationDay: null },
+    { date: "2025-09-19", name: "Rotation Reset", rotationDay: 5 },
+    { date: "2025-09-20", name: "Make-up Day" },
+  ],
+};
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+function testRotationAdvance() {
+  section("Rotation advances on school days only");
+
+  const calendar = buildCalendar(CONFIG);
+  const rotation = (date) => resolveDate(calendar, date).rotationDay;
+
+  assertEq(rotation("2025-09-02"), 1, "First day of school is Day 1");
+  assertEq(rotation("2025-09-03"), 2, "Next day is Day 2");
+  assertEq(rotation("2025-09-04"), 3, "Thursday is Day 3");
+  assertEq(rotation("2025-09-08"), 4, "Monday after a holiday and weekend continues at Day 4");
+  assertEq(rotation("2025-09-12"), 6, "Friday after closures and specials is Day 6");
+  assertEq(rotation("2025-09-15"), 1, "Rotation wraps from Day 6 to Day 1");
+  assertEq(rotation("2025-09-18"), 2, "Two-day break doesn't use up rotation days");
+  assertEq(rotation("2025-09-22"), 1, "Rotation continues after a forced day");
+}
+
+function testNoSchool() {
+  section("No-school dates");
+
+  const calendar = buildCalendar(CONFIG);
+
+  const holiday = resolveDate(calendar, "2025-09-05");
+  assertEq(holiday.schoolDay, false, "Holiday is not a school day");
+  assertEq(holiday.reason, NO_SCHOOL_REASONS.HOLIDAY, "Holiday reason");
+  assertEq(holiday.name, "Spirit Day", "Holiday name");
+  assertEq(resolveDate(calendar, "2025-09-17").name, "Fall Break", "Holiday ranges cover every day");
+
+  const closure = resolveDate(calendar, "2025-09-09");
+  assertEq(closure.reason, NO_SCHOOL_REASONS.NO_SCHOOL, "No-school day reason");
+  assertEq(closure.rotationDay, null, "No-school day has no rotation day");
+
+  assertEq(resolveDate(calendar, "2025-09-06").reason, NO_SCHOOL_REASONS.WEEKEND, "Saturday is a weekend");
+  assertEq(resolveDate(calendar, "2025-09-01").reason, NO_SCHOOL_REASONS.OUTSIDE_SCHOOL_YEAR, "Before startDate");
+  assertEq(resolveDate(calendar, "2025-10-01").reason, NO_SCHOOL_REASONS.OUTSIDE_SCHOOL_YEAR, "After endDate");
+}
+
+function testSpecialSchedules() {
+  section("Special schedules");
+
+  const calendar = buildCalendar(CONFIG);
+
+  const assembly = resolveDate(calendar, "2025-09-10");
+  assertEq(assembly.rotationDay, 5, "Special without rotationDay keeps the rotation");
+  assertEq(assembly.special, { name: "Assembly" }, "Special schedule is labelled");
+
+  const testing = resolveDate(calendar, "2025-09-11");
+  assertEq(testing.schoolDay, true, "Off-rotation special is still a school day");
+  assertEq(testing.rotationDay, null, "Off-rotation special has no rotation day");
+
+  assertEq(resolveDate(calendar, "2025-09-19").rotationDay, 5, "Special can force a rotation day");
+
+  const makeUp = resolveDate(calendar, "2025-09-20");
+  assertEq(makeUp.schoolDay, true, "Special on a Saturday makes it a school day");
+  assertEq(makeUp.rotationDay, 6, "Weekend make-up day takes the next rotation day");
+
+  const regular = resolveDate(calendar, "2025-09-02");
+  assertEq(regular.special, null, "Regular days have no special schedule");
+}
+
+function testNextSchoolDay() {
+  section("nextSchoolDay");
+
+  const calendar = buildCalendar(CONFIG);
+
+  assertEq(nextSchoolDay(calendar, "2025-09-04").date, "2025-09-08", "Thursday before a long weekend → Monday");
+  assertEq(nextSchoolDay(calendar, "2025-09-02").date, "2025-09-03", "Ordinary next day");
+  assertEq(nextSchoolDay(calendar, "2025-08-15").date, "2025-09-02", "Before the year → first day");
+  assertEq(nextSchoolDay(calendar, "2025-09-30"), null, "After the last day → null");
+}
+
+function testValidation() {
+  section("Config validation");
+
+  assertThrows(() => buildCalendar(null), /required/, "Missing config");
+  assertThrows(() => buildCalendar({ startDate: "9/2/2025", endDate: "2025-09-30" }), /startDate/, "Bad startDate format");
+  assertThrows(() => buildCalendar({ startDate: "2025-02-30", endDate: "2025-09-30" }), /not a real date/, "Impossible date");
+  assertThrows(() => buildCalendar({ startDate: "2025-09-30", endDate: "2025-09-02" }), /endDate/, "End before start");
+  assertThrows(
+    () => buildCalendar({ ...CONFIG, firstRotationDay: 7 }),
+    /firstRotationDay/,
+    "firstRotationDay out of range"
+  );
+  assertThrows(
+    () => buildCalendar({ ...CONFIG, holidays: [{ start: "2025-09-10", end: "2025-09-09" }] }),
+    /ends before it starts/,
+    "Backwards holiday range"
+  );
+  assertThrows(
+    () => buildCalendar({ ...CONFIG, specialSchedules: [{ date: "2025-09-10", rotationDay: 2 }] }),
+    /needs a name/,
+    "Special schedule without a name"
+  );
+  assertThrows(
+    () => buildCalendar({ ...CONFIG, specialSchedules: [{ date: "2025-09-10", name: "X", rotationDay: 9 }] }),
+    /invalid rotationDay/,
+    "Special schedule with a bad rotation day"
+  );
+  assertThrows(() => resolveDate(buildCalendar(CONFIG), "tomorrow"), /YYYY-MM-DD/, "resolveDate rejects bad dates");
+
+  const shifted = buildCalendar({ ...CONFIG, firstRotationDay: 4 });
+  assertEq(resolveDate(shifted, "2025-09-02").rotationDay, 4, "firstRotationDay sets the first day");
+}
+
+// ── Run All ─────────────────────────────────────────────────────────────────
+
+console.log("╔══════════════════════════════════════╗");
+console.log("║   rotationCalendar.js Unit Tests     ║");
+console.log("╚══════════════════════════════════════╝");
+
+testRotationAdvance();
+testNoSchool();
+testSpecialSchedules();
+testNextSchoolDay();
+testValidation();
+
+console.log(`\n${"═".repeat(50)}`);
+console.log(`  rotationCalendar.js: ${passed} passed, ${failed} failed`);
+console.log(`${"═".repeat(50)}`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,244 @@
+/**
+ * testTerms.js
+ *
+ * Unit tests for terms.js
+ * Tests inferring terms from course codes, which periods of the year a
+ * term covers, building a schedule for each period, and scoring
+ * compatibility for one term or the worst one.
+ *
+ * Run: node test/testTerms.js
+ */
+
+const {
+  TERM_PERIODS,
+  WORST_TERM,
+  termOf,
+  termsOverlap,
+  periodsFor,
+  scheduleForTerm,
+} = require("../terms");
+const { buildSchedule } = require("../scheduleBuilder");
+const { computeCompatibility } = require("../compatibilityAlgorithm");
+const { parsePDF } = require("../pdfParser");
+const path = require("path");
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  const match = JSON.stringify(actual) === JSON.stringify(expected);
+  assert(match, `${message} (expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)})`);
+}
+
+function assertThrows(fn, pattern, message) {
+  try {
+    fn();
+    assert(false, `${message} (did not throw)`);
+  } catch (e) {
+    assert(pattern.test(e.message), `${message} (${e.message})`);
+  }
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+// ── Fixtures ────────────────────────────────────────────────────────────────
+
+const ODD_DAYS = (block) => ({ 1: block, 2: null, 3: block, 4: null, 5: block, 6: null });
+const EVEN_DAYS = (block) => ({ 1: null, 2: block, 3: null, 4: block, 5: null, 6: block });
+const EVERY_DAY = { 1: "CC", 2: "CC", 3: "CC", 4: "CC", 5: "CC", 6: "CC" };
+
+function course(code, block, dayAssignments, type = "academic") {
+  return { code, title: `Course ${code}`, block, type, dayAssignments };
+}
+
+// English all year in block 1; chemistry 1st semester and physics 2nd
+// semester in block 3; ceramics 3rd trimester in block 6; water polo
+// 1st trimester
+function makeTermStudent(name = "TERM, STUDENT", grade = 12) {
+  return {
+    name,
+    grade,
+    courses: [
+      course("2310-FY-A", 1, ODD_DAYS(1)),
+      course("3120-S1-A", 3, ODD_DAYS(3)),
+      course("3210-S2-A", 3, ODD_DAYS(3)),
+      course("6130-T3-A", 6, EVEN_DAYS(6)),
+    ],
+    coCurriculars: [course("8720-T1-A", "CC", EVERY_DAY, "co-curricular")],
+    directedStudies: [],
+    seminars: [],
+  };
+}
+
+// Only block 6 all year: on campus when the term student's ceramics meets
+function makeBlock6Student(name = "BLOCK6, STUDENT", grade = 12) {
+  return {
+    name,
+    grade,
+    courses: [course("6200-FY-A", 6, EVEN_DAYS(6))],
+    coCurriculars: [],
+    directedStudies: [],
+    seminars: [],
+  };
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+function testTermOf() {
+  section("termOf / termsOverlap");
+
+  assertEq(termOf("2745-FY-B"), "FY", "Full year");
+  assertEq(termOf("7066-S1-A"), "S1", "Semester");
+  assertEq(termOf("8720-T1-A"), "T1", "Trimester");
+  assertEq([termOf("C1"), termOf(null), termOf("1234-Q1-A")], ["FY", "FY", "FY"],
+    "No or unknown term is full year");
+
+  assert(termsOverlap("1000-FY-A", "2000-S2-A"), "Full year overlaps everything");
+  assert(!termsOverlap("1000-S1-A", "2000-S2-A"), "Semesters don't overlap");
+  assert(termsOverlap("1000-S1-A", "2000-T2-A") && termsOverlap("1000-S2-A", "2000-T2-A"),
+    "Trimester 2 overlaps both semesters");
+  assert(!termsOverlap("1000-S1-A", "2000-T3-A") && !termsOverlap("1000-T1-A", "2000-S2-A"),
+    "Trimesters 1 and 3 fall in one semester");
+}
+
+function testPeriodsFor() {
+  section("periodsFor");
+
+  const ids = (term) => periodsFor(term).map((p) => p.id);
+  assertEq(ids("S2-T3"), ["S2-T3"], "A period");
+  assertEq(ids("S1"), ["S1-T1", "S1-T2"], "A semester");
+  assertEq(ids("T2"), ["S1-T2", "S2-T2"], "Trimester 2 spans the semester break");
+  assertEq(ids(WORST_TERM), TERM_PERIODS.map((p) => p.id), "Worst: every period");
+  assertEq(ids("FY"), TERM_PERIODS.map((p) => p.id), "Full year: every period");
+  assertThrows(() => periodsFor("Q1"), /Unknown term "Q1"/, "Unknown term throws");
+}
+
+function testBuildTerms() {
+  section("buildSchedule per term");
+
+  const built = buildSchedule(makeTermStudent());
+  assertEq(Object.keys(built.terms), TERM_PERIODS.map((p) => p.id), "Built for every period");
+  assert(built.days[1].occupiedSlots.includes("Block 3"), "The year-long view has every course");
+
+  const courseIn = (period, day, block) => {
+    const slot = built.terms[period].days[day].slots.find((s) => s.block === block);
+    return slot.status === "occupied" ? slot.courseName : null;
+  };
+  assertEq(courseIn("S1-T1", 1, 3), "Course 3120-S1-A", "1st semester course in the 1st semester");
+  assertEq(courseIn("S2-T3", 1, 3), "Course 3210-S2-A", "2nd semester course in the 2nd");
+  assertEq(courseIn("S1-T1", 2, 6), null, "3rd trimester course not in the 1st trimester");
+  assertEq(courseIn("S2-T3", 2, 6), "Course 6130-T3-A", "but in the 3rd");
+  assertEq(courseIn("S2-T3", 1, 1), "Course 2310-FY-A", "Full-year course in every period");
+
+  assertEq(TERM_PERIODS.map((p) => built.terms[p.id].hasCoCurricular), [true, false, false, false],
+    "1st trimester co-curricular only in the 1st trimester");
+  assert(built.terms["S1-T1"].days[1].departure > built.terms["S1-T2"].days[1].departure,
+    "and only keeps the student late then");
+
+  const fullYear = buildSchedule(makeBlock6Student());
+  assertEq(fullYear.terms, {}, "Only full-year courses: no per-term schedules");
+  assertEq(scheduleForTerm(fullYear, "S2-T3"), fullYear, "which are the same in every period");
+
+  const term = scheduleForTerm(built, "S2-T3");
+  assertEq([term.name, term.grade, term.days, term.terms],
+    [built.name, built.grade, built.terms["S2-T3"].days, undefined],
+    "scheduleForTerm keeps the student and swaps in the period's days");
+}
+
+function testTermCompatibility() {
+  section("computeCompatibility per term");
+
+  const termStudent = buildSchedule(makeTermStudent());
+  const block6 = buildSchedule(makeBlock6Student());
+
+  const yearLong = computeCompatibility(termStudent, block6);
+  assertEq(yearLong.term, undefined, "No term: scored with every course");
+
+  const fall = computeCompatibility(termStudent, block6, { term: "S1-T1" });
+  const spring = computeCompatibility(termStudent, block6, { term: "S2-T3" });
+  assertEq([fall.term, Object.keys(fall.termScores)], ["S1-T1", ["S1-T1"]], "A period is scored on its own");
+  assert(spring.finalScore < fall.finalScore,
+    `Ceramics overlapping block 6 lowers the 3rd trimester (${spring.finalScore} < ${fall.finalScore})`);
+
+  const semester = computeCompatibility(termStudent, block6, { term: "S2" });
+  assertEq(Object.keys(semester.termScores), ["S2-T2", "S2-T3"], "A semester tries each of its periods");
+  assertEq(semester.finalScore, Math.min(...Object.values(semester.termScores)), "and reports the worst");
+
+  const worst = computeCompatibility(termStudent, block6, { term: WORST_TERM });
+  assertEq(Object.keys(worst.termScores), TERM_PERIODS.map((p) => p.id), "Worst case tries every period");
+  assertEq([worst.term, worst.finalScore], ["S2-T3", spring.finalScore], "and is the 3rd trimester");
+  assertEq(worst.dayScores, spring.dayScores, "with that period's breakdown");
+
+  const symmetric = computeCompatibility(block6, termStudent, { term: WORST_TERM });
+  assertEq(symmetric.term, worst.term, "Same worst term either way round");
+
+  const plain = computeCompatibility(block6, buildSchedule(makeBlock6Student("OTHER, STUDENT")), { term: "S2" });
+  assertEq(Object.values(plain.termScores).length, 2, "Schedules without terms score the same in every period");
+
+  const soph = buildSchedule(makeTermStudent("SOPH", 10));
+  assertEq(computeCompatibility(soph, block6, { term: WORST_TERM }).compatible, false,
+    "Incompatible grades in every term");
+
+  assertThrows(() => computeCompatibility(termStudent, block6, { term: "Q1" }), /Unknown term/,
+    "Unknown term throws");
+}
+
+async function testPdfTerms() {
+  section("Terms from a schedule PDF");
+
+  const nathan = buildSchedule(await parsePDF(path.join(__dirname, "schedule_nathan.pdf")));
+  assertEq(Object.keys(nathan.terms).length, TERM_PERIODS.length,
+    "Semester and trimester courses give per-term schedules");
+  assertEq(TERM_PERIODS.map((p) => nathan.terms[p.id].hasCoCurricular), [true, false, false, true],
+    "Water polo in the 1st trimester, swimming in the 3rd");
+  assert(nathan.terms["S1-T1"].days[2].occupiedSlots.includes("Block 4") &&
+    !nathan.terms["S2-T3"].days[2].occupiedSlots.includes("Block 4"),
+    "1st trimester Strength and Conditioning only in the 1st trimester");
+  assert(nathan.terms["S1-T1"].days[1].slots.some((s) => s.courseName === "Directed Study"),
+    "1st semester directed study in the 1st semester");
+  assert(!nathan.terms["S2-T2"].days[1].slots.some((s) => s.courseName === "Directed Study"),
+    "but not the 2nd");
+
+  const daniel = buildSchedule(await parsePDF(path.join(__dirname, "schedule_daniel.pdf")));
+  const worst = computeCompatibility(nathan, daniel, { term: WORST_TERM });
+  assert(Object.values(worst.termScores).every((score) => score >= worst.finalScore),
+    `Worst term (${worst.term}) is no better than any other`);
+}
+
+// ── Run All ─────────────────────────────────────────────────────────────────
+
+async function runAll() {
+  console.log("╔══════════════════════════════════════╗");
+  console.log("║   terms.js Unit Tests                ║");
+  console.log("╚══════════════════════════════════════╝");
+
+  testTermOf();
+  testPeriodsFor();
+  testBuildTerms();
+  testTermCompatibility();
+  await testPdfTerms();
+
+  console.log(`\n${"═".repeat(50)}`);
+  console.log(`  terms.js: ${passed} passed, ${failed} failed`);
+  console.log(`${"═".repeat(50)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAll().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
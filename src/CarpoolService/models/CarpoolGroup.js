@@ -23,6 +23,8 @@
  */
 
 const { CARPOOL_STATUS, CARPOOL_CONFIG } = require('../utils/constants');
+const { ServiceError, ERROR_CODES } = require('../../errors');
+const { CONFLICT } = ERROR_CODES;
 
 class CarpoolGroup {
   /**
@@ -113,13 +115,13 @@ class CarpoolGroup {
    */
   addPassenger(userId) {
     if (!this.isOpen()) {
-      throw new Error(`Cannot add passengers to a '${this.status}' carpool group`);
+      throw new ServiceError(CONFLICT, `Cannot add passengers to a '${this.status}' carpool group`);
     }
     if (this.isMember(userId)) {
-      throw new Error(`User ${userId} is already a member of this carpool`);
+      throw new ServiceError(CONFLICT, `User ${userId} is already a member of this carpool`);
     }
     if (this.isFull()) {
-      throw new Error('Carpool group is at maximum capacity');
+      throw new ServiceError(CONFLICT, 'Carpool group is at maximum capacity');
     }
 
     this.passengerUserIds.push(userId);
@@ -150,7 +152,7 @@ class CarpoolGroup {
   /** Activate the group (driver confirms, at least 1 passenger). */
   activate() {
     if (!this.isPending()) {
-      throw new Error(`Cannot activate carpool in '${this.status}' status`);
+      throw new ServiceError(CONFLICT, `Cannot activate carpool in '${this.status}' status`);
     }
     if (this.passengerUserIds.length === 0) {
       throw new Error('Cannot activate a carpool with no passengers');
@@ -162,7 +164,7 @@ class CarpoolGroup {
   /** Mark the carpool as completed (e.g. semester ended). */
   complete() {
     if (!this.isActive()) {
-      throw new Error(`Cannot complete carpool in '${this.status}' status`);
+      throw new ServiceError(CONFLICT, `Cannot complete carpool in '${this.status}' status`);
     }
     this.status = CARPOOL_STATUS.COMPLETED;
     this.updatedAt = new Date();
@@ -171,7 +173,7 @@ class CarpoolGroup {
   /** Cancel / disband the group. */
   cancel() {
     if (!this.isOpen()) {
-      throw new Error(`Cannot cancel carpool in '${this.status}' status`);
+      throw new ServiceError(CONFLICT, `Cannot cancel carpool in '${this.status}' status`);
     }
     this.status = CARPOOL_STATUS.CANCELLED;
     this.updatedAt = new Date();
@@ -137,6 +137,17 @@ class CarpoolProfile {
 
   // ── Mutations ─────────────────────────────────────────────────────────────
 
+  /** Move to another grade (school-year promotion or a corrected grade). */
+  setGradeLevel(gradeLevel) {
+    if (!Object.values(GRADE_LEVELS).includes(gradeLevel)) {
+      throw new Error(
+        `Invalid grade level: ${gradeLevel}. Must be one of: ${Object.values(GRADE_LEVELS).join(', ')}`
+      );
+    }
+    this.gradeLevel = gradeLevel;
+    this.updatedAt = new Date();
+  }
+
   /** Update home location (e.g. from Lauren's Location Service). */
   updateLocation(coordinates, address = '') {
     this.homeCoordinates = coordinates;
@@ -17,6 +17,8 @@
  */
 
 const { CARPOOL_REQUEST_STATUS } = require('../utils/constants');
+const { ServiceError, ERROR_CODES } = require('../../errors');
+const { CONFLICT } = ERROR_CODES;
 
 class CarpoolRequest {
   /**
@@ -75,7 +77,7 @@ class CarpoolRequest {
    */
   accept() {
     if (!this.isPending()) {
-      throw new Error(`Cannot accept request in '${this.status}' status`);
+      throw new ServiceError(CONFLICT, `Cannot accept request in '${this.status}' status`);
     }
     this.status = CARPOOL_REQUEST_STATUS.ACCEPTED;
     this.respondedAt = new Date();
@@ -84,7 +86,7 @@ class CarpoolRequest {
   /** Driver rejects the join request. */
   reject() {
     if (!this.isPending()) {
-      throw new Error(`Cannot reject request in '${this.status}' status`);
+      throw new ServiceError(CONFLICT, `Cannot reject request in '${this.status}' status`);
     }
     this.status = CARPOOL_REQUEST_STATUS.REJECTED;
     this.respondedAt = new Date();
@@ -93,7 +95,7 @@ class CarpoolRequest {
   /** Requester withdraws before the driver responds. */
   withdraw() {
     if (!this.isPending()) {
-      throw new Error(`Cannot withdraw request in '${this.status}' status`);
+      throw new ServiceError(CONFLICT, `Cannot withdraw request in '${this.status}' status`);
     }
     this.status = CARPOOL_REQUEST_STATUS.WITHDRAWN;
     this.respondedAt = new Date();
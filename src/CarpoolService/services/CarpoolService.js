@@ -15,6 +15,8 @@
  *  5. Group lifecycle         (activate, leave, disband, complete)
  *  6. Gas cost estimation     (per-trip and weekly cost breakdowns)
  *  7. Queries                 (my groups, my matches, group details)
+ *  8. Account data            (export a user's data; take a deleted user
+ *                              out of their carpools)
  *
  * ── Secondary Features (Not Implemented) ──────────────────────────────────
  *  - Messaging/emotes (will be added later)
@@ -31,9 +33,10 @@
  *  - App UI (Hannah)          → renders matches, group management, gas info
  *
  * ── Data Store Abstraction ────────────────────────────────────────────────
- * Like the RentalService, this uses in-memory Maps so it can run standalone
- * for development and testing.  In production these would be swapped for
- * database queries (PostgreSQL via the API service).
+ * Like the Tandem and Rental services, state lives in collections of a
+ * pluggable repository passed as `options.repository` (see
+ * src/repositories), defaulting to an InMemoryRepository.  Every public
+ * method is async.
  */
 
 const CarpoolProfile = require('../models/CarpoolProfile');
@@ -41,11 +44,15 @@ const CarpoolGroup = require('../models/CarpoolGroup');
 const CarpoolRequest = require('../models/CarpoolRequest');
 const CarpoolCompatibilityEngine = require('./CarpoolCompatibilityEngine');
 const GasEstimator = require('./GasEstimator');
+const InMemoryRepository = require('../../repositories/InMemoryRepository');
 const {
   CARPOOL_STATUS,
   CARPOOL_REQUEST_STATUS,
   CARPOOL_CONFIG,
+  CARPOOL_COLLECTIONS,
 } = require('../utils/constants');
+const { ServiceError, ERROR_CODES } = require('../../errors');
+const { CONFLICT, FORBIDDEN, INVALID, NOT_FOUND } = ERROR_CODES;
 
 // ── Tiny UUID helper (swap for `uuid` package in production) ──────────────
 function generateId() {
@@ -61,6 +68,7 @@ class CarpoolService {
    * @param {CarpoolCompatibilityEngine} [options.compatibilityEngine]
    * @param {GasEstimator}               [options.gasEstimator]
    * @param {Object}                     [options.rentalService] - RentalService instance for cross-checks
+   * @param {Object}                     [options.repository]    - Data store (defaults to InMemoryRepository)
    */
   constructor(options = {}) {
     this.compatibilityEngine =
@@ -69,25 +77,34 @@ class CarpoolService {
       options.gasEstimator || new GasEstimator();
     this.rentalService = options.rentalService || null;
 
-    // ── In-memory data stores (replace with DB in production) ───────────
-    /** @type {Map<string, CarpoolProfile>} profileId → CarpoolProfile */
-    this.profiles = new Map();
+    // ── Data stores ─────────────────────────────────────────────────────
+    const repository = options.repository || new InMemoryRepository();
 
-    /** @type {Map<string, CarpoolProfile>} userId → CarpoolProfile (index) */
-    this.profilesByUser = new Map();
+    /** CarpoolProfile by profileId (queried by userId) */
+    this.profiles = repository.collection(CARPOOL_COLLECTIONS.PROFILES, {
+      idField: 'profileId',
+      model: CarpoolProfile,
+    });
 
-    /** @type {Map<string, CarpoolGroup>} carpoolId → CarpoolGroup */
-    this.groups = new Map();
+    /** CarpoolGroup by carpoolId */
+    this.groups = repository.collection(CARPOOL_COLLECTIONS.GROUPS, {
+      idField: 'carpoolId',
+      model: CarpoolGroup,
+    });
 
-    /** @type {Map<string, CarpoolRequest>} requestId → CarpoolRequest */
-    this.requests = new Map();
+    /** CarpoolRequest by requestId */
+    this.requests = repository.collection(CARPOOL_COLLECTIONS.REQUESTS, {
+      idField: 'requestId',
+      model: CarpoolRequest,
+    });
 
     /**
-     * Schedule data provided by Nathan's scheduling system.
-     * In production this would be fetched on demand; here we cache it.
-     * @type {Map<string, Object[]>} userId → array of schedule entries
+     * Schedule data provided by Nathan's scheduling system,
+     * stored as `{ userId, entries }`.
      */
-    this.schedules = new Map();
+    this.schedules = repository.collection(CARPOOL_COLLECTIONS.SCHEDULES, {
+      idField: 'userId',
+    });
   }
 
   // ═══════════════════════════════════════════════════════════════════════
@@ -101,9 +118,9 @@ class CarpoolService {
    * @param  {Object} profileData - Constructor args for CarpoolProfile
    * @return {CarpoolProfile}
    */
-  registerProfile(profileData) {
-    if (this.profilesByUser.has(profileData.userId)) {
-      throw new Error(`User ${profileData.userId} already has a carpool profile`);
+  async registerProfile(profileData) {
+    if (await this.getProfile(profileData.userId)) {
+      throw new ServiceError(CONFLICT, `User ${profileData.userId} already has a carpool profile`);
     }
 
     const profile = new CarpoolProfile({
@@ -111,9 +128,7 @@ class CarpoolService {
       ...profileData,
     });
 
-    this.profiles.set(profile.profileId, profile);
-    this.profilesByUser.set(profile.userId, profile);
-    return profile;
+    return this.profiles.save(profile);
   }
 
   /**
@@ -122,8 +137,8 @@ class CarpoolService {
    * @param  {Object} updates - Fields to update
    * @return {CarpoolProfile}
    */
-  updateProfile(userId, updates) {
-    const profile = this._getProfileByUser(userId);
+  async updateProfile(userId, updates) {
+    const profile = await this._getProfileByUser(userId);
 
     if (updates.homeCoordinates) {
       profile.updateLocation(updates.homeCoordinates, updates.homeAddress);
@@ -144,7 +159,7 @@ class CarpoolService {
       profile.updatedAt = new Date();
     }
 
-    return profile;
+    return this.profiles.save(profile);
   }
 
   /**
@@ -152,10 +167,25 @@ class CarpoolService {
    * @param  {string} userId
    * @return {CarpoolProfile}
    */
-  deactivateProfile(userId) {
-    const profile = this._getProfileByUser(userId);
+  async deactivateProfile(userId) {
+    const profile = await this._getProfileByUser(userId);
     profile.deactivate();
-    return profile;
+    return this.profiles.save(profile);
+  }
+
+  /**
+   * Set the grade on a user's carpool profile, if they have one.  Grades
+   * come from the user's account (school roster or schedule) and change at
+   * the school-year rollover; users can't set them through updateProfile.
+   * @param  {string} userId
+   * @param  {string} gradeLevel - 'sophomore' | 'junior' | 'senior'
+   * @return {CarpoolProfile|null} null if the user has no profile
+   */
+  async setGradeLevel(userId, gradeLevel) {
+    const profile = await this.getProfile(userId);
+    if (!profile || profile.gradeLevel === gradeLevel) return profile;
+    profile.setGradeLevel(gradeLevel);
+    return this.profiles.save(profile);
   }
 
   /**
@@ -166,8 +196,8 @@ class CarpoolService {
    * @param {Object[]} scheduleEntries - Array of schedule entries:
    *   [{ dayOfWeek, arrivalTime, departureTime, extracurricularEndTime }]
    */
-  setUserSchedule(userId, scheduleEntries) {
-    this.schedules.set(userId, scheduleEntries);
+  async setUserSchedule(userId, scheduleEntries) {
+    await this.schedules.save({ userId, entries: scheduleEntries });
   }
 
   // ═══════════════════════════════════════════════════════════════════════
@@ -184,23 +214,24 @@ class CarpoolService {
    * @param  {boolean}     [options.driversOnly]          - Only match with users who can drive
    * @return {CarpoolMatch[]} Sorted by score (highest first)
    */
-  findMatches(userId, options = {}) {
-    const targetProfile = this._getProfileByUser(userId);
-    const targetSchedule = this.schedules.get(userId) || [];
+  async findMatches(userId, options = {}) {
+    const targetProfile = await this._getProfileByUser(userId);
+    const schedules = await this._getScheduleMap();
+    const targetSchedule = schedules.get(userId) || [];
 
     // ── Validate user can carpool ───────────────────────────────────────
     // Design.md: "If you're renting the spot then you shouldn't do the carpool"
-    if (this.rentalService && this._isUserRentingSpot(userId)) {
-      throw new Error(
+    if (this.rentalService && await this._isUserRentingSpot(userId)) {
+      throw new ServiceError(
+        INVALID,
         'You currently have an active spot rental. ' +
         'Users who rent a spot should not also carpool.'
       );
     }
 
     // ── Gather candidate profiles ───────────────────────────────────────
-    let candidates = [...this.profiles.values()].filter((p) => {
+    let candidates = (await this.profiles.find({ isActive: true })).filter((p) => {
       if (p.userId === userId) return false;     // Skip self
-      if (!p.isActive) return false;              // Skip inactive
       if (!p.hasValidLocation()) return false;    // Need location
       return true;
     });
@@ -215,7 +246,7 @@ class CarpoolService {
       targetProfile,
       targetSchedule,
       candidateProfiles: candidates,
-      candidateSchedules: this.schedules,
+      candidateSchedules: schedules,
       routeOverlapUserIds: options.routeOverlapUserIds || new Set(),
     });
   }
@@ -228,15 +259,15 @@ class CarpoolService {
    * @param  {string} userBId
    * @return {CarpoolMatch}
    */
-  getMatchBetween(userAId, userBId) {
-    const profileA = this._getProfileByUser(userAId);
-    const profileB = this._getProfileByUser(userBId);
+  async getMatchBetween(userAId, userBId) {
+    const profileA = await this._getProfileByUser(userAId);
+    const profileB = await this._getProfileByUser(userBId);
 
     return this.compatibilityEngine.computeMatch({
       profileA,
       profileB,
-      scheduleA: this.schedules.get(userAId) || [],
-      scheduleB: this.schedules.get(userBId) || [],
+      scheduleA: await this._getSchedule(userAId),
+      scheduleB: await this._getSchedule(userBId),
     });
   }
 
@@ -253,29 +284,30 @@ class CarpoolService {
    * @param  {string} [params.name]       - Optional group name
    * @return {CarpoolGroup}
    */
-  createGroup({ driverUserId, name = '' }) {
-    const profile = this._getProfileByUser(driverUserId);
+  async createGroup({ driverUserId, name = '' }) {
+    const profile = await this._getProfileByUser(driverUserId);
 
     // Validate the user can be a driver
     if (!profile.canDrive()) {
-      throw new Error(
+      throw new ServiceError(
+        INVALID,
         'Cannot create a carpool group: your profile does not indicate ' +
         'you can drive (set isDriver=true and vehicleCapacity > 0)'
       );
     }
 
     // Check rental exclusion
-    if (this.rentalService && this._isUserRentingSpot(driverUserId)) {
-      throw new Error(
+    if (this.rentalService && await this._isUserRentingSpot(driverUserId)) {
+      throw new ServiceError(
+        INVALID,
         'Cannot create a carpool group while you have an active spot rental'
       );
     }
 
     // Prevent creating multiple active groups as driver
-    for (const group of this.groups.values()) {
-      if (group.driverUserId === driverUserId && group.isOpen()) {
-        throw new Error('You already have an active carpool group');
-      }
+    const drivenGroups = await this.groups.find({ driverUserId });
+    if (drivenGroups.some((group) => group.isOpen())) {
+      throw new ServiceError(CONFLICT, 'You already have an active carpool group');
     }
 
     const group = new CarpoolGroup({
@@ -284,8 +316,7 @@ class CarpoolService {
       name,
     });
 
-    this.groups.set(group.carpoolId, group);
-    return group;
+    return this.groups.save(group);
   }
 
   // ═══════════════════════════════════════════════════════════════════════
@@ -302,46 +333,42 @@ class CarpoolService {
    * @param  {string} [params.message]       - Optional note to the driver
    * @return {CarpoolRequest}
    */
-  requestToJoin({ carpoolId, requesterUserId, message = '' }) {
-    const group = this._getGroup(carpoolId);
+  async requestToJoin({ carpoolId, requesterUserId, message = '' }) {
+    const group = await this._getGroup(carpoolId);
 
     // ── Validation ──────────────────────────────────────────────────────
     if (!group.isOpen()) {
-      throw new Error('This carpool group is no longer accepting members');
+      throw new ServiceError(CONFLICT, 'This carpool group is no longer accepting members');
     }
     if (group.isMember(requesterUserId)) {
-      throw new Error('You are already a member of this carpool');
+      throw new ServiceError(CONFLICT, 'You are already a member of this carpool');
     }
     if (group.isFull()) {
-      throw new Error('This carpool group is full');
+      throw new ServiceError(CONFLICT, 'This carpool group is full');
     }
 
     // Check for rental exclusion
-    if (this.rentalService && this._isUserRentingSpot(requesterUserId)) {
-      throw new Error(
+    if (this.rentalService && await this._isUserRentingSpot(requesterUserId)) {
+      throw new ServiceError(
+        INVALID,
         'Cannot join a carpool while you have an active spot rental'
       );
     }
 
     // Prevent duplicate pending requests
-    for (const req of this.requests.values()) {
-      if (
-        req.carpoolId === carpoolId &&
-        req.requesterUserId === requesterUserId &&
-        req.isPending()
-      ) {
-        throw new Error('You already have a pending request for this carpool');
-      }
+    const existing = await this.requests.find({ carpoolId, requesterUserId });
+    if (existing.some((req) => req.isPending())) {
+      throw new ServiceError(CONFLICT, 'You already have a pending request for this carpool');
     }
 
     // ── Compute compatibility score with the group driver ───────────────
-    const requesterProfile = this._getProfileByUser(requesterUserId);
-    const driverProfile = this._getProfileByUser(group.driverUserId);
+    const requesterProfile = await this._getProfileByUser(requesterUserId);
+    const driverProfile = await this._getProfileByUser(group.driverUserId);
     const match = this.compatibilityEngine.computeMatch({
       profileA: requesterProfile,
       profileB: driverProfile,
-      scheduleA: this.schedules.get(requesterUserId) || [],
-      scheduleB: this.schedules.get(group.driverUserId) || [],
+      scheduleA: await this._getSchedule(requesterUserId),
+      scheduleB: await this._getSchedule(group.driverUserId),
     });
 
     const request = new CarpoolRequest({
@@ -352,8 +379,7 @@ class CarpoolService {
       compatibilityScore: match.overallScore,
     });
 
-    this.requests.set(request.requestId, request);
-    return request;
+    return this.requests.save(request);
   }
 
   /**
@@ -363,21 +389,23 @@ class CarpoolService {
    * @param  {string} driverUserId - Must be the group's driver (authorization)
    * @return {{ request: CarpoolRequest, group: CarpoolGroup }}
    */
-  acceptRequest(requestId, driverUserId) {
-    const request = this._getRequest(requestId);
-    const group = this._getGroup(request.carpoolId);
+  async acceptRequest(requestId, driverUserId) {
+    const request = await this._getRequest(requestId);
+    const group = await this._getGroup(request.carpoolId);
 
     // Authorization: only the driver can accept
     if (group.driverUserId !== driverUserId) {
-      throw new Error('Only the group driver can accept join requests');
+      throw new ServiceError(FORBIDDEN, 'Only the group driver can accept join requests');
     }
 
     request.accept();
     group.addPassenger(request.requesterUserId);
 
     // Recalculate group compatibility score (average across all member pairs)
-    this._recalculateGroupScore(group);
+    await this._recalculateGroupScore(group);
 
+    await this.requests.save(request);
+    await this.groups.save(group);
     return { request, group };
   }
 
@@ -388,16 +416,16 @@ class CarpoolService {
    * @param  {string} driverUserId
    * @return {CarpoolRequest}
    */
-  rejectRequest(requestId, driverUserId) {
-    const request = this._getRequest(requestId);
-    const group = this._getGroup(request.carpoolId);
+  async rejectRequest(requestId, driverUserId) {
+    const request = await this._getRequest(requestId);
+    const group = await this._getGroup(request.carpoolId);
 
     if (group.driverUserId !== driverUserId) {
-      throw new Error('Only the group driver can reject join requests');
+      throw new ServiceError(FORBIDDEN, 'Only the group driver can reject join requests');
     }
 
     request.reject();
-    return request;
+    return this.requests.save(request);
   }
 
   /**
@@ -407,15 +435,15 @@ class CarpoolService {
    * @param  {string} requesterUserId
    * @return {CarpoolRequest}
    */
-  withdrawRequest(requestId, requesterUserId) {
-    const request = this._getRequest(requestId);
+  async withdrawRequest(requestId, requesterUserId) {
+    const request = await this._getRequest(requestId);
 
     if (request.requesterUserId !== requesterUserId) {
-      throw new Error('Only the requester can withdraw their request');
+      throw new ServiceError(FORBIDDEN, 'Only the requester can withdraw their request');
     }
 
     request.withdraw();
-    return request;
+    return this.requests.save(request);
   }
 
   // ═══════════════════════════════════════════════════════════════════════
@@ -429,15 +457,15 @@ class CarpoolService {
    * @param  {string} driverUserId
    * @return {CarpoolGroup}
    */
-  activateGroup(carpoolId, driverUserId) {
-    const group = this._getGroup(carpoolId);
+  async activateGroup(carpoolId, driverUserId) {
+    const group = await this._getGroup(carpoolId);
 
     if (group.driverUserId !== driverUserId) {
-      throw new Error('Only the group driver can activate the carpool');
+      throw new ServiceError(FORBIDDEN, 'Only the group driver can activate the carpool');
     }
 
     group.activate();
-    return group;
+    return this.groups.save(group);
   }
 
   /**
@@ -448,11 +476,12 @@ class CarpoolService {
    * @param  {string} userId - The passenger leaving
    * @return {CarpoolGroup}
    */
-  leaveGroup(carpoolId, userId) {
-    const group = this._getGroup(carpoolId);
+  async leaveGroup(carpoolId, userId) {
+    const group = await this._getGroup(carpoolId);
 
     if (group.driverUserId === userId) {
-      throw new Error(
+      throw new ServiceError(
+        INVALID,
         'The driver cannot leave. Use disbandGroup() to cancel the entire carpool.'
       );
     }
@@ -461,10 +490,10 @@ class CarpoolService {
 
     // Recalculate group score after member leaves
     if (group.passengerUserIds.length > 0) {
-      this._recalculateGroupScore(group);
+      await this._recalculateGroupScore(group);
     }
 
-    return group;
+    return this.groups.save(group);
   }
 
   /**
@@ -474,20 +503,20 @@ class CarpoolService {
    * @param  {string} driverUserId
    * @return {CarpoolGroup}
    */
-  disbandGroup(carpoolId, driverUserId) {
-    const group = this._getGroup(carpoolId);
+  async disbandGroup(carpoolId, driverUserId) {
+    const group = await this._getGroup(carpoolId);
 
     if (group.driverUserId !== driverUserId) {
-      throw new Error('Only the group driver can disband the carpool');
+      throw new ServiceError(FORBIDDEN, 'Only the group driver can disband the carpool');
     }
 
     group.cancel();
+    await this.groups.save(group);
 
     // Cancel all pending requests for this group
-    for (const request of this.requests.values()) {
-      if (request.carpoolId === carpoolId && request.isPending()) {
-        request.reject();
-      }
+    for (const request of await this.getPendingRequests(carpoolId)) {
+      request.reject();
+      await this.requests.save(request);
     }
 
     return group;
@@ -500,15 +529,15 @@ class CarpoolService {
    * @param  {string} driverUserId
    * @return {CarpoolGroup}
    */
-  completeGroup(carpoolId, driverUserId) {
-    const group = this._getGroup(carpoolId);
+  async completeGroup(carpoolId, driverUserId) {
+    const group = await this._getGroup(carpoolId);
 
     if (group.driverUserId !== driverUserId) {
-      throw new Error('Only the group driver can complete the carpool');
+      throw new ServiceError(FORBIDDEN, 'Only the group driver can complete the carpool');
     }
 
     group.complete();
-    return group;
+    return this.groups.save(group);
   }
 
   // ═══════════════════════════════════════════════════════════════════════
@@ -525,9 +554,9 @@ class CarpoolService {
    * @param  {number} [options.gasPricePerGallon] - Override gas price
    * @return {GasEstimate}
    */
-  estimateGasCost(carpoolId, distanceMiles, options = {}) {
-    const group = this._getGroup(carpoolId);
-    const driverProfile = this._getProfileByUser(group.driverUserId);
+  async estimateGasCost(carpoolId, distanceMiles, options = {}) {
+    const group = await this._getGroup(carpoolId);
+    const driverProfile = await this._getProfileByUser(group.driverUserId);
 
     return this.gasEstimator.estimate({
       driverProfile,
@@ -548,8 +577,8 @@ class CarpoolService {
    * @param  {Object} [options]
    * @return {GasEstimate}
    */
-  estimateGasCostForUser(driverUserId, distanceMiles, numPassengers, options = {}) {
-    const driverProfile = this._getProfileByUser(driverUserId);
+  async estimateGasCostForUser(driverUserId, distanceMiles, numPassengers, options = {}) {
+    const driverProfile = await this._getProfileByUser(driverUserId);
 
     return this.gasEstimator.estimate({
       driverProfile,
@@ -569,8 +598,9 @@ class CarpoolService {
    * @param  {string} userId
    * @return {CarpoolProfile|null}
    */
-  getProfile(userId) {
-    return this.profilesByUser.get(userId) || null;
+  async getProfile(userId) {
+    const [profile] = await this.profiles.find({ userId });
+    return profile || null;
   }
 
   /**
@@ -578,8 +608,12 @@ class CarpoolService {
    * @param  {string} userId
    * @return {CarpoolGroup[]}
    */
-  getMyGroups(userId) {
-    return [...this.groups.values()].filter((g) => g.isMember(userId));
+  async getMyGroups(userId) {
+    const [asDriver, asPassenger] = await Promise.all([
+      this.groups.find({ driverUserId: userId }),
+      this._findGroupsWithPassenger(userId),
+    ]);
+    return [...asDriver, ...asPassenger];
   }
 
   /**
@@ -587,10 +621,9 @@ class CarpoolService {
    * @param  {string} userId
    * @return {CarpoolGroup[]}
    */
-  getMyActiveGroups(userId) {
-    return [...this.groups.values()].filter(
-      (g) => g.isMember(userId) && g.isOpen()
-    );
+  async getMyActiveGroups(userId) {
+    const groups = await this.getMyGroups(userId);
+    return groups.filter((g) => g.isOpen());
   }
 
   /**
@@ -598,7 +631,7 @@ class CarpoolService {
    * @param  {string} carpoolId
    * @return {CarpoolGroup}
    */
-  getGroup(carpoolId) {
+  async getGroup(carpoolId) {
     return this._getGroup(carpoolId);
   }
 
@@ -608,10 +641,9 @@ class CarpoolService {
    * @param  {string} carpoolId
    * @return {CarpoolRequest[]}
    */
-  getPendingRequests(carpoolId) {
-    return [...this.requests.values()].filter(
-      (r) => r.carpoolId === carpoolId && r.isPending()
-    );
+  async getPendingRequests(carpoolId) {
+    const requests = await this.requests.find({ carpoolId });
+    return requests.filter((r) => r.isPending());
   }
 
   /**
@@ -619,10 +651,9 @@ class CarpoolService {
    * @param  {string} userId
    * @return {CarpoolRequest[]}
    */
-  getMyPendingRequests(userId) {
-    return [...this.requests.values()].filter(
-      (r) => r.requesterUserId === userId && r.isPending()
-    );
+  async getMyPendingRequests(userId) {
+    const requests = await this.requests.find({ requesterUserId: userId });
+    return requests.filter((r) => r.isPending());
   }
 
   /**
@@ -630,12 +661,12 @@ class CarpoolService {
    * @param  {string} carpoolId
    * @return {{ group: CarpoolGroup, driver: CarpoolProfile, passengers: CarpoolProfile[] }}
    */
-  getGroupDetails(carpoolId) {
-    const group = this._getGroup(carpoolId);
-    const driver = this.profilesByUser.get(group.driverUserId) || null;
-    const passengers = group.passengerUserIds
-      .map((uid) => this.profilesByUser.get(uid))
-      .filter(Boolean);
+  async getGroupDetails(carpoolId) {
+    const group = await this._getGroup(carpoolId);
+    const driver = await this.getProfile(group.driverUserId);
+    const passengers = (
+      await Promise.all(group.passengerUserIds.map((uid) => this.getProfile(uid)))
+    ).filter(Boolean);
 
     return { group, driver, passengers };
   }
@@ -645,8 +676,91 @@ class CarpoolService {
    * Useful for browsing available carpools.
    * @return {CarpoolGroup[]}
    */
-  getOpenGroups() {
-    return [...this.groups.values()].filter((g) => g.isOpen() && !g.isFull());
+  async getOpenGroups() {
+    const groups = await this.groups.find();
+    return groups.filter((g) => g.isOpen() && !g.isFull());
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  //  8.  ACCOUNT DATA
+  // ═══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Everything stored about a user, for a personal data export: their
+   * profile and schedule, every group they've driven or ridden in and the
+   * join requests they've sent.
+   *
+   * @param  {string} userId
+   * @return {{ profile: Object|null, schedule: Object[]|null, groups: Object[],
+   *   requests: Object[] }} Plain objects
+   */
+  async exportUserData(userId) {
+    const [groups, requests] = await Promise.all([
+      this.getMyGroups(userId),
+      this.requests.find({ requesterUserId: userId }),
+    ]);
+    const profile = await this.getProfile(userId);
+    const schedule = await this.schedules.get(userId);
+
+    return {
+      profile: profile ? profile.toJSON() : null,
+      schedule: schedule ? schedule.entries : null,
+      groups: groups.map((g) => g.toJSON()),
+      requests: requests.map((r) => r.toJSON()),
+    };
+  }
+
+  /**
+   * Remove a user whose account is being deleted from every open carpool:
+   * groups they drive are disbanded, groups they ride in continue without
+   * them.  Their pending join requests are withdrawn and their profile and
+   * schedule deleted.  Completed and cancelled groups are left as they are.
+   *
+   * With `dryRun` nothing is changed; the result lists what would be.
+   *
+   * @param  {string}  userId
+   * @param  {Object}  [options]
+   * @param  {boolean} [options.dryRun=false]
+   * @return {{ disbandedGroups: Array<{ carpoolId: string, passengerUserIds: string[] }>,
+   *   leftGroups: Array<{ carpoolId: string, driverUserId: string }>,
+   *   requests: string[], profile: boolean, schedule: boolean }}
+   */
+  async removeUser(userId, { dryRun = false } = {}) {
+    const disbandedGroups = [];
+    const leftGroups = [];
+
+    for (const group of await this.getMyActiveGroups(userId)) {
+      if (group.isDriver(userId)) {
+        disbandedGroups.push({
+          carpoolId: group.carpoolId,
+          passengerUserIds: [...group.passengerUserIds],
+        });
+        if (!dryRun) await this.disbandGroup(group.carpoolId, userId);
+      } else {
+        leftGroups.push({
+          carpoolId: group.carpoolId,
+          driverUserId: group.driverUserId,
+        });
+        if (!dryRun) await this.leaveGroup(group.carpoolId, userId);
+      }
+    }
+
+    const requests = [];
+    for (const request of await this.getMyPendingRequests(userId)) {
+      requests.push(request.requestId);
+      if (dryRun) continue;
+      request.withdraw();
+      await this.requests.save(request);
+    }
+
+    const profile = await this.getProfile(userId);
+    const schedule = await this.schedules.get(userId);
+    if (!dryRun) {
+      if (profile) await this.profiles.delete(profile.profileId);
+      if (schedule) await this.schedules.delete(userId);
+    }
+
+    return { disbandedGroups, leftGroups, requests, profile: !!profile, schedule: !!schedule };
   }
 
   // ═══════════════════════════════════════════════════════════════════════
@@ -658,10 +772,10 @@ class CarpoolService {
    * @param  {string} userId
    * @return {CarpoolProfile}
    */
-  _getProfileByUser(userId) {
-    const profile = this.profilesByUser.get(userId);
+  async _getProfileByUser(userId) {
+    const profile = await this.getProfile(userId);
     if (!profile) {
-      throw new Error(`No carpool profile found for user ${userId}`);
+      throw new ServiceError(NOT_FOUND, `No carpool profile found for user ${userId}`);
     }
     return profile;
   }
@@ -671,10 +785,10 @@ class CarpoolService {
    * @param  {string} carpoolId
    * @return {CarpoolGroup}
    */
-  _getGroup(carpoolId) {
-    const group = this.groups.get(carpoolId);
+  async _getGroup(carpoolId) {
+    const group = await this.groups.get(carpoolId);
     if (!group) {
-      throw new Error(`Carpool group ${carpoolId} not found`);
+      throw new ServiceError(NOT_FOUND, `Carpool group ${carpoolId} not found`);
     }
     return group;
   }
@@ -684,10 +798,10 @@ class CarpoolService {
    * @param  {string} requestId
    * @return {CarpoolRequest}
    */
-  _getRequest(requestId) {
-    const request = this.requests.get(requestId);
+  async _getRequest(requestId) {
+    const request = await this.requests.get(requestId);
     if (!request) {
-      throw new Error(`Carpool request ${requestId} not found`);
+      throw new ServiceError(NOT_FOUND, `Carpool request ${requestId} not found`);
     }
     return request;
   }
@@ -697,24 +811,27 @@ class CarpoolService {
    * pairwise scores between members.
    * @param {CarpoolGroup} group
    */
-  _recalculateGroupScore(group) {
+  async _recalculateGroupScore(group) {
     const memberIds = group.getAllMemberIds();
     if (memberIds.length < 2) return;
 
+    const profiles = await Promise.all(memberIds.map((uid) => this.getProfile(uid)));
+    const schedules = await Promise.all(memberIds.map((uid) => this._getSchedule(uid)));
+
     let totalScore = 0;
     let pairCount = 0;
 
     for (let i = 0; i < memberIds.length; i++) {
       for (let j = i + 1; j < memberIds.length; j++) {
-        const profileA = this.profilesByUser.get(memberIds[i]);
-        const profileB = this.profilesByUser.get(memberIds[j]);
+        const profileA = profiles[i];
+        const profileB = profiles[j];
         if (!profileA || !profileB) continue;
 
         const match = this.compatibilityEngine.computeMatch({
           profileA,
           profileB,
-          scheduleA: this.schedules.get(memberIds[i]) || [],
-          scheduleB: this.schedules.get(memberIds[j]) || [],
+          scheduleA: schedules[i],
+          scheduleB: schedules[j],
         });
 
         totalScore += match.overallScore;
@@ -733,17 +850,48 @@ class CarpoolService {
    * @param  {string} userId
    * @return {boolean}
    */
-  _isUserRentingSpot(userId) {
+  async _isUserRentingSpot(userId) {
     if (!this.rentalService) return false;
 
     try {
-      const rentals = this.rentalService.getMyRentals(userId);
+      const rentals = await this.rentalService.getMyRentals(userId);
       return rentals.length > 0;
     } catch {
       // If rental service isn't available, allow carpooling
       return false;
     }
   }
+
+  /**
+   * Get a user's schedule entries (empty if none provided yet).
+   * @param  {string} userId
+   * @return {Object[]}
+   */
+  async _getSchedule(userId) {
+    const schedule = await this.schedules.get(userId);
+    return schedule ? schedule.entries : [];
+  }
+
+  /**
+   * Load every stored schedule, keyed by user, for the matching engine.
+   * @return {Map<string, Object[]>} userId → array of schedule entries
+   */
+  async _getScheduleMap() {
+    const schedules = await this.schedules.find();
+    return new Map(schedules.map((s) => [s.userId, s.entries]));
+  }
+
+  /**
+   * Find groups a user rides in as a passenger.
+   * Passenger IDs live in an array, which equality filters can't match,
+   * so this scans the groups.
+   * @param  {string} userId
+   * @return {CarpoolGroup[]}
+   */
+  async _findGroupsWithPassenger(userId) {
+    const groups = await this.groups.find();
+    return groups.filter((g) => g.passengerUserIds.includes(userId));
+  }
 }
 
 module.exports = CarpoolService;
@@ -105,6 +105,17 @@ const GAS_ESTIMATION = Object.freeze({
   SCHOOL_DAYS_PER_WEEK: 5,
 });
 
+// ── Data Store Collections ──────────────────────────────────────────────────
+// Collection names used by the repository (Firestore collection names when
+// backed by FirestoreRepository). `carpools` is also read by the admin
+// panel analytics and /health/stats.
+const CARPOOL_COLLECTIONS = Object.freeze({
+  PROFILES: 'carpoolProfiles',
+  GROUPS: 'carpools',
+  REQUESTS: 'carpoolRequests',
+  SCHEDULES: 'carpoolSchedules',
+});
+
 module.exports = {
   GRADE_LEVELS,
   CARPOOL_STATUS,
@@ -117,4 +128,5 @@ module.exports = {
   GRADE_LEVEL_SCORES,
   CARPOOL_CONFIG,
   GAS_ESTIMATION,
+  CARPOOL_COLLECTIONS,
 };
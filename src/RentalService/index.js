@@ -16,6 +16,7 @@ const Report = require('./models/Report');
 // Services
 const RentalService = require('./services/RentalService');
 const PricingEngine = require('./services/PricingEngine');
+const InMemoryPaymentProvider = require('./services/InMemoryPaymentProvider');
 
 // Constants
 const constants = require('./utils/constants');
@@ -32,6 +33,7 @@ module.exports = {
   // Services
   RentalService,
   PricingEngine,
+  InMemoryPaymentProvider,
 
   // Constants
   ...constants,
@@ -22,6 +22,7 @@ class Penalty {
    * @param {Date}    data.incidentDate - When the offense occurred
    * @param {boolean} data.isPaid       - Whether the fine has been paid
    * @param {string}  [data.rentalId]   - Optional link to the related rental
+   * @param {string}  [data.licensePlate] - Plate banned until a spot-blocking fine is paid
    * @param {string}  [data.notes]      - Admin notes
    * @param {Date}    [data.createdAt]
    */
@@ -33,6 +34,7 @@ class Penalty {
     incidentDate,
     isPaid = false,
     rentalId = null,
+    licensePlate = null,
     notes = '',
     createdAt = new Date(),
   }) {
@@ -52,6 +54,7 @@ class Penalty {
     this.incidentDate = incidentDate ? new Date(incidentDate) : new Date();
     this.isPaid = isPaid;
     this.rentalId = rentalId;
+    this.licensePlate = licensePlate;
     this.notes = notes;
     this.createdAt = createdAt;
   }
@@ -79,7 +82,7 @@ class Penalty {
    * Fine amount comes from PRICING.SPOT_BLOCKING_FINE_CENTS.
    * Per MVP: "ban their license plate until they pay".
    */
-  static createSpotBlocking({ penaltyId, userId, rentalId }) {
+  static createSpotBlocking({ penaltyId, userId, rentalId, licensePlate = null }) {
     return new Penalty({
       penaltyId,
       userId,
@@ -87,6 +90,7 @@ class Penalty {
       amountCents: PRICING.SPOT_BLOCKING_FINE_CENTS,
       incidentDate: new Date(),
       rentalId,
+      licensePlate,
       notes: 'Automatic fine: blocked a rented parking spot. License plate banned until paid.',
     });
   }
@@ -120,6 +124,7 @@ class Penalty {
       incidentDate: this.incidentDate,
       isPaid: this.isPaid,
       rentalId: this.rentalId,
+      licensePlate: this.licensePlate,
       notes: this.notes,
       createdAt: this.createdAt,
     };
@@ -134,6 +139,7 @@ class Penalty {
       incidentDate: data.incident_date || data.incidentDate,
       isPaid: data.is_paid ?? data.isPaid ?? false,
       rentalId: data.rental_id || data.rentalId || null,
+      licensePlate: data.license_plate || data.licensePlate || null,
       notes: data.notes || '',
       createdAt: data.created_at || data.createdAt,
     });
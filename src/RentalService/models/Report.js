@@ -1,11 +1,16 @@
 /**
  * Report.js
  * Minimal report class for blocked-spot incidents.
- * Used internally for automatic reassignment logic.
- * Admin workflow and photo verification removed (secondary features).
+ *
+ * Filing one reassigns or refunds the renter straight away, but nobody is
+ * fined on the renter's word: the report stays pending until an admin
+ * resolves it (fining the blocker) or dismisses it.
+ * Photo verification removed (secondary feature).
  */
 
-const { REPORT_TYPES } = require('../utils/constants');
+const { REPORT_TYPES, REPORT_STATUS } = require('../utils/constants');
+const { ServiceError, ERROR_CODES } = require('../../errors');
+const { CONFLICT } = ERROR_CODES;
 
 class Report {
   /**
@@ -16,6 +21,11 @@ class Report {
    * @param {string}   [data.rentalId]       - Related rental (nullable)
    * @param {string}   data.reportType       - One of REPORT_TYPES
    * @param {string}   data.description      - Free-text description of the issue
+   * @param {string}   [data.reportedPlate]  - License plate of the car in the spot
+   * @param {string}   [data.status]         - One of REPORT_STATUS
+   * @param {string}   [data.penaltyId]      - Fine issued when the report was resolved
+   * @param {string}   [data.reviewedBy]     - Admin who resolved or dismissed it
+   * @param {Date}     [data.reviewedAt]
    * @param {Date}     [data.createdAt]
    */
   constructor({
@@ -25,6 +35,11 @@ class Report {
     rentalId = null,
     reportType,
     description = '',
+    reportedPlate = null,
+    status = REPORT_STATUS.PENDING,
+    penaltyId = null,
+    reviewedBy = null,
+    reviewedAt = null,
     createdAt = new Date(),
   }) {
     if (!reportId) throw new Error('Report requires a reportId');
@@ -39,6 +54,11 @@ class Report {
     this.rentalId = rentalId;
     this.reportType = reportType;
     this.description = description;
+    this.reportedPlate = reportedPlate;
+    this.status = status;
+    this.penaltyId = penaltyId;
+    this.reviewedBy = reviewedBy;
+    this.reviewedAt = reviewedAt;
     this.createdAt = createdAt;
   }
 
@@ -47,6 +67,45 @@ class Report {
     return this.reportType === REPORT_TYPES.BLOCKED_SPOT;
   }
 
+  /** Is it still waiting for an admin? */
+  isPending() {
+    return this.status === REPORT_STATUS.PENDING;
+  }
+
+  // ── Status Transitions ──────────────────────────────────────────────────
+
+  /**
+   * An admin identified the blocker and fined them.
+   * @param {Object} params
+   * @param {string} params.reviewedBy     - Admin's user ID
+   * @param {string} params.reportedUserId - The blocker
+   * @param {string} params.penaltyId      - Their fine
+   */
+  resolve({ reviewedBy, reportedUserId, penaltyId }) {
+    this._review(reviewedBy, 'resolve');
+    this.status = REPORT_STATUS.RESOLVED;
+    this.reportedUserId = reportedUserId;
+    this.penaltyId = penaltyId;
+  }
+
+  /**
+   * An admin decided nobody should be fined.
+   * @param {Object} params
+   * @param {string} params.reviewedBy - Admin's user ID
+   */
+  dismiss({ reviewedBy }) {
+    this._review(reviewedBy, 'dismiss');
+    this.status = REPORT_STATUS.DISMISSED;
+  }
+
+  _review(reviewedBy, verb) {
+    if (!this.isPending()) {
+      throw new ServiceError(CONFLICT, `Cannot ${verb} report in '${this.status}' status`);
+    }
+    this.reviewedBy = reviewedBy;
+    this.reviewedAt = new Date();
+  }
+
   // ── Serialization ───────────────────────────────────────────────────────
 
   toJSON() {
@@ -57,6 +116,11 @@ class Report {
       rentalId: this.rentalId,
       reportType: this.reportType,
       description: this.description,
+      reportedPlate: this.reportedPlate,
+      status: this.status,
+      penaltyId: this.penaltyId,
+      reviewedBy: this.reviewedBy,
+      reviewedAt: this.reviewedAt,
       createdAt: this.createdAt,
     };
   }
@@ -69,6 +133,11 @@ class Report {
       rentalId: data.rental_id || data.rentalId || null,
       reportType: data.report_type || data.reportType,
       description: data.description || '',
+      reportedPlate: data.reported_plate || data.reportedPlate || null,
+      status: data.status || REPORT_STATUS.PENDING,
+      penaltyId: data.penalty_id || data.penaltyId || null,
+      reviewedBy: data.reviewed_by || data.reviewedBy || null,
+      reviewedAt: data.reviewed_at || data.reviewedAt || null,
       createdAt: data.created_at || data.createdAt,
     });
   }
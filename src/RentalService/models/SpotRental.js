@@ -7,15 +7,21 @@
  * Lifecycle:
  *   pending  ──→  confirmed  ──→  completed
  *            ↘    cancelled
+ *            ↘    expired
  *            ↘    disputed
  *
  * Business rules (MVP.md / Design.md):
  *   - Cancellation ≥24 hrs before rental_date → full refund
  *   - Cancellation <24 hrs before rental_date → renter receives a fine
+ *   - Nothing is refunded or fined for a rental that was never paid for
+ *   - A pending rental not paid for within PENDING_RENTAL_EXPIRY_MINUTES
+ *     can expire, releasing the spot
  *   - If the rented spot is blocked, the system triggers reassignment
  */
 
-const { RENTAL_STATUS, CANCELLATION_POLICY } = require('../utils/constants');
+const { RENTAL_STATUS, CANCELLATION_POLICY, PENDING_RENTAL_EXPIRY_MINUTES } = require('../utils/constants');
+const { ServiceError, ERROR_CODES } = require('../../errors');
+const { CONFLICT } = ERROR_CODES;
 
 class SpotRental {
   /**
@@ -76,9 +82,20 @@ class SpotRental {
   isConfirmed() { return this.status === RENTAL_STATUS.CONFIRMED; }
   isCompleted() { return this.status === RENTAL_STATUS.COMPLETED; }
   isCancelled() { return this.status === RENTAL_STATUS.CANCELLED; }
+  isExpired()   { return this.status === RENTAL_STATUS.EXPIRED; }
   isDisputed()  { return this.status === RENTAL_STATUS.DISPUTED; }
   isActive()    { return this.isPending() || this.isConfirmed(); }
 
+  /**
+   * Has this rental gone unpaid for longer than its spot is held?
+   * @param  {Date} [now=new Date()]
+   * @return {boolean}
+   */
+  isPaymentOverdue(now = new Date()) {
+    const deadline = new Date(this.createdAt).getTime() + PENDING_RENTAL_EXPIRY_MINUTES * 60 * 1000;
+    return this.isPending() && now.getTime() >= deadline;
+  }
+
   /** Was this rental created through automatic reassignment? */
   isReassignment() { return this.reassignedFromRentalId !== null; }
 
@@ -86,29 +103,33 @@ class SpotRental {
 
   /**
    * Determine the cancellation outcome at the given point in time.
+   * A pending rental was never paid for, so it is neither refunded nor fined.
    * @param  {Date}   [now=new Date()]
-   * @return {{ eligible: boolean, fullRefund: boolean, reason: string }}
+   * @return {{ eligible: boolean, paid: boolean, fullRefund: boolean, reason: string }}
    */
   getCancellationOutcome(now = new Date()) {
     if (!this.isActive()) {
-      return { eligible: false, fullRefund: false, reason: 'Rental is no longer active' };
+      return { eligible: false, paid: false, fullRefund: false, reason: 'Rental is no longer active' };
+    }
+    if (this.isPending()) {
+      return { eligible: true, paid: false, fullRefund: false, reason: 'Cancelled before payment' };
     }
 
     const msUntilRental = this.rentalDate.getTime() - now.getTime();
     const hoursUntilRental = msUntilRental / (1000 * 60 * 60);
 
     if (hoursUntilRental >= CANCELLATION_POLICY.FULL_REFUND_HOURS_BEFORE) {
-      return { eligible: true, fullRefund: true, reason: 'Cancelled with ≥24 hours notice' };
+      return { eligible: true, paid: true, fullRefund: true, reason: 'Cancelled with ≥24 hours notice' };
     }
 
-    return { eligible: true, fullRefund: false, reason: 'Cancelled with <24 hours notice — renter fined' };
+    return { eligible: true, paid: true, fullRefund: false, reason: 'Cancelled with <24 hours notice — renter fined' };
   }
 
   // ── Status Transitions ──────────────────────────────────────────────────
 
   confirm(paymentIntentId) {
     if (!this.isPending()) {
-      throw new Error(`Cannot confirm rental in '${this.status}' status`);
+      throw new ServiceError(CONFLICT, `Cannot confirm rental in '${this.status}' status`);
     }
     this.status = RENTAL_STATUS.CONFIRMED;
     this.paymentIntentId = paymentIntentId || this.paymentIntentId;
@@ -117,7 +138,7 @@ class SpotRental {
 
   complete() {
     if (!this.isConfirmed()) {
-      throw new Error(`Cannot complete rental in '${this.status}' status`);
+      throw new ServiceError(CONFLICT, `Cannot complete rental in '${this.status}' status`);
     }
     this.status = RENTAL_STATUS.COMPLETED;
     this.updatedAt = new Date();
@@ -125,16 +146,24 @@ class SpotRental {
 
   cancel() {
     if (!this.isActive()) {
-      throw new Error(`Cannot cancel rental in '${this.status}' status`);
+      throw new ServiceError(CONFLICT, `Cannot cancel rental in '${this.status}' status`);
     }
     this.status = RENTAL_STATUS.CANCELLED;
     this.cancellationTimestamp = new Date();
     this.updatedAt = new Date();
   }
 
+  expire() {
+    if (!this.isPending()) {
+      throw new ServiceError(CONFLICT, `Cannot expire rental in '${this.status}' status`);
+    }
+    this.status = RENTAL_STATUS.EXPIRED;
+    this.updatedAt = new Date();
+  }
+
   dispute() {
     if (!this.isConfirmed()) {
-      throw new Error(`Cannot dispute rental in '${this.status}' status`);
+      throw new ServiceError(CONFLICT, `Cannot dispute rental in '${this.status}' status`);
     }
     this.status = RENTAL_STATUS.DISPUTED;
     this.updatedAt = new Date();
@@ -0,0 +1,90 @@
+/**
+ * InMemoryPaymentProvider.js
+ * Map-backed stand-in for the payment processor (Stripe in production).
+ *
+ * RentalService never takes a client's word that a payment went through: it
+ * looks the payment intent up with `options.paymentProvider` first.  This
+ * provider keeps that check runnable standalone for development and tests;
+ * the API uses the Stripe-backed provider in functions/services.
+ *
+ * ── Provider Contract ─────────────────────────────────────────────────────
+ *   getPaymentIntent(id) → { id, status, amountCents, currency, metadata } | null
+ *   refundPayment(id, amountCents, metadata) → { id, status, amountCents, paymentIntentId }
+ *
+ * `status` uses Stripe's payment intent statuses ('succeeded',
+ * 'requires_capture', 'requires_payment_method', ...) and `metadata` holds
+ * what the payment is for, e.g. `{ rentalId }` or `{ penaltyId }`.
+ *
+ * refundPayment() gives back part or all of a payment.  Refunds are
+ * idempotent per payment intent: a retry after a failure returns the refund
+ * already made instead of refunding twice.
+ */
+
+const { ServiceError, ERROR_CODES } = require('../../errors');
+const { INVALID } = ERROR_CODES;
+
+// ── Tiny ID helper, shaped like Stripe's `pi_...` and `re_...` IDs ────────
+function generateId(prefix) {
+  return `${prefix}_${Math.random().toString(36).slice(2, 12)}${Date.now().toString(36)}`;
+}
+
+class InMemoryPaymentProvider {
+  constructor() {
+    /** @type {Map<string, Object>} payment intent ID → intent */
+    this.intents = new Map();
+
+    /** @type {Map<string, Object>} payment intent ID → its refund */
+    this.refunds = new Map();
+  }
+
+  /**
+   * Record a payment intent, as if the client had paid through the processor.
+   * @param  {Object} params
+   * @param  {number} params.amountCents
+   * @param  {Object} [params.metadata] - What the payment is for, e.g. `{ rentalId }`
+   * @param  {string} [params.status]   - Defaults to a completed payment
+   * @param  {string} [params.currency]
+   * @return {Object} The payment intent
+   */
+  createPaymentIntent({ amountCents, metadata = {}, status = 'succeeded', currency = 'usd' }) {
+    const intent = { id: generateId('pi'), status, amountCents, currency, metadata: { ...metadata } };
+    this.intents.set(intent.id, intent);
+    return intent;
+  }
+
+  /**
+   * @param  {string} paymentIntentId
+   * @return {Object|null}
+   */
+  async getPaymentIntent(paymentIntentId) {
+    return this.intents.get(paymentIntentId) || null;
+  }
+
+  /**
+   * @param  {string} paymentIntentId
+   * @param  {number} amountCents
+   * @param  {Object} [metadata] - What the refund is for, e.g. `{ rentalId }`
+   * @return {Object} The refund
+   */
+  async refundPayment(paymentIntentId, amountCents, metadata = {}) {
+    if (this.refunds.has(paymentIntentId)) return this.refunds.get(paymentIntentId);
+
+    const intent = this.intents.get(paymentIntentId);
+    if (!intent) throw new ServiceError(INVALID, `Payment ${paymentIntentId} not found`);
+    if (amountCents > intent.amountCents) {
+      throw new ServiceError(INVALID, `Cannot refund more than payment ${paymentIntentId} was for`);
+    }
+
+    const refund = {
+      id: generateId('re'),
+      status: 'succeeded',
+      amountCents,
+      paymentIntentId,
+      metadata: { ...metadata },
+    };
+    this.refunds.set(paymentIntentId, refund);
+    return refund;
+  }
+}
+
+module.exports = InMemoryPaymentProvider;
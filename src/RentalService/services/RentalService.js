@@ -11,11 +11,13 @@
  *  1. List a spot for rent (owner makes their spot available)
  *  2. Query available spots for a given date
  *  3. Request & confirm a rental
- *  4. Cancel a rental (with refund / fine logic)
+ *  4. Cancel a rental (with refund / fine logic); expire unpaid rentals
  *  5. Complete a rental at end of day
  *  6. Handle blocked-spot reports → automatic reassignment
- *  7. Apply penalties and track license-plate bans
+ *  7. Review reports, apply penalties and track license-plate bans
  *  8. File and manage dispute reports
+ *  9. Export a user's data; release a deleted user's bookings and
+ *     anonymize their history
  *
  * ── Integration Points (other team members' services) ─────────────────────
  *  - User / Auth (Max)       → userId validation, account status checks
@@ -25,9 +27,43 @@
  *  - App UI (Hannah)         → renders available spots, confirmation flows
  *
  * ── Data Store Abstraction ────────────────────────────────────────────────
- * This service uses in-memory Maps as its data store so it can run
- * standalone for development and testing.  In production these would be
- * swapped for database queries (PostgreSQL via the API service).
+ * State lives in collections of a pluggable repository passed as
+ * `options.repository` (see src/repositories).  It defaults to an
+ * InMemoryRepository so the service still runs standalone for development
+ * and testing; the API uses a FirestoreRepository.  Every public method is
+ * async.
+ *
+ * ── Booking Atomicity ─────────────────────────────────────────────────────
+ * A spot can only be booked once per date.  Checking for an existing rental
+ * and then saving a new one is not atomic, so every booking first creates a
+ * reservation lock document keyed by `${spotId}_${date}` with the
+ * repository's atomic `create()`.  Exactly one concurrent request can create
+ * it; the rest are rejected as already rented.  The lock is released when
+ * the rental is cancelled or expires.
+ *
+ * A pending rental that isn't paid for within PENDING_RENTAL_EXPIRY_MINUTES
+ * expires: the next request for its spot and date expires it first, and
+ * expireOverdueRentals() sweeps the rest on a schedule.  Until then it
+ * keeps its lock and can still be confirmed.
+ *
+ * ── School Calendar ───────────────────────────────────────────────────────
+ * When given `options.calendarService` (SchoolCalendarService), dates are
+ * checked against the school calendar: spots can't be listed or rented on
+ * weekends, holidays or other days without school.
+ *
+ * ── Payments ──────────────────────────────────────────────────────────────
+ * Confirming a rental or paying a penalty takes the ID of a payment intent
+ * the client paid.  The service looks it up with `options.paymentProvider`
+ * (see InMemoryPaymentProvider for the contract) and only accepts it if it
+ * succeeded, is for this rental or penalty and covers the amount.  Each
+ * intent is then claimed with an atomic `create()` in the payments
+ * collection, so it can't pay for two things.  Without a provider nothing
+ * can be paid.
+ *
+ * Refunds (cancellations, blocked spots with no replacement, deleted
+ * accounts) are issued with the provider's refundPayment() before anything
+ * is recorded, so a failed refund fails the operation.  Only confirmed
+ * rentals were paid for: pending ones are never refunded or fined.
  */
 
 const ParkingSpot = require('../models/ParkingSpot');
@@ -37,6 +73,8 @@ const Transaction = require('../models/Transaction');
 const Penalty = require('../models/Penalty');
 const Report = require('../models/Report');
 const PricingEngine = require('./PricingEngine');
+const InMemoryRepository = require('../../repositories/InMemoryRepository');
+const { ALREADY_EXISTS } = require('../../repositories/errors');
 const {
   RENTAL_STATUS,
   TRANSACTION_STATUS,
@@ -44,7 +82,12 @@ const {
   REPORT_TYPES,
   PRICING,
   CANCELLATION_POLICY,
+  PAID_PAYMENT_STATUSES,
+  RENTAL_COLLECTIONS,
+  DELETED_USER_ID,
 } = require('../utils/constants');
+const { ServiceError, ERROR_CODES } = require('../../errors');
+const { CONFLICT, FORBIDDEN, INVALID, NOT_FOUND, PAYMENT_REQUIRED, UNAVAILABLE } = ERROR_CODES;
 
 // ── Tiny UUID helper (swap for `uuid` package in production) ──────────────
 function generateId() {
@@ -57,41 +100,87 @@ function generateId() {
 class RentalService {
   /**
    * @param {Object}        [options]
-   * @param {PricingEngine} [options.pricingEngine] - Custom pricing engine
+   * @param {PricingEngine} [options.pricingEngine]   - Custom pricing engine
+   * @param {Object}        [options.calendarService] - SchoolCalendarService for date checks
+   * @param {Object}        [options.repository]      - Data store (defaults to InMemoryRepository)
+   * @param {Object}        [options.paymentProvider] - Looks up payment intents (see "Payments" above)
    */
   constructor(options = {}) {
     this.pricingEngine = options.pricingEngine || new PricingEngine();
+    this.calendarService = options.calendarService || null;
+    this.paymentProvider = options.paymentProvider || null;
 
-    // ── In-memory data stores (replace with DB in production) ───────────
-    /** @type {Map<string, ParkingSpot>} spotId → ParkingSpot */
-    this.spots = new Map();
+    // ── Data stores ─────────────────────────────────────────────────────
+    const repository = options.repository || new InMemoryRepository();
 
-    /** @type {Map<string, SpotOwnership>} ownershipId → SpotOwnership */
-    this.ownerships = new Map();
+    /** ParkingSpot by spotId */
+    this.spots = repository.collection(RENTAL_COLLECTIONS.SPOTS, {
+      idField: 'spotId',
+      model: ParkingSpot,
+    });
 
-    /** @type {Map<string, SpotRental>} rentalId → SpotRental */
-    this.rentals = new Map();
+    /** SpotOwnership by ownershipId */
+    this.ownerships = repository.collection(RENTAL_COLLECTIONS.OWNERSHIPS, {
+      idField: 'ownershipId',
+      model: SpotOwnership,
+    });
 
-    /** @type {Map<string, Transaction>} transactionId → Transaction */
-    this.transactions = new Map();
+    /** SpotRental by rentalId */
+    this.rentals = repository.collection(RENTAL_COLLECTIONS.RENTALS, {
+      idField: 'rentalId',
+      model: SpotRental,
+    });
 
-    /** @type {Map<string, Penalty>} penaltyId → Penalty */
-    this.penalties = new Map();
+    /** Transaction by transactionId */
+    this.transactions = repository.collection(RENTAL_COLLECTIONS.TRANSACTIONS, {
+      idField: 'transactionId',
+      model: Transaction,
+    });
+
+    /** Penalty by penaltyId */
+    this.penalties = repository.collection(RENTAL_COLLECTIONS.PENALTIES, {
+      idField: 'penaltyId',
+      model: Penalty,
+    });
+
+    /** Report by reportId */
+    this.reports = repository.collection(RENTAL_COLLECTIONS.REPORTS, {
+      idField: 'reportId',
+      model: Report,
+    });
+
+    /**
+     * Dates a spot has been listed as available for rent, one
+     * `{ listingId, spotId, date }` record per spot per ISO date string.
+     */
+    this.listings = repository.collection(RENTAL_COLLECTIONS.LISTINGS, {
+      idField: 'listingId',
+    });
 
-    /** @type {Map<string, Report>} reportId → Report */
-    this.reports = new Map();
+    /**
+     * License plates currently banned (unpaid spot-blocking fines),
+     * stored as `{ plate, bannedAt }`.
+     */
+    this.bannedPlates = repository.collection(RENTAL_COLLECTIONS.BANNED_PLATES, {
+      idField: 'plate',
+    });
 
     /**
-     * Tracks dates a spot has been listed as available for rent.
-     * @type {Map<string, Set<string>>}  spotId → Set of ISO date strings
+     * Booking locks, one `{ reservationId, spotId, date, rentalId }` record
+     * per booked spot per date (see "Booking Atomicity" above).
      */
-    this.availableDates = new Map();
+    this.reservations = repository.collection(RENTAL_COLLECTIONS.RESERVATIONS, {
+      idField: 'reservationId',
+    });
 
     /**
-     * License plates currently banned (unpaid spot-blocking fines).
-     * @type {Set<string>}
+     * Payment intents already used, one `{ paymentIntentId, amountCents,
+     * claimedAt, ... }` record each, plus the `rentalId` or `penaltyId` it
+     * paid for.
      */
-    this.bannedPlates = new Set();
+    this.payments = repository.collection(RENTAL_COLLECTIONS.PAYMENTS, {
+      idField: 'paymentIntentId',
+    });
   }
 
   // ═══════════════════════════════════════════════════════════════════════
@@ -104,10 +193,9 @@ class RentalService {
    * @param  {Object} spotData - Constructor args for ParkingSpot
    * @return {ParkingSpot}
    */
-  addSpot(spotData) {
+  async addSpot(spotData) {
     const spot = new ParkingSpot({ spotId: generateId(), ...spotData });
-    this.spots.set(spot.spotId, spot);
-    return spot;
+    return this.spots.save(spot);
   }
 
   /**
@@ -117,16 +205,15 @@ class RentalService {
    * @param  {Object} [opts]
    * @return {SpotOwnership}
    */
-  assignOwnership(spotId, userId, opts = {}) {
-    if (!this.spots.has(spotId)) throw new Error(`Spot ${spotId} not found`);
+  async assignOwnership(spotId, userId, opts = {}) {
+    if (!(await this.spots.get(spotId))) throw new ServiceError(NOT_FOUND, `Spot ${spotId} not found`);
     const ownership = new SpotOwnership({
       ownershipId: generateId(),
       spotId,
       userId,
       ...opts,
     });
-    this.ownerships.set(ownership.ownershipId, ownership);
-    return ownership;
+    return this.ownerships.save(ownership);
   }
 
   // ═══════════════════════════════════════════════════════════════════════
@@ -140,19 +227,21 @@ class RentalService {
    * @param  {string} dateStr - ISO date string (YYYY-MM-DD)
    * @return {{ spotId: string, date: string }}
    */
-  listSpotForRent(spotId, userId, dateStr) {
-    const ownership = this._getActiveOwnership(spotId);
+  async listSpotForRent(spotId, userId, dateStr) {
+    const ownership = await this._getActiveOwnership(spotId);
     if (!ownership) {
-      throw new Error(`No active ownership found for spot ${spotId}`);
+      throw new ServiceError(INVALID, `No active ownership found for spot ${spotId}`);
     }
     if (ownership.userId !== userId) {
-      throw new Error('Only the spot owner can list the spot for rent');
+      throw new ServiceError(FORBIDDEN, 'Only the spot owner can list the spot for rent');
     }
+    await this._assertSchoolDay(dateStr);
 
-    if (!this.availableDates.has(spotId)) {
-      this.availableDates.set(spotId, new Set());
-    }
-    this.availableDates.get(spotId).add(dateStr);
+    await this.listings.save({
+      listingId: this._listingId(spotId, dateStr),
+      spotId,
+      date: dateStr,
+    });
 
     return { spotId, date: dateStr };
   }
@@ -162,9 +251,8 @@ class RentalService {
    * @param {string} spotId
    * @param {string} dateStr
    */
-  unlistSpot(spotId, dateStr) {
-    const dates = this.availableDates.get(spotId);
-    if (dates) dates.delete(dateStr);
+  async unlistSpot(spotId, dateStr) {
+    await this.listings.delete(this._listingId(spotId, dateStr));
   }
 
   /**
@@ -177,16 +265,15 @@ class RentalService {
    * @param  {string}  [filters.vehicleSize] - Filter by vehicle compatibility
    * @return {Array<{ spot: ParkingSpot, priceCents: number, priceDollars: string }>}
    */
-  getAvailableSpots(dateStr, filters = {}) {
+  async getAvailableSpots(dateStr, filters = {}) {
     const availableSpots = [];
+    if (!(await this._isSchoolDay(dateStr))) return availableSpots;
 
-    for (const [spotId, dates] of this.availableDates.entries()) {
-      if (!dates.has(dateStr)) continue;
-
+    for (const { spotId } of await this.listings.find({ date: dateStr })) {
       // Skip spots that already have a confirmed/pending rental for this date
-      if (this._hasActiveRentalOnDate(spotId, dateStr)) continue;
+      if (await this._hasActiveRentalOnDate(spotId, dateStr)) continue;
 
-      const spot = this.spots.get(spotId);
+      const spot = await this.spots.get(spotId);
       if (!spot) continue;
 
       // Apply optional filters
@@ -212,34 +299,39 @@ class RentalService {
    * @param  {string} dateStr       - Rental date (YYYY-MM-DD)
    * @return {SpotRental}
    */
-  requestRental(spotId, renterUserId, dateStr) {
+  async requestRental(spotId, renterUserId, dateStr) {
     // Validate the spot is available
-    const dates = this.availableDates.get(spotId);
-    if (!dates || !dates.has(dateStr)) {
-      throw new Error(`Spot ${spotId} is not available on ${dateStr}`);
+    if (!(await this.listings.get(this._listingId(spotId, dateStr)))) {
+      throw new ServiceError(INVALID, `Spot ${spotId} is not available on ${dateStr}`);
     }
 
+    // Listings made before the calendar was set may fall on a day off
+    await this._assertSchoolDay(dateStr);
+
+    // A rental left unpaid past its deadline gives the spot up
+    await this._expireOverdueRentals(spotId, dateStr);
+
     // Prevent double booking
-    if (this._hasActiveRentalOnDate(spotId, dateStr)) {
-      throw new Error(`Spot ${spotId} is already rented on ${dateStr}`);
+    if (await this._hasActiveRentalOnDate(spotId, dateStr)) {
+      throw new ServiceError(CONFLICT, `Spot ${spotId} is already rented on ${dateStr}`);
     }
 
     // Check renter doesn't have unpaid penalties
-    if (this._hasUnpaidPenalties(renterUserId)) {
-      throw new Error('Cannot rent a spot while you have unpaid penalties');
+    if (await this._hasUnpaidPenalties(renterUserId)) {
+      throw new ServiceError(INVALID, 'Cannot rent a spot while you have unpaid penalties');
     }
 
     // Find the owner
-    const ownership = this._getActiveOwnership(spotId);
-    if (!ownership) throw new Error(`No owner found for spot ${spotId}`);
+    const ownership = await this._getActiveOwnership(spotId);
+    if (!ownership) throw new ServiceError(INVALID, `No owner found for spot ${spotId}`);
 
     // Owner cannot rent their own spot
     if (ownership.userId === renterUserId) {
-      throw new Error('You cannot rent your own spot');
+      throw new ServiceError(INVALID, 'You cannot rent your own spot');
     }
 
     // Calculate price
-    const spot = this.spots.get(spotId);
+    const spot = await this.spots.get(spotId);
     const priceCents = this.pricingEngine.calculateSpotPrice(spot);
 
     const rental = new SpotRental({
@@ -251,21 +343,43 @@ class RentalService {
       priceCents,
     });
 
-    this.rentals.set(rental.rentalId, rental);
-    return rental;
+    // Claim the spot for this date; only one concurrent request can win
+    if (!(await this._reserveSpot(spotId, dateStr, rental.rentalId))) {
+      throw new ServiceError(CONFLICT, `Spot ${spotId} is already rented on ${dateStr}`);
+    }
+
+    try {
+      return await this.rentals.save(rental);
+    } catch (error) {
+      await this._releaseSpot(spotId, dateStr);
+      throw error;
+    }
   }
 
   /**
-   * Confirm a pending rental (called after payment is authorized).
+   * Confirm a pending rental once the renter has paid for it.
+   * The payment intent is checked with the payment provider first.
    * @param  {string} rentalId
    * @param  {string} paymentIntentId - Stripe payment intent
    * @return {{ rental: SpotRental, transaction: Transaction }}
    */
-  confirmRental(rentalId, paymentIntentId) {
-    const rental = this.rentals.get(rentalId);
-    if (!rental) throw new Error(`Rental ${rentalId} not found`);
+  async confirmRental(rentalId, paymentIntentId) {
+    const rental = await this.getRental(rentalId);
+    if (!rental.isPending()) {
+      throw new ServiceError(CONFLICT, `Cannot confirm rental in '${rental.status}' status`);
+    }
+
+    // Expiry releases the lock first, so this catches an expiry in progress
+    const dateStr = rental.rentalDate.toISOString().split('T')[0];
+    const reservation = await this.reservations.get(this._listingId(rental.spotId, dateStr));
+    if (!reservation || reservation.rentalId !== rentalId) {
+      throw new ServiceError(CONFLICT, `Rental ${rentalId} expired before it was paid for`);
+    }
+
+    await this._claimPayment(paymentIntentId, rental.priceCents, { rentalId });
 
     rental.confirm(paymentIntentId);
+    await this.rentals.save(rental);
 
     // Create the transaction record
     const transaction = new Transaction({
@@ -276,10 +390,10 @@ class RentalService {
       status: TRANSACTION_STATUS.COMPLETED,
       description: `Rental payment for spot ${rental.spotId}`,
     });
-    this.transactions.set(transaction.transactionId, transaction);
+    await this.transactions.save(transaction);
 
     // Remove the date from available listings (spot is now taken)
-    this.unlistSpot(rental.spotId, rental.rentalDate.toISOString().split('T')[0]);
+    await this.unlistSpot(rental.spotId, dateStr);
 
     return { rental, transaction };
   }
@@ -290,11 +404,11 @@ class RentalService {
    * @param  {string} rentalId
    * @return {{ rental: SpotRental, ownerPayout: Object }}
    */
-  completeRental(rentalId) {
-    const rental = this.rentals.get(rentalId);
-    if (!rental) throw new Error(`Rental ${rentalId} not found`);
+  async completeRental(rentalId) {
+    const rental = await this.getRental(rentalId);
 
     rental.complete();
+    await this.rentals.save(rental);
 
     const payout = this.pricingEngine.calculateFeeBreakdown(rental.priceCents);
 
@@ -311,60 +425,56 @@ class RentalService {
    * Business rules (MVP.md):
    *   - Day before (≥24 hrs): full refund
    *   - Day of    (<24 hrs) : renter gets fined
+   *   - Not paid for yet    : cancelled, nothing refunded or fined
    *
    * @param  {string} rentalId
    * @return {{ rental: SpotRental, refundTransaction: Transaction|null, penalty: Penalty|null }}
    */
-  cancelRental(rentalId) {
-    const rental = this.rentals.get(rentalId);
-    if (!rental) throw new Error(`Rental ${rentalId} not found`);
+  async cancelRental(rentalId) {
+    const rental = await this.getRental(rentalId);
 
     const outcome = rental.getCancellationOutcome();
     if (!outcome.eligible) {
-      throw new Error(outcome.reason);
+      throw new ServiceError(CONFLICT, outcome.reason);
     }
 
-    rental.cancel();
-
     let refundTransaction = null;
     let penalty = null;
 
     if (outcome.fullRefund) {
       // ── Full refund path ──────────────────────────────────────────────
-      refundTransaction = new Transaction({
-        transactionId: generateId(),
-        rentalId,
-        amountCents: -rental.priceCents,   // Negative = refund
-        status: TRANSACTION_STATUS.REFUNDED,
-        description: 'Full refund: cancelled with ≥24 hours notice',
-      });
-      this.transactions.set(refundTransaction.transactionId, refundTransaction);
-    } else {
+      refundTransaction = await this._refund(
+        rental,
+        rental.priceCents,
+        'Full refund: cancelled with ≥24 hours notice',
+      );
+    } else if (outcome.paid) {
       // ── Late cancellation → fine the renter ───────────────────────────
+      // Still issue a partial refund (rental price minus the fine)
+      const refundAmount = rental.priceCents - PRICING.LATE_CANCEL_FINE_CENTS;
+      if (refundAmount > 0) {
+        refundTransaction = await this._refund(
+          rental,
+          refundAmount,
+          'Partial refund after late-cancellation fine',
+        );
+      }
+
       penalty = Penalty.createLateCancellation({
         penaltyId: generateId(),
         userId: rental.renterUserId,
         rentalId,
       });
-      this.penalties.set(penalty.penaltyId, penalty);
-
-      // Still issue a partial refund (rental price minus the fine)
-      const refundAmount = rental.priceCents - PRICING.LATE_CANCEL_FINE_CENTS;
-      if (refundAmount > 0) {
-        refundTransaction = new Transaction({
-          transactionId: generateId(),
-          rentalId,
-          amountCents: -refundAmount,
-          status: TRANSACTION_STATUS.REFUNDED,
-          description: 'Partial refund after late-cancellation fine',
-        });
-        this.transactions.set(refundTransaction.transactionId, refundTransaction);
-      }
+      await this.penalties.save(penalty);
     }
 
-    // Re-list the spot so someone else can rent it
+    rental.cancel();
+    await this.rentals.save(rental);
+
+    // Release the booking and re-list the spot so someone else can rent it
     const dateStr = rental.rentalDate.toISOString().split('T')[0];
-    this.listSpotForRent(
+    await this._releaseSpot(rental.spotId, dateStr);
+    await this.listSpotForRent(
       rental.spotId,
       rental.ownerUserId,
       dateStr,
@@ -373,13 +483,28 @@ class RentalService {
     return { rental, refundTransaction, penalty };
   }
 
+  /**
+   * Expire every pending rental left unpaid past its deadline, releasing
+   * its spot.  Run on a schedule; requestRental() also expires overdue
+   * rentals of the spot it books.
+   * @param  {Object} [options]
+   * @param  {Date}   [options.now=new Date()]
+   * @return {{ expired: string[] }} IDs of the expired rentals
+   */
+  async expireOverdueRentals({ now = new Date() } = {}) {
+    const pending = await this.rentals.find({ status: RENTAL_STATUS.PENDING });
+    const overdue = pending.filter((rental) => rental.isPaymentOverdue(now));
+    for (const rental of overdue) await this._expire(rental);
+    return { expired: overdue.map((rental) => rental.rentalId) };
+  }
+
   // ═══════════════════════════════════════════════════════════════════════
   //  5.  BLOCKED SPOT → AUTOMATIC REASSIGNMENT
   // ═══════════════════════════════════════════════════════════════════════
 
   /**
    * Handle a blocked-spot report:
-   *   1. Fine the blocker (if identified)
+   *   1. File the report for an admin to review (see resolveReport)
    *   2. Find a replacement spot in the same lot
    *   3. Create a new rental for the replacement spot
    *   4. Pay the new spot owner with the original rental payment
@@ -390,60 +515,47 @@ class RentalService {
    * @param  {Object} params
    * @param  {string} params.rentalId          - The blocked rental
    * @param  {string} params.reporterUserId    - The renter who found their spot blocked
-   * @param  {string} [params.blockerUserId]   - The offender (if license plate identified)
-   * @param  {string} [params.blockerPlate]    - The offender's license plate
+   * @param  {string} [params.blockerPlate]    - License plate of the car in the spot
    * @param  {string} params.description       - Description of the incident
-   * @return {{ penalty: Penalty|null, newRental: SpotRental|null, message: string }}
+   * @return {{ report: Report, newRental: SpotRental|null, message: string }}
    */
-  handleBlockedSpot({
+  async handleBlockedSpot({
     rentalId,
     reporterUserId,
-    blockerUserId = null,
     blockerPlate = null,
     description = '',
   }) {
-    const rental = this.rentals.get(rentalId);
-    if (!rental) throw new Error(`Rental ${rentalId} not found`);
+    const rental = await this.getRental(rentalId);
     if (rental.renterUserId !== reporterUserId) {
-      throw new Error('Only the renter can report a blocked spot for this rental');
+      throw new ServiceError(FORBIDDEN, 'Only the renter can report a blocked spot for this rental');
     }
 
     // Prevent cascading reassignments (max 1 per rental)
     if (rental.isReassignment()) {
-      throw new Error('This rental is already a reassignment.');
+      throw new ServiceError(CONFLICT, 'This rental is already a reassignment.');
+    }
+
+    // Only a paid-for, upcoming booking can be reassigned or refunded
+    if (!rental.isConfirmed()) {
+      throw new ServiceError(CONFLICT, `Cannot report a blocked spot for a rental in '${rental.status}' status`);
     }
 
-    // ── 1. Create internal report record (for tracking) ──────────────────
+    // ── 1. Create the report for an admin to review ─────────────────────
+    // (the blocker is only fined once an admin resolves it)
     const report = new Report({
       reportId: generateId(),
       reporterUserId,
-      reportedUserId: blockerUserId,
       rentalId,
       reportType: REPORT_TYPES.BLOCKED_SPOT,
       description,
+      reportedPlate: blockerPlate,
     });
-    this.reports.set(report.reportId, report);
-
-    // ── 2. Fine the blocker (if identified) ─────────────────────────────
-    let penalty = null;
-    if (blockerUserId) {
-      penalty = Penalty.createSpotBlocking({
-        penaltyId: generateId(),
-        userId: blockerUserId,
-        rentalId,
-      });
-      this.penalties.set(penalty.penaltyId, penalty);
+    await this.reports.save(report);
 
-      // Ban their license plate until fine is paid
-      if (blockerPlate) {
-        this.bannedPlates.add(blockerPlate);
-      }
-    }
-
-    // ── 3. Find a replacement spot ──────────────────────────────────────
-    const originalSpot = this.spots.get(rental.spotId);
+    // ── 2. Find a replacement spot ──────────────────────────────────────
+    const originalSpot = await this.spots.get(rental.spotId);
     const dateStr = rental.rentalDate.toISOString().split('T')[0];
-    const candidates = this.getAvailableSpots(dateStr, {
+    const candidates = await this.getAvailableSpots(dateStr, {
       lotName: originalSpot.lotName,  // Same lot
     });
 
@@ -453,80 +565,168 @@ class RentalService {
     );
 
     let newRental = null;
+    let best = null;
     let message = '';
 
-    if (suitable.length > 0) {
-      // Pick the closest spot (first in sorted list after distance filter)
-      const best = suitable[0];
-
-      // ── 4. Create new rental ──────────────────────────────────────────
-      const ownership = this._getActiveOwnership(best.spot.spotId);
-
-      newRental = new SpotRental({
-        rentalId: generateId(),
-        spotId: best.spot.spotId,
-        ownerUserId: ownership.userId,
-        renterUserId: reporterUserId,
-        rentalDate: dateStr,
-        priceCents: rental.priceCents,  // Pay the new owner the original price
-        status: RENTAL_STATUS.CONFIRMED,
-        reassignedFromRentalId: rental.rentalId,
-      });
-      this.rentals.set(newRental.rentalId, newRental);
-
-      // ── 5. Create transaction for the new spot owner ──────────────────
-      const txn = new Transaction({
-        transactionId: generateId(),
-        rentalId: newRental.rentalId,
-        amountCents: rental.priceCents,
-        status: TRANSACTION_STATUS.COMPLETED,
-        description: `Reassignment payment: renter moved from spot ${rental.spotId}`,
-      });
-      this.transactions.set(txn.transactionId, txn);
+    // Pick the closest spot (sorted list after distance filter) that can
+    // still be reserved — another renter may book one in the meantime
+    const newRentalId = generateId();
+    for (const candidate of suitable) {
+      if (await this._reserveSpot(candidate.spot.spotId, dateStr, newRentalId)) {
+        best = candidate;
+        break;
+      }
+    }
 
-      // Mark original rental as disputed and remove availability
-      rental.dispute();
-      this.unlistSpot(best.spot.spotId, dateStr);
+    if (best) {
+      // The replacement spot is reserved for newRentalId; if anything below
+      // fails, undo what was saved and release it so it can be booked again
+      let txn = null;
+      try {
+        // ── 3. Create new rental ────────────────────────────────────────
+        const ownership = await this._getActiveOwnership(best.spot.spotId);
+
+        newRental = new SpotRental({
+          rentalId: newRentalId,
+          spotId: best.spot.spotId,
+          ownerUserId: ownership.userId,
+          renterUserId: reporterUserId,
+          rentalDate: dateStr,
+          priceCents: rental.priceCents,  // Pay the new owner the original price
+          status: RENTAL_STATUS.CONFIRMED,
+          reassignedFromRentalId: rental.rentalId,
+        });
+        await this.rentals.save(newRental);
+
+        // ── 4. Create transaction for the new spot owner ────────────────
+        txn = new Transaction({
+          transactionId: generateId(),
+          rentalId: newRental.rentalId,
+          amountCents: rental.priceCents,
+          status: TRANSACTION_STATUS.COMPLETED,
+          description: `Reassignment payment: renter moved from spot ${rental.spotId}`,
+        });
+        await this.transactions.save(txn);
+
+        // Mark original rental as disputed and remove availability
+        rental.dispute();
+        await this.rentals.save(rental);
+        await this.unlistSpot(best.spot.spotId, dateStr);
+      } catch (error) {
+        if (txn) await this.transactions.delete(txn.transactionId);
+        await this.rentals.delete(newRentalId);
+        await this._releaseSpot(best.spot.spotId, dateStr);
+        throw error;
+      }
 
       message = `Reassigned to spot ${best.spot.spotNumber} in ${best.spot.lotName} lot`;
     } else {
       // ── No suitable spot → full refund ─────────────────────────────────
-      const refund = new Transaction({
-        transactionId: generateId(),
-        rentalId,
-        amountCents: -rental.priceCents,
-        status: TRANSACTION_STATUS.REFUNDED,
-        description: 'Full refund: blocked spot with no available reassignment',
-      });
-      this.transactions.set(refund.transactionId, refund);
+      await this._refund(rental, rental.priceCents, 'Full refund: blocked spot with no available reassignment');
 
       rental.dispute();
+      await this.rentals.save(rental);
       message = 'No replacement spot available. You have been fully refunded.';
     }
 
-    return { penalty, newRental, message };
+    return { report, newRental, message };
   }
 
   // ═══════════════════════════════════════════════════════════════════════
-  //  6.  PENALTIES & LICENSE-PLATE BANS
+  //  6.  REPORT REVIEW, PENALTIES & LICENSE-PLATE BANS
   // ═══════════════════════════════════════════════════════════════════════
 
   /**
-   * Pay off a penalty. If it was a spot-blocking offense, unban the plate.
+   * Blocked-spot reports, newest first.
+   * @param  {Object} [filters]
+   * @param  {string} [filters.status] - One of REPORT_STATUS
+   * @return {Report[]}
+   */
+  async listReports({ status = null } = {}) {
+    const reports = await this.reports.find(status ? { status } : {});
+    return reports.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * An admin resolves a pending report: the blocker they identified is
+   * fined and the plate banned until the fine is paid.
+   * @param  {string} reportId
+   * @param  {Object} params
+   * @param  {string} params.reviewedBy     - Admin's user ID
+   * @param  {string} params.blockerUserId  - The blocker
+   * @param  {string} [params.licensePlate] - Plate to ban; defaults to the one reported
+   * @param  {Object} [params.batch]        - Repository write batch to add the writes to; the caller commits it
+   * @return {{ report: Report, penalty: Penalty }}
+   */
+  async resolveReport(reportId, { reviewedBy, blockerUserId, licensePlate = null, batch = null }) {
+    const report = await this.getReport(reportId);
+    if (!blockerUserId) throw new ServiceError(INVALID, 'blockerUserId is required');
+    if (blockerUserId === report.reporterUserId) {
+      throw new ServiceError(INVALID, 'The renter who filed the report cannot be fined for it');
+    }
+
+    const plate = licensePlate || report.reportedPlate;
+    const penalty = Penalty.createSpotBlocking({
+      penaltyId: generateId(),
+      userId: blockerUserId,
+      rentalId: report.rentalId,
+      licensePlate: plate,
+    });
+    report.resolve({ reviewedBy, reportedUserId: blockerUserId, penaltyId: penalty.penaltyId });
+
+    await this.penalties.save(penalty, { batch });
+    await this.reports.save(report, { batch });
+
+    // Ban their license plate until fine is paid
+    if (plate) {
+      await this.bannedPlates.save({ plate, bannedAt: new Date() }, { batch });
+    }
+
+    return { report, penalty };
+  }
+
+  /**
+   * An admin dismisses a pending report; nobody is fined.
+   * @param  {string} reportId
+   * @param  {Object} params
+   * @param  {string} params.reviewedBy - Admin's user ID
+   * @param  {Object} [params.batch]    - Repository write batch to add the write to; the caller commits it
+   * @return {Report}
+   */
+  async dismissReport(reportId, { reviewedBy, batch = null }) {
+    const report = await this.getReport(reportId);
+    report.dismiss({ reviewedBy });
+    return this.reports.save(report, { batch });
+  }
+
+  /**
+   * Pay off a penalty. The payment intent is checked with the payment
+   * provider first.  If it was a spot-blocking offense, the plate it banned
+   * is unbanned unless another unpaid fine still bans it.
    * @param  {string} penaltyId
-   * @param  {string} [licensePlate] - Plate to unban on payment
+   * @param  {string} userId          - Must be the penalized user
+   * @param  {string} paymentIntentId - Stripe payment intent
    * @return {Penalty}
    */
-  payPenalty(penaltyId, licensePlate = null) {
-    const penalty = this.penalties.get(penaltyId);
-    if (!penalty) throw new Error(`Penalty ${penaltyId} not found`);
-    if (penalty.isPaid) throw new Error('Penalty is already paid');
+  async payPenalty(penaltyId, userId, paymentIntentId) {
+    const penalty = await this.getPenalty(penaltyId);
+    if (penalty.userId !== userId) {
+      throw new ServiceError(FORBIDDEN, 'Only the penalized user can pay this penalty');
+    }
+    if (penalty.isPaid) throw new ServiceError(CONFLICT, 'Penalty is already paid');
+
+    await this._claimPayment(paymentIntentId, penalty.amountCents, { penaltyId });
 
     penalty.markPaid();
+    await this.penalties.save(penalty);
 
     // Unban license plate if applicable
-    if (licensePlate && penalty.offenseType === OFFENSE_TYPES.SPOT_BLOCKING) {
-      this.bannedPlates.delete(licensePlate);
+    const plate = penalty.licensePlate;
+    if (plate && penalty.offenseType === OFFENSE_TYPES.SPOT_BLOCKING) {
+      const stillBanned = await this.penalties.find({ licensePlate: plate, isPaid: false });
+      if (!stillBanned.some((p) => p.requiresLicenseBan())) {
+        await this.bannedPlates.delete(plate);
+      }
     }
 
     return penalty;
@@ -538,8 +738,8 @@ class RentalService {
    * @param  {string} plate
    * @return {boolean}
    */
-  isPlateBanned(plate) {
-    return this.bannedPlates.has(plate);
+  async isPlateBanned(plate) {
+    return (await this.bannedPlates.get(plate)) !== null;
   }
 
   /**
@@ -547,10 +747,157 @@ class RentalService {
    * @param  {string} userId
    * @return {Penalty[]}
    */
-  getUnpaidPenalties(userId) {
-    return [...this.penalties.values()].filter(
-      (p) => p.userId === userId && !p.isPaid
-    );
+  async getUnpaidPenalties(userId) {
+    return this.penalties.find({ userId, isPaid: false });
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  //  7.  ACCOUNT DATA
+  // ═══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Everything stored about a user, for a personal data export: spots they
+   * own or owned, rentals on either side with their transactions, their
+   * penalties, and reports they filed or that were filed about them.
+   * Reports about the user leave out who filed them.
+   *
+   * @param  {string} userId
+   * @return {{ ownerships: Object[], rentals: Object[], transactions: Object[],
+   *   penalties: Object[], reports: Object[] }} Plain objects
+   */
+  async exportUserData(userId) {
+    const [ownerships, asRenter, asOwner, penalties, filed, about] = await Promise.all([
+      this.ownerships.find({ userId }),
+      this.rentals.find({ renterUserId: userId }),
+      this.rentals.find({ ownerUserId: userId }),
+      this.penalties.find({ userId }),
+      this.reports.find({ reporterUserId: userId }),
+      this.reports.find({ reportedUserId: userId }),
+    ]);
+    const rentals = [...asRenter, ...asOwner];
+
+    const transactions = [];
+    for (const rental of rentals) {
+      transactions.push(...(await this.getTransactions(rental.rentalId)));
+    }
+
+    return {
+      ownerships: ownerships.map((o) => o.toJSON()),
+      rentals: rentals.map((r) => r.toJSON()),
+      transactions: transactions.map((t) => t.toJSON()),
+      penalties: penalties.map((p) => p.toJSON()),
+      reports: [
+        ...filed.map((r) => r.toJSON()),
+        ...about
+            .filter((r) => r.reporterUserId !== userId)
+            .map((r) => ({ ...r.toJSON(), reporterUserId: null })),
+      ],
+    };
+  }
+
+  /**
+   * Release everything a user whose account is being deleted has booked or
+   * offered, then anonymize their rental history.
+   *
+   *   - Upcoming active rentals (today or later) are cancelled with a full
+   *     refund of anything paid, on either side: no late-cancellation fine
+   *     for a departing renter, and the renter of a departing owner's spot
+   *     gets their money back.  Spots the user rented are re-listed for
+   *     their owners.
+   *   - Their spots' listings are removed and their ownerships ended.
+   *   - Every rental, penalty, report and ownership that names them is kept
+   *     for the books with DELETED_USER_ID in their place.  Transactions
+   *     only reference rentals, so they are anonymized with them.
+   *
+   * With `dryRun` nothing is changed; the result lists what would be.
+   *
+   * @param  {string}  userId
+   * @param  {Object}  [options]
+   * @param  {boolean} [options.dryRun=false]
+   * @param  {Date}    [options.now=new Date()]
+   * @return {{ cancelledRentals: Array<{ rentalId: string, spotId: string, date: string,
+   *   role: string, otherUserId: string, refundCents: number }>,
+   *   listings: string[], ownerships: string[],
+   *   anonymized: { rentals: number, penalties: number, reports: number, ownerships: number } }}
+   *   `role` is the user's side of the rental ('renter' or 'owner');
+   *   `ownerships` are the spot IDs the user no longer owns
+   */
+  async removeUser(userId, { dryRun = false, now = new Date() } = {}) {
+    const today = now.toISOString().split('T')[0];
+    const [asRenter, asOwner] = await Promise.all([
+      this.rentals.find({ renterUserId: userId }),
+      this.rentals.find({ ownerUserId: userId }),
+    ]);
+    const rentals = [...asRenter, ...asOwner];
+
+    const cancelledRentals = [];
+    for (const rental of rentals) {
+      const dateStr = rental.rentalDate.toISOString().split('T')[0];
+      if (!rental.isActive() || dateStr < today) continue;
+
+      const role = rental.renterUserId === userId ? 'renter' : 'owner';
+      cancelledRentals.push({
+        rentalId: rental.rentalId,
+        spotId: rental.spotId,
+        date: dateStr,
+        role,
+        otherUserId: role === 'renter' ? rental.ownerUserId : rental.renterUserId,
+        refundCents: rental.isConfirmed() ? rental.priceCents : 0,
+      });
+      if (!dryRun) await this._cancelForDeletedUser(rental, role);
+    }
+
+    const listings = [];
+    const ownerships = await this.ownerships.find({ userId });
+    const activeOwnerships = ownerships.filter((o) => o.isActive);
+    for (const { spotId } of activeOwnerships) {
+      for (const listing of await this.listings.find({ spotId })) {
+        listings.push(listing.listingId);
+        if (!dryRun) await this.listings.delete(listing.listingId);
+      }
+    }
+
+    const [penalties, reported, reporting] = await Promise.all([
+      this.penalties.find({ userId }),
+      this.reports.find({ reportedUserId: userId }),
+      this.reports.find({ reporterUserId: userId }),
+    ]);
+    const reports = [...reported, ...reporting.filter((r) => r.reportedUserId !== userId)];
+
+    if (!dryRun) {
+      for (const rental of rentals) {
+        if (rental.renterUserId === userId) rental.renterUserId = DELETED_USER_ID;
+        if (rental.ownerUserId === userId) rental.ownerUserId = DELETED_USER_ID;
+        rental.updatedAt = new Date();
+        await this.rentals.save(rental);
+      }
+      for (const penalty of penalties) {
+        penalty.userId = DELETED_USER_ID;
+        await this.penalties.save(penalty);
+      }
+      for (const report of reports) {
+        if (report.reporterUserId === userId) report.reporterUserId = DELETED_USER_ID;
+        if (report.reportedUserId === userId) report.reportedUserId = DELETED_USER_ID;
+        await this.reports.save(report);
+      }
+      for (const ownership of ownerships) {
+        if (ownership.isActive) ownership.deactivate();
+        ownership.userId = DELETED_USER_ID;
+        await this.ownerships.save(ownership);
+      }
+    }
+
+    return {
+      cancelledRentals,
+      listings,
+      ownerships: activeOwnerships.map((o) => o.spotId),
+      anonymized: {
+        rentals: rentals.length,
+        penalties: penalties.length,
+        reports: reports.length,
+        ownerships: ownerships.length,
+      },
+    };
   }
 
 
@@ -563,10 +910,9 @@ class RentalService {
    * @param  {string} userId
    * @return {SpotRental[]}
    */
-  getMyRentals(userId) {
-    return [...this.rentals.values()].filter(
-      (r) => r.renterUserId === userId && r.isActive()
-    );
+  async getMyRentals(userId) {
+    const rentals = await this.rentals.find({ renterUserId: userId });
+    return rentals.filter((r) => r.isActive());
   }
 
   /**
@@ -574,26 +920,60 @@ class RentalService {
    * @param  {string} userId
    * @return {Array<{ spot: ParkingSpot, dates: string[] }>}
    */
-  getMyListings(userId) {
+  async getMyListings(userId) {
     const results = [];
-    for (const [spotId, dates] of this.availableDates.entries()) {
-      const ownership = this._getActiveOwnership(spotId);
-      if (!ownership || ownership.userId !== userId) continue;
-      const spot = this.spots.get(spotId);
+    const ownerships = await this.ownerships.find({ userId, isActive: true });
+    for (const { spotId } of ownerships) {
+      const listings = await this.listings.find({ spotId });
+      if (listings.length === 0) continue;
+      const spot = await this.spots.get(spotId);
       if (spot) {
-        results.push({ spot, dates: [...dates] });
+        results.push({ spot, dates: listings.map((l) => l.date).sort() });
       }
     }
     return results;
   }
 
+  /**
+   * Get a specific rental by ID.
+   * @param  {string} rentalId
+   * @return {SpotRental}
+   */
+  async getRental(rentalId) {
+    const rental = await this.rentals.get(rentalId);
+    if (!rental) throw new ServiceError(NOT_FOUND, `Rental ${rentalId} not found`);
+    return rental;
+  }
+
+  /**
+   * Get a specific report by ID.
+   * @param  {string} reportId
+   * @return {Report}
+   */
+  async getReport(reportId) {
+    const report = await this.reports.get(reportId);
+    if (!report) throw new ServiceError(NOT_FOUND, `Report ${reportId} not found`);
+    return report;
+  }
+
+  /**
+   * Get a specific penalty by ID.
+   * @param  {string} penaltyId
+   * @return {Penalty}
+   */
+  async getPenalty(penaltyId) {
+    const penalty = await this.penalties.get(penaltyId);
+    if (!penalty) throw new ServiceError(NOT_FOUND, `Penalty ${penaltyId} not found`);
+    return penalty;
+  }
+
   /**
    * Get all rentals for a specific spot.
    * @param  {string} spotId
    * @return {SpotRental[]}
    */
-  getRentalHistory(spotId) {
-    return [...this.rentals.values()].filter((r) => r.spotId === spotId);
+  async getRentalHistory(spotId) {
+    return this.rentals.find({ spotId });
   }
 
   /**
@@ -601,45 +981,97 @@ class RentalService {
    * @param  {string} rentalId
    * @return {Transaction[]}
    */
-  getTransactions(rentalId) {
-    return [...this.transactions.values()].filter((t) => t.rentalId === rentalId);
+  async getTransactions(rentalId) {
+    return this.transactions.find({ rentalId });
   }
 
   // ═══════════════════════════════════════════════════════════════════════
   //  PRIVATE HELPERS
   // ═══════════════════════════════════════════════════════════════════════
 
+  /**
+   * Cancel an upcoming rental because one side's account is being deleted.
+   * Unlike cancelRental() the renter is never fined: whatever they paid is
+   * refunded in full.  When the renter is the one leaving, the spot goes
+   * back on the market for its owner.
+   *
+   * @param {SpotRental} rental
+   * @param {string}     role - The deleted user's side: 'renter' or 'owner'
+   */
+  async _cancelForDeletedUser(rental, role) {
+    if (rental.isConfirmed()) {
+      await this._refund(
+        rental,
+        rental.priceCents,
+        role === 'renter' ? 'Full refund: renter account deleted' : 'Full refund: spot owner account deleted',
+      );
+    }
+    rental.cancel();
+    await this.rentals.save(rental);
+
+    const dateStr = rental.rentalDate.toISOString().split('T')[0];
+    await this._releaseSpot(rental.spotId, dateStr);
+    if (role === 'renter') {
+      await this.listings.save({
+        listingId: this._listingId(rental.spotId, dateStr),
+        spotId: rental.spotId,
+        date: dateStr,
+      });
+    }
+  }
+
   /**
    * Find the current active ownership for a spot.
    * @param  {string} spotId
    * @return {SpotOwnership|null}
    */
-  _getActiveOwnership(spotId) {
-    for (const ownership of this.ownerships.values()) {
-      if (ownership.spotId === spotId && ownership.isActive) {
-        return ownership;
-      }
-    }
-    return null;
+  async _getActiveOwnership(spotId) {
+    const [ownership] = await this.ownerships.find({ spotId, isActive: true });
+    return ownership || null;
   }
 
   /**
    * Check if a spot already has an active rental on a given date.
+   * Pending rentals past their payment deadline don't count.
    * @param  {string} spotId
    * @param  {string} dateStr
    * @return {boolean}
    */
-  _hasActiveRentalOnDate(spotId, dateStr) {
-    for (const rental of this.rentals.values()) {
-      if (
-        rental.spotId === spotId &&
+  async _hasActiveRentalOnDate(spotId, dateStr) {
+    const rentals = await this.rentals.find({ spotId });
+    return rentals.some(
+      (rental) =>
         rental.isActive() &&
+        !rental.isPaymentOverdue() &&
         rental.rentalDate.toISOString().split('T')[0] === dateStr
-      ) {
-        return true;
+    );
+  }
+
+  /**
+   * Expire a spot's pending rentals for a date that are past their payment
+   * deadline, so the spot can be booked again.
+   * @param {string} spotId
+   * @param {string} dateStr
+   */
+  async _expireOverdueRentals(spotId, dateStr) {
+    const pending = await this.rentals.find({ spotId, status: RENTAL_STATUS.PENDING });
+    for (const rental of pending) {
+      if (rental.isPaymentOverdue() && rental.rentalDate.toISOString().split('T')[0] === dateStr) {
+        await this._expire(rental);
       }
     }
-    return false;
+  }
+
+  /**
+   * Expire an unpaid rental and release its spot.  The lock goes first, so
+   * a confirmation racing the expiry is refused (see confirmRental()).  The
+   * listing was never removed, so the spot is available again at once.
+   * @param {SpotRental} rental
+   */
+  async _expire(rental) {
+    await this._releaseSpot(rental.spotId, rental.rentalDate.toISOString().split('T')[0]);
+    rental.expire();
+    await this.rentals.save(rental);
   }
 
   /**
@@ -647,13 +1079,145 @@ class RentalService {
    * @param  {string} userId
    * @return {boolean}
    */
-  _hasUnpaidPenalties(userId) {
-    for (const penalty of this.penalties.values()) {
-      if (penalty.userId === userId && !penalty.isPaid) {
-        return true;
+  async _hasUnpaidPenalties(userId) {
+    const unpaid = await this.getUnpaidPenalties(userId);
+    return unpaid.length > 0;
+  }
+
+  /**
+   * Atomically claim a spot for a date on behalf of a rental.
+   * @param  {string} spotId
+   * @param  {string} dateStr
+   * @param  {string} rentalId
+   * @return {boolean} False if the spot is already reserved for that date
+   */
+  async _reserveSpot(spotId, dateStr, rentalId) {
+    try {
+      await this.reservations.create({
+        reservationId: this._listingId(spotId, dateStr),
+        spotId,
+        date: dateStr,
+        rentalId,
+        createdAt: new Date(),
+      });
+      return true;
+    } catch (error) {
+      if (error.code === ALREADY_EXISTS) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Release a spot's reservation for a date so it can be booked again.
+   * @param {string} spotId
+   * @param {string} dateStr
+   */
+  async _releaseSpot(spotId, dateStr) {
+    await this.reservations.delete(this._listingId(spotId, dateStr));
+  }
+
+  /**
+   * Refund part or all of what was paid for a rental through the payment
+   * provider, then record the refund.  A rental created by reassignment was
+   * paid for by the rental it replaced.
+   * @param  {SpotRental} rental
+   * @param  {number}     amountCents - Positive amount to give back
+   * @param  {string}     description
+   * @return {Transaction} The refund (negative amount)
+   */
+  async _refund(rental, amountCents, description) {
+    if (!this.paymentProvider) throw new ServiceError(UNAVAILABLE, 'Payments are not configured');
+
+    let paymentIntentId = rental.paymentIntentId;
+    if (!paymentIntentId && rental.isReassignment()) {
+      const original = await this.rentals.get(rental.reassignedFromRentalId);
+      paymentIntentId = original ? original.paymentIntentId : null;
+    }
+    if (!paymentIntentId) {
+      throw new ServiceError(CONFLICT, `Rental ${rental.rentalId} has no payment on record to refund`);
+    }
+
+    const refund = await this.paymentProvider.refundPayment(paymentIntentId, amountCents, {
+      rentalId: rental.rentalId,
+    });
+    const transaction = new Transaction({
+      transactionId: generateId(),
+      rentalId: rental.rentalId,
+      amountCents: -amountCents,   // Negative = refund
+      stripeChargeId: refund.id,
+      status: TRANSACTION_STATUS.REFUNDED,
+      description,
+    });
+    return this.transactions.save(transaction);
+  }
+
+  /**
+   * Verify a payment intent with the payment provider and claim it, so the
+   * same payment can't be used twice.
+   * @param  {string} paymentIntentId
+   * @param  {number} amountCents - What the payment must cover
+   * @param  {Object} purpose     - What it pays for, e.g. `{ rentalId }`;
+   *                                the intent's metadata must name it
+   */
+  async _claimPayment(paymentIntentId, amountCents, purpose) {
+    if (!this.paymentProvider) throw new ServiceError(UNAVAILABLE, 'Payments are not configured');
+    if (!paymentIntentId) throw new ServiceError(INVALID, 'paymentIntentId is required');
+
+    const intent = await this.paymentProvider.getPaymentIntent(paymentIntentId);
+    if (!intent) throw new ServiceError(PAYMENT_REQUIRED, `Payment ${paymentIntentId} not found`);
+    if (!PAID_PAYMENT_STATUSES.includes(intent.status)) {
+      throw new ServiceError(PAYMENT_REQUIRED, `Payment ${paymentIntentId} has not succeeded`);
+    }
+    const metadata = intent.metadata || {};
+    if (Object.entries(purpose).some(([field, id]) => metadata[field] !== id)) {
+      throw new ServiceError(PAYMENT_REQUIRED, `Payment ${paymentIntentId} is for something else`);
+    }
+    if (intent.amountCents !== amountCents) {
+      throw new ServiceError(PAYMENT_REQUIRED, `Payment ${paymentIntentId} does not match the amount due`);
+    }
+
+    try {
+      await this.payments.create({ paymentIntentId, ...purpose, amountCents, claimedAt: new Date() });
+    } catch (error) {
+      if (error.code === ALREADY_EXISTS) {
+        throw new ServiceError(CONFLICT, `Payment ${paymentIntentId} has already been used`);
       }
+      throw error;
     }
-    return false;
+  }
+
+  /**
+   * Whether school is in session on a date.
+   * Always true when no school calendar is available.
+   * @param  {string} dateStr
+   * @return {boolean}
+   */
+  async _isSchoolDay(dateStr) {
+    if (!this.calendarService) return true;
+    const day = await this.calendarService.resolveDate(dateStr);
+    return !day || day.schoolDay;
+  }
+
+  /**
+   * Throw if there is no school on a date (nobody needs to park).
+   * @param {string} dateStr
+   */
+  async _assertSchoolDay(dateStr) {
+    if (!this.calendarService) return;
+    const day = await this.calendarService.resolveDate(dateStr);
+    if (day && !day.schoolDay) {
+      throw new ServiceError(INVALID, `There is no school on ${dateStr} (${day.name || day.reason})`);
+    }
+  }
+
+  /**
+   * Listing (and reservation) record ID for a spot on a date.
+   * @param  {string} spotId
+   * @param  {string} dateStr
+   * @return {string}
+   */
+  _listingId(spotId, dateStr) {
+    return `${spotId}_${dateStr}`;
   }
 }
 
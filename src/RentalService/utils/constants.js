@@ -37,12 +37,14 @@ const OWNERSHIP_TYPES = Object.freeze({
 // ── Rental Status Lifecycle ─────────────────────────────────────────────────
 // pending → confirmed → completed
 //         ↘ cancelled
+//         ↘ expired (never paid for)
 //         ↘ disputed → resolved
 const RENTAL_STATUS = Object.freeze({
   PENDING: 'pending',
   CONFIRMED: 'confirmed',
   COMPLETED: 'completed',
   CANCELLED: 'cancelled',
+  EXPIRED: 'expired',
   DISPUTED: 'disputed',
 });
 
@@ -67,6 +69,14 @@ const REPORT_TYPES = Object.freeze({
   // Other report types removed (secondary/admin features)
 });
 
+// ── Report Status ───────────────────────────────────────────────────────────
+// Admins review each report: they fine the blocker or dismiss it
+const REPORT_STATUS = Object.freeze({
+  PENDING: 'pending',
+  RESOLVED: 'resolved',
+  DISMISSED: 'dismissed',
+});
+
 // ── Grade Levels ────────────────────────────────────────────────────────────
 const GRADE_LEVELS = Object.freeze({
   SOPHOMORE: 'sophomore',
@@ -92,12 +102,43 @@ const PRICING = Object.freeze({
   PLATFORM_FEE_PERCENT: 5,          // 5% platform fee on transactions
 });
 
+// ── Payments ────────────────────────────────────────────────────────────────
+// Payment intent statuses (Stripe's) that count as paid: captured, or
+// authorized and waiting to be captured
+const PAID_PAYMENT_STATUSES = Object.freeze(['succeeded', 'requires_capture']);
+
+// How long a pending (unpaid) rental holds its spot before it can expire
+const PENDING_RENTAL_EXPIRY_MINUTES = 30;
+
 // ── Cancellation Policy ─────────────────────────────────────────────────────
 const CANCELLATION_POLICY = Object.freeze({
   FULL_REFUND_HOURS_BEFORE: 24, // Cancel ≥24 hrs before → full refund
   FINE_HOURS_BEFORE: 0,         // Cancel <24 hrs before → renter gets fined
 });
 
+// ── Data Store Collections ──────────────────────────────────────────────────
+// Collection names used by the repository (Firestore collection names when
+// backed by FirestoreRepository). `parkingSpots`, `rentals` and `reports`
+// are shared with the admin panel.
+const RENTAL_COLLECTIONS = Object.freeze({
+  SPOTS: 'parkingSpots',
+  OWNERSHIPS: 'spotOwnerships',
+  LISTINGS: 'spotListings',
+  RENTALS: 'rentals',
+  TRANSACTIONS: 'transactions',
+  PENALTIES: 'penalties',
+  REPORTS: 'reports',
+  BANNED_PLATES: 'bannedPlates',
+  RESERVATIONS: 'spotReservations',
+  PAYMENTS: 'payments',
+});
+
+// ── Account Deletion ────────────────────────────────────────────────────────
+// Stands in for a deleted user's ID in the rentals, penalties, reports and
+// ownerships kept for the books after their account is deleted, and in the
+// tandem pairings, requests and emotes kept for their partners.
+const DELETED_USER_ID = 'deleted-user';
+
 module.exports = {
   LOT_NAMES,
   SPOT_TYPES,
@@ -107,8 +148,13 @@ module.exports = {
   TRANSACTION_STATUS,
   OFFENSE_TYPES,
   REPORT_TYPES,
+  REPORT_STATUS,
   GRADE_LEVELS,
   ACCOUNT_STATUS,
   PRICING,
   CANCELLATION_POLICY,
+  PAID_PAYMENT_STATUSES,
+  PENDING_RENTAL_EXPIRY_MINUTES,
+  RENTAL_COLLECTIONS,
+  DELETED_USER_ID,
 };
@@ -0,0 +1,22 @@
+/**
+ * SchoolCalendar Module — Public API
+ *
+ * Import everything from here:
+ *   const { SchoolCalendarService, NO_SCHOOL_REASONS } = require('./src/SchoolCalendar');
+ */
+
+// Services
+const SchoolCalendarService = require('./services/SchoolCalendarService');
+
+// Constants
+const constants = require('./utils/constants');
+const { NO_SCHOOL_REASONS } = require('../../scheduling system/rotationCalendar');
+
+module.exports = {
+  // Services
+  SchoolCalendarService,
+
+  // Constants
+  ...constants,
+  NO_SCHOOL_REASONS,
+};
@@ -0,0 +1,300 @@
+/**
+ * SchoolCalendarService.js
+ * Maps calendar dates to HW rotation days for the other services.
+ *
+ * The bell schedule (scheduling system/bellSchedule.js) and students' built
+ * schedules are keyed by rotation day 1–6, but rentals and tandem pairings
+ * work with real dates (`dateStr`, YYYY-MM-DD).  This service stores the
+ * current school-year calendar (start date, holidays, no-school days and
+ * special schedules) and resolves dates against it with the scheduling
+ * system's rotationCalendar.
+ *
+ * It also stores the alternate bell schedules (late start, assembly,
+ * finals) the deans' office publishes each year, and which dates use them
+ * (see scheduling system/alternateBellSchedules.js).  Resolved dates carry
+ * the bell schedule in effect, and getDayMix() tells the matching engine
+ * how often each kind of day occurs.
+ *
+ * ── Consumers ─────────────────────────────────────────────────────────────
+ *  - RentalService → refuses listings/rentals on dates without school
+ *  - TandemService → who is on campus on a given date (getDayPlan), and
+ *                    weighting days when scoring matches (getDayMix)
+ *  - /schedule/upload → builds uploaded schedules with the alternates
+ *
+ * Both take it as `options.calendarService`.  Until an admin saves a
+ * calendar, resolveDate() returns null and they skip date checks.
+ *
+ * ── Data Store Abstraction ────────────────────────────────────────────────
+ * The calendar is one record in a pluggable repository passed as
+ * `options.repository` (see src/repositories), so every instance on the
+ * same repository sees the same calendar.  Every public method is async.
+ */
+
+const InMemoryRepository = require('../../repositories/InMemoryRepository');
+const {
+  buildCalendar,
+  resolveDate,
+  nextSchoolDay,
+} = require('../../../scheduling system/rotationCalendar');
+const {
+  loadAlternateSchedules,
+  buildDayMix,
+} = require('../../../scheduling system/alternateBellSchedules');
+const {
+  CALENDAR_COLLECTIONS,
+  CURRENT_CALENDAR_ID,
+  BELL_SCHEDULES_ID,
+} = require('../utils/constants');
+
+class SchoolCalendarService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.repository] - Data store (defaults to InMemoryRepository)
+   */
+  constructor(options = {}) {
+    const repository = options.repository || new InMemoryRepository();
+
+    /**
+     * School-year calendars, stored as
+     * `{ calendarId, config, updatedBy, updatedAt }`, plus the alternate
+     * bell schedules as `{ calendarId: 'bellSchedules', schedules, updatedBy, updatedAt }`.
+     */
+    this.calendars = repository.collection(CALENDAR_COLLECTIONS.CALENDARS, {
+      idField: 'calendarId',
+    });
+
+    // Built calendar for the stored record, rebuilt when it changes
+    this._cached = null;
+    // Loaded alternate bell schedules, reloaded when they change
+    this._cachedAlternates = null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  //  1.  CALENDAR MANAGEMENT
+  // ═══════════════════════════════════════════════════════════════════════
+
+  /**
+   * The config as `setCalendar()` stores it, with defaults filled in.
+   * @param  {Object} config
+   * @return {Object}
+   */
+  static normalizeConfig(config) {
+    return {
+      startDate: config && config.startDate,
+      endDate: config && config.endDate,
+      firstRotationDay: (config && config.firstRotationDay) ?? 1,
+      holidays: (config && config.holidays) || [],
+      noSchoolDays: (config && config.noSchoolDays) || [],
+      specialSchedules: (config && config.specialSchedules) || [],
+    };
+  }
+
+  /**
+   * Replace the current school-year calendar.
+   * The config is validated before it is stored.
+   *
+   * @param  {Object} config - See scheduling system/rotationCalendar.js
+   * @param  {Object} [meta]
+   * @param  {string} [meta.updatedBy] - Admin who made the change
+   * @param  {Object} [meta.batch]     - Repository write batch to add the write to; the caller commits it
+   * @return {{ startDate: string, endDate: string, schoolDays: number }}
+   */
+  async setCalendar(config, { updatedBy = null, batch = null } = {}) {
+    const normalized = SchoolCalendarService.normalizeConfig(config);
+    const built = buildCalendar(normalized);
+
+    const record = {
+      calendarId: CURRENT_CALENDAR_ID,
+      config: normalized,
+      updatedBy,
+      updatedAt: new Date(),
+    };
+    await this.calendars.save(record, { batch });
+    this._cached = { updatedAt: record.updatedAt.getTime(), built };
+
+    return this._summarize(built);
+  }
+
+  /**
+   * Get the stored calendar config.
+   * @return {Object|null} `{ config, updatedBy, updatedAt, summary }`, or null if none is set
+   */
+  async getCalendar() {
+    const record = await this.calendars.get(CURRENT_CALENDAR_ID);
+    if (!record) return null;
+
+    return {
+      config: record.config,
+      updatedBy: record.updatedBy,
+      updatedAt: record.updatedAt,
+      summary: this._summarize(await this._getBuilt()),
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  //  2.  ALTERNATE BELL SCHEDULES
+  // ═══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Replace the alternate bell schedules with the deans' office's published
+   * JSON.  It is validated before it is stored.  Schedules uploaded earlier
+   * keep their regular times until they are uploaded again.
+   *
+   * @param  {Object} schedules - See scheduling system/alternateBellSchedules.js
+   * @param  {Object} [meta]
+   * @param  {string} [meta.updatedBy] - Admin who made the change
+   * @param  {Object} [meta.batch]     - Repository write batch to add the write to; the caller commits it
+   * @return {{ schoolYear: string|null, schedules: number, dates: number }}
+   */
+  async setBellSchedules(schedules, { updatedBy = null, batch = null } = {}) {
+    const loaded = loadAlternateSchedules(schedules);
+
+    const record = {
+      calendarId: BELL_SCHEDULES_ID,
+      schedules,
+      updatedBy,
+      updatedAt: new Date(),
+    };
+    await this.calendars.save(record, { batch });
+    this._cachedAlternates = { updatedAt: record.updatedAt.getTime(), loaded };
+
+    return this._summarizeAlternates(loaded);
+  }
+
+  /**
+   * Get the stored alternate bell schedules as published.
+   * @return {Object|null} `{ schedules, updatedBy, updatedAt, summary }`, or null if none are set
+   */
+  async getBellSchedules() {
+    const record = await this.calendars.get(BELL_SCHEDULES_ID);
+    if (!record) return null;
+
+    return {
+      schedules: record.schedules,
+      updatedBy: record.updatedBy,
+      updatedAt: record.updatedAt,
+      summary: this._summarizeAlternates(await this.getAlternates()),
+    };
+  }
+
+  /**
+   * The loaded alternate bell schedules, for scheduleBuilder.buildSchedule().
+   * @return {Object|null} loadAlternateSchedules() output, or null if none are set
+   */
+  async getAlternates() {
+    const record = await this.calendars.get(BELL_SCHEDULES_ID);
+    if (!record) {
+      this._cachedAlternates = null;
+      return null;
+    }
+
+    const updatedAt = new Date(record.updatedAt).getTime();
+    if (!this._cachedAlternates || this._cachedAlternates.updatedAt !== updatedAt) {
+      this._cachedAlternates = { updatedAt, loaded: loadAlternateSchedules(record.schedules) };
+    }
+    return this._cachedAlternates.loaded;
+  }
+
+  /**
+   * How often each kind of school day occurs this school year, for
+   * weighting compatibility scores.
+   * @return {Array|null} buildDayMix() output, or null if no calendar has been set
+   */
+  async getDayMix() {
+    const built = await this._getBuilt();
+    return built ? buildDayMix(built, await this.getAlternates()) : null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  //  3.  RESOLVING DATES
+  // ═══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Resolve a date to its rotation day and bell schedule.
+   * @param  {string} dateStr - YYYY-MM-DD
+   * @return {Object|null} rotationCalendar resolution
+   *   (`{ date, schoolDay, rotationDay, special | reason, name }`), with
+   *   `bellSchedule: { id, name } | null` on school days, or null if no
+   *   calendar has been set
+   */
+  async resolveDate(dateStr) {
+    const built = await this._getBuilt();
+    return built ? this._withBellSchedule(resolveDate(built, dateStr)) : null;
+  }
+
+  /**
+   * Find the next school day after a date ("tomorrow", skipping weekends
+   * and holidays).
+   * @param  {string} dateStr - YYYY-MM-DD
+   * @return {Object|null} resolution, or null if there is none (or no calendar)
+   */
+  async nextSchoolDay(dateStr) {
+    const built = await this._getBuilt();
+    const day = built ? nextSchoolDay(built, dateStr) : null;
+    return day ? this._withBellSchedule(day) : null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  //  INTERNAL HELPERS
+  // ═══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Build (or reuse) the calendar for the stored record.
+   * @return {Object|null} buildCalendar() output
+   */
+  async _getBuilt() {
+    const record = await this.calendars.get(CURRENT_CALENDAR_ID);
+    if (!record) {
+      this._cached = null;
+      return null;
+    }
+
+    const updatedAt = new Date(record.updatedAt).getTime();
+    if (!this._cached || this._cached.updatedAt !== updatedAt) {
+      this._cached = { updatedAt, built: buildCalendar(record.config) };
+    }
+    return this._cached.built;
+  }
+
+  /**
+   * Add the alternate bell schedule in effect to a school-day resolution.
+   * @param  {Object} day - rotationCalendar resolution
+   * @return {Object}
+   */
+  async _withBellSchedule(day) {
+    if (!day.schoolDay) return day;
+
+    const alternates = await this.getAlternates();
+    const id = alternates ? alternates.dates[day.date] : null;
+    return {
+      ...day,
+      bellSchedule: id ? { id, name: alternates.schedules[id].name } : null,
+    };
+  }
+
+  /**
+   * @param  {Object} loaded - loadAlternateSchedules() output
+   * @return {{ schoolYear: string|null, schedules: number, dates: number }}
+   */
+  _summarizeAlternates(loaded) {
+    return {
+      schoolYear: loaded.schoolYear,
+      schedules: Object.keys(loaded.schedules).length,
+      dates: Object.keys(loaded.dates).length,
+    };
+  }
+
+  /**
+   * @param  {Object} built - buildCalendar() output
+   * @return {{ startDate: string, endDate: string, schoolDays: number }}
+   */
+  _summarize(built) {
+    return {
+      startDate: built.startDate,
+      endDate: built.endDate,
+      schoolDays: Object.values(built.days).filter((day) => day.schoolDay).length,
+    };
+  }
+}
+
+module.exports = SchoolCalendarService;
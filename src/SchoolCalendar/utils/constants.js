@@ -0,0 +1,21 @@
+/**
+ * constants.js
+ * Constants for the school calendar used to map dates to HW rotation days.
+ */
+
+// ── Repository Collections ──────────────────────────────────────────────────
+const CALENDAR_COLLECTIONS = Object.freeze({
+  CALENDARS: 'schoolCalendars',
+});
+
+// ID of the calendar record for the current school year
+const CURRENT_CALENDAR_ID = 'current';
+
+// ID of the record holding the published alternate bell schedules
+const BELL_SCHEDULES_ID = 'bellSchedules';
+
+module.exports = {
+  CALENDAR_COLLECTIONS,
+  CURRENT_CALENDAR_ID,
+  BELL_SCHEDULES_ID,
+};
@@ -11,13 +11,16 @@ const TandemPairing = require('./models/TandemPairing');
 const TandemRequest = require('./models/TandemRequest');
 const TandemMatch = require('./models/TandemMatch');
 const Emote = require('./models/Emote');
+const TandemAssignment = require('./models/TandemAssignment');
 
 // Services
 const TandemService = require('./services/TandemService');
 const TandemCompatibilityEngine = require('./services/TandemCompatibilityEngine');
+const TandemAssignmentSolver = require('./services/TandemAssignmentSolver');
 
-// Constants
+// Constants & adapters
 const constants = require('./utils/constants');
+const rotationSchedule = require('./utils/rotationSchedule');
 
 module.exports = {
   // Models
@@ -26,11 +29,14 @@ module.exports = {
   TandemRequest,
   TandemMatch,
   Emote,
+  TandemAssignment,
 
   // Services
   TandemService,
   TandemCompatibilityEngine,
+  TandemAssignmentSolver,
 
-  // Constants
+  // Constants & adapters
   ...constants,
+  ...rotationSchedule,
 };
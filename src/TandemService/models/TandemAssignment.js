@@ -0,0 +1,152 @@
+/**
+ * TandemAssignment.js
+ * A school-wide tandem pairing proposed by the TandemAssignmentSolver.
+ *
+ * Each semester the school assigns tandem spots for a whole grade or lot at
+ * once, rather than waiting for students to request each other.  The solver
+ * computes the pairing with the highest total compatibility; the result is
+ * stored here so admins can review it before any TandemPairing exists.
+ *
+ * Lifecycle:
+ *   proposed  ──→  committed  (admin approves → TandemPairings created)
+ *             ↘  discarded   (admin rejects)
+ *
+ * `pairs` holds `{ user1Id, user2Id, score, lot }` entries and `unmatched`
+ * holds `{ userId, reason }` entries (see TANDEM_UNMATCHED_REASONS).  On
+ * commit, `pairingIds` lists the pairings created and `skipped` any pairs
+ * that were no longer valid (e.g. one user paired up in the meantime).
+ */
+
+const { TANDEM_ASSIGNMENT_STATUS } = require('../utils/constants');
+const { ServiceError, ERROR_CODES } = require('../../errors');
+const { CONFLICT } = ERROR_CODES;
+
+class TandemAssignment {
+  /**
+   * @param {Object} data
+   * @param {string}   data.assignmentId      - UUID primary key
+   * @param {Object}   [data.scope]           - `{ gradeLevel, lot }` the proposal covers (null = all)
+   * @param {Object[]} [data.pairs]           - Proposed pairs `{ user1Id, user2Id, score, lot }`
+   * @param {Object[]} [data.unmatched]       - Users left out `{ userId, reason }`
+   * @param {number}   [data.totalScore]      - Sum of the pair scores
+   * @param {string}   [data.status]          - Current assignment status
+   * @param {string}   [data.createdBy]       - Admin who requested the proposal
+   * @param {string}   [data.reviewedBy]      - Admin who committed or discarded it
+   * @param {string[]} [data.pairingIds]      - Pairings created on commit
+   * @param {Object[]} [data.skipped]         - Pairs not created on commit `{ user1Id, user2Id, reason }`
+   * @param {Date}     [data.createdAt]
+   * @param {Date}     [data.reviewedAt]
+   */
+  constructor({
+    assignmentId,
+    scope = {},
+    pairs = [],
+    unmatched = [],
+    totalScore = 0,
+    status = TANDEM_ASSIGNMENT_STATUS.PROPOSED,
+    createdBy = null,
+    reviewedBy = null,
+    pairingIds = [],
+    skipped = [],
+    createdAt = new Date(),
+    reviewedAt = null,
+  }) {
+    if (!assignmentId) throw new Error('TandemAssignment requires an assignmentId');
+    if (!Object.values(TANDEM_ASSIGNMENT_STATUS).includes(status)) {
+      throw new Error(`Invalid assignment status: ${status}`);
+    }
+
+    this.assignmentId = assignmentId;
+    this.scope = { gradeLevel: scope.gradeLevel || null, lot: scope.lot || null };
+    this.pairs = pairs;
+    this.unmatched = unmatched;
+    this.totalScore = totalScore;
+    this.status = status;
+    this.createdBy = createdBy;
+    this.reviewedBy = reviewedBy;
+    this.pairingIds = pairingIds;
+    this.skipped = skipped;
+    this.createdAt = createdAt;
+    this.reviewedAt = reviewedAt;
+  }
+
+  // ── Status Checks ───────────────────────────────────────────────────────
+
+  isProposed()  { return this.status === TANDEM_ASSIGNMENT_STATUS.PROPOSED; }
+  isCommitted() { return this.status === TANDEM_ASSIGNMENT_STATUS.COMMITTED; }
+  isDiscarded() { return this.status === TANDEM_ASSIGNMENT_STATUS.DISCARDED; }
+
+  // ── Status Transitions ──────────────────────────────────────────────────
+
+  /**
+   * Record that an admin approved the proposal.
+   * @param {Object}   result
+   * @param {string[]} result.pairingIds - Pairings created
+   * @param {Object[]} result.skipped    - Pairs that could not be created
+   * @param {string}   [reviewedBy]
+   */
+  commit({ pairingIds, skipped }, reviewedBy = null) {
+    if (!this.isProposed()) {
+      throw new ServiceError(CONFLICT, `Cannot commit assignment in '${this.status}' status`);
+    }
+    this.status = TANDEM_ASSIGNMENT_STATUS.COMMITTED;
+    this.pairingIds = pairingIds;
+    this.skipped = skipped;
+    this.reviewedBy = reviewedBy;
+    this.reviewedAt = new Date();
+  }
+
+  /**
+   * Record that an admin rejected the proposal.
+   * @param {string} [reviewedBy]
+   */
+  discard(reviewedBy = null) {
+    if (!this.isProposed()) {
+      throw new ServiceError(CONFLICT, `Cannot discard assignment in '${this.status}' status`);
+    }
+    this.status = TANDEM_ASSIGNMENT_STATUS.DISCARDED;
+    this.reviewedBy = reviewedBy;
+    this.reviewedAt = new Date();
+  }
+
+  // ── Serialization ───────────────────────────────────────────────────────
+
+  toJSON() {
+    return {
+      assignmentId: this.assignmentId,
+      scope: this.scope,
+      pairs: this.pairs,
+      unmatched: this.unmatched,
+      totalScore: this.totalScore,
+      status: this.status,
+      createdBy: this.createdBy,
+      reviewedBy: this.reviewedBy,
+      pairingIds: this.pairingIds,
+      skipped: this.skipped,
+      createdAt: this.createdAt,
+      reviewedAt: this.reviewedAt,
+    };
+  }
+
+  /** Reconstruct a TandemAssignment from a plain object (e.g. DB row). */
+  static fromJSON(data) {
+    return new TandemAssignment({
+      assignmentId: data.assignment_id || data.assignmentId,
+      scope: data.scope || {},
+      pairs: data.pairs || [],
+      unmatched: data.unmatched || [],
+      totalScore: data.total_score ?? data.totalScore ?? 0,
+      status: data.status || TANDEM_ASSIGNMENT_STATUS.PROPOSED,
+      createdBy: data.created_by || data.createdBy || null,
+      reviewedBy: data.reviewed_by || data.reviewedBy || null,
+      pairingIds: data.pairing_ids || data.pairingIds || [],
+      skipped: data.skipped || [],
+      createdAt: data.created_at ? new Date(data.created_at) : new Date(data.createdAt),
+      reviewedAt: data.reviewed_at || data.reviewedAt
+        ? new Date(data.reviewed_at || data.reviewedAt)
+        : null,
+    });
+  }
+}
+
+module.exports = TandemAssignment;
@@ -24,6 +24,8 @@
  */
 
 const { TANDEM_STATUS } = require('../utils/constants');
+const { ServiceError, ERROR_CODES } = require('../../errors');
+const { CONFLICT } = ERROR_CODES;
 
 class TandemPairing {
   /**
@@ -117,7 +119,7 @@ class TandemPairing {
    */
   activate(spotId = null) {
     if (!this.isPending()) {
-      throw new Error(`Cannot activate pairing in '${this.status}' status`);
+      throw new ServiceError(CONFLICT, `Cannot activate pairing in '${this.status}' status`);
     }
     this.status = TANDEM_STATUS.ACTIVE;
     if (spotId) this.spotId = spotId;
@@ -127,7 +129,7 @@ class TandemPairing {
   /** Mark the pairing as completed (e.g. semester ended). */
   complete() {
     if (!this.isActive()) {
-      throw new Error(`Cannot complete pairing in '${this.status}' status`);
+      throw new ServiceError(CONFLICT, `Cannot complete pairing in '${this.status}' status`);
     }
     this.status = TANDEM_STATUS.COMPLETED;
     this.endDate = new Date();
@@ -137,7 +139,7 @@ class TandemPairing {
   /** Cancel the pairing. Either partner can do this. */
   cancel() {
     if (!this.isOpen()) {
-      throw new Error(`Cannot cancel pairing in '${this.status}' status`);
+      throw new ServiceError(CONFLICT, `Cannot cancel pairing in '${this.status}' status`);
     }
     this.status = TANDEM_STATUS.CANCELLED;
     this.endDate = new Date();
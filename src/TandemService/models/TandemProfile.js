@@ -118,6 +118,17 @@ class TandemProfile {
 
   // ── Mutations ─────────────────────────────────────────────────────────────
 
+  /** Move to another grade (school-year promotion or a corrected grade). */
+  setGradeLevel(gradeLevel) {
+    if (!Object.values(GRADE_LEVELS).includes(gradeLevel)) {
+      throw new Error(
+        `Invalid grade level: ${gradeLevel}. Must be one of: ${Object.values(GRADE_LEVELS).join(', ')}`
+      );
+    }
+    this.gradeLevel = gradeLevel;
+    this.updatedAt = new Date();
+  }
+
   /** Assign a specific tandem spot to this user. */
   assignSpot(spotId) {
     this.spotId = spotId;
@@ -17,6 +17,8 @@
  */
 
 const { TANDEM_REQUEST_STATUS } = require('../utils/constants');
+const { ServiceError, ERROR_CODES } = require('../../errors');
+const { CONFLICT } = ERROR_CODES;
 
 class TandemRequest {
   /**
@@ -87,7 +89,7 @@ class TandemRequest {
    */
   accept() {
     if (!this.isPending()) {
-      throw new Error(`Cannot accept request in '${this.status}' status`);
+      throw new ServiceError(CONFLICT, `Cannot accept request in '${this.status}' status`);
     }
     this.status = TANDEM_REQUEST_STATUS.ACCEPTED;
     this.respondedAt = new Date();
@@ -96,7 +98,7 @@ class TandemRequest {
   /** Target user rejects the pairing request. */
   reject() {
     if (!this.isPending()) {
-      throw new Error(`Cannot reject request in '${this.status}' status`);
+      throw new ServiceError(CONFLICT, `Cannot reject request in '${this.status}' status`);
     }
     this.status = TANDEM_REQUEST_STATUS.REJECTED;
     this.respondedAt = new Date();
@@ -105,7 +107,7 @@ class TandemRequest {
   /** Requester withdraws before the target responds. */
   withdraw() {
     if (!this.isPending()) {
-      throw new Error(`Cannot withdraw request in '${this.status}' status`);
+      throw new ServiceError(CONFLICT, `Cannot withdraw request in '${this.status}' status`);
     }
     this.status = TANDEM_REQUEST_STATUS.WITHDRAWN;
     this.respondedAt = new Date();
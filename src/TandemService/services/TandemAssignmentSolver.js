@@ -0,0 +1,138 @@
+/**
+ * TandemAssignmentSolver.js
+ * Pairs a whole pool of tandem users at once.
+ *
+ * `findMatches()` ranks partners for one user at a time, which is fine for
+ * students looking on their own but not for the semester assignment: greedily
+ * giving each student their best match leaves later students with poor
+ * partners or none.  The solver instead scores every allowed pair with the
+ * TandemCompatibilityEngine and picks the set of pairs with the highest
+ * total score (a maximum-weight matching, see utils/maxWeightMatching.js).
+ *
+ * ── Which pairs are allowed ────────────────────────────────────────────────
+ *  - Grade rules: the engine's `scoreGradeLevel()`, i.e.
+ *    TANDEM_GRADE_COMPATIBILITY (seniors only with seniors)
+ *  - Lots: both users prefer the same lot, or at least one has no
+ *    preferredLot
+ *  - The match meets the engine's minimum score
+ *
+ * By default the solver pairs as many users as possible and, among those
+ * pairings, takes the one with the highest total score.  The result is only
+ * a proposal; TandemService stores it as a TandemAssignment for review.
+ *
+ * ── Scale ─────────────────────────────────────────────────────────────────
+ * Admins propose from the API, so a solve has to fit in a request.  Scoring
+ * every pair and the matching both grow faster than the pool: the largest
+ * pool, every junior and sophomore in one lot (about 600 students), takes
+ * around 10s, which testTandemAssignments.js holds to well under the API's
+ * 60s timeout.
+ */
+
+const TandemCompatibilityEngine = require('./TandemCompatibilityEngine');
+const { maxWeightMatching } = require('../utils/maxWeightMatching');
+const { TANDEM_UNMATCHED_REASONS } = require('../utils/constants');
+
+// Scores are scaled to integers for the matching (two decimal places)
+const SCORE_SCALE = 100;
+
+class TandemAssignmentSolver {
+  /**
+   * @param {Object} [options]
+   * @param {TandemCompatibilityEngine} [options.compatibilityEngine]
+   */
+  constructor(options = {}) {
+    this.compatibilityEngine =
+      options.compatibilityEngine || new TandemCompatibilityEngine();
+  }
+
+  /**
+   * Compute the best pairing of a pool of users.
+   *
+   * @param {Object} params
+   * @param {TandemProfile[]} params.profiles   - Users to pair (all active, none already paired)
+   * @param {Map<string,Object[]|Object>} params.schedules - userId → schedule entries or presence map
+   * @param {Object[]} [params.dayMix]          - School-year day mix for rotation schedules
+   * @param {boolean}  [params.maximizePairs=true] - Pair as many users as possible first
+   *
+   * @return {{ pairs: Object[], unmatched: Object[], totalScore: number }}
+   *   `pairs` are `{ user1Id, user2Id, score, lot }`, highest score first;
+   *   `unmatched` are `{ userId, reason }`
+   */
+  solve({ profiles, schedules, dayMix = null, maximizePairs = true }) {
+    // Stable order so the same pool always gives the same proposal
+    const pool = [...profiles].sort((a, b) => a.userId.localeCompare(b.userId));
+
+    const edges = [];
+    const scores = new Map();
+    const hasPartner = new Set();
+
+    for (let i = 0; i < pool.length; i++) {
+      for (let j = i + 1; j < pool.length; j++) {
+        const a = pool[i];
+        const b = pool[j];
+        if (!this.isAllowedPair(a, b)) continue;
+
+        const match = this.compatibilityEngine.computeMatch({
+          profileA: a,
+          profileB: b,
+          scheduleA: schedules.get(a.userId) || [],
+          scheduleB: schedules.get(b.userId) || [],
+          dayMix,
+        });
+        if (!match.meetsMinimumScore(this.compatibilityEngine.minScore)) continue;
+
+        edges.push([i, j, Math.round(match.overallScore * SCORE_SCALE)]);
+        scores.set(`${i}:${j}`, match.overallScore);
+        hasPartner.add(i).add(j);
+      }
+    }
+
+    const mate = maxWeightMatching(edges, maximizePairs);
+
+    const pairs = [];
+    const unmatched = [];
+    for (let i = 0; i < pool.length; i++) {
+      const j = mate[i] ?? -1;
+      if (j === -1) {
+        unmatched.push({
+          userId: pool[i].userId,
+          reason: hasPartner.has(i) ?
+            TANDEM_UNMATCHED_REASONS.NOT_SELECTED :
+            TANDEM_UNMATCHED_REASONS.NO_COMPATIBLE_PARTNER,
+        });
+      } else if (i < j) {
+        pairs.push({
+          user1Id: pool[i].userId,
+          user2Id: pool[j].userId,
+          score: Math.round(scores.get(`${i}:${j}`) * 100) / 100,
+          lot: pool[i].preferredLot || pool[j].preferredLot || null,
+        });
+      }
+    }
+
+    pairs.sort((a, b) => b.score - a.score);
+    const totalScore = pairs.reduce((sum, pair) => sum + pair.score, 0);
+
+    return {
+      pairs,
+      unmatched,
+      totalScore: Math.round(totalScore * 100) / 100,
+    };
+  }
+
+  /**
+   * May these two users be paired at all (before looking at schedules)?
+   *
+   * @param  {TandemProfile} a
+   * @param  {TandemProfile} b
+   * @return {boolean}
+   */
+  isAllowedPair(a, b) {
+    const { compatible } = this.compatibilityEngine.scoreGradeLevel(a.gradeLevel, b.gradeLevel);
+    if (!compatible) return false;
+
+    return !a.preferredLot || !b.preferredLot || a.preferredLot === b.preferredLot;
+  }
+}
+
+module.exports = TandemAssignmentSolver;
@@ -31,6 +31,20 @@
  *     - Only one leaves = 10 points
  *     - Neither leaves = 10 points
  *
+ * ── HW Rotation Schedules ──────────────────────────────────────────────────
+ * The categories above score generic Monday–Friday entries.  When both
+ * users instead have a 6-day rotation presence map (built by the scheduling
+ * system's scheduleBuilder, see utils/rotationSchedule.js), the match is
+ * scored by the scheduling system's `computeCompatibility()` so the two
+ * code paths agree.  Its weights differ (overlap 35, arrival/departure 25,
+ * lunch 15, extracurriculars 15, grade 10) and each category score is the
+ * average over the six rotation days.  Given a `dayMix` (see the scheduling
+ * system's alternateBellSchedules.js), days are weighted by how often they
+ * occur in the school year and alternate-schedule days are scored on their
+ * own bell times.  Given a `term` (see the scheduling system's terms.js),
+ * only the courses that meet in that term count, and a term spanning
+ * several periods of the year is scored on its worst one.
+ *
  * ── Integration Points ─────────────────────────────────────────────────────
  *   - Schedule System (Nathan)   → schedule entries per day
  *   - User / Auth (Max)          → user profile data
@@ -38,6 +52,8 @@
  */
 
 const TandemMatch = require('../models/TandemMatch');
+const { computeCompatibility } = require('../../../scheduling system/compatibilityAlgorithm');
+const { isRotationSchedule, withProfileGrade } = require('../utils/rotationSchedule');
 const {
   GRADE_LEVELS,
   TANDEM_COMPATIBILITY_WEIGHTS,
@@ -77,8 +93,9 @@ class TandemCompatibilityEngine {
    * @param {Object} params
    * @param {TandemProfile} params.profileA  - First user's tandem profile
    * @param {TandemProfile} params.profileB  - Second user's tandem profile
-   * @param {Object[]} params.scheduleA      - User A's schedule entries (from Nathan's system)
-   * @param {Object[]} params.scheduleB      - User B's schedule entries
+   * @param {Object[]|Object} params.scheduleA - User A's schedule entries, or a rotation
+   *                                             presence map (see utils/rotationSchedule.js)
+   * @param {Object[]|Object} params.scheduleB - User B's schedule entries or presence map
    *   Each schedule entry: {
    *     dayOfWeek: string,              // 'Monday'–'Friday'
    *     arrivalTime: string,            // 'HH:MM' (24-hour)
@@ -86,10 +103,13 @@ class TandemCompatibilityEngine {
    *     extracurricularEndTime: string|null, // 'HH:MM' or null
    *     hasLunchOffCampus: boolean,     // Whether the user leaves for lunch
    *   }
+   * @param {Object[]} [params.dayMix] - School-year day mix for rotation schedules
+   * @param {string}   [params.term]   - Term to score rotation schedules for
+   *                                     ('S2-T3', 'S2', 'T1', ..., or 'worst')
    *
    * @return {TandemMatch} The match result with score breakdown
    */
-  computeMatch({ profileA, profileB, scheduleA = [], scheduleB = [] }) {
+  computeMatch({ profileA, profileB, scheduleA = [], scheduleB = [], dayMix = null, term = null }) {
     // ── 1. Grade Level Compatibility (0–20) ─────────────────────────────
     const { score: gradeLevelScore, compatible: gradeCompatible } =
       this.scoreGradeLevel(profileA.gradeLevel, profileB.gradeLevel);
@@ -113,6 +133,16 @@ class TandemCompatibilityEngine {
       });
     }
 
+    // Both on the HW rotation → score with the scheduling system's algorithm
+    if (isRotationSchedule(scheduleA) && isRotationSchedule(scheduleB)) {
+      return this.computeRotationMatch({ profileA, profileB, scheduleA, scheduleB, dayMix, term });
+    }
+
+    // Otherwise score weekday entries (a lone rotation schedule can't be
+    // compared with weekday entries, so it counts as empty)
+    scheduleA = this._asWeekdayEntries(scheduleA);
+    scheduleB = this._asWeekdayEntries(scheduleB);
+
     // ── 2. Schedule Overlap (0–40) ──────────────────────────────────────
     const {
       score: scheduleOverlapScore,
@@ -167,6 +197,63 @@ class TandemCompatibilityEngine {
     });
   }
 
+  /**
+   * Compute a match between two users on the HW 6-day rotation using the
+   * scheduling system's `computeCompatibility()`.  Grades come from the
+   * tandem profiles.  `overallScore` is the algorithm's final score; each
+   * category score is its per-day average, weighted by how often each day
+   * occurs when a `dayMix` is given.  `weeklyOverlapHours` is the overlap
+   * over one six-day rotation.  With a `term`, all of these are for the
+   * period of the year that scored worst, named in `scheduleDetails.term`.
+   *
+   * @param {Object} params
+   * @param {TandemProfile} params.profileA
+   * @param {TandemProfile} params.profileB
+   * @param {Object}        params.scheduleA - User A's rotation presence map
+   * @param {Object}        params.scheduleB - User B's rotation presence map
+   * @param {Object[]}      [params.dayMix]  - School-year day mix (buildDayMix())
+   * @param {string}        [params.term]    - Term to score (see computeMatch)
+   * @return {TandemMatch}
+   */
+  computeRotationMatch({ profileA, profileB, scheduleA, scheduleB, dayMix = null, term = null }) {
+    const options = {};
+    if (dayMix) options.dayMix = dayMix;
+    if (term) options.term = term;
+    const result = computeCompatibility(
+      withProfileGrade(scheduleA, profileA.gradeLevel),
+      withProfileGrade(scheduleB, profileB.gradeLevel),
+      options,
+    );
+
+    const days = Object.values(result.dayScores);
+    const weight = (d) => d.count ?? 1;
+    const totalWeight = days.reduce((sum, d) => sum + weight(d), 0);
+    const average = (pick) =>
+      totalWeight > 0 ? days.reduce((sum, d) => sum + pick(d) * weight(d), 0) / totalWeight : 0;
+    const overlapMinutes = average((d) => d.overlap.overlapMin) * 6;
+
+    return new TandemMatch({
+      matchId: generateId(),
+      userAId: profileA.userId,
+      userBId: profileB.userId,
+      overallScore: result.finalScore,
+      scheduleOverlapScore: average((d) => d.overlap.score),
+      gradeLevelScore: result.gradeScore.score,
+      arrivalCompatibilityScore: average((d) => d.arrivalDeparture.score),
+      extracurricularScore: average((d) => d.extracurricular.score),
+      lunchHabitsScore: average((d) => d.lunch.score),
+      weeklyOverlapHours: Math.round((overlapMinutes / 60) * 10) / 10,
+      scheduleDetails: {
+        model: 'rotation',
+        finalScore: result.finalScore,
+        dayAverage: result.dayAverage,
+        dayScores: result.dayScores,
+        ...(result.term && { term: result.term, termScores: result.termScores }),
+      },
+      gradeCompatible: result.compatible,
+    });
+  }
+
   /**
    * Find all compatible tandem matches for a single user from a pool of candidates.
    * Returns matches sorted by score (highest first), filtered by minimum threshold.
@@ -176,7 +263,10 @@ class TandemCompatibilityEngine {
    * @param {TandemProfile}   params.targetProfile       - The user seeking matches
    * @param {Object[]}        params.targetSchedule      - The user's schedule
    * @param {TandemProfile[]} params.candidateProfiles   - Pool of other users
-   * @param {Map<string,Object[]>} params.candidateSchedules - userId → schedule entries
+   * @param {Map<string,Object[]|Object>} params.candidateSchedules - userId → schedule entries
+   *                                                               or rotation presence map
+   * @param {Object[]}        [params.dayMix]            - School-year day mix for rotation schedules
+   * @param {string}          [params.term]              - Term to score rotation schedules for
    *
    * @return {TandemMatch[]} Sorted matches above minimum score
    */
@@ -185,6 +275,8 @@ class TandemCompatibilityEngine {
     targetSchedule,
     candidateProfiles,
     candidateSchedules,
+    dayMix = null,
+    term = null,
   }) {
     const matches = [];
 
@@ -206,6 +298,8 @@ class TandemCompatibilityEngine {
         profileB: candidateProfile,
         scheduleA: targetSchedule,
         scheduleB: candidateSchedule,
+        dayMix,
+        term,
       });
 
       if (match.meetsMinimumScore(this.minScore)) {
@@ -569,6 +663,15 @@ class TandemCompatibilityEngine {
   //  PRIVATE HELPERS
   // ═══════════════════════════════════════════════════════════════════════
 
+  /**
+   * Weekday entries for the Monday–Friday scorers (anything else is empty).
+   * @param  {Object[]|Object} schedule
+   * @return {Object[]}
+   */
+  _asWeekdayEntries(schedule) {
+    return Array.isArray(schedule) ? schedule : [];
+  }
+
   /**
    * Index schedule entries by day of week for O(1) lookup.
    * @param  {Object[]} schedule
@@ -13,7 +13,12 @@
  *  3. Pairing request workflow (request → accept/reject → create pairing)
  *  4. Pairing lifecycle        (activate, complete, cancel)
  *  5. Emote communication      (send predefined emotes with anti-spam)
- *  6. Queries                  (my pairing, my matches, emote history)
+ *  6. Queries                  (my pairing, my matches, emote history,
+ *                               who is on campus on a date)
+ *  7. Assignments              (admins pair a whole grade or lot at once:
+ *                               propose → review → commit/discard)
+ *  8. Account data             (export a user's data; end a deleted user's
+ *                               pairings and drop their data)
  *
  * ── Secondary Features (Not Implemented) ──────────────────────────────────
  *  - Push notifications (will use Firebase Cloud Messaging)
@@ -29,22 +34,36 @@
  *  - App UI (Hannah)          → renders matches, pairing management, emotes
  *
  * ── Data Store Abstraction ────────────────────────────────────────────────
- * Like the Carpool and Rental services, this uses in-memory Maps so it can
- * run standalone for development and testing.  In production these would be
- * swapped for database queries (PostgreSQL via the API service).
+ * State lives in collections of a pluggable repository passed as
+ * `options.repository` (see src/repositories).  The default
+ * InMemoryRepository runs standalone for development and testing; the API
+ * uses FirestoreRepository.  Because storage may be remote, every public
+ * method is async.
  */
 
 const TandemProfile = require('../models/TandemProfile');
 const TandemPairing = require('../models/TandemPairing');
 const TandemRequest = require('../models/TandemRequest');
 const Emote = require('../models/Emote');
+const TandemAssignment = require('../models/TandemAssignment');
 const TandemCompatibilityEngine = require('./TandemCompatibilityEngine');
+const TandemAssignmentSolver = require('./TandemAssignmentSolver');
+const InMemoryRepository = require('../../repositories/InMemoryRepository');
 const {
+  GRADE_LEVELS,
   TANDEM_STATUS,
   TANDEM_REQUEST_STATUS,
   TANDEM_CONFIG,
   EMOTE_TYPES,
+  TANDEM_COLLECTIONS,
+  DELETED_USER_ID,
 } = require('../utils/constants');
+const { isRotationSchedule, toPresenceMap } = require('../utils/rotationSchedule');
+const { minutesToTime } = require('../../../scheduling system/bellSchedule');
+const { ANY_DAY } = require('../../../scheduling system/alternateBellSchedules');
+const { periodsFor } = require('../../../scheduling system/terms');
+const { ServiceError, ERROR_CODES } = require('../../errors');
+const { CONFLICT, FORBIDDEN, INVALID, NOT_FOUND, RATE_LIMITED } = ERROR_CODES;
 
 // ── Tiny UUID helper (swap for `uuid` package in production) ──────────────
 function generateId() {
@@ -58,35 +77,59 @@ class TandemService {
   /**
    * @param {Object} [options]
    * @param {TandemCompatibilityEngine} [options.compatibilityEngine]
-   * @param {Object}                    [options.rentalService] - RentalService instance for cross-checks
+   * @param {TandemAssignmentSolver}    [options.assignmentSolver]
+   * @param {Object}                    [options.rentalService]   - RentalService instance for cross-checks
+   * @param {Object}                    [options.calendarService] - SchoolCalendarService for date → rotation day
+   * @param {Object}                    [options.repository]      - Data store (defaults to InMemoryRepository)
    */
   constructor(options = {}) {
     this.compatibilityEngine =
       options.compatibilityEngine || new TandemCompatibilityEngine();
+    this.assignmentSolver = options.assignmentSolver ||
+      new TandemAssignmentSolver({ compatibilityEngine: this.compatibilityEngine });
     this.rentalService = options.rentalService || null;
+    this.calendarService = options.calendarService || null;
 
-    // ── In-memory data stores (replace with DB in production) ───────────
-    /** @type {Map<string, TandemProfile>} profileId → TandemProfile */
-    this.profiles = new Map();
+    // ── Data stores ─────────────────────────────────────────────────────
+    const repository = options.repository || new InMemoryRepository();
 
-    /** @type {Map<string, TandemProfile>} userId → TandemProfile (index) */
-    this.profilesByUser = new Map();
+    /** TandemProfile by profileId (queried by userId) */
+    this.profiles = repository.collection(TANDEM_COLLECTIONS.PROFILES, {
+      idField: 'profileId',
+      model: TandemProfile,
+    });
 
-    /** @type {Map<string, TandemPairing>} pairingId → TandemPairing */
-    this.pairings = new Map();
+    /** TandemPairing by pairingId */
+    this.pairings = repository.collection(TANDEM_COLLECTIONS.PAIRINGS, {
+      idField: 'pairingId',
+      model: TandemPairing,
+    });
 
-    /** @type {Map<string, TandemRequest>} requestId → TandemRequest */
-    this.requests = new Map();
+    /** TandemRequest by requestId */
+    this.requests = repository.collection(TANDEM_COLLECTIONS.REQUESTS, {
+      idField: 'requestId',
+      model: TandemRequest,
+    });
 
-    /** @type {Map<string, Emote[]>} pairingId → array of Emote objects */
-    this.emotesByPairing = new Map();
+    /** Emote by emoteId (queried by pairingId) */
+    this.emotes = repository.collection(TANDEM_COLLECTIONS.EMOTES, {
+      idField: 'emoteId',
+      model: Emote,
+    });
 
     /**
-     * Schedule data provided by Nathan's scheduling system.
-     * In production this would be fetched on demand; here we cache it.
-     * @type {Map<string, Object[]>} userId → array of schedule entries
+     * Schedule data provided by Nathan's scheduling system,
+     * stored as `{ userId, entries }`.
      */
-    this.schedules = new Map();
+    this.schedules = repository.collection(TANDEM_COLLECTIONS.SCHEDULES, {
+      idField: 'userId',
+    });
+
+    /** TandemAssignment proposals by assignmentId */
+    this.assignments = repository.collection(TANDEM_COLLECTIONS.ASSIGNMENTS, {
+      idField: 'assignmentId',
+      model: TandemAssignment,
+    });
   }
 
   // ═══════════════════════════════════════════════════════════════════════
@@ -100,9 +143,9 @@ class TandemService {
    * @param  {Object} profileData - Constructor args for TandemProfile
    * @return {TandemProfile}
    */
-  registerProfile(profileData) {
-    if (this.profilesByUser.has(profileData.userId)) {
-      throw new Error(`User ${profileData.userId} already has a tandem profile`);
+  async registerProfile(profileData) {
+    if (await this.getProfile(profileData.userId)) {
+      throw new ServiceError(CONFLICT, `User ${profileData.userId} already has a tandem profile`);
     }
 
     const profile = new TandemProfile({
@@ -110,9 +153,7 @@ class TandemService {
       ...profileData,
     });
 
-    this.profiles.set(profile.profileId, profile);
-    this.profilesByUser.set(profile.userId, profile);
-    return profile;
+    return this.profiles.save(profile);
   }
 
   /**
@@ -121,8 +162,8 @@ class TandemService {
    * @param  {Object} updates - Fields to update
    * @return {TandemProfile}
    */
-  updateProfile(userId, updates) {
-    const profile = this._getProfileByUser(userId);
+  async updateProfile(userId, updates) {
+    const profile = await this._getProfileByUser(userId);
 
     if (updates.spotId !== undefined) {
       profile.assignSpot(updates.spotId);
@@ -141,7 +182,7 @@ class TandemService {
       });
     }
 
-    return profile;
+    return this.profiles.save(profile);
   }
 
   /**
@@ -149,18 +190,34 @@ class TandemService {
    * @param  {string} userId
    * @return {TandemProfile}
    */
-  deactivateProfile(userId) {
-    const profile = this._getProfileByUser(userId);
+  async deactivateProfile(userId) {
+    const profile = await this._getProfileByUser(userId);
     profile.deactivate();
-    return profile;
+    return this.profiles.save(profile);
+  }
+
+  /**
+   * Set the grade on a user's tandem profile, if they have one.  Grades
+   * come from the user's account (school roster or schedule) and change at
+   * the school-year rollover; users can't set them through updateProfile.
+   * @param  {string} userId
+   * @param  {string} gradeLevel - 'sophomore' | 'junior' | 'senior'
+   * @return {TandemProfile|null} null if the user has no profile
+   */
+  async setGradeLevel(userId, gradeLevel) {
+    const profile = await this.getProfile(userId);
+    if (!profile || profile.gradeLevel === gradeLevel) return profile;
+    profile.setGradeLevel(gradeLevel);
+    return this.profiles.save(profile);
   }
 
   /**
    * Provide schedule data for a user (from Nathan's scheduling system).
    * This data is used by the compatibility engine during matching.
    *
-   * @param {string}   userId
-   * @param {Object[]} scheduleEntries - Array of schedule entries:
+   * Accepts either the output of `scheduleBuilder.buildSchedule()` (an HW
+   * 6-day rotation schedule, stored as a presence map) or an array of
+   * generic weekday entries:
    *   [{
    *     dayOfWeek: string,
    *     arrivalTime: string,       // 'HH:MM'
@@ -168,9 +225,27 @@ class TandemService {
    *     extracurricularEndTime: string|null,
    *     hasLunchOffCampus: boolean,
    *   }]
+   *
+   * @param  {string}          userId
+   * @param  {Object|Object[]} schedule - buildSchedule() output or weekday entries
+   * @return {Object[]|Object} The stored schedule (entries or presence map)
    */
-  setUserSchedule(userId, scheduleEntries) {
-    this.schedules.set(userId, scheduleEntries);
+  async setUserSchedule(userId, schedule) {
+    if (isRotationSchedule(schedule)) {
+      const rotation = toPresenceMap(schedule);
+      await this.schedules.save({ userId, rotation });
+      return rotation;
+    }
+
+    if (!Array.isArray(schedule)) {
+      throw new ServiceError(
+        INVALID,
+        'Schedule must be a built rotation schedule or an array of weekday entries'
+      );
+    }
+
+    await this.schedules.save({ userId, entries: schedule });
+    return schedule;
   }
 
   // ═══════════════════════════════════════════════════════════════════════
@@ -181,29 +256,40 @@ class TandemService {
    * Find compatible tandem partners for a user.
    * Corresponds to `GET /api/tandem/matches` (Review.md §V).
    *
+   * Rotation schedules are scored with all of each student's courses, or,
+   * given a `term`, with only those meeting in that period of the year
+   * ('S2-T3'), or in the worst period of a semester or trimester ('S2',
+   * 'T1') or of the whole year ('worst').
+   *
    * @param  {string} userId
+   * @param  {Object} [options]
+   * @param  {string} [options.term] - Term to score
    * @return {TandemMatch[]} Sorted by score (highest first)
    */
-  findMatches(userId) {
-    const targetProfile = this._getProfileByUser(userId);
-    const targetSchedule = this.schedules.get(userId) || [];
+  async findMatches(userId, { term = null } = {}) {
+    if (term) periodsFor(term); // throws on an unknown term
+
+    const targetProfile = await this._getProfileByUser(userId);
+    const schedules = await this._getScheduleMap();
+    const targetSchedule = schedules.get(userId) || [];
 
     // ── Validate user can use tandem ────────────────────────────────────
     // Check the user doesn't already have an active pairing
-    const activePairing = this._getActivePairingForUser(userId);
-    if (activePairing) {
-      throw new Error(
+    const openPairings = (await this.pairings.find()).filter((p) => p.isOpen());
+    const pairedUserIds = new Set(openPairings.flatMap((p) => [p.user1Id, p.user2Id]));
+    if (pairedUserIds.has(userId)) {
+      throw new ServiceError(
+        CONFLICT,
         'You already have an active tandem pairing. ' +
         'End your current pairing before searching for new matches.'
       );
     }
 
     // ── Gather candidate profiles ───────────────────────────────────────
-    const candidates = [...this.profiles.values()].filter((p) => {
+    const candidates = (await this.profiles.find({ isActive: true })).filter((p) => {
       if (p.userId === userId) return false;          // Skip self
-      if (!p.isActive) return false;                  // Skip inactive
       // Skip users who already have an active pairing
-      if (this._getActivePairingForUser(p.userId)) return false;
+      if (pairedUserIds.has(p.userId)) return false;
       return true;
     });
 
@@ -212,7 +298,9 @@ class TandemService {
       targetProfile,
       targetSchedule,
       candidateProfiles: candidates,
-      candidateSchedules: this.schedules,
+      candidateSchedules: schedules,
+      dayMix: await this._getDayMix(),
+      term,
     });
   }
 
@@ -224,15 +312,16 @@ class TandemService {
    * @param  {string} userBId
    * @return {TandemMatch}
    */
-  getMatchBetween(userAId, userBId) {
-    const profileA = this._getProfileByUser(userAId);
-    const profileB = this._getProfileByUser(userBId);
+  async getMatchBetween(userAId, userBId) {
+    const profileA = await this._getProfileByUser(userAId);
+    const profileB = await this._getProfileByUser(userBId);
 
     return this.compatibilityEngine.computeMatch({
       profileA,
       profileB,
-      scheduleA: this.schedules.get(userAId) || [],
-      scheduleB: this.schedules.get(userBId) || [],
+      scheduleA: await this._getSchedule(userAId),
+      scheduleB: await this._getSchedule(userBId),
+      dayMix: await this._getDayMix(),
     });
   }
 
@@ -250,43 +339,40 @@ class TandemService {
    * @param  {string} [params.message]        - Optional note
    * @return {TandemRequest}
    */
-  requestPairing({ requesterUserId, targetUserId, message = '' }) {
+  async requestPairing({ requesterUserId, targetUserId, message = '' }) {
     // ── Validation ──────────────────────────────────────────────────────
-    const requesterProfile = this._getProfileByUser(requesterUserId);
-    const targetProfile = this._getProfileByUser(targetUserId);
+    const requesterProfile = await this._getProfileByUser(requesterUserId);
+    const targetProfile = await this._getProfileByUser(targetUserId);
 
     // Check grade compatibility
     if (!requesterProfile.isGradeCompatibleWith(targetProfile)) {
-      throw new Error(
+      throw new ServiceError(
+        INVALID,
         `Grade levels are incompatible: ${requesterProfile.gradeLevel} cannot pair with ${targetProfile.gradeLevel}`
       );
     }
 
     // Check neither user has an active pairing
-    if (this._getActivePairingForUser(requesterUserId)) {
-      throw new Error('You already have an active tandem pairing');
+    if (await this._getActivePairingForUser(requesterUserId)) {
+      throw new ServiceError(CONFLICT, 'You already have an active tandem pairing');
     }
-    if (this._getActivePairingForUser(targetUserId)) {
-      throw new Error('The target user already has an active tandem pairing');
+    if (await this._getActivePairingForUser(targetUserId)) {
+      throw new ServiceError(CONFLICT, 'The target user already has an active tandem pairing');
     }
 
     // Prevent duplicate pending requests
-    for (const req of this.requests.values()) {
-      if (
-        req.requesterUserId === requesterUserId &&
-        req.targetUserId === targetUserId &&
-        req.isPending()
-      ) {
-        throw new Error('You already have a pending request to this user');
-      }
+    const existing = await this.requests.find({ requesterUserId, targetUserId });
+    if (existing.some((req) => req.isPending())) {
+      throw new ServiceError(CONFLICT, 'You already have a pending request to this user');
     }
 
     // ── Compute compatibility score ──────────────────────────────────────
     const match = this.compatibilityEngine.computeMatch({
       profileA: requesterProfile,
       profileB: targetProfile,
-      scheduleA: this.schedules.get(requesterUserId) || [],
-      scheduleB: this.schedules.get(targetUserId) || [],
+      scheduleA: await this._getSchedule(requesterUserId),
+      scheduleB: await this._getSchedule(targetUserId),
+      dayMix: await this._getDayMix(),
     });
 
     const request = new TandemRequest({
@@ -297,8 +383,7 @@ class TandemService {
       compatibilityScore: match.overallScore,
     });
 
-    this.requests.set(request.requestId, request);
-    return request;
+    return this.requests.save(request);
   }
 
   /**
@@ -310,28 +395,29 @@ class TandemService {
    * @param  {string} targetUserId - Must be the request's target (authorization)
    * @return {{ request: TandemRequest, pairing: TandemPairing }}
    */
-  acceptRequest(requestId, targetUserId) {
-    const request = this._getRequest(requestId);
+  async acceptRequest(requestId, targetUserId) {
+    const request = await this._getRequest(requestId);
 
     // Authorization: only the target can accept
     if (request.targetUserId !== targetUserId) {
-      throw new Error('Only the target user can accept this request');
+      throw new ServiceError(FORBIDDEN, 'Only the target user can accept this request');
     }
 
     // Re-validate neither has gotten a pairing since the request was made
-    if (this._getActivePairingForUser(request.requesterUserId)) {
-      throw new Error('The requester already has an active tandem pairing');
+    if (await this._getActivePairingForUser(request.requesterUserId)) {
+      throw new ServiceError(CONFLICT, 'The requester already has an active tandem pairing');
     }
-    if (this._getActivePairingForUser(request.targetUserId)) {
-      throw new Error('You already have an active tandem pairing');
+    if (await this._getActivePairingForUser(request.targetUserId)) {
+      throw new ServiceError(CONFLICT, 'You already have an active tandem pairing');
     }
 
     request.accept();
+    await this.requests.save(request);
 
     // ── Create the TandemPairing ─────────────────────────────────────────
     // Determine spot: use whichever user has an assigned spot
-    const requesterProfile = this.profilesByUser.get(request.requesterUserId);
-    const targetProfile = this.profilesByUser.get(request.targetUserId);
+    const requesterProfile = await this.getProfile(request.requesterUserId);
+    const targetProfile = await this.getProfile(request.targetUserId);
     const spotId = requesterProfile?.spotId || targetProfile?.spotId || null;
 
     const pairing = new TandemPairing({
@@ -343,11 +429,11 @@ class TandemService {
       status: TANDEM_STATUS.ACTIVE,
     });
 
-    this.pairings.set(pairing.pairingId, pairing);
+    await this.pairings.save(pairing);
 
     // Cancel all other pending requests involving either user
-    this._cancelConflictingRequests(request.requesterUserId, requestId);
-    this._cancelConflictingRequests(request.targetUserId, requestId);
+    await this._cancelConflictingRequests(request.requesterUserId, requestId);
+    await this._cancelConflictingRequests(request.targetUserId, requestId);
 
     return { request, pairing };
   }
@@ -359,15 +445,15 @@ class TandemService {
    * @param  {string} targetUserId
    * @return {TandemRequest}
    */
-  rejectRequest(requestId, targetUserId) {
-    const request = this._getRequest(requestId);
+  async rejectRequest(requestId, targetUserId) {
+    const request = await this._getRequest(requestId);
 
     if (request.targetUserId !== targetUserId) {
-      throw new Error('Only the target user can reject this request');
+      throw new ServiceError(FORBIDDEN, 'Only the target user can reject this request');
     }
 
     request.reject();
-    return request;
+    return this.requests.save(request);
   }
 
   /**
@@ -377,15 +463,15 @@ class TandemService {
    * @param  {string} requesterUserId
    * @return {TandemRequest}
    */
-  withdrawRequest(requestId, requesterUserId) {
-    const request = this._getRequest(requestId);
+  async withdrawRequest(requestId, requesterUserId) {
+    const request = await this._getRequest(requestId);
 
     if (request.requesterUserId !== requesterUserId) {
-      throw new Error('Only the requester can withdraw their request');
+      throw new ServiceError(FORBIDDEN, 'Only the requester can withdraw their request');
     }
 
     request.withdraw();
-    return request;
+    return this.requests.save(request);
   }
 
   // ═══════════════════════════════════════════════════════════════════════
@@ -400,15 +486,15 @@ class TandemService {
    * @param  {string} userId - Must be a member of the pairing
    * @return {TandemPairing}
    */
-  endPairing(pairingId, userId) {
-    const pairing = this._getPairing(pairingId);
+  async endPairing(pairingId, userId) {
+    const pairing = await this._getPairing(pairingId);
 
     if (!pairing.isMember(userId)) {
-      throw new Error('Only members of this pairing can end it');
+      throw new ServiceError(FORBIDDEN, 'Only members of this pairing can end it');
     }
 
     pairing.cancel();
-    return pairing;
+    return this.pairings.save(pairing);
   }
 
   /**
@@ -417,10 +503,10 @@ class TandemService {
    * @param  {string} pairingId
    * @return {TandemPairing}
    */
-  completePairing(pairingId) {
-    const pairing = this._getPairing(pairingId);
+  async completePairing(pairingId) {
+    const pairing = await this._getPairing(pairingId);
     pairing.complete();
-    return pairing;
+    return this.pairings.save(pairing);
   }
 
   /**
@@ -431,15 +517,15 @@ class TandemService {
    * @param  {string} userId    - Must be a member (authorization)
    * @return {TandemPairing}
    */
-  assignSpotToPairing(pairingId, spotId, userId) {
-    const pairing = this._getPairing(pairingId);
+  async assignSpotToPairing(pairingId, spotId, userId) {
+    const pairing = await this._getPairing(pairingId);
 
     if (!pairing.isMember(userId)) {
-      throw new Error('Only members of this pairing can assign a spot');
+      throw new ServiceError(FORBIDDEN, 'Only members of this pairing can assign a spot');
     }
 
     pairing.assignSpot(spotId);
-    return pairing;
+    return this.pairings.save(pairing);
   }
 
   // ═══════════════════════════════════════════════════════════════════════
@@ -462,26 +548,25 @@ class TandemService {
    * @param  {string} params.emoteType     - One of EMOTE_TYPES
    * @return {Emote}
    */
-  sendEmote({ pairingId, senderUserId, emoteType }) {
-    const pairing = this._getPairing(pairingId);
+  async sendEmote({ pairingId, senderUserId, emoteType }) {
+    const pairing = await this._getPairing(pairingId);
 
     // ── Authorization ───────────────────────────────────────────────────
     if (!pairing.isMember(senderUserId)) {
-      throw new Error('Only members of this pairing can send emotes');
+      throw new ServiceError(FORBIDDEN, 'Only members of this pairing can send emotes');
     }
     if (!pairing.isActive()) {
-      throw new Error('Can only send emotes in an active pairing');
+      throw new ServiceError(INVALID, 'Can only send emotes in an active pairing');
     }
 
     // ── Spam check ──────────────────────────────────────────────────────
-    const pairingEmotes = this.emotesByPairing.get(pairingId) || [];
-    const senderEmotes = pairingEmotes.filter(
-      (e) => e.senderUserId === senderUserId
+    const senderEmotes = this._sortByCreatedAt(
+      await this.emotes.find({ pairingId, senderUserId })
     );
 
     const spamCheck = Emote.checkSpamStatus(senderEmotes);
     if (!spamCheck.allowed) {
-      throw new Error(spamCheck.reason);
+      throw new ServiceError(RATE_LIMITED, spamCheck.reason);
     }
 
     // ── Create and store the emote ──────────────────────────────────────
@@ -495,12 +580,7 @@ class TandemService {
       emoteType,
     });
 
-    if (!this.emotesByPairing.has(pairingId)) {
-      this.emotesByPairing.set(pairingId, []);
-    }
-    this.emotesByPairing.get(pairingId).push(emote);
-
-    return emote;
+    return this.emotes.save(emote);
   }
 
   /**
@@ -511,14 +591,14 @@ class TandemService {
    * @param  {number} [limit]  - Max number of emotes to return
    * @return {Emote[]}
    */
-  getEmoteHistory(pairingId, userId, limit = 50) {
-    const pairing = this._getPairing(pairingId);
+  async getEmoteHistory(pairingId, userId, limit = 50) {
+    const pairing = await this._getPairing(pairingId);
 
     if (!pairing.isMember(userId)) {
-      throw new Error('Only members of this pairing can view emotes');
+      throw new ServiceError(FORBIDDEN, 'Only members of this pairing can view emotes');
     }
 
-    const emotes = this.emotesByPairing.get(pairingId) || [];
+    const emotes = this._sortByCreatedAt(await this.emotes.find({ pairingId }));
 
     // Return most recent first, limited
     return emotes.slice(-limit).reverse();
@@ -533,8 +613,9 @@ class TandemService {
    * @param  {string} userId
    * @return {TandemProfile|null}
    */
-  getProfile(userId) {
-    return this.profilesByUser.get(userId) || null;
+  async getProfile(userId) {
+    const [profile] = await this.profiles.find({ userId });
+    return profile || null;
   }
 
   /**
@@ -542,7 +623,7 @@ class TandemService {
    * @param  {string} userId
    * @return {TandemPairing|null}
    */
-  getActivePairing(userId) {
+  async getActivePairing(userId) {
     return this._getActivePairingForUser(userId);
   }
 
@@ -551,8 +632,12 @@ class TandemService {
    * @param  {string} userId
    * @return {TandemPairing[]}
    */
-  getMyPairings(userId) {
-    return [...this.pairings.values()].filter((p) => p.isMember(userId));
+  async getMyPairings(userId) {
+    const [asUser1, asUser2] = await Promise.all([
+      this.pairings.find({ user1Id: userId }),
+      this.pairings.find({ user2Id: userId }),
+    ]);
+    return [...asUser1, ...asUser2];
   }
 
   /**
@@ -560,7 +645,7 @@ class TandemService {
    * @param  {string} pairingId
    * @return {TandemPairing}
    */
-  getPairing(pairingId) {
+  async getPairing(pairingId) {
     return this._getPairing(pairingId);
   }
 
@@ -569,10 +654,10 @@ class TandemService {
    * @param  {string} pairingId
    * @return {{ pairing: TandemPairing, user1: TandemProfile|null, user2: TandemProfile|null }}
    */
-  getPairingDetails(pairingId) {
-    const pairing = this._getPairing(pairingId);
-    const user1 = this.profilesByUser.get(pairing.user1Id) || null;
-    const user2 = this.profilesByUser.get(pairing.user2Id) || null;
+  async getPairingDetails(pairingId) {
+    const pairing = await this._getPairing(pairingId);
+    const user1 = await this.getProfile(pairing.user1Id);
+    const user2 = await this.getProfile(pairing.user2Id);
 
     return { pairing, user1, user2 };
   }
@@ -582,10 +667,9 @@ class TandemService {
    * @param  {string} userId
    * @return {TandemRequest[]}
    */
-  getIncomingRequests(userId) {
-    return [...this.requests.values()].filter(
-      (r) => r.targetUserId === userId && r.isPending()
-    );
+  async getIncomingRequests(userId) {
+    const requests = await this.requests.find({ targetUserId: userId });
+    return requests.filter((r) => r.isPending());
   }
 
   /**
@@ -593,18 +677,341 @@ class TandemService {
    * @param  {string} userId
    * @return {TandemRequest[]}
    */
-  getOutgoingRequests(userId) {
-    return [...this.requests.values()].filter(
-      (r) => r.requesterUserId === userId && r.isPending()
-    );
+  async getOutgoingRequests(userId) {
+    const requests = await this.requests.find({ requesterUserId: userId });
+    return requests.filter((r) => r.isPending());
+  }
+
+  /**
+   * Who in a pairing is on campus on a given date, so partners can tell
+   * who needs the spot (e.g. tomorrow).  The date is resolved to an HW
+   * rotation day with the school calendar, then looked up in each member's
+   * rotation schedule, using the day's alternate bell schedule (late start,
+   * finals...) when the member's schedule was built with it.  `onCampus` is
+   * null when it can't be known (no rotation schedule uploaded, or a special
+   * schedule outside the rotation).
+   *
+   * @param  {string} pairingId
+   * @param  {string} dateStr - YYYY-MM-DD
+   * @return {Object} `{ pairingId, spotId, date, schoolDay, rotationDay,
+   *   special | reason, bellSchedule, members: [{ userId, onCampus, arrival, departure,
+   *   arrivalTime, departureTime }] }`
+   */
+  async getDayPlan(pairingId, dateStr) {
+    const pairing = await this._getPairing(pairingId);
+    const day = this.calendarService ?
+      await this.calendarService.resolveDate(dateStr) :
+      null;
+    if (!day) {
+      throw new ServiceError(NOT_FOUND, 'School calendar not found');
+    }
+
+    const members = [];
+    for (const userId of [pairing.user1Id, pairing.user2Id]) {
+      members.push(this._presenceOnDay(userId, day, await this._getSchedule(userId)));
+    }
+
+    return {
+      pairingId: pairing.pairingId,
+      spotId: pairing.spotId,
+      ...day,
+      members,
+    };
   }
 
   /**
    * Get all active tandem pairings (for admin/analytics).
    * @return {TandemPairing[]}
    */
-  getAllActivePairings() {
-    return [...this.pairings.values()].filter((p) => p.isActive());
+  async getAllActivePairings() {
+    return this.pairings.find({ status: TANDEM_STATUS.ACTIVE });
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  //  7.  ASSIGNMENTS (admin)
+  // ═══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Propose pairings for every active, unpaired user in a grade and/or lot,
+   * maximizing the total compatibility (see TandemAssignmentSolver).
+   * Nothing changes until an admin commits the proposal.
+   *
+   * @param  {Object} [params]
+   * @param  {string} [params.gradeLevel]     - Only users in this grade
+   * @param  {string} [params.lot]            - Only users whose preferredLot is this lot
+   * @param  {boolean} [params.maximizePairs] - Pair as many users as possible first (default true)
+   * @param  {string} [params.createdBy]      - Admin requesting the proposal
+   * @param  {Object} [params.batch]          - Repository write batch to add the write to; the caller commits it
+   * @return {TandemAssignment}
+   */
+  async proposeAssignment({
+    gradeLevel = null,
+    lot = null,
+    maximizePairs = true,
+    createdBy = null,
+    batch = null,
+  } = {}) {
+    if (gradeLevel && !Object.values(GRADE_LEVELS).includes(gradeLevel)) {
+      throw new ServiceError(
+        INVALID,
+        `Invalid grade level: ${gradeLevel}. Must be one of: ${Object.values(GRADE_LEVELS).join(', ')}`
+      );
+    }
+
+    const openPairings = (await this.pairings.find()).filter((p) => p.isOpen());
+    const pairedUserIds = new Set(openPairings.flatMap((p) => p.getUserIds()));
+
+    const profiles = (await this.profiles.find({ isActive: true })).filter((p) => {
+      if (pairedUserIds.has(p.userId)) return false;
+      if (gradeLevel && p.gradeLevel !== gradeLevel) return false;
+      if (lot && p.preferredLot !== lot) return false;
+      return true;
+    });
+
+    const { pairs, unmatched, totalScore } = this.assignmentSolver.solve({
+      profiles,
+      schedules: await this._getScheduleMap(),
+      dayMix: await this._getDayMix(),
+      maximizePairs,
+    });
+
+    const assignment = new TandemAssignment({
+      assignmentId: generateId(),
+      scope: { gradeLevel, lot },
+      pairs,
+      unmatched,
+      totalScore,
+      createdBy,
+    });
+
+    return this.assignments.save(assignment, { batch });
+  }
+
+  /**
+   * Get a proposed (or reviewed) assignment.
+   * @param  {string} assignmentId
+   * @return {TandemAssignment}
+   */
+  async getAssignment(assignmentId) {
+    return this._getAssignment(assignmentId);
+  }
+
+  /**
+   * List assignments, newest first.
+   * @param  {Object} [filter]
+   * @param  {string} [filter.status] - One of TANDEM_ASSIGNMENT_STATUS
+   * @return {TandemAssignment[]}
+   */
+  async listAssignments({ status = null } = {}) {
+    const assignments = await this.assignments.find(status ? { status } : undefined);
+    return this._sortByCreatedAt(assignments).reverse();
+  }
+
+  /**
+   * Approve a proposal: create an active pairing for each proposed pair.
+   * Pairs that are no longer valid (a user deactivated their profile or
+   * paired up since the proposal) are skipped and reported.  Pending
+   * requests involving the newly paired users are withdrawn.
+   *
+   * @param  {string} assignmentId
+   * @param  {Object} [params]
+   * @param  {string} [params.reviewedBy] - Admin committing the proposal
+   * @param  {Object} [params.batch]      - Repository write batch to add the writes to; the caller commits it
+   * @return {{ assignment: TandemAssignment, pairings: TandemPairing[] }}
+   */
+  async commitAssignment(assignmentId, { reviewedBy = null, batch = null } = {}) {
+    const assignment = await this._getAssignment(assignmentId);
+    if (!assignment.isProposed()) {
+      throw new ServiceError(CONFLICT, `Tandem assignment ${assignmentId} is no longer proposed`);
+    }
+
+    const openPairings = (await this.pairings.find()).filter((p) => p.isOpen());
+    const pairedUserIds = new Set(openPairings.flatMap((p) => p.getUserIds()));
+
+    const pairings = [];
+    const skipped = [];
+    for (const pair of assignment.pairs) {
+      const profile1 = await this.getProfile(pair.user1Id);
+      const profile2 = await this.getProfile(pair.user2Id);
+
+      let reason = null;
+      if (!profile1?.isActive || !profile2?.isActive) {
+        reason = 'A tandem profile is no longer active';
+      } else if (pairedUserIds.has(pair.user1Id) || pairedUserIds.has(pair.user2Id)) {
+        reason = 'A user already has an active tandem pairing';
+      }
+      if (reason) {
+        skipped.push({ user1Id: pair.user1Id, user2Id: pair.user2Id, reason });
+        continue;
+      }
+
+      const pairing = new TandemPairing({
+        pairingId: generateId(),
+        spotId: profile1.spotId || profile2.spotId || null,
+        user1Id: pair.user1Id,
+        user2Id: pair.user2Id,
+        compatibilityScore: pair.score,
+        status: TANDEM_STATUS.ACTIVE,
+      });
+      await this.pairings.save(pairing, { batch });
+      pairings.push(pairing);
+      pairedUserIds.add(pair.user1Id).add(pair.user2Id);
+
+      await this._cancelConflictingRequests(pair.user1Id, null, { batch });
+      await this._cancelConflictingRequests(pair.user2Id, null, { batch });
+    }
+
+    assignment.commit({ pairingIds: pairings.map((p) => p.pairingId), skipped }, reviewedBy);
+    await this.assignments.save(assignment, { batch });
+
+    return { assignment, pairings };
+  }
+
+  /**
+   * Reject a proposal without creating any pairings.
+   *
+   * @param  {string} assignmentId
+   * @param  {Object} [params]
+   * @param  {string} [params.reviewedBy] - Admin discarding the proposal
+   * @param  {Object} [params.batch]      - Repository write batch to add the write to; the caller commits it
+   * @return {TandemAssignment}
+   */
+  async discardAssignment(assignmentId, { reviewedBy = null, batch = null } = {}) {
+    const assignment = await this._getAssignment(assignmentId);
+    if (!assignment.isProposed()) {
+      throw new ServiceError(CONFLICT, `Tandem assignment ${assignmentId} is no longer proposed`);
+    }
+
+    assignment.discard(reviewedBy);
+    return this.assignments.save(assignment, { batch });
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  //  8.  ACCOUNT DATA
+  // ═══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Everything stored about a user, for a personal data export: their
+   * profile and schedule, every pairing they've been in, the requests they
+   * sent or received and the emotes exchanged in their pairings.
+   *
+   * @param  {string} userId
+   * @return {{ profile: Object|null, schedule: Object[]|Object|null, pairings: Object[],
+   *   requests: Object[], emotes: Object[] }} Plain objects, oldest first
+   */
+  async exportUserData(userId) {
+    const [pairings, sent, received, emotesSent, emotesReceived] = await Promise.all([
+      this.getMyPairings(userId),
+      this.requests.find({ requesterUserId: userId }),
+      this.requests.find({ targetUserId: userId }),
+      this.emotes.find({ senderUserId: userId }),
+      this.emotes.find({ recipientUserId: userId }),
+    ]);
+    const profile = await this.getProfile(userId);
+    const schedule = await this.schedules.get(userId);
+
+    return {
+      profile: profile ? profile.toJSON() : null,
+      schedule: schedule ? this._scheduleData(schedule) : null,
+      pairings: this._sortByCreatedAt(pairings).map((p) => p.toJSON()),
+      requests: this._sortByCreatedAt([...sent, ...received]).map((r) => r.toJSON()),
+      emotes: this._sortByCreatedAt([...emotesSent, ...emotesReceived]).map((e) => e.toJSON()),
+    };
+  }
+
+  /**
+   * Remove a user whose account is being deleted: cancel their open
+   * pairings, close their pending requests in both directions and delete
+   * their profile and schedule.  Their pairings, requests and emotes are
+   * kept for their partners' history with DELETED_USER_ID in their place.
+   *
+   * With `dryRun` nothing is changed; the result lists what would be.
+   *
+   * @param  {string}  userId
+   * @param  {Object}  [options]
+   * @param  {boolean} [options.dryRun=false]
+   * @return {{ pairings: Array<{ pairingId: string, partnerUserId: string, status: string }>,
+   *   requests: string[], profile: boolean, schedule: boolean,
+   *   anonymized: { pairings: number, requests: number, emotes: number } }}
+   *   `pairings` are the ended pairings (their partners should be told),
+   *   `requests` the IDs of the closed requests
+   */
+  async removeUser(userId, { dryRun = false } = {}) {
+    const allPairings = await this.getMyPairings(userId);
+    const pairings = [];
+    for (const pairing of allPairings) {
+      if (!pairing.isOpen()) continue;
+      pairings.push({
+        pairingId: pairing.pairingId,
+        partnerUserId: pairing.getPartnerId(userId),
+        status: pairing.status,
+      });
+      if (!dryRun) {
+        pairing.cancel();
+        await this.pairings.save(pairing);
+      }
+    }
+
+    const requests = [];
+    for (const request of [
+      ...(await this.getOutgoingRequests(userId)),
+      ...(await this.getIncomingRequests(userId)),
+    ]) {
+      requests.push(request.requestId);
+      if (dryRun) continue;
+      if (request.requesterUserId === userId) {
+        request.withdraw();
+      } else {
+        request.reject();
+      }
+      await this.requests.save(request);
+    }
+
+    const profile = await this.getProfile(userId);
+    const schedule = await this.schedules.get(userId);
+    if (!dryRun) {
+      if (profile) await this.profiles.delete(profile.profileId);
+      if (schedule) await this.schedules.delete(userId);
+    }
+
+    const [sent, received, emotesSent, emotesReceived] = await Promise.all([
+      this.requests.find({ requesterUserId: userId }),
+      this.requests.find({ targetUserId: userId }),
+      this.emotes.find({ senderUserId: userId }),
+      this.emotes.find({ recipientUserId: userId }),
+    ]);
+    const allRequests = [...sent, ...received.filter((r) => r.requesterUserId !== userId)];
+    const emotes = [...emotesSent, ...emotesReceived.filter((e) => e.senderUserId !== userId)];
+
+    if (!dryRun) {
+      for (const pairing of allPairings) {
+        if (pairing.user1Id === userId) pairing.user1Id = DELETED_USER_ID;
+        if (pairing.user2Id === userId) pairing.user2Id = DELETED_USER_ID;
+        await this.pairings.save(pairing);
+      }
+      for (const request of allRequests) {
+        if (request.requesterUserId === userId) request.requesterUserId = DELETED_USER_ID;
+        if (request.targetUserId === userId) request.targetUserId = DELETED_USER_ID;
+        await this.requests.save(request);
+      }
+      for (const emote of emotes) {
+        if (emote.senderUserId === userId) emote.senderUserId = DELETED_USER_ID;
+        if (emote.recipientUserId === userId) emote.recipientUserId = DELETED_USER_ID;
+        await this.emotes.save(emote);
+      }
+    }
+
+    return {
+      pairings,
+      requests,
+      profile: !!profile,
+      schedule: !!schedule,
+      anonymized: {
+        pairings: allPairings.length,
+        requests: allRequests.length,
+        emotes: emotes.length,
+      },
+    };
   }
 
   // ═══════════════════════════════════════════════════════════════════════
@@ -616,10 +1023,10 @@ class TandemService {
    * @param  {string} userId
    * @return {TandemProfile}
    */
-  _getProfileByUser(userId) {
-    const profile = this.profilesByUser.get(userId);
+  async _getProfileByUser(userId) {
+    const profile = await this.getProfile(userId);
     if (!profile) {
-      throw new Error(`No tandem profile found for user ${userId}`);
+      throw new ServiceError(NOT_FOUND, `No tandem profile found for user ${userId}`);
     }
     return profile;
   }
@@ -629,10 +1036,10 @@ class TandemService {
    * @param  {string} pairingId
    * @return {TandemPairing}
    */
-  _getPairing(pairingId) {
-    const pairing = this.pairings.get(pairingId);
+  async _getPairing(pairingId) {
+    const pairing = await this.pairings.get(pairingId);
     if (!pairing) {
-      throw new Error(`Tandem pairing ${pairingId} not found`);
+      throw new ServiceError(NOT_FOUND, `Tandem pairing ${pairingId} not found`);
     }
     return pairing;
   }
@@ -642,14 +1049,27 @@ class TandemService {
    * @param  {string} requestId
    * @return {TandemRequest}
    */
-  _getRequest(requestId) {
-    const request = this.requests.get(requestId);
+  async _getRequest(requestId) {
+    const request = await this.requests.get(requestId);
     if (!request) {
-      throw new Error(`Tandem request ${requestId} not found`);
+      throw new ServiceError(NOT_FOUND, `Tandem request ${requestId} not found`);
     }
     return request;
   }
 
+  /**
+   * Get an assignment by ID or throw.
+   * @param  {string} assignmentId
+   * @return {TandemAssignment}
+   */
+  async _getAssignment(assignmentId) {
+    const assignment = await this.assignments.get(assignmentId);
+    if (!assignment) {
+      throw new ServiceError(NOT_FOUND, `Tandem assignment ${assignmentId} not found`);
+    }
+    return assignment;
+  }
+
   /**
    * Find the active pairing for a user (if any).
    * Per TANDEM_CONFIG: only 1 active pairing per user.
@@ -657,13 +1077,105 @@ class TandemService {
    * @param  {string} userId
    * @return {TandemPairing|null}
    */
-  _getActivePairingForUser(userId) {
-    for (const pairing of this.pairings.values()) {
-      if (pairing.isMember(userId) && pairing.isOpen()) {
-        return pairing;
-      }
+  async _getActivePairingForUser(userId) {
+    const pairings = await this.getMyPairings(userId);
+    return pairings.find((p) => p.isOpen()) || null;
+  }
+
+  /**
+   * Get a user's schedule (empty if none provided yet).
+   * @param  {string} userId
+   * @return {Object[]|Object} Weekday entries or rotation presence map
+   */
+  async _getSchedule(userId) {
+    const schedule = await this.schedules.get(userId);
+    return schedule ? this._scheduleData(schedule) : [];
+  }
+
+  /**
+   * Load every stored schedule, keyed by user, for the matching engine.
+   * @return {Map<string, Object[]|Object>} userId → schedule entries or presence map
+   */
+  async _getScheduleMap() {
+    const schedules = await this.schedules.find();
+    return new Map(schedules.map((s) => [s.userId, this._scheduleData(s)]));
+  }
+
+  /**
+   * The school year's day mix for weighting rotation matches.
+   * @return {Object[]|null} null without a school calendar (every rotation day counts once)
+   */
+  async _getDayMix() {
+    return this.calendarService ? this.calendarService.getDayMix() : null;
+  }
+
+  /**
+   * A user's campus presence on a resolved calendar day.
+   * @param  {string} userId
+   * @param  {Object} day      - SchoolCalendarService.resolveDate() result
+   * @param  {Object[]|Object} schedule - From _getSchedule()
+   * @return {Object}
+   */
+  _presenceOnDay(userId, day, schedule) {
+    const presence = {
+      userId,
+      onCampus: day.schoolDay ? null : false,
+      arrival: null,
+      departure: null,
+      arrivalTime: null,
+      departureTime: null,
+    };
+    if (!day.schoolDay || !isRotationSchedule(schedule)) {
+      return presence;
     }
-    return null;
+
+    const dayPresence = this._alternateDay(schedule, day) ||
+      (day.rotationDay !== null ? schedule.days[day.rotationDay] : null);
+    if (!dayPresence) return presence;
+
+    const { arrival, departure } = dayPresence;
+    return {
+      ...presence,
+      onCampus: true,
+      arrival,
+      departure,
+      arrivalTime: minutesToTime(arrival),
+      departureTime: minutesToTime(departure),
+    };
+  }
+
+  /**
+   * A rotation schedule's presence under the day's alternate bell schedule.
+   * @param  {Object} schedule - Rotation presence map
+   * @param  {Object} day      - Resolved calendar day
+   * @return {Object|null} null if there is no alternate that day, or the
+   *   schedule was uploaded before it was published
+   */
+  _alternateDay(schedule, day) {
+    const alternate = day.bellSchedule && schedule.alternates ?
+      schedule.alternates[day.bellSchedule.id] :
+      null;
+    if (!alternate) return null;
+    return alternate.days[ANY_DAY] || alternate.days[day.rotationDay] || null;
+  }
+
+  /**
+   * Unwrap a stored schedule record: `{ userId, rotation }` for HW rotation
+   * presence maps, `{ userId, entries }` for weekday entries.
+   * @param  {Object} record
+   * @return {Object[]|Object}
+   */
+  _scheduleData(record) {
+    return record.rotation || record.entries || [];
+  }
+
+  /**
+   * Sort entities oldest first (stores don't guarantee insertion order).
+   * @param  {Object[]} items - Entities with a createdAt Date
+   * @return {Object[]}
+   */
+  _sortByCreatedAt(items) {
+    return items.sort((a, b) => a.createdAt - b.createdAt);
   }
 
   /**
@@ -672,15 +1184,21 @@ class TandemService {
    *
    * @param {string} userId
    * @param {string} exceptRequestId - The accepted request (don't cancel it)
+   * @param {Object} [options]
+   * @param {Object} [options.batch] - Repository write batch to add the writes to
    */
-  _cancelConflictingRequests(userId, exceptRequestId) {
-    for (const request of this.requests.values()) {
+  async _cancelConflictingRequests(userId, exceptRequestId, { batch = null } = {}) {
+    const [sent, received] = await Promise.all([
+      this.requests.find({ requesterUserId: userId }),
+      this.requests.find({ targetUserId: userId }),
+    ]);
+
+    for (const request of [...sent, ...received]) {
       if (request.requestId === exceptRequestId) continue;
       if (!request.isPending()) continue;
 
-      if (request.involvesUser(userId)) {
-        request.withdraw();
-      }
+      request.withdraw();
+      await this.requests.save(request, { batch });
     }
   }
 }
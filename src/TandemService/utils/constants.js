@@ -14,7 +14,7 @@
  */
 
 // ── Re-export shared constants from the rental module ───────────────────────
-const { GRADE_LEVELS } = require('../../RentalService/utils/constants');
+const { GRADE_LEVELS, DELETED_USER_ID } = require('../../RentalService/utils/constants');
 
 // ── Tandem Pairing Status Lifecycle ─────────────────────────────────────────
 // pending → active → completed
@@ -37,6 +37,22 @@ const TANDEM_REQUEST_STATUS = Object.freeze({
   WITHDRAWN: 'withdrawn',   // Requester withdrew before decision
 });
 
+// ── Tandem Assignment Status ────────────────────────────────────────────────
+// Whole-grade / whole-lot pairings proposed by the assignment solver.
+// proposed → committed
+//          ↘ discarded
+const TANDEM_ASSIGNMENT_STATUS = Object.freeze({
+  PROPOSED: 'proposed',     // Computed, waiting for admin review
+  COMMITTED: 'committed',   // Admin approved; pairings were created
+  DISCARDED: 'discarded',   // Admin rejected the proposal
+});
+
+// Why the solver left a user out of a proposed assignment
+const TANDEM_UNMATCHED_REASONS = Object.freeze({
+  NO_COMPATIBLE_PARTNER: 'no_compatible_partner', // No grade/lot-compatible partner above the minimum score
+  NOT_SELECTED: 'not_selected',                   // Partners existed, but the best overall pairing used them
+});
+
 // ── Days of the Week (for schedule comparison) ──────────────────────────────
 const DAYS_OF_WEEK = Object.freeze({
   MONDAY: 'Monday',
@@ -54,6 +70,17 @@ const ALL_SCHOOL_DAYS = Object.freeze([
   DAYS_OF_WEEK.FRIDAY,
 ]);
 
+// ── HW Rotation Schedule (scheduling system/) ───────────────────────────────
+// Rotation schedules from scheduleBuilder.buildSchedule() are keyed by
+// rotation day 1–6 and use numeric grades.
+const ROTATION_DAYS = Object.freeze([1, 2, 3, 4, 5, 6]);
+
+const GRADE_NUMBERS = Object.freeze({
+  [GRADE_LEVELS.SOPHOMORE]: 10,
+  [GRADE_LEVELS.JUNIOR]: 11,
+  [GRADE_LEVELS.SENIOR]: 12,
+});
+
 // ── Compatibility Algorithm Weights (Review.md §III — Tandem) ───────────────
 // Total score: 0–100 points
 const TANDEM_COMPATIBILITY_WEIGHTS = Object.freeze({
@@ -149,12 +176,30 @@ const TANDEM_CONFIG = Object.freeze({
   MAX_ACTIVE_PAIRINGS_PER_USER: 1,    // A user can only have 1 active tandem
 });
 
+// ── Data Store Collections ──────────────────────────────────────────────────
+// Collection names used by the repository (Firestore collection names when
+// backed by FirestoreRepository). `tandemPairings` is also read by the admin
+// panel analytics and /health/stats.
+const TANDEM_COLLECTIONS = Object.freeze({
+  PROFILES: 'tandemProfiles',
+  PAIRINGS: 'tandemPairings',
+  REQUESTS: 'tandemRequests',
+  EMOTES: 'tandemEmotes',
+  SCHEDULES: 'tandemSchedules',
+  ASSIGNMENTS: 'tandemAssignments',
+});
+
 module.exports = {
   GRADE_LEVELS,
+  DELETED_USER_ID,
   TANDEM_STATUS,
   TANDEM_REQUEST_STATUS,
+  TANDEM_ASSIGNMENT_STATUS,
+  TANDEM_UNMATCHED_REASONS,
   DAYS_OF_WEEK,
   ALL_SCHOOL_DAYS,
+  ROTATION_DAYS,
+  GRADE_NUMBERS,
   TANDEM_COMPATIBILITY_WEIGHTS,
   SCHEDULE_OVERLAP_CONFIG,
   TANDEM_GRADE_COMPATIBILITY,
@@ -165,4 +210,5 @@ module.exports = {
   EMOTE_LABELS,
   SPAM_CONFIG,
   TANDEM_CONFIG,
+  TANDEM_COLLECTIONS,
 };
@@ -0,0 +1,466 @@
+/**
+ * maxWeightMatching.js
+ * Maximum-weight matching in a general (non-bipartite) graph.
+ *
+ * Tandem partners aren't split into two sides — any junior can pair with
+ * any sophomore or junior — so pairing a whole grade optimally needs
+ * Edmonds' blossom algorithm rather than a bipartite assignment.  This is a
+ * port of Joris van Rantwijk's well-known `mwmatching.py` (O(n³)), which
+ * follows Galil, "Efficient Algorithms for Finding Maximum Matching in
+ * Graphs" (1986).
+ *
+ * Vertices are integers 0..n-1 and weights must be integers (scale and
+ * round scores first), which keeps the dual variables exact.
+ */
+
+/**
+ * Compute a maximum-weight matching.
+ *
+ * @param  {Array<[number, number, number]>} edges - `[i, j, weight]` triples;
+ *   no self-loops or duplicate edges
+ * @param  {boolean} [maxCardinality=false] - Only consider matchings with
+ *   the most edges, and return the heaviest of those
+ * @return {number[]} `mate[v]` is the vertex matched to v, or -1
+ */
+function maxWeightMatching(edges, maxCardinality = false) {
+  if (edges.length === 0) return [];
+
+  const nedge = edges.length;
+  let nvertex = 0;
+  let maxweight = 0;
+  for (const [i, j, wt] of edges) {
+    if (!Number.isInteger(wt)) {
+      throw new Error('maxWeightMatching needs integer edge weights');
+    }
+    nvertex = Math.max(nvertex, i + 1, j + 1);
+    maxweight = Math.max(maxweight, wt);
+  }
+
+  // endpoint[p] is the vertex at endpoint p; edge k has endpoints 2k and 2k+1
+  const endpoint = [];
+  for (let p = 0; p < 2 * nedge; p++) endpoint.push(edges[p >> 1][p & 1]);
+
+  // neighbend[v] lists the remote endpoints of the edges at v
+  const neighbend = Array.from({ length: nvertex }, () => []);
+  edges.forEach(([i, j], k) => {
+    neighbend[i].push(2 * k + 1);
+    neighbend[j].push(2 * k);
+  });
+
+  const range = (from, to) => Array.from({ length: to - from }, (_, i) => from + i);
+
+  // mate[v] is the remote endpoint of v's matched edge, or -1
+  const mate = new Array(nvertex).fill(-1);
+  // Top-level blossom labels: 0 free, 1 S (outer), 2 T (inner); 5 marks a breadcrumb
+  const label = new Array(2 * nvertex).fill(0);
+  const labelend = new Array(2 * nvertex).fill(-1);
+  const inblossom = range(0, nvertex);
+  const blossomparent = new Array(2 * nvertex).fill(-1);
+  const blossomchilds = new Array(2 * nvertex).fill(null);
+  const blossombase = [...range(0, nvertex), ...new Array(nvertex).fill(-1)];
+  const blossomendps = new Array(2 * nvertex).fill(null);
+  const bestedge = new Array(2 * nvertex).fill(-1);
+  const blossombestedges = new Array(2 * nvertex).fill(null);
+  const unusedblossoms = range(nvertex, 2 * nvertex);
+  const dualvar = [...new Array(nvertex).fill(maxweight), ...new Array(nvertex).fill(0)];
+  const allowedge = new Array(nedge).fill(false);
+  let queue = [];
+
+  const slack = (k) => {
+    const [i, j, wt] = edges[k];
+    return dualvar[i] + dualvar[j] - 2 * wt;
+  };
+
+  // Python-style indexing for the blossom child lists
+  const at = (list, index) => list[index < 0 ? index + list.length : index];
+
+  const blossomLeaves = (b) => {
+    if (b < nvertex) return [b];
+    const leaves = [];
+    for (const t of blossomchilds[b]) {
+      if (t < nvertex) leaves.push(t);
+      else leaves.push(...blossomLeaves(t));
+    }
+    return leaves;
+  };
+
+  // Label vertex w (and its blossom) with t, reached through endpoint p
+  const assignLabel = (w, t, p) => {
+    const b = inblossom[w];
+    label[w] = label[b] = t;
+    labelend[w] = labelend[b] = p;
+    bestedge[w] = bestedge[b] = -1;
+    if (t === 1) {
+      queue.push(...blossomLeaves(b));
+    } else if (t === 2) {
+      const base = blossombase[b];
+      assignLabel(endpoint[mate[base]], 1, mate[base] ^ 1);
+    }
+  };
+
+  // Trace back from v and w to find a new blossom's base, or -1 for an augmenting path
+  const scanBlossom = (v, w) => {
+    const path = [];
+    let base = -1;
+    while (v !== -1 || w !== -1) {
+      let b = inblossom[v];
+      if (label[b] & 4) {
+        base = blossombase[b];
+        break;
+      }
+      path.push(b);
+      label[b] = 5;
+      if (labelend[b] === -1) {
+        v = -1;
+      } else {
+        v = endpoint[labelend[b]];
+        b = inblossom[v];
+        v = endpoint[labelend[b]];
+      }
+      if (w !== -1) [v, w] = [w, v];
+    }
+    for (const b of path) label[b] = 1;
+    return base;
+  };
+
+  // Make a new blossom from edge k, whose ends are both S-vertices
+  const addBlossom = (base, k) => {
+    let [v, w] = edges[k];
+    const bb = inblossom[base];
+    let bv = inblossom[v];
+    let bw = inblossom[w];
+
+    const b = unusedblossoms.pop();
+    blossombase[b] = base;
+    blossomparent[b] = -1;
+    blossomparent[bb] = b;
+
+    const path = [];
+    const endps = [];
+    while (bv !== bb) {
+      blossomparent[bv] = b;
+      path.push(bv);
+      endps.push(labelend[bv]);
+      v = endpoint[labelend[bv]];
+      bv = inblossom[v];
+    }
+    path.push(bb);
+    path.reverse();
+    endps.reverse();
+    endps.push(2 * k);
+    while (bw !== bb) {
+      blossomparent[bw] = b;
+      path.push(bw);
+      endps.push(labelend[bw] ^ 1);
+      w = endpoint[labelend[bw]];
+      bw = inblossom[w];
+    }
+    blossomchilds[b] = path;
+    blossomendps[b] = endps;
+
+    label[b] = 1;
+    labelend[b] = labelend[bb];
+    dualvar[b] = 0;
+
+    for (const leaf of blossomLeaves(b)) {
+      if (label[inblossom[leaf]] === 2) queue.push(leaf);
+      inblossom[leaf] = b;
+    }
+
+    // Least-slack edges from the new blossom to each neighbouring S-blossom
+    const bestedgeto = new Array(2 * nvertex).fill(-1);
+    for (const child of path) {
+      const nblists = blossombestedges[child] === null ?
+        blossomLeaves(child).map((leaf) => neighbend[leaf].map((p) => p >> 1)) :
+        [blossombestedges[child]];
+      for (const nblist of nblists) {
+        for (const edge of nblist) {
+          let [i, j] = edges[edge];
+          if (inblossom[j] === b) [i, j] = [j, i];
+          const bj = inblossom[j];
+          if (bj !== b && label[bj] === 1 &&
+              (bestedgeto[bj] === -1 || slack(edge) < slack(bestedgeto[bj]))) {
+            bestedgeto[bj] = edge;
+          }
+        }
+      }
+      blossombestedges[child] = null;
+      bestedge[child] = -1;
+    }
+    blossombestedges[b] = bestedgeto.filter((edge) => edge !== -1);
+    bestedge[b] = -1;
+    for (const edge of blossombestedges[b]) {
+      if (bestedge[b] === -1 || slack(edge) < slack(bestedge[b])) bestedge[b] = edge;
+    }
+  };
+
+  // Turn a blossom's children back into top-level blossoms
+  const expandBlossom = (b, endstage) => {
+    for (const s of blossomchilds[b]) {
+      blossomparent[s] = -1;
+      if (s < nvertex) {
+        inblossom[s] = s;
+      } else if (endstage && dualvar[s] === 0) {
+        expandBlossom(s, endstage);
+      } else {
+        for (const leaf of blossomLeaves(s)) inblossom[leaf] = s;
+      }
+    }
+
+    // Mid-stage, an expanded T-blossom's children must be relabeled
+    if (!endstage && label[b] === 2) {
+      const childs = blossomchilds[b];
+      const endps = blossomendps[b];
+      const entrychild = inblossom[endpoint[labelend[b] ^ 1]];
+      let j = childs.indexOf(entrychild);
+      let jstep;
+      let endptrick;
+      if (j & 1) {
+        j -= childs.length;
+        jstep = 1;
+        endptrick = 0;
+      } else {
+        jstep = -1;
+        endptrick = 1;
+      }
+
+      let p = labelend[b];
+      while (j !== 0) {
+        label[endpoint[p ^ 1]] = 0;
+        label[endpoint[at(endps, j - endptrick) ^ endptrick ^ 1]] = 0;
+        assignLabel(endpoint[p ^ 1], 2, p);
+        allowedge[at(endps, j - endptrick) >> 1] = true;
+        j += jstep;
+        p = at(endps, j - endptrick) ^ endptrick;
+        allowedge[p >> 1] = true;
+        j += jstep;
+      }
+
+      const bv = at(childs, j);
+      label[endpoint[p ^ 1]] = label[bv] = 2;
+      labelend[endpoint[p ^ 1]] = labelend[bv] = p;
+      bestedge[bv] = -1;
+
+      j += jstep;
+      while (at(childs, j) !== entrychild) {
+        const child = at(childs, j);
+        if (label[child] === 1) {
+          j += jstep;
+          continue;
+        }
+        const reached = blossomLeaves(child).find((leaf) => label[leaf] !== 0);
+        if (reached !== undefined) {
+          label[reached] = 0;
+          label[endpoint[mate[blossombase[child]]]] = 0;
+          assignLabel(reached, 2, labelend[reached]);
+        }
+        j += jstep;
+      }
+    }
+
+    label[b] = labelend[b] = -1;
+    blossomchilds[b] = blossomendps[b] = null;
+    blossombase[b] = -1;
+    blossombestedges[b] = null;
+    bestedge[b] = -1;
+    unusedblossoms.push(b);
+  };
+
+  // Swap matched and unmatched edges inside blossom b so v becomes its base
+  const augmentBlossom = (b, v) => {
+    let t = v;
+    while (blossomparent[t] !== b) t = blossomparent[t];
+    if (t >= nvertex) augmentBlossom(t, v);
+
+    const childs = blossomchilds[b];
+    const endps = blossomendps[b];
+    const i = childs.indexOf(t);
+    let j = i;
+    let jstep;
+    let endptrick;
+    if (i & 1) {
+      j -= childs.length;
+      jstep = 1;
+      endptrick = 0;
+    } else {
+      jstep = -1;
+      endptrick = 1;
+    }
+
+    while (j !== 0) {
+      j += jstep;
+      t = at(childs, j);
+      const p = at(endps, j - endptrick) ^ endptrick;
+      if (t >= nvertex) augmentBlossom(t, endpoint[p]);
+      j += jstep;
+      t = at(childs, j);
+      if (t >= nvertex) augmentBlossom(t, endpoint[p ^ 1]);
+      mate[endpoint[p]] = p ^ 1;
+      mate[endpoint[p ^ 1]] = p;
+    }
+
+    blossomchilds[b] = [...childs.slice(i), ...childs.slice(0, i)];
+    blossomendps[b] = [...endps.slice(i), ...endps.slice(0, i)];
+    blossombase[b] = blossombase[blossomchilds[b][0]];
+  };
+
+  // Augment the matching along the path through edge k
+  const augmentMatching = (k) => {
+    const [v, w] = edges[k];
+    for (let [s, p] of [[v, 2 * k + 1], [w, 2 * k]]) {
+      for (;;) {
+        const bs = inblossom[s];
+        if (bs >= nvertex) augmentBlossom(bs, s);
+        mate[s] = p;
+        if (labelend[bs] === -1) break;
+
+        const t = endpoint[labelend[bs]];
+        const bt = inblossom[t];
+        s = endpoint[labelend[bt]];
+        const j = endpoint[labelend[bt] ^ 1];
+        if (bt >= nvertex) augmentBlossom(bt, j);
+        mate[j] = labelend[bt];
+        p = labelend[bt] ^ 1;
+      }
+    }
+  };
+
+  // ── Main loop: one augmentation per stage ──────────────────────────────
+  for (let stage = 0; stage < nvertex; stage++) {
+    label.fill(0);
+    bestedge.fill(-1);
+    blossombestedges.fill(null, nvertex);
+    allowedge.fill(false);
+    queue = [];
+
+    for (let v = 0; v < nvertex; v++) {
+      if (mate[v] === -1 && label[inblossom[v]] === 0) assignLabel(v, 1, -1);
+    }
+
+    let augmented = false;
+    for (;;) {
+      while (queue.length > 0 && !augmented) {
+        const v = queue.pop();
+        for (const p of neighbend[v]) {
+          const k = p >> 1;
+          const w = endpoint[p];
+          if (inblossom[v] === inblossom[w]) continue;
+
+          let kslack;
+          if (!allowedge[k]) {
+            kslack = slack(k);
+            if (kslack <= 0) allowedge[k] = true;
+          }
+
+          if (allowedge[k]) {
+            if (label[inblossom[w]] === 0) {
+              assignLabel(w, 2, p ^ 1);
+            } else if (label[inblossom[w]] === 1) {
+              const base = scanBlossom(v, w);
+              if (base >= 0) {
+                addBlossom(base, k);
+              } else {
+                augmentMatching(k);
+                augmented = true;
+                break;
+              }
+            } else if (label[w] === 0) {
+              label[w] = 2;
+              labelend[w] = p ^ 1;
+            }
+          } else if (label[inblossom[w]] === 1) {
+            const b = inblossom[v];
+            if (bestedge[b] === -1 || kslack < slack(bestedge[b])) bestedge[b] = k;
+          } else if (label[w] === 0) {
+            if (bestedge[w] === -1 || kslack < slack(bestedge[w])) bestedge[w] = k;
+          }
+        }
+      }
+      if (augmented) break;
+
+      // No augmenting path yet: adjust the duals by the smallest safe delta
+      let deltatype = -1;
+      let delta = null;
+      let deltaedge = null;
+      let deltablossom = null;
+
+      if (!maxCardinality) {
+        deltatype = 1;
+        delta = Math.min(...dualvar.slice(0, nvertex));
+      }
+      for (let v = 0; v < nvertex; v++) {
+        if (label[inblossom[v]] === 0 && bestedge[v] !== -1) {
+          const d = slack(bestedge[v]);
+          if (deltatype === -1 || d < delta) {
+            delta = d;
+            deltatype = 2;
+            deltaedge = bestedge[v];
+          }
+        }
+      }
+      for (let b = 0; b < 2 * nvertex; b++) {
+        if (blossomparent[b] === -1 && label[b] === 1 && bestedge[b] !== -1) {
+          const d = Math.floor(slack(bestedge[b]) / 2);
+          if (deltatype === -1 || d < delta) {
+            delta = d;
+            deltatype = 3;
+            deltaedge = bestedge[b];
+          }
+        }
+      }
+      for (let b = nvertex; b < 2 * nvertex; b++) {
+        if (blossombase[b] >= 0 && blossomparent[b] === -1 && label[b] === 2 &&
+            (deltatype === -1 || dualvar[b] < delta)) {
+          delta = dualvar[b];
+          deltatype = 4;
+          deltablossom = b;
+        }
+      }
+      if (deltatype === -1) {
+        // Max-cardinality mode with nothing left to grow: finish up
+        deltatype = 1;
+        delta = Math.max(0, Math.min(...dualvar.slice(0, nvertex)));
+      }
+
+      for (let v = 0; v < nvertex; v++) {
+        if (label[inblossom[v]] === 1) dualvar[v] -= delta;
+        else if (label[inblossom[v]] === 2) dualvar[v] += delta;
+      }
+      for (let b = nvertex; b < 2 * nvertex; b++) {
+        if (blossombase[b] >= 0 && blossomparent[b] === -1) {
+          if (label[b] === 1) dualvar[b] += delta;
+          else if (label[b] === 2) dualvar[b] -= delta;
+        }
+      }
+
+      if (deltatype === 1) {
+        break;
+      } else if (deltatype === 2) {
+        allowedge[deltaedge] = true;
+        let [i, j] = edges[deltaedge];
+        if (label[inblossom[i]] === 0) [i, j] = [j, i];
+        queue.push(i);
+      } else if (deltatype === 3) {
+        allowedge[deltaedge] = true;
+        queue.push(edges[deltaedge][0]);
+      } else if (deltatype === 4) {
+        expandBlossom(deltablossom, false);
+      }
+    }
+
+    if (!augmented) break;
+
+    // End of stage: expand S-blossoms whose dual has dropped to zero
+    for (let b = nvertex; b < 2 * nvertex; b++) {
+      if (blossomparent[b] === -1 && blossombase[b] >= 0 && label[b] === 1 && dualvar[b] === 0) {
+        expandBlossom(b, true);
+      }
+    }
+  }
+
+  return mate.map((p) => (p >= 0 ? endpoint[p] : -1));
+}
+
+module.exports = {
+  maxWeightMatching,
+};
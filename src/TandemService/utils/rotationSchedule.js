@@ -0,0 +1,161 @@
+/**
+ * rotationSchedule.js
+ * Adapter between the scheduling system's HW 6-day rotation schedules and
+ * the TandemService.
+ *
+ * `scheduleBuilder.buildSchedule()` (scheduling system/) turns a parsed
+ * schedule PDF into a per-rotation-day campus presence map:
+ *
+ *   { name, grade, days: { 1: { arrival, departure, slots, ... }, ..., 6 },
+ *     alternates: { 'late-start': { name, days: { 1: {...}, ... } }, ... } }
+ *
+ * `alternates` holds the same presence data for each alternate bell schedule
+ * (late start, assembly, finals) known when the schedule was built, and
+ * `terms` the same again for each period of the school year when the
+ * student has semester or trimester courses (scheduling system/terms.js).
+ * TandemService.setUserSchedule() accepts that object directly.  It is
+ * trimmed to the fields the scorer reads (so it can be stored) and tagged
+ * with `format: 'rotation'`.  When both users in a match have one, the
+ * TandemCompatibilityEngine scores them with the scheduling system's
+ * `computeCompatibility()`, so both code paths give the same score.
+ */
+
+const { GRADE_NUMBERS, ROTATION_DAYS } = require('./constants');
+
+const ROTATION_FORMAT = 'rotation';
+
+// Per-day fields kept from buildSchedule() output
+const DAY_FIELDS = [
+  'arrival',
+  'classEnd',
+  'departure',
+  'occupiedSlots',
+  'freeSlots',
+  'lunchFree',
+  'canLeaveLunch',
+  'hasCoCurricular',
+  'coCurricularEnd',
+];
+
+// Per-slot fields kept (the scorer only needs timing and status)
+const SLOT_FIELDS = ['slot', 'block', 'type', 'startMin', 'endMin', 'status', 'courseName'];
+
+/**
+ * Copy the listed fields, turning `undefined` into `null`.
+ * @param  {Object}   source
+ * @param  {string[]} fields
+ * @return {Object}
+ */
+function pickFields(source, fields) {
+  const picked = {};
+  for (const field of fields) {
+    picked[field] = source[field] === undefined ? null : source[field];
+  }
+  return picked;
+}
+
+/**
+ * Trim one day's presence data.
+ * @param  {Object} source - buildSchedule() day
+ * @return {Object}
+ */
+function pickDay(source) {
+  return {
+    ...pickFields(source, DAY_FIELDS),
+    slots: (source.slots || []).map((slot) => pickFields(slot, SLOT_FIELDS)),
+  };
+}
+
+/**
+ * Trim the presence data of one set of courses: the days, each alternate
+ * bell schedule, and the co-curricular.
+ * @param  {Object} source - buildSchedule() output, or one of its `terms`
+ * @return {Object} { hasCoCurricular, coCurricularEndMin, days, alternates }
+ */
+function pickPresence(source) {
+  const days = {};
+  for (const day of ROTATION_DAYS) {
+    days[day] = pickDay(source.days[day]);
+  }
+
+  const alternates = {};
+  for (const [id, alternate] of Object.entries(source.alternates || {})) {
+    const altDays = {};
+    for (const [day, altDay] of Object.entries(alternate.days)) {
+      altDays[day] = pickDay(altDay);
+    }
+    alternates[id] = { name: alternate.name, days: altDays };
+  }
+
+  return {
+    hasCoCurricular: !!source.hasCoCurricular,
+    coCurricularEndMin: source.coCurricularEndMin ?? null,
+    days,
+    alternates,
+  };
+}
+
+/**
+ * Is this a rotation schedule (buildSchedule output or a stored presence map)?
+ * @param  {*} schedule
+ * @return {boolean}
+ */
+function isRotationSchedule(schedule) {
+  return !!schedule &&
+    !Array.isArray(schedule) &&
+    typeof schedule === 'object' &&
+    !!schedule.days &&
+    ROTATION_DAYS.every((day) => !!schedule.days[day]);
+}
+
+/**
+ * Convert buildSchedule() output into the presence map the TandemService
+ * stores and scores.
+ *
+ * @param  {Object} builtSchedule - Output of scheduleBuilder.buildSchedule()
+ * @return {Object} { format, name, grade, hasCoCurricular, coCurricularEndMin, days, alternates, terms }
+ */
+function toPresenceMap(builtSchedule) {
+  if (!isRotationSchedule(builtSchedule)) {
+    throw new Error(`Rotation schedule must have days ${ROTATION_DAYS.join(', ')}`);
+  }
+
+  const terms = {};
+  for (const [period, term] of Object.entries(builtSchedule.terms || {})) {
+    if (!isRotationSchedule(term)) {
+      throw new Error(`Rotation schedule for term ${period} must have days ${ROTATION_DAYS.join(', ')}`);
+    }
+    terms[period] = pickPresence(term);
+  }
+
+  return {
+    format: ROTATION_FORMAT,
+    name: builtSchedule.name || null,
+    grade: builtSchedule.grade || null,
+    ...pickPresence(builtSchedule),
+    terms,
+  };
+}
+
+/**
+ * Prepare a presence map for `computeCompatibility()`, taking the grade from
+ * the tandem profile (the source of truth for pairing rules) rather than
+ * whatever the schedule PDF said.
+ *
+ * @param  {Object} presenceMap
+ * @param  {string} gradeLevel - One of GRADE_LEVELS
+ * @return {Object}
+ */
+function withProfileGrade(presenceMap, gradeLevel) {
+  return {
+    ...presenceMap,
+    grade: GRADE_NUMBERS[gradeLevel] ?? presenceMap.grade,
+  };
+}
+
+module.exports = {
+  ROTATION_FORMAT,
+  isRotationSchedule,
+  toPresenceMap,
+  withProfileGrade,
+};
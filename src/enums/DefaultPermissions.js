@@ -0,0 +1,23 @@
+const UserType = require('./UserType');
+const Permission = require('./Permission');
+
+// Every student can use the whole app; grade-specific rules (who can pair
+// with whom, for example) are enforced by the services. Admins revoke
+// individual permissions from a user, e.g. RENT_SPOT after rental abuse.
+const STUDENT_PERMISSIONS = Object.freeze([
+  Permission.VIEW_SPOTS,
+  Permission.RENT_SPOT,
+  Permission.LIST_SPOT,
+  Permission.JOIN_CARPOOL,
+  Permission.JOIN_TANDEM,
+  Permission.SEND_MESSAGES,
+  Permission.FILE_REPORT,
+]);
+
+const DefaultPermissions = Object.freeze({
+  [UserType.SENIOR]: STUDENT_PERMISSIONS,
+  [UserType.JUNIOR]: STUDENT_PERMISSIONS,
+  [UserType.SOPHOMORE]: STUDENT_PERMISSIONS,
+});
+
+module.exports = { DefaultPermissions, STUDENT_PERMISSIONS };
@@ -1,7 +1,10 @@
 const UserType = require('./UserType');
 const Permission = require('./Permission');
+const { DefaultPermissions, STUDENT_PERMISSIONS } = require('./DefaultPermissions');
 
 module.exports = {
   UserType,
   Permission,
+  DefaultPermissions,
+  STUDENT_PERMISSIONS,
 };
@@ -0,0 +1,35 @@
+/**
+ * ServiceError.js
+ * The error the domain services throw when a request breaks a business rule.
+ *
+ * `code` says which kind of rule was broken, so callers (the HTTP routes in
+ * functions/) can respond without reading the message.  Errors without a
+ * code are the models rejecting invalid input.
+ */
+
+const ERROR_CODES = Object.freeze({
+  INVALID: 'invalid',                    // The request can't be carried out as asked
+  NOT_FOUND: 'not-found',                // A record it refers to doesn't exist
+  FORBIDDEN: 'forbidden',                // The user isn't allowed to do it
+  CONFLICT: 'conflict',                  // It clashes with the current state
+  RATE_LIMITED: 'rate-limited',          // The user is doing it too often
+  PAYMENT_REQUIRED: 'payment-required',  // The payment given didn't go through or doesn't cover it
+  UNAVAILABLE: 'unavailable',            // A service it needs isn't set up
+});
+
+class ServiceError extends Error {
+  /**
+   * @param {string} code    - One of ERROR_CODES
+   * @param {string} message - What went wrong, for the user
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'ServiceError';
+    this.code = code;
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  ServiceError,
+};
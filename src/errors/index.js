@@ -0,0 +1,12 @@
+/**
+ * Errors — Public API
+ *
+ *   const { ServiceError, ERROR_CODES } = require('./src/errors');
+ */
+
+const { ERROR_CODES, ServiceError } = require('./ServiceError');
+
+module.exports = {
+  ERROR_CODES,
+  ServiceError,
+};
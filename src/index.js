@@ -8,6 +8,9 @@
  *   const rental  = require('./src/RentalService');
  *   const carpool = require('./src/CarpoolService');
  *   const tandem  = require('./src/TandemService');
+ *   const calendar = require('./src/SchoolCalendar');
+ *   const repos   = require('./src/repositories');
+ *   const errors  = require('./src/errors');
  */
 
 module.exports = {
@@ -15,4 +18,7 @@ module.exports = {
   ...require('./RentalService'),
   ...require('./TandemService'),
   ...require('./CarpoolService'),
+  ...require('./SchoolCalendar'),
+  ...require('./repositories'),
+  ...require('./errors'),
 };
\ No newline at end of file
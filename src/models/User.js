@@ -1,5 +1,12 @@
 const UserType = require('../enums/UserType');
 const Permission = require('../enums/Permission');
+const { DefaultPermissions, STUDENT_PERMISSIONS } = require('../enums/DefaultPermissions');
+
+// Stored on users documents but never sent to clients: the legacy API key
+// and Canvas credentials (encrypted, or plaintext from before encryption).
+// User doesn't load them; credentials are only read by the backend's
+// CanvasService.
+const SENSITIVE_FIELDS = Object.freeze(['apiKey', 'canvasCredentials', 'canvasAccessToken', 'canvasRefreshToken']);
 
 class User {
   /**
@@ -11,8 +18,8 @@ class User {
    * @param {string} params.phoneNumber
    * @param {string} params.userType - A value from the UserType enum
    * @param {string} params.apiKey
-   * @param {string[]} params.permissions - An array of values from the Permission enum
-   * @param {string} [params.canvasAccessToken] - Canvas LMS API access token
+   * @param {string[]} params.permissions - Permissions granted on top of the UserType defaults
+   * @param {string[]} [params.revokedPermissions] - Permissions taken away from the defaults or grants
    * @param {boolean} [params.canvasDataLinked] - Whether Canvas data is linked
    * @param {string} [params.canvasUserId] - Canvas user ID
    * @param {string} [params.canvasUserName] - Canvas display name
@@ -30,7 +37,7 @@ class User {
     userType, 
     apiKey, 
     permissions,
-    canvasAccessToken,
+    revokedPermissions,
     canvasDataLinked,
     canvasUserId,
     canvasUserName,
@@ -48,9 +55,9 @@ class User {
     this.userType = userType;
     this.apiKey = apiKey;
     this.permissions = permissions || [];
+    this.revokedPermissions = revokedPermissions || [];
     
     // Canvas integration fields
-    this.canvasAccessToken = canvasAccessToken || null;
     this.canvasDataLinked = canvasDataLinked || false;
     this.canvasUserId = canvasUserId || null;
     this.canvasUserName = canvasUserName || null;
@@ -89,13 +96,69 @@ class User {
     }
   }
 
+  /**
+   * Gets the default permissions for the user's type.
+   * Types without their own set (accounts created before grades were
+   * recorded) get the student defaults.
+   * @returns {string[]} Values from the Permission enum
+   */
+  getDefaultPermissions() {
+    return DefaultPermissions[this.userType] || STUDENT_PERMISSIONS;
+  }
+
+  /**
+   * Gets the permissions the user actually has: the UserType defaults plus
+   * grants, minus revocations.
+   * @returns {string[]} Values from the Permission enum
+   */
+  getEffectivePermissions() {
+    const granted = new Set([...this.getDefaultPermissions(), ...this.permissions]);
+    return [...granted].filter((permission) => !this.revokedPermissions.includes(permission));
+  }
+
   /**
    * Checks if the user has a specific permission.
    * @param {string} permission - A value from the Permission enum
    * @returns {boolean} Whether the user has the permission
    */
   checkPermissions(permission) {
-    return this.permissions.includes(permission);
+    return this.getEffectivePermissions().includes(permission);
+  }
+
+  /**
+   * Gives the user a permission, undoing any revocation of it.
+   * @param {string} permission - A value from the Permission enum
+   */
+  grantPermission(permission) {
+    User.validatePermission(permission);
+    this.revokedPermissions = this.revokedPermissions.filter((p) => p !== permission);
+    if (!this.getDefaultPermissions().includes(permission) && !this.permissions.includes(permission)) {
+      this.permissions = [...this.permissions, permission];
+    }
+  }
+
+  /**
+   * Takes a permission away from the user, even if their type has it by default.
+   * @param {string} permission - A value from the Permission enum
+   */
+  revokePermission(permission) {
+    User.validatePermission(permission);
+    this.permissions = this.permissions.filter((p) => p !== permission);
+    if (!this.revokedPermissions.includes(permission)) {
+      this.revokedPermissions = [...this.revokedPermissions, permission];
+    }
+  }
+
+  /**
+   * Throws unless the value is a permission admins can grant or revoke.
+   * ADMIN is excluded: admin access comes from the admins collection.
+   * @param {string} permission
+   */
+  static validatePermission(permission) {
+    if (permission === Permission.ADMIN || !Object.values(Permission).includes(permission)) {
+      const valid = Object.values(Permission).filter((p) => p !== Permission.ADMIN);
+      throw new Error(`Invalid permission: ${permission}. Must be one of: ${valid.join(', ')}`);
+    }
   }
 
   /**
@@ -103,7 +166,7 @@ class User {
    * @returns {boolean} Whether Canvas data is linked
    */
   hasCanvasLinked() {
-    return this.canvasDataLinked === true && this.canvasAccessToken !== null;
+    return this.canvasDataLinked === true;
   }
 
   /**
@@ -122,10 +185,20 @@ class User {
    * @returns {Object} Safe user object without sensitive fields
    */
   toSafeObject() {
-    const safeUser = { ...this };
-    delete safeUser.canvasAccessToken;
-    delete safeUser.apiKey;
-    return safeUser;
+    return User.redactDocument(this);
+  }
+
+  /**
+   * Copies a users document without the fields clients must never see.
+   * @param {Object} doc - Firestore document data
+   * @returns {Object} Copy without SENSITIVE_FIELDS
+   */
+  static redactDocument(doc) {
+    const safeDoc = { ...doc };
+    for (const field of SENSITIVE_FIELDS) {
+      delete safeDoc[field];
+    }
+    return safeDoc;
   }
 
   /**
@@ -142,7 +215,7 @@ class User {
       userType: this.userType,
       apiKey: this.apiKey,
       permissions: this.permissions,
-      canvasAccessToken: this.canvasAccessToken,
+      revokedPermissions: this.revokedPermissions,
       canvasDataLinked: this.canvasDataLinked,
       canvasUserId: this.canvasUserId,
       canvasUserName: this.canvasUserName,
@@ -162,4 +235,6 @@ class User {
   }
 }
 
+User.SENSITIVE_FIELDS = SENSITIVE_FIELDS;
+
 module.exports = User;
@@ -0,0 +1,159 @@
+/**
+ * FirestoreRepository.js
+ * Cloud Firestore data store for the Tandem, Carpool and Rental services.
+ *
+ * Implements the same contract as InMemoryRepository (see that file), with
+ * one Firestore collection per service collection and one document per
+ * entity (document ID = entity[idField]).
+ *
+ * Entities are written with their model's `toJSON()` and read back through
+ * the model's `fromJSON()`, so the documents are the same plain shapes the
+ * models already use for API responses.  Firestore Timestamps are turned
+ * back into Dates before `fromJSON()` sees them.
+ *
+ * The Firestore instance is injected (`admin.firestore()` in Cloud
+ * Functions, or an emulator-backed instance in tests), so this module has
+ * no dependency on firebase-admin itself.
+ */
+
+const { alreadyExistsError } = require('./errors');
+
+/** gRPC status Firestore reports when `create()` hits an existing document */
+const GRPC_ALREADY_EXISTS = 6;
+
+/**
+ * Recursively convert Firestore Timestamps to Dates.
+ * @param  {*} value
+ * @return {*}
+ */
+function fromFirestoreValue(value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (typeof value.toDate === 'function') return value.toDate();
+  if (Array.isArray(value)) return value.map(fromFirestoreValue);
+
+  const result = {};
+  for (const [key, inner] of Object.entries(value)) {
+    result[key] = fromFirestoreValue(inner);
+  }
+  return result;
+}
+
+/**
+ * Recursively drop `undefined` values, which Firestore rejects.
+ * @param  {*} value
+ * @return {*}
+ */
+function toFirestoreValue(value) {
+  if (value === null || typeof value !== 'object' || value instanceof Date) return value;
+  if (Array.isArray(value)) return value.map(toFirestoreValue);
+
+  const result = {};
+  for (const [key, inner] of Object.entries(value)) {
+    if (inner !== undefined) result[key] = toFirestoreValue(inner);
+  }
+  return result;
+}
+
+class FirestoreCollection {
+  /**
+   * @param {Object}   options
+   * @param {Object}   options.ref       - Firestore CollectionReference
+   * @param {string}   options.idField   - Entity property used as the document ID
+   * @param {Function} [options.model]   - Model class with static fromJSON()
+   */
+  constructor({ ref, idField, model = null }) {
+    this.ref = ref;
+    this.idField = idField;
+    this.model = model;
+  }
+
+  async get(id) {
+    const doc = await this.ref.doc(id).get();
+    return doc.exists ? this._fromDoc(doc) : null;
+  }
+
+  async save(entity, { batch = null } = {}) {
+    const data = typeof entity.toJSON === 'function' ? entity.toJSON() : entity;
+    const ref = this.ref.doc(entity[this.idField]);
+    if (batch) batch.set(ref, toFirestoreValue(data));
+    else await ref.set(toFirestoreValue(data));
+    return entity;
+  }
+
+  async create(entity) {
+    const data = typeof entity.toJSON === 'function' ? entity.toJSON() : entity;
+    try {
+      await this.ref.doc(entity[this.idField]).create(toFirestoreValue(data));
+    } catch (error) {
+      if (error.code === GRPC_ALREADY_EXISTS) throw alreadyExistsError(entity[this.idField]);
+      throw error;
+    }
+    return entity;
+  }
+
+  async delete(id, { batch = null } = {}) {
+    if (batch) batch.delete(this.ref.doc(id));
+    else await this.ref.doc(id).delete();
+  }
+
+  async find(filters = {}) {
+    let query = this.ref;
+    for (const [field, value] of Object.entries(filters)) {
+      query = query.where(field, '==', value);
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs.map((doc) => this._fromDoc(doc));
+  }
+
+  /**
+   * Turn a document snapshot back into an entity.
+   * Documents created outside the services (e.g. parking spots added from
+   * the admin panel) may not carry their ID as a field, so fall back to
+   * the document ID.
+   * @param  {Object} doc - Firestore DocumentSnapshot
+   * @return {Object}
+   */
+  _fromDoc(doc) {
+    const data = fromFirestoreValue(doc.data());
+    if (!data[this.idField]) data[this.idField] = doc.id;
+    return this.model ? this.model.fromJSON(data) : data;
+  }
+}
+
+class FirestoreRepository {
+  /**
+   * @param {Object} db - Firestore instance (e.g. `admin.firestore()`)
+   */
+  constructor(db) {
+    if (!db) throw new Error('FirestoreRepository requires a Firestore instance');
+    this.db = db;
+  }
+
+  /**
+   * Get a Firestore-backed collection.
+   * @param  {string}   name              - Firestore collection name
+   * @param  {Object}   options
+   * @param  {string}   options.idField   - Entity property used as the document ID
+   * @param  {Function} [options.model]   - Model class with static fromJSON()
+   * @return {FirestoreCollection}
+   */
+  collection(name, { idField, model }) {
+    return new FirestoreCollection({
+      ref: this.db.collection(name),
+      idField,
+      model,
+    });
+  }
+
+  /**
+   * Start a write batch for `save()` and `delete()`: a Firestore WriteBatch,
+   * so callers can add writes of their own to it.
+   * @return {Object} Firestore WriteBatch
+   */
+  batch() {
+    return this.db.batch();
+  }
+}
+
+module.exports = FirestoreRepository;
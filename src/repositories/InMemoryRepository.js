@@ -0,0 +1,128 @@
+/**
+ * InMemoryRepository.js
+ * Map-backed data store for the Tandem, Carpool and Rental services.
+ *
+ * This is the default repository: it keeps the services runnable standalone
+ * for development and tests, exactly as they were before storage became
+ * pluggable.  Entities are stored by reference, so nothing is serialized.
+ *
+ * ── Repository Contract ───────────────────────────────────────────────────
+ * Every repository exposes `collection(name, { idField, model })`, which
+ * returns an object with these async methods:
+ *
+ *   get(id)                   → entity | null
+ *   save(entity, { batch })   → entity     (keyed by entity[idField])
+ *   create(entity)            → entity     (atomic; fails if the ID exists)
+ *   delete(id, { batch })     → void
+ *   find(filters)             → entity[]   (equality match on each field)
+ *
+ * and `batch()`, which returns a write batch with an async `commit()`.
+ * `save()` and `delete()` given a batch only add the write to it; nothing
+ * changes until the batch is committed, and then every write in it does.
+ * Callers use this to make a service's writes together with their own
+ * (the admin panel writes each change and its audit entry in one batch).
+ *
+ * Services must `save()` an entity after mutating it — the in-memory store
+ * doesn't need it, but the Firestore store does.
+ *
+ * `create()` is the one atomic operation: when the ID is already taken it
+ * rejects with an error whose `code` is ALREADY_EXISTS (see errors.js), so
+ * exactly one of several concurrent callers wins.  Services use it for
+ * lock documents.
+ */
+
+const { alreadyExistsError } = require('./errors');
+
+/**
+ * Does an entity match every `{ field: value }` pair in the filters?
+ * @param  {Object} entity
+ * @param  {Object} filters
+ * @return {boolean}
+ */
+function matchesFilters(entity, filters) {
+  return Object.entries(filters).every(([field, value]) => entity[field] === value);
+}
+
+class InMemoryBatch {
+  constructor() {
+    /** @type {Function[]} writes to apply on commit */
+    this.writes = [];
+  }
+
+  async commit() {
+    this.writes.splice(0).forEach((write) => write());
+  }
+}
+
+class InMemoryCollection {
+  /**
+   * @param {Object} options
+   * @param {string} options.idField - Entity property used as the key
+   */
+  constructor({ idField }) {
+    this.idField = idField;
+
+    /** @type {Map<string, Object>} id → entity */
+    this.items = new Map();
+  }
+
+  async get(id) {
+    return this.items.get(id) || null;
+  }
+
+  async save(entity, { batch = null } = {}) {
+    const write = () => this.items.set(entity[this.idField], entity);
+    if (batch) batch.writes.push(write);
+    else write();
+    return entity;
+  }
+
+  async create(entity) {
+    const id = entity[this.idField];
+    if (this.items.has(id)) throw alreadyExistsError(id);
+    this.items.set(id, entity);
+    return entity;
+  }
+
+  async delete(id, { batch = null } = {}) {
+    const write = () => this.items.delete(id);
+    if (batch) batch.writes.push(write);
+    else write();
+  }
+
+  async find(filters = {}) {
+    return [...this.items.values()].filter((entity) => matchesFilters(entity, filters));
+  }
+}
+
+class InMemoryRepository {
+  constructor() {
+    /** @type {Map<string, InMemoryCollection>} collection name → collection */
+    this.collections = new Map();
+  }
+
+  /**
+   * Get (or lazily create) a named collection.
+   * @param  {string} name
+   * @param  {Object} options
+   * @param  {string} options.idField   - Entity property used as the key
+   * @param  {Function} [options.model] - Unused here; see FirestoreRepository
+   * @return {InMemoryCollection}
+   */
+  collection(name, { idField }) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new InMemoryCollection({ idField }));
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * Start a write batch for `save()` and `delete()`.
+   * @return {InMemoryBatch}
+   */
+  batch() {
+    return new InMemoryBatch();
+  }
+}
+
+module.exports = InMemoryRepository;
@@ -0,0 +1,23 @@
+/**
+ * errors.js
+ * Errors shared by the repository implementations.
+ */
+
+/** `code` of the error `create()` rejects with when the ID is taken */
+const ALREADY_EXISTS = 'already-exists';
+
+/**
+ * Build the error `create()` rejects with when the ID is taken.
+ * @param  {string} id
+ * @return {Error}
+ */
+function alreadyExistsError(id) {
+  const error = new Error(`Document ${id} already exists`);
+  error.code = ALREADY_EXISTS;
+  return error;
+}
+
+module.exports = {
+  ALREADY_EXISTS,
+  alreadyExistsError,
+};
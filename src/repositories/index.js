@@ -0,0 +1,16 @@
+/**
+ * Repositories — Public API
+ *
+ * Pluggable data stores for the Tandem, Carpool and Rental services:
+ *   const { InMemoryRepository, FirestoreRepository } = require('./src/repositories');
+ *
+ *   new TandemService({ repository: new FirestoreRepository(admin.firestore()) });
+ */
+
+const InMemoryRepository = require('./InMemoryRepository');
+const FirestoreRepository = require('./FirestoreRepository');
+
+module.exports = {
+  InMemoryRepository,
+  FirestoreRepository,
+};
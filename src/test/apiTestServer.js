@@ -0,0 +1,107 @@
+/**
+ * apiTestServer.js
+ *
+ * Serves the whole API (the `apiv2` Express app in functions/index.js) on a
+ * local port for route tests, on the fake firebase-admin in
+ * fakeFirebaseAdmin.js.  Everything behind the routes runs as it does in
+ * production: the middleware, and the domain services from
+ * functions/services/domainServices.js on the fake Firestore.
+ *
+ * Load it once per process; it installs the fake before anything in
+ * functions/ is required.  Stripe is configured from STRIPE_SECRET_KEY and
+ * STRIPE_API_BASE_URL when functions/ loads, so set them first (see
+ * mockStripeServer.js).
+ *
+ * Usage:
+ *   const api = await startApiServer();   // null without functions/ dependencies
+ *   const token = api.signInStudent('alice');
+ *   const { status, body } = await api.request('GET', '/tandem/profile', { token });
+ *   await api.stop();
+ */
+
+const http = require('http');
+const path = require('path');
+const { FUNCTIONS_DIR, createFakeFirebaseAdmin, installFakeFirebaseAdmin } = require('./fakeFirebaseAdmin');
+
+/**
+ * Start the API on a free local port
+ * @return {Promise<Object|null>} The server, or null if the functions/
+ *   dependencies aren't installed
+ */
+async function startApiServer() {
+  const admin = createFakeFirebaseAdmin();
+  if (!installFakeFirebaseAdmin(admin)) return null;
+
+  const { apiv2 } = require(path.join(FUNCTIONS_DIR, 'index'));
+  const services = require(path.join(FUNCTIONS_DIR, 'services/domainServices'));
+
+  const server = http.createServer(apiv2);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    admin,
+    services,
+    baseUrl,
+
+    /**
+     * Make a request as a signed-in user (`token`), with an API key, or
+     * anonymously
+     * @param  {string} method
+     * @param  {string} urlPath - e.g. '/tandem/profile'
+     * @param  {Object} [options]
+     * @param  {string} [options.token]  - Firebase ID token from signInStudent / signInAdmin
+     * @param  {string} [options.apiKey]
+     * @param  {Object} [options.body]   - Sent as JSON
+     * @return {Promise<{status: number, body: Object, headers: Headers}>}
+     */
+    async request(method, urlPath, { token, apiKey, body } = {}) {
+      const headers = {};
+      if (token) headers.authorization = `Bearer ${token}`;
+      if (apiKey) headers['x-api-key'] = apiKey;
+      if (body !== undefined) headers['content-type'] = 'application/json';
+
+      const response = await fetch(`${baseUrl}${urlPath}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      const text = await response.text();
+      return { status: response.status, body: text ? JSON.parse(text) : null, headers: response.headers };
+    },
+
+    /**
+     * Create a student with a verified school email and sign them in
+     * @param  {string} uid
+     * @param  {Object} [fields] - More `users` document fields (userType defaults to JUNIOR)
+     * @return {string} ID token
+     */
+    signInStudent(uid, fields = {}) {
+      admin.seed({ [`users/${uid}`]: { name: uid, email: `${uid}@hw.com`, userType: 'JUNIOR', ...fields } });
+      return admin.signIn(uid);
+    },
+
+    /**
+     * Create an active admin and sign them in
+     * @param  {string} uid
+     * @param  {string} role - One of ADMIN_ROLES (functions/utils/adminRoles.js)
+     * @return {string} ID token
+     */
+    signInAdmin(uid, role) {
+      admin.seed({
+        [`users/${uid}`]: { name: uid, email: `${uid}@hw.com` },
+        [`admins/${uid}`]: { email: `${uid}@hw.com`, role, active: true },
+      });
+      return admin.signIn(uid);
+    },
+
+    stop() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = {
+  startApiServer,
+};
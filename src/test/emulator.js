@@ -0,0 +1,37 @@
+/**
+ * emulator.js
+ *
+ * Shared helper for tests that run against the Firestore emulator.
+ * Only used when FIRESTORE_EMULATOR_HOST is set (see `npm run test:emulator`).
+ */
+
+const path = require('path');
+const { FirestoreRepository } = require('../repositories');
+
+const EMULATOR_PROJECT_ID = 'demo-itandem-test';
+
+/**
+ * Build a FirestoreRepository against the emulator, wiping it first.
+ * firebase-admin is only installed under functions/, so resolve it there.
+ */
+async function createEmulatorRepository() {
+  const admin = require(require.resolve('firebase-admin', {
+    paths: [path.join(__dirname, '../../functions')],
+  }));
+
+  const host = process.env.FIRESTORE_EMULATOR_HOST;
+  await fetch(
+    `http://${host}/emulator/v1/projects/${EMULATOR_PROJECT_ID}/databases/(default)/documents`,
+    { method: 'DELETE' },
+  );
+
+  const app = admin.apps.length > 0
+    ? admin.app()
+    : admin.initializeApp({ projectId: EMULATOR_PROJECT_ID });
+  return new FirestoreRepository(app.firestore());
+}
+
+module.exports = {
+  EMULATOR_PROJECT_ID,
+  createEmulatorRepository,
+};
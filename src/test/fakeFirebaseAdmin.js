@@ -0,0 +1,558 @@
+/**
+ * fakeFirebaseAdmin.js
+ *
+ * Map-backed stand-in for the parts of `firebase-admin` that functions/
+ * uses (Firestore documents, queries, batches and transactions, FieldValue
+ * and Timestamp, and Firebase Auth users and ID tokens), so the API's
+ * middleware, routes and services can be tested without the emulator.
+ *
+ * `installFakeFirebaseAdmin()` puts the fake in the require cache where
+ * functions/ resolves `firebase-admin`; call it before requiring anything
+ * from functions/.
+ */
+
+const path = require('path');
+const Module = require('module');
+
+const FUNCTIONS_DIR = path.join(__dirname, '../../functions');
+
+// ── Values ──────────────────────────────────────────────────────────────────
+
+class Timestamp {
+  constructor(date) {
+    this._millis = date.getTime();
+  }
+
+  static fromDate(date) {
+    return new Timestamp(date);
+  }
+
+  static now() {
+    return new Timestamp(new Date());
+  }
+
+  toDate() {
+    return new Date(this._millis);
+  }
+
+  toMillis() {
+    return this._millis;
+  }
+}
+
+/** FieldValue sentinels are resolved against the stored value on write. */
+class Sentinel {
+  constructor(kind, apply, operands = []) {
+    this.kind = kind;
+    this.apply = apply;
+    this.operands = operands;
+  }
+
+  isEqual(other) {
+    return other instanceof Sentinel && other.kind === this.kind &&
+      JSON.stringify(toStored(other.operands)) === JSON.stringify(toStored(this.operands));
+  }
+}
+
+const DELETE = new Sentinel('delete', () => undefined);
+
+const FieldValue = {
+  serverTimestamp: () => new Sentinel('serverTimestamp', () => Timestamp.now()),
+  delete: () => DELETE,
+  increment: (n) => new Sentinel('increment', (current) => (current || 0) + n, [n]),
+  arrayUnion: (...items) => new Sentinel('arrayUnion', (current) => {
+    const result = Array.isArray(current) ? [...current] : [];
+    for (const item of items) {
+      if (!result.some((existing) => sameValue(existing, item))) result.push(toStored(item));
+    }
+    return result;
+  }, items),
+  arrayRemove: (...items) => new Sentinel('arrayRemove', (current) =>
+    (Array.isArray(current) ? current : []).filter((existing) => !items.some((item) => sameValue(existing, item))),
+  items),
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+/** Copy a value the way Firestore stores it: Dates become Timestamps. */
+function toStored(value) {
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (value instanceof Timestamp) return new Timestamp(value.toDate());
+  if (Array.isArray(value)) return value.map(toStored);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value)
+        .filter(([, v]) => v !== undefined)
+        .map(([k, v]) => [k, toStored(v)]));
+  }
+  return value;
+}
+
+function clone(value) {
+  if (value instanceof Timestamp) return new Timestamp(value.toDate());
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  return value;
+}
+
+function comparable(value) {
+  if (value instanceof Timestamp) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+function sameValue(a, b) {
+  const x = comparable(a);
+  if (x === null || typeof x !== 'object') return x === comparable(b);
+  return JSON.stringify(toStored(a)) === JSON.stringify(toStored(b));
+}
+
+function getField(data, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/** Apply `changes` to `data`: field paths may be dotted, values may be sentinels. */
+function applyChanges(data, changes, { merge }) {
+  const result = clone(data);
+  for (const [fieldPath, value] of Object.entries(changes)) {
+    const keys = fieldPath.split('.');
+    let target = result;
+    for (const key of keys.slice(0, -1)) {
+      if (!isPlainObject(target[key])) target[key] = {};
+      target = target[key];
+    }
+    const last = keys[keys.length - 1];
+    if (value instanceof Sentinel) {
+      const next = value.apply(target[last]);
+      if (next === undefined) delete target[last];
+      else target[last] = next;
+    } else if (merge && isPlainObject(value) && isPlainObject(target[last])) {
+      target[last] = applyChanges(target[last], value, { merge });
+    } else if (value !== undefined) {
+      target[last] = toStored(value);
+    }
+  }
+  return result;
+}
+
+/** Firestore rejects with GoogleErrors (gRPC status in `code`), not plain Errors. */
+class GoogleError extends Error {}
+
+function firestoreError(code, message) {
+  const error = new GoogleError(message);
+  error.code = code;
+  return error;
+}
+
+let autoId = 0;
+const nextId = () => `auto-${++autoId}-${Math.random().toString(36).slice(2, 8)}`;
+
+// ── Firestore ───────────────────────────────────────────────────────────────
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(fieldPath) {
+    return this.exists ? clone(getField(this._data, fieldPath)) : undefined;
+  }
+}
+
+class DocumentReference {
+  constructor(db, collectionPath, id) {
+    this._db = db;
+    this.id = id;
+    this.path = `${collectionPath}/${id}`;
+  }
+
+  collection(name) {
+    return new CollectionReference(this._db, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return this._snapshot();
+  }
+
+  // Queries pass the data they already read
+  _snapshot(data = this._db._docs.get(this.path)) {
+    return new DocumentSnapshot(this, data);
+  }
+
+  async set(data, options) {
+    this._set(data, options);
+  }
+
+  _set(data, { merge = false } = {}) {
+    const current = merge ? this._db._docs.get(this.path) || {} : {};
+    this._db._docs.set(this.path, applyChanges(current, data, { merge: true }));
+  }
+
+  async create(data) {
+    this._create(data);
+  }
+
+  _create(data) {
+    if (this._db._docs.has(this.path)) throw firestoreError(6, `Document already exists: ${this.path}`);
+    this._set(data);
+  }
+
+  async update(data) {
+    this._update(data);
+  }
+
+  _update(data) {
+    const current = this._db._docs.get(this.path);
+    if (current === undefined) throw firestoreError(5, `No document to update: ${this.path}`);
+    this._db._docs.set(this.path, applyChanges(current, data, { merge: false }));
+  }
+
+  async delete() {
+    this._db._docs.delete(this.path);
+  }
+}
+
+const OPERATORS = {
+  '==': (a, b) => sameValue(a, b),
+  '!=': (a, b) => a !== undefined && !sameValue(a, b),
+  '<': (a, b) => a !== undefined && comparable(a) < comparable(b),
+  '<=': (a, b) => a !== undefined && comparable(a) <= comparable(b),
+  '>': (a, b) => a !== undefined && comparable(a) > comparable(b),
+  '>=': (a, b) => a !== undefined && comparable(a) >= comparable(b),
+  'in': (a, b) => b.some((value) => sameValue(a, value)),
+  'not-in': (a, b) => a !== undefined && !b.some((value) => sameValue(a, value)),
+  'array-contains': (a, b) => Array.isArray(a) && a.some((value) => sameValue(value, b)),
+  'array-contains-any': (a, b) => Array.isArray(a) && a.some((value) => b.some((v) => sameValue(value, v))),
+};
+
+class Query {
+  constructor(db, collectionPath, { filters = [], orders = [], limit = null, offset = 0, after = null } = {}) {
+    this._db = db;
+    this._collectionPath = collectionPath;
+    this._options = { filters, orders, limit, offset, after };
+  }
+
+  _with(changes) {
+    return new Query(this._db, this._collectionPath, { ...this._options, ...changes });
+  }
+
+  where(fieldPath, op, value) {
+    if (!OPERATORS[op]) throw new Error(`Unsupported query operator ${op}`);
+    return this._with({ filters: [...this._options.filters, { fieldPath, op, value }] });
+  }
+
+  orderBy(fieldPath, direction = 'asc') {
+    return this._with({ orders: [...this._options.orders, { fieldPath, direction }] });
+  }
+
+  limit(n) {
+    return this._with({ limit: n });
+  }
+
+  offset(n) {
+    return this._with({ offset: n });
+  }
+
+  startAfter(snapshot) {
+    return this._with({ after: snapshot.id });
+  }
+
+  count() {
+    return { get: async () => ({ data: () => ({ count: this._matches().length }) }) };
+  }
+
+  _matches() {
+    const prefix = `${this._collectionPath}/`;
+    let docs = [...this._db._docs.entries()]
+        .filter(([docPath]) => docPath.startsWith(prefix) && !docPath.slice(prefix.length).includes('/'))
+        .map(([docPath, data]) => new DocumentReference(this._db, this._collectionPath, docPath.slice(prefix.length))
+            ._snapshot(data));
+
+    for (const { fieldPath, op, value } of this._options.filters) {
+      docs = docs.filter((doc) => {
+        const actual = getField(doc._data, fieldPath);
+        // Firestore leaves out documents without the field, and `!= null` means "is set"
+        if (op === '!=' && value === null) return actual !== undefined && actual !== null;
+        return OPERATORS[op](actual, value);
+      });
+    }
+    for (const { fieldPath } of this._options.orders) {
+      docs = docs.filter((doc) => getField(doc._data, fieldPath) !== undefined);
+    }
+    docs.sort((a, b) => {
+      for (const { fieldPath, direction } of this._options.orders) {
+        const x = comparable(getField(a._data, fieldPath));
+        const y = comparable(getField(b._data, fieldPath));
+        if (x < y) return direction === 'desc' ? 1 : -1;
+        if (x > y) return direction === 'desc' ? -1 : 1;
+      }
+      return a.id.localeCompare(b.id);
+    });
+
+    if (this._options.after) {
+      const index = docs.findIndex((doc) => doc.id === this._options.after);
+      docs = docs.slice(index + 1);
+    }
+    docs = docs.slice(this._options.offset);
+    if (this._options.limit !== null) docs = docs.slice(0, this._options.limit);
+    return docs;
+  }
+
+  async get() {
+    const docs = this._matches();
+    return { docs, size: docs.length, empty: docs.length === 0, forEach: (fn) => docs.forEach(fn) };
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(db, collectionPath) {
+    super(db, collectionPath);
+    this.id = collectionPath.split('/').pop();
+    this.path = collectionPath;
+  }
+
+  doc(id = nextId()) {
+    return new DocumentReference(this._db, this.path, id);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    ref._set(data);
+    return ref;
+  }
+}
+
+class WriteBatch {
+  constructor(db) {
+    this._db = db;
+    this._writes = [];
+  }
+
+  set(ref, data, options) {
+    this._writes.push(() => ref._set(data, options));
+    return this;
+  }
+
+  create(ref, data) {
+    this._writes.push(() => ref._create(data));
+    return this;
+  }
+
+  update(ref, data) {
+    this._writes.push(() => ref._update(data));
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push(() => ref._db._docs.delete(ref.path));
+    return this;
+  }
+
+  async commit() {
+    // All or nothing: a failed write undoes the ones before it
+    const before = new Map(this._db._docs);
+    try {
+      this._writes.forEach((write) => write());
+    } catch (error) {
+      this._db._docs.clear();
+      before.forEach((data, docPath) => this._db._docs.set(docPath, data));
+      throw error;
+    }
+  }
+}
+
+class Firestore {
+  constructor() {
+    this._docs = new Map();
+  }
+
+  settings() {}
+
+  collection(collectionPath) {
+    return new CollectionReference(this, collectionPath);
+  }
+
+  doc(docPath) {
+    const parts = docPath.split('/');
+    return new DocumentReference(this, parts.slice(0, -1).join('/'), parts[parts.length - 1]);
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  async runTransaction(fn) {
+    const batch = new WriteBatch(this);
+    // Writes are applied once `fn` resolves, like a committed transaction
+    const transaction = {
+      get: (refOrQuery) => refOrQuery.get(),
+      set: (ref, data, options) => {
+        batch.set(ref, data, options);
+        return transaction;
+      },
+      create: (ref, data) => {
+        batch.create(ref, data);
+        return transaction;
+      },
+      update: (ref, data) => {
+        batch.update(ref, data);
+        return transaction;
+      },
+      delete: (ref) => {
+        batch.delete(ref);
+        return transaction;
+      },
+    };
+    const result = await fn(transaction);
+    await batch.commit();
+    return result;
+  }
+}
+
+// ── Auth ────────────────────────────────────────────────────────────────────
+
+function authError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class Auth {
+  constructor() {
+    this._users = new Map();
+    this._idTokens = new Map();
+  }
+
+  async verifyIdToken(token) {
+    const claims = this._idTokens.get(token);
+    if (!claims) throw authError('auth/argument-error', 'Invalid ID token');
+    return { ...claims };
+  }
+
+  async getUser(uid) {
+    const user = this._users.get(uid);
+    if (!user) throw authError('auth/user-not-found', `No user ${uid}`);
+    return { ...user };
+  }
+
+  async getUserByEmail(email) {
+    const user = [...this._users.values()].find((u) => u.email === email);
+    if (!user) throw authError('auth/user-not-found', `No user with email ${email}`);
+    return { ...user };
+  }
+
+  async createUser({ uid = nextId(), email, emailVerified = false, displayName = null, disabled = false }) {
+    if (email && [...this._users.values()].some((u) => u.email === email)) {
+      throw authError('auth/email-already-exists', `${email} is taken`);
+    }
+    const user = { uid, email, emailVerified, displayName, disabled };
+    this._users.set(uid, user);
+    return { ...user };
+  }
+
+  async updateUser(uid, changes) {
+    const user = await this.getUser(uid);
+    this._users.set(uid, { ...user, ...changes });
+    return this.getUser(uid);
+  }
+
+  async deleteUser(uid) {
+    await this.getUser(uid);
+    this._users.delete(uid);
+  }
+
+  async listUsers() {
+    return { users: [...this._users.values()].map((u) => ({ ...u })), pageToken: undefined };
+  }
+
+  async createCustomToken(uid) {
+    return `custom-token-${uid}`;
+  }
+}
+
+// ── Module ──────────────────────────────────────────────────────────────────
+
+/**
+ * A fresh fake `firebase-admin` module.  Besides the real module's API it
+ * has helpers for arranging and inspecting state:
+ *   seed({ 'users/u1': {...} })           - write documents (Dates become Timestamps)
+ *   read('users/u1')                      - a document's data, or null
+ *   docs('auditLog')                      - `{ id, ...data }` for every document in a collection
+ *   signIn(uid, { email, emailVerified }) - create the Auth user, return an ID token for them
+ *   reset()                               - drop all documents, users and tokens
+ */
+function createFakeFirebaseAdmin() {
+  // Modules keep the instances they got at load time, so reset() clears them in place
+  const db = new Firestore();
+  const auth = new Auth();
+
+  const firestore = () => db;
+  firestore.FieldValue = FieldValue;
+  firestore.Timestamp = Timestamp;
+
+  return {
+    apps: [],
+    initializeApp() {},
+    firestore,
+    auth: () => auth,
+    storage: () => {
+      throw new Error('Cloud Storage is not faked');
+    },
+
+    seed(docs) {
+      for (const [docPath, data] of Object.entries(docs)) db.doc(docPath)._set(data);
+    },
+    read(docPath) {
+      const data = db._docs.get(docPath);
+      return data === undefined ? null : clone(data);
+    },
+    docs(collectionPath) {
+      return db.collection(collectionPath)._matches().map((doc) => ({ id: doc.id, ...doc.data() }));
+    },
+    signIn(uid, { email = `${uid}@hw.com`, emailVerified = true } = {}) {
+      auth._users.set(uid, { uid, email, emailVerified, displayName: null, disabled: false });
+      const token = `id-token-${uid}`;
+      auth._idTokens.set(token, { uid, email, email_verified: emailVerified });
+      return token;
+    },
+    reset() {
+      db._docs.clear();
+      auth._users.clear();
+      auth._idTokens.clear();
+    },
+  };
+}
+
+/**
+ * Make functions/ load `fake` whenever it requires `firebase-admin`.
+ * @return {boolean} false if functions/ dependencies aren't installed
+ */
+function installFakeFirebaseAdmin(fake) {
+  let resolved;
+  try {
+    resolved = require.resolve('firebase-admin', { paths: [FUNCTIONS_DIR] });
+  } catch (error) {
+    return false;
+  }
+  const cached = new Module(resolved);
+  cached.filename = resolved;
+  cached.loaded = true;
+  cached.exports = fake;
+  require.cache[resolved] = cached;
+  return true;
+}
+
+module.exports = {
+  FUNCTIONS_DIR,
+  Timestamp,
+  firestoreError,
+  createFakeFirebaseAdmin,
+  installFakeFirebaseAdmin,
+};
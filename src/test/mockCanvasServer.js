@@ -0,0 +1,273 @@
+/**
+ * mockCanvasServer.js
+ *
+ * A local stand-in for Canvas LMS, for tests of the Canvas integration in
+ * functions/services/: the OAuth2 endpoints (authorization code with PKCE,
+ * refresh tokens, revocation) and the few API endpoints CanvasService calls.
+ *
+ * Authorizing is automatic: GET /login/oauth2/auth redirects straight back
+ * to the redirect URI with a code, as if the student had clicked Authorize.
+ * expireAccessTokens() makes every issued access token fail with 401, as
+ * Canvas does when one expires after an hour, and throttle(n) makes the
+ * next n API requests fail with 403 "Rate Limit Exceeded".
+ *
+ * Lists are paginated like Canvas does: `per_page` items a page (10 by
+ * default, at most `pageSize`), with the other pages linked in the `Link`
+ * header.
+ *
+ * Usage:
+ *   const canvas = await startMockCanvasServer();
+ *   // CANVAS_API_BASE_URL = canvas.apiBaseUrl
+ *   await canvas.stop();
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const MOCK_CLIENT = Object.freeze({
+  clientId: 'mock-client-id',
+  clientSecret: 'mock-client-secret',
+  redirectUri: 'http://localhost/test.html',
+});
+
+const MOCK_USER = Object.freeze({
+  id: 4242,
+  name: 'Test Student',
+  primary_email: 'student@hw.com',
+});
+
+const ACCESS_TOKEN_TTL_SECONDS = 3600;
+const DEFAULT_PER_PAGE = 10;
+const MAX_PER_PAGE = 100;
+
+function defaultData() {
+  return {
+    profile: MOCK_USER,
+    courses: [
+      { id: 1, name: 'Honors Chemistry', course_code: '2745-FY-B', enrollment_term_id: 1 },
+      { id: 2, name: 'US History', course_code: '8720-T1-A', enrollment_term_id: 1 },
+    ],
+    calendar: [],
+    assignments: [],
+    enrollments: [],
+  };
+}
+
+/**
+ * Start a mock Canvas server on a free local port
+ * @param {Object} [options]
+ * @param {Object} [options.data] - API responses: profile, courses, calendar, assignments, enrollments
+ * @param {number} [options.pageSize] - Most items on a page, whatever per_page asks for
+ * @returns {Promise<Object>} Server handle (see the returned object)
+ */
+async function startMockCanvasServer({ data = defaultData(), pageSize = MAX_PER_PAGE } = {}) {
+  const codes = new Map(); // code -> { codeChallenge, redirectUri }
+  const accessTokens = new Map(); // token -> { refreshToken, expired }
+  const refreshTokens = new Set();
+  const counts = {
+    authorizations: 0,
+    tokenRequests: 0,
+    refreshes: 0,
+    revocations: 0,
+    apiRequests: 0,
+    throttled: 0,
+    pages: 0,
+  };
+  let throttleRemaining = 0;
+
+  function issueAccessToken(refreshToken) {
+    const token = crypto.randomBytes(16).toString('hex');
+    accessTokens.set(token, { refreshToken, expired: false });
+    return token;
+  }
+
+  function send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+  }
+
+  function bearerToken(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    return match ? match[1] : null;
+  }
+
+  function authorize(url, res) {
+    counts.authorizations++;
+    const params = url.searchParams;
+    if (params.get('client_id') !== MOCK_CLIENT.clientId || params.get('response_type') !== 'code') {
+      return send(res, 400, { error: 'invalid_request' });
+    }
+
+    const redirect = new URL(params.get('redirect_uri'));
+    if (params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge')) {
+      redirect.searchParams.set('error', 'invalid_request');
+    } else {
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, { codeChallenge: params.get('code_challenge'), redirectUri: params.get('redirect_uri') });
+      redirect.searchParams.set('code', code);
+    }
+    redirect.searchParams.set('state', params.get('state'));
+    send(res, 302, undefined, { Location: redirect.toString() });
+  }
+
+  function token(form, res) {
+    counts.tokenRequests++;
+    if (form.get('client_id') !== MOCK_CLIENT.clientId || form.get('client_secret') !== MOCK_CLIENT.clientSecret) {
+      return send(res, 401, { error: 'invalid_client' });
+    }
+
+    if (form.get('grant_type') === 'authorization_code') {
+      const pending = codes.get(form.get('code'));
+      codes.delete(form.get('code'));
+      const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+      if (!pending || pending.redirectUri !== form.get('redirect_uri') || pending.codeChallenge !== challenge) {
+        return send(res, 400, { error: 'invalid_grant' });
+      }
+
+      const refreshToken = crypto.randomBytes(16).toString('hex');
+      refreshTokens.add(refreshToken);
+      return send(res, 200, {
+        access_token: issueAccessToken(refreshToken),
+        token_type: 'Bearer',
+        user: { id: data.profile.id, name: data.profile.name },
+        refresh_token: refreshToken,
+        expires_in: ACCESS_TOKEN_TTL_SECONDS,
+      });
+    }
+
+    if (form.get('grant_type') === 'refresh_token') {
+      counts.refreshes++;
+      const refreshToken = form.get('refresh_token');
+      if (!refreshTokens.has(refreshToken)) {
+        return send(res, 400, { error: 'invalid_grant' });
+      }
+      return send(res, 200, {
+        access_token: issueAccessToken(refreshToken),
+        token_type: 'Bearer',
+        user: { id: data.profile.id, name: data.profile.name },
+        expires_in: ACCESS_TOKEN_TTL_SECONDS,
+      });
+    }
+
+    send(res, 400, { error: 'unsupported_grant_type' });
+  }
+
+  function revoke(req, res) {
+    const entry = accessTokens.get(bearerToken(req));
+    if (!entry) {
+      return send(res, 401, { errors: [{ message: 'Invalid access token.' }] });
+    }
+    counts.revocations++;
+    // Revoking an access token also revokes its refresh token
+    refreshTokens.delete(entry.refreshToken);
+    for (const [token, other] of accessTokens) {
+      if (other.refreshToken === entry.refreshToken) accessTokens.delete(token);
+    }
+    send(res, 200, {});
+  }
+
+  /** Send one page of a list, linking the others like Canvas does */
+  function sendPage(req, url, res, items) {
+    counts.pages++;
+    const perPage = Math.min(parseInt(url.searchParams.get('per_page'), 10) || DEFAULT_PER_PAGE, pageSize);
+    const lastPage = Math.max(1, Math.ceil(items.length / perPage));
+    const page = Math.min(Math.max(parseInt(url.searchParams.get('page'), 10) || 1, 1), lastPage);
+
+    const pageUrl = (number) => {
+      const link = new URL(url.pathname + url.search, `http://${req.headers.host}`);
+      link.searchParams.set('page', String(number));
+      link.searchParams.set('per_page', String(perPage));
+      return link.toString();
+    };
+    const links = [`<${pageUrl(page)}>; rel="current"`];
+    if (page < lastPage) links.push(`<${pageUrl(page + 1)}>; rel="next"`);
+    if (page > 1) links.push(`<${pageUrl(page - 1)}>; rel="prev"`);
+    links.push(`<${pageUrl(1)}>; rel="first"`, `<${pageUrl(lastPage)}>; rel="last"`);
+
+    send(res, 200, items.slice((page - 1) * perPage, page * perPage), { Link: links.join(',') });
+  }
+
+  const API_ROUTES = {
+    '/api/v1/users/self/profile': () => data.profile,
+    '/api/v1/courses': () => data.courses,
+    '/api/v1/calendar_events': () => data.calendar,
+    '/api/v1/users/self/upcoming_events': () => data.assignments,
+    '/api/v1/users/self/enrollments': () => data.enrollments,
+  };
+
+  function api(req, url, res) {
+    counts.apiRequests++;
+    const entry = accessTokens.get(bearerToken(req));
+    if (!entry || entry.expired) {
+      return send(res, 401, { errors: [{ message: 'Invalid access token.' }] }, {
+        'WWW-Authenticate': 'Bearer realm="canvas-lms"',
+      });
+    }
+    if (throttleRemaining > 0) {
+      throttleRemaining--;
+      counts.throttled++;
+      res.writeHead(403, { 'Content-Type': 'text/plain', 'X-Rate-Limit-Remaining': '0.0' });
+      return res.end('403 Forbidden (Rate Limit Exceeded)');
+    }
+    const route = API_ROUTES[url.pathname];
+    if (!route) {
+      return send(res, 404, { errors: [{ message: 'The specified resource does not exist.' }] });
+    }
+    const body = route();
+    if (Array.isArray(body)) return sendPage(req, url, res, body);
+    send(res, 200, body);
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      if (req.method === 'GET' && url.pathname === '/login/oauth2/auth') return authorize(url, res);
+      if (req.method === 'POST' && url.pathname === '/login/oauth2/token') return token(new URLSearchParams(body), res);
+      if (req.method === 'DELETE' && url.pathname === '/login/oauth2/token') return revoke(req, res);
+      if (req.method === 'GET' && url.pathname.startsWith('/api/v1/')) return api(req, url, res);
+      send(res, 404, { errors: [{ message: 'Not found' }] });
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    ...MOCK_CLIENT,
+    baseUrl,
+    apiBaseUrl: `${baseUrl}/api/v1`,
+    data,
+    counts,
+    /** Make every access token issued so far fail with 401 */
+    expireAccessTokens() {
+      for (const entry of accessTokens.values()) entry.expired = true;
+    },
+    /** A working access token without a refresh token, like one a student generates in Canvas */
+    personalAccessToken() {
+      return issueAccessToken(null);
+    },
+    /** Throttle the next `requests` API requests, as Canvas does past its quota */
+    throttle(requests) {
+      throttleRemaining = requests;
+    },
+    /** Whether Canvas still accepts an access token */
+    isActive(accessToken) {
+      const entry = accessTokens.get(accessToken);
+      return Boolean(entry && !entry.expired);
+    },
+    stop() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = {
+  MOCK_CLIENT,
+  MOCK_USER,
+  startMockCanvasServer,
+};
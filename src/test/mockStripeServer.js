@@ -0,0 +1,142 @@
+/**
+ * mockStripeServer.js
+ *
+ * A local stand-in for Stripe, for tests that pay through the API's
+ * StripePaymentProvider (functions/services/stripePayments.js).  Only the
+ * endpoints the provider calls are served, with the mock secret key as
+ * bearer token: GET /v1/payment_intents/:id, and POST /v1/refunds, which
+ * honours the Idempotency-Key header like Stripe.
+ *
+ * createPaymentIntent() records a payment intent as if the client had paid
+ * with Stripe directly, like InMemoryPaymentProvider does for the services.
+ * `refunds` lists the refunds made, oldest first.
+ *
+ * Usage:
+ *   const stripe = await startMockStripeServer();
+ *   // STRIPE_SECRET_KEY = stripe.secretKey, STRIPE_API_BASE_URL = stripe.apiBaseUrl
+ *   await stripe.stop();
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const MOCK_SECRET_KEY = 'sk_test_mock';
+
+/**
+ * Start a mock Stripe server on a free local port
+ * @return {Promise<Object>}
+ */
+async function startMockStripeServer() {
+  const intents = new Map(); // id -> Stripe payment intent object
+  const refunds = [];
+  const refundsByKey = new Map(); // Idempotency-Key -> refund
+
+  function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  const server = http.createServer((req, res) => {
+    if (req.headers.authorization !== `Bearer ${MOCK_SECRET_KEY}`) {
+      return send(res, 401, { error: { type: 'invalid_request_error', message: 'Invalid API Key provided' } });
+    }
+
+    if (req.method === 'POST' && req.url === '/v1/refunds') {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => refund(req, res, new URLSearchParams(body)));
+      return;
+    }
+
+    const match = /^\/v1\/payment_intents\/([^/?]+)$/.exec(req.url);
+    if (req.method !== 'GET' || !match) {
+      return send(res, 404, { error: { type: 'invalid_request_error', message: 'Unrecognized request URL' } });
+    }
+
+    const intent = intents.get(decodeURIComponent(match[1]));
+    if (!intent) {
+      return send(res, 404, {
+        error: { type: 'invalid_request_error', code: 'resource_missing', message: 'No such payment_intent' },
+      });
+    }
+    return send(res, 200, intent);
+  });
+
+  function refund(req, res, form) {
+    const key = req.headers['idempotency-key'];
+    if (key && refundsByKey.has(key)) return send(res, 200, refundsByKey.get(key));
+
+    const intent = intents.get(form.get('payment_intent'));
+    if (!intent) {
+      return send(res, 400, {
+        error: { type: 'invalid_request_error', code: 'resource_missing', message: 'No such payment_intent' },
+      });
+    }
+    const amount = form.has('amount') ? Number(form.get('amount')) : intent.amount;
+    if (amount > intent.amount) {
+      return send(res, 400, {
+        error: { type: 'invalid_request_error', code: 'amount_too_large', message: 'Refund exceeds the charge' },
+      });
+    }
+
+    const metadata = {};
+    for (const [field, value] of form) {
+      const name = /^metadata\[(.+)\]$/.exec(field);
+      if (name) metadata[name[1]] = value;
+    }
+    const created = {
+      id: `re_${crypto.randomBytes(12).toString('hex')}`,
+      object: 'refund',
+      amount,
+      currency: intent.currency,
+      payment_intent: intent.id,
+      status: 'succeeded',
+      metadata,
+    };
+    refunds.push(created);
+    if (key) refundsByKey.set(key, created);
+    return send(res, 200, created);
+  }
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const apiBaseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+
+  return {
+    secretKey: MOCK_SECRET_KEY,
+    apiBaseUrl,
+    refunds,
+
+    /**
+     * Record a payment intent
+     * @param  {Object} params
+     * @param  {number} params.amountCents
+     * @param  {Object} [params.metadata] - What the payment is for, e.g. `{ rentalId }`
+     * @param  {string} [params.status]   - Defaults to a completed payment
+     * @return {Object} The payment intent, as Stripe returns it
+     */
+    createPaymentIntent({ amountCents, metadata = {}, status = 'succeeded' }) {
+      const intent = {
+        id: `pi_${crypto.randomBytes(12).toString('hex')}`,
+        object: 'payment_intent',
+        amount: amountCents,
+        currency: 'usd',
+        status,
+        metadata: { ...metadata },
+      };
+      intents.set(intent.id, intent);
+      return intent;
+    },
+
+    stop() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = {
+  MOCK_SECRET_KEY,
+  startMockStripeServer,
+};
@@ -0,0 +1,72 @@
+/**
+ * runAllTests.js
+ *
+ * Runs all tests for the domain services in src/.
+ *
+ * Run: node src/test/runAllTests.js
+ */
+
+const { execSync } = require('child_process');
+const path = require('path');
+
+const testDir = __dirname;
+const testFiles = [
+  'testRepositories.js',
+  'testFirestoreRules.js',
+  'testRentalBooking.js',
+  'testRotationSchedules.js',
+  'testSchoolCalendar.js',
+  'testTandemAssignments.js',
+  'testPermissions.js',
+  'testAccountDeletion.js',
+  'testAccountExport.js',
+  'testCanvasOAuth.js',
+  'testCanvasSync.js',
+  'testCanvasPagination.js',
+  'testApiKeys.js',
+  'testTandemRoutes.js',
+  'testCarpoolRoutes.js',
+  'testRentalRoutes.js',
+  'testAppFreeze.js',
+  'testAdminRoles.js',
+  'testAuditLog.js',
+  'testStudentGrades.js',
+  'testScheduleUpload.js',
+];
+
+console.log('╔══════════════════════════════════════════════════════╗');
+console.log('║   iTandem Domain Services - Full Test Suite          ║');
+console.log('╚══════════════════════════════════════════════════════╝\n');
+
+let allPassed = true;
+
+for (const file of testFiles) {
+  const filePath = path.join(testDir, file);
+  console.log(`\n${'▓'.repeat(60)}`);
+  console.log(`  Running: ${file}`);
+  console.log(`${'▓'.repeat(60)}\n`);
+
+  try {
+    const output = execSync(`node "${filePath}"`, {
+      encoding: 'utf-8',
+      cwd: path.join(testDir, '..', '..'),
+      timeout: 60000,
+    });
+    console.log(output);
+  } catch (err) {
+    allPassed = false;
+    console.log(err.stdout || '');
+    console.error(`\n  *** ${file} FAILED ***\n`);
+    if (err.stderr) console.error(err.stderr);
+  }
+}
+
+console.log(`\n${'═'.repeat(60)}`);
+if (allPassed) {
+  console.log('  ALL TEST SUITES PASSED');
+} else {
+  console.log('  SOME TEST SUITES FAILED');
+}
+console.log(`${'═'.repeat(60)}`);
+
+process.exit(allPassed ? 0 : 1);
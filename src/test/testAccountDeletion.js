@@ -0,0 +1,289 @@
+/**
+ * testAccountDeletion.js
+ *
+ * Tests for the account-deletion cascade: each service's removeUser() ends
+ * the user's tandem pairings, takes them out of carpools, cancels and
+ * refunds their upcoming rentals and anonymizes their rental history, and
+ * with `dryRun` reports the same without changing anything.
+ *
+ * Runs against the InMemoryRepository, and also against the Firestore
+ * emulator when FIRESTORE_EMULATOR_HOST is set.
+ *
+ * Run: node src/test/testAccountDeletion.js
+ */
+
+const { InMemoryRepository } = require('../repositories');
+const { TandemService, GRADE_LEVELS, TANDEM_STATUS, TANDEM_REQUEST_STATUS, EMOTE_TYPES } = require('../TandemService');
+const { CarpoolService, CARPOOL_STATUS, CARPOOL_REQUEST_STATUS } = require('../CarpoolService');
+const {
+  RentalService,
+  InMemoryPaymentProvider,
+  LOT_NAMES,
+  SPOT_TYPES,
+  RENTAL_STATUS,
+  TRANSACTION_STATUS,
+  DELETED_USER_ID,
+} = require('../RentalService');
+const { createEmulatorRepository } = require('./emulator');
+
+const NOW = new Date('2030-02-01T12:00:00Z');
+const PAST_DATE = '2020-01-14';
+const LATE_DATE = '2020-01-15'; // Already past, so cancelling it is late
+const FUTURE_DATE = '2030-02-04';
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  assert(actual === expected, `${message} (expected ${expected}, got ${actual})`);
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+// ── Tandem ──────────────────────────────────────────────────────────────────
+
+async function testTandem(repository) {
+  section('TandemService.removeUser');
+
+  const service = new TandemService({ repository });
+  for (const userId of ['leaver', 'partner', 'drifter', 'suitor', 'target']) {
+    await service.registerProfile({ userId, gradeLevel: GRADE_LEVELS.JUNIOR });
+  }
+  await service.setUserSchedule('leaver', []);
+
+  const request = await service.requestPairing({ requesterUserId: 'leaver', targetUserId: 'partner' });
+  const { pairing } = await service.acceptRequest(request.requestId, 'partner');
+  const emote = await service.sendEmote({
+    pairingId: pairing.pairingId,
+    senderUserId: 'partner',
+    emoteType: EMOTE_TYPES.ON_MY_WAY,
+  });
+
+  const preview = await service.removeUser('leaver', { dryRun: true });
+  assertEq(preview.pairings.length, 1, 'dry run lists the open pairing');
+  assertEq(preview.pairings[0].partnerUserId, 'partner', 'dry run names the partner to notify');
+  assert(preview.profile && preview.schedule, 'dry run finds the profile and schedule');
+  assert((await service.getPairing(pairing.pairingId)).isOpen(), 'dry run leaves the pairing open');
+  assert(await service.getProfile('leaver'), 'dry run keeps the profile');
+
+  const result = await service.removeUser('leaver');
+  assert(JSON.stringify(result) === JSON.stringify(preview), 'deletion does what the dry run showed');
+  assertEq((await service.getPairing(pairing.pairingId)).status, TANDEM_STATUS.CANCELLED, 'pairing is cancelled');
+  assertEq(await service.getActivePairing('partner'), null, 'partner is free to pair again');
+  assertEq(await service.getProfile('leaver'), null, 'profile is deleted');
+  assertEq(await service.schedules.get('leaver'), null, 'schedule is deleted');
+
+  const ended = await service.getPairing(pairing.pairingId);
+  assertEq(ended.getPartnerId('partner'), DELETED_USER_ID, 'pairing is anonymized');
+  assertEq((await service.getMyPairings('partner')).length, 1, 'partner keeps the pairing in their history');
+  assertEq((await service.requests.get(request.requestId)).requesterUserId, DELETED_USER_ID, 'request is anonymized');
+  assertEq((await service.emotes.get(emote.emoteId)).recipientUserId, DELETED_USER_ID, 'emote is anonymized');
+  assertEq((await service.getMyPairings('leaver')).length, 0, 'nothing names the user any more');
+
+  const again = await service.removeUser('leaver');
+  assert(again.pairings.length === 0 && again.requests.length === 0 && !again.profile,
+    'running it again finds nothing left');
+
+  const incoming = await service.requestPairing({ requesterUserId: 'suitor', targetUserId: 'drifter' });
+  const outgoing = await service.requestPairing({ requesterUserId: 'drifter', targetUserId: 'target' });
+  assertEq((await service.removeUser('drifter', { dryRun: true })).requests.length, 2,
+    'dry run lists both pending requests');
+  assertEq((await service.requests.get(incoming.requestId)).status, TANDEM_REQUEST_STATUS.PENDING,
+    'dry run leaves them pending');
+
+  await service.removeUser('drifter');
+  assertEq((await service.requests.get(incoming.requestId)).status, TANDEM_REQUEST_STATUS.REJECTED,
+    'incoming request is rejected');
+  assertEq((await service.requests.get(outgoing.requestId)).status, TANDEM_REQUEST_STATUS.WITHDRAWN,
+    'outgoing request is withdrawn');
+}
+
+// ── Carpool ─────────────────────────────────────────────────────────────────
+
+async function testCarpool(repository) {
+  section('CarpoolService.removeUser');
+
+  const service = new CarpoolService({ repository });
+  await service.registerProfile({ userId: 'leaver', gradeLevel: 'senior', isDriver: true, vehicleCapacity: 3 });
+  await service.registerProfile({ userId: 'driver', gradeLevel: 'senior', isDriver: true, vehicleCapacity: 3 });
+  await service.registerProfile({ userId: 'another', gradeLevel: 'senior', isDriver: true, vehicleCapacity: 3 });
+  await service.registerProfile({ userId: 'rider', gradeLevel: 'senior' });
+  await service.registerProfile({ userId: 'hopeful', gradeLevel: 'senior' });
+
+  const driven = await service.createGroup({ driverUserId: 'leaver', name: 'Leaver drives' });
+  const joined = await service.acceptRequest(
+    (await service.requestToJoin({ carpoolId: driven.carpoolId, requesterUserId: 'rider' })).requestId, 'leaver');
+  assert(joined, 'rider joins the leaver\'s carpool');
+  const waiting = await service.requestToJoin({ carpoolId: driven.carpoolId, requesterUserId: 'hopeful' });
+
+  const ridden = await service.createGroup({ driverUserId: 'driver', name: 'Driver drives' });
+  await service.acceptRequest(
+    (await service.requestToJoin({ carpoolId: ridden.carpoolId, requesterUserId: 'leaver' })).requestId, 'driver');
+  const third = await service.createGroup({ driverUserId: 'another', name: 'Another drives' });
+  const pending = await service.requestToJoin({ carpoolId: third.carpoolId, requesterUserId: 'leaver' });
+
+  const preview = await service.removeUser('leaver', { dryRun: true });
+  assertEq(preview.disbandedGroups.length, 1, 'dry run lists the group to disband');
+  assertEq(preview.disbandedGroups[0].passengerUserIds.join(), 'rider', 'dry run names its passengers');
+  assertEq(preview.leftGroups.length, 1, 'dry run lists the group to leave');
+  assertEq(preview.leftGroups[0].driverUserId, 'driver', 'dry run names its driver');
+  assertEq(preview.requests.join(), pending.requestId, 'dry run lists the pending join request');
+  assertEq((await service.getGroup(ridden.carpoolId)).passengerUserIds.join(), 'leaver', 'dry run stays in the group');
+
+  const result = await service.removeUser('leaver');
+  assert(JSON.stringify(result) === JSON.stringify(preview), 'deletion does what the dry run showed');
+  assertEq((await service.getGroup(driven.carpoolId)).status, CARPOOL_STATUS.CANCELLED, 'driven group is disbanded');
+  assertEq((await service.requests.get(waiting.requestId)).status, CARPOOL_REQUEST_STATUS.REJECTED,
+    'requests to the disbanded group are rejected');
+  assertEq((await service.getGroup(ridden.carpoolId)).passengerUserIds.length, 0, 'user left the other group');
+  assert((await service.getGroup(ridden.carpoolId)).isOpen(), 'the other group carries on');
+  assertEq((await service.requests.get(pending.requestId)).status, CARPOOL_REQUEST_STATUS.WITHDRAWN,
+    'pending join request is withdrawn');
+  assertEq(await service.getProfile('leaver'), null, 'profile is deleted');
+}
+
+// ── Rentals ─────────────────────────────────────────────────────────────────
+
+async function addOwnedSpot(service, spotNumber, ownerUserId) {
+  const spot = await service.addSpot({
+    lotName: LOT_NAMES.TAPER,
+    spotNumber,
+    spotType: SPOT_TYPES.SINGLE,
+    distanceToCampus: 100,
+  });
+  await service.assignOwnership(spot.spotId, ownerUserId);
+  return spot;
+}
+
+/**
+ * Pay for a rental through the fake payment processor.
+ * @return {string} The payment intent ID to confirm it with
+ */
+function payFor(payments, rental) {
+  return payments.createPaymentIntent({
+    amountCents: rental.priceCents,
+    metadata: { rentalId: rental.rentalId },
+  }).id;
+}
+
+async function testRentals(repository) {
+  section('RentalService.removeUser');
+
+  const payments = new InMemoryPaymentProvider();
+  const service = new RentalService({ repository, paymentProvider: payments });
+  const othersSpot = await addOwnedSpot(service, 'A-1', 'owner');
+  const leaversSpot = await addOwnedSpot(service, 'A-2', 'leaver');
+
+  // History: a completed rental and a late cancellation (with its fine)
+  await service.listSpotForRent(othersSpot.spotId, 'owner', PAST_DATE);
+  const past = await service.requestRental(othersSpot.spotId, 'leaver', PAST_DATE);
+  await service.confirmRental(past.rentalId, payFor(payments, past));
+  await service.completeRental(past.rentalId);
+  await service.listSpotForRent(othersSpot.spotId, 'owner', LATE_DATE);
+  const late = await service.requestRental(othersSpot.spotId, 'leaver', LATE_DATE);
+  await service.confirmRental(late.rentalId, payFor(payments, late));
+  const { penalty } = await service.cancelRental(late.rentalId);
+  const fine = payments.createPaymentIntent({
+    amountCents: penalty.amountCents,
+    metadata: { penaltyId: penalty.penaltyId },
+  });
+  await service.payPenalty(penalty.penaltyId, 'leaver', fine.id);
+
+  // Upcoming: the leaver rents someone's spot, and someone rents theirs
+  await service.listSpotForRent(othersSpot.spotId, 'owner', FUTURE_DATE);
+  const renting = await service.requestRental(othersSpot.spotId, 'leaver', FUTURE_DATE);
+  await service.confirmRental(renting.rentalId, payFor(payments, renting));
+  await service.listSpotForRent(leaversSpot.spotId, 'leaver', FUTURE_DATE);
+  await service.listSpotForRent(leaversSpot.spotId, 'leaver', '2030-02-05');
+  const renter = await service.requestRental(leaversSpot.spotId, 'renter', FUTURE_DATE);
+  await service.confirmRental(renter.rentalId, payFor(payments, renter));
+
+  const preview = await service.removeUser('leaver', { dryRun: true, now: NOW });
+  assertEq(preview.cancelledRentals.length, 2, 'dry run lists both upcoming rentals');
+  const asOwner = preview.cancelledRentals.find((r) => r.role === 'owner');
+  assertEq(asOwner && asOwner.otherUserId, 'renter', 'dry run names the renter of the user\'s spot');
+  assertEq(asOwner && asOwner.refundCents, renter.priceCents, 'dry run shows the renter\'s refund');
+  assertEq(preview.listings.length, 1, 'dry run lists the spot\'s remaining listing');
+  assertEq(preview.ownerships.join(), leaversSpot.spotId, 'dry run lists the owned spot');
+  assertEq(preview.anonymized.rentals, 4, 'dry run counts the rentals naming the user');
+  assertEq(preview.anonymized.penalties, 1, 'dry run counts the penalty');
+  assertEq((await service.getRental(renting.rentalId)).status, RENTAL_STATUS.CONFIRMED, 'dry run keeps rentals');
+  assertEq((await service.getPenalty(penalty.penaltyId)).userId, 'leaver', 'dry run keeps the penalty as is');
+
+  const result = await service.removeUser('leaver', { now: NOW });
+  assert(JSON.stringify(result) === JSON.stringify(preview), 'deletion does what the dry run showed');
+
+  const cancelled = await service.getRental(renting.rentalId);
+  assertEq(cancelled.status, RENTAL_STATUS.CANCELLED, 'the user\'s upcoming rental is cancelled');
+  assertEq((await service.penalties.find({ userId: DELETED_USER_ID })).length, 1, 'no fine for the cancellation');
+  const refunds = (await service.getTransactions(renting.rentalId))
+    .filter((t) => t.status === TRANSACTION_STATUS.REFUNDED);
+  assertEq(refunds.length === 1 && refunds[0].amountCents, -renting.priceCents, 'it is refunded in full');
+  assertEq(refunds[0] && refunds[0].stripeChargeId, payments.refunds.get(cancelled.paymentIntentId).id,
+    'through the payment processor');
+  const available = await service.getAvailableSpots(FUTURE_DATE);
+  assertEq(available.length, 1, 'the owner\'s spot is back on the market');
+
+  assertEq((await service.getRental(renter.rentalId)).status, RENTAL_STATUS.CANCELLED,
+    'the rental of the user\'s spot is cancelled');
+  const renterRefunds = (await service.getTransactions(renter.rentalId))
+    .filter((t) => t.status === TRANSACTION_STATUS.REFUNDED);
+  assertEq(renterRefunds.length === 1 && renterRefunds[0].amountCents, -renter.priceCents,
+    'its renter is refunded in full');
+  assertEq((await service.getMyListings('leaver')).length, 0, 'the user\'s spot is no longer listed');
+  assertEq((await service.ownerships.find({ spotId: leaversSpot.spotId, isActive: true })).length, 0,
+    'the user\'s ownership has ended');
+
+  assertEq((await service.getRental(past.rentalId)).renterUserId, DELETED_USER_ID, 'past rental is anonymized');
+  assertEq((await service.getRental(past.rentalId)).ownerUserId, 'owner', 'the other party is kept');
+  assertEq((await service.getPenalty(penalty.penaltyId)).userId, DELETED_USER_ID, 'penalty is anonymized');
+  assertEq((await service.rentals.find({ renterUserId: 'leaver' })).length, 0, 'no rental names the user');
+  assertEq((await service.ownerships.find({ userId: 'leaver' })).length, 0, 'no ownership names the user');
+}
+
+// ── Runner ──────────────────────────────────────────────────────────────────
+
+async function runSuite(name, createRepository) {
+  console.log(`\n▶ ${name}`);
+  await testTandem(await createRepository());
+  await testCarpool(await createRepository());
+  await testRentals(await createRepository());
+}
+
+async function runAll() {
+  console.log('╔══════════════════════════════════════╗');
+  console.log('║   Account Deletion Tests             ║');
+  console.log('╚══════════════════════════════════════╝');
+
+  await runSuite('InMemoryRepository', async () => new InMemoryRepository());
+
+  if (process.env.FIRESTORE_EMULATOR_HOST) {
+    await runSuite('FirestoreRepository (emulator)', createEmulatorRepository);
+  } else {
+    console.log('\n▶ FirestoreRepository skipped (set FIRESTORE_EMULATOR_HOST to run)');
+  }
+
+  console.log(`\n${'═'.repeat(50)}`);
+  console.log(`  account deletion: ${passed} passed, ${failed} failed`);
+  console.log(`${'═'.repeat(50)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAll().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,182 @@
+/**
+ * testAccountExport.js
+ *
+ * Tests for each service's exportUserData(): the tandem, carpool and rental
+ * records that GET /users/me/export packages for a user, as plain JSON, and
+ * without naming whoever reported them.
+ *
+ * Runs against the InMemoryRepository, and also against the Firestore
+ * emulator when FIRESTORE_EMULATOR_HOST is set.
+ *
+ * Run: node src/test/testAccountExport.js
+ */
+
+const { InMemoryRepository } = require('../repositories');
+const { TandemService, GRADE_LEVELS, EMOTE_TYPES } = require('../TandemService');
+const { CarpoolService } = require('../CarpoolService');
+const { RentalService, InMemoryPaymentProvider, LOT_NAMES, SPOT_TYPES } = require('../RentalService');
+const { createEmulatorRepository } = require('./emulator');
+
+const FUTURE_DATE = '2030-02-04';
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  assert(actual === expected, `${message} (expected ${expected}, got ${actual})`);
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+function isPlain(value) {
+  return JSON.stringify(JSON.parse(JSON.stringify(value))) === JSON.stringify(value);
+}
+
+// ── Tandem ──────────────────────────────────────────────────────────────────
+
+async function testTandem(repository) {
+  section('TandemService.exportUserData');
+
+  const service = new TandemService({ repository });
+  for (const userId of ['exporter', 'partner', 'suitor']) {
+    await service.registerProfile({ userId, gradeLevel: GRADE_LEVELS.JUNIOR });
+  }
+  await service.setUserSchedule('exporter', []);
+
+  const request = await service.requestPairing({ requesterUserId: 'exporter', targetUserId: 'partner' });
+  const { pairing } = await service.acceptRequest(request.requestId, 'partner');
+  await service.sendEmote({ pairingId: pairing.pairingId, senderUserId: 'exporter', emoteType: EMOTE_TYPES.ON_MY_WAY });
+  await service.sendEmote({ pairingId: pairing.pairingId, senderUserId: 'partner', emoteType: EMOTE_TYPES.LEAVING_SOON });
+
+  const data = await service.exportUserData('exporter');
+  assertEq(data.profile.userId, 'exporter', 'includes the profile');
+  assert(data.schedule !== null, 'includes the schedule');
+  assertEq(data.pairings.length, 1, 'includes the pairing');
+  assertEq(data.requests.length, 1, 'includes the pairing request');
+  assertEq(data.emotes.length, 2, 'includes emotes sent and received');
+  assert(isPlain(data), 'is plain JSON');
+
+  const empty = await service.exportUserData('nobody');
+  assert(empty.profile === null && empty.pairings.length === 0 && empty.emotes.length === 0,
+    'a user with no tandem data gets empty sections');
+}
+
+// ── Carpool ─────────────────────────────────────────────────────────────────
+
+async function testCarpool(repository) {
+  section('CarpoolService.exportUserData');
+
+  const service = new CarpoolService({ repository });
+  await service.registerProfile({ userId: 'driver', gradeLevel: 'senior', isDriver: true, vehicleCapacity: 3 });
+  await service.registerProfile({ userId: 'exporter', gradeLevel: 'senior' });
+  const group = await service.createGroup({ driverUserId: 'driver' });
+  await service.acceptRequest(
+    (await service.requestToJoin({ carpoolId: group.carpoolId, requesterUserId: 'exporter' })).requestId,
+    'driver'
+  );
+
+  const data = await service.exportUserData('exporter');
+  assertEq(data.profile.userId, 'exporter', 'includes the profile');
+  assertEq(data.groups.length, 1, 'includes the carpool they ride in');
+  assertEq(data.requests.length, 1, 'includes their join request');
+  assert(isPlain(data), 'is plain JSON');
+}
+
+// ── Rentals ─────────────────────────────────────────────────────────────────
+
+/**
+ * Pay for a rental through the fake payment processor.
+ * @return {string} The payment intent ID to confirm it with
+ */
+function payFor(payments, rental) {
+  return payments.createPaymentIntent({
+    amountCents: rental.priceCents,
+    metadata: { rentalId: rental.rentalId },
+  }).id;
+}
+
+async function testRentals(repository) {
+  section('RentalService.exportUserData');
+
+  const payments = new InMemoryPaymentProvider();
+  const service = new RentalService({ repository, paymentProvider: payments });
+  const spot = await service.addSpot({
+    lotName: LOT_NAMES.TAPER,
+    spotNumber: 'A-1',
+    spotType: SPOT_TYPES.SINGLE,
+    distanceToCampus: 100,
+  });
+  await service.assignOwnership(spot.spotId, 'owner');
+  await service.listSpotForRent(spot.spotId, 'owner', FUTURE_DATE);
+  const rental = await service.requestRental(spot.spotId, 'exporter', FUTURE_DATE);
+  await service.confirmRental(rental.rentalId, payFor(payments, rental));
+  const { report } = await service.handleBlockedSpot({
+    rentalId: rental.rentalId,
+    reporterUserId: 'exporter',
+    description: 'Car in my spot',
+  });
+  await service.resolveReport(report.reportId, { reviewedBy: 'dean', blockerUserId: 'blocker' });
+
+  const renter = await service.exportUserData('exporter');
+  assertEq(renter.rentals.length, 1, 'includes the rental');
+  assert(renter.transactions.length >= 1, 'includes its transactions');
+  assertEq(renter.reports.length, 1, 'includes the report they filed');
+  assertEq(renter.reports[0].reporterUserId, 'exporter', 'their own report names them');
+  assert(isPlain(renter), 'is plain JSON');
+
+  const owner = await service.exportUserData('owner');
+  assertEq(owner.ownerships.length, 1, 'includes spot ownerships');
+  assertEq(owner.rentals.length, 1, 'includes rentals of their spot');
+
+  const blocker = await service.exportUserData('blocker');
+  assertEq(blocker.penalties.length, 1, 'includes their penalty');
+  assertEq(blocker.reports.length, 1, 'includes the report about them');
+  assertEq(blocker.reports[0].reporterUserId, null, 'without who filed it');
+}
+
+// ── Runner ──────────────────────────────────────────────────────────────────
+
+async function runSuite(name, createRepository) {
+  console.log(`\n▶ ${name}`);
+  await testTandem(await createRepository());
+  await testCarpool(await createRepository());
+  await testRentals(await createRepository());
+}
+
+async function runAll() {
+  console.log('╔══════════════════════════════════════╗');
+  console.log('║   Account Export Tests               ║');
+  console.log('╚══════════════════════════════════════╝');
+
+  await runSuite('InMemoryRepository', async () => new InMemoryRepository());
+
+  if (process.env.FIRESTORE_EMULATOR_HOST) {
+    await runSuite('FirestoreRepository (emulator)', createEmulatorRepository);
+  } else {
+    console.log('\n▶ FirestoreRepository skipped (set FIRESTORE_EMULATOR_HOST to run)');
+  }
+
+  console.log(`\n${'═'.repeat(50)}`);
+  console.log(`  account export: ${passed} passed, ${failed} failed`);
+  console.log(`${'═'.repeat(50)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAll().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
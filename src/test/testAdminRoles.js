@@ -0,0 +1,276 @@
+/**
+ * testAdminRoles.js
+ *
+ * Route tests for admin roles (functions/utils/adminRoles.js): requireAdmin
+ * and requireAdminAction in functions/middleware/auth.js on the admin panel
+ * and /users admin routes, GET /admin-panel/roles, and managing admins with
+ * /admin-panel/admins.  Each route must require its action, and each role
+ * must get exactly the actions ROLE_ACTIONS gives it.  DELETE /users/:userId
+ * only deletes the caller's own account; admins delete others through the
+ * admin panel.
+ *
+ * Runs the API on the fake firebase-admin (see apiTestServer.js).  Needs the
+ * functions/ dependencies (cd functions && npm install).
+ *
+ * Run: node src/test/testAdminRoles.js
+ */
+
+const path = require('path');
+const { startApiServer } = require('./apiTestServer');
+const { FUNCTIONS_DIR } = require('./fakeFirebaseAdmin');
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  assert(actual === expected, `${message} (expected ${expected}, got ${actual})`);
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+// ── Fixtures ────────────────────────────────────────────────────────────────
+
+// One route per action; each succeeds (200) for a role that has the action
+const ACTION_ROUTES = [
+  { action: 'users:view', method: 'GET', path: '/admin-panel/users/sam' },
+  { action: 'users:view', method: 'GET', path: '/users' },
+  { action: 'users:edit', method: 'PUT', path: '/admin-panel/users/sam', body: { bio: 'Edited' } },
+  { action: 'users:edit', method: 'PUT', path: '/users/sam/user-type', body: { userType: 'SENIOR' } },
+  { action: 'users:ban', method: 'POST', path: '/admin-panel/users/sam/unban' },
+  {
+    action: 'users:permissions',
+    method: 'POST',
+    path: '/admin-panel/users/sam/permissions/revoke',
+    body: { permissions: ['RENT_SPOT'] },
+  },
+  { action: 'users:delete', method: 'DELETE', path: '/admin-panel/users/sam?dryRun=true' },
+  { action: 'spots:view', method: 'GET', path: '/admin-panel/spots' },
+  { action: 'spots:edit', method: 'PUT', path: '/admin-panel/spots/spot-1', body: { distanceToCampus: 50 } },
+  { action: 'spots:delete', method: 'DELETE', path: '/admin-panel/spots/spot-2' },
+  { action: 'system:view', method: 'GET', path: '/admin-panel/system/status' },
+  { action: 'system:freeze', method: 'POST', path: '/admin-panel/system/unfreeze' },
+  { action: 'tandem:assignments', method: 'GET', path: '/admin-panel/tandem/assignments' },
+  { action: 'reports:review', method: 'GET', path: '/admin-panel/reports' },
+  { action: 'analytics:view', method: 'GET', path: '/admin-panel/analytics/overview' },
+  { action: 'admins:manage', method: 'GET', path: '/admin-panel/admins' },
+  { action: 'audit:view', method: 'GET', path: '/admin-panel/audit' },
+];
+
+function seedTargets(api) {
+  api.signInStudent('sam');
+  api.admin.seed({
+    'parkingSpots/spot-1': { lotName: 'Coldwater', spotNumber: 'C-1', distanceToCampus: 100 },
+    'parkingSpots/spot-2': { lotName: 'Coldwater', spotNumber: 'C-2', distanceToCampus: 100 },
+  });
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+async function testRequireAdmin(api) {
+  section('Admin routes need an active admin');
+
+  const student = api.signInStudent('sam');
+  const notAdmin = await api.request('GET', '/admin-panel/roles', { token: student });
+  assertEq(notAdmin.status, 403, 'students get 403');
+  assertEq(notAdmin.body.error, 'Forbidden - Admin access required', 'and are told why');
+  assertEq((await api.request('GET', '/users', { token: student })).status, 403,
+    'including on the /users admin route');
+
+  const inactive = api.signInAdmin('ivy', 'SUPER_ADMIN');
+  api.admin.seed({ 'admins/ivy': { email: 'ivy@hw.com', role: 'SUPER_ADMIN', active: false } });
+  const response = await api.request('GET', '/admin-panel/roles', { token: inactive });
+  assertEq(response.status, 403, 'inactive admins get 403');
+  assertEq(response.body.error, 'Forbidden - Admin account is inactive', 'and are told why');
+
+  assertEq((await api.request('GET', '/admin-panel/roles')).status, 401, 'anonymous requests get 401');
+}
+
+async function testActionMatrix(api, { actionsForRole }) {
+  section('Each role can use exactly the routes of its actions');
+
+  for (const role of ['SUPER_ADMIN', 'MODERATOR', 'ATTENDANT', 'OPERATIONS_ADMIN', 'INTERN']) {
+    api.admin.reset();
+    seedTargets(api);
+    const token = api.signInAdmin('ada', role);
+    const allowed = actionsForRole(role);
+
+    const wrong = [];
+    for (const route of ACTION_ROUTES) {
+      const { status, body } = await api.request(route.method, route.path, { token, body: route.body });
+      const expected = allowed.includes(route.action) ? 200 : 403;
+      if (status !== expected || (status === 403 && body.action !== route.action)) {
+        wrong.push(`${route.method} ${route.path}: ${status} ${body && body.action}`);
+      }
+    }
+    assert(wrong.length === 0, `${role}: ${allowed.length} of the actions allowed, the rest 403 ` +
+      `naming the route's action${wrong.length ? ` (wrong: ${wrong.join('; ')})` : ''}`);
+  }
+}
+
+async function testRoleLimits(api) {
+  section('What moderators and attendants can\'t do');
+
+  seedTargets(api);
+  const moderator = api.signInAdmin('mo', 'MODERATOR');
+  const attendant = api.signInAdmin('at', 'ATTENDANT');
+
+  const ban = await api.request('POST', '/admin-panel/users/sam/ban', { token: attendant, body: { reason: 'x' } });
+  assertEq(ban.status, 403, 'attendants can\'t ban users');
+  assertEq(ban.body.role, 'ATTENDANT', 'the 403 names the role');
+  assertEq(ban.body.action, 'users:ban', 'and the action it lacks');
+  assertEq(api.admin.read('users/sam').accountStatus, undefined, 'and the user isn\'t banned');
+
+  assertEq((await api.request('PUT', '/users/sam/user-type', { token: attendant, body: { userType: 'SENIOR' } }))
+    .status, 403, 'attendants can\'t change a user\'s grade');
+  assertEq((await api.request('DELETE', '/admin-panel/users/sam', { token: moderator })).status, 403,
+    'moderators can\'t delete users');
+  assert(api.admin.read('users/sam'), 'and the user is still there');
+  assertEq((await api.request('PUT', '/admin-panel/admins/sam', { token: moderator, body: { role: 'SUPER_ADMIN' } }))
+    .status, 403, 'moderators can\'t make admins');
+  assertEq(api.admin.read('admins/sam'), null, 'so nobody got promoted');
+}
+
+async function testRolesRoute(api) {
+  section('GET /admin-panel/roles');
+
+  const legacy = api.signInAdmin('leo', 'OPERATIONS_ADMIN');
+  const response = await api.request('GET', '/admin-panel/roles', { token: legacy });
+  assertEq(response.status, 200, 'any admin can list the roles');
+  assertEq(response.body.roles.map((r) => r.role).join(','), 'SUPER_ADMIN,MODERATOR,ATTENDANT', 'all three roles');
+  assertEq(response.body.you.role, 'OPERATIONS_ADMIN', 'the caller\'s stored role');
+  assertEq(response.body.you.effectiveRole, 'MODERATOR', 'legacy roles count as their new role');
+
+  const unknown = api.signInAdmin('ivan', 'INTERN');
+  const none = await api.request('GET', '/admin-panel/roles', { token: unknown });
+  assertEq(none.body.you.effectiveRole, null, 'unknown roles have no effective role');
+  assertEq(none.body.you.actions.length, 0, 'and no actions');
+}
+
+async function testManagingAdmins(api) {
+  section('Super admins manage admins');
+
+  const superAdmin = api.signInAdmin('ada', 'SUPER_ADMIN');
+  const sam = api.signInStudent('sam');
+
+  assertEq((await api.request('PUT', '/admin-panel/admins/sam', { token: superAdmin, body: { role: 'BOSS' } })).status,
+    400, 'roles must be one of ADMIN_ROLES');
+  assertEq((await api.request('PUT', '/admin-panel/admins/nope', { token: superAdmin, body: { role: 'ATTENDANT' } }))
+    .status, 404, 'users without an account get 404');
+  assertEq((await api.request('PUT', '/admin-panel/admins/ada', { token: superAdmin, body: { role: 'ATTENDANT' } }))
+    .status, 403, 'admins can\'t change their own role');
+
+  const added = await api.request('PUT', '/admin-panel/admins/sam', { token: superAdmin, body: { role: 'ATTENDANT' } });
+  assertEq(added.status, 201, 'a super admin can make a user an admin');
+  assertEq(added.body.admin.role, 'ATTENDANT', 'with a role');
+  assertEq((await api.request('GET', '/admin-panel/users/sam', { token: sam })).status, 200,
+    'who can then use that role\'s routes');
+  assertEq((await api.request('GET', '/admin-panel/audit', { token: sam })).status, 403, 'but no others');
+
+  const promoted = await api.request('PUT', '/admin-panel/admins/sam', {
+    token: superAdmin,
+    body: { role: 'MODERATOR' },
+  });
+  assertEq(promoted.status, 200, 'changing the role of an admin returns 200');
+  assertEq((await api.request('GET', '/admin-panel/audit', { token: sam })).status, 200,
+    'and takes effect on the next request');
+
+  assertEq((await api.request('DELETE', '/admin-panel/admins/ada', { token: superAdmin })).status, 403,
+    'admins can\'t remove themselves');
+  assertEq((await api.request('DELETE', '/admin-panel/admins/nope', { token: superAdmin })).status, 404,
+    'removing someone who isn\'t an admin gets 404');
+  assertEq((await api.request('DELETE', '/admin-panel/admins/sam', { token: superAdmin })).status, 200,
+    'a super admin can remove an admin');
+  assertEq((await api.request('GET', '/admin-panel/users/sam', { token: sam })).status, 403,
+    'who loses access straight away');
+  assertEq((await api.request('GET', '/tandem/profile', { token: sam })).status, 404, 'but keeps their account');
+}
+
+async function testDeletingAccounts(api) {
+  section('Only the admin panel deletes other people\'s accounts');
+
+  const sam = api.signInStudent('sam');
+  api.signInStudent('tim');
+  const superAdmin = api.signInAdmin('ada', 'SUPER_ADMIN');
+  const legacy = api.signInStudent('leo', { userType: 'ADMIN' });
+
+  assertEq((await api.request('DELETE', '/users/tim', { token: sam })).status, 403,
+    'students can\'t delete someone else\'s account');
+  assertEq((await api.request('DELETE', '/users/tim', { token: legacy })).status, 403,
+    'nor can a users document with the old ADMIN userType');
+  const viaUsers = await api.request('DELETE', '/users/tim', { token: superAdmin });
+  assertEq(viaUsers.status, 403, 'admins can\'t delete it through /users either');
+  assert(/\/admin-panel\/users\/:userId/.test(viaUsers.body.message), 'and are sent to the admin panel');
+  assert(api.admin.read('users/tim'), 'so the account is still there');
+
+  const moderator = api.signInAdmin('mo', 'MODERATOR');
+  const refused = await api.request('DELETE', '/admin-panel/users/tim', { token: moderator });
+  assertEq(refused.status, 403, 'the admin panel needs users:delete');
+  assertEq(refused.body.action, 'users:delete', 'which moderators lack');
+  assertEq((await api.request('DELETE', '/admin-panel/users/tim', { token: superAdmin })).status, 200,
+    'which super admins have');
+  assertEq(api.admin.read('users/tim'), null, 'so they can delete the account');
+  assertEq(api.admin.docs('auditLog').filter((entry) => entry.action === 'user.delete').length, 1,
+    'and the deletion is audited');
+
+  assertEq((await api.request('DELETE', '/users/sam', { token: sam })).status, 200, 'users can delete their own');
+  assertEq(api.admin.read('users/sam'), null, 'which is gone');
+}
+
+// ── Run All ─────────────────────────────────────────────────────────────────
+
+async function runAll() {
+  console.log('╔══════════════════════════════════════╗');
+  console.log('║   Admin Role Tests                   ║');
+  console.log('╚══════════════════════════════════════╝');
+
+  const api = await startApiServer();
+  if (!api) {
+    console.log('\n▶ Skipped (run npm install in functions/ first)');
+    process.exit(0);
+  }
+  const adminRoles = require(path.join(FUNCTIONS_DIR, 'utils/adminRoles'));
+
+  // The routes log the errors they answer with
+  const consoleError = console.error;
+  console.error = () => {};
+  try {
+    for (const test of [
+      testRequireAdmin,
+      testActionMatrix,
+      testRoleLimits,
+      testRolesRoute,
+      testManagingAdmins,
+      testDeletingAccounts,
+    ]) {
+      api.admin.reset();
+      await test(api, adminRoles);
+    }
+  } finally {
+    console.error = consoleError;
+    await api.stop();
+  }
+
+  console.log(`\n${'═'.repeat(50)}`);
+  console.log(`  admin roles: ${passed} passed, ${failed} failed`);
+  console.log(`${'═'.repeat(50)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAll().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,259 @@
+/**
+ * testApiKeys.js
+ *
+ * Tests for API key authentication (functions/middleware/auth.js and
+ * functions/utils/apiKeys.js): looking keys up by prefix, hashing legacy
+ * plaintext keys on first use and in the daily migration
+ * (functions/services/legacyApiKeys.js), scopes, expiry and the grace
+ * window of rotated keys.
+ *
+ * Runs against the fake firebase-admin in fakeFirebaseAdmin.js.  Needs the
+ * functions/ dependencies (cd functions && npm install).
+ *
+ * Run: node src/test/testApiKeys.js
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { FUNCTIONS_DIR, createFakeFirebaseAdmin, installFakeFirebaseAdmin } = require('./fakeFirebaseAdmin');
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  assert(actual === expected, `${message} (expected ${expected}, got ${actual})`);
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+const admin = createFakeFirebaseAdmin();
+const HOUR = 60 * 60 * 1000;
+
+/** Run an Express middleware; resolves with `next` having been called or the response. */
+function runMiddleware(middleware, { apiKey, method = 'GET', baseUrl = '/tandem' }) {
+  return new Promise((resolve) => {
+    const req = { method, baseUrl, headers: apiKey ? { 'x-api-key': apiKey } : {} };
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ next: false, status: this.statusCode, body, req });
+        return this;
+      },
+    };
+    middleware(req, res, () => resolve({ next: true, req }));
+  });
+}
+
+/** Store a new hashed key for a user, as POST /auth/generate-api-key does. */
+function storeKey(apiKeys, userId, fields = {}) {
+  const { key, prefix, salt, hash } = apiKeys.generateApiKey();
+  const id = `key-${prefix}`;
+  admin.seed({
+    [`apiKeys/${id}`]: {
+      userId, prefix, salt, hash,
+      name: 'Phone', scopes: ['read'], active: true, createdAt: new Date(), expiresAt: null,
+      ...fields,
+    },
+  });
+  return { key, id };
+}
+
+const legacyKey = () => crypto.randomBytes(32).toString('hex');
+
+function seedUser(userId) {
+  admin.seed({ [`users/${userId}`]: { name: userId, userType: 'JUNIOR' } });
+  admin.signIn(userId);
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+async function testPrefixLookup({ findApiKey }, apiKeys) {
+  section('Keys are found by prefix and checked against the hash');
+
+  const db = admin.firestore();
+  const { key, id } = storeKey(apiKeys, 'alice');
+  const other = storeKey(apiKeys, 'bob');
+
+  assertEq((await findApiKey(db, key))?.id, id, 'finds the key');
+  assertEq((await findApiKey(db, other.key))?.id, other.id, 'finds each user\'s own key');
+
+  const [, prefix] = key.split('_');
+  const wrongSecret = `itk_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+  assertEq(await findApiKey(db, wrongSecret), null, 'a right prefix with the wrong secret is rejected');
+  assertEq(await findApiKey(db, 'itk_nothex_abc'), null, 'malformed keys are rejected');
+  assertEq(await findApiKey(db, undefined), null, 'a missing key is rejected');
+
+  const stored = admin.read(`apiKeys/${id}`);
+  assert(!JSON.stringify(stored).includes(key.split('_')[2]), 'the secret itself is not stored');
+
+  await db.collection('apiKeys').doc(id).update({ active: false });
+  assertEq(await findApiKey(db, key), null, 'revoked keys are not found');
+}
+
+async function testLazyMigration({ findApiKey }, apiKeys) {
+  section('Legacy plaintext keys are hashed on first use');
+
+  const db = admin.firestore();
+  const key = legacyKey();
+  admin.seed({
+    'apiKeys/legacy': { userId: 'carol', key, name: 'Old app', active: true, createdAt: new Date() },
+    'users/carol': { name: 'Carol', apiKey: key },
+  });
+
+  const found = await findApiKey(db, key);
+  assertEq(found?.id, 'legacy', 'the legacy key still works');
+
+  const stored = admin.read('apiKeys/legacy');
+  assertEq(stored.key, undefined, 'the plaintext key is deleted');
+  assertEq(stored.prefix, key.slice(0, 8), 'its first 8 characters become the prefix');
+  assert(apiKeys.secretMatches(key, stored.salt, stored.hash), 'the key is stored as a salted hash');
+  assertEq(stored.scopes.join(','), apiKeys.LEGACY_SCOPES.join(','), 'it keeps full access');
+  assertEq(admin.read('users/carol').apiKey, undefined, 'the copy on the user is deleted');
+
+  assertEq((await findApiKey(db, key))?.id, 'legacy', 'the key works again through its hash');
+  assertEq(await findApiKey(db, legacyKey()), null, 'unknown legacy-format keys are rejected');
+}
+
+async function testMigration({ findApiKey }, { migrateLegacyApiKeys }, apiKeys) {
+  section('The migration hashes legacy keys nobody has used');
+
+  const db = admin.firestore();
+  const unused = legacyKey();
+  const hashed = storeKey(apiKeys, 'erin');
+  admin.seed({
+    'apiKeys/unused': { userId: 'dave', key: unused, name: 'Old app', active: true, scopes: ['read'] },
+    'apiKeys/garbage': { userId: 'dave', key: 'not-a-key', name: 'Broken', active: true },
+    'users/dave': { name: 'Dave', apiKey: unused },
+    'users/frank': { name: 'Frank', apiKey: legacyKey() },
+  });
+
+  const result = await migrateLegacyApiKeys();
+  assertEq(result.hashed, 1, 'hashes the unused legacy key');
+  assertEq(result.deactivated, 1, 'deactivates keys that could never be used');
+  assertEq(result.userCopiesDeleted, 1, 'deletes plaintext copies with no key document left');
+
+  assert(admin.docs('apiKeys').every((doc) => doc.key === undefined), 'no plaintext key is left in apiKeys');
+  assert(admin.docs('users').every((doc) => doc.apiKey === undefined), 'no plaintext key is left on users');
+  assertEq(admin.read('apiKeys/unused').scopes.join(','), 'read', 'keys keep the scopes they had');
+  assertEq(admin.read('apiKeys/garbage').active, false, 'the malformed key is revoked');
+  assertEq((await findApiKey(db, unused))?.id, 'unused', 'the migrated key still works');
+  assertEq((await findApiKey(db, hashed.key))?.id, hashed.id, 'hashed keys are left alone');
+
+  const again = await migrateLegacyApiKeys();
+  assertEq(again.hashed + again.deactivated + again.userCopiesDeleted, 0, 'running it again finds nothing');
+}
+
+async function testScopes({ verifyApiKey }, apiKeys) {
+  section('Scopes limit what a key can do');
+
+  seedUser('gina');
+  const read = storeKey(apiKeys, 'gina', { scopes: ['read'] });
+  const tandem = storeKey(apiKeys, 'gina', { scopes: ['tandem'] });
+
+  const getCarpool = await runMiddleware(verifyApiKey, { apiKey: read.key, method: 'GET', baseUrl: '/carpool' });
+  assert(getCarpool.next, 'read keys can GET anywhere');
+  assertEq(getCarpool.req.userId, 'gina', 'the request acts as the key\'s user');
+  assertEq(getCarpool.req.apiKeyId, read.id, 'the request records which key was used');
+
+  const postTandem = await runMiddleware(verifyApiKey, { apiKey: read.key, method: 'POST', baseUrl: '/tandem' });
+  assertEq(postTandem.status, 403, 'read keys cannot write');
+  assertEq(postTandem.body.scopes.join(','), 'read', 'the response lists the key\'s scopes');
+
+  assert((await runMiddleware(verifyApiKey, { apiKey: tandem.key, method: 'POST', baseUrl: '/tandem' })).next,
+    'tandem keys can write to /tandem');
+  assertEq((await runMiddleware(verifyApiKey, { apiKey: tandem.key, method: 'POST', baseUrl: '/rentals' })).status,
+    403, 'tandem keys cannot write to /rentals');
+  assertEq((await runMiddleware(verifyApiKey, { apiKey: tandem.key, method: 'GET', baseUrl: '/carpool' })).status,
+    403, 'tandem keys cannot read other routes');
+
+  assertEq((await runMiddleware(verifyApiKey, {})).status, 401, 'requests without a key are rejected');
+  assert(admin.read(`apiKeys/${read.id}`).lastUsedAt, 'using a key records when');
+}
+
+async function testExpiryAndGrace({ verifyApiKey }, apiKeys) {
+  section('Expired keys and the grace window of rotated keys');
+
+  seedUser('hank');
+  const now = Date.now();
+  const expired = storeKey(apiKeys, 'hank', { expiresAt: new Date(now - HOUR) });
+  const rotating = storeKey(apiKeys, 'hank', { graceUntil: new Date(now + HOUR), replacedBy: 'new' });
+  const rotated = storeKey(apiKeys, 'hank', { graceUntil: new Date(now - HOUR), replacedBy: 'new' });
+  const fresh = storeKey(apiKeys, 'hank', { expiresAt: new Date(now + HOUR) });
+
+  const expiredResult = await runMiddleware(verifyApiKey, { apiKey: expired.key });
+  assertEq(expiredResult.status, 401, 'expired keys are rejected');
+  assertEq(expiredResult.body.error, 'Unauthorized - API key expired', 'and say why');
+
+  assert((await runMiddleware(verifyApiKey, { apiKey: rotating.key })).next,
+    'a rotated key works during its grace period');
+  const rotatedResult = await runMiddleware(verifyApiKey, { apiKey: rotated.key });
+  assertEq(rotatedResult.status, 401, 'a rotated key stops working after its grace period');
+  assertEq(rotatedResult.body.error, 'Unauthorized - API key has been rotated', 'and says it was rotated');
+
+  assert((await runMiddleware(verifyApiKey, { apiKey: fresh.key })).next, 'keys work until they expire');
+}
+
+// ── Run All ─────────────────────────────────────────────────────────────────
+
+async function runAll() {
+  console.log('╔══════════════════════════════════════╗');
+  console.log('║   API Key Tests                      ║');
+  console.log('╚══════════════════════════════════════╝');
+
+  if (!installFakeFirebaseAdmin(admin)) {
+    console.log('\n▶ Skipped (run npm install in functions/ first)');
+    process.exit(0);
+  }
+
+  const auth = require(path.join(FUNCTIONS_DIR, 'middleware/auth'));
+  const legacy = require(path.join(FUNCTIONS_DIR, 'services/legacyApiKeys'));
+  const apiKeys = require(path.join(FUNCTIONS_DIR, 'utils/apiKeys'));
+
+  // The middleware logs the errors it answers with
+  const consoleError = console.error;
+  console.error = () => {};
+  try {
+    for (const test of [
+      () => testPrefixLookup(auth, apiKeys),
+      () => testLazyMigration(auth, apiKeys),
+      () => testMigration(auth, legacy, apiKeys),
+      () => testScopes(auth, apiKeys),
+      () => testExpiryAndGrace(auth, apiKeys),
+    ]) {
+      admin.reset();
+      await test();
+    }
+  } finally {
+    console.error = consoleError;
+  }
+
+  console.log(`\n${'═'.repeat(50)}`);
+  console.log(`  api keys: ${passed} passed, ${failed} failed`);
+  console.log(`${'═'.repeat(50)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAll().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,206 @@
+/**
+ * testAppFreeze.js
+ *
+ * Route tests for the app freeze (maintenance mode): requireAppActive in
+ * functions/middleware/systemStatus.js, and the admin panel routes that
+ * freeze the app, unfreeze it and schedule freezes.  While the app is
+ * frozen, user-facing routes answer 503, except to active admins; /health
+ * and the admin routes stay up.
+ *
+ * Runs the API on the fake firebase-admin (see apiTestServer.js).  Needs the
+ * functions/ dependencies (cd functions && npm install).
+ *
+ * Run: node src/test/testAppFreeze.js
+ */
+
+const path = require('path');
+const { startApiServer } = require('./apiTestServer');
+const { FUNCTIONS_DIR } = require('./fakeFirebaseAdmin');
+
+const HOUR = 60 * 60 * 1000;
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  assert(actual === expected, `${message} (expected ${expected}, got ${actual})`);
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+/** A student and a super admin, signed in. */
+function signIn(api) {
+  return {
+    student: api.signInStudent('sam'),
+    superAdmin: api.signInAdmin('ada', 'SUPER_ADMIN'),
+  };
+}
+
+/** Status of a user-facing request: 404 (no profile) when the app is up. */
+async function tandemStatus(api, token) {
+  return (await api.request('GET', '/tandem/profile', { token })).status;
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+async function testManualFreeze(api) {
+  section('Freezing and unfreezing the app');
+
+  const { student, superAdmin } = signIn(api);
+  assertEq(await tandemStatus(api, student), 404, 'user routes work before the freeze');
+
+  const frozen = await api.request('POST', '/admin-panel/system/freeze', {
+    token: superAdmin,
+    body: { message: 'Back after lunch' },
+  });
+  assertEq(frozen.status, 200, 'a super admin can freeze the app');
+
+  const blocked = await api.request('GET', '/tandem/profile', { token: student });
+  assertEq(blocked.status, 503, 'user routes then answer 503');
+  assertEq(blocked.body.message, 'Back after lunch', 'with the admin\'s message');
+  assertEq(blocked.body.frozenUntil, null, 'and no end time');
+  for (const urlPath of ['/carpool/profile', '/rentals', '/users/me', '/notifications']) {
+    assertEq((await api.request('GET', urlPath, { token: student })).status, 503, `${urlPath} is frozen too`);
+  }
+  assertEq((await api.request('GET', '/tandem/profile')).status, 503, 'anonymous requests too');
+
+  assertEq((await api.request('GET', '/health')).status, 200, '/health stays up');
+  const status = await api.request('GET', '/admin-panel/system/status', { token: superAdmin });
+  assertEq(status.status, 200, 'the admin panel stays up');
+  assertEq(status.body.current.frozen, true, 'and reports the freeze');
+
+  assertEq(await tandemStatus(api, superAdmin), 404, 'active admins can still use user routes');
+  api.admin.seed({ 'admins/ada': { email: 'ada@hw.com', role: 'SUPER_ADMIN', active: false } });
+  assertEq(await tandemStatus(api, superAdmin), 503, 'inactive admins can\'t');
+  api.admin.seed({ 'admins/ada': { email: 'ada@hw.com', role: 'SUPER_ADMIN', active: true } });
+
+  assertEq((await api.request('POST', '/admin-panel/system/unfreeze', { token: superAdmin })).status, 200,
+    'a super admin can unfreeze the app');
+  assertEq(await tandemStatus(api, student), 404, 'after which user routes work again');
+}
+
+async function testFreezeUntil(api, { clearStatusCache }) {
+  section('Freezes that end on their own');
+
+  const { student, superAdmin } = signIn(api);
+  const past = await api.request('POST', '/admin-panel/system/freeze', {
+    token: superAdmin,
+    body: { until: new Date(Date.now() - HOUR).toISOString() },
+  });
+  assertEq(past.status, 400, 'a freeze can\'t end in the past');
+
+  const until = new Date(Date.now() + HOUR);
+  await api.request('POST', '/admin-panel/system/freeze', { token: superAdmin, body: { until: until.toISOString() } });
+  const blocked = await api.request('GET', '/tandem/profile', { token: student });
+  assertEq(blocked.status, 503, 'the app is frozen until then');
+  assertEq(blocked.body.frozenUntil, until.toISOString(), 'and says until when');
+  const retryAfter = Number(blocked.headers.get('retry-after'));
+  assert(retryAfter > HOUR / 1000 - 60 && retryAfter <= HOUR / 1000, 'with Retry-After set to the time left');
+
+  api.admin.seed({ 'system/status': { appActive: false, frozenUntil: new Date(Date.now() - 1000) } });
+  clearStatusCache();
+  assertEq(await tandemStatus(api, student), 404, 'once the end time passes the app is up again');
+}
+
+async function testScheduledFreezes(api) {
+  section('Scheduled freezes');
+
+  const { student, superAdmin } = signIn(api);
+  const schedule = (startsAt, endsAt, message) => api.request('POST', '/admin-panel/system/scheduled-freezes', {
+    token: superAdmin,
+    body: { startsAt: new Date(startsAt).toISOString(), endsAt: new Date(endsAt).toISOString(), message },
+  });
+
+  assertEq((await schedule(Date.now() + 2 * HOUR, Date.now() + HOUR)).status, 400,
+    'a freeze must end after it starts');
+
+  const later = await schedule(Date.now() + HOUR, Date.now() + 2 * HOUR, 'Upgrade tonight');
+  assertEq(later.status, 201, 'a super admin can schedule a freeze');
+  assertEq(await tandemStatus(api, student), 404, 'the app stays up until it starts');
+
+  const now = await schedule(Date.now() - HOUR, Date.now() + HOUR, 'Upgrading now');
+  const blocked = await api.request('GET', '/tandem/profile', { token: student });
+  assertEq(blocked.status, 503, 'the app is frozen while a scheduled freeze is in progress');
+  assertEq(blocked.body.message, 'Upgrading now', 'with its message');
+
+  assertEq((await api.request('DELETE', '/admin-panel/system/scheduled-freezes/nope', { token: superAdmin })).status,
+    404, 'cancelling an unknown freeze gets 404');
+  const cancelled = await api.request('DELETE', `/admin-panel/system/scheduled-freezes/${now.body.freeze.freezeId}`, {
+    token: superAdmin,
+  });
+  assertEq(cancelled.status, 200, 'ending the freeze in progress');
+  assertEq(await tandemStatus(api, student), 404, 'brings the app back up');
+
+  const status = await api.request('GET', '/admin-panel/system/status', { token: superAdmin });
+  assertEq(status.body.scheduledFreezes.map((freeze) => freeze.freezeId).join(','), later.body.freeze.freezeId,
+    'and keeps the later freeze');
+}
+
+async function testFreezeIsAdminOnly(api) {
+  section('Only admins allowed to freeze the app can');
+
+  const { student } = signIn(api);
+  const moderator = api.signInAdmin('mo', 'MODERATOR');
+
+  assertEq((await api.request('POST', '/admin-panel/system/freeze', { token: student, body: {} })).status, 403,
+    'students get 403');
+  const response = await api.request('POST', '/admin-panel/system/freeze', { token: moderator, body: {} });
+  assertEq(response.status, 403, 'moderators get 403');
+  assertEq(response.body.action, 'system:freeze', 'for the system:freeze action');
+  assertEq(await tandemStatus(api, student), 404, 'and the app stays up');
+}
+
+// ── Run All ─────────────────────────────────────────────────────────────────
+
+async function runAll() {
+  console.log('╔══════════════════════════════════════╗');
+  console.log('║   App Freeze Tests                   ║');
+  console.log('╚══════════════════════════════════════╝');
+
+  const api = await startApiServer();
+  if (!api) {
+    console.log('\n▶ Skipped (run npm install in functions/ first)');
+    process.exit(0);
+  }
+  const systemStatus = require(path.join(FUNCTIONS_DIR, 'middleware/systemStatus'));
+
+  // The routes log the errors they answer with
+  const consoleError = console.error;
+  console.error = () => {};
+  try {
+    for (const test of [testManualFreeze, testFreezeUntil, testScheduledFreezes, testFreezeIsAdminOnly]) {
+      api.admin.reset();
+      systemStatus.clearStatusCache();
+      await test(api, systemStatus);
+    }
+  } finally {
+    console.error = consoleError;
+    await api.stop();
+  }
+
+  console.log(`\n${'═'.repeat(50)}`);
+  console.log(`  app freeze: ${passed} passed, ${failed} failed`);
+  console.log(`${'═'.repeat(50)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAll().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
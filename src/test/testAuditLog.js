@@ -0,0 +1,360 @@
+/**
+ * testAuditLog.js
+ *
+ * Route tests for the audit log (functions/utils/auditLog.js): the entries
+ * admin panel mutations and PUT /users/:userId/user-type write, requests
+ * that must not write one (refused, failed or read-only), requests whose
+ * entry can't be written (which must change nothing), and reading the log
+ * with GET /admin-panel/audit.
+ *
+ * Runs the API on the fake firebase-admin (see apiTestServer.js).  Needs the
+ * functions/ dependencies (cd functions && npm install).
+ *
+ * Run: node src/test/testAuditLog.js
+ */
+
+const path = require('path');
+const { startApiServer } = require('./apiTestServer');
+const { FUNCTIONS_DIR, firestoreError } = require('./fakeFirebaseAdmin');
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  assert(actual === expected, `${message} (expected ${expected}, got ${actual})`);
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+/** The audit entries written so far, as stored. */
+function auditEntries(api, { AUDIT_COLLECTION }) {
+  return api.admin.docs(AUDIT_COLLECTION);
+}
+
+/**
+ * Make every batch with an audit entry in it fail to commit, as Firestore
+ * would if the entry couldn't be written, until the returned function is
+ * called.
+ */
+function breakAuditWrites(api, { AUDIT_COLLECTION }) {
+  const db = api.admin.firestore();
+  const batch = db.batch;
+  db.batch = function() {
+    const writes = batch.call(this);
+    const { set, commit } = writes;
+    let hasEntry = false;
+    writes.set = function(ref, ...args) {
+      if (ref.path.startsWith(`${AUDIT_COLLECTION}/`)) hasEntry = true;
+      return set.call(this, ref, ...args);
+    };
+    writes.commit = async function() {
+      if (hasEntry) throw firestoreError(14, 'Firestore unavailable');
+      return commit.call(this);
+    };
+    return writes;
+  };
+  return () => {
+    db.batch = batch;
+  };
+}
+
+/** Make a request with audit writes broken. */
+async function requestWithoutAudit(api, auditLog, method, requestPath, options) {
+  const restore = breakAuditWrites(api, auditLog);
+  try {
+    return await api.request(method, requestPath, options);
+  } finally {
+    restore();
+  }
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+async function testUserChangesAreRecorded(api, auditLog) {
+  section('Changes to users are recorded');
+
+  api.signInStudent('sam', { bio: 'Hi' });
+  const superAdmin = api.signInAdmin('ada', 'SUPER_ADMIN');
+
+  const banned = await api.request('POST', '/admin-panel/users/sam/ban', {
+    token: superAdmin,
+    body: { reason: 'Spam' },
+  });
+  assertEq(banned.status, 200, 'a super admin can ban a user');
+  const [entry] = auditEntries(api, auditLog);
+  assert(entry, 'which writes an audit entry');
+  assertEq(entry.action, 'user.ban', 'for the ban');
+  assertEq(`${entry.targetType}/${entry.targetId}`, 'user/sam', 'of the banned user');
+  assertEq(entry.actorId, 'ada', 'naming who did it');
+  assertEq(entry.actorEmail, 'ada@hw.com', 'their email');
+  assertEq(entry.actorRole, 'SUPER_ADMIN', 'and their role');
+  assertEq(entry.before.accountStatus, null, 'with the fields as they were');
+  assertEq(entry.after.accountStatus, 'banned', 'and as they are now');
+  assert(!('bio' in entry.after), 'but only the fields that changed');
+  assert(!('updatedAt' in entry.after), 'leaving out updatedAt');
+  assertEq(entry.details.reason, 'Spam', 'the request details not in the diff');
+  assert(entry.ip, 'the caller\'s IP');
+  assert(entry.createdAt, 'and when');
+
+  api.admin.reset();
+  api.signInStudent('sam');
+  const moderator = api.signInAdmin('mo', 'MODERATOR');
+  await api.request('PUT', '/admin-panel/users/sam', { token: moderator, body: { bio: 'Edited' } });
+  await api.request('PUT', '/users/sam/user-type', { token: moderator, body: { userType: 'SENIOR' } });
+  const [update, grade] = auditEntries(api, auditLog);
+  assertEq(update && update.action, 'user.update', 'editing a user is recorded');
+  assertEq(update && update.actorRole, 'MODERATOR', 'under the editor\'s role');
+  assertEq(update && update.after.bio, 'Edited', 'with the new values');
+  assertEq(grade && grade.action, 'user.userType', 'so is changing a user\'s grade on the /users route');
+  assertEq(grade && `${grade.before.userType}>${grade.after.userType}`, 'JUNIOR>SENIOR', 'from and to');
+
+  api.admin.reset();
+  api.signInStudent('sam', {
+    name: 'Sam Student',
+    phone: '555-0100',
+    licensePlate: '7ABC123',
+    canvasAccessToken: 'secret-token',
+  });
+  api.admin.seed({ 'apiKeys/key-1': { userId: 'sam', name: 'Widget' } });
+  const deleter = api.signInAdmin('ada', 'SUPER_ADMIN');
+  const deleted = await api.request('DELETE', '/admin-panel/users/sam', { token: deleter });
+  assertEq(deleted.status, 200, 'a super admin can delete a user');
+  const [deletion] = auditEntries(api, auditLog);
+  assertEq(deletion && deletion.action, 'user.delete', 'which is recorded');
+  assertEq(deletion && `${deletion.targetType}/${deletion.targetId}`, 'user/sam', 'by the user\'s ID');
+  assertEq(deletion && deletion.before, null, 'without the account as it was');
+  assertEq(deletion && deletion.after, null, 'or anything after');
+  assertEq(deletion && deletion.details.profileDeleted, true, 'just what was deleted');
+  assertEq(deletion && deletion.details.apiKeysDeleted, 1, 'counting API keys');
+  assertEq(deletion && JSON.stringify(deletion.details.rentalsCancelled), '[]', 'and listing rental IDs');
+  const stored = JSON.stringify(deletion);
+  assert(['Sam Student', 'sam@hw.com', '555-0100', '7ABC123', 'secret-token'].every((value) => !stored.includes(value)),
+    'so none of their personal data stays in the log');
+}
+
+async function testOtherChangesAreRecorded(api, auditLog) {
+  section('Changes to spots, the system and admins are recorded');
+
+  api.admin.seed({ 'parkingSpots/spot-1': { lotName: 'Coldwater', spotNumber: 'C-1', distanceToCampus: 100 } });
+  api.signInStudent('sam');
+  const superAdmin = api.signInAdmin('ada', 'SUPER_ADMIN');
+  const attendant = api.signInAdmin('at', 'ATTENDANT');
+
+  await api.request('PUT', '/admin-panel/spots/spot-1', { token: attendant, body: { distanceToCampus: 50 } });
+  await api.request('DELETE', '/admin-panel/spots/spot-1', { token: superAdmin });
+  await api.request('DELETE', '/admin-panel/spots/nope', { token: superAdmin });
+  await api.request('POST', '/admin-panel/system/freeze', { token: superAdmin, body: { message: 'Back soon' } });
+  await api.request('POST', '/admin-panel/system/unfreeze', { token: superAdmin });
+  await api.request('PUT', '/admin-panel/admins/sam', { token: superAdmin, body: { role: 'ATTENDANT' } });
+  await api.request('DELETE', '/admin-panel/admins/sam', { token: superAdmin });
+
+  const entries = auditEntries(api, auditLog);
+  const byAction = (action) => entries.find((entry) => entry.action === action);
+  assertEq(entries.map((entry) => entry.action).sort().join(','),
+    'admin.remove,admin.role.set,spot.delete,spot.update,system.freeze,system.unfreeze',
+    'one entry per change, none for deleting a spot that didn\'t exist');
+
+  const update = byAction('spot.update');
+  assertEq(update && update.actorRole, 'ATTENDANT', 'attendants\' spot updates');
+  assertEq(update && `${update.before.distanceToCampus}>${update.after.distanceToCampus}`, '100>50',
+    'with the changed fields');
+  const spot = byAction('spot.delete');
+  assertEq(spot && `${spot.targetType}/${spot.targetId}`, 'spot/spot-1', 'the deleted spot');
+  assertEq(spot && spot.before.spotNumber, 'C-1', 'as it was');
+  assertEq(byAction('system.freeze').targetType, 'system', 'freezes target the system');
+  const role = byAction('admin.role.set');
+  assertEq(role && `${role.targetType}/${role.targetId}`, 'admin/sam', 'role changes target the admin');
+  assertEq(role && role.after.role, 'ATTENDANT', 'with the new role');
+}
+
+async function testUnchangedRequestsWriteNothing(api, auditLog) {
+  section('Requests that change nothing write no entry');
+
+  api.signInStudent('sam');
+  const student = api.signInStudent('stu');
+  const attendant = api.signInAdmin('at', 'ATTENDANT');
+  const superAdmin = api.signInAdmin('ada', 'SUPER_ADMIN');
+
+  assertEq((await api.request('POST', '/admin-panel/users/sam/ban', { token: attendant, body: {} })).status, 403,
+    'an attendant can\'t ban');
+  assertEq((await api.request('POST', '/admin-panel/users/sam/ban', { token: student, body: {} })).status, 403,
+    'nor can a student');
+  assertEq((await api.request('POST', '/admin-panel/users/nope/permissions/revoke', {
+    token: superAdmin,
+    body: { permissions: ['RENT_SPOT'] },
+  })).status, 404, 'changing the permissions of an unknown user gets 404');
+  assertEq((await api.request('PUT', '/users/nope/user-type', { token: superAdmin, body: { userType: 'SENIOR' } }))
+    .status, 404, 'so does changing their grade');
+  assertEq((await api.request('GET', '/admin-panel/users/sam', { token: superAdmin })).status, 200,
+    'reading a user works');
+
+  assertEq(auditEntries(api, auditLog).length, 0, 'and none of these wrote an audit entry');
+}
+
+async function testFailedAuditWrite(api, auditLog) {
+  section('A change whose entry can\'t be written isn\'t made');
+
+  api.signInStudent('sam');
+  const superAdmin = api.signInAdmin('ada', 'SUPER_ADMIN');
+  const calendar = {
+    startDate: '2030-02-04',
+    endDate: '2030-02-28',
+    holidays: [{ date: '2030-02-18', name: 'Presidents Day' }],
+  };
+
+  const ban = await requestWithoutAudit(api, auditLog, 'POST', '/admin-panel/users/sam/ban', {
+    token: superAdmin,
+    body: {},
+  });
+  assertEq(ban.status, 500, 'a ban whose entry can\'t be written answers 500');
+  assert(api.admin.read('users/sam').accountStatus !== 'banned', 'and the user isn\'t banned');
+  assertEq((await api.admin.auth().getUser('sam')).disabled, false, 'nor is their sign-in disabled');
+
+  const grade = await requestWithoutAudit(api, auditLog, 'PUT', '/users/sam/user-type', {
+    token: superAdmin,
+    body: { userType: 'SENIOR' },
+  });
+  assertEq(grade.status, 500, 'so does a grade change');
+  assertEq(api.admin.read('users/sam').userType, 'JUNIOR', 'which isn\'t made either');
+
+  const spot = await requestWithoutAudit(api, auditLog, 'POST', '/admin-panel/spots', {
+    token: superAdmin,
+    body: { lotName: 'Coldwater', spotNumber: 'C-9' },
+  });
+  assertEq(spot.status, 500, 'and creating a spot');
+  assertEq(api.admin.docs('parkingSpots').length, 0, 'which isn\'t created');
+
+  const setCalendar = await requestWithoutAudit(api, auditLog, 'PUT', '/admin-panel/system/calendar', {
+    token: superAdmin,
+    body: calendar,
+  });
+  assertEq(setCalendar.status, 500, 'changes made through the domain services fail the same way');
+  assertEq((await api.request('GET', '/admin-panel/system/calendar', { token: superAdmin })).status, 404,
+    'and the calendar isn\'t set');
+  assertEq(auditEntries(api, auditLog).length, 0, 'no entries were written');
+
+  assertEq((await api.request('PUT', '/admin-panel/system/calendar', { token: superAdmin, body: calendar }))
+    .status, 200, 'once audit writes work again the calendar can be set');
+  const [entry] = auditEntries(api, auditLog);
+  assertEq(entry && entry.action, 'system.calendar.update', 'with its entry');
+  assertEq(entry && entry.after.config.startDate, '2030-02-04', 'recording the new calendar');
+  assertEq(entry && entry.after.config.firstRotationDay, 1, 'as it was stored');
+  assertEq(entry && entry.after.summary.startDate, '2030-02-04', 'and its summary');
+}
+
+async function testReadingTheLog(api) {
+  section('GET /admin-panel/audit');
+
+  const entry = (action, targetId, actorId, day) => ({
+    actorId,
+    actorRole: 'SUPER_ADMIN',
+    action,
+    targetType: 'user',
+    targetId,
+    before: null,
+    after: null,
+    createdAt: new Date(`2030-01-0${day}T12:00:00Z`),
+  });
+  api.admin.seed({
+    'auditLog/e1': entry('user.ban', 'sam', 'ada', 1),
+    'auditLog/e2': entry('user.unban', 'sam', 'ada', 2),
+    'auditLog/e3': entry('user.ban', 'tim', 'bo', 3),
+    'auditLog/e4': entry('user.update', 'tim', 'ada', 4),
+  });
+  const moderator = api.signInAdmin('mo', 'MODERATOR');
+  const list = async (query = '') => (await api.request('GET', `/admin-panel/audit${query}`, { token: moderator }));
+  const ids = (response) => response.body.entries.map((e) => e.entryId).join(',');
+
+  const all = await list();
+  assertEq(all.status, 200, 'a moderator can read the log');
+  assertEq(ids(all), 'e4,e3,e2,e1', 'newest first');
+  assertEq(all.body.entries[0].createdAt, '2030-01-04T12:00:00.000Z', 'with times as ISO strings');
+  assertEq(all.body.nextCursor, null, 'on a single page');
+
+  assertEq(ids(await list('?actorId=ada')), 'e4,e2,e1', 'filtered by actor');
+  assertEq(ids(await list('?action=user.ban')), 'e3,e1', 'by action');
+  assertEq(ids(await list('?targetType=user&targetId=sam')), 'e2,e1', 'by target');
+  assertEq(ids(await list('?from=2030-01-02&to=2030-01-03T23:59:59Z')), 'e3,e2', 'and by time');
+
+  const first = await list('?limit=3');
+  assertEq(ids(first), 'e4,e3,e2', 'pages hold limit entries');
+  assertEq(first.body.nextCursor, 'e2', 'and name the cursor for the next');
+  const second = await list(`?limit=3&cursor=${first.body.nextCursor}`);
+  assertEq(ids(second), 'e1', 'which continues after it');
+  assertEq(second.body.nextCursor, null, 'to the end');
+
+  assertEq((await list('?limit=0')).status, 400, 'limits below 1 get 400');
+  assertEq((await list('?limit=201')).status, 400, 'so do limits over 200');
+  assertEq((await list('?from=someday')).status, 400, 'and dates that aren\'t');
+  const badCursor = await list('?cursor=nope');
+  assertEq(badCursor.status, 400, 'an unknown cursor gets 400');
+  assertEq(badCursor.body.message, 'cursor is not an audit entry', 'and says why');
+
+  const attendant = api.signInAdmin('at', 'ATTENDANT');
+  const refused = await api.request('GET', '/admin-panel/audit', { token: attendant });
+  assertEq(refused.status, 403, 'attendants can\'t read the log');
+  assertEq(refused.body.action, 'audit:view', 'for lack of audit:view');
+  assertEq((await api.request('GET', '/admin-panel/audit', { token: api.signInStudent('sam') })).status, 403,
+    'nor can students');
+  assertEq((await api.request('GET', '/admin-panel/audit')).status, 401, 'anonymous requests get 401');
+}
+
+// ── Run All ─────────────────────────────────────────────────────────────────
+
+async function runAll() {
+  console.log('╔══════════════════════════════════════╗');
+  console.log('║   Audit Log Tests                    ║');
+  console.log('╚══════════════════════════════════════╝');
+
+  const api = await startApiServer();
+  if (!api) {
+    console.log('\n▶ Skipped (run npm install in functions/ first)');
+    process.exit(0);
+  }
+  const auditLog = require(path.join(FUNCTIONS_DIR, 'utils/auditLog'));
+
+  // The routes log the errors they answer with
+  const consoleError = console.error;
+  console.error = () => {};
+  try {
+    for (const test of [
+      testUserChangesAreRecorded,
+      testOtherChangesAreRecorded,
+      testUnchangedRequestsWriteNothing,
+      testFailedAuditWrite,
+      testReadingTheLog,
+    ]) {
+      api.admin.reset();
+      await test(api, auditLog);
+    }
+  } finally {
+    console.error = consoleError;
+    await api.stop();
+  }
+
+  console.log(`\n${'═'.repeat(50)}`);
+  console.log(`  audit log: ${passed} passed, ${failed} failed`);
+  console.log(`${'═'.repeat(50)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAll().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,282 @@
+/**
+ * testCanvasOAuth.js
+ *
+ * Tests for the Canvas OAuth2 client in functions/services/canvasOAuth.js
+ * and the token refresh in CanvasService, against the local mock Canvas
+ * server: the authorization-code flow with PKCE, refreshing an expired
+ * access token when Canvas answers 401, and revocation. Also tests the
+ * envelope encryption of stored tokens (functions/utils/credentialEncryption.js)
+ * with a local key file.
+ *
+ * Needs the functions/ dependencies (cd functions && npm install).
+ *
+ * Run: node src/test/testCanvasOAuth.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { startMockCanvasServer } = require('./mockCanvasServer');
+
+const FUNCTIONS_DIR = path.join(__dirname, '../../functions');
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  assert(actual === expected, `${message} (expected ${expected}, got ${actual})`);
+}
+
+async function assertRejects(promise, check, message) {
+  try {
+    await promise;
+    assert(false, `${message} (did not throw)`);
+  } catch (error) {
+    assert(check(error), `${message} (${error.message})`);
+  }
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+function configFor(canvas) {
+  return {
+    apiBaseUrl: canvas.apiBaseUrl,
+    baseUrl: canvas.baseUrl,
+    clientId: canvas.clientId,
+    clientSecret: canvas.clientSecret,
+    redirectUri: canvas.redirectUri,
+  };
+}
+
+/** Follow the authorization URL like a browser would, up to the redirect */
+async function authorizeInBrowser(url) {
+  const response = await fetch(url, { redirect: 'manual' });
+  return new URL(response.headers.get('location')).searchParams;
+}
+
+async function linkedTokens(oauth, config) {
+  const { codeVerifier, codeChallenge } = oauth.createPkcePair();
+  const redirect = await authorizeInBrowser(oauth.authorizationUrl({ state: 'state', codeChallenge }, config));
+  return oauth.exchangeCode(redirect.get('code'), codeVerifier, config);
+}
+
+// ── Authorization code flow ─────────────────────────────────────────────────
+
+async function testAuthorization(oauth, canvas) {
+  section('Authorization code with PKCE');
+  const config = configFor(canvas);
+
+  const { codeVerifier, codeChallenge } = oauth.createPkcePair();
+  assertEq(codeChallenge, crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+    'the challenge is the S256 hash of the verifier');
+  assert(oauth.createPkcePair().codeVerifier !== codeVerifier, 'each sign-in gets a new verifier');
+
+  const url = new URL(oauth.authorizationUrl({ state: 'abc', codeChallenge }, config));
+  assertEq(url.origin + url.pathname, `${canvas.baseUrl}/login/oauth2/auth`, 'sends the user to Canvas');
+  assertEq(url.searchParams.get('code_challenge_method'), 'S256', 'asks for an S256 challenge');
+  assertEq(url.searchParams.get('redirect_uri'), canvas.redirectUri, 'with the configured redirect URI');
+
+  const redirect = await authorizeInBrowser(url.toString());
+  assertEq(redirect.get('state'), 'abc', 'Canvas hands the state back');
+  assert(Boolean(redirect.get('code')), 'with a code');
+
+  await assertRejects(oauth.exchangeCode(redirect.get('code'), 'wrong-verifier', config),
+    (error) => error.response?.data?.error === 'invalid_grant', 'a code with the wrong verifier is refused');
+
+  const tokens = await linkedTokens(oauth, config);
+  assert(canvas.isActive(tokens.accessToken), 'the code exchange returns a working access token');
+  assert(Boolean(tokens.refreshToken), 'and a refresh token');
+  assert(tokens.expiresAt > new Date(), 'and when the access token expires');
+  assertEq(tokens.canvasUser.id, canvas.data.profile.id, 'and the Canvas user');
+
+  await assertRejects(oauth.exchangeCode('unknown-code', codeVerifier, config),
+    (error) => error.response?.status === 400, 'an unknown code is refused');
+}
+
+// ── Refresh on 401 ──────────────────────────────────────────────────────────
+
+async function testRefresh(oauth, CanvasService, canvas) {
+  section('Refreshing expired access tokens');
+  const config = configFor(canvas);
+
+  const tokens = await linkedTokens(oauth, config);
+  let refreshCalls = 0;
+  const service = new CanvasService(tokens.accessToken, config.apiBaseUrl, {
+    refreshToken: tokens.refreshToken,
+    refreshAccessToken: async (refreshToken) => {
+      refreshCalls++;
+      return (await oauth.refreshTokens(refreshToken, config)).accessToken;
+    },
+  });
+
+  const profile = await service.getUserProfile();
+  assertEq(profile.id, canvas.data.profile.id, 'a valid token works without refreshing');
+  assertEq(refreshCalls, 0, 'no refresh needed');
+
+  canvas.expireAccessTokens();
+  const again = await service.getUserProfile();
+  assertEq(again.id, canvas.data.profile.id, 'a request that gets 401 succeeds after a refresh');
+  assertEq(refreshCalls, 1, 'the token was refreshed once');
+  await service.getUserProfile();
+  assertEq(refreshCalls, 1, 'the service uses the new token from then on');
+  assert(!JSON.stringify(service).includes(tokens.refreshToken), 'the tokens are not serialized');
+
+  canvas.expireAccessTokens();
+  const data = await service.getComprehensiveUserData();
+  assertEq(data.courses.length, canvas.data.courses.length, 'parallel requests all succeed after expiry');
+  assertEq(refreshCalls, 2, 'and share a single refresh');
+
+  const pasted = new CanvasService(tokens.accessToken, config.apiBaseUrl, {
+    refreshAccessToken: async () => {
+      refreshCalls++;
+      return 'unused';
+    },
+  });
+  await assertRejects(pasted.getUserProfile(), () => true, 'without a refresh token a 401 is an error');
+  assertEq(refreshCalls, 2, 'and no refresh is tried');
+
+  const failing = new CanvasService(tokens.accessToken, config.apiBaseUrl, {
+    refreshToken: tokens.refreshToken,
+    refreshAccessToken: async () => {
+      throw new Error('Canvas access was revoked; link your Canvas account again');
+    },
+  });
+  await assertRejects(failing.getUserProfile(), () => true, 'a failed refresh is an error');
+
+  await assertRejects(oauth.refreshTokens('not-a-refresh-token', config),
+    (error) => error.response?.data?.error === 'invalid_grant', 'Canvas refuses an unknown refresh token');
+}
+
+// ── Revocation ──────────────────────────────────────────────────────────────
+
+async function testRevocation(oauth, CanvasService, canvas) {
+  section('Revoking access');
+  const config = configFor(canvas);
+
+  const tokens = await linkedTokens(oauth, config);
+  const service = new CanvasService(tokens.accessToken, config.apiBaseUrl);
+  await service.revokeAccess();
+  assert(!canvas.isActive(tokens.accessToken), 'the access token stops working');
+  await assertRejects(oauth.refreshTokens(tokens.refreshToken, config),
+    (error) => error.response?.data?.error === 'invalid_grant', 'and so does the refresh token');
+
+  await service.revokeAccess();
+  assert(true, 'revoking a token Canvas no longer knows is not an error');
+}
+
+// ── Encrypted credentials ───────────────────────────────────────────────────
+
+async function testEncryption(oauth, CanvasService, canvas) {
+  section('Envelope encryption of stored tokens');
+  const encryption = require(path.join(FUNCTIONS_DIR, 'utils/credentialEncryption'));
+  const LocalFileKeyProvider = require(path.join(FUNCTIONS_DIR, 'utils/localFileKeyProvider'));
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'itandem-keys-'));
+  const keyFile = path.join(dir, 'credentials.json');
+  try {
+    const firstKeyId = LocalFileKeyProvider.rotate(keyFile);
+    encryption.setKeyProvider(new LocalFileKeyProvider(keyFile));
+
+    const tokens = await linkedTokens(oauth, configFor(canvas));
+    const envelope = await encryption.encryptCredentials(
+      { accessToken: tokens.accessToken, refreshToken: tokens.refreshToken }, 'student-1');
+    const stored = JSON.stringify(envelope);
+    assert(!stored.includes(tokens.accessToken) && !stored.includes(tokens.refreshToken),
+      'the stored envelope has neither token in it');
+    assertEq(envelope.keyId, firstKeyId, 'it names the key that wrapped its data key');
+    assert(encryption.isEnvelope(envelope), 'it is recognised as encrypted');
+
+    const other = await encryption.encryptCredentials({ accessToken: tokens.accessToken }, 'student-1');
+    assert(other.wrappedKey !== envelope.wrappedKey, 'each envelope has its own data key');
+
+    const decrypted = await encryption.decryptCredentials(envelope, 'student-1');
+    assertEq(decrypted.refreshToken, tokens.refreshToken, 'it decrypts for its owner');
+    await assertRejects(encryption.decryptCredentials(envelope, 'student-2'), () => true,
+      'it cannot be decrypted as another user\'s');
+    await assertRejects(encryption.decryptCredentials(tokens.accessToken, 'student-1'),
+      (error) => /not encrypted/.test(error.message), 'plaintext is refused');
+
+    const service = await CanvasService.fromCredentials(envelope, {
+      context: 'student-1',
+      baseUrl: canvas.apiBaseUrl,
+    });
+    assertEq((await service.getUserProfile()).id, canvas.data.profile.id,
+      'CanvasService works from the envelope');
+
+    LocalFileKeyProvider.rotate(keyFile);
+    encryption.setKeyProvider(new LocalFileKeyProvider(keyFile));
+    const rotated = await encryption.encryptCredentials({ accessToken: 'new' }, 'student-1');
+    assert(rotated.keyId !== firstKeyId, 'after rotation new credentials use the new key');
+    assertEq((await encryption.decryptCredentials(envelope, 'student-1')).accessToken, tokens.accessToken,
+      'and older ones can still be read');
+
+    const keyring = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+    delete keyring.keys[firstKeyId];
+    fs.writeFileSync(keyFile, JSON.stringify(keyring));
+    encryption.setKeyProvider(new LocalFileKeyProvider(keyFile));
+    await assertRejects(encryption.decryptCredentials(envelope, 'student-1'),
+      (error) => /Unknown credential key/.test(error.message), 'a removed key can no longer decrypt');
+  } finally {
+    encryption.setKeyProvider(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// ── Runner ──────────────────────────────────────────────────────────────────
+
+async function runAll() {
+  console.log('╔══════════════════════════════════════╗');
+  console.log('║   Canvas OAuth Tests                 ║');
+  console.log('╚══════════════════════════════════════╝');
+
+  try {
+    require.resolve('axios', { paths: [FUNCTIONS_DIR] });
+  } catch (error) {
+    console.log('\n▶ Skipped (run npm install in functions/ first)');
+    process.exit(0);
+  }
+
+  const oauth = require(path.join(FUNCTIONS_DIR, 'services/canvasOAuth'));
+  const CanvasService = require(path.join(FUNCTIONS_DIR, 'services/canvasService'));
+  const canvas = await startMockCanvasServer();
+
+  // CanvasService logs the errors it rethrows
+  const consoleError = console.error;
+  console.error = () => {};
+  try {
+    await testAuthorization(oauth, canvas);
+    await testRefresh(oauth, CanvasService, canvas);
+    await testRevocation(oauth, CanvasService, canvas);
+    await testEncryption(oauth, CanvasService, canvas);
+  } finally {
+    console.error = consoleError;
+    await canvas.stop();
+  }
+
+  console.log(`\n${'═'.repeat(50)}`);
+  console.log(`  canvas oauth: ${passed} passed, ${failed} failed`);
+  console.log(`${'═'.repeat(50)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAll().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,255 @@
+/**
+ * testCanvasPagination.js
+ *
+ * Tests for following Canvas `Link: rel="next"` pagination
+ * (functions/utils/canvasPagination.js) in CanvasService, against a local
+ * mock Canvas server that returns multi-page responses: every page is
+ * fetched, results stream as pages arrive, the page cap holds, and links
+ * off the Canvas host are refused.
+ *
+ * Needs the functions/ dependencies (cd functions && npm install).
+ *
+ * Run: node src/test/testCanvasPagination.js
+ */
+
+const path = require('path');
+const { startMockCanvasServer, MOCK_USER } = require('./mockCanvasServer');
+
+const FUNCTIONS_DIR = path.join(__dirname, '../../functions');
+const PAGE_SIZE = 5;
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  assert(actual === expected, `${message} (expected ${expected}, got ${actual})`);
+}
+
+async function assertRejects(promise, check, message) {
+  try {
+    await promise;
+    assert(false, `${message} (did not throw)`);
+  } catch (error) {
+    assert(check(error), `${message} (${error.message})`);
+  }
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+function listOf(count, make) {
+  return Array.from({ length: count }, (_, i) => make(i + 1));
+}
+
+function mockData() {
+  return {
+    profile: MOCK_USER,
+    courses: listOf(23, (id) => ({ id, name: `Course ${id}`, course_code: `${1000 + id}-FY-A` })),
+    calendar: listOf(7, (id) => ({ id, title: `Event ${id}`, start_at: '2030-02-04T16:00:00Z' })),
+    assignments: listOf(4, (id) => ({ id, title: `Assignment ${id}` })),
+    enrollments: listOf(12, (id) => ({ id, course_id: id })),
+  };
+}
+
+/** Record the URL of every request a service sends */
+function recordRequests(service) {
+  const urls = [];
+  service.client.interceptors.request.use((config) => {
+    urls.push(config.url);
+    return config;
+  });
+  return urls;
+}
+
+/** An axios client whose first page links to `next` */
+function clientLinkingTo(axios, next) {
+  return axios.create({
+    baseURL: 'https://hw.instructure.test/api/v1',
+    adapter: async (config) => ({
+      data: [{ id: config.url }],
+      status: 200,
+      statusText: 'OK',
+      headers: config.url === '/courses' ? { link: `<${next}>; rel="next"` } : {},
+      config,
+    }),
+  });
+}
+
+// ── Link headers ────────────────────────────────────────────────────────────
+
+function testLinkHeader(pagination) {
+  section('Parsing Link headers');
+
+  const links = pagination.parseLinkHeader(
+    '<https://hw.instructure.com/api/v1/courses?page=2&per_page=10>; rel="next",' +
+    '<https://hw.instructure.com/api/v1/courses?page=1&per_page=10>; rel="current first",' +
+    '<https://hw.instructure.com/api/v1/courses?page=3&per_page=10>; rel="last"');
+  assertEq(links.next, 'https://hw.instructure.com/api/v1/courses?page=2&per_page=10', 'finds the next page');
+  assertEq(links.last, 'https://hw.instructure.com/api/v1/courses?page=3&per_page=10', 'and the last');
+  assertEq(links.first, links.current, 'a link can have several relations');
+
+  const commas = pagination.parseLinkHeader('<https://hw.instructure.com/api/v1/calendar_events?context_codes=a,b&page=2>; rel=next');
+  assertEq(commas.next, 'https://hw.instructure.com/api/v1/calendar_events?context_codes=a,b&page=2',
+    'URLs with commas and unquoted relations');
+  assertEq(Object.keys(pagination.parseLinkHeader(undefined)).length, 0, 'no header, no links');
+}
+
+// ── Following pages ─────────────────────────────────────────────────────────
+
+async function testAllPages(CanvasService, canvas) {
+  section('Fetching every page');
+
+  const service = new CanvasService(canvas.personalAccessToken(), canvas.apiBaseUrl);
+  const urls = recordRequests(service);
+
+  let pagesBefore = canvas.counts.pages;
+  const courses = await service.getUserCourses();
+  assertEq(courses.length, canvas.data.courses.length, 'all courses, not just the first page');
+  assertEq(courses.map((course) => course.id).join(','), canvas.data.courses.map((course) => course.id).join(','),
+    'in order');
+  assertEq(canvas.counts.pages - pagesBefore, Math.ceil(canvas.data.courses.length / PAGE_SIZE), 'one request a page');
+  assert(urls.slice(1).every((url) => url.includes('enrollment_state=active') && url.includes('include')),
+    'later pages keep the query parameters');
+
+  assertEq((await service.getUserCalendar('2030-02-01', '2030-03-01')).length, canvas.data.calendar.length,
+    'all calendar events');
+  assertEq((await service.getUserEnrollments()).length, canvas.data.enrollments.length, 'all enrollments');
+
+  pagesBefore = canvas.counts.pages;
+  assertEq((await service.getUpcomingAssignments()).length, canvas.data.assignments.length,
+    'a list that fits on one page');
+  assertEq(canvas.counts.pages - pagesBefore, 1, 'takes one request');
+
+  const data = await service.getComprehensiveUserData();
+  assertEq(data.courses.length, canvas.data.courses.length, 'comprehensive data has every page too');
+}
+
+// ── Streaming ───────────────────────────────────────────────────────────────
+
+async function testStreaming(CanvasService, canvas) {
+  section('Streaming results');
+
+  const service = new CanvasService(canvas.personalAccessToken(), canvas.apiBaseUrl);
+  const pagesBefore = canvas.counts.pages;
+  const seen = [];
+  for await (const course of service.paginate('/courses', { params: { per_page: PAGE_SIZE } })) {
+    seen.push(course.id);
+    if (seen.length === 3) break;
+  }
+  assertEq(seen.join(','), '1,2,3', 'items arrive one by one');
+  assertEq(canvas.counts.pages - pagesBefore, 1, 'stopping early fetches no more pages');
+
+  let refreshes = 0;
+  const refreshing = new CanvasService(canvas.personalAccessToken(), canvas.apiBaseUrl, {
+    refreshToken: 'refresh',
+    refreshAccessToken: async () => {
+      refreshes++;
+      return canvas.personalAccessToken();
+    },
+  });
+  const ids = [];
+  for await (const course of refreshing.paginate('/courses', { params: { per_page: PAGE_SIZE } })) {
+    ids.push(course.id);
+    if (ids.length === 1) canvas.expireAccessTokens();
+  }
+  assertEq(ids.length, canvas.data.courses.length, 'a token expiring between pages is refreshed and paging goes on');
+  assertEq(refreshes, 1, 'with one refresh');
+}
+
+// ── Page cap ────────────────────────────────────────────────────────────────
+
+async function testCap(CanvasService, canvas) {
+  section('Capping the number of pages');
+
+  const warnings = [];
+  const consoleWarn = console.warn;
+  console.warn = (message) => warnings.push(message);
+  try {
+    const capped = new CanvasService(canvas.personalAccessToken(), canvas.apiBaseUrl, { maxPages: 2 });
+    const courses = await capped.getUserCourses();
+    assertEq(courses.length, 2 * PAGE_SIZE, 'the service stops at its page cap');
+    assert(warnings.length === 1 && /stopped after 2 pages/.test(warnings[0]), 'and warns that it did');
+
+    const items = await capped.getAllPages('/courses', { params: { per_page: PAGE_SIZE }, maxPages: 1 });
+    assertEq(items.length, PAGE_SIZE, 'a call can set its own cap');
+
+    warnings.length = 0;
+    const enough = await capped.getAllPages('/users/self/enrollments', { params: { per_page: 100 }, maxPages: 3 });
+    assertEq(enough.length, canvas.data.enrollments.length, 'a list within the cap is complete');
+    assertEq(warnings.length, 0, 'with no warning');
+  } finally {
+    console.warn = consoleWarn;
+  }
+}
+
+// ── Foreign links ───────────────────────────────────────────────────────────
+
+async function testForeignLinks(pagination, axios) {
+  section('Staying on the Canvas host');
+
+  await assertRejects(pagination.collectPages(clientLinkingTo(axios, 'https://elsewhere.test/api/v1/courses?page=2'),
+    '/courses'), (error) => /outside/.test(error.message), 'a next link to another host is not followed');
+
+  const relative = await pagination.collectPages(clientLinkingTo(axios, '/api/v1/courses?page=2'), '/courses');
+  assertEq(relative.length, 2, 'a relative next link is followed on the Canvas host');
+  assertEq(relative[1].id, 'https://hw.instructure.test/api/v1/courses?page=2', 'as an absolute URL');
+}
+
+// ── Runner ──────────────────────────────────────────────────────────────────
+
+async function runAll() {
+  console.log('╔══════════════════════════════════════╗');
+  console.log('║   Canvas Pagination Tests            ║');
+  console.log('╚══════════════════════════════════════╝');
+
+  try {
+    require.resolve('axios', { paths: [FUNCTIONS_DIR] });
+  } catch (error) {
+    console.log('\n▶ Skipped (run npm install in functions/ first)');
+    process.exit(0);
+  }
+
+  const axios = require(require.resolve('axios', { paths: [FUNCTIONS_DIR] }));
+  const pagination = require(path.join(FUNCTIONS_DIR, 'utils/canvasPagination'));
+  const CanvasService = require(path.join(FUNCTIONS_DIR, 'services/canvasService'));
+  const canvas = await startMockCanvasServer({ data: mockData(), pageSize: PAGE_SIZE });
+
+  // CanvasService logs the errors it rethrows
+  const consoleError = console.error;
+  console.error = () => {};
+  try {
+    testLinkHeader(pagination);
+    await testAllPages(CanvasService, canvas);
+    await testStreaming(CanvasService, canvas);
+    await testCap(CanvasService, canvas);
+    await testForeignLinks(pagination, axios);
+  } finally {
+    console.error = consoleError;
+    await canvas.stop();
+  }
+
+  console.log(`\n${'═'.repeat(50)}`);
+  console.log(`  canvas pagination: ${passed} passed, ${failed} failed`);
+  console.log(`${'═'.repeat(50)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAll().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
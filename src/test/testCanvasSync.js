@@ -0,0 +1,217 @@
+/**
+ * testCanvasSync.js
+ *
+ * Tests for the background Canvas sync in functions/services/canvasSync.js:
+ * working out which sections of a student's cached Canvas data changed,
+ * and backing off when Canvas throttles requests (against the local mock
+ * Canvas server).
+ *
+ * Needs the functions/ dependencies (cd functions && npm install).
+ *
+ * Run: node src/test/testCanvasSync.js
+ */
+
+const path = require('path');
+const { startMockCanvasServer } = require('./mockCanvasServer');
+
+const FUNCTIONS_DIR = path.join(__dirname, '../../functions');
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  assert(actual === expected, `${message} (expected ${expected}, got ${actual})`);
+}
+
+async function assertRejects(promise, check, message) {
+  try {
+    await promise;
+    assert(false, `${message} (did not throw)`);
+  } catch (error) {
+    assert(check(error), `${message} (${error.message})`);
+  }
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+function fetched(overrides = {}) {
+  return {
+    profile: { id: 4242, name: 'Test Student', primary_email: 'student@hw.com' },
+    courses: [
+      { id: 1, name: 'Honors Chemistry', course_code: '2745-FY-B', enrollment_term_id: 1 },
+      { id: 2, name: 'US History', course_code: '8720-T1-A', enrollment_term_id: 1 },
+    ],
+    calendar: [{ id: 10, title: 'Lab', start_at: '2030-02-04T16:00:00Z', end_at: '2030-02-04T17:00:00Z' }],
+    assignments: [{ id: 20, title: 'Essay' }],
+    enrollments: [{ id: 30, course_id: 1 }, { id: 31, course_id: 2 }],
+    lastUpdated: new Date().toISOString(),
+    ...overrides,
+  };
+}
+
+/** What syncCanvasData stores for a first sync */
+function stored(sync, data) {
+  const { fields } = sync.diffCanvasData(null, data);
+  return { userId: 'student', ...fields, lastUpdated: data.lastUpdated };
+}
+
+/** The same object with its keys in reverse order, as Firestore may return them */
+function reversedKeys(value) {
+  if (Array.isArray(value)) return value.map(reversedKeys);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).reverse().map((key) => [key, reversedKeys(value[key])]));
+  }
+  return value;
+}
+
+// ── Diffs ───────────────────────────────────────────────────────────────────
+
+function testDiffs(sync) {
+  section('Storing only what changed');
+
+  const first = sync.diffCanvasData(null, fetched());
+  assertEq(Object.keys(first.fields).sort().join(','),
+    'assignments,calendar,courses,enrollments,profile,scheduleInfo', 'a first sync stores every section');
+  assertEq(first.changes.courses.added, 2, 'and reports its courses as added');
+  assertEq(first.fields.scheduleInfo.courses[1].courseCode, '8720-T1-A', 'with the schedule information');
+
+  const cached = stored(sync, fetched());
+  const same = sync.diffCanvasData(cached, fetched({ lastUpdated: '2030-01-01T00:00:00Z' }));
+  assertEq(Object.keys(same.fields).length, 0, 'nothing is written when nothing changed');
+  assertEq(Object.keys(same.changes).length, 0, 'and no changes are reported');
+
+  const reordered = sync.diffCanvasData(reversedKeys(cached), fetched());
+  assertEq(Object.keys(reordered.fields).length, 0, 'key order in the stored document does not count as a change');
+
+  const courses = fetched().courses;
+  const changed = sync.diffCanvasData(cached, fetched({
+    courses: [{ ...courses[0], name: 'AP Chemistry' }, { id: 3, name: 'Ceramics', course_code: '6100-T2-A' }],
+  }));
+  assertEq(Object.keys(changed.fields).sort().join(','), 'courses,scheduleInfo',
+    'a course change writes the courses and the schedule information only');
+  assertEq(JSON.stringify(changed.changes.courses), JSON.stringify({ added: 1, removed: 1, updated: 1 }),
+    'counting added, removed and updated courses');
+  assertEq(changed.fields.scheduleInfo.courses[0].name, 'AP Chemistry', 'the schedule information is rebuilt');
+
+  const homework = sync.diffCanvasData(cached, fetched({ assignments: [] }));
+  assertEq(Object.keys(homework.fields).join(','), 'assignments',
+    'assignments alone do not rebuild the schedule information');
+  assertEq(homework.changes.assignments.removed, 1, 'the removed assignment is counted');
+
+  const renamed = sync.diffCanvasData(cached, fetched({ profile: { ...fetched().profile, name: 'T. Student' } }));
+  assertEq(renamed.changes.profile.updated, 1, 'a profile change is an update');
+
+  const { scheduleInfo, ...withoutSchedule } = cached;
+  assert(Boolean(scheduleInfo), 'the cached document has schedule information');
+  const backfilled = sync.diffCanvasData(withoutSchedule, fetched());
+  assert(Boolean(backfilled.fields.scheduleInfo), 'data cached without schedule information gets it');
+}
+
+// ── Rate limits ─────────────────────────────────────────────────────────────
+
+async function testRateLimits(sync, CanvasService, canvas) {
+  section('Backing off when Canvas throttles');
+
+  const service = new CanvasService(canvas.personalAccessToken(), canvas.apiBaseUrl);
+
+  canvas.throttle(1);
+  let throttled = null;
+  try {
+    await service.getUserCourses();
+  } catch (error) {
+    throttled = error;
+  }
+  assert(CanvasService.isRateLimited(throttled), 'a 403 Rate Limit Exceeded is recognised through the rethrown error');
+  assertEq(CanvasService.retryAfterMs(throttled), 0, 'Canvas gives no Retry-After');
+
+  const unauthorized = new CanvasService('not-a-token', canvas.apiBaseUrl);
+  await assertRejects(unauthorized.getUserProfile(), (error) => !CanvasService.isRateLimited(error),
+    'a 401 is not a rate limit');
+  assert(!CanvasService.isRateLimited(new Error('network down')), 'nor is an error without a response');
+  assert(CanvasService.isRateLimited({ response: { status: 429, headers: { 'retry-after': '3' } } }),
+    'a 429 is a rate limit');
+  assertEq(CanvasService.retryAfterMs({ response: { status: 429, headers: { 'retry-after': '3' } } }), 3000,
+    'and its Retry-After is honoured');
+
+  const delays = [];
+  const sleep = async (ms) => {
+    delays.push(ms);
+  };
+
+  canvas.throttle(2);
+  const profile = await sync.withBackoff(() => service.getUserProfile(), { baseDelayMs: 100, sleep });
+  assertEq(profile.id, canvas.data.profile.id, 'a throttled request succeeds once Canvas lets it through');
+  assertEq(delays.join(','), '100,200', 'waiting twice as long each time');
+
+  canvas.throttle(2);
+  const data = await sync.withBackoff(() => service.getComprehensiveUserData(), { baseDelayMs: 100, sleep });
+  assertEq(data.courses.length, canvas.data.courses.length, 'so does a whole sync');
+
+  delays.length = 0;
+  canvas.throttle(100);
+  await assertRejects(sync.withBackoff(() => service.getUserProfile(), { retries: 3, baseDelayMs: 100, sleep }),
+    (error) => CanvasService.isRateLimited(error), 'it gives up if Canvas keeps throttling');
+  assertEq(delays.join(','), '100,200,400', 'after three retries');
+  canvas.throttle(0);
+
+  delays.length = 0;
+  await assertRejects(sync.withBackoff(() => unauthorized.getUserProfile(), { sleep }), () => true,
+    'other errors are not retried');
+  assertEq(delays.length, 0, 'without waiting');
+}
+
+// ── Runner ──────────────────────────────────────────────────────────────────
+
+async function runAll() {
+  console.log('╔══════════════════════════════════════╗');
+  console.log('║   Canvas Sync Tests                  ║');
+  console.log('╚══════════════════════════════════════╝');
+
+  try {
+    require.resolve('axios', { paths: [FUNCTIONS_DIR] });
+  } catch (error) {
+    console.log('\n▶ Skipped (run npm install in functions/ first)');
+    process.exit(0);
+  }
+
+  const sync = require(path.join(FUNCTIONS_DIR, 'services/canvasSync'));
+  const CanvasService = require(path.join(FUNCTIONS_DIR, 'services/canvasService'));
+  const canvas = await startMockCanvasServer();
+
+  // CanvasService logs the errors it rethrows
+  const consoleError = console.error;
+  console.error = () => {};
+  try {
+    testDiffs(sync);
+    await testRateLimits(sync, CanvasService, canvas);
+  } finally {
+    console.error = consoleError;
+    await canvas.stop();
+  }
+
+  console.log(`\n${'═'.repeat(50)}`);
+  console.log(`  canvas sync: ${passed} passed, ${failed} failed`);
+  console.log(`${'═'.repeat(50)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAll().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
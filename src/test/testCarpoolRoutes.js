@@ -0,0 +1,238 @@
+/**
+ * testCarpoolRoutes.js
+ *
+ * Route tests for /carpool (functions/routes/carpool.js): profiles, groups,
+ * join requests and the group lifecycle through the API, with the status
+ * codes for missing things (404), driver-only operations, members-only
+ * group details and missing permissions (403).
+ *
+ * Runs the API on the fake firebase-admin (see apiTestServer.js).  Needs the
+ * functions/ dependencies (cd functions && npm install).
+ *
+ * Run: node src/test/testCarpoolRoutes.js
+ */
+
+const { startApiServer } = require('./apiTestServer');
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  assert(actual === expected, `${message} (expected ${expected}, got ${actual})`);
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+const DRIVER_PROFILE = Object.freeze({
+  homeCoordinates: { lat: 34.14, lng: -118.41 },
+  isDriver: true,
+  vehicleMake: 'Honda',
+  vehicleModel: 'Civic',
+  vehicleMpgCity: 30,
+  vehicleMpgHighway: 38,
+  vehicleCapacity: 3,
+});
+
+const PASSENGER_PROFILE = Object.freeze({
+  homeCoordinates: { lat: 34.15, lng: -118.42 },
+});
+
+/** A driver with an open group, a passenger with a profile, and an outsider. */
+async function setupGroup(api) {
+  const dan = api.signInStudent('dan', { userType: 'SENIOR' });
+  const pat = api.signInStudent('pat');
+  const olive = api.signInStudent('olive');
+  await api.request('POST', '/carpool/profile', { token: dan, body: DRIVER_PROFILE });
+  await api.request('POST', '/carpool/profile', { token: pat, body: PASSENGER_PROFILE });
+  await api.request('POST', '/carpool/profile', { token: olive, body: PASSENGER_PROFILE });
+
+  const created = await api.request('POST', '/carpool/create', { token: dan, body: { name: 'Valley' } });
+  return { dan, pat, olive, carpoolId: created.body.group.carpoolId };
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+async function testProfile(api) {
+  section('Profiles');
+
+  const pat = api.signInStudent('pat');
+  assertEq((await api.request('GET', '/carpool/profile')).status, 401, 'anonymous requests get 401');
+  assertEq((await api.request('GET', '/carpool/profile', { token: pat })).status, 404,
+    'a user without a profile gets 404');
+
+  const created = await api.request('POST', '/carpool/profile', {
+    token: pat,
+    body: { ...PASSENGER_PROFILE, bio: 'Hi', gradeLevel: 'senior' },
+  });
+  assertEq(created.status, 201, 'creating a profile returns 201');
+  assertEq(created.body.profile.userId, 'pat', 'the profile belongs to the signed-in user');
+  assertEq(created.body.profile.gradeLevel, 'junior', 'the grade comes from the account, not the body');
+
+  assertEq((await api.request('GET', '/carpool/profile', { token: pat })).body.profile.bio, 'Hi',
+    'the profile can be read back');
+  assertEq((await api.request('POST', '/carpool/profile', { token: pat, body: PASSENGER_PROFILE })).status, 409,
+    'a second profile is a conflict');
+
+  const revoked = api.signInStudent('rex', { revokedPermissions: ['JOIN_CARPOOL'] });
+  const response = await api.request('POST', '/carpool/profile', { token: revoked, body: PASSENGER_PROFILE });
+  assertEq(response.status, 403, 'a user whose JOIN_CARPOOL was revoked gets 403');
+  assertEq(response.body.missing.join(','), 'JOIN_CARPOOL', 'and is told which permission is missing');
+}
+
+async function testGroups(api) {
+  section('Groups');
+
+  const { dan, pat, carpoolId } = await setupGroup(api);
+  assert(carpoolId, 'a driver can create a group');
+
+  const passengerGroup = await api.request('POST', '/carpool/create', { token: pat, body: { name: 'Nope' } });
+  assertEq(passengerGroup.status, 400, 'users who can\'t drive can\'t create one');
+  assertEq((await api.request('POST', '/carpool/create', { token: dan, body: { name: 'Again' } })).status, 409,
+    'nor can a driver who already has an open group');
+
+  const open = await api.request('GET', '/carpool/open', { token: pat });
+  assertEq(open.status, 200, 'open groups can be listed');
+  assert(open.body.groups.some((group) => group.carpoolId === carpoolId), 'including the new one');
+
+  const details = await api.request('GET', `/carpool/${carpoolId}`, { token: dan });
+  assertEq(details.status, 200, 'the driver can read the group');
+  assertEq(details.body.driver.homeCoordinates.lat, DRIVER_PROFILE.homeCoordinates.lat,
+    'with the members\' profiles');
+  const outsider = await api.request('GET', `/carpool/${carpoolId}`, { token: pat });
+  assertEq(outsider.status, 403, 'someone outside the group gets 403');
+  assertEq(outsider.body.driver, undefined, 'and no profiles, so no home locations');
+  assertEq((await api.request('GET', '/carpool/nope', { token: pat })).status, 404, 'an unknown group gets 404');
+  assertEq((await api.request('GET', '/carpool/current', { token: pat })).status, 404,
+    'users in no group have no current group');
+}
+
+async function testJoinRequests(api) {
+  section('Join requests');
+
+  const { dan, pat, olive, carpoolId } = await setupGroup(api);
+
+  const sent = await api.request('POST', `/carpool/${carpoolId}/join`, { token: pat, body: { message: 'Hi' } });
+  assertEq(sent.status, 201, 'a student can ask to join');
+  assertEq((await api.request('POST', `/carpool/${carpoolId}/join`, { token: pat, body: {} })).status, 409,
+    'but only once');
+  assertEq((await api.request('POST', '/carpool/nope/join', { token: olive, body: {} })).status, 404,
+    'asking to join an unknown group gets 404');
+
+  const pending = await api.request('GET', `/carpool/${carpoolId}/requests`, { token: dan });
+  assertEq(pending.status, 200, 'the driver sees the group\'s requests');
+  assertEq(pending.body.count, 1, 'one of them');
+  const outsider = await api.request('GET', `/carpool/${carpoolId}/requests`, { token: olive });
+  assertEq(outsider.status, 403, 'nobody else can');
+  assertEq(outsider.body.error, 'Only the group driver can view join requests', 'and is told why');
+
+  assertEq((await api.request('PUT', `/carpool/${carpoolId}/accept/pat`, { token: olive })).status, 403,
+    'only the driver can accept');
+  assertEq((await api.request('PUT', `/carpool/${carpoolId}/accept/olive`, { token: dan })).status, 404,
+    'accepting someone who didn\'t ask gets 404');
+
+  const accepted = await api.request('PUT', `/carpool/${carpoolId}/accept/pat`, { token: dan });
+  assertEq(accepted.status, 200, 'the driver can accept');
+  assert(accepted.body.group.passengerUserIds.includes('pat'), 'which adds the passenger');
+  assertEq((await api.request('GET', '/carpool/current', { token: pat })).status, 200,
+    'the passenger now has a current group');
+  const details = await api.request('GET', `/carpool/${carpoolId}`, { token: pat });
+  assertEq(details.status, 200, 'and can read it');
+  assertEq(details.body.passengers.map((p) => p.userId).join(','), 'pat', 'with the passengers\' profiles');
+
+  await api.request('POST', `/carpool/${carpoolId}/join`, { token: olive, body: {} });
+  assertEq((await api.request('PUT', `/carpool/${carpoolId}/decline/olive`, { token: pat })).status, 403,
+    'only the driver can decline');
+  assertEq((await api.request('PUT', `/carpool/${carpoolId}/decline/olive`, { token: dan })).status, 200,
+    'the driver can decline');
+}
+
+async function testLifecycle(api) {
+  section('Only the driver runs the group');
+
+  const { dan, pat, olive, carpoolId } = await setupGroup(api);
+  await api.request('POST', `/carpool/${carpoolId}/join`, { token: pat, body: {} });
+  await api.request('PUT', `/carpool/${carpoolId}/accept/pat`, { token: dan });
+
+  assertEq((await api.request('PUT', `/carpool/${carpoolId}/activate`, { token: pat })).status, 403,
+    'passengers can\'t activate the group');
+  assertEq((await api.request('PUT', `/carpool/${carpoolId}/activate`, { token: dan })).status, 200,
+    'the driver can');
+  assertEq((await api.request('PUT', '/carpool/nope/activate', { token: dan })).status, 404,
+    'activating an unknown group gets 404');
+
+  assertEq((await api.request('DELETE', `/carpool/${carpoolId}/leave`, { token: dan })).status, 400,
+    'the driver can\'t leave');
+  assertEq((await api.request('DELETE', `/carpool/${carpoolId}`, { token: olive })).status, 403,
+    'outsiders can\'t disband the group');
+  assertEq((await api.request('DELETE', `/carpool/${carpoolId}/leave`, { token: pat })).status, 200,
+    'a passenger can leave');
+  assertEq((await api.request('DELETE', `/carpool/${carpoolId}`, { token: dan })).status, 200,
+    'the driver can disband it');
+}
+
+async function testGasEstimate(api) {
+  section('Gas estimates');
+
+  const { pat, carpoolId } = await setupGroup(api);
+  assertEq((await api.request('GET', `/carpool/${carpoolId}/gas-estimate`, { token: pat })).status, 400,
+    'the distance is required');
+
+  const estimate = await api.request('GET', `/carpool/${carpoolId}/gas-estimate?distanceMiles=12`, { token: pat });
+  assertEq(estimate.status, 200, 'a group\'s gas cost can be estimated');
+  assert(estimate.body.estimate, 'with the estimate');
+  assertEq((await api.request('GET', '/carpool/nope/gas-estimate?distanceMiles=12', { token: pat })).status, 404,
+    'an unknown group gets 404');
+}
+
+// ── Run All ─────────────────────────────────────────────────────────────────
+
+async function runAll() {
+  console.log('╔══════════════════════════════════════╗');
+  console.log('║   Carpool Route Tests                ║');
+  console.log('╚══════════════════════════════════════╝');
+
+  const api = await startApiServer();
+  if (!api) {
+    console.log('\n▶ Skipped (run npm install in functions/ first)');
+    process.exit(0);
+  }
+
+  // The routes log the errors they answer with
+  const consoleError = console.error;
+  console.error = () => {};
+  try {
+    for (const test of [testProfile, testGroups, testJoinRequests, testLifecycle, testGasEstimate]) {
+      api.admin.reset();
+      await test(api);
+    }
+  } finally {
+    console.error = consoleError;
+    await api.stop();
+  }
+
+  console.log(`\n${'═'.repeat(50)}`);
+  console.log(`  carpool routes: ${passed} passed, ${failed} failed`);
+  console.log(`${'═'.repeat(50)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAll().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
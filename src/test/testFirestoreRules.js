@@ -0,0 +1,246 @@
+/**
+ * testFirestoreRules.js
+ *
+ * Tests for firestore.rules: what signed-in clients may read and write
+ * directly, bypassing the API.
+ *
+ * Needs the Firestore emulator (see `npm run test:emulator`) and is skipped
+ * without FIRESTORE_EMULATOR_HOST.  Talks to the emulator's REST API, with
+ * the unsigned ID tokens the emulator accepts, so no client SDK is needed.
+ *
+ * Run: node src/test/testFirestoreRules.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EMULATOR_PROJECT_ID } = require('./emulator');
+
+const RULES_FILE = path.join(__dirname, '../../firestore.rules');
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+// ── Emulator Client ─────────────────────────────────────────────────────────
+
+const host = process.env.FIRESTORE_EMULATOR_HOST;
+const documentsUrl = `http://${host}/v1/projects/${EMULATOR_PROJECT_ID}/databases/(default)/documents`;
+
+/**
+ * Unsigned Firebase ID token for a user; the emulator doesn't check
+ * signatures.  "owner" is the emulator's token for bypassing the rules.
+ */
+function tokenFor(uid) {
+  if (uid === 'owner') return 'owner';
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const now = Math.floor(Date.now() / 1000);
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode({
+    iss: `https://securetoken.google.com/${EMULATOR_PROJECT_ID}`,
+    aud: EMULATOR_PROJECT_ID,
+    sub: uid,
+    user_id: uid,
+    iat: now,
+    exp: now + 3600,
+    auth_time: now,
+    firebase: { sign_in_provider: 'custom', identities: {} },
+  })}.`;
+}
+
+/** Encode a JS value as a Firestore REST `Value`. */
+function toValue(value) {
+  if (value === null) return { nullValue: null };
+  if (typeof value === 'boolean') return { booleanValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { integerValue: String(value) } : { doubleValue: value };
+  }
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toValue) } };
+  if (typeof value === 'object') return { mapValue: { fields: toFields(value) } };
+  return { stringValue: String(value) };
+}
+
+function toFields(data) {
+  return Object.fromEntries(Object.entries(data).map(([key, value]) => [key, toValue(value)]));
+}
+
+async function request(uid, method, docPath, body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (uid) headers.Authorization = `Bearer ${tokenFor(uid)}`;
+  return fetch(`${documentsUrl}/${docPath}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+}
+
+/** Can `uid` (null for signed out) read the document? */
+async function canRead(uid, docPath) {
+  return (await request(uid, 'GET', docPath)).ok;
+}
+
+/** Can `uid` write the whole document (create or replace it)? */
+async function canSet(uid, docPath, data) {
+  return (await request(uid, 'PATCH', docPath, { fields: toFields(data) })).ok;
+}
+
+/** Can `uid` change some fields of the document, leaving the rest? */
+async function canUpdate(uid, docPath, changes) {
+  const mask = Object.keys(changes).map((field) => `updateMask.fieldPaths=${encodeURIComponent(field)}`);
+  return (await request(uid, 'PATCH', `${docPath}?${mask.join('&')}`, { fields: toFields(changes) })).ok;
+}
+
+async function canDelete(uid, docPath) {
+  return (await request(uid, 'DELETE', docPath)).ok;
+}
+
+/** Write test data as the emulator owner, bypassing the rules. */
+async function seed(docs) {
+  for (const [docPath, data] of Object.entries(docs)) {
+    const response = await request('owner', 'PATCH', docPath, { fields: toFields(data) });
+    if (!response.ok) throw new Error(`Seeding ${docPath} failed: ${await response.text()}`);
+  }
+}
+
+async function loadRules() {
+  const response = await fetch(`http://${host}/emulator/v1/projects/${EMULATOR_PROJECT_ID}:securityRules`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      rules: { files: [{ name: 'firestore.rules', content: fs.readFileSync(RULES_FILE, 'utf-8') }] },
+    }),
+  });
+  if (!response.ok) throw new Error(`Loading firestore.rules failed: ${await response.text()}`);
+}
+
+async function resetData() {
+  await fetch(documentsUrl, { method: 'DELETE' });
+  await seed({ 'admins/dean': { role: 'MODERATOR', active: true } });
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+async function testDomainCollections() {
+  section('Domain service collections are read-only for clients');
+
+  await seed({
+    'parkingSpots/spot-1': { spotId: 'spot-1', lotName: 'Taper', spotNumber: 'A-1' },
+    'tandemPairings/pair-1': { pairingId: 'pair-1', user1Id: 'alice', user2Id: 'bob', status: 'active' },
+    'carpools/pool-1': { carpoolId: 'pool-1', driverUserId: 'dana', passengerUserIds: ['pat'], status: 'active' },
+    'rentals/rental-1': { rentalId: 'rental-1', ownerUserId: 'olga', renterUserId: 'rita', status: 'pending' },
+    'payments/pi_1': { paymentIntentId: 'pi_1', rentalId: 'rental-1', amountCents: 800 },
+  });
+
+  assert(await canRead('zoe', 'parkingSpots/spot-1'), 'any signed-in user reads spots');
+  assert(!(await canRead(null, 'parkingSpots/spot-1')), 'signed-out users cannot read spots');
+  assert(!(await canSet('dean', 'parkingSpots/spot-2', { spotId: 'spot-2' })), 'not even admins create spots');
+
+  assert(await canRead('alice', 'tandemPairings/pair-1'), 'user1 reads their pairing');
+  assert(await canRead('bob', 'tandemPairings/pair-1'), 'user2 reads their pairing');
+  assert(await canRead('dean', 'tandemPairings/pair-1'), 'admins read pairings');
+  assert(!(await canRead('zoe', 'tandemPairings/pair-1')), 'others cannot read a pairing');
+  assert(!(await canUpdate('alice', 'tandemPairings/pair-1', { status: 'ended' })), 'members cannot edit a pairing');
+  assert(
+    !(await canSet('zoe', 'tandemPairings/pair-2', { user1Id: 'zoe', user2Id: 'alice' })),
+    'users cannot pair themselves with anyone',
+  );
+  assert(!(await canDelete('alice', 'tandemPairings/pair-1')), 'members cannot delete a pairing');
+
+  assert(await canRead('dana', 'carpools/pool-1'), 'the driver reads their carpool');
+  assert(await canRead('pat', 'carpools/pool-1'), 'a passenger reads their carpool');
+  assert(!(await canRead('zoe', 'carpools/pool-1')), 'others cannot read a carpool');
+  assert(
+    !(await canUpdate('zoe', 'carpools/pool-1', { passengerUserIds: ['pat', 'zoe'] })),
+    'outsiders cannot add themselves to a carpool',
+  );
+  assert(!(await canUpdate('dana', 'carpools/pool-1', { status: 'disbanded' })), 'the driver cannot edit it directly');
+
+  assert(await canRead('rita', 'rentals/rental-1'), 'the renter reads their rental');
+  assert(await canRead('olga', 'rentals/rental-1'), 'the spot owner reads the rental');
+  assert(!(await canRead('zoe', 'rentals/rental-1')), 'others cannot read a rental');
+  assert(!(await canUpdate('rita', 'rentals/rental-1', { status: 'confirmed' })), 'renters cannot confirm directly');
+  assert(!(await canDelete('dean', 'rentals/rental-1')), 'not even admins delete rentals directly');
+
+  assert(!(await canRead('rita', 'payments/pi_1')), 'clients cannot read used payments');
+  assert(!(await canSet('rita', 'payments/pi_2', { rentalId: 'rental-1' })), 'clients cannot record payments');
+}
+
+async function testUserDocuments() {
+  section('Users cannot give themselves permissions');
+
+  const allowed = ['VIEW_SPOTS', 'JOIN_TANDEM'];
+  await seed({
+    'users/sam': { name: 'Sam', userType: 'JUNIOR', permissions: allowed, revokedPermissions: ['RENT_SPOT'] },
+  });
+
+  assert(await canUpdate('sam', 'users/sam', { name: 'Samuel' }), 'users edit their own profile');
+  assert(!(await canUpdate('sam', 'users/sam', { permissions: [...allowed, 'ADMIN'] })), 'users cannot grant themselves');
+  assert(!(await canUpdate('sam', 'users/sam', { revokedPermissions: [] })), 'users cannot lift a revocation');
+  assert(!(await canUpdate('sam', 'users/sam', { userType: 'SENIOR' })), 'users cannot change their grade');
+  assert(!(await canUpdate('zoe', 'users/sam', { name: 'Zoe' })), 'users cannot edit someone else');
+  assert(await canUpdate('dean', 'users/sam', { revokedPermissions: [] }), 'admins can change permissions');
+
+  assert(await canSet('newbie', 'users/newbie', { name: 'Newbie' }), 'users create their own document');
+  assert(
+    !(await canSet('eve', 'users/eve', { name: 'Eve', permissions: ['ADMIN'] })),
+    'users cannot sign up with permissions',
+  );
+  assert(
+    !(await canSet('mal', 'users/mal', { name: 'Mal', revokedPermissions: [] })),
+    'users cannot sign up with revocations',
+  );
+}
+
+async function testAdminCheck() {
+  section('Admins are the active entries of the admins collection');
+
+  await seed({
+    'admins/former': { role: 'MODERATOR', active: false },
+    'users/pretender': { userType: 'ADMIN' },
+    'tandemPairings/pair-1': { pairingId: 'pair-1', user1Id: 'alice', user2Id: 'bob' },
+  });
+
+  assert(!(await canRead('former', 'tandemPairings/pair-1')), 'inactive admins are not admins');
+  assert(!(await canRead('pretender', 'tandemPairings/pair-1')), 'a userType of ADMIN is not an admin');
+}
+
+// ── Run All ─────────────────────────────────────────────────────────────────
+
+async function runAll() {
+  console.log('╔══════════════════════════════════════╗');
+  console.log('║   Firestore Rules Tests              ║');
+  console.log('╚══════════════════════════════════════╝');
+
+  if (!host) {
+    console.log('\n▶ Skipped (set FIRESTORE_EMULATOR_HOST to run)');
+  } else {
+    await loadRules();
+    for (const test of [testDomainCollections, testUserDocuments, testAdminCheck]) {
+      await resetData();
+      await test();
+    }
+  }
+
+  console.log(`\n${'═'.repeat(50)}`);
+  console.log(`  firestore rules: ${passed} passed, ${failed} failed`);
+  console.log(`${'═'.repeat(50)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAll().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
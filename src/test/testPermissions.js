@@ -0,0 +1,105 @@
+/**
+ * testPermissions.js
+ *
+ * Tests for User permissions: UserType defaults, admin grants and
+ * revocations, and the effective set that requirePermission checks.
+ *
+ * Run: node src/test/testPermissions.js
+ */
+
+const { User } = require('../models');
+const { Permission, UserType, DefaultPermissions, STUDENT_PERMISSIONS } = require('../enums');
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  assert(actual === expected, `${message} (expected ${expected}, got ${actual})`);
+}
+
+function assertThrows(fn, pattern, message) {
+  try {
+    fn();
+    assert(false, `${message} (did not throw)`);
+  } catch (err) {
+    assert(pattern.test(err.message), `${message} (${err.message})`);
+  }
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+function testDefaults() {
+  section('Defaults');
+
+  for (const userType of Object.values(UserType)) {
+    assert(Array.isArray(DefaultPermissions[userType]), `${userType} has a default permission set`);
+  }
+  assert(!STUDENT_PERMISSIONS.includes(Permission.ADMIN), 'students never get ADMIN by default');
+
+  const junior = new User({ userType: UserType.JUNIOR });
+  assert(junior.checkPermissions(Permission.RENT_SPOT), 'junior can rent by default');
+  assert(junior.checkPermissions(Permission.JOIN_TANDEM), 'junior can join tandem by default');
+  assert(!junior.checkPermissions(Permission.ADMIN), 'junior is not an admin');
+
+  const legacy = new User({ userType: 'STUDENT' });
+  assertEq(legacy.getEffectivePermissions().length, STUDENT_PERMISSIONS.length, 'unknown user type gets the student defaults');
+
+  const stored = new User({ userType: UserType.SENIOR, permissions: [Permission.ADMIN] });
+  assert(stored.checkPermissions(Permission.ADMIN), 'stored grants add to the defaults');
+}
+
+function testRevokeAndGrant() {
+  section('Revoke and grant');
+
+  const user = new User({ userType: UserType.JUNIOR });
+
+  user.revokePermission(Permission.RENT_SPOT);
+  assert(!user.checkPermissions(Permission.RENT_SPOT), 'revoked default is gone');
+  assert(user.checkPermissions(Permission.JOIN_TANDEM), 'other permissions are kept (banned from renting can still tandem)');
+  assertEq(user.revokedPermissions.join(), Permission.RENT_SPOT, 'revocation is recorded');
+
+  user.revokePermission(Permission.RENT_SPOT);
+  assertEq(user.revokedPermissions.length, 1, 'revoking twice records it once');
+
+  user.grantPermission(Permission.RENT_SPOT);
+  assert(user.checkPermissions(Permission.RENT_SPOT), 'granting undoes a revocation');
+  assertEq(user.revokedPermissions.length, 0, 'revocation is cleared');
+  assertEq(user.permissions.length, 0, 'granting a default does not store a grant');
+
+  const restored = User.fromFirestoreDocument({ userType: UserType.JUNIOR, revokedPermissions: [Permission.LIST_SPOT] });
+  assert(!restored.checkPermissions(Permission.LIST_SPOT), 'revocations survive a round trip');
+  assertEq(restored.toFirestoreDocument().revokedPermissions.join(), Permission.LIST_SPOT, 'revocations are saved');
+
+  assertThrows(() => user.grantPermission(Permission.ADMIN), /Invalid permission: ADMIN/, 'ADMIN cannot be granted');
+  assertThrows(() => user.revokePermission('FLY'), /Invalid permission: FLY/, 'unknown permissions are rejected');
+}
+
+// ── Run ─────────────────────────────────────────────────────────────────────
+
+console.log('╔══════════════════════════════════════╗');
+console.log('║   Permission Tests                   ║');
+console.log('╚══════════════════════════════════════╝');
+
+testDefaults();
+testRevokeAndGrant();
+
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  permissions: ${passed} passed, ${failed} failed`);
+console.log(`${'═'.repeat(50)}`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,474 @@
+/**
+ * testRentalBooking.js
+ *
+ * Concurrency tests for RentalService booking: many renters racing for the
+ * same spot on the same date must produce exactly one rental, and one
+ * payment can only ever confirm one rental.  Also checks that payments are
+ * verified with the payment provider before a rental is confirmed or a
+ * penalty is paid, that blocked-spot reports only fine anyone once an
+ * admin resolves them, that cancellations only refund or fine rentals that
+ * were paid for (refunding through the payment provider), and that unpaid
+ * rentals expire and release their spot.
+ *
+ * Runs against the InMemoryRepository, and also against the Firestore
+ * emulator when FIRESTORE_EMULATOR_HOST is set.
+ *
+ * Run: node src/test/testRentalBooking.js
+ */
+
+const { InMemoryRepository } = require('../repositories');
+const {
+  RentalService,
+  InMemoryPaymentProvider,
+  LOT_NAMES,
+  SPOT_TYPES,
+  PRICING,
+  PENDING_RENTAL_EXPIRY_MINUTES,
+} = require('../RentalService');
+const { createEmulatorRepository } = require('./emulator');
+
+const RACERS = 25;
+const DATE = '2030-02-04';
+const MINUTE = 60 * 1000;
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  assert(actual === expected, `${message} (expected ${expected}, got ${actual})`);
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+// ── Fixtures ────────────────────────────────────────────────────────────────
+
+/**
+ * Create a RentalService with one owned spot listed on DATE.
+ */
+async function setup(repository, { distanceToCampus = 100 } = {}) {
+  const payments = new InMemoryPaymentProvider();
+  const service = new RentalService({ repository, paymentProvider: payments });
+  const spot = await service.addSpot({
+    lotName: LOT_NAMES.COLDWATER,
+    spotNumber: 'C-7',
+    spotType: SPOT_TYPES.SINGLE,
+    distanceToCampus,
+  });
+  await service.assignOwnership(spot.spotId, 'owner');
+  await service.listSpotForRent(spot.spotId, 'owner', DATE);
+  return { service, spot, payments };
+}
+
+/**
+ * Pay for a rental through the fake payment processor.
+ * @return {string} The payment intent ID to confirm it with
+ */
+function payFor(payments, rental) {
+  return payments.createPaymentIntent({
+    amountCents: rental.priceCents,
+    metadata: { rentalId: rental.rentalId },
+  }).id;
+}
+
+/**
+ * Fire `RACERS` parallel requestRental calls for the same spot and date.
+ */
+async function race(service, spotId, prefix) {
+  const attempts = [];
+  for (let i = 0; i < RACERS; i++) {
+    attempts.push(service.requestRental(spotId, `${prefix}-${i}`, DATE));
+  }
+  return Promise.allSettled(attempts);
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+async function testParallelRequests(createRepository) {
+  section('Parallel requestRental for one spot');
+
+  const { service, spot } = await setup(await createRepository());
+  const results = await race(service, spot.spotId, 'renter');
+
+  const succeeded = results.filter((r) => r.status === 'fulfilled');
+  const rejected = results.filter((r) => r.status === 'rejected');
+  assertEq(succeeded.length, 1, 'exactly one request succeeds');
+  assertEq(rejected.length, RACERS - 1, 'every other request is rejected');
+  assert(
+    rejected.every((r) => /already rented/.test(r.reason.message)),
+    'losers are told the spot is already rented',
+  );
+
+  const history = await service.getRentalHistory(spot.spotId);
+  assertEq(history.filter((r) => r.isActive()).length, 1, 'only one active rental is stored');
+  assertEq(history[0].renterUserId, succeeded[0].value.renterUserId, 'stored rental belongs to the winner');
+}
+
+async function testRebookAfterCancel(createRepository) {
+  section('Spot can be booked again after cancellation');
+
+  const { service, spot } = await setup(await createRepository());
+  const rental = await service.requestRental(spot.spotId, 'first', DATE);
+  await service.cancelRental(rental.rentalId);
+
+  const results = await race(service, spot.spotId, 'second');
+  assertEq(
+    results.filter((r) => r.status === 'fulfilled').length,
+    1,
+    'exactly one rebooking succeeds',
+  );
+}
+
+async function testReassignmentRespectsLock(createRepository) {
+  section('Blocked-spot reassignment skips reserved spots');
+
+  const repository = await createRepository();
+  const { service, spot, payments } = await setup(repository, { distanceToCampus: 200 });
+  const closer = await service.addSpot({
+    lotName: LOT_NAMES.COLDWATER,
+    spotNumber: 'C-1',
+    spotType: SPOT_TYPES.SINGLE,
+    distanceToCampus: 50,
+  });
+  await service.assignOwnership(closer.spotId, 'owner-2');
+  await service.listSpotForRent(closer.spotId, 'owner-2', DATE);
+
+  const rental = await service.requestRental(spot.spotId, 'renter', DATE);
+  await service.confirmRental(rental.rentalId, payFor(payments, rental));
+
+  // Another renter grabs the replacement spot at the same moment
+  const [report, competing] = await Promise.allSettled([
+    service.handleBlockedSpot({ rentalId: rental.rentalId, reporterUserId: 'renter' }),
+    service.requestRental(closer.spotId, 'competitor', DATE),
+  ]);
+
+  const winners = (report.value.newRental ? 1 : 0) + (competing.status === 'fulfilled' ? 1 : 0);
+  assertEq(winners, 1, 'replacement spot goes to exactly one renter');
+
+  const history = await service.getRentalHistory(closer.spotId);
+  assertEq(history.filter((r) => r.isActive()).length, 1, 'only one active rental on the replacement spot');
+}
+async function testFailedReassignmentReleasesSpot(createRepository) {
+  section('Failed reassignment releases the replacement spot');
+
+  const { service, spot, payments } = await setup(await createRepository(), { distanceToCampus: 200 });
+  const closer = await service.addSpot({
+    lotName: LOT_NAMES.COLDWATER,
+    spotNumber: 'C-1',
+    spotType: SPOT_TYPES.SINGLE,
+    distanceToCampus: 50,
+  });
+  await service.assignOwnership(closer.spotId, 'owner-2');
+  await service.listSpotForRent(closer.spotId, 'owner-2', DATE);
+
+  const rental = await service.requestRental(spot.spotId, 'renter', DATE);
+  await service.confirmRental(rental.rentalId, payFor(payments, rental));
+
+  // The store fails while the reassignment is being recorded
+  const saveTransaction = service.transactions.save.bind(service.transactions);
+  service.transactions.save = async () => {
+    throw new Error('store unavailable');
+  };
+  const error = await service.handleBlockedSpot({ rentalId: rental.rentalId, reporterUserId: 'renter' })
+      .then(() => null, (e) => e);
+  service.transactions.save = saveTransaction;
+
+  assert(error && /store unavailable/.test(error.message), 'the error reaches the caller');
+  const history = await service.getRentalHistory(closer.spotId);
+  assertEq(history.length, 0, 'no half-made rental is left on the replacement spot');
+  assert((await service.getRental(rental.rentalId)).isConfirmed(), 'the original rental is unchanged');
+
+  const competitor = await service.requestRental(closer.spotId, 'competitor', DATE);
+  assert(competitor.isPending(), 'the replacement spot can be booked again');
+}
+
+async function testPaymentVerification(createRepository) {
+  section('Confirming a rental verifies the payment');
+
+  const { service, spot, payments } = await setup(await createRepository());
+  const rental = await service.requestRental(spot.spotId, 'renter', DATE);
+  const rejection = (paymentIntentId) =>
+    service.confirmRental(rental.rentalId, paymentIntentId).then(() => null, (error) => error);
+
+  const unknown = await rejection('pi_made_up');
+  assertEq(unknown && unknown.code, 'payment-required', 'unknown payment intent is rejected');
+
+  const failed = payments.createPaymentIntent({
+    amountCents: rental.priceCents,
+    metadata: { rentalId: rental.rentalId },
+    status: 'requires_payment_method',
+  });
+  assertEq((await rejection(failed.id)).code, 'payment-required', 'payment that did not succeed is rejected');
+
+  const short = payments.createPaymentIntent({
+    amountCents: rental.priceCents - 1,
+    metadata: { rentalId: rental.rentalId },
+  });
+  assertEq((await rejection(short.id)).code, 'payment-required', 'payment for the wrong amount is rejected');
+
+  const other = payments.createPaymentIntent({
+    amountCents: rental.priceCents,
+    metadata: { rentalId: 'someone-elses-rental' },
+  });
+  assertEq((await rejection(other.id)).code, 'payment-required', 'payment for another rental is rejected');
+  assert((await service.getRental(rental.rentalId)).isPending(), 'rental is still pending after bad payments');
+
+  const paymentIntentId = payFor(payments, rental);
+  const { rental: confirmed, transaction } = await service.confirmRental(rental.rentalId, paymentIntentId);
+  assert(confirmed.isConfirmed(), 'paid rental is confirmed');
+  assertEq(transaction.stripeChargeId, paymentIntentId, 'transaction records the payment intent');
+  assertEq((await rejection(paymentIntentId)).code, 'conflict', 'confirmed rental cannot be confirmed again');
+}
+
+async function testPaymentNotConfigured(createRepository) {
+  section('No payment provider, no confirmations');
+
+  const repository = await createRepository();
+  const { service, spot } = await setup(repository);
+  const rental = await service.requestRental(spot.spotId, 'renter', DATE);
+  const unconfigured = new RentalService({ repository });
+
+  const error = await unconfigured.confirmRental(rental.rentalId, 'pi_any').then(() => null, (e) => e);
+  assertEq(error && error.code, 'unavailable', 'confirming without a payment provider fails');
+  assert((await service.getRental(rental.rentalId)).isPending(), 'rental stays pending');
+}
+
+async function testPaymentReuse(createRepository) {
+  section('One payment confirms one rental');
+
+  const { service, spot, payments } = await setup(await createRepository());
+  const nextDay = '2030-02-05';
+  await service.listSpotForRent(spot.spotId, 'owner', nextDay);
+  const first = await service.requestRental(spot.spotId, 'renter', DATE);
+  const second = await service.requestRental(spot.spotId, 'renter', nextDay);
+
+  // The same payment submitted twice at the same moment
+  const paymentIntentId = payFor(payments, first);
+  const results = await Promise.allSettled([
+    service.confirmRental(first.rentalId, paymentIntentId),
+    service.confirmRental(first.rentalId, paymentIntentId),
+  ]);
+  assertEq(results.filter((r) => r.status === 'fulfilled').length, 1, 'exactly one confirmation succeeds');
+  const loser = results.find((r) => r.status === 'rejected');
+  assertEq(loser && loser.reason.code, 'conflict', 'the other is told the payment was already used');
+  assertEq((await service.getTransactions(first.rentalId)).length, 1, 'only one payment transaction recorded');
+
+  const reused = await service.confirmRental(second.rentalId, paymentIntentId).then(() => null, (e) => e);
+  assertEq(reused && reused.code, 'payment-required', 'payment for one rental cannot confirm another');
+}
+
+async function testCancellation(createRepository) {
+  section('Cancelling refunds and fines only paid rentals');
+
+  const { service, spot, payments } = await setup(await createRepository());
+  const today = new Date().toISOString().split('T')[0];
+  await service.listSpotForRent(spot.spotId, 'owner', today);
+
+  const unpaid = await service.requestRental(spot.spotId, 'renter', DATE);
+  const early = await service.cancelRental(unpaid.rentalId);
+  assert(early.rental.isCancelled(), 'an unpaid rental can be cancelled');
+  assertEq(early.refundTransaction, null, 'without a refund');
+  assertEq((await service.getTransactions(unpaid.rentalId)).length, 0, 'and no transaction is recorded');
+  const unpaidToday = await service.requestRental(spot.spotId, 'renter', today);
+  const late = await service.cancelRental(unpaidToday.rentalId);
+  assertEq(late.penalty, null, 'cancelling an unpaid rental late is not fined');
+  assertEq(late.refundTransaction, null, 'or refunded');
+  assertEq((await service.getUnpaidPenalties('renter')).length, 0, 'so the renter owes nothing');
+  assertEq(payments.refunds.size, 0, 'and no payment was refunded');
+
+  const paid = await service.requestRental(spot.spotId, 'renter', DATE);
+  const paymentIntentId = payFor(payments, paid);
+  await service.confirmRental(paid.rentalId, paymentIntentId);
+  const { refundTransaction } = await service.cancelRental(paid.rentalId);
+  const refund = payments.refunds.get(paymentIntentId);
+  assertEq(refund && refund.amountCents, paid.priceCents, 'a paid rental cancelled early is refunded in full');
+  assertEq(refundTransaction.amountCents, -paid.priceCents, 'and the refund is recorded');
+  assertEq(refundTransaction.stripeChargeId, refund && refund.id, 'with the processor\'s refund ID');
+
+  const paidToday = await service.requestRental(spot.spotId, 'renter', today);
+  const todaysPayment = payFor(payments, paidToday);
+  await service.confirmRental(paidToday.rentalId, todaysPayment);
+  const { penalty } = await service.cancelRental(paidToday.rentalId);
+  assertEq(penalty && penalty.amountCents, PRICING.LATE_CANCEL_FINE_CENTS, 'a paid rental cancelled late is fined');
+  const partial = paidToday.priceCents - PRICING.LATE_CANCEL_FINE_CENTS;
+  assertEq(payments.refunds.has(todaysPayment), partial > 0,
+    'and refunded the price minus the fine, if anything is left');
+}
+
+async function testFailedRefund(createRepository) {
+  section('A refund that fails cancels nothing');
+
+  const { service, spot, payments } = await setup(await createRepository());
+  const rental = await service.requestRental(spot.spotId, 'renter', DATE);
+  await service.confirmRental(rental.rentalId, payFor(payments, rental));
+
+  payments.refundPayment = async () => {
+    throw new Error('processor unavailable');
+  };
+  const error = await service.cancelRental(rental.rentalId).then(() => null, (e) => e);
+  assert(error && /processor unavailable/.test(error.message), 'the error reaches the caller');
+  assert((await service.getRental(rental.rentalId)).isConfirmed(), 'the rental is still confirmed');
+  assertEq((await service.getTransactions(rental.rentalId)).length, 1, 'no refund is recorded');
+  assertEq((await service.getAvailableSpots(DATE)).length, 0, 'and the spot isn\'t back on the market');
+}
+
+async function testPendingExpiry(createRepository) {
+  section('Unpaid rentals expire');
+
+  const { service, spot, payments } = await setup(await createRepository());
+  const stale = await service.requestRental(spot.spotId, 'slow', DATE);
+  const blocked = await service.requestRental(spot.spotId, 'other', DATE).then(() => null, (e) => e);
+  assertEq(blocked && blocked.code, 'conflict', 'a pending rental holds the spot');
+
+  // The rental was requested longer ago than the spot is held
+  stale.createdAt = new Date(Date.now() - (PENDING_RENTAL_EXPIRY_MINUTES + 1) * MINUTE);
+  await service.rentals.save(stale);
+  assertEq((await service.getAvailableSpots(DATE)).length, 1, 'once it is overdue the spot shows as available');
+
+  const next = await service.requestRental(spot.spotId, 'other', DATE);
+  assert(next.isPending(), 'and someone else can book it');
+  assert((await service.getRental(stale.rentalId)).isExpired(), 'which expires the overdue rental');
+  const late = await service.confirmRental(stale.rentalId, payFor(payments, stale)).then(() => null, (e) => e);
+  assertEq(late && late.code, 'conflict', 'an expired rental can\'t be confirmed');
+  assertEq((await service.cancelRental(stale.rentalId).then(() => null, (e) => e)).code, 'conflict',
+    'or cancelled');
+
+  const now = new Date(Date.now() + (PENDING_RENTAL_EXPIRY_MINUTES - 1) * MINUTE);
+  assertEq((await service.expireOverdueRentals({ now })).expired.length, 0,
+    'the sweep leaves rentals still inside their window');
+  const later = new Date(Date.now() + (PENDING_RENTAL_EXPIRY_MINUTES + 1) * MINUTE);
+  const { expired } = await service.expireOverdueRentals({ now: later });
+  assertEq(expired.join(), next.rentalId, 'and expires the overdue ones');
+  const rebooked = await service.requestRental(spot.spotId, 'third', DATE);
+  assert(rebooked.isPending(), 'releasing their spot');
+}
+
+async function testPenaltyPayment(createRepository) {
+  section('Paying a spot-blocking fine');
+
+  const { service, spot, payments } = await setup(await createRepository());
+  const rental = await service.requestRental(spot.spotId, 'renter', DATE);
+  await service.confirmRental(rental.rentalId, payFor(payments, rental));
+  const { report } = await service.handleBlockedSpot({
+    rentalId: rental.rentalId,
+    reporterUserId: 'renter',
+    blockerPlate: 'BLK123',
+  });
+  const { penalty } = await service.resolveReport(report.reportId, { reviewedBy: 'dean', blockerUserId: 'blocker' });
+  assertEq(penalty.licensePlate, 'BLK123', 'the fine records the banned plate');
+  assert(await service.isPlateBanned('BLK123'), 'the plate is banned');
+
+  const fine = (metadata, amountCents = penalty.amountCents) =>
+    payments.createPaymentIntent({ amountCents, metadata }).id;
+  const rejection = (userId, paymentIntentId) =>
+    service.payPenalty(penalty.penaltyId, userId, paymentIntentId).then(() => null, (error) => error);
+
+  const paymentIntentId = fine({ penaltyId: penalty.penaltyId });
+  assertEq((await rejection('renter', paymentIntentId)).code, 'forbidden', 'only the penalized user can pay');
+  assertEq((await rejection('blocker', 'pi_made_up')).code, 'payment-required', 'unknown payment is rejected');
+  assertEq(
+    (await rejection('blocker', fine({ penaltyId: penalty.penaltyId }, 1))).code,
+    'payment-required',
+    'payment for less than the fine is rejected',
+  );
+  assertEq(
+    (await rejection('blocker', fine({ rentalId: rental.rentalId }))).code,
+    'payment-required',
+    'payment for something else is rejected',
+  );
+  assert(await service.isPlateBanned('BLK123'), 'the plate stays banned until paid');
+
+  const paid = await service.payPenalty(penalty.penaltyId, 'blocker', paymentIntentId);
+  assert(paid.isPaid, 'paid penalty is marked paid');
+  assert(!(await service.isPlateBanned('BLK123')), 'paying unbans the plate recorded on the fine');
+  assertEq((await rejection('blocker', paymentIntentId)).code, 'conflict', 'a paid penalty cannot be paid again');
+}
+
+async function testReportReview(createRepository) {
+  section('Blocked-spot reports wait for an admin');
+
+  const { service, spot, payments } = await setup(await createRepository());
+  const rental = await service.requestRental(spot.spotId, 'renter', DATE);
+  await service.confirmRental(rental.rentalId, payFor(payments, rental));
+  const { report, message } = await service.handleBlockedSpot({
+    rentalId: rental.rentalId,
+    reporterUserId: 'renter',
+    blockerPlate: 'BLK123',
+    description: 'Silver sedan',
+  });
+  assert(/refunded/.test(message), 'the renter is still refunded straight away');
+  const { paymentIntentId } = await service.getRental(rental.rentalId);
+  const refund = payments.refunds.get(paymentIntentId);
+  assertEq(refund && refund.amountCents, rental.priceCents, 'through the payment processor');
+  assertEq(report.status, 'pending', 'the report is pending');
+  assertEq(report.reportedPlate, 'BLK123', 'the report records the plate');
+  assert(!(await service.isPlateBanned('BLK123')), 'nobody is banned on the renter\'s word');
+  assertEq((await service.listReports({ status: 'pending' })).length, 1, 'admins see the pending report');
+
+  const selfFine = await service.resolveReport(report.reportId, { reviewedBy: 'dean', blockerUserId: 'renter' })
+      .then(() => null, (error) => error);
+  assertEq(selfFine && selfFine.code, 'invalid', 'the renter cannot be fined for their own report');
+
+  const dismissed = await service.dismissReport(report.reportId, { reviewedBy: 'dean' });
+  assertEq(dismissed.status, 'dismissed', 'an admin can dismiss it');
+  assertEq(dismissed.reviewedBy, 'dean', 'it records who reviewed it');
+  const late = await service.resolveReport(report.reportId, { reviewedBy: 'dean', blockerUserId: 'blocker' })
+      .then(() => null, (error) => error);
+  assertEq(late && late.code, 'conflict', 'a dismissed report cannot be resolved');
+  assertEq((await service.getUnpaidPenalties('blocker')).length, 0, 'nobody was fined');
+}
+
+// ── Run All ─────────────────────────────────────────────────────────────────
+
+async function runSuite(name, createRepository) {
+  console.log(`\n▶ ${name}`);
+  await testParallelRequests(createRepository);
+  await testRebookAfterCancel(createRepository);
+  await testReassignmentRespectsLock(createRepository);
+  await testFailedReassignmentReleasesSpot(createRepository);
+  await testPaymentVerification(createRepository);
+  await testPaymentNotConfigured(createRepository);
+  await testPaymentReuse(createRepository);
+  await testCancellation(createRepository);
+  await testFailedRefund(createRepository);
+  await testPendingExpiry(createRepository);
+  await testPenaltyPayment(createRepository);
+  await testReportReview(createRepository);
+}
+
+async function runAll() {
+  console.log('╔══════════════════════════════════════╗');
+  console.log('║   Rental Booking Concurrency Tests   ║');
+  console.log('╚══════════════════════════════════════╝');
+
+  await runSuite('InMemoryRepository', async () => new InMemoryRepository());
+
+  if (process.env.FIRESTORE_EMULATOR_HOST) {
+    await runSuite('FirestoreRepository (emulator)', createEmulatorRepository);
+  } else {
+    console.log('\n▶ FirestoreRepository skipped (set FIRESTORE_EMULATOR_HOST to run)');
+  }
+
+  console.log(`\n${'═'.repeat(50)}`);
+  console.log(`  rental booking: ${passed} passed, ${failed} failed`);
+  console.log(`${'═'.repeat(50)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAll().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,289 @@
+/**
+ * testRentalRoutes.js
+ *
+ * Route tests for /rentals (functions/routes/rentals.js): listing a spot,
+ * browsing, renting, paying through Stripe, cancelling and reporting a
+ * blocked spot through the API, with the status codes for missing things
+ * (404), other people's spots and rentals and missing permissions (403),
+ * and payments that don't check out (402).  Refunds go to Stripe; unpaid
+ * rentals are cancelled without a refund or fine.
+ *
+ * Runs the API on the fake firebase-admin (see apiTestServer.js), paying
+ * through the mock Stripe server.  Needs the functions/ dependencies
+ * (cd functions && npm install).
+ *
+ * Run: node src/test/testRentalRoutes.js
+ */
+
+const { startApiServer } = require('./apiTestServer');
+const { startMockStripeServer } = require('./mockStripeServer');
+const { LOT_NAMES, SPOT_TYPES } = require('../RentalService');
+
+// A Monday, so a school day whatever the calendar holds
+const DATE = '2030-02-04';
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  assert(actual === expected, `${message} (expected ${expected}, got ${actual})`);
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+/** A spot owned by olga, and a renter and an outsider signed in. */
+async function setupSpot(api, { listed = true } = {}) {
+  const { rentalService } = api.services;
+  const spot = await rentalService.addSpot({
+    lotName: LOT_NAMES.COLDWATER,
+    spotNumber: 'C-7',
+    spotType: SPOT_TYPES.SINGLE,
+    distanceToCampus: 100,
+  });
+  await rentalService.assignOwnership(spot.spotId, 'olga');
+
+  const olga = api.signInStudent('olga', { userType: 'SENIOR' });
+  const rita = api.signInStudent('rita');
+  const otto = api.signInStudent('otto');
+  if (listed) {
+    await api.request('POST', '/rentals/listings', { token: olga, body: { spotId: spot.spotId, date: DATE } });
+  }
+  return { olga, rita, otto, spotId: spot.spotId };
+}
+
+/** setupSpot, with rita's pending rental of the spot. */
+async function setupRental(api) {
+  const users = await setupSpot(api);
+  const requested = await api.request('POST', '/rentals', {
+    token: users.rita,
+    body: { spotId: users.spotId, date: DATE },
+  });
+  return { ...users, rental: requested.body.rental };
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+async function testListings(api) {
+  section('Only owners list their spots');
+
+  const { olga, rita, spotId } = await setupSpot(api, { listed: false });
+
+  assertEq((await api.request('POST', '/rentals/listings', { token: olga, body: { spotId } })).status, 400,
+    'a listing needs a date');
+  assertEq((await api.request('POST', '/rentals/listings', { token: rita, body: { spotId, date: DATE } })).status,
+    403, 'someone else can\'t list the spot');
+
+  const listed = await api.request('POST', '/rentals/listings', { token: olga, body: { spotId, date: DATE } });
+  assertEq(listed.status, 201, 'the owner can list it');
+  assertEq((await api.request('GET', '/rentals/listings', { token: olga })).body.count, 1,
+    'and sees it among their listings');
+
+  assertEq((await api.request('DELETE', `/rentals/listings/${spotId}/${DATE}`, { token: rita })).status, 403,
+    'someone else can\'t unlist it');
+
+  const revoked = api.signInStudent('olga', { userType: 'SENIOR', revokedPermissions: ['LIST_SPOT'] });
+  const response = await api.request('POST', '/rentals/listings', { token: revoked, body: { spotId, date: DATE } });
+  assertEq(response.status, 403, 'an owner whose LIST_SPOT was revoked gets 403');
+  assertEq(response.body.missing.join(','), 'LIST_SPOT', 'and is told which permission is missing');
+
+  assertEq((await api.request('DELETE', `/rentals/listings/${spotId}/${DATE}`, { token: olga })).status, 200,
+    'the owner can unlist it');
+}
+
+async function testBrowsing(api) {
+  section('Browsing available spots');
+
+  const { rita, spotId } = await setupSpot(api);
+
+  assertEq((await api.request('GET', '/rentals/available')).status, 401, 'anonymous requests get 401');
+  assertEq((await api.request('GET', '/rentals/available', { token: rita })).status, 400, 'the date is required');
+
+  const available = await api.request('GET', `/rentals/available?date=${DATE}`, { token: rita });
+  assertEq(available.status, 200, 'spots can be browsed');
+  assertEq(available.body.spots.map(({ spot }) => spot.spotId).join(','), spotId, 'and the listed spot is there');
+
+  const revoked = api.signInStudent('vic', { revokedPermissions: ['VIEW_SPOTS'] });
+  assertEq((await api.request('GET', `/rentals/available?date=${DATE}`, { token: revoked })).status, 403,
+    'a user whose VIEW_SPOTS was revoked gets 403');
+}
+
+async function testRenting(api) {
+  section('Renting');
+
+  const { olga, rita, otto, spotId } = await setupSpot(api);
+
+  const revoked = api.signInStudent('rex', { revokedPermissions: ['RENT_SPOT'] });
+  assertEq((await api.request('POST', '/rentals', { token: revoked, body: { spotId, date: DATE } })).status, 403,
+    'a user whose RENT_SPOT was revoked gets 403');
+  assertEq((await api.request('POST', '/rentals', { token: olga, body: { spotId, date: DATE } })).status, 400,
+    'owners can\'t rent their own spot');
+
+  const requested = await api.request('POST', '/rentals', { token: rita, body: { spotId, date: DATE } });
+  assertEq(requested.status, 201, 'a student can rent it');
+  const { rentalId } = requested.body.rental;
+  assertEq((await api.request('POST', '/rentals', { token: otto, body: { spotId, date: DATE } })).status, 409,
+    'nobody else can rent it that day');
+
+  assertEq((await api.request('GET', `/rentals/${rentalId}`, { token: rita })).status, 200,
+    'the renter can read the rental');
+  assertEq((await api.request('GET', `/rentals/${rentalId}`, { token: olga })).status, 200, 'so can the owner');
+  const outsider = await api.request('GET', `/rentals/${rentalId}`, { token: otto });
+  assertEq(outsider.status, 403, 'anyone else gets 403');
+  assertEq(outsider.body.error, 'Only the renter or spot owner can view this rental', 'and is told why');
+  assertEq((await api.request('GET', '/rentals/nope', { token: rita })).status, 404, 'an unknown rental gets 404');
+
+  assertEq((await api.request('GET', '/rentals', { token: rita })).body.count, 1, 'the renter sees their rental');
+}
+
+async function testPayment(api, stripe) {
+  section('Confirming a rental with a Stripe payment');
+
+  const { rita, otto, rental } = await setupRental(api);
+  const { rentalId, priceCents } = rental;
+  const confirm = (token, paymentIntentId) =>
+    api.request('PUT', `/rentals/${rentalId}/confirm`, { token, body: { paymentIntentId } });
+
+  assertEq((await api.request('PUT', `/rentals/${rentalId}/confirm`, { token: rita, body: {} })).status, 400,
+    'a payment intent is required');
+  assertEq((await confirm(rita, 'pi_unknown')).status, 402, 'an unknown payment gets 402');
+
+  const unpaid = stripe.createPaymentIntent({ amountCents: priceCents, metadata: { rentalId }, status: 'processing' });
+  assertEq((await confirm(rita, unpaid.id)).status, 402, 'so does one that hasn\'t succeeded');
+  const wrongAmount = stripe.createPaymentIntent({ amountCents: priceCents - 1, metadata: { rentalId } });
+  assertEq((await confirm(rita, wrongAmount.id)).status, 402, 'or is for the wrong amount');
+  const otherRental = stripe.createPaymentIntent({ amountCents: priceCents, metadata: { rentalId: 'other' } });
+  assertEq((await confirm(rita, otherRental.id)).status, 402, 'or for something else');
+
+  const paid = stripe.createPaymentIntent({ amountCents: priceCents, metadata: { rentalId } });
+  assertEq((await confirm(otto, paid.id)).status, 403, 'only the renter can confirm');
+  assertEq((await api.request('PUT', '/rentals/nope/confirm', { token: rita, body: { paymentIntentId: paid.id } }))
+    .status, 404, 'confirming an unknown rental gets 404');
+
+  const confirmed = await confirm(rita, paid.id);
+  assertEq(confirmed.status, 200, 'the renter confirms with a matching payment');
+  assertEq(confirmed.body.transaction.amountCents, priceCents, 'which records the transaction');
+  assertEq((await confirm(rita, paid.id)).status, 409, 'a rental is only confirmed once');
+}
+
+async function testCancelAndReport(api, stripe) {
+  section('Cancelling and reporting a blocked spot');
+
+  const { rita, otto, rental } = await setupRental(api);
+  const { rentalId, priceCents } = rental;
+
+  assertEq((await api.request('POST', `/rentals/${rentalId}/report-blocked`, { token: rita, body: {} })).status, 409,
+    'unpaid rentals can\'t be reported blocked');
+  const paid = stripe.createPaymentIntent({ amountCents: priceCents, metadata: { rentalId } });
+  await api.request('PUT', `/rentals/${rentalId}/confirm`, { token: rita, body: { paymentIntentId: paid.id } });
+
+  assertEq((await api.request('POST', `/rentals/${rentalId}/report-blocked`, { token: otto, body: {} })).status, 403,
+    'only the renter can report the spot blocked');
+  assertEq((await api.request('POST', '/rentals/nope/report-blocked', { token: rita, body: {} })).status, 404,
+    'reporting an unknown rental gets 404');
+
+  assertEq((await api.request('DELETE', `/rentals/${rentalId}`, { token: otto })).status, 403,
+    'only the renter can cancel');
+  assertEq((await api.request('DELETE', '/rentals/nope', { token: rita })).status, 404,
+    'cancelling an unknown rental gets 404');
+  const cancelled = await api.request('DELETE', `/rentals/${rentalId}`, { token: rita });
+  assertEq(cancelled.status, 200, 'the renter can cancel');
+  assert(cancelled.body.refundTransaction, 'and is refunded');
+  const refund = stripe.refunds.find((r) => r.payment_intent === paid.id);
+  assertEq(refund && refund.amount, priceCents, 'through Stripe, in full');
+  assertEq(cancelled.body.refundTransaction.stripeChargeId, refund && refund.id, 'recording Stripe\'s refund ID');
+}
+
+async function testCancelUnpaid(api, stripe) {
+  section('Cancelling an unpaid rental');
+
+  const { rita, otto, spotId, rental } = await setupRental(api);
+  const refundsBefore = stripe.refunds.length;
+  const cancelled = await api.request('DELETE', `/rentals/${rental.rentalId}`, { token: rita });
+  assertEq(cancelled.status, 200, 'the renter can cancel before paying');
+  assertEq(cancelled.body.refundTransaction, null, 'nothing is refunded');
+  assertEq(cancelled.body.penalty, null, 'or fined');
+  assertEq(stripe.refunds.length, refundsBefore, 'and Stripe isn\'t asked for a refund');
+  assertEq((await api.request('POST', '/rentals', { token: otto, body: { spotId, date: DATE } })).status, 201,
+    'the spot can be rented again');
+}
+
+async function testPenalties(api) {
+  section('Penalties');
+
+  const rita = api.signInStudent('rita');
+  const none = await api.request('GET', '/rentals/penalties', { token: rita });
+  assertEq(none.status, 200, 'a user can list their penalties');
+  assertEq(none.body.count, 0, 'none yet');
+  assertEq((await api.request('POST', '/rentals/penalties/nope/pay', { token: rita, body: {} })).status, 400,
+    'paying needs a payment intent');
+  assertEq((await api.request('POST', '/rentals/penalties/nope/pay', { token: rita, body: { paymentIntentId: 'pi' } }))
+    .status, 404, 'paying an unknown penalty gets 404');
+}
+
+// ── Run All ─────────────────────────────────────────────────────────────────
+
+async function runAll() {
+  console.log('╔══════════════════════════════════════╗');
+  console.log('║   Rental Route Tests                 ║');
+  console.log('╚══════════════════════════════════════╝');
+
+  // Stripe is configured when functions/ loads
+  const stripe = await startMockStripeServer();
+  process.env.STRIPE_SECRET_KEY = stripe.secretKey;
+  process.env.STRIPE_API_BASE_URL = stripe.apiBaseUrl;
+
+  const api = await startApiServer();
+  if (!api) {
+    await stripe.stop();
+    console.log('\n▶ Skipped (run npm install in functions/ first)');
+    process.exit(0);
+  }
+
+  // The routes log the errors they answer with
+  const consoleError = console.error;
+  console.error = () => {};
+  try {
+    for (const test of [
+      testListings,
+      testBrowsing,
+      testRenting,
+      testPayment,
+      testCancelAndReport,
+      testCancelUnpaid,
+      testPenalties,
+    ]) {
+      api.admin.reset();
+      await test(api, stripe);
+    }
+  } finally {
+    console.error = consoleError;
+    await api.stop();
+    await stripe.stop();
+  }
+
+  console.log(`\n${'═'.repeat(50)}`);
+  console.log(`  rental routes: ${passed} passed, ${failed} failed`);
+  console.log(`${'═'.repeat(50)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAll().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
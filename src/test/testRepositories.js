@@ -0,0 +1,238 @@
+/**
+ * testRepositories.js
+ *
+ * Contract tests for the pluggable repositories, plus a short end-to-end
+ * flow through each service on top of them.
+ *
+ * The InMemoryRepository always runs.  The FirestoreRepository runs when
+ * FIRESTORE_EMULATOR_HOST is set, e.g.:
+ *
+ *   firebase emulators:exec --project demo-itandem-test --only firestore "node src/test/testRepositories.js"
+ *
+ * Run: node src/test/testRepositories.js
+ */
+
+const { InMemoryRepository } = require('../repositories');
+const { TandemService, GRADE_LEVELS } = require('../TandemService');
+const { CarpoolService } = require('../CarpoolService');
+const { RentalService, InMemoryPaymentProvider, LOT_NAMES, SPOT_TYPES } = require('../RentalService');
+const SpotRental = require('../RentalService/models/SpotRental');
+const { createEmulatorRepository } = require('./emulator');
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  assert(actual === expected, `${message} (expected ${expected}, got ${actual})`);
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+// ── Contract Tests ──────────────────────────────────────────────────────────
+
+async function testCollectionContract(repository) {
+  section('Collection contract');
+
+  const rentals = repository.collection('rentals', {
+    idField: 'rentalId',
+    model: SpotRental,
+  });
+
+  const rental = new SpotRental({
+    rentalId: 'rental-1',
+    spotId: 'spot-1',
+    ownerUserId: 'owner',
+    renterUserId: 'renter',
+    rentalDate: '2025-03-10',
+    priceCents: 1500,
+  });
+
+  const saved = await rentals.save(rental);
+  assert(saved === rental, 'save() returns the entity');
+
+  const loaded = await rentals.get('rental-1');
+  assert(loaded instanceof SpotRental, 'get() returns a model instance');
+  assertEq(loaded.priceCents, 1500, 'get() round-trips fields');
+  assert(loaded.rentalDate instanceof Date, 'get() returns Dates, not Timestamps');
+  assertEq(
+    loaded.rentalDate.toISOString().split('T')[0],
+    '2025-03-10',
+    'get() round-trips the rental date',
+  );
+  assertEq(await rentals.get('missing'), null, 'get() returns null for unknown IDs');
+
+  await rentals.save(new SpotRental({
+    rentalId: 'rental-2',
+    spotId: 'spot-1',
+    ownerUserId: 'owner',
+    renterUserId: 'someone-else',
+    rentalDate: '2025-03-11',
+    priceCents: 1500,
+  }));
+
+  assertEq((await rentals.find()).length, 2, 'find() with no filters returns everything');
+  assertEq((await rentals.find({ spotId: 'spot-1' })).length, 2, 'find() matches one field');
+  assertEq(
+    (await rentals.find({ spotId: 'spot-1', renterUserId: 'renter' })).length,
+    1,
+    'find() matches every field',
+  );
+
+  loaded.cancel();
+  await rentals.save(loaded);
+  assertEq((await rentals.get('rental-1')).status, 'cancelled', 'save() overwrites by ID');
+
+  await rentals.delete('rental-2');
+  assertEq(await rentals.get('rental-2'), null, 'delete() removes the entity');
+
+  let duplicate = null;
+  try {
+    await rentals.create(rental);
+  } catch (err) {
+    duplicate = err;
+  }
+  assertEq(duplicate && duplicate.code, 'already-exists', 'create() rejects an existing ID');
+
+  const plain = repository.collection('bannedPlates', { idField: 'plate' });
+  await plain.create({ plate: '7ABC123', bannedAt: new Date() });
+  assertEq((await plain.get('7ABC123')).plate, '7ABC123', 'plain objects work without a model');
+
+  const batch = repository.batch();
+  await plain.save({ plate: '8DEF456', bannedAt: new Date() }, { batch });
+  await rentals.delete('rental-1', { batch });
+  assertEq(await plain.get('8DEF456'), null, 'save() with a batch writes nothing yet');
+  assert(await rentals.get('rental-1'), 'nor does delete()');
+  await batch.commit();
+  assertEq((await plain.get('8DEF456')).plate, '8DEF456', 'committing the batch saves');
+  assertEq(await rentals.get('rental-1'), null, 'and deletes');
+
+  await plain.delete('7ABC123');
+  await plain.delete('8DEF456');
+}
+
+// ── Service Flows ───────────────────────────────────────────────────────────
+
+async function testTandemFlow(repository) {
+  section('TandemService on repository');
+
+  const service = new TandemService({ repository });
+  await service.registerProfile({ userId: 'alice', gradeLevel: GRADE_LEVELS.JUNIOR });
+  await service.registerProfile({ userId: 'bob', gradeLevel: GRADE_LEVELS.SOPHOMORE });
+
+  const request = await service.requestPairing({ requesterUserId: 'alice', targetUserId: 'bob' });
+  assertEq((await service.getIncomingRequests('bob')).length, 1, 'target sees the request');
+
+  const { pairing } = await service.acceptRequest(request.requestId, 'bob');
+  const active = await service.getActivePairing('alice');
+  assertEq(active && active.pairingId, pairing.pairingId, 'accepted request creates the pairing');
+
+  // A second service on the same repository sees the same state
+  const other = new TandemService({ repository });
+  const reloaded = await other.getActivePairing('bob');
+  assertEq(reloaded && reloaded.pairingId, pairing.pairingId, 'state is shared through the repository');
+}
+
+async function testCarpoolFlow(repository) {
+  section('CarpoolService on repository');
+
+  const service = new CarpoolService({ repository });
+  await service.registerProfile({
+    userId: 'driver',
+    gradeLevel: 'senior',
+    isDriver: true,
+    vehicleCapacity: 3,
+  });
+  await service.registerProfile({ userId: 'rider', gradeLevel: 'senior' });
+
+  const group = await service.createGroup({ driverUserId: 'driver', name: 'Morning run' });
+  const request = await service.requestToJoin({ carpoolId: group.carpoolId, requesterUserId: 'rider' });
+  await service.acceptRequest(request.requestId, 'driver');
+
+  const groups = await service.getMyGroups('rider');
+  assertEq(groups.length, 1, 'accepted passenger is in the group');
+  assertEq((await service.getPendingRequests(group.carpoolId)).length, 0, 'no pending requests remain');
+}
+
+/**
+ * Pay for a rental through the fake payment processor.
+ * @return {string} The payment intent ID to confirm it with
+ */
+function payFor(payments, rental) {
+  return payments.createPaymentIntent({
+    amountCents: rental.priceCents,
+    metadata: { rentalId: rental.rentalId },
+  }).id;
+}
+
+async function testRentalFlow(repository) {
+  section('RentalService on repository');
+
+  const payments = new InMemoryPaymentProvider();
+  const service = new RentalService({ repository, paymentProvider: payments });
+  const spot = await service.addSpot({
+    lotName: LOT_NAMES.TAPER,
+    spotNumber: 'A-1',
+    spotType: SPOT_TYPES.SINGLE,
+    distanceToCampus: 100,
+  });
+  await service.assignOwnership(spot.spotId, 'owner');
+  await service.listSpotForRent(spot.spotId, 'owner', '2030-01-15');
+
+  const available = await service.getAvailableSpots('2030-01-15');
+  assertEq(available.length, 1, 'listed spot is available');
+
+  const rental = await service.requestRental(spot.spotId, 'renter', '2030-01-15');
+  await service.confirmRental(rental.rentalId, payFor(payments, rental));
+
+  assertEq((await service.getAvailableSpots('2030-01-15')).length, 0, 'confirmed spot is unlisted');
+  assertEq((await service.getMyRentals('renter')).length, 1, 'renter sees the rental');
+  assertEq((await service.getTransactions(rental.rentalId)).length, 1, 'payment transaction recorded');
+}
+
+// ── Run All ─────────────────────────────────────────────────────────────────
+
+async function runSuite(name, createRepository) {
+  console.log(`\n▶ ${name}`);
+  await testCollectionContract(await createRepository());
+  await testTandemFlow(await createRepository());
+  await testCarpoolFlow(await createRepository());
+  await testRentalFlow(await createRepository());
+}
+
+async function runAll() {
+  console.log('╔══════════════════════════════════════╗');
+  console.log('║   Repository Tests                   ║');
+  console.log('╚══════════════════════════════════════╝');
+
+  await runSuite('InMemoryRepository', async () => new InMemoryRepository());
+
+  if (process.env.FIRESTORE_EMULATOR_HOST) {
+    await runSuite('FirestoreRepository (emulator)', createEmulatorRepository);
+  } else {
+    console.log('\n▶ FirestoreRepository skipped (set FIRESTORE_EMULATOR_HOST to run)');
+  }
+
+  console.log(`\n${'═'.repeat(50)}`);
+  console.log(`  repositories: ${passed} passed, ${failed} failed`);
+  console.log(`${'═'.repeat(50)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAll().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,254 @@
+/**
+ * testRotationSchedules.js
+ *
+ * Tests that TandemService accepts the scheduling system's
+ * buildSchedule() output and that its match scores agree with the
+ * scheduling system's computeCompatibility() for the same students,
+ * with every course or for a term.
+ *
+ * Runs against the InMemoryRepository, and also against the Firestore
+ * emulator when FIRESTORE_EMULATOR_HOST is set.
+ *
+ * Run: node src/test/testRotationSchedules.js
+ */
+
+const { InMemoryRepository } = require('../repositories');
+const { TandemService, GRADE_LEVELS, ROTATION_FORMAT } = require('../TandemService');
+const { buildSchedule } = require('../../scheduling system/scheduleBuilder');
+const { computeCompatibility, rankPartners } = require('../../scheduling system/compatibilityAlgorithm');
+const { createEmulatorRepository } = require('./emulator');
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  assert(actual === expected, `${message} (expected ${expected}, got ${actual})`);
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+// ── Mock Students (pdfParser.parsePDF() shape) ──────────────────────────────
+
+const GRADE_LEVEL_BY_NUMBER = {
+  10: GRADE_LEVELS.SOPHOMORE,
+  11: GRADE_LEVELS.JUNIOR,
+  12: GRADE_LEVELS.SENIOR,
+};
+
+/**
+ * Build a parsed student taking the given blocks. Each block meets on the
+ * rotation days it does in the HW bell schedule, all year unless `terms`
+ * gives its course a term code ({ 4: 'S1' }).
+ */
+function makeStudent(name, grade, blocks, { coCurricular = false, terms = {} } = {}) {
+  const blockDays = {
+    1: [1, 3, 5], 2: [1, 3, 5], 3: [1, 3, 5],
+    4: [2, 4, 6], 5: [2, 4, 6], 6: [2, 4, 6], 7: [2, 4, 6],
+  };
+
+  const courses = blocks.map((block) => {
+    const dayAssignments = {};
+    for (let day = 1; day <= 6; day++) {
+      dayAssignments[day] = blockDays[block].includes(day) ? block : null;
+    }
+    const code = terms[block] ? `${1000 + block}-${terms[block]}-A` : `C${block}`;
+    return { code, title: `Course ${block}`, block, type: 'academic', dayAssignments };
+  });
+
+  return {
+    name,
+    grade,
+    courses,
+    coCurriculars: coCurricular ? [{ title: 'Varsity Soccer' }] : [],
+    directedStudies: [],
+    seminars: [],
+  };
+}
+
+const STUDENTS = [
+  { id: 'ava', parsed: makeStudent('Ava', 11, [1, 2, 3, 4, 5, 6, 7]) },
+  { id: 'ben', parsed: makeStudent('Ben', 11, [1, 2, 6, 7], { coCurricular: true }) },
+  { id: 'cal', parsed: makeStudent('Cal', 10, [3, 4, 5]) },
+  { id: 'dee', parsed: makeStudent('Dee', 10, [1, 5]) },
+];
+
+/**
+ * Register every mock student with a profile and their built schedule.
+ */
+async function setup(repository) {
+  const service = new TandemService({ repository });
+  const built = new Map();
+
+  for (const { id, parsed } of STUDENTS) {
+    const schedule = buildSchedule(parsed);
+    built.set(id, schedule);
+    await service.registerProfile({ userId: id, gradeLevel: GRADE_LEVEL_BY_NUMBER[parsed.grade] });
+    await service.setUserSchedule(id, schedule);
+  }
+
+  return { service, built };
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+async function testSetUserSchedule(createRepository) {
+  section('setUserSchedule accepts buildSchedule output');
+
+  const service = new TandemService({ repository: await createRepository() });
+  const stored = await service.setUserSchedule('ava', buildSchedule(STUDENTS[0].parsed));
+
+  assertEq(stored.format, ROTATION_FORMAT, 'stored as a rotation presence map');
+  assertEq(Object.keys(stored.days).length, 6, 'presence map covers all six rotation days');
+  assertEq(stored.days[1].arrival, 480, 'day 1 arrival kept (8:00)');
+
+  let error = null;
+  try {
+    await service.setUserSchedule('ava', { days: { 1: {} } });
+  } catch (err) {
+    error = err;
+  }
+  assert(error !== null, 'incomplete rotation schedules are rejected');
+}
+
+async function testScoresAgree(createRepository) {
+  section('Scores agree with computeCompatibility');
+
+  const { service, built } = await setup(await createRepository());
+
+  for (let i = 0; i < STUDENTS.length; i++) {
+    for (let j = i + 1; j < STUDENTS.length; j++) {
+      const a = STUDENTS[i].id;
+      const b = STUDENTS[j].id;
+      const expected = computeCompatibility(built.get(a), built.get(b));
+      const match = await service.getMatchBetween(a, b);
+
+      assertEq(
+        match.overallScore,
+        Math.round(expected.finalScore),
+        `${a} ↔ ${b} overall score`,
+      );
+      assertEq(match.gradeCompatible, expected.compatible, `${a} ↔ ${b} grade compatibility`);
+    }
+  }
+}
+
+async function testFindMatchesAgrees(createRepository) {
+  section('findMatches ranks like rankPartners');
+
+  const { service, built } = await setup(await createRepository());
+  const matches = await service.findMatches('ava');
+
+  const others = STUDENTS.filter((s) => s.id !== 'ava').map((s) => built.get(s.id));
+  const expected = rankPartners(built.get('ava'), others)
+    .filter((r) => r.compatible && Math.round(r.finalScore) >= 30);
+
+  assertEq(matches.length, expected.length, 'same number of compatible partners');
+  for (let k = 0; k < Math.min(matches.length, expected.length); k++) {
+    assertEq(
+      matches[k].overallScore,
+      Math.round(expected[k].finalScore),
+      `rank ${k + 1} score`,
+    );
+  }
+  assert(
+    matches.every((m) => m.scheduleDetails.model === 'rotation'),
+    'matches are scored on rotation days',
+  );
+}
+
+async function testMixedFormats(createRepository) {
+  section('Rotation vs weekday schedules');
+
+  const service = new TandemService({ repository: await createRepository() });
+  await service.registerProfile({ userId: 'ava', gradeLevel: GRADE_LEVELS.JUNIOR });
+  await service.registerProfile({ userId: 'eve', gradeLevel: GRADE_LEVELS.JUNIOR });
+  await service.setUserSchedule('ava', buildSchedule(STUDENTS[0].parsed));
+  await service.setUserSchedule('eve', [
+    { dayOfWeek: 'Monday', arrivalTime: '08:00', departureTime: '15:00', hasLunchOffCampus: false },
+  ]);
+
+  const match = await service.getMatchBetween('ava', 'eve');
+  assertEq(match.scheduleOverlapScore, 0, 'mixed formats fall back to the weekday scorer');
+}
+
+async function testTerms(createRepository) {
+  section('findMatches for a term');
+
+  const { service, built } = await setup(await createRepository());
+  const fay = buildSchedule(makeStudent('Fay', 11, [1, 2, 3, 4, 5, 6, 7], {
+    terms: { 4: 'S1', 5: 'S1', 6: 'T3' },
+  }));
+  await service.registerProfile({ userId: 'fay', gradeLevel: GRADE_LEVELS.JUNIOR });
+  const stored = await service.setUserSchedule('fay', fay);
+
+  assertEq(Object.keys(stored.terms).join(), 'S1-T1,S1-T2,S2-T2,S2-T3', 'presence map kept for every period');
+  assertEq(Object.keys(built.get('ava').terms).length, 0, 'none for a student with only full-year courses');
+
+  const yearLong = await service.findMatches('fay');
+  assert(yearLong.every((m) => m.scheduleDetails.term === undefined), 'no term: scored with every course');
+
+  const matches = await service.findMatches('fay', { term: 'worst' });
+  assert(matches.length > 0, 'worst term has matches');
+  for (const match of matches) {
+    const expected = computeCompatibility(fay, built.get(match.userBId), { term: 'worst' });
+    assertEq(match.overallScore, Math.round(expected.finalScore), `fay ↔ ${match.userBId} worst-term score`);
+    assertEq(match.scheduleDetails.term, expected.term, `fay ↔ ${match.userBId} worst term`);
+  }
+
+  let error = null;
+  try {
+    await service.findMatches('fay', { term: 'Q1' });
+  } catch (err) {
+    error = err;
+  }
+  assert(error && /Unknown term/.test(error.message), 'unknown terms are rejected');
+}
+
+// ── Run All ─────────────────────────────────────────────────────────────────
+
+async function runSuite(name, createRepository) {
+  console.log(`\n▶ ${name}`);
+  await testSetUserSchedule(createRepository);
+  await testScoresAgree(createRepository);
+  await testFindMatchesAgrees(createRepository);
+  await testMixedFormats(createRepository);
+  await testTerms(createRepository);
+}
+
+async function runAll() {
+  console.log('╔══════════════════════════════════════╗');
+  console.log('║   Rotation Schedule Tests            ║');
+  console.log('╚══════════════════════════════════════╝');
+
+  await runSuite('InMemoryRepository', async () => new InMemoryRepository());
+
+  if (process.env.FIRESTORE_EMULATOR_HOST) {
+    await runSuite('FirestoreRepository (emulator)', createEmulatorRepository);
+  } else {
+    console.log('\n▶ FirestoreRepository skipped (set FIRESTORE_EMULATOR_HOST to run)');
+  }
+
+  console.log(`\n${'═'.repeat(50)}`);
+  console.log(`  rotation schedules: ${passed} passed, ${failed} failed`);
+  console.log(`${'═'.repeat(50)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAll().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,178 @@
+/**
+ * testScheduleUpload.js
+ *
+ * Route tests for uploading a schedule PDF (POST /schedule/upload in
+ * functions/routes/schedule.js) and the multipart parsing behind it
+ * (functions/utils/multipart.js): the upload errors, and that the parsed
+ * schedule is stored on the user and handed to the TandemService.
+ *
+ * Runs the API on the fake firebase-admin (see apiTestServer.js) and
+ * uploads a sample schedule from scheduling system/test.  Needs the
+ * functions/ dependencies (cd functions && npm install).
+ *
+ * Run: node src/test/testScheduleUpload.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { startApiServer } = require('./apiTestServer');
+
+const SAMPLE_PDF = path.join(__dirname, '..', '..', 'scheduling system', 'test', 'schedule_daniel.pdf');
+const MAX_BYTES = 5 * 1024 * 1024;
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  assert(actual === expected, `${message} (expected ${expected}, got ${actual})`);
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+/**
+ * POST /schedule/upload as multipart/form-data
+ * @param  {Object} api - From startApiServer()
+ * @param  {string} token
+ * @param  {Object} [options]
+ * @param  {Object} [options.file] - `{ field, contents, type, filename }`; field defaults to "schedule"
+ * @param  {Object} [options.fields] - Text fields to send with it
+ * @return {Promise<{status: number, body: Object}>}
+ */
+async function upload(api, token, { file, fields = {} } = {}) {
+  const form = new FormData();
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  if (file) {
+    form.append(
+      file.field || 'schedule',
+      new Blob([file.contents], { type: file.type || 'application/pdf' }),
+      file.filename || 'schedule.pdf',
+    );
+  }
+
+  const response = await fetch(`${api.baseUrl}/schedule/upload`, {
+    method: 'POST',
+    headers: { authorization: `Bearer ${token}` },
+    body: form,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+async function testUploadErrors(api) {
+  section('Upload errors');
+
+  const token = api.signInStudent('daniel');
+  const pdf = fs.readFileSync(SAMPLE_PDF);
+
+  const json = await api.request('POST', '/schedule/upload', { token, body: { schedule: 'x' } });
+  assertEq(json.status, 400, 'a request that isn\'t multipart is refused');
+  assertEq(json.body.error, 'Request must be multipart/form-data', 'saying so');
+
+  const missing = await upload(api, token, { fields: { coCurricularEndTime: '16:00' } });
+  assertEq(missing.status, 400, 'a form with no file is refused');
+  assertEq(missing.body.error, 'schedule file is required', 'naming the field');
+
+  const elsewhere = await upload(api, token, { file: { field: 'pdf', contents: pdf } });
+  assertEq(elsewhere.status, 400, 'so is a file in another field');
+
+  const large = await upload(api, token, { file: { contents: Buffer.alloc(MAX_BYTES + 1) } });
+  assertEq(large.status, 413, 'a file over 5 MB is too large');
+  assertEq(large.body.error, 'schedule must be 5 MB or smaller', 'giving the limit');
+
+  const image = await upload(api, token, { file: { contents: pdf, type: 'image/png', filename: 'schedule.png' } });
+  assertEq(image.status, 415, 'a file that isn\'t a PDF is unsupported');
+  assertEq(image.body.error, 'schedule must be one of: application/pdf', 'listing what is');
+
+  const corrupt = await upload(api, token, { file: { contents: Buffer.from('not really a PDF') } });
+  assertEq(corrupt.status, 400, 'a PDF that can\'t be read is refused');
+  assertEq(corrupt.body.error, 'Uploaded file is not a readable PDF', 'saying so');
+
+  const badTime = await upload(api, token, { file: { contents: pdf }, fields: { coCurricularEndTime: '4pm' } });
+  assertEq(badTime.status, 400, 'a co-curricular end time not in HH:MM is refused');
+
+  assertEq(api.admin.read('users/daniel').schedule, undefined, 'none of them stored a schedule');
+  assertEq(api.admin.read('tandemSchedules/daniel'), null, 'or gave one to the TandemService');
+}
+
+async function testUploadStored(api) {
+  section('Stored schedule');
+
+  const token = api.signInStudent('daniel', { userType: null });
+  const response = await upload(api, token, {
+    file: { contents: fs.readFileSync(SAMPLE_PDF), filename: 'daniel.pdf' },
+    fields: { coCurricularEndTime: '16:30' },
+  });
+
+  assertEq(response.status, 200, 'a schedule PDF is accepted');
+  assertEq(response.body.message, 'Schedule uploaded successfully', 'without warnings');
+  assertEq(response.body.schedule.name, 'BAEK, DANIEL JINWOO', 'the student\'s name is read from it');
+  assertEq(response.body.schedule.grade, 12, 'and their grade');
+  assertEq(response.body.schedule.coursesCount, 6, 'and their courses');
+  assertEq(response.body.confidence.level, 'high', 'with the parser\'s confidence');
+  assert(Array.isArray(response.body.diagnostics), 'and its diagnostics');
+
+  const user = api.admin.read('users/daniel');
+  assert(user.schedule && user.schedule.days, 'the schedule is stored on the user as a presence map');
+  assert(JSON.stringify(user.schedule.days) === JSON.stringify(response.body.schedule.days), 'as returned');
+  assertEq(user.scheduleSource, 'pdf', 'noted as coming from a PDF');
+  assertEq(user.scheduleFileName, 'daniel.pdf', 'with the file name');
+  assert(user.scheduleUploadedAt && user.scheduleUploadedAt.toDate, 'and when it was uploaded');
+  assertEq(JSON.stringify(user.scheduleWarnings), '[]', 'with no warnings');
+  assertEq(`${user.userType}/${user.gradeSource}`, 'SENIOR/schedule', 'the grade in it sets the student\'s');
+  assertEq(response.body.schedule.userType, 'SENIOR', 'which is returned');
+
+  const stored = api.admin.read('tandemSchedules/daniel');
+  assert(stored && stored.rotation, 'the TandemService has the schedule for matching');
+}
+
+// ── Run All ─────────────────────────────────────────────────────────────────
+
+async function runAll() {
+  console.log('╔══════════════════════════════════════╗');
+  console.log('║   Schedule Upload Tests              ║');
+  console.log('╚══════════════════════════════════════╝');
+
+  const api = await startApiServer();
+  if (!api) {
+    console.log('\n▶ Skipped (run npm install in functions/ first)');
+    process.exit(0);
+  }
+
+  // The routes log the errors they answer with
+  const consoleError = console.error;
+  console.error = () => {};
+  try {
+    for (const test of [testUploadErrors, testUploadStored]) {
+      api.admin.reset();
+      await test(api);
+    }
+  } finally {
+    console.error = consoleError;
+    await api.stop();
+  }
+
+  console.log(`\n${'═'.repeat(50)}`);
+  console.log(`  schedule upload: ${passed} passed, ${failed} failed`);
+  console.log(`${'═'.repeat(50)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAll().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,317 @@
+/**
+ * testSchoolCalendar.js
+ *
+ * Tests for SchoolCalendarService and the services that consume it:
+ * RentalService refuses days without school, and TandemService reports
+ * which pairing member is on campus on a date (on alternate bell schedules
+ * too) and weights matches by the school year's day mix.
+ *
+ * Runs against the InMemoryRepository, and also against the Firestore
+ * emulator when FIRESTORE_EMULATOR_HOST is set.
+ *
+ * Run: node src/test/testSchoolCalendar.js
+ */
+
+const { InMemoryRepository } = require('../repositories');
+const { SchoolCalendarService, NO_SCHOOL_REASONS } = require('../SchoolCalendar');
+const { RentalService, LOT_NAMES, SPOT_TYPES } = require('../RentalService');
+const { TandemService, GRADE_LEVELS } = require('../TandemService');
+const { buildSchedule } = require('../../scheduling system/scheduleBuilder');
+const { createEmulatorRepository } = require('./emulator');
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  assert(actual === expected, `${message} (expected ${expected}, got ${actual})`);
+}
+
+async function assertRejects(promise, pattern, message) {
+  try {
+    await promise;
+    assert(false, `${message} (did not throw)`);
+  } catch (err) {
+    assert(pattern.test(err.message), `${message} (${err.message})`);
+  }
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+// ── Fixtures ────────────────────────────────────────────────────────────────
+
+// February 2030: the 4th is a Monday
+const CALENDAR = {
+  startDate: '2030-02-04',
+  endDate: '2030-02-28',
+  holidays: [{ date: '2030-02-18', name: 'Presidents Day' }],
+  specialSchedules: [{ date: '2030-02-07', name: 'Testing', rotationDay: null }],
+};
+
+// Late start on Monday the 4th (Day 1); finals on the off-rotation 7th
+const BELL_SCHEDULES = {
+  schoolYear: '2029-2030',
+  schedules: [
+    {
+      id: 'late-start',
+      name: 'Late Start',
+      days: {
+        1: [
+          { slot: 'Block 1', block: 1, type: 'block', start: '9:00', end: '10:05' },
+          { slot: 'Block 2', block: 2, type: 'block', start: '10:30', end: '11:45' },
+          { slot: 'Block 3', block: 3, type: 'block', start: '12:45', end: '14:00' },
+        ],
+      },
+    },
+    {
+      id: 'finals',
+      name: 'Finals',
+      slots: [{ slot: 'Exam Block 3', block: 3, type: 'block', start: '11:00', end: '13:00' }],
+    },
+  ],
+  dates: [
+    { date: '2030-02-04', schedule: 'late-start' },
+    { date: '2030-02-07', schedule: 'finals' },
+  ],
+};
+
+/**
+ * Parsed student (pdfParser shape) with classes only in the given blocks.
+ */
+function makeStudent(grade, blocks) {
+  const blockDays = {
+    1: [1, 3, 5], 2: [1, 3, 5], 3: [1, 3, 5],
+    4: [2, 4, 6], 5: [2, 4, 6], 6: [2, 4, 6], 7: [2, 4, 6],
+  };
+  return {
+    name: 'STUDENT',
+    grade,
+    courses: blocks.map((block) => {
+      const dayAssignments = {};
+      for (let day = 1; day <= 6; day++) {
+        dayAssignments[day] = blockDays[block].includes(day) ? block : null;
+      }
+      return { code: `C${block}`, title: `Course ${block}`, block, type: 'academic', dayAssignments };
+    }),
+    coCurriculars: [],
+    directedStudies: [],
+    seminars: [],
+  };
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+async function testCalendarService(createRepository) {
+  section('SchoolCalendarService');
+
+  const repository = await createRepository();
+  const calendar = new SchoolCalendarService({ repository });
+
+  assertEq(await calendar.resolveDate('2030-02-04'), null, 'resolveDate is null before a calendar is set');
+  assertEq(await calendar.getCalendar(), null, 'getCalendar is null before a calendar is set');
+
+  const summary = await calendar.setCalendar(CALENDAR, { updatedBy: 'admin' });
+  assertEq(summary.schoolDays, 18, 'summary counts school days');
+
+  assertEq((await calendar.resolveDate('2030-02-04')).rotationDay, 1, 'first day is Day 1');
+  assertEq((await calendar.resolveDate('2030-02-11')).rotationDay, 5, 'off-rotation testing day is skipped');
+  assertEq((await calendar.resolveDate('2030-02-18')).reason, NO_SCHOOL_REASONS.HOLIDAY, 'holiday has no school');
+  assertEq((await calendar.nextSchoolDay('2030-02-15')).date, '2030-02-19', 'next school day skips the long weekend');
+
+  // Another instance on the same repository sees the same calendar
+  const other = new SchoolCalendarService({ repository });
+  assertEq((await other.resolveDate('2030-02-05')).rotationDay, 2, 'calendar is shared through the repository');
+  assertEq((await other.getCalendar()).updatedBy, 'admin', 'getCalendar returns who set it');
+
+  await assertRejects(
+    calendar.setCalendar({ startDate: '2030-02-04' }),
+    /endDate/,
+    'invalid calendars are rejected',
+  );
+  assertEq((await calendar.resolveDate('2030-02-04')).rotationDay, 1, 'rejected calendar leaves the old one');
+}
+
+async function testRentalDates(createRepository) {
+  section('RentalService uses the calendar');
+
+  const repository = await createRepository();
+  const calendarService = new SchoolCalendarService({ repository });
+  await calendarService.setCalendar(CALENDAR);
+
+  const service = new RentalService({ repository, calendarService });
+  const spot = await service.addSpot({
+    lotName: LOT_NAMES.TAPER,
+    spotNumber: 'T-3',
+    spotType: SPOT_TYPES.SINGLE,
+    distanceToCampus: 100,
+  });
+  await service.assignOwnership(spot.spotId, 'owner');
+
+  await assertRejects(
+    service.listSpotForRent(spot.spotId, 'owner', '2030-02-18'),
+    /no school on 2030-02-18 \(Presidents Day\)/,
+    'cannot list a spot on a holiday',
+  );
+  await assertRejects(
+    service.listSpotForRent(spot.spotId, 'owner', '2030-02-09'),
+    /no school .*weekend/,
+    'cannot list a spot on a weekend',
+  );
+
+  await service.listSpotForRent(spot.spotId, 'owner', '2030-02-05');
+  assertEq((await service.getAvailableSpots('2030-02-05')).length, 1, 'school-day listing is available');
+
+  // A listing made before the calendar existed
+  const uncalendared = new RentalService({ repository });
+  await uncalendared.listSpotForRent(spot.spotId, 'owner', '2030-02-18');
+  assertEq((await uncalendared.getAvailableSpots('2030-02-18')).length, 1, 'services without a calendar skip the check');
+  assertEq((await service.getAvailableSpots('2030-02-18')).length, 0, 'no spots are available on a holiday');
+  await assertRejects(
+    service.requestRental(spot.spotId, 'renter', '2030-02-18'),
+    /no school/,
+    'cannot rent a spot on a holiday',
+  );
+}
+
+async function testTandemDayPlan(createRepository) {
+  section('TandemService day plan');
+
+  const repository = await createRepository();
+  const calendarService = new SchoolCalendarService({ repository });
+  const service = new TandemService({ repository, calendarService });
+
+  await service.registerProfile({ userId: 'early', gradeLevel: GRADE_LEVELS.JUNIOR });
+  await service.registerProfile({ userId: 'late', gradeLevel: GRADE_LEVELS.SOPHOMORE });
+  // "early" has Block 1 (8:00 on odd days); "late" only has afternoon blocks
+  await service.setUserSchedule('early', buildSchedule(makeStudent(11, [1, 2, 3])));
+  await service.setUserSchedule('late', buildSchedule(makeStudent(10, [3])));
+
+  const request = await service.requestPairing({ requesterUserId: 'early', targetUserId: 'late' });
+  const { pairing } = await service.acceptRequest(request.requestId, 'late');
+
+  await assertRejects(
+    service.getDayPlan(pairing.pairingId, '2030-02-04'),
+    /School calendar not found/,
+    'day plan needs a calendar',
+  );
+  await calendarService.setCalendar(CALENDAR);
+
+  const monday = await service.getDayPlan(pairing.pairingId, '2030-02-04');
+  assertEq(monday.rotationDay, 1, 'Monday resolves to Day 1');
+  const [early, late] = monday.members;
+  assertEq(early.onCampus, true, 'member with a schedule is on campus');
+  assertEq(early.arrivalTime, '8:00', 'Block 1 student arrives at 8:00');
+  assert(late.arrival > early.arrival, 'afternoon-only student arrives later');
+
+  const holiday = await service.getDayPlan(pairing.pairingId, '2030-02-18');
+  assertEq(holiday.schoolDay, false, 'holiday is not a school day');
+  assert(holiday.members.every((m) => m.onCampus === false), 'nobody is on campus on a holiday');
+
+  const testing = await service.getDayPlan(pairing.pairingId, '2030-02-07');
+  assert(testing.members.every((m) => m.onCampus === null), 'off-rotation days are unknown');
+}
+
+async function testBellSchedules(createRepository) {
+  section('Alternate bell schedules');
+
+  const repository = await createRepository();
+  const calendarService = new SchoolCalendarService({ repository });
+  await calendarService.setCalendar(CALENDAR);
+
+  assertEq(await calendarService.getBellSchedules(), null, 'getBellSchedules is null before any are set');
+  assertEq((await calendarService.resolveDate('2030-02-04')).bellSchedule, null, 'regular bell schedule by default');
+  assertEq((await calendarService.getDayMix()).length, 6, 'day mix is the six rotation days by default');
+
+  const summary = await calendarService.setBellSchedules(BELL_SCHEDULES, { updatedBy: 'dean' });
+  assertEq(summary.schedules, 2, 'summary counts schedules');
+  assertEq(summary.dates, 2, 'summary counts dates');
+  await assertRejects(
+    calendarService.setBellSchedules({ schedules: [{ id: 'x', name: 'X' }] }),
+    /either days or slots/,
+    'invalid bell schedules are rejected',
+  );
+
+  const other = new SchoolCalendarService({ repository });
+  assertEq((await other.getBellSchedules()).updatedBy, 'dean', 'bell schedules are shared through the repository');
+  assertEq((await other.resolveDate('2030-02-04')).bellSchedule.name, 'Late Start', 'resolved dates carry the bell schedule');
+  assertEq((await other.nextSchoolDay('2030-02-06')).bellSchedule.id, 'finals', 'next school day carries it too');
+  assertEq((await other.resolveDate('2030-02-18')).bellSchedule, undefined, 'days without school have none');
+
+  const dayMix = await other.getDayMix();
+  const finals = dayMix.find((d) => d.bellSchedule === 'finals');
+  assertEq(finals && finals.rotationDay, null, 'day mix counts the off-rotation finals day');
+
+  const service = new TandemService({ repository, calendarService });
+  await service.registerProfile({ userId: 'early', gradeLevel: GRADE_LEVELS.JUNIOR });
+  await service.registerProfile({ userId: 'stale', gradeLevel: GRADE_LEVELS.SOPHOMORE });
+  const alternateSchedules = await calendarService.getAlternates();
+  await service.setUserSchedule('early', buildSchedule(makeStudent(11, [1, 2, 3]), { alternateSchedules }));
+  // Uploaded before the alternates were published
+  await service.setUserSchedule('stale', buildSchedule(makeStudent(10, [1])));
+
+  const request = await service.requestPairing({ requesterUserId: 'early', targetUserId: 'stale' });
+  const { pairing } = await service.acceptRequest(request.requestId, 'stale');
+
+  const lateStart = await service.getDayPlan(pairing.pairingId, '2030-02-04');
+  const [early, stale] = lateStart.members;
+  assertEq(lateStart.bellSchedule.id, 'late-start', 'day plan names the bell schedule');
+  assertEq(early.arrivalTime, '9:00', 'late start: arrival uses the alternate times');
+  assertEq(stale.arrivalTime, '8:00', 'schedule built before the import keeps regular times');
+
+  const finalsDay = await service.getDayPlan(pairing.pairingId, '2030-02-07');
+  assertEq(finalsDay.members[0].onCampus, true, 'finals: known even off the rotation');
+  assertEq(finalsDay.members[0].departureTime, '13:00', 'finals: departure uses exam times');
+  assertEq(finalsDay.members[1].onCampus, null, 'finals: unknown without the alternates');
+
+  await service.setUserSchedule('stale', buildSchedule(makeStudent(10, [3]), { alternateSchedules }));
+  const match = await service.getMatchBetween('early', 'stale');
+  assert(!!match.scheduleDetails.dayScores['1:late-start'], 'matches score alternate days separately');
+  assertEq(match.scheduleDetails.dayScores['any:finals'].count, 1, 'matches weight days by how often they occur');
+}
+
+// ── Run All ─────────────────────────────────────────────────────────────────
+
+async function runSuite(name, createRepository) {
+  console.log(`\n▶ ${name}`);
+  await testCalendarService(createRepository);
+  await testRentalDates(createRepository);
+  await testTandemDayPlan(createRepository);
+  await testBellSchedules(createRepository);
+}
+
+async function runAll() {
+  console.log('╔══════════════════════════════════════╗');
+  console.log('║   School Calendar Tests              ║');
+  console.log('╚══════════════════════════════════════╝');
+
+  await runSuite('InMemoryRepository', async () => new InMemoryRepository());
+
+  if (process.env.FIRESTORE_EMULATOR_HOST) {
+    await runSuite('FirestoreRepository (emulator)', createEmulatorRepository);
+  } else {
+    console.log('\n▶ FirestoreRepository skipped (set FIRESTORE_EMULATOR_HOST to run)');
+  }
+
+  console.log(`\n${'═'.repeat(50)}`);
+  console.log(`  school calendar: ${passed} passed, ${failed} failed`);
+  console.log(`${'═'.repeat(50)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAll().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
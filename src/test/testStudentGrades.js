@@ -0,0 +1,309 @@
+/**
+ * testStudentGrades.js
+ *
+ * Tests for student grades (functions/services/studentGrades.js) and school
+ * email addresses (functions/utils/schoolEmail.js): class years and the
+ * July 1 rollover, importing the roster, grades from uploaded schedules,
+ * yearly promotion, and signing up with POST /auth/signup, which needs a
+ * school address that must be verified before the app can be used.
+ *
+ * Runs the API on the fake firebase-admin (see apiTestServer.js).  Needs the
+ * functions/ dependencies (cd functions && npm install).
+ *
+ * Run: node src/test/testStudentGrades.js
+ */
+
+const path = require('path');
+const { startApiServer } = require('./apiTestServer');
+const { FUNCTIONS_DIR } = require('./fakeFirebaseAdmin');
+
+// The 2029-2030 school year: seniors are the class of 2030
+const SCHOOL_YEAR = new Date('2030-03-01T12:00:00Z');
+const LAST_DAY = new Date('2030-06-30T23:59:59Z');
+const ROLLOVER = new Date('2030-07-01T00:00:00Z');
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  assert(actual === expected, `${message} (expected ${expected}, got ${actual})`);
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+async function assertRejects(promise, pattern, message) {
+  try {
+    await promise;
+    assert(false, `${message} (nothing was thrown)`);
+  } catch (err) {
+    assert(pattern.test(err.message), `${message} (${err.message})`);
+  }
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+function testClassYears({ grades }) {
+  section('Class years and the July 1 rollover');
+
+  assertEq(grades.schoolYearEnd(SCHOOL_YEAR), 2030, 'March 2030 is in the school year ending 2030');
+  assertEq(grades.schoolYearEnd(LAST_DAY), 2030, 'so is June 30');
+  assertEq(grades.schoolYearEnd(ROLLOVER), 2031, 'July 1 starts the next one');
+
+  assertEq(grades.graduationYearForGrade(12, SCHOOL_YEAR), 2030, 'seniors graduate at the end of the year');
+  assertEq(grades.graduationYearForGrade(10, SCHOOL_YEAR), 2032, 'sophomores two years later');
+  assertEq(grades.graduationYearForGrade(10, ROLLOVER), 2033, 'after the rollover the next class are sophomores');
+  assertEq(grades.gradeForGraduationYear(2031, ROLLOVER), 12, 'and last year\'s juniors are seniors');
+  assertEq(grades.gradeForGraduationYear(2030, ROLLOVER), 13, 'graduated classes are past grade 12');
+
+  assertEq(grades.userTypeFor(2032, SCHOOL_YEAR), 'SOPHOMORE', 'the class of 2032 are sophomores');
+  assertEq(grades.userTypeFor(2031, SCHOOL_YEAR), 'JUNIOR', 'the class of 2031 juniors');
+  assertEq(grades.userTypeFor(2030, SCHOOL_YEAR), 'SENIOR', 'and the class of 2030 seniors');
+  assertEq(grades.userTypeFor(2033, SCHOOL_YEAR), null, 'freshmen have no UserType');
+  assertEq(grades.userTypeFor(2030, ROLLOVER), null, 'nor do graduates');
+}
+
+function testSchoolEmails({ schoolEmail }) {
+  section('School email addresses');
+
+  const { isSchoolEmail } = schoolEmail;
+  assert(isSchoolEmail('sam@hw.com'), 'addresses in the school domain are school emails');
+  assert(isSchoolEmail('  Sam@HW.com '), 'whatever their case and spacing');
+  assert(isSchoolEmail('sam@students.hw.com'), 'and so are addresses in its subdomains');
+  assert(!isSchoolEmail('sam@nothw.com'), 'but not a domain that merely ends the same way');
+  assert(!isSchoolEmail('sam@hw.com.example.org'), 'or one that starts with it');
+  assert(!isSchoolEmail('sam@gmail.com'), 'or any other domain');
+  assert(!isSchoolEmail('@hw.com') && !isSchoolEmail('hw.com') && !isSchoolEmail(''),
+    'and something with no mailbox or no @ isn\'t an address');
+
+  const configured = process.env.SCHOOL_EMAIL_DOMAINS;
+  process.env.SCHOOL_EMAIL_DOMAINS = 'hw.com, Example.org';
+  try {
+    assert(isSchoolEmail('pat@example.org'), 'SCHOOL_EMAIL_DOMAINS adds domains');
+    assert(isSchoolEmail('pat@mail.example.org'), 'with their subdomains');
+    assert(isSchoolEmail('sam@hw.com'), 'alongside the others listed');
+  } finally {
+    if (configured === undefined) delete process.env.SCHOOL_EMAIL_DOMAINS;
+    else process.env.SCHOOL_EMAIL_DOMAINS = configured;
+  }
+  assert(!isSchoolEmail('pat@example.org'), 'and only while they are configured');
+}
+
+async function testRosterImport({ api, grades }) {
+  section('Importing the roster');
+
+  await assertRejects(grades.importRoster([]), /non-empty array/, 'an empty roster is refused');
+  await assertRejects(grades.importRoster('sam@hw.com'), /non-empty array/, 'so is one that isn\'t a list');
+  await assertRejects(
+    grades.importRoster(Array.from({ length: 5001 }, (_, i) => ({ email: `s${i}@hw.com`, grade: 11 }))),
+    /at most 5000/,
+    'and one larger than the school',
+  );
+
+  api.admin.seed({
+    'users/sam': { name: 'Sam', email: 'sam@hw.com' },
+    'users/tia': { name: 'Tia', email: 'tia@hw.com', graduationYear: 2030, userType: 'SENIOR', gradeSource: 'roster' },
+    'users/uma': {
+      name: 'Uma', email: 'uma@hw.com', graduationYear: 2032, userType: 'SOPHOMORE', gradeSource: 'schedule',
+    },
+  });
+  await api.services.tandemService.registerProfile({ userId: 'sam', gradeLevel: 'sophomore' });
+
+  const result = await grades.importRoster([
+    { email: 'Sam@HW.com', grade: 11 },
+    { email: 'tia@hw.com', grade: 12 },
+    { email: 'uma@hw.com', grade: 11 },
+    { email: 'new@hw.com', grade: 10 },
+    { email: 'pat@gmail.com', grade: 11 },
+    { email: 'old@hw.com', grade: 13 },
+    null,
+  ], { importedBy: 'ada', date: SCHOOL_YEAR });
+
+  assertEq(result.imported, 4, 'valid entries are imported');
+  assertEq(result.invalid.map((entry) => entry.index).join(','), '4,5,6', 'and the invalid ones listed by position');
+  assertEq(result.invalid[0].error, 'Not a school email address', 'an address outside the school is invalid');
+  assertEq(result.invalid[1].error, 'grade must be from 9 to 12', 'so is an unknown grade');
+  assertEq(result.usersUpdated, 2, 'existing accounts whose grade changed are counted');
+
+  const entry = api.admin.read('roster/sam@hw.com');
+  assertEq(entry && entry.graduationYear, 2031, 'roster entries are kept by lowercase email, with the class year');
+  assertEq(entry && entry.importedBy, 'ada', 'and who imported them');
+  assertEq(api.admin.read('roster/pat@gmail.com'), null, 'invalid entries aren\'t stored');
+
+  const sam = api.admin.read('users/sam');
+  assertEq(`${sam.userType}/${sam.graduationYear}/${sam.gradeSource}`, 'JUNIOR/2031/roster',
+    'an existing account gets its grade from the roster');
+  assertEq((await api.services.tandemService.getProfile('sam')).gradeLevel, 'junior', 'and so does its tandem profile');
+  assertEq(api.admin.read('users/uma').gradeSource, 'roster', 'the roster overrides a grade from a schedule');
+  assertEq(api.admin.read('users/uma').userType, 'JUNIOR', 'with the roster\'s grade');
+
+  const grade = await grades.gradeForNewAccount('NEW@hw.com', SCHOOL_YEAR);
+  assertEq(`${grade.userType}/${grade.gradeSource}`, 'SOPHOMORE/roster', 'students who sign up later get it too');
+  assertEq((await grades.gradeForNewAccount('who@hw.com', SCHOOL_YEAR)).userType, null,
+    'students not on the roster have no grade yet');
+}
+
+async function testGradeFromSchedule({ api, grades }) {
+  section('Grades from uploaded schedules');
+
+  api.admin.seed({
+    'users/sam': { name: 'Sam', email: 'sam@hw.com' },
+    'users/ros': { name: 'Ros', email: 'ros@hw.com', graduationYear: 2031, userType: 'JUNIOR', gradeSource: 'roster' },
+    'users/adm': { name: 'Adm', email: 'adm@hw.com', graduationYear: 2030, userType: 'SENIOR', gradeSource: 'admin' },
+  });
+
+  const set = await grades.setGradeFromSchedule('sam', 11, SCHOOL_YEAR);
+  assertEq(`${set.userType}/${set.warning}`, 'JUNIOR/null', 'a student with no grade gets the schedule\'s');
+  assertEq(api.admin.read('users/sam').gradeSource, 'schedule', 'noted as coming from the schedule');
+
+  const again = await grades.setGradeFromSchedule('sam', 12, SCHOOL_YEAR);
+  assertEq(again.userType, 'SENIOR', 'a later schedule can change a grade that came from one');
+
+  const roster = await grades.setGradeFromSchedule('ros', 12, SCHOOL_YEAR);
+  assertEq(roster.userType, 'JUNIOR', 'but the roster\'s grade wins over the schedule');
+  assert(/ask an admin/.test(roster.warning), 'and the student is told to ask an admin');
+  assertEq(api.admin.read('users/ros').graduationYear, 2031, 'the stored class year is unchanged');
+
+  const agreed = await grades.setGradeFromSchedule('ros', 11, SCHOOL_YEAR);
+  assertEq(agreed.warning, null, 'a schedule that agrees with the roster gets no warning');
+
+  const byAdmin = await grades.setGradeFromSchedule('adm', 10, SCHOOL_YEAR);
+  assertEq(byAdmin.userType, 'SENIOR', 'an admin\'s grade wins too');
+  assertEq(api.admin.read('users/adm').gradeSource, 'admin', 'and stays the admin\'s');
+
+  const unknown = await grades.setGradeFromSchedule('sam', 7, SCHOOL_YEAR);
+  assertEq(`${unknown.userType}/${unknown.warning}`, 'SENIOR/null', 'a grade outside high school is ignored');
+
+  const corrected = await grades.setGradeByAdmin('ros', 'SENIOR', { date: SCHOOL_YEAR });
+  assertEq(`${corrected.graduationYear}/${corrected.gradeSource}`, '2030/admin', 'admins can correct any grade');
+  assertEq(api.admin.read('users/ros').userType, 'SENIOR', 'which is stored');
+}
+
+async function testPromotion({ api, grades }) {
+  section('Promotion at the rollover');
+
+  api.admin.seed({
+    'users/sen': { name: 'Sen', email: 'sen@hw.com', graduationYear: 2030, userType: 'SENIOR' },
+    'users/jun': { name: 'Jun', email: 'jun@hw.com', graduationYear: 2031, userType: 'JUNIOR' },
+    'users/fre': { name: 'Fre', email: 'fre@hw.com', graduationYear: 2033, userType: null },
+    'users/new': { name: 'New', email: 'new@hw.com' },
+  });
+  await api.services.carpoolService.registerProfile({ userId: 'jun', gradeLevel: 'junior' });
+
+  const before = await grades.promoteStudents(LAST_DAY);
+  assertEq(before.promoted + before.graduated, 0, 'nobody moves up before July 1');
+
+  const result = await grades.promoteStudents(ROLLOVER);
+  assertEq(result.checked, 3, 'students with a class year are checked');
+  assertEq(result.promoted, 2, 'juniors and freshmen move up');
+  assertEq(result.graduated, 1, 'and seniors graduate');
+  assertEq(api.admin.read('users/sen').userType, null, 'graduates have no UserType');
+  assertEq(api.admin.read('users/sen').graduationYear, 2030, 'but keep their class year');
+  assertEq(api.admin.read('users/jun').userType, 'SENIOR', 'juniors become seniors');
+  assertEq((await api.services.carpoolService.getProfile('jun')).gradeLevel, 'senior', 'profiles follow');
+  assertEq(api.admin.read('users/fre').userType, 'SOPHOMORE', 'freshmen become sophomores');
+  assertEq(api.admin.read('users/new').userType, undefined, 'students with no class year are left alone');
+
+  const rerun = await grades.promoteStudents(ROLLOVER);
+  assertEq(rerun.promoted + rerun.graduated, 0, 'running it again changes nothing');
+}
+
+async function testSignup({ api }) {
+  section('POST /auth/signup');
+
+  const signup = (email) => api.request('POST', '/auth/signup', {
+    body: { email, password: 'correct horse battery', name: 'Pat' },
+  });
+
+  const outside = await signup('pat@gmail.com');
+  assertEq(outside.status, 400, 'signing up with an address outside the school is refused');
+  assert(/school email/.test(outside.body.error), 'asking for the school address');
+
+  api.admin.seed({ 'roster/pat@hw.com': { email: 'pat@hw.com', graduationYear: new Date().getUTCFullYear() + 2 } });
+  const created = await signup('Pat@HW.com');
+  assertEq(created.status, 201, 'a school address can sign up');
+  assertEq(created.body.emailVerified, false, 'unverified at first');
+  const { userId } = created.body;
+  const user = api.admin.read(`users/${userId}`);
+  assertEq(user && user.email, 'pat@hw.com', 'with the address stored in lowercase');
+  assertEq(user && user.gradeSource, 'roster', 'and the grade from the roster');
+  assertEq((await signup('pat@hw.com')).status, 409, 'the same address can\'t sign up twice');
+
+  const unverified = api.admin.signIn(userId, { email: 'pat@hw.com', emailVerified: false });
+  const blocked = await api.request('GET', '/carpool/open', { token: unverified });
+  assertEq(blocked.status, 403, 'the app refuses the account until the address is verified');
+  assertEq(blocked.body.error, 'Forbidden - Email address not verified', 'saying so');
+  assertEq((await api.request('GET', '/users/me', { token: unverified })).status, 200,
+    'though they can still see their own account');
+
+  const verified = api.admin.signIn(userId, { email: 'pat@hw.com', emailVerified: true });
+  assertEq((await api.request('GET', '/carpool/open', { token: verified })).status, 200,
+    'once it is verified the app works');
+
+  const outsider = api.admin.signIn('out', { email: 'out@gmail.com', emailVerified: true });
+  const refused = await api.request('GET', '/carpool/open', { token: outsider });
+  assertEq(refused.body.error, 'Forbidden - A school email address is required',
+    'a verified address outside the school is refused too');
+}
+
+// ── Run All ─────────────────────────────────────────────────────────────────
+
+async function runAll() {
+  console.log('╔══════════════════════════════════════╗');
+  console.log('║   Student Grades Tests               ║');
+  console.log('╚══════════════════════════════════════╝');
+
+  const api = await startApiServer();
+  if (!api) {
+    console.log('\n▶ Skipped (run npm install in functions/ first)');
+    process.exit(0);
+  }
+  const context = {
+    api,
+    grades: require(path.join(FUNCTIONS_DIR, 'services/studentGrades')),
+    schoolEmail: require(path.join(FUNCTIONS_DIR, 'utils/schoolEmail')),
+  };
+
+  // The routes log the errors they answer with
+  const consoleError = console.error;
+  console.error = () => {};
+  try {
+    for (const test of [
+      testClassYears,
+      testSchoolEmails,
+      testRosterImport,
+      testGradeFromSchedule,
+      testPromotion,
+      testSignup,
+    ]) {
+      api.admin.reset();
+      await test(context);
+    }
+  } finally {
+    console.error = consoleError;
+    await api.stop();
+  }
+
+  console.log(`\n${'═'.repeat(50)}`);
+  console.log(`  student grades: ${passed} passed, ${failed} failed`);
+  console.log(`${'═'.repeat(50)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAll().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
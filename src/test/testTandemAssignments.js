@@ -0,0 +1,355 @@
+/**
+ * testTandemAssignments.js
+ *
+ * Tests for whole-pool tandem assignment: the maximum-weight matching, the
+ * TandemAssignmentSolver's pairing rules, and the TandemService
+ * propose → commit/discard workflow.
+ *
+ * The school-size test solves a pool as large as a real semester assignment
+ * (two upper-school grades in one lot), since admins run it from the API.
+ *
+ * Runs against the InMemoryRepository, and also against the Firestore
+ * emulator when FIRESTORE_EMULATOR_HOST is set.
+ *
+ * Run: node src/test/testTandemAssignments.js
+ */
+
+const { InMemoryRepository } = require('../repositories');
+const {
+  TandemService,
+  TandemAssignmentSolver,
+  TandemProfile,
+  GRADE_LEVELS,
+  TANDEM_ASSIGNMENT_STATUS,
+  TANDEM_UNMATCHED_REASONS,
+} = require('../TandemService');
+const { maxWeightMatching } = require('../TandemService/utils/maxWeightMatching');
+const { buildSchedule } = require('../../scheduling system/scheduleBuilder');
+const { createEmulatorRepository } = require('./emulator');
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  assert(actual === expected, `${message} (expected ${expected}, got ${actual})`);
+}
+
+async function assertRejects(promise, pattern, message) {
+  try {
+    await promise;
+    assert(false, `${message} (did not throw)`);
+  } catch (err) {
+    assert(pattern.test(err.message), `${message} (${err.message})`);
+  }
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+// Largest pool the API proposes for, and the time it must solve it in: half
+// the API function's 60s timeout, leaving room for slower production CPUs
+// and the reads and writes around the solve
+const SCHOOL_POOL_SIZE = 600;
+const SCHOOL_POOL_BUDGET_MS = 30 * 1000;
+
+// ── Fixtures ────────────────────────────────────────────────────────────────
+
+/**
+ * Parsed student (pdfParser shape) with classes only in the given blocks.
+ */
+function makeStudent(grade, blocks) {
+  const blockDays = {
+    1: [1, 3, 5], 2: [1, 3, 5], 3: [1, 3, 5],
+    4: [2, 4, 6], 5: [2, 4, 6], 6: [2, 4, 6], 7: [2, 4, 6],
+  };
+  return {
+    name: 'STUDENT',
+    grade,
+    courses: blocks.map((block) => {
+      const dayAssignments = {};
+      for (let day = 1; day <= 6; day++) {
+        dayAssignments[day] = blockDays[block].includes(day) ? block : null;
+      }
+      return { code: `C${block}`, title: `Course ${block}`, block, type: 'academic', dayAssignments };
+    }),
+    coCurriculars: [],
+    directedStudies: [],
+    seminars: [],
+  };
+}
+
+function makeProfile(userId, gradeLevel, preferredLot = null) {
+  return new TandemProfile({ profileId: `p-${userId}`, userId, gradeLevel, preferredLot });
+}
+
+/**
+ * Engine stand-in that scores pairs from a fixed table, so the expected
+ * optimum is easy to work out by hand.
+ */
+function tableEngine(table, minScore = 30) {
+  const real = new TandemService().compatibilityEngine;
+  return {
+    minScore,
+    scoreGradeLevel: (a, b) => real.scoreGradeLevel(a, b),
+    computeMatch: ({ profileA, profileB }) => {
+      const key = [profileA.userId, profileB.userId].sort().join('-');
+      const overallScore = table[key] ?? 0;
+      return { overallScore, meetsMinimumScore: (min) => overallScore >= min };
+    },
+  };
+}
+
+/**
+ * Seeded pseudo-random numbers in [0, 1) (Park–Miller), so generated pools
+ * are the same on every run.
+ */
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+}
+
+const pairKeys = (pairs) => pairs.map((p) => [p.user1Id, p.user2Id].sort().join('-')).sort().join(',');
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+function testMatching() {
+  section('maxWeightMatching');
+
+  assertEq(maxWeightMatching([]).length, 0, 'empty graph has an empty matching');
+  assertEq(maxWeightMatching([[0, 1, 1]]).join(), '1,0', 'single edge is matched');
+
+  // Path a-b-c-d: the heavy middle edge beats the two outer ones...
+  const path = [[0, 1, 5], [1, 2, 11], [2, 3, 5]];
+  assertEq(maxWeightMatching(path).join(), '-1,2,1,-1', 'max weight takes the heavy middle edge');
+  // ...unless every vertex must be paired
+  assertEq(maxWeightMatching(path, true).join(), '1,0,3,2', 'max cardinality pairs everyone');
+
+  // Triangle 0-1-2 with a tail 2-3: the best matching leaves the
+  // triangle's heaviest edge, which needs a blossom to find
+  const blossom = [[0, 1, 8], [0, 2, 9], [1, 2, 10], [2, 3, 7]];
+  assertEq(maxWeightMatching(blossom).join(), '1,0,3,2', 'handles odd cycles (blossoms)');
+
+  let threw = false;
+  try {
+    maxWeightMatching([[0, 1, 1.5]]);
+  } catch (err) {
+    threw = /integer/.test(err.message);
+  }
+  assert(threw, 'rejects non-integer weights');
+}
+
+function testSolverRules() {
+  section('TandemAssignmentSolver rules');
+
+  const profiles = [
+    makeProfile('sen1', GRADE_LEVELS.SENIOR),
+    makeProfile('sen2', GRADE_LEVELS.SENIOR),
+    makeProfile('jun1', GRADE_LEVELS.JUNIOR, 'Taper'),
+    makeProfile('soph1', GRADE_LEVELS.SOPHOMORE, 'Coldwater'),
+    makeProfile('soph2', GRADE_LEVELS.SOPHOMORE),
+  ];
+  const solver = new TandemAssignmentSolver({
+    compatibilityEngine: tableEngine({
+      'jun1-sen1': 99,       // senior + junior: never allowed
+      'sen1-sen2': 60,
+      'jun1-soph1': 95,      // different preferred lots: not allowed
+      'jun1-soph2': 70,      // soph2 has no preference
+      'soph1-soph2': 50,
+    }),
+  });
+
+  assert(!solver.isAllowedPair(profiles[0], profiles[2]), 'senior + junior is not allowed');
+  assert(!solver.isAllowedPair(profiles[2], profiles[3]), 'different preferred lots are not allowed');
+  assert(solver.isAllowedPair(profiles[2], profiles[4]), 'no lot preference pairs with any lot');
+
+  const result = solver.solve({ profiles, schedules: new Map() });
+  assertEq(pairKeys(result.pairs), 'jun1-soph2,sen1-sen2', 'pairs follow grade and lot rules');
+  assertEq(result.pairs[0].score, 70, 'pairs are sorted by score');
+  assertEq(result.pairs[0].lot, 'Taper', 'pair takes the preferred lot');
+  assertEq(result.totalScore, 130, 'total score sums the pairs');
+  assertEq(result.unmatched.length, 1, 'one user is left over');
+  assertEq(result.unmatched[0].reason, TANDEM_UNMATCHED_REASONS.NOT_SELECTED, 'left-over user had partners');
+
+  const lonely = solver.solve({ profiles: [profiles[0], profiles[2]], schedules: new Map() });
+  assertEq(lonely.unmatched[0].reason, TANDEM_UNMATCHED_REASONS.NO_COMPATIBLE_PARTNER, 'user with no allowed partner is reported');
+
+  const belowMin = new TandemAssignmentSolver({ compatibilityEngine: tableEngine({ 'a-b': 20 }) })
+    .solve({ profiles: [makeProfile('a', GRADE_LEVELS.JUNIOR), makeProfile('b', GRADE_LEVELS.JUNIOR)], schedules: new Map() });
+  assertEq(belowMin.pairs.length, 0, 'pairs below the minimum score are not proposed');
+}
+
+function testSolverOptimal() {
+  section('TandemAssignmentSolver optimum');
+
+  // Greedy would take a-b (90) and leave c and d unpaired; the best
+  // overall pairing is a-c + b-d (80 + 80).
+  const profiles = ['a', 'b', 'c', 'd'].map((id) => makeProfile(id, GRADE_LEVELS.JUNIOR));
+  const solver = new TandemAssignmentSolver({
+    compatibilityEngine: tableEngine({ 'a-b': 90, 'a-c': 80, 'b-d': 80 }),
+  });
+
+  const result = solver.solve({ profiles, schedules: new Map() });
+  assertEq(pairKeys(result.pairs), 'a-c,b-d', 'beats greedy pairing');
+  assertEq(result.totalScore, 160, 'maximizes the total score');
+
+  // a-b (90) alone outweighs a-c + b-d only when pairing fewer users is allowed
+  const heavy = new TandemAssignmentSolver({
+    compatibilityEngine: tableEngine({ 'a-b': 99, 'a-c': 40, 'b-d': 40 }),
+  });
+  assertEq(pairKeys(heavy.solve({ profiles, schedules: new Map() }).pairs), 'a-c,b-d', 'pairs as many users as possible by default');
+  assertEq(
+    pairKeys(heavy.solve({ profiles, schedules: new Map(), maximizePairs: false }).pairs),
+    'a-b',
+    'maximizePairs: false takes the heaviest pairing',
+  );
+}
+
+function testSolverAtSchoolSize() {
+  section('TandemAssignmentSolver at school size');
+
+  // About 290 students per upper-school grade: every junior and sophomore
+  // in one lot is the largest pool an admin can propose for
+  const poolSize = SCHOOL_POOL_SIZE;
+  const random = seededRandom(2024);
+  const profiles = [];
+  const schedules = new Map();
+  for (let i = 0; i < poolSize; i++) {
+    const junior = i % 2 === 0;
+    const userId = `student-${i}`;
+    const blocks = [1, 2, 3, 4, 5, 6, 7].filter(() => random() < 0.7);
+    profiles.push(makeProfile(userId, junior ? GRADE_LEVELS.JUNIOR : GRADE_LEVELS.SOPHOMORE, 'Taper'));
+    schedules.set(userId, buildSchedule(makeStudent(junior ? 11 : 10, blocks)));
+  }
+
+  const started = Date.now();
+  const result = new TandemAssignmentSolver().solve({ profiles, schedules });
+  const elapsedMs = Date.now() - started;
+
+  assert(
+    elapsedMs < SCHOOL_POOL_BUDGET_MS,
+    `solves ${poolSize} students within ${SCHOOL_POOL_BUDGET_MS / 1000}s (took ${(elapsedMs / 1000).toFixed(1)}s)`,
+  );
+  const paired = result.pairs.flatMap((p) => [p.user1Id, p.user2Id]);
+  assertEq(new Set(paired).size, paired.length, 'no student is paired twice');
+  assertEq(paired.length + result.unmatched.length, poolSize, 'every student is paired or listed as unmatched');
+  assert(result.pairs.length > poolSize / 4, `pairs most of the pool (${result.pairs.length} pairs)`);
+}
+
+async function testServiceWorkflow(createRepository) {
+  section('TandemService assignments');
+
+  const repository = await createRepository();
+  const service = new TandemService({ repository });
+
+  // Morning and afternoon students complement each other
+  const users = [
+    ['j-morning', GRADE_LEVELS.JUNIOR, 11, [1, 2]],
+    ['s-afternoon', GRADE_LEVELS.SOPHOMORE, 10, [3]],
+    ['j-afternoon', GRADE_LEVELS.JUNIOR, 11, [3]],
+    ['s-morning', GRADE_LEVELS.SOPHOMORE, 10, [1, 2]],
+    ['senior', GRADE_LEVELS.SENIOR, 12, [1]],
+  ];
+  for (const [userId, gradeLevel, grade, blocks] of users) {
+    await service.registerProfile({ userId, gradeLevel, preferredLot: 'Taper' });
+    await service.setUserSchedule(userId, buildSchedule(makeStudent(grade, blocks)));
+  }
+
+  await assertRejects(service.proposeAssignment({ gradeLevel: 'freshman' }), /Invalid grade level/, 'rejects unknown grades');
+
+  const proposal = await service.proposeAssignment({ lot: 'Taper', createdBy: 'admin' });
+  assertEq(proposal.status, TANDEM_ASSIGNMENT_STATUS.PROPOSED, 'proposal starts as proposed');
+  assertEq(proposal.scope.lot, 'Taper', 'proposal records its scope');
+  assertEq(pairKeys(proposal.pairs), 'j-afternoon-s-morning,j-morning-s-afternoon', 'morning students pair with afternoon students');
+  assertEq(proposal.unmatched[0].userId, 'senior', 'lone senior is left unmatched');
+  assertEq((await service.getMyPairings('j-morning')).length, 0, 'proposing creates no pairings');
+
+  const juniors = await service.proposeAssignment({ gradeLevel: GRADE_LEVELS.JUNIOR });
+  assertEq(juniors.pairs.length + juniors.unmatched.length, 1, 'grade scope only includes that grade');
+  const otherLot = await service.proposeAssignment({ lot: 'Coldwater' });
+  assertEq(otherLot.unmatched.length, 0, 'lot scope only includes that lot');
+
+  assertEq((await service.listAssignments()).length, 3, 'lists every proposal');
+  assertEq((await service.getAssignment(proposal.assignmentId)).pairs.length, 2, 'proposal is stored');
+  await assertRejects(service.getAssignment('missing'), /not found/, 'unknown assignments are not found');
+
+  // One pair becomes stale before the commit
+  await service.deactivateProfile('s-morning');
+
+  const { assignment, pairings } = await service.commitAssignment(proposal.assignmentId, { reviewedBy: 'admin' });
+  assertEq(assignment.status, TANDEM_ASSIGNMENT_STATUS.COMMITTED, 'commit marks the proposal committed');
+  assertEq(pairings.length, 1, 'commit creates a pairing for each valid pair');
+  assertEq(assignment.skipped.length, 1, 'stale pairs are skipped');
+  assert(/no longer active/.test(assignment.skipped[0].reason), 'skipped pairs say why');
+  assertEq(assignment.pairingIds[0], pairings[0].pairingId, 'commit records the pairing IDs');
+  assert(pairings[0].isActive(), 'created pairings are active');
+  assertEq((await service.getMyPairings('j-morning')).length, 1, 'pairing is visible to its members');
+
+  await assertRejects(
+    service.commitAssignment(proposal.assignmentId),
+    /no longer proposed/,
+    'a proposal can only be committed once',
+  );
+
+  const discarded = await service.discardAssignment(juniors.assignmentId, { reviewedBy: 'admin' });
+  assertEq(discarded.status, TANDEM_ASSIGNMENT_STATUS.DISCARDED, 'discard marks the proposal discarded');
+  assertEq(
+    (await service.listAssignments({ status: TANDEM_ASSIGNMENT_STATUS.PROPOSED })).length,
+    1,
+    'lists proposals by status',
+  );
+
+  const next = await service.proposeAssignment({ lot: 'Taper' });
+  assert(!next.pairs.some((p) => [p.user1Id, p.user2Id].includes('j-morning')), 'already paired users are left out');
+}
+
+// ── Run All ─────────────────────────────────────────────────────────────────
+
+async function runSuite(name, createRepository) {
+  console.log(`\n▶ ${name}`);
+  await testServiceWorkflow(createRepository);
+}
+
+async function runAll() {
+  console.log('╔══════════════════════════════════════╗');
+  console.log('║   Tandem Assignment Tests            ║');
+  console.log('╚══════════════════════════════════════╝');
+
+  testMatching();
+  testSolverRules();
+  testSolverOptimal();
+  testSolverAtSchoolSize();
+
+  await runSuite('InMemoryRepository', async () => new InMemoryRepository());
+
+  if (process.env.FIRESTORE_EMULATOR_HOST) {
+    await runSuite('FirestoreRepository (emulator)', createEmulatorRepository);
+  } else {
+    console.log('\n▶ FirestoreRepository skipped (set FIRESTORE_EMULATOR_HOST to run)');
+  }
+
+  console.log(`\n${'═'.repeat(50)}`);
+  console.log(`  tandem assignments: ${passed} passed, ${failed} failed`);
+  console.log(`${'═'.repeat(50)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAll().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
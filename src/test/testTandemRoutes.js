@@ -0,0 +1,250 @@
+/**
+ * testTandemRoutes.js
+ *
+ * Route tests for /tandem (functions/routes/tandem.js): profiles, pairing
+ * requests, pairings and emotes through the API, with the status codes for
+ * missing things (404), other people's pairings and missing permissions
+ * (403), and requests without a signed-in school account (401/403).
+ *
+ * Runs the API on the fake firebase-admin (see apiTestServer.js).  Needs the
+ * functions/ dependencies (cd functions && npm install).
+ *
+ * Run: node src/test/testTandemRoutes.js
+ */
+
+const { startApiServer } = require('./apiTestServer');
+
+// ── Test Harness ────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    failed++;
+    console.log(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertEq(actual, expected, message) {
+  assert(actual === expected, `${message} (expected ${expected}, got ${actual})`);
+}
+
+function section(title) {
+  console.log(`\n── ${title} ──`);
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+/** Two juniors with tandem profiles, one paired with the other if `paired`. */
+async function setupPair(api, { paired = true } = {}) {
+  const alice = api.signInStudent('alice');
+  const bob = api.signInStudent('bob');
+  const carol = api.signInStudent('carol');
+  await api.request('POST', '/tandem/profile', { token: alice, body: { preferredLot: 'Coldwater' } });
+  await api.request('POST', '/tandem/profile', { token: bob, body: { preferredLot: 'Coldwater' } });
+
+  if (!paired) return { alice, bob, carol };
+
+  const sent = await api.request('POST', '/tandem/requests', { token: alice, body: { targetUserId: 'bob' } });
+  const accepted = await api.request('PUT', `/tandem/requests/${sent.body.request.requestId}/accept`, { token: bob });
+  return { alice, bob, carol, pairingId: accepted.body.pairing.pairingId };
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+async function testAuthentication(api) {
+  section('Requests need a signed-in school account');
+
+  assertEq((await api.request('GET', '/tandem/profile')).status, 401, 'anonymous requests get 401');
+  assertEq((await api.request('GET', '/tandem/profile', { token: 'not-a-token' })).status, 401,
+    'invalid tokens get 401');
+
+  api.signInStudent('dana');
+  const personal = api.admin.signIn('dana', { email: 'dana@gmail.com' });
+  const response = await api.request('GET', '/tandem/profile', { token: personal });
+  assertEq(response.status, 403, 'accounts without a school email get 403');
+  assertEq(response.body.error, 'Forbidden - A school email address is required', 'and are told why');
+
+  const unverified = api.admin.signIn('dana', { emailVerified: false });
+  assertEq((await api.request('GET', '/tandem/profile', { token: unverified })).status, 403,
+    'unverified school emails get 403');
+}
+
+async function testProfile(api) {
+  section('Profiles');
+
+  const alice = api.signInStudent('alice');
+  assertEq((await api.request('GET', '/tandem/profile', { token: alice })).status, 404,
+    'a user without a profile gets 404');
+
+  const created = await api.request('POST', '/tandem/profile', {
+    token: alice,
+    body: { preferredLot: 'Coldwater', bio: 'Hi', gradeLevel: 'senior', userId: 'someone-else' },
+  });
+  assertEq(created.status, 201, 'creating a profile returns 201');
+  assertEq(created.body.profile.userId, 'alice', 'the profile belongs to the signed-in user');
+  assertEq(created.body.profile.gradeLevel, 'junior', 'the grade comes from the account, not the body');
+
+  const fetched = await api.request('GET', '/tandem/profile', { token: alice });
+  assertEq(fetched.status, 200, 'the profile can be read back');
+  assertEq(fetched.body.profile.bio, 'Hi', 'with what was saved');
+
+  assertEq((await api.request('POST', '/tandem/profile', { token: alice, body: {} })).status, 409,
+    'a second profile is a conflict');
+
+  const updated = await api.request('PUT', '/tandem/profile', { token: alice, body: { bio: 'Hello' } });
+  assertEq(updated.status, 200, 'updating the profile returns 200');
+  assertEq(updated.body.profile.bio, 'Hello', 'and saves the change');
+
+  const nobody = api.signInStudent('erin');
+  assertEq((await api.request('PUT', '/tandem/profile', { token: nobody, body: { bio: 'x' } })).status, 404,
+    'updating a missing profile gets 404');
+}
+
+async function testPermissions(api) {
+  section('Permissions');
+
+  const revoked = api.signInStudent('frank', { revokedPermissions: ['JOIN_TANDEM'] });
+  const response = await api.request('POST', '/tandem/profile', { token: revoked, body: {} });
+  assertEq(response.status, 403, 'a user whose JOIN_TANDEM was revoked gets 403');
+  assertEq(response.body.missing.join(','), 'JOIN_TANDEM', 'and is told which permission is missing');
+
+  const freshman = api.signInStudent('gail', { userType: null, graduationYear: 2099 });
+  assertEq((await api.request('POST', '/tandem/profile', { token: freshman, body: {} })).status, 403,
+    'freshmen get 403');
+
+  const unknownGrade = api.signInStudent('hugo', { userType: null });
+  const noGrade = await api.request('POST', '/tandem/profile', { token: unknownGrade, body: {} });
+  assertEq(noGrade.status, 400, 'users whose grade isn\'t known yet get 400');
+  assert(/grade isn't known/.test(noGrade.body.error), 'and are told to set it');
+}
+
+async function testRequests(api) {
+  section('Pairing requests');
+
+  const { alice, bob, carol } = await setupPair(api, { paired: false });
+
+  assertEq((await api.request('POST', '/tandem/requests', { token: alice, body: {} })).status, 400,
+    'a request without a target gets 400');
+  assertEq((await api.request('POST', '/tandem/requests', { token: alice, body: { targetUserId: 'nobody' } })).status,
+    404, 'a request to a user without a profile gets 404');
+
+  const sent = await api.request('POST', '/tandem/requests', { token: alice, body: { targetUserId: 'bob' } });
+  assertEq(sent.status, 201, 'sending a request returns 201');
+  const { requestId } = sent.body.request;
+
+  const incoming = await api.request('GET', '/tandem/requests', { token: bob });
+  assertEq(incoming.body.incoming.length, 1, 'the target sees the request');
+  assertEq((await api.request('GET', '/tandem/requests', { token: alice })).body.outgoing.length, 1,
+    'the requester sees it as outgoing');
+
+  assertEq((await api.request('PUT', `/tandem/requests/${requestId}/accept`, { token: carol })).status, 403,
+    'someone else can\'t accept it');
+  assertEq((await api.request('PUT', `/tandem/requests/${requestId}/accept`, { token: alice })).status, 403,
+    'nor can the requester');
+  assertEq((await api.request('PUT', '/tandem/requests/nope/accept', { token: bob })).status, 404,
+    'accepting an unknown request gets 404');
+
+  const accepted = await api.request('PUT', `/tandem/requests/${requestId}/accept`, { token: bob });
+  assertEq(accepted.status, 200, 'the target can accept it');
+  assert(accepted.body.pairing.pairingId, 'which creates a pairing');
+
+  assertEq((await api.request('GET', '/tandem/current', { token: alice })).status, 200,
+    'the requester now has a current pairing');
+  assertEq((await api.request('GET', '/tandem/current', { token: carol })).status, 404,
+    'users without one get 404');
+}
+
+async function testPairings(api) {
+  section('Pairings are only visible to their members');
+
+  const { alice, bob, carol, pairingId } = await setupPair(api);
+
+  const details = await api.request('GET', `/tandem/pairings/${pairingId}`, { token: alice });
+  assertEq(details.status, 200, 'a member can read the pairing');
+  assertEq(details.body.pairing.pairingId, pairingId, 'with the pairing itself');
+  assert(details.body.user1 && details.body.user2, 'and both members\' profiles');
+
+  const outsider = await api.request('GET', `/tandem/pairings/${pairingId}`, { token: carol });
+  assertEq(outsider.status, 403, 'anyone else gets 403');
+  assertEq(outsider.body.error, 'Only members of this pairing can view it', 'and is told why');
+  assertEq((await api.request('GET', `/tandem/pairings/${pairingId}/day?date=2030-02-04`, { token: carol })).status,
+    403, 'including its day plan');
+  assertEq((await api.request('GET', '/tandem/pairings/nope', { token: alice })).status, 404,
+    'an unknown pairing gets 404');
+
+  assertEq((await api.request('DELETE', `/tandem/pairings/${pairingId}`, { token: carol })).status, 403,
+    'only members can end it');
+  const ended = await api.request('DELETE', `/tandem/pairings/${pairingId}`, { token: bob });
+  assertEq(ended.status, 200, 'a member can end it');
+  assertEq((await api.request('GET', '/tandem/current', { token: alice })).status, 404,
+    'after which neither has a current pairing');
+}
+
+async function testEmotes(api) {
+  section('Emotes');
+
+  const { alice, bob, carol, pairingId } = await setupPair(api);
+  const emotes = await api.request('GET', '/tandem/emotes', { token: alice });
+  assertEq(emotes.status, 200, 'the emote list is available');
+  const [{ emoteType }] = emotes.body.emotes;
+
+  const sent = await api.request('POST', `/tandem/pairings/${pairingId}/emotes`, { token: alice, body: { emoteType } });
+  assertEq(sent.status, 201, 'a member can send an emote');
+  assertEq(sent.body.emote.recipientUserId, 'bob', 'to their partner');
+
+  assertEq((await api.request('POST', `/tandem/pairings/${pairingId}/emotes`, { token: carol, body: { emoteType } }))
+    .status, 403, 'anyone else gets 403');
+  assertEq((await api.request('POST', '/tandem/pairings/nope/emotes', { token: alice, body: { emoteType } })).status,
+    404, 'emotes to an unknown pairing get 404');
+
+  const history = await api.request('GET', `/tandem/pairings/${pairingId}/emotes`, { token: bob });
+  assertEq(history.body.count, 1, 'the partner sees the emote');
+  assertEq((await api.request('GET', `/tandem/pairings/${pairingId}/emotes`, { token: carol })).status, 403,
+    'outsiders can\'t read the history');
+
+  api.admin.seed({ 'users/alice': { name: 'alice', userType: 'JUNIOR', revokedPermissions: ['SEND_MESSAGES'] } });
+  assertEq((await api.request('POST', `/tandem/pairings/${pairingId}/emotes`, { token: alice, body: { emoteType } }))
+    .status, 403, 'a member whose SEND_MESSAGES was revoked gets 403');
+}
+
+// ── Run All ─────────────────────────────────────────────────────────────────
+
+async function runAll() {
+  console.log('╔══════════════════════════════════════╗');
+  console.log('║   Tandem Route Tests                 ║');
+  console.log('╚══════════════════════════════════════╝');
+
+  const api = await startApiServer();
+  if (!api) {
+    console.log('\n▶ Skipped (run npm install in functions/ first)');
+    process.exit(0);
+  }
+
+  // The routes log the errors they answer with
+  const consoleError = console.error;
+  console.error = () => {};
+  try {
+    for (const test of [testAuthentication, testProfile, testPermissions, testRequests, testPairings, testEmotes]) {
+      api.admin.reset();
+      await test(api);
+    }
+  } finally {
+    console.error = consoleError;
+    await api.stop();
+  }
+
+  console.log(`\n${'═'.repeat(50)}`);
+  console.log(`  tandem routes: ${passed} passed, ${failed} failed`);
+  console.log(`${'═'.repeat(50)}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runAll().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});